@@ -45,6 +45,7 @@ const EducationPage = lazy(() => import('./pages/public/EducationPage'));
 const EmergencyRequestPage = lazy(() => import('./pages/public/EmergencyRequestPage'));
 const BloodBanksPage = lazy(() => import('./pages/public/BloodBanksPage'));
 const ArticleDetail = lazy(() => import('./components/public/ArticleDetail'));
+const VerifyCertificatePage = lazy(() => import('./pages/public/VerifyCertificatePage'));
 
 // Auth Pages
 const RegisterPage = lazy(() => import('./pages/auth/RegisterPage'));
@@ -144,6 +145,8 @@ const AppContent = () => {
                 <Route path="/emergency" element={<EmergencyRequestPage />} />
                 <Route path="/blood-banks" element={<BloodBanksPage />} />
                 <Route path="/articles/:slug" element={<ArticleDetail />} />
+                <Route path="/verify" element={<VerifyCertificatePage />} />
+                <Route path="/verify/:certificateId" element={<VerifyCertificatePage />} />
 
                 {/* Authentication Routes */}
                 <Route path="/login" element={<SignInPage />} />
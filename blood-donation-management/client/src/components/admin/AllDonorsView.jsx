@@ -18,8 +18,9 @@ import Badge from '../ui/Badge';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
 import Modal from '../ui/Modal';
+import QuestionnaireReview from './QuestionnaireReview';
 import logger from '../../utils/logger';
-import apiClient, { adminApi } from '../../utils/api';
+import apiClient, { adminApi, openDocument } from '../../utils/api';
 
 const AllDonorsView = () => {
   const [donors, setDonors] = useState([]);
@@ -134,8 +135,7 @@ const AllDonorsView = () => {
       if (data.success && data.data.questionnaire) {
         setSelectedQuestionnaire({
           donor,
-          questionnaire: data.data.questionnaire,
-          submittedAt: data.data.submittedAt
+          data: data.data
         });
         setShowQuestionnaireModal(true);
       } else {
@@ -541,7 +541,7 @@ const AllDonorsView = () => {
                         ) : (
                           <Badge variant="warning">Pending</Badge>
                         )}
-                        <Button size="sm" variant="outline" onClick={() => window.open(doc.url, '_blank')}>
+                        <Button size="sm" variant="outline" onClick={() => openDocument(doc._id).catch(error => alert(error.message))}>
                           View
                         </Button>
                       </div>
@@ -592,65 +592,15 @@ const AllDonorsView = () => {
               <h4 className="text-lg font-medium text-slate-900 dark:text-white">
                 {selectedQuestionnaire.donor.name}'s Health Questionnaire
               </h4>
-              <p className="text-sm text-slate-500">
-                Submitted: {selectedQuestionnaire.submittedAt ? new Date(selectedQuestionnaire.submittedAt).toLocaleString() : 'Unknown'}
-              </p>
             </div>
 
-            <div className="space-y-4">
-              {/* Medical Conditions */}
-              {selectedQuestionnaire.questionnaire.medicalConditions && (
-                <div>
-                  <h5 className="font-medium text-slate-900 dark:text-white mb-2">Medical Conditions</h5>
-                  <div className="flex flex-wrap gap-2">
-                    {selectedQuestionnaire.questionnaire.medicalConditions.map((condition, index) => (
-                      <Badge key={index} variant="secondary">{condition}</Badge>
-                    ))}
-                  </div>
-                </div>
-              )}
-
-              {/* Lifestyle */}
-              {selectedQuestionnaire.questionnaire.lifestyle && (
-                <div>
-                  <h5 className="font-medium text-slate-900 dark:text-white mb-2">Lifestyle</h5>
-                  <div className="grid grid-cols-2 gap-4 text-sm">
-                    <div>
-                      <span className="font-medium">Smoking:</span> {selectedQuestionnaire.questionnaire.lifestyle.smoking || 'N/A'}
-                    </div>
-                    <div>
-                      <span className="font-medium">Alcohol:</span> {selectedQuestionnaire.questionnaire.lifestyle.alcohol || 'N/A'}
-                    </div>
-                    <div>
-                      <span className="font-medium">Exercise:</span> {selectedQuestionnaire.questionnaire.lifestyle.exercise || 'N/A'}
-                    </div>
-                    <div>
-                      <span className="font-medium">Diet:</span> {selectedQuestionnaire.questionnaire.lifestyle.diet || 'N/A'}
-                    </div>
-                  </div>
-                </div>
-              )}
-
-              {/* Current Health */}
-              {selectedQuestionnaire.questionnaire.currentHealth && (
-                <div>
-                  <h5 className="font-medium text-slate-900 dark:text-white mb-2">Current Health</h5>
-                  <div className="text-sm space-y-2">
-                    <div>
-                      <span className="font-medium">Feeling Well:</span> {selectedQuestionnaire.questionnaire.currentHealth.feelingWell ? 'Yes' : 'No'}
-                    </div>
-                    {selectedQuestionnaire.questionnaire.currentHealth.recentIllness && (
-                      <div>
-                        <span className="font-medium">Recent Illness:</span> {selectedQuestionnaire.questionnaire.currentHealth.recentIllness}
-                      </div>
-                    )}
-                  </div>
-                </div>
-              )}
-            </div>
+            <QuestionnaireReview
+              donorId={selectedQuestionnaire.donor.id || selectedQuestionnaire.donor._id}
+              data={selectedQuestionnaire.data}
+            />
 
             <div className="flex justify-end">
-              <Button onClick={() => setShowQuestionnaireModal(false)}>
+              <Button variant="outline" onClick={() => setShowQuestionnaireModal(false)}>
                 Close
               </Button>
             </div>
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Award, Plus, Pencil, Archive, RotateCcw, RefreshCw } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Badge from '../ui/Badge';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Modal from '../ui/Modal';
+import { adminApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const RARITY_VARIANTS = {
+  common: 'secondary',
+  uncommon: 'green',
+  rare: 'blue',
+  epic: 'purple',
+  legendary: 'yellow'
+};
+
+// List parameters are edited as comma-separated text
+const LIST_PARAMS = ['urgencies', 'bloodTypes'];
+
+const EMPTY_FORM = {
+  key: '',
+  title: '',
+  description: '',
+  icon: '🏅',
+  category: 'milestone',
+  rarity: 'common',
+  points: 100,
+  criteria: { type: 'donation_count', threshold: 1, params: {} }
+};
+
+const toForm = (badge) => ({
+  key: badge.key,
+  title: badge.title,
+  description: badge.description || '',
+  icon: badge.icon,
+  category: badge.category,
+  rarity: badge.rarity,
+  points: badge.points,
+  criteria: {
+    type: badge.criteria.type,
+    threshold: badge.criteria.threshold,
+    params: Object.fromEntries(Object.entries(badge.criteria.params || {}).map(([name, value]) =>
+      [name, Array.isArray(value) ? value.join(', ') : value]))
+  }
+});
+
+const toPayload = (form) => ({
+  ...form,
+  points: Number(form.points),
+  criteria: {
+    type: form.criteria.type,
+    threshold: Number(form.criteria.threshold),
+    params: Object.fromEntries(Object.entries(form.criteria.params)
+      .filter(([, value]) => value !== '' && value !== undefined)
+      .map(([name, value]) => [name, LIST_PARAMS.includes(name)
+        ? String(value).split(',').map(item => item.trim()).filter(Boolean)
+        : Number(value)]))
+  }
+});
+
+const BadgeCatalog = () => {
+  const [badges, setBadges] = useState([]);
+  const [options, setOptions] = useState({ criteria: {}, categories: [], rarities: [] });
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const fetchBadges = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await adminApi.getBadges();
+      setBadges(res?.data?.badges || []);
+      setOptions({
+        criteria: res?.data?.criteria || {},
+        categories: res?.data?.categories || [],
+        rarities: res?.data?.rarities || []
+      });
+    } catch (e) {
+      logger.error('Error fetching badge catalog', 'BADGE_CATALOG', e);
+      setNotice('Could not load the badge catalog.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBadges();
+  }, [fetchBadges]);
+
+  const openEditor = (badge) => {
+    setNotice('');
+    setEditing(badge ? badge.key : 'new');
+    setForm(badge ? toForm(badge) : EMPTY_FORM);
+  };
+
+  const setField = (name, value) => setForm(prev => ({ ...prev, [name]: value }));
+  const setCriteria = (name, value) => setForm(prev => ({
+    ...prev,
+    criteria: name === 'type'
+      ? { type: value, threshold: prev.criteria.threshold, params: {} }
+      : { ...prev.criteria, [name]: value }
+  }));
+  const setParam = (name, value) => setForm(prev => ({
+    ...prev,
+    criteria: { ...prev.criteria, params: { ...prev.criteria.params, [name]: value } }
+  }));
+
+  const save = async () => {
+    setSaving(true);
+    setNotice('');
+    try {
+      const { key, ...changes } = toPayload(form);
+      if (editing === 'new') {
+        await adminApi.createBadge({ key, ...changes });
+      } else {
+        await adminApi.updateBadge(editing, changes);
+      }
+      setEditing(null);
+      await fetchBadges();
+    } catch (e) {
+      logger.error('Error saving badge', 'BADGE_CATALOG', e);
+      setNotice('Could not save the badge. Check the key is unique and the criterion settings are valid.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (badge) => {
+    setNotice('');
+    try {
+      await adminApi.updateBadge(badge.key, { isActive: !badge.isActive });
+      await fetchBadges();
+    } catch (e) {
+      logger.error('Error retiring badge', 'BADGE_CATALOG', e);
+      setNotice(`Could not ${badge.isActive ? 'retire' : 'restore'} the badge.`);
+    }
+  };
+
+  const criterionOptions = Object.entries(options.criteria).map(([value, criterion]) => ({ value, label: criterion.label }));
+  const defaultParams = options.criteria[form.criteria.type]?.params || {};
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center">
+            <Award className="h-5 w-5 mr-2" /> Badge Catalog
+          </h2>
+          <p className="text-sm text-slate-500">
+            Donors earn badges automatically. Retired badges stop being awarded; donors keep the ones they have.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Button size="sm" onClick={() => openEditor(null)}>
+            <Plus className="h-4 w-4 mr-1" /> New badge
+          </Button>
+          <Button variant="outline" size="sm" onClick={fetchBadges} disabled={loading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {notice && <p className="text-sm text-red-600 dark:text-red-400">{notice}</p>}
+
+      {badges.length === 0 ? (
+        <p className="text-slate-500 text-sm">{loading ? 'Loading…' : 'No badges yet.'}</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+          {badges.map(badge => (
+            <li key={badge.key} className={`py-3 flex items-center gap-4 ${badge.isActive ? '' : 'opacity-60'}`}>
+              <span className="text-2xl">{badge.icon}</span>
+              <div className="flex-1">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium text-slate-900 dark:text-white">{badge.title}</span>
+                  <span className="font-mono text-xs text-slate-500">{badge.key}</span>
+                  <Badge variant={RARITY_VARIANTS[badge.rarity]} size="sm">{badge.rarity}</Badge>
+                  {!badge.isActive && <Badge variant="secondary" size="sm">Retired</Badge>}
+                </div>
+                <p className="text-xs text-slate-500">
+                  {options.criteria[badge.criteria.type]?.label || badge.criteria.type} ≥ {badge.criteria.threshold}
+                  {' · '}{badge.points} points · earned by {badge.earnedCount} donor{badge.earnedCount === 1 ? '' : 's'}
+                </p>
+              </div>
+              <div className="flex space-x-1">
+                <Button variant="ghost" size="sm" onClick={() => openEditor(badge)}>
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="sm" onClick={() => toggleActive(badge)} title={badge.isActive ? 'Retire' : 'Restore'}>
+                  {badge.isActive ? <Archive className="h-4 w-4" /> : <RotateCcw className="h-4 w-4" />}
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing === 'new' ? 'New badge' : 'Edit badge'}
+        size="lg"
+      >
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Key"
+              value={form.key}
+              onChange={e => setField('key', e.target.value)}
+              disabled={editing !== 'new'}
+              placeholder="night_owl"
+              required
+            />
+            <Input label="Title" value={form.title} onChange={e => setField('title', e.target.value)} required />
+            <Input label="Icon" value={form.icon} onChange={e => setField('icon', e.target.value)} />
+            <Input label="Points" type="number" min="0" value={form.points} onChange={e => setField('points', e.target.value)} />
+            <Select
+              label="Category"
+              value={form.category}
+              onChange={value => setField('category', value)}
+              options={options.categories.map(value => ({ value, label: value }))}
+            />
+            <Select
+              label="Rarity"
+              value={form.rarity}
+              onChange={value => setField('rarity', value)}
+              options={options.rarities.map(value => ({ value, label: value }))}
+            />
+          </div>
+          <Input
+            label="Description"
+            value={form.description}
+            onChange={e => setField('description', e.target.value)}
+            multiline
+            rows={2}
+          />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Select
+              label="Awarded for"
+              value={form.criteria.type}
+              onChange={value => setCriteria('type', value)}
+              options={criterionOptions}
+            />
+            <Input
+              label={`Threshold (${options.criteria[form.criteria.type]?.unit || 'count'})`}
+              type="number"
+              min="1"
+              value={form.criteria.threshold}
+              onChange={e => setCriteria('threshold', e.target.value)}
+            />
+            {Object.entries(defaultParams).map(([name, fallback]) => (
+              <Input
+                key={name}
+                label={name}
+                type={LIST_PARAMS.includes(name) ? 'text' : 'number'}
+                value={form.criteria.params[name] ?? ''}
+                onChange={e => setParam(name, e.target.value)}
+                placeholder={`Default: ${Array.isArray(fallback) ? fallback.join(', ') : fallback}`}
+              />
+            ))}
+          </div>
+          <div className="flex justify-end space-x-2">
+            <Button variant="outline" onClick={() => setEditing(null)}>Cancel</Button>
+            <Button onClick={save} disabled={saving || !form.key || !form.title}>
+              {saving ? 'Saving…' : 'Save badge'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </Card>
+  );
+};
+
+export default BadgeCatalog;
@@ -0,0 +1,67 @@
+import React from 'react';
+
+import Badge from '../ui/Badge';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  dateOfBirth: 'Date of birth',
+  idNumber: 'ID number',
+  pincode: 'Pincode'
+};
+
+const ID_TYPE_LABELS = {
+  aadhaar: 'Aadhaar',
+  pan: 'PAN',
+  voter_id: 'Voter ID',
+  driving_licence: 'Driving licence',
+  passport: 'Passport'
+};
+
+const ROW_CLASSES = {
+  match: 'text-slate-600 dark:text-slate-400',
+  mismatch: 'bg-red-50 text-red-800 dark:bg-red-900/20 dark:text-red-300',
+  missing: 'bg-yellow-50 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-300'
+};
+
+const scoreVariant = (score) => {
+  if (score >= 90) return 'green';
+  if (score >= 60) return 'yellow';
+  return 'red';
+};
+
+// OCR match score and per-field checks of a document, mismatches highlighted
+const DocumentOcrResult = ({ ocr }) => {
+  if (!ocr?.status) return null;
+
+  if (ocr.status === 'pending' || ocr.status === 'processing') {
+    return <p className="text-xs text-slate-500">Reading document…</p>;
+  }
+  if (ocr.status === 'unsupported') {
+    return <p className="text-xs text-slate-500">PDFs are not read automatically; check by eye.</p>;
+  }
+  if (ocr.status === 'failed') {
+    return <p className="text-xs text-red-600">Could not read document{ocr.error ? `: ${ocr.error}` : ''}</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+        <Badge variant={scoreVariant(ocr.matchScore)} size="sm">{ocr.matchScore}% match</Badge>
+        <span>OCR confidence {ocr.confidence}%</span>
+        {ocr.idType && <span>{ID_TYPE_LABELS[ocr.idType] || ocr.idType}</span>}
+      </div>
+      <ul className="text-xs space-y-0.5">
+        {ocr.checks.map(check => (
+          <li key={check.field} className={`px-2 py-0.5 rounded ${ROW_CLASSES[check.status]}`}>
+            <span className="font-medium">{FIELD_LABELS[check.field]}: </span>
+            {check.status === 'missing' ? 'not found' : check.extracted}
+            {check.status === 'mismatch' && check.expected && <span> (profile: {check.expected})</span>}
+            {check.note && <span> · {check.note}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DocumentOcrResult;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileCheck, CheckCircle, Eye, RefreshCw, ScanLine } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Badge from '../ui/Badge';
+import Select from '../ui/Select';
+import DocumentOcrResult from './DocumentOcrResult';
+import { adminApi, openDocument } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const TYPE_LABELS = {
+  id_proof: 'ID proof',
+  address_proof: 'Address proof',
+  medical_certificate: 'Medical certificate'
+};
+
+const TYPE_OPTIONS = [
+  { value: 'all', label: 'All documents' },
+  ...Object.entries(TYPE_LABELS).map(([value, label]) => ({ value, label }))
+];
+
+const BLOCKER_LABELS = {
+  not_read: 'not read yet',
+  field_mismatch: 'a field does not match',
+  field_missing: 'a field was not found',
+  low_score: 'match score too low',
+  low_confidence: 'OCR unsure of the text',
+  profile_changed: 'profile changed since the check'
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const DocumentVerificationQueue = () => {
+  const [documents, setDocuments] = useState([]);
+  const [ocrStatus, setOcrStatus] = useState(null);
+  const [type, setType] = useState('all');
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  const fetchDocuments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await adminApi.getPendingDocuments();
+      setDocuments((res?.data || []).filter(doc => TYPE_LABELS[doc.type]));
+      setOcrStatus(res?.ocr || null);
+      setSelected([]);
+    } catch (e) {
+      logger.error('Error fetching pending documents', 'DOCUMENT_VERIFICATION', e);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments]);
+
+  const visible = documents.filter(doc => type === 'all' || doc.type === type);
+  const eligible = visible.filter(doc => doc.bulkApproval?.eligible);
+
+  const toggle = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const approveSelected = async () => {
+    setBusyId('bulk');
+    setNotice('');
+    try {
+      const res = await adminApi.bulkApproveDocuments(selected);
+      const skipped = res?.data?.skipped || [];
+      setNotice(`${res?.message || 'Documents approved'}${skipped.length ? `; ${skipped.length} left for review` : ''}.`);
+      await fetchDocuments();
+    } catch (e) {
+      logger.error('Error bulk approving documents', 'DOCUMENT_VERIFICATION', e);
+      setNotice('Could not approve the selected documents.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const approve = async (doc) => {
+    setBusyId(doc._id);
+    setNotice('');
+    try {
+      await adminApi.verifyDocument(doc._id, { verified: true });
+      await fetchDocuments();
+    } catch (e) {
+      logger.error('Error approving document', 'DOCUMENT_VERIFICATION', e);
+      setNotice('Could not approve the document.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const readAgain = async (doc) => {
+    setBusyId(doc._id);
+    setNotice('');
+    try {
+      await adminApi.rerunDocumentOcr(doc._id);
+      await fetchDocuments();
+    } catch (e) {
+      logger.error('Error reading document', 'DOCUMENT_VERIFICATION', e);
+      setNotice('Could not read the document. PDFs and documents still being scanned cannot be read.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center">
+            <FileCheck className="h-5 w-5 mr-2" /> Document Checks
+          </h2>
+          <p className="text-sm text-slate-500">
+            {documents.length} waiting; {eligible.length} shown match the donor's profile
+            {ocrStatus?.bulkApproval && ` (score ${ocrStatus.bulkApproval.minScore}%+, OCR confidence ${ocrStatus.bulkApproval.minConfidence}%+)`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Select value={type} onChange={setType} options={TYPE_OPTIONS} className="w-48" />
+          <Button variant="outline" size="sm" onClick={fetchDocuments} disabled={loading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {ocrStatus && !ocrStatus.enabled && (
+        <p className="text-sm text-yellow-700 dark:text-yellow-300">Document OCR is turned off; documents must be checked by eye.</p>
+      )}
+      {ocrStatus?.missingLanguages?.length > 0 && (
+        <p className="text-sm text-yellow-700 dark:text-yellow-300">
+          OCR language data is missing ({ocrStatus.missingLanguages.join(', ')}); new documents are not being read.
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setSelected(eligible.map(doc => doc._id))}
+          disabled={eligible.length === 0}
+        >
+          Select all matches
+        </Button>
+        <Button
+          size="sm"
+          onClick={approveSelected}
+          disabled={selected.length === 0 || busyId === 'bulk'}
+          className="bg-green-600 hover:bg-green-700"
+        >
+          <CheckCircle className="h-4 w-4 mr-1" /> Approve selected ({selected.length})
+        </Button>
+      </div>
+
+      {notice && <p className="text-sm text-slate-600 dark:text-slate-400">{notice}</p>}
+
+      {visible.length === 0 ? (
+        <p className="text-slate-500 text-sm">{loading ? 'Loading…' : 'No documents waiting.'}</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+          {visible.map(doc => (
+            <li key={doc._id} className="py-4 flex gap-3">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={selected.includes(doc._id)}
+                onChange={() => toggle(doc._id)}
+                disabled={!doc.bulkApproval?.eligible}
+                title={doc.bulkApproval?.eligible
+                  ? 'Approve with the selection'
+                  : `Needs review: ${doc.bulkApproval?.blockers.map(b => BLOCKER_LABELS[b] || b).join(', ')}`}
+              />
+              <div className="flex-1 space-y-2">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium text-slate-900 dark:text-white">{doc.userId?.name || 'Unknown donor'}</span>
+                  <Badge variant="info" size="sm">{TYPE_LABELS[doc.type]}</Badge>
+                  <span className="text-slate-500">{doc.originalName} · {formatDate(doc.uploadedAt)}</span>
+                </div>
+                <DocumentOcrResult ocr={doc.ocr} />
+              </div>
+              <div className="flex flex-col gap-2">
+                <Button variant="outline" size="sm" onClick={() => openDocument(doc._id).catch(error => setNotice(error.message))}>
+                  <Eye className="h-4 w-4 mr-1" /> View
+                </Button>
+                <Button variant="secondary" size="sm" onClick={() => approve(doc)} disabled={busyId === doc._id}>
+                  <CheckCircle className="h-4 w-4 mr-1" /> Approve
+                </Button>
+                {doc.ocr?.status !== 'unsupported' && (
+                  <Button variant="ghost" size="sm" onClick={() => readAgain(doc)} disabled={busyId === doc._id}>
+                    <ScanLine className="h-4 w-4 mr-1" /> Read again
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default DocumentVerificationQueue;
@@ -19,6 +19,7 @@ import Input from '../ui/Input';
 import Select from '../ui/Select';
 import Badge from '../ui/Badge';
 import Modal from '../ui/Modal';
+import QuestionnaireReview from './QuestionnaireReview';
 import { adminApi } from '../../utils/api';
 import logger from '../../utils/logger';
 
@@ -252,8 +253,7 @@ const DonorManagement = () => {
       if (data.success && data.data?.questionnaire) {
         setSelectedQuestionnaire({
           donor,
-          questionnaire: data.data.questionnaire,
-          submittedAt: data.data.submittedAt
+          data: data.data
         });
         setShowQuestionnaireModal(true);
       } else {
@@ -316,6 +316,16 @@ const DonorManagement = () => {
     }
   };
 
+  const exportConsents = async () => {
+    try {
+      logger.info('Exporting consent ledger', 'DONOR_MANAGEMENT');
+      await adminApi.exportConsents();
+      logger.success('Consent ledger export completed', 'DONOR_MANAGEMENT');
+    } catch (error) {
+      logger.error('Failed to export consent ledger', 'DONOR_MANAGEMENT', error);
+    }
+  };
+
   // Pagination
   const totalPages = Math.ceil(filteredDonors.length / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
@@ -360,6 +370,15 @@ const DonorManagement = () => {
             <Download className="h-4 w-4" />
             <span>Export</span>
           </Button>
+
+          <Button
+            variant="outline"
+            onClick={exportConsents}
+            className="flex items-center space-x-2"
+          >
+            <Download className="h-4 w-4" />
+            <span>Consent Ledger</span>
+          </Button>
           
           <Button
             onClick={fetchDonors}
@@ -736,109 +755,17 @@ const DonorManagement = () => {
               <h4 className="text-lg font-medium text-slate-900 dark:text-white">
                 {selectedQuestionnaire.donor.name}'s Health Questionnaire
               </h4>
-              <p className="text-sm text-slate-500">
-                Submitted: {selectedQuestionnaire.submittedAt ? new Date(selectedQuestionnaire.submittedAt).toLocaleString() : 'Unknown'}
-              </p>
             </div>
 
-            <div className="space-y-4">
-              {/* Medical Conditions */}
-              {selectedQuestionnaire.questionnaire.medicalConditions && (
-                <div>
-                  <h5 className="font-medium text-slate-900 dark:text-white mb-2">Medical Conditions</h5>
-                  <div className="flex flex-wrap gap-2">
-                    {selectedQuestionnaire.questionnaire.medicalConditions.length > 0 ? (
-                      selectedQuestionnaire.questionnaire.medicalConditions.map((condition, index) => (
-                        <Badge key={index} variant="secondary">{condition}</Badge>
-                      ))
-                    ) : (
-                      <span className="text-sm text-slate-500">None reported</span>
-                    )}
-                  </div>
-                </div>
-              )}
-
-              {/* Lifestyle */}
-              {selectedQuestionnaire.questionnaire.lifestyle && (
-                <div>
-                  <h5 className="font-medium text-slate-900 dark:text-white mb-2">Lifestyle</h5>
-                  <div className="grid grid-cols-2 gap-4 text-sm">
-                    <div>
-                      <span className="font-medium">Smoking:</span> {selectedQuestionnaire.questionnaire.lifestyle.smoking || 'N/A'}
-                    </div>
-                    <div>
-                      <span className="font-medium">Alcohol:</span> {selectedQuestionnaire.questionnaire.lifestyle.alcohol || 'N/A'}
-                    </div>
-                    <div>
-                      <span className="font-medium">Exercise:</span> {selectedQuestionnaire.questionnaire.lifestyle.exercise || 'N/A'}
-                    </div>
-                    <div>
-                      <span className="font-medium">Diet:</span> {selectedQuestionnaire.questionnaire.lifestyle.diet || 'N/A'}
-                    </div>
-                  </div>
-                </div>
-              )}
-
-              {/* Current Health */}
-              {selectedQuestionnaire.questionnaire.currentHealth && (
-                <div>
-                  <h5 className="font-medium text-slate-900 dark:text-white mb-2">Current Health</h5>
-                  <div className="text-sm space-y-2">
-                    <div>
-                      <span className="font-medium">Feeling Well:</span> {selectedQuestionnaire.questionnaire.currentHealth.feelingWell ? 'Yes' : 'No'}
-                    </div>
-                    {selectedQuestionnaire.questionnaire.currentHealth.recentIllness && (
-                      <div>
-                        <span className="font-medium">Recent Illness:</span> {selectedQuestionnaire.questionnaire.currentHealth.recentIllness}
-                      </div>
-                    )}
-                    {selectedQuestionnaire.questionnaire.currentHealth.currentSymptoms && selectedQuestionnaire.questionnaire.currentHealth.currentSymptoms.length > 0 && (
-                      <div>
-                        <span className="font-medium">Current Symptoms:</span>
-                        <div className="flex flex-wrap gap-1 mt-1">
-                          {selectedQuestionnaire.questionnaire.currentHealth.currentSymptoms.map((symptom, index) => (
-                            <Badge key={index} variant="warning" size="sm">{symptom}</Badge>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                </div>
-              )}
-
-              {/* Previous Donations */}
-              {selectedQuestionnaire.questionnaire.previousDonations && (
-                <div>
-                  <h5 className="font-medium text-slate-900 dark:text-white mb-2">Previous Donations</h5>
-                  <div className="text-sm space-y-2">
-                    <div>
-                      <span className="font-medium">Has Donated Before:</span> {selectedQuestionnaire.questionnaire.previousDonations.hasDonateBefore ? 'Yes' : 'No'}
-                    </div>
-                    {selectedQuestionnaire.questionnaire.previousDonations.lastDonationDate && (
-                      <div>
-                        <span className="font-medium">Last Donation:</span> {new Date(selectedQuestionnaire.questionnaire.previousDonations.lastDonationDate).toLocaleDateString()}
-                      </div>
-                    )}
-                    {selectedQuestionnaire.questionnaire.previousDonations.complications && (
-                      <div>
-                        <span className="font-medium">Complications:</span> {selectedQuestionnaire.questionnaire.previousDonations.complications}
-                      </div>
-                    )}
-                  </div>
-                </div>
-              )}
-            </div>
+            <QuestionnaireReview
+              donorId={selectedQuestionnaire.donor.id || selectedQuestionnaire.donor._id}
+              data={selectedQuestionnaire.data}
+            />
 
-            <div className="flex justify-end space-x-3 pt-4 border-t">
+            <div className="flex justify-end">
               <Button variant="outline" onClick={() => setShowQuestionnaireModal(false)}>
                 Close
               </Button>
-              <Button onClick={() => {
-                // Add questionnaire review functionality here
-                alert('Questionnaire review functionality to be implemented');
-              }}>
-                Add Review Notes
-              </Button>
             </div>
           </div>
         )}
@@ -33,6 +33,8 @@ const InventoryAnalytics = ({ className = '' }) => {
   const [analyticsData, setAnalyticsData] = useState(null);
   const [lowStockAlerts, setLowStockAlerts] = useState([]);
   const [expiryAlerts, setExpiryAlerts] = useState([]);
+  const [forecast, setForecast] = useState(null);
+  const [forecastHorizon, setForecastHorizon] = useState('14');
   const [isLoading, setIsLoading] = useState(true);
   const [selectedTimeRange, setSelectedTimeRange] = useState('30d');
   const [selectedBloodType, setSelectedBloodType] = useState('all');
@@ -43,6 +45,24 @@ const InventoryAnalytics = ({ className = '' }) => {
     fetchAlerts();
   }, [selectedTimeRange, selectedBloodType, selectedRegion]);
 
+  useEffect(() => {
+    const fetchForecast = async () => {
+      try {
+        const params = selectedBloodType !== 'all' ? `?bloodType=${encodeURIComponent(selectedBloodType)}` : '';
+        const res = await fetch(`/api/v1/analytics/inventory/forecast${params}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token') || ''}` }
+        });
+        if (res.ok) {
+          const data = await res.json();
+          setForecast(data?.data || null);
+        }
+      } catch (error) {
+        logger.error('Error fetching inventory forecast:', error);
+      }
+    };
+    fetchForecast();
+  }, [selectedBloodType]);
+
   const fetchAnalyticsData = async () => {
     setIsLoading(true);
     try {
@@ -161,7 +181,7 @@ const InventoryAnalytics = ({ className = '' }) => {
 
   const handleProcessExpiredInventory = async () => {
     try {
-      const response = await fetch('/api/inventory/admin/process-expired', {
+      const response = await fetch('/api/v1/inventory/admin/process-expired', {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
@@ -216,6 +236,18 @@ const InventoryAnalytics = ({ className = '' }) => {
     { value: 'O-', label: 'O-' }
   ];
 
+  const forecastHorizonOptions = [
+    { value: '7', label: 'Next 7 days' },
+    { value: '14', label: 'Next 14 days' },
+    { value: '30', label: 'Next 30 days' }
+  ];
+
+  const formatStockOut = (item) => {
+    if (item.daysUntilStockOut === null) return 'Not within 90 days';
+    if (item.daysUntilStockOut === 0) return 'Out of stock';
+    return `${new Date(item.projectedStockOutDate).toLocaleDateString()} (${item.daysUntilStockOut}d)`;
+  };
+
   const regionOptions = [
     { value: 'all', label: 'All Regions' },
     { value: 'north', label: 'North Delhi' },
@@ -582,6 +614,100 @@ const InventoryAnalytics = ({ className = '' }) => {
         </motion.div>
       </div>
 
+      {/* Demand Forecast */}
+      {forecast && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.65 }}
+        >
+          <Card className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
+                Demand Forecast
+              </h3>
+              <div className="flex items-center space-x-3">
+                <Select
+                  value={forecastHorizon}
+                  onChange={setForecastHorizon}
+                  options={forecastHorizonOptions}
+                />
+                <Calendar className="h-5 w-5 text-slate-400" />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              {forecast.summary.map(item => (
+                <div key={`${item.bloodType}-${item.component}`} className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <span className="font-bold text-slate-900 dark:text-white">
+                      {item.bloodType}
+                      <span className="ml-1 text-xs font-normal text-slate-500">{item.component?.replace('_', ' ')}</span>
+                    </span>
+                    {item.facilitiesAtRisk > 0 && (
+                      <Badge variant="red" size="sm">{item.facilitiesAtRisk} at risk</Badge>
+                    )}
+                  </div>
+                  <p className="text-sm text-slate-600 dark:text-slate-400">
+                    {item.forecast[`${forecastHorizon}d`]} units needed • {item.availableUnits} in stock
+                  </p>
+                </div>
+              ))}
+            </div>
+
+            {forecast.forecasts.length === 0 ? (
+              <p className="text-slate-600 dark:text-slate-400">No inventory records to forecast.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-600 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                      <th className="py-2 pr-4">Facility</th>
+                      <th className="py-2 pr-4">Type</th>
+                      <th className="py-2 pr-4">Available</th>
+                      <th className="py-2 pr-4">Forecast</th>
+                      <th className="py-2 pr-4">Projected Stock-out</th>
+                      <th className="py-2 pr-4">Min. Threshold</th>
+                      <th className="py-2">Confidence</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {forecast.forecasts.map(item => (
+                      <tr key={`${item.facility.id}-${item.bloodType}-${item.component}`} className="border-b border-slate-100 dark:border-slate-800">
+                        <td className="py-2 pr-4 text-slate-900 dark:text-white">{item.facility.name || 'Unknown facility'}</td>
+                        <td className="py-2 pr-4 font-medium">
+                          {item.bloodType}
+                          <span className="ml-1 text-xs font-normal text-slate-500">{item.component?.replace('_', ' ')}</span>
+                        </td>
+                        <td className="py-2 pr-4">{item.availableUnits}</td>
+                        <td className="py-2 pr-4">
+                          {item.forecast[`${forecastHorizon}d`]} units
+                          <span className="text-slate-500"> ({item.forecastDailyConsumption}/day)</span>
+                        </td>
+                        <td className={`py-2 pr-4 ${item.daysUntilStockOut !== null && item.daysUntilStockOut <= Number(forecastHorizon) ? 'text-red-600 font-medium' : ''}`}>
+                          {formatStockOut(item)}
+                        </td>
+                        <td className="py-2 pr-4">
+                          {item.minimumThreshold}
+                          {item.suggestedMinimumThreshold !== item.minimumThreshold && (
+                            <span className="text-slate-500"> → {item.suggestedMinimumThreshold} suggested</span>
+                          )}
+                        </td>
+                        <td className="py-2">
+                          <Badge variant={item.confidence === 'high' ? 'green' : item.confidence === 'medium' ? 'yellow' : 'gray'} size="sm">
+                            {item.confidence}
+                          </Badge>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Card>
+        </motion.div>
+      )}
+
       {/* Performance Tables */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Top Performing Hospitals */}
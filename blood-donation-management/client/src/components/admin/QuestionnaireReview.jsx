@@ -1,15 +1,11 @@
-import React, { useState, useEffect } from 'react';
-import { motion } from 'framer-motion';
-import { 
-  FileText, 
-  CheckCircle, 
-  XCircle, 
+import React, { useState } from 'react';
+import {
+  FileText,
+  CheckCircle,
+  XCircle,
   AlertTriangle,
-  User,
-  Calendar,
-  Heart,
-  Pill,
-  Activity,
+  Clock,
+  RefreshCw,
   MessageSquare
 } from 'lucide-react';
 
@@ -20,359 +16,268 @@ import Input from '../ui/Input';
 import { adminApi } from '../../utils/api';
 import logger from '../../utils/logger';
 
-const QuestionnaireReview = ({ donorId, questionnaire, onReviewComplete }) => {
-  const [reviewNotes, setReviewNotes] = useState('');
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [eligibilityAssessment, setEligibilityAssessment] = useState(null);
+const OUTCOME_BADGES = {
+  cleared: { variant: 'green', label: 'Cleared' },
+  deferred: { variant: 'red', label: 'Deferred' },
+  review: { variant: 'yellow', label: 'Needs review' }
+};
 
-  useEffect(() => {
-    if (questionnaire) {
-      assessEligibility(questionnaire);
-    }
-  }, [questionnaire]);
+const formatDate = value => (value ? new Date(value).toLocaleDateString() : null);
 
-  const assessEligibility = (data) => {
-    const disqualifyingConditions = [
-      'hiv', 'hepatitis', 'cancer', 'bleeding_disorder'
-    ];
-    
-    let eligible = true;
-    let warnings = [];
-    let concerns = [];
-    let deferralReason = null;
+const humanize = key => key.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2');
 
-    // Check for disqualifying conditions
-    if (data.medicalConditions && data.medicalConditions.length > 0) {
-      const hasDisqualifying = data.medicalConditions.some(condition => 
-        disqualifyingConditions.includes(condition)
-      );
-      
-      if (hasDisqualifying) {
-        eligible = false;
-        deferralReason = 'Medical condition requires permanent deferral';
-        concerns.push('Disqualifying medical condition reported');
-      } else {
-        warnings.push(`${data.medicalConditions.length} medical condition(s) reported - requires review`);
-      }
-    }
+// Answer as shown to staff, using the option labels of the version answered
+const formatAnswer = (question, value) => {
+  if (value === undefined || value === null || value === '') return '—';
 
-    // Check current health
-    if (data.currentHealth && !data.currentHealth.feelingWell) {
-      eligible = false;
-      deferralReason = 'Must be feeling well to donate';
-      concerns.push('Donor not feeling well');
-    }
+  const label = option => question?.options?.find(item => item.value === option)?.label || option;
 
-    // Check recent illness
-    if (data.currentHealth && data.currentHealth.recentIllness) {
-      warnings.push('Recent illness reported');
-    }
+  switch (question?.type) {
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'single_choice':
+      return label(value);
+    case 'multi_choice':
+      return value.length > 0 ? value.map(label).join(', ') : 'None';
+    case 'date':
+      return formatDate(value);
+    case 'medications':
+      return value.length > 0
+        ? value.map(item => (item.lastDose ? `${item.name} (last dose ${formatDate(item.lastDose)})` : item.name)).join(', ')
+        : 'None';
+    default:
+      if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+      if (Array.isArray(value)) return value.map(item => (typeof item === 'object' ? item.name || JSON.stringify(item) : item)).join(', ') || 'None';
+      if (typeof value === 'object') return JSON.stringify(value);
+      return String(value);
+  }
+};
 
-    // Check previous donation complications
-    if (data.previousDonations && data.previousDonations.complications) {
-      warnings.push('Previous donation complications reported');
-    }
+/**
+ * Screening result and answers for one donor's health questionnaire, with
+ * the review decision for answers that were flagged.
+ *
+ * `data` is the response of GET /api/v1/admin/donors/:id/questionnaire.
+ * Answers from before questionnaires were versioned have no definition and
+ * are listed as they were stored.
+ */
+const QuestionnaireReview = ({ donorId, data, onReviewComplete }) => {
+  const [decision, setDecision] = useState('cleared');
+  const [deferredUntil, setDeferredUntil] = useState('');
+  const [reviewNotes, setReviewNotes] = useState('');
+  const [review, setReview] = useState(data?.review || null);
+  const [error, setError] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
 
-    // Check lifestyle factors
-    if (data.lifestyle) {
-      if (data.lifestyle.smoking === 'regular') {
-        warnings.push('Regular smoker - may affect eligibility');
-      }
-      if (data.lifestyle.alcohol === 'heavy') {
-        warnings.push('Heavy alcohol consumption - may affect eligibility');
-      }
-    }
+  if (!data?.questionnaire) {
+    return (
+      <Card className="p-6">
+        <div className="text-center text-slate-500">
+          <FileText className="h-12 w-12 mx-auto mb-4" />
+          <p>No questionnaire data available</p>
+        </div>
+      </Card>
+    );
+  }
 
-    setEligibilityAssessment({
-      eligible,
-      deferralReason,
-      warnings,
-      concerns,
-      riskLevel: concerns.length > 0 ? 'high' : warnings.length > 2 ? 'medium' : 'low'
-    });
-  };
+  const { questionnaire: answers, definition, screening, reanswerRequired } = data;
+  const flags = screening?.flags || [];
+  const deferrals = screening?.deferrals || [];
+  const questionsById = Object.fromEntries((definition?.questions || []).map(question => [question.id, question]));
+
+  const answerRows = definition
+    ? definition.questions
+      .filter(question => answers[question.id] !== undefined)
+      .map(question => ({ id: question.id, text: question.text, value: formatAnswer(question, answers[question.id]) }))
+    : Object.entries(answers)
+      .filter(([key]) => !['completedAt', 'eligibility'].includes(key))
+      .map(([key, value]) => ({ id: key, text: humanize(key), value: formatAnswer(null, value) }));
+
+  const flaggedIds = new Set([...flags, ...deferrals].map(item => item.questionId));
+
+  const handleSubmitReview = async () => {
+    if (decision === 'deferred' && !deferredUntil) {
+      setError('Choose the date the deferral ends');
+      return;
+    }
 
-  const handleReviewAction = async (action, decision) => {
     setIsProcessing(true);
+    setError(null);
     try {
-      logger.info(`Reviewing questionnaire for donor ${donorId}: ${action}`, 'QUESTIONNAIRE_REVIEW');
-      
-      const reviewData = {
+      logger.info(`Reviewing questionnaire for donor ${donorId}: ${decision}`, 'QUESTIONNAIRE_REVIEW');
+
+      const response = await adminApi.reviewQuestionnaire(donorId, {
         decision,
-        notes: reviewNotes,
-        eligibilityAssessment,
-        reviewedAt: new Date().toISOString()
-      };
+        deferredUntil: decision === 'deferred' ? deferredUntil : undefined,
+        notes: reviewNotes || undefined
+      });
 
-      const response = await adminApi.reviewQuestionnaire(donorId, reviewData);
-      
       if (response?.success) {
         logger.success('Questionnaire review completed', 'QUESTIONNAIRE_REVIEW');
-        onReviewComplete?.(decision, reviewData);
+        setReview(response.data.review);
+        onReviewComplete?.(response.data);
       } else {
-        throw new Error(response?.message || 'Review failed');
+        throw new Error(response?.error?.message || 'Review failed');
       }
-    } catch (error) {
-      logger.error('Failed to complete questionnaire review', 'QUESTIONNAIRE_REVIEW', error);
+    } catch (err) {
+      logger.error('Failed to complete questionnaire review', 'QUESTIONNAIRE_REVIEW', err);
+      setError('Failed to save the review. Please try again.');
     } finally {
       setIsProcessing(false);
     }
   };
 
-  if (!questionnaire) {
-    return (
-      <Card className="p-6">
-        <div className="text-center text-slate-500">
-          <FileText className="h-12 w-12 mx-auto mb-4" />
-          <p>No questionnaire data available</p>
-        </div>
-      </Card>
-    );
-  }
+  const outcomeBadge = OUTCOME_BADGES[screening?.outcome];
 
   return (
     <div className="space-y-6">
-      {/* Eligibility Assessment */}
-      {eligibilityAssessment && (
-        <Card className="p-6">
-          <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-slate-900">
-              Eligibility Assessment
-            </h3>
-            <Badge 
-              variant={
-                eligibilityAssessment.riskLevel === 'high' ? 'red' : 
-                eligibilityAssessment.riskLevel === 'medium' ? 'yellow' : 'green'
-              }
-            >
-              {eligibilityAssessment.riskLevel.toUpperCase()} RISK
-            </Badge>
-          </div>
-
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-            <div className="flex items-center space-x-3">
-              <div className={`w-4 h-4 rounded-full ${
-                eligibilityAssessment.eligible ? 'bg-green-500' : 'bg-red-500'
-              }`}></div>
-              <span className="font-medium">
-                {eligibilityAssessment.eligible ? 'Eligible' : 'Not Eligible'}
-              </span>
-            </div>
-            
-            {eligibilityAssessment.deferralReason && (
-              <div className="text-sm text-red-600">
-                Reason: {eligibilityAssessment.deferralReason}
-              </div>
-            )}
-          </div>
+      {/* Screening */}
+      <Card className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
+            Automatic Screening
+          </h3>
+          {outcomeBadge && <Badge variant={outcomeBadge.variant}>{outcomeBadge.label}</Badge>}
+        </div>
 
-          {/* Concerns */}
-          {eligibilityAssessment.concerns.length > 0 && (
-            <div className="mb-4">
-              <h4 className="text-sm font-medium text-red-700 mb-2 flex items-center">
-                <AlertTriangle className="h-4 w-4 mr-1" />
-                Critical Concerns
-              </h4>
-              <ul className="space-y-1">
-                {eligibilityAssessment.concerns.map((concern, index) => (
-                  <li key={index} className="text-sm text-red-600 flex items-center">
-                    <span className="w-2 h-2 bg-red-500 rounded-full mr-2"></span>
-                    {concern}
-                  </li>
-                ))}
-              </ul>
-            </div>
-          )}
+        <p className="text-sm text-slate-500 mb-4">
+          {data.version ? `Questionnaire version ${data.version}` : 'Answered before questionnaires were versioned'}
+          {data.submittedAt && ` · submitted ${new Date(data.submittedAt).toLocaleString()}`}
+        </p>
 
-          {/* Warnings */}
-          {eligibilityAssessment.warnings.length > 0 && (
-            <div>
-              <h4 className="text-sm font-medium text-yellow-700 mb-2 flex items-center">
-                <AlertTriangle className="h-4 w-4 mr-1" />
-                Warnings
-              </h4>
-              <ul className="space-y-1">
-                {eligibilityAssessment.warnings.map((warning, index) => (
-                  <li key={index} className="text-sm text-yellow-600 flex items-center">
-                    <span className="w-2 h-2 bg-yellow-500 rounded-full mr-2"></span>
-                    {warning}
-                  </li>
-                ))}
-              </ul>
-            </div>
-          )}
-        </Card>
-      )}
+        {reanswerRequired?.version && (
+          <div className="mb-4 p-3 rounded-lg bg-blue-50 dark:bg-blue-900/20 text-sm text-blue-800 dark:text-blue-200 flex items-start">
+            <RefreshCw className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            Asked to answer version {reanswerRequired.version}: {reanswerRequired.reason}
+          </div>
+        )}
 
-      {/* Medical History */}
-      <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 mb-4 flex items-center">
-          <Heart className="h-5 w-5 mr-2 text-red-500" />
-          Medical History
-        </h3>
-        
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <h4 className="text-sm font-medium text-slate-700 mb-2">Medical Conditions</h4>
-            {questionnaire.medicalConditions && questionnaire.medicalConditions.length > 0 ? (
-              <div className="space-y-1">
-                {questionnaire.medicalConditions.map((condition, index) => (
-                  <Badge key={index} variant="red" size="sm">
-                    {condition.replace('_', ' ').toUpperCase()}
-                  </Badge>
-                ))}
-              </div>
-            ) : (
-              <p className="text-sm text-slate-500">None reported</p>
-            )}
+        {deferrals.length > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-red-700 mb-2 flex items-center">
+              <XCircle className="h-4 w-4 mr-1" />
+              Deferrals
+            </h4>
+            <ul className="space-y-1">
+              {deferrals.map((deferral, index) => (
+                <li key={index} className="text-sm text-red-600">
+                  {deferral.message}
+                  {deferral.until ? ` — until ${formatDate(deferral.until)}` : ' — permanent'}
+                </li>
+              ))}
+            </ul>
           </div>
+        )}
 
+        {flags.length > 0 && (
           <div>
-            <h4 className="text-sm font-medium text-slate-700 mb-2">Current Health Status</h4>
-            <div className="space-y-2">
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-slate-600">Feeling well today:</span>
-                <Badge variant={questionnaire.currentHealth?.feelingWell ? 'green' : 'red'}>
-                  {questionnaire.currentHealth?.feelingWell ? 'Yes' : 'No'}
-                </Badge>
-              </div>
-              
-              {questionnaire.currentHealth?.recentIllness && (
-                <div>
-                  <span className="text-sm text-slate-600">Recent illness:</span>
-                  <p className="text-sm text-slate-900 mt-1">
-                    {questionnaire.currentHealth.recentIllness}
-                  </p>
-                </div>
-              )}
-            </div>
+            <h4 className="text-sm font-medium text-yellow-700 mb-2 flex items-center">
+              <AlertTriangle className="h-4 w-4 mr-1" />
+              Flagged for review
+            </h4>
+            <ul className="space-y-1">
+              {flags.map((flag, index) => (
+                <li key={index} className="text-sm text-yellow-700">
+                  {flag.message}
+                  {questionsById[flag.questionId] && (
+                    <span className="text-slate-500"> ({formatAnswer(questionsById[flag.questionId], answers[flag.questionId])})</span>
+                  )}
+                </li>
+              ))}
+            </ul>
           </div>
-        </div>
+        )}
+
+        {screening?.outcome === 'cleared' && (
+          <p className="text-sm text-green-700 flex items-center">
+            <CheckCircle className="h-4 w-4 mr-1" />
+            No answers affect eligibility
+          </p>
+        )}
       </Card>
 
-      {/* Lifestyle Information */}
+      {/* Answers */}
       <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 mb-4 flex items-center">
-          <Activity className="h-5 w-5 mr-2 text-blue-500" />
-          Lifestyle Information
-        </h3>
-        
-        {questionnaire.lifestyle && (
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div className="space-y-3">
-              <div className="flex justify-between">
-                <span className="text-sm text-slate-600">Smoking:</span>
-                <Badge variant={questionnaire.lifestyle.smoking === 'never' ? 'green' : 'yellow'}>
-                  {questionnaire.lifestyle.smoking || 'Not specified'}
-                </Badge>
-              </div>
-              
-              <div className="flex justify-between">
-                <span className="text-sm text-slate-600">Alcohol:</span>
-                <Badge variant={questionnaire.lifestyle.alcohol === 'never' ? 'green' : 'yellow'}>
-                  {questionnaire.lifestyle.alcohol || 'Not specified'}
-                </Badge>
-              </div>
-            </div>
-            
-            <div className="space-y-3">
-              <div className="flex justify-between">
-                <span className="text-sm text-slate-600">Exercise:</span>
-                <Badge variant="blue">
-                  {questionnaire.lifestyle.exercise || 'Not specified'}
-                </Badge>
-              </div>
-              
-              <div className="flex justify-between">
-                <span className="text-sm text-slate-600">Diet:</span>
-                <Badge variant="blue">
-                  {questionnaire.lifestyle.diet || 'Not specified'}
-                </Badge>
-              </div>
+        <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">Answers</h3>
+        <dl className="divide-y divide-slate-100 dark:divide-slate-700">
+          {answerRows.map(row => (
+            <div key={row.id} className="py-2 grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+              <dt className={`${flaggedIds.has(row.id) ? 'text-yellow-700 font-medium' : 'text-slate-600 dark:text-slate-400'}`}>
+                {row.text}
+              </dt>
+              <dd className="text-slate-900 dark:text-white">{row.value}</dd>
             </div>
-          </div>
-        )}
+          ))}
+        </dl>
       </Card>
 
-      {/* Previous Donations */}
-      <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 mb-4 flex items-center">
-          <Calendar className="h-5 w-5 mr-2 text-green-500" />
-          Previous Donations
-        </h3>
-        
-        <div className="space-y-4">
-          <div className="flex items-center justify-between">
-            <span className="text-sm text-slate-600">Has donated before:</span>
-            <Badge variant={questionnaire.previousDonations?.hasDonateBefore ? 'green' : 'gray'}>
-              {questionnaire.previousDonations?.hasDonateBefore ? 'Yes' : 'No'}
-            </Badge>
+      {/* Review decision */}
+      {review?.decision ? (
+        <Card className="p-6">
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center">
+            <MessageSquare className="h-5 w-5 mr-2 text-purple-500" />
+            Medical Review
+          </h3>
+          <p className="text-sm text-slate-700 dark:text-slate-300">
+            {review.decision === 'cleared'
+              ? 'Cleared to donate'
+              : `Deferred${review.deferredUntil ? ` until ${formatDate(review.deferredUntil)}` : ''}`}
+            {review.reviewedAt && ` on ${formatDate(review.reviewedAt)}`}
+          </p>
+          {review.notes && <p className="text-sm text-slate-500 mt-2">{review.notes}</p>}
+        </Card>
+      ) : flags.length > 0 && (
+        <Card className="p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-white flex items-center">
+            <Clock className="h-5 w-5 mr-2 text-purple-500" />
+            Medical Review
+          </h3>
+
+          <div className="flex gap-3">
+            {[{ value: 'cleared', label: 'Clear to donate' }, { value: 'deferred', label: 'Defer' }].map(option => (
+              <label key={option.value} className="flex items-center space-x-2 text-sm cursor-pointer">
+                <input
+                  type="radio"
+                  name="questionnaire-decision"
+                  checked={decision === option.value}
+                  onChange={() => setDecision(option.value)}
+                  style={{ accentColor: '#dc2626' }}
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
           </div>
-          
-          {questionnaire.previousDonations?.hasDonateBefore && (
-            <>
-              {questionnaire.previousDonations.lastDonationDate && (
-                <div className="flex justify-between">
-                  <span className="text-sm text-slate-600">Last donation:</span>
-                  <span className="text-sm text-slate-900">
-                    {new Date(questionnaire.previousDonations.lastDonationDate).toLocaleDateString()}
-                  </span>
-                </div>
-              )}
-              
-              {questionnaire.previousDonations.complications && (
-                <div>
-                  <span className="text-sm text-slate-600">Complications:</span>
-                  <p className="text-sm text-slate-900 mt-1">
-                    {questionnaire.previousDonations.complications}
-                  </p>
-                </div>
-              )}
-            </>
+
+          {decision === 'deferred' && (
+            <Input
+              label="Deferred until"
+              type="date"
+              value={deferredUntil}
+              onChange={(e) => setDeferredUntil(e.target.value)}
+              required
+            />
           )}
-        </div>
-      </Card>
 
-      {/* Review Notes */}
-      <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 mb-4 flex items-center">
-          <MessageSquare className="h-5 w-5 mr-2 text-purple-500" />
-          Review Notes
-        </h3>
-        
-        <Input
-          label="Admin Notes"
-          value={reviewNotes}
-          onChange={(e) => setReviewNotes(e.target.value)}
-          placeholder="Add any additional notes about this questionnaire review..."
-          multiline
-          rows={4}
-        />
-      </Card>
+          <Input
+            label="Notes"
+            value={reviewNotes}
+            onChange={(e) => setReviewNotes(e.target.value)}
+            placeholder="Reason for the decision"
+            multiline
+            rows={3}
+          />
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
 
-      {/* Action Buttons */}
-      <div className="flex justify-end space-x-3">
-        <Button
-          variant="outline"
-          onClick={() => handleReviewAction('reject', 'rejected')}
-          disabled={isProcessing}
-          className="text-red-600 border-red-300 hover:bg-red-50"
-        >
-          <XCircle className="h-4 w-4 mr-2" />
-          Reject Application
-        </Button>
-        
-        <Button
-          onClick={() => handleReviewAction('approve', 'approved')}
-          disabled={isProcessing}
-          className="bg-green-600 hover:bg-green-700"
-        >
-          <CheckCircle className="h-4 w-4 mr-2" />
-          Approve Application
-        </Button>
-      </div>
+          <div className="flex justify-end">
+            <Button onClick={handleSubmitReview} loading={isProcessing}>
+              Save Review
+            </Button>
+          </div>
+        </Card>
+      )}
     </div>
   );
 };
 
-export default QuestionnaireReview;
\ No newline at end of file
+export default QuestionnaireReview;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MessageSquare, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Badge from '../ui/Badge';
+import Select from '../ui/Select';
+import { adminApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const STATUS_OPTIONS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'all', label: 'All' }
+];
+
+const REASON_LABELS = {
+  unparsed: 'Not understood',
+  no_open_request: 'No open request'
+};
+
+// Answers a coordinator can record for the donor's latest request
+const INTENT_ACTIONS = [
+  { intent: 'accept', label: 'Yes' },
+  { intent: 'tentative', label: 'Maybe' },
+  { intent: 'decline', label: 'No' }
+];
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const ReplyReviewInbox = () => {
+  const [messages, setMessages] = useState([]);
+  const [pending, setPending] = useState(null);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  const fetchMessages = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await adminApi.getInboundMessages({ status, limit: 100 });
+      setMessages(res?.data?.messages || []);
+      setPending(res?.data?.pending || null);
+    } catch (e) {
+      logger.error('Error fetching donor messages', 'REPLY_REVIEW_INBOX', e);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  const review = async (message, reviewStatus, intent) => {
+    setBusyId(message._id);
+    setNotice('');
+    try {
+      const res = await adminApi.reviewInboundMessage(message._id, { status: reviewStatus, intent });
+      setNotice(res?.message || '');
+      await fetchMessages();
+    } catch (e) {
+      logger.error('Error reviewing donor message', 'REPLY_REVIEW_INBOX', e);
+      setNotice(intent ? 'Could not record that answer. The donor may have no open request.' : 'Could not update the message.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center">
+            <MessageSquare className="h-5 w-5 mr-2" /> Donor Messages
+          </h2>
+          {pending && (
+            <p className="text-sm text-slate-500">
+              {pending.total} waiting: {pending.unparsed} not understood, {pending.no_open_request} with no open request
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <Select value={status} onChange={setStatus} options={STATUS_OPTIONS} className="w-40" />
+          <Button variant="outline" size="sm" onClick={fetchMessages} disabled={loading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {notice && <p className="text-sm text-slate-600 dark:text-slate-400">{notice}</p>}
+
+      {messages.length === 0 ? (
+        <p className="text-slate-500 text-sm">{loading ? 'Loading…' : 'No messages here.'}</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+          {messages.map(message => (
+            <li key={message._id} className="py-4 space-y-2">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-medium text-slate-900 dark:text-white">
+                  {message.user?.name || message.phoneNumber}
+                </span>
+                {message.user?.bloodType && <Badge variant="red" size="sm">{message.user.bloodType}</Badge>}
+                <Badge variant="info" size="sm">{message.channel === 'sms' ? 'SMS' : 'WhatsApp'}</Badge>
+                <Badge variant="warning" size="sm">{REASON_LABELS[message.review.reason]}</Badge>
+                {message.parsed?.intent && message.parsed.intent !== 'unknown' && (
+                  <Badge variant="secondary" size="sm">Read as {message.parsed.intent.replace(/_/g, ' ')}</Badge>
+                )}
+                <span className="text-slate-500">{formatDateTime(message.createdAt)}</span>
+              </div>
+
+              <p className="text-slate-700 dark:text-slate-300 whitespace-pre-wrap">{message.text}</p>
+
+              {message.review.status === 'pending' ? (
+                <div className="flex flex-wrap gap-2">
+                  {INTENT_ACTIONS.map(({ intent, label }) => (
+                    <Button
+                      key={intent}
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => review(message, 'resolved', intent)}
+                      disabled={busyId === message._id}
+                    >
+                      Record {label}
+                    </Button>
+                  ))}
+                  <Button variant="secondary" size="sm" onClick={() => review(message, 'resolved')} disabled={busyId === message._id}>
+                    <CheckCircle className="h-4 w-4 mr-1" /> Handled
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => review(message, 'dismissed')} disabled={busyId === message._id}>
+                    <XCircle className="h-4 w-4 mr-1" /> Dismiss
+                  </Button>
+                </div>
+              ) : (
+                <p className="text-xs text-slate-500">
+                  {message.review.status === 'resolved' ? 'Resolved' : 'Dismissed'}
+                  {message.review.intent ? ` as ${message.review.intent}` : ''}
+                  {message.review.reviewedBy?.name ? ` by ${message.review.reviewedBy.name}` : ''}
+                  {message.review.reviewedAt ? `, ${formatDateTime(message.review.reviewedAt)}` : ''}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default ReplyReviewInbox;
@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Inbox, Send, RefreshCw, Clock, CheckCircle, RotateCcw } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Badge from '../ui/Badge';
+import Select from '../ui/Select';
+import { adminApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const STATUS_OPTIONS = [
+  { value: 'active', label: 'Open & waiting' },
+  { value: 'open', label: 'Needs reply' },
+  { value: 'waiting', label: 'Waiting on them' },
+  { value: 'closed', label: 'Closed' },
+  { value: 'all', label: 'All' }
+];
+
+const ASSIGNMENT_OPTIONS = [
+  { value: '', label: 'Everyone' },
+  { value: 'me', label: 'Assigned to me' },
+  { value: 'unassigned', label: 'Unassigned' }
+];
+
+const PRIORITY_OPTIONS = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' }
+];
+
+const CHANNEL_LABELS = {
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+  email: 'Email',
+  contact_form: 'Contact form'
+};
+
+const DUE_SOON_MS = 60 * 60 * 1000;
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// Ticks once a minute so the deadline stays current while the inbox is open
+const useNow = () => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
+
+const SlaBadge = ({ dueBy, now }) => {
+  if (!dueBy) return null;
+
+  const left = new Date(dueBy).getTime() - now;
+  if (left < 0) {
+    return <Badge variant="red" size="sm"><Clock className="h-3 w-3 mr-1 inline" />Overdue {formatDuration(left)}</Badge>;
+  }
+  return (
+    <Badge variant={left < DUE_SOON_MS ? 'warning' : 'secondary'} size="sm">
+      <Clock className="h-3 w-3 mr-1 inline" />Reply in {formatDuration(left)}
+    </Badge>
+  );
+};
+
+const replyChannelsFor = (thread) => [
+  ...(thread.phoneNumber ? ['whatsapp', 'sms'] : []),
+  ...(thread.email ? ['email'] : [])
+];
+
+const defaultReplyChannel = (thread) => {
+  const channels = replyChannelsFor(thread);
+  const lastInbound = [...(thread.messages || [])].reverse().find(message => message.direction === 'inbound');
+  const preferred = lastInbound?.channel === 'contact_form' ? 'email' : lastInbound?.channel;
+  return channels.includes(preferred) ? preferred : channels[0];
+};
+
+const SupportInbox = () => {
+  const now = useNow();
+  const [threads, setThreads] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [status, setStatus] = useState('active');
+  const [assignedTo, setAssignedTo] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [coordinators, setCoordinators] = useState([]);
+
+  const [thread, setThread] = useState(null);
+  const [channel, setChannel] = useState('');
+  const [cannedReplies, setCannedReplies] = useState([]);
+  const [template, setTemplate] = useState('');
+  const [text, setText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const fetchThreads = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await adminApi.getSupportThreads({ status, assignedTo: assignedTo || undefined, limit: 100 });
+      setThreads(res?.data?.threads || []);
+      setCounts(res?.data?.counts || null);
+    } catch (e) {
+      logger.error('Error fetching support threads', 'SUPPORT_INBOX', e);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, assignedTo]);
+
+  useEffect(() => {
+    fetchThreads();
+  }, [fetchThreads]);
+
+  useEffect(() => {
+    adminApi.getSupportCoordinators()
+      .then(res => setCoordinators(res?.data?.coordinators || []))
+      .catch(e => logger.error('Error fetching coordinators', 'SUPPORT_INBOX', e));
+  }, []);
+
+  useEffect(() => {
+    if (!channel) return;
+    setTemplate('');
+    adminApi.getCannedReplies(channel)
+      .then(res => setCannedReplies(res?.data?.replies || []))
+      .catch(e => logger.error('Error fetching canned replies', 'SUPPORT_INBOX', e));
+  }, [channel]);
+
+  const openThread = async (id) => {
+    setNotice('');
+    try {
+      const res = await adminApi.getSupportThread(id);
+      const loaded = res?.data?.thread;
+      setThread(loaded);
+      setChannel(loaded ? defaultReplyChannel(loaded) : '');
+      setText('');
+    } catch (e) {
+      logger.error('Error fetching support thread', 'SUPPORT_INBOX', e);
+    }
+  };
+
+  const updateThread = async (changes) => {
+    setBusy(true);
+    setNotice('');
+    try {
+      const res = await adminApi.updateSupportThread(thread._id, changes);
+      setThread(res?.data?.thread || thread);
+      await fetchThreads();
+    } catch (e) {
+      logger.error('Error updating support thread', 'SUPPORT_INBOX', e);
+      setNotice('Could not update the thread.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendReply = async () => {
+    setBusy(true);
+    setNotice('');
+    try {
+      const reply = template ? { channel, template } : { channel, text };
+      const res = await adminApi.replyToSupportThread(thread._id, reply);
+      setThread(res?.data?.thread || thread);
+      setText('');
+      setTemplate('');
+      await fetchThreads();
+    } catch (e) {
+      logger.error('Error replying to support thread', 'SUPPORT_INBOX', e);
+      setNotice(channel === 'whatsapp'
+        ? 'Reply not sent. WhatsApp only allows replies within 24 hours of their last message, and not after they opt out.'
+        : 'Reply not sent. They may have opted out of this channel.');
+      await openThread(thread._id);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const coordinatorOptions = [
+    { value: '', label: 'Unassigned' },
+    ...coordinators.map(coordinator => ({ value: coordinator._id, label: coordinator.name }))
+  ];
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+      <Card className="p-6 space-y-4 lg:col-span-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <h2 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center">
+              <Inbox className="h-5 w-5 mr-2" /> Support Inbox
+            </h2>
+            {counts && (
+              <p className="text-sm text-slate-500">
+                {counts.open} need a reply ({counts.overdue} overdue, {counts.dueSoon} due soon), {counts.unassigned} unassigned
+              </p>
+            )}
+          </div>
+          <Button variant="outline" size="sm" onClick={fetchThreads} disabled={loading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Select value={status} onChange={setStatus} options={STATUS_OPTIONS} className="w-44" />
+          <Select value={assignedTo} onChange={setAssignedTo} options={ASSIGNMENT_OPTIONS} className="w-44" />
+        </div>
+
+        {threads.length === 0 ? (
+          <p className="text-slate-500 text-sm">{loading ? 'Loading…' : 'No conversations here.'}</p>
+        ) : (
+          <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+            {threads.map(item => {
+              const last = item.messages?.[0];
+              return (
+                <li key={item._id}>
+                  <button
+                    type="button"
+                    onClick={() => openThread(item._id)}
+                    className={`w-full text-left py-3 px-2 rounded-lg space-y-1 hover:bg-slate-50 dark:hover:bg-slate-800 ${thread?._id === item._id ? 'bg-slate-50 dark:bg-slate-800' : ''}`}
+                  >
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                      <span className="font-medium text-slate-900 dark:text-white">
+                        {item.name || item.user?.name || item.phoneNumber || item.email}
+                      </span>
+                      {item.priority !== 'normal' && (
+                        <Badge variant={item.priority === 'urgent' ? 'red' : 'warning'} size="sm">{item.priority}</Badge>
+                      )}
+                      {item.status === 'open' && <SlaBadge dueBy={item.responseDueBy} now={now} />}
+                      {item.status === 'waiting' && <Badge variant="info" size="sm">Waiting on them</Badge>}
+                    </div>
+                    {last && (
+                      <p className="text-sm text-slate-600 dark:text-slate-400 truncate">
+                        {last.direction === 'outbound' ? 'You: ' : ''}{last.text}
+                      </p>
+                    )}
+                    <p className="text-xs text-slate-500">
+                      {item.assignedTo?.name ? `${item.assignedTo.name} · ` : ''}
+                      {item.lastMessageAt ? formatDateTime(item.lastMessageAt) : ''}
+                    </p>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </Card>
+
+      <Card className="p-6 space-y-4 lg:col-span-3">
+        {!thread ? (
+          <p className="text-slate-500 text-sm">Pick a conversation to read and reply.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-start justify-between gap-4">
+              <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
+                  {thread.name || thread.user?.name || 'Unknown sender'}
+                </h3>
+                <p className="text-sm text-slate-500">
+                  {[thread.phoneNumber, thread.email].filter(Boolean).join(' · ')}
+                  {thread.user?.bloodType ? ` · ${thread.user.bloodType} donor` : ''}
+                </p>
+                {thread.status === 'open' && <SlaBadge dueBy={thread.responseDueBy} now={now} />}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <Select
+                  value={thread.assignedTo?._id || ''}
+                  onChange={value => updateThread({ assignedTo: value || null })}
+                  options={coordinatorOptions}
+                  disabled={busy}
+                  className="w-44"
+                />
+                <Select
+                  value={thread.priority}
+                  onChange={value => updateThread({ priority: value })}
+                  options={PRIORITY_OPTIONS}
+                  disabled={busy}
+                  className="w-32"
+                />
+                {thread.status === 'closed' ? (
+                  <Button variant="outline" size="sm" onClick={() => updateThread({ status: 'open' })} disabled={busy}>
+                    <RotateCcw className="h-4 w-4 mr-1" /> Reopen
+                  </Button>
+                ) : (
+                  <Button variant="outline" size="sm" onClick={() => updateThread({ status: 'closed' })} disabled={busy}>
+                    <CheckCircle className="h-4 w-4 mr-1" /> Close
+                  </Button>
+                )}
+              </div>
+            </div>
+
+            <ul className="space-y-3 max-h-96 overflow-y-auto">
+              {thread.messages.map(message => (
+                <li
+                  key={message._id}
+                  className={`rounded-lg p-3 text-sm ${message.direction === 'outbound'
+                    ? 'ml-8 bg-red-50 dark:bg-red-900/20'
+                    : 'mr-8 bg-slate-50 dark:bg-slate-800'}`}
+                >
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500 mb-1">
+                    <span>{CHANNEL_LABELS[message.channel]}</span>
+                    {message.direction === 'outbound' && message.sentBy?.name && <span>· {message.sentBy.name}</span>}
+                    {message.template?.name && <span>· {message.template.name.replace(/_/g, ' ')}</span>}
+                    <span>· {formatDateTime(message.createdAt)}</span>
+                    {message.delivery?.status === 'failed' && (
+                      <Badge variant="red" size="sm">Not sent{message.delivery.error ? `: ${message.delivery.error}` : ''}</Badge>
+                    )}
+                  </div>
+                  {message.subject && <p className="font-medium text-slate-900 dark:text-white">{message.subject}</p>}
+                  <p className="text-slate-700 dark:text-slate-300 whitespace-pre-wrap">{message.text}</p>
+                </li>
+              ))}
+            </ul>
+
+            {replyChannelsFor(thread).length > 0 && (
+              <div className="space-y-2 border-t border-slate-200 dark:border-slate-700 pt-4">
+                <div className="flex flex-wrap gap-2">
+                  <Select
+                    value={channel}
+                    onChange={setChannel}
+                    options={replyChannelsFor(thread).map(value => ({ value, label: CHANNEL_LABELS[value] }))}
+                    className="w-36"
+                  />
+                  <Select
+                    value={template}
+                    onChange={setTemplate}
+                    options={[
+                      { value: '', label: 'Write a reply' },
+                      ...cannedReplies.map(reply => ({ value: reply.name, label: reply.description || reply.name }))
+                    ]}
+                    className="flex-1 min-w-[12rem]"
+                  />
+                </div>
+                {!template && (
+                  <textarea
+                    className="w-full p-3 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white resize-none"
+                    rows={3}
+                    placeholder="Type your reply…"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                  />
+                )}
+                <div className="flex items-center justify-between gap-2">
+                  <p className="text-sm text-slate-600 dark:text-slate-400">{notice}</p>
+                  <Button variant="primary" size="sm" onClick={sendReply} disabled={busy || (!template && !text.trim())}>
+                    <Send className="h-4 w-4 mr-1" /> Send
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default SupportInbox;
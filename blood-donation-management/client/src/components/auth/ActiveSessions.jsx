@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Monitor, Smartphone, Tablet, LogOut, ShieldAlert } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Badge from '../ui/Badge';
+import { useAuth } from '../../contexts/AuthContext';
+import { authApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const deviceIcons = {
+  mobile: Smartphone,
+  tablet: Tablet,
+  desktop: Monitor
+};
+
+const formatLastSeen = (value) => new Date(value).toLocaleString([], {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const ActiveSessions = ({ className = '' }) => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await authApi.getSessions();
+      setSessions(res?.data?.sessions || []);
+    } catch (e) {
+      logger.error('Error fetching sessions', 'ACTIVE_SESSIONS', e);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revoke = async (session) => {
+    setBusyId(session.sessionId);
+    try {
+      await authApi.revokeSession(session.sessionId);
+      if (session.current) {
+        await logout();
+        return;
+      }
+      fetchSessions();
+    } catch (e) {
+      logger.error('Error ending session', 'ACTIVE_SESSIONS', e);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const logoutEverywhere = async () => {
+    setBusyId('all');
+    try {
+      await authApi.logoutAll();
+      await logout();
+    } catch (e) {
+      logger.error('Error logging out of all devices', 'ACTIVE_SESSIONS', e);
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Card className={`p-4 space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-slate-900 dark:text-white">Where you're signed in</h3>
+          <p className="text-sm text-slate-500">
+            End any session you don't recognise. If you think someone else has your password, reset it as well.
+          </p>
+        </div>
+        <Button variant="outline" onClick={logoutEverywhere} disabled={busyId !== null || sessions.length === 0}>
+          <ShieldAlert className="w-4 h-4 mr-2" /> Log Out All Devices
+        </Button>
+      </div>
+
+      {!loading && sessions.length === 0 && (
+        <p className="text-sm text-slate-600">No active sessions.</p>
+      )}
+
+      <ul className="divide-y divide-slate-200 dark:divide-slate-700">
+        {sessions.map(session => {
+          const DeviceIcon = deviceIcons[session.device?.deviceType] || Monitor;
+          return (
+            <li key={session.sessionId} className="flex items-center justify-between py-3">
+              <div className="flex items-center space-x-3">
+                <DeviceIcon className="w-5 h-5 text-slate-500" />
+                <div>
+                  <div className="text-sm font-medium text-slate-900 dark:text-white">
+                    {session.device?.browser} on {session.device?.os}
+                    {session.current && <Badge variant="green" size="sm" className="ml-2">This device</Badge>}
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {session.ipAddress || 'Unknown IP'} · last active {formatLastSeen(session.lastSeenAt)}
+                  </div>
+                </div>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => revoke(session)} disabled={busyId !== null}>
+                <LogOut className="w-3 h-3 mr-2" /> {session.current ? 'Log Out' : 'End Session'}
+              </Button>
+            </li>
+          );
+        })}
+      </ul>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
@@ -1,191 +1,82 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Award, 
   Star, 
   Trophy, 
-  Medal, 
-  Crown, 
   Heart,
   Zap,
   Target,
   Calendar,
-  Users,
-  MapPin,
-  Clock,
-  TrendingUp,
-  Gift,
   Share2,
-  Download,
   Lock,
-  CheckCircle,
-  Sparkles
+  CheckCircle
 } from 'lucide-react';
 
 import Card from '../ui/Card';
 import Button from '../ui/Button';
 import Badge from '../ui/Badge';
+import { authApi, userApi } from '../../utils/api';
 import logger from '../../utils/logger';
 
+// Donation-count badges are shown as milestones, everything else as special achievements
+const MILESTONE_CRITERION = 'donation_count';
+
+const toMilestone = (achievement) => ({
+  id: achievement.id,
+  title: achievement.title,
+  description: achievement.description,
+  icon: achievement.icon,
+  target: achievement.progress.target,
+  current: achievement.progress.current,
+  isCompleted: achievement.isUnlocked,
+  completedDate: achievement.earnedDate,
+  reward: { points: achievement.points }
+});
+
+const withShareText = (achievement) => ({
+  ...achievement,
+  shareText: `I earned the "${achievement.title}" badge as a blood donor with CallforBlood Foundation! ${achievement.icon} Every donation saves lives.`
+});
+
 const AchievementSystem = ({ donorId, className = '' }) => {
   const [achievements, setAchievements] = useState([]);
   const [milestones, setMilestones] = useState([]);
   const [currentStats, setCurrentStats] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [selectedAchievement, setSelectedAchievement] = useState(null);
-  const [showCelebration, setShowCelebration] = useState(false);
-
-  useEffect(() => {
-    fetchAchievements();
-    fetchMilestones();
-    fetchCurrentStats();
-  }, [donorId]);
 
-  const fetchAchievements = async () => {
+  const fetchAchievements = useCallback(async () => {
+    setIsLoading(true);
     try {
-      // Compute basic achievements from real donations
-      const { authApi, userApi } = await import('../../utils/api');
-      const me = await authApi.getCurrentUser();
-      const user = me?.data?.user || me?.data;
-      const uid = user?._id || user?.id;
+      let uid = donorId;
       if (!uid) {
-        setAchievements([]);
-        return;
+        const me = await authApi.getCurrentUser();
+        const user = me?.data?.user || me?.data;
+        uid = user?._id || user?.id;
       }
-      const donationsRes = await userApi.getDonations(uid);
-      const donations = donationsRes?.data?.donations || [];
-      const total = donations.filter(d => d.status === 'completed').length;
-      const units = donations.reduce((s, d) => s + (d.unitsDonated || 0), 0);
-      const computed = [];
-      if (total >= 1) computed.push({ id: 'ACH001', title: 'First Drop', description: 'Completed your first donation', icon: '🩸', isUnlocked: true });
-      if (total >= 5) computed.push({ id: 'ACH003', title: 'Dedicated Donor', description: 'Completed 5 donations', icon: '🏅', isUnlocked: true });
-      if (units >= 10) computed.push({ id: 'ACH005', title: 'Community Hero', description: 'Donated 10+ units', icon: '🦸', isUnlocked: true });
-      setAchievements(computed);
-      logger.success('Achievements computed', 'ACHIEVEMENT_SYSTEM');
-    } catch (error) {
-      logger.error('Error computing achievements', 'ACHIEVEMENT_SYSTEM', error);
-      setAchievements([]);
-    }
-  };
-
-  const fetchMilestones = async () => {
-    try {
-      // TODO: Replace with real milestones API when available
-      const mockMilestones = [
-        {
-          id: 'MIL001',
-          title: 'Bronze Donor',
-          description: 'Complete 3 blood donations',
-          icon: '🥉',
-          target: 3,
-          current: 12,
-          isCompleted: true,
-          completedDate: '2023-08-01T00:00:00Z',
-          reward: {
-            points: 150,
-            badge: 'Bronze Donor',
-            certificate: true
-          }
-        },
-        {
-          id: 'MIL002',
-          title: 'Silver Donor',
-          description: 'Complete 7 blood donations',
-          icon: '🥈',
-          target: 7,
-          current: 12,
-          isCompleted: true,
-          completedDate: '2023-11-15T00:00:00Z',
-          reward: {
-            points: 300,
-            badge: 'Silver Donor',
-            certificate: true
-          }
-        },
-        {
-          id: 'MIL003',
-          title: 'Gold Donor',
-          description: 'Complete 10 blood donations',
-          icon: '🥇',
-          target: 10,
-          current: 12,
-          isCompleted: true,
-          completedDate: '2024-01-10T00:00:00Z',
-          reward: {
-            points: 500,
-            badge: 'Gold Donor',
-            certificate: true,
-            specialRecognition: true
-          }
-        },
-        {
-          id: 'MIL004',
-          title: 'Platinum Donor',
-          description: 'Complete 25 blood donations',
-          icon: '💎',
-          target: 25,
-          current: 12,
-          isCompleted: false,
-          reward: {
-            points: 1000,
-            badge: 'Platinum Donor',
-            certificate: true,
-            specialRecognition: true,
-            exclusivePerks: true
-          }
-        },
-        {
-          id: 'MIL005',
-          title: 'Diamond Donor',
-          description: 'Complete 50 blood donations',
-          icon: '💍',
-          target: 50,
-          current: 12,
-          isCompleted: false,
-          reward: {
-            points: 2500,
-            badge: 'Diamond Donor',
-            certificate: true,
-            specialRecognition: true,
-            exclusivePerks: true,
-            hallOfFame: true
-          }
-        }
-      ];
+      if (!uid) throw new Error('USER_ID_NOT_AVAILABLE');
 
-      setMilestones([]);
-      logger.success('Loaded milestones (API placeholder)', 'ACHIEVEMENT_SYSTEM');
-    } catch (error) {
-      logger.error('Error fetching milestones', 'ACHIEVEMENT_SYSTEM', error);
-    }
-  };
+      const res = await userApi.getAchievements(uid);
+      const all = res?.data?.achievements || [];
 
-  const fetchCurrentStats = async () => {
-    try {
-      const mockStats = {
-        totalDonations: 12,
-        totalPoints: 2400,
-        livesImpacted: 36,
-        streakDays: 45,
-        responseTime: 15, // average minutes
-        nightResponses: 2,
-        streakMonths: 3,
-        rank: 'Gold Donor',
-        nextMilestone: {
-          title: 'Platinum Donor',
-          progress: 48, // percentage
-          remaining: 13
-        }
-      };
-
-      setCurrentStats(mockStats);
-      logger.success('Loaded current stats', 'ACHIEVEMENT_SYSTEM');
+      setMilestones(all.filter(a => a.criteria.type === MILESTONE_CRITERION).map(toMilestone));
+      setAchievements(all.filter(a => a.criteria.type !== MILESTONE_CRITERION).map(withShareText));
+      setCurrentStats(res?.data?.stats || {});
+      logger.success('Achievements loaded', 'ACHIEVEMENT_SYSTEM');
     } catch (error) {
-      logger.error('Error fetching current stats', 'ACHIEVEMENT_SYSTEM', error);
+      logger.error('Error fetching achievements', 'ACHIEVEMENT_SYSTEM', error);
+      setAchievements([]);
+      setMilestones([]);
+      setCurrentStats({});
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [donorId]);
+
+  useEffect(() => {
+    fetchAchievements();
+  }, [fetchAchievements]);
 
   const handleShareAchievement = (achievement) => {
     logger.ui('CLICK', 'ShareAchievement', { achievementId: achievement.id }, 'ACHIEVEMENT_SYSTEM');
@@ -193,8 +84,7 @@ const AchievementSystem = ({ donorId, className = '' }) => {
     if (navigator.share) {
       navigator.share({
         title: `Achievement Unlocked: ${achievement.title}`,
-        text: achievement.shareText,
-        url: `https://callforbloodfoundation.com/achievements/${achievement.id}`
+        text: achievement.shareText
       });
     } else {
       navigator.clipboard.writeText(achievement.shareText);
@@ -202,12 +92,6 @@ const AchievementSystem = ({ donorId, className = '' }) => {
     }
   };
 
-  const handleDownloadCertificate = (achievement) => {
-    logger.ui('CLICK', 'DownloadCertificate', { achievementId: achievement.id }, 'ACHIEVEMENT_SYSTEM');
-    // In real app, this would generate and download a certificate
-    logger.success('Certificate download started', 'ACHIEVEMENT_SYSTEM');
-  };
-
   const getRarityColor = (rarity) => {
     switch (rarity) {
       case 'common': return 'gray';
@@ -280,67 +164,69 @@ const AchievementSystem = ({ donorId, className = '' }) => {
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <Card className="p-4 text-center">
           <div className="text-2xl font-bold text-blue-600 dark:text-blue-400">
-            {currentStats.totalPoints}
+            {(currentStats.totalPoints || 0).toLocaleString()}
           </div>
           <div className="text-sm text-slate-600 dark:text-slate-400">Total Points</div>
         </Card>
         
         <Card className="p-4 text-center">
           <div className="text-2xl font-bold text-green-600 dark:text-green-400">
-            {achievements.filter(a => a.isUnlocked).length}
+            {currentStats.unlocked || 0}
           </div>
           <div className="text-sm text-slate-600 dark:text-slate-400">Unlocked</div>
         </Card>
         
         <Card className="p-4 text-center">
           <div className="text-2xl font-bold text-purple-600 dark:text-purple-400">
-            {currentStats.rank}
+            {currentStats.rank || 'New Donor'}
           </div>
           <div className="text-sm text-slate-600 dark:text-slate-400">Current Rank</div>
         </Card>
         
         <Card className="p-4 text-center">
           <div className="text-2xl font-bold text-yellow-600 dark:text-yellow-400">
-            {currentStats.nextMilestone.progress}%
+            {currentStats.nextMilestone ? `${currentStats.nextMilestone.progress}%` : '100%'}
           </div>
           <div className="text-sm text-slate-600 dark:text-slate-400">Next Milestone</div>
         </Card>
       </div>
 
       {/* Next Milestone Progress */}
-      <Card className="p-6">
-        <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
-            Progress to {currentStats.nextMilestone.title}
-          </h3>
-          <div className="flex items-center space-x-2">
-            <Target className="h-5 w-5 text-blue-600" />
-            <span className="text-sm font-medium text-slate-900 dark:text-white">
-              {currentStats.nextMilestone.remaining} donations remaining
-            </span>
-          </div>
-        </div>
-        
-        <div className="w-full bg-slate-200 dark:bg-slate-700 rounded-full h-4 mb-4">
-          <motion.div
-            className="bg-gradient-to-r from-blue-500 to-purple-600 h-4 rounded-full flex items-center justify-end pr-2"
-            initial={{ width: 0 }}
-            animate={{ width: `${currentStats.nextMilestone.progress}%` }}
-            transition={{ duration: 1, delay: 0.5 }}
-          >
-            {currentStats.nextMilestone.progress > 20 && (
-              <span className="text-xs text-white font-medium">
-                {currentStats.nextMilestone.progress}%
+      {currentStats.nextMilestone && (
+        <Card className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
+              Progress to {currentStats.nextMilestone.title}
+            </h3>
+            <div className="flex items-center space-x-2">
+              <Target className="h-5 w-5 text-blue-600" />
+              <span className="text-sm font-medium text-slate-900 dark:text-white">
+                {currentStats.nextMilestone.remaining} donations remaining
               </span>
-            )}
-          </motion.div>
-        </div>
-        
-        <div className="flex items-center justify-between text-sm text-slate-600 dark:text-slate-400">
-          <span>Current: {currentStats.totalDonations} donations</span>
-          <span>Target: {currentStats.totalDonations + currentStats.nextMilestone.remaining} donations</span>
-        </div>
-      </Card>
+            </div>
+          </div>
+          
+          <div className="w-full bg-slate-200 dark:bg-slate-700 rounded-full h-4 mb-4">
+            <motion.div
+              className="bg-gradient-to-r from-blue-500 to-purple-600 h-4 rounded-full flex items-center justify-end pr-2"
+              initial={{ width: 0 }}
+              animate={{ width: `${currentStats.nextMilestone.progress}%` }}
+              transition={{ duration: 1, delay: 0.5 }}
+            >
+              {currentStats.nextMilestone.progress > 20 && (
+                <span className="text-xs text-white font-medium">
+                  {currentStats.nextMilestone.progress}%
+                </span>
+              )}
+            </motion.div>
+          </div>
+          
+          <div className="flex items-center justify-between text-sm text-slate-600 dark:text-slate-400">
+            <span>Current: {currentStats.totalDonations} donations</span>
+            <span>Target: {currentStats.nextMilestone.target} donations</span>
+          </div>
+        </Card>
+      )}
 
       {/* Milestones */}
       <div>
@@ -544,27 +430,15 @@ const AchievementSystem = ({ donorId, className = '' }) => {
                       Unlocked on {formatDate(selectedAchievement.earnedDate)}
                     </p>
                     
-                    <div className="flex space-x-3">
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => handleShareAchievement(selectedAchievement)}
-                        className="flex-1"
-                      >
-                        <Share2 className="h-3 w-3 mr-1" />
-                        Share
-                      </Button>
-                      
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => handleDownloadCertificate(selectedAchievement)}
-                        className="flex-1"
-                      >
-                        <Download className="h-3 w-3 mr-1" />
-                        Certificate
-                      </Button>
-                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleShareAchievement(selectedAchievement)}
+                      className="w-full"
+                    >
+                      <Share2 className="h-3 w-3 mr-1" />
+                      Share
+                    </Button>
                   </div>
                 )}
                 
@@ -580,45 +454,6 @@ const AchievementSystem = ({ donorId, className = '' }) => {
           </div>
         )}
       </AnimatePresence>
-
-      {/* Celebration Animation */}
-      <AnimatePresence>
-        {showCelebration && (
-          <div className="fixed inset-0 z-50 pointer-events-none">
-            <motion.div
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              exit={{ opacity: 0 }}
-              className="absolute inset-0 flex items-center justify-center"
-            >
-              {[...Array(20)].map((_, i) => (
-                <motion.div
-                  key={i}
-                  initial={{ 
-                    opacity: 1, 
-                    scale: 0,
-                    x: 0,
-                    y: 0
-                  }}
-                  animate={{ 
-                    opacity: 0,
-                    scale: 1,
-                    x: (Math.random() - 0.5) * 400,
-                    y: (Math.random() - 0.5) * 400
-                  }}
-                  transition={{ 
-                    duration: 2,
-                    delay: i * 0.1
-                  }}
-                  className="absolute"
-                >
-                  <Sparkles className="h-6 w-6 text-yellow-500" />
-                </motion.div>
-              ))}
-            </motion.div>
-          </div>
-        )}
-      </AnimatePresence>
     </div>
   );
 };
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BellOff, Bell } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import { useAuth } from '../../contexts/AuthContext';
+import { userApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const SNOOZE_OPTIONS = [3, 7, 14, 30];
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short'
+});
+
+const AvailabilitySettings = ({ className = '' }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const fetchStatus = useCallback(async () => {
+    if (!userId) return;
+    try {
+      const res = await userApi.getSnooze(userId);
+      setStatus(res?.data || null);
+    } catch (e) {
+      logger.error('Error fetching alert snooze', 'AVAILABILITY_SETTINGS', e);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const res = await action();
+      setStatus(res?.data || status);
+      setMessage(res?.message || '');
+    } catch (e) {
+      logger.error('Error updating alert snooze', 'AVAILABILITY_SETTINGS', e);
+      setMessage('Could not update your alerts. Try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!status) return null;
+
+  const maxDays = status.limits?.maxSnoozeDays || 30;
+
+  return (
+    <Card className={`p-4 space-y-3 ${className}`}>
+      <div>
+        <h3 className="font-semibold text-slate-900 dark:text-white">Blood request alerts</h3>
+        {status.snoozedUntil ? (
+          <p className="text-sm text-slate-500 flex items-center">
+            <BellOff className="w-4 h-4 mr-2" /> Paused until {formatDate(status.snoozedUntil)}
+          </p>
+        ) : (
+          <p className="text-sm text-slate-500 flex items-center">
+            <Bell className="w-4 h-4 mr-2" /> On. You get at most {status.limits?.maxPerDay} a day and {status.limits?.maxPerWeek} a week.
+          </p>
+        )}
+        {!status.snoozedUntil && status.cooldownUntil && (
+          <p className="text-xs text-slate-500">
+            Taking a break after your last reply until {formatDate(status.cooldownUntil)}.
+          </p>
+        )}
+      </div>
+
+      {status.snoozedUntil ? (
+        <Button variant="outline" onClick={() => run(() => userApi.resumeAlerts(userId))} disabled={busy}>
+          <Bell className="w-4 h-4 mr-2" /> Resume Alerts
+        </Button>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {SNOOZE_OPTIONS.filter(days => days <= maxDays).map(days => (
+            <Button key={days} variant="outline" size="sm" onClick={() => run(() => userApi.snooze(userId, days))} disabled={busy}>
+              Pause {days} days
+            </Button>
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-slate-500">You can also reply SNOOZE 7 or RESUME on WhatsApp.</p>
+      {message && <p className="text-sm text-slate-600">{message}</p>}
+    </Card>
+  );
+};
+
+export default AvailabilitySettings;
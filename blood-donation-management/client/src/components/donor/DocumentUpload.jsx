@@ -18,6 +18,7 @@ import {
 import Button from '../ui/Button';
 import Card from '../ui/Card';
 import Badge from '../ui/Badge';
+import { openDocument } from '../../utils/api';
 import logger from '../../utils/logger';
 
 const DocumentUpload = ({ onComplete, initialDocuments = [] }) => {
@@ -213,7 +214,7 @@ const DocumentUpload = ({ onComplete, initialDocuments = [] }) => {
       } else {
         setErrors(prev => ({
           ...prev,
-          [documentType.id]: data.message || 'Upload failed'
+          [documentType.id]: data.error?.message || data.message || 'Upload failed'
         }));
         logger.error('Document upload failed', 'DOCUMENT_UPLOAD');
       }
@@ -263,7 +264,7 @@ const DocumentUpload = ({ onComplete, initialDocuments = [] }) => {
 
   const previewDocument = (document) => {
     logger.ui('CLICK', 'PreviewDocument', { type: document.type }, 'DOCUMENT_UPLOAD');
-    window.open(document.url, '_blank');
+    openDocument(document.id || document._id).catch(error => alert(error.message));
   };
 
   const getDocumentByType = (typeId) => {
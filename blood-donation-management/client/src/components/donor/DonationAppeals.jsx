@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Droplet, Calendar, MapPin, XCircle } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Badge from '../ui/Badge';
+import { appealApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const formatSlot = (slot) => {
+  const start = new Date(slot.start);
+  const end = new Date(slot.end);
+  return `${start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}, ` +
+    `${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}–${end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const AppealCard = ({ appeal, highlighted, onUpdated }) => {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const res = await action();
+      setMessage(res?.message || successMessage);
+      onUpdated();
+    } catch (e) {
+      logger.error('Appeal action failed', 'DONATION_APPEALS', e);
+      setMessage('Could not update your booking. Try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const booked = appeal.invitation.status === 'booked';
+
+  return (
+    <Card className={`p-4 space-y-3 ${highlighted ? 'ring-2 ring-red-500' : ''}`}>
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-semibold flex items-center">
+            <Droplet className="w-4 h-4 mr-2 text-red-600" /> {appeal.bloodType} donors needed
+          </div>
+          <div className="text-sm text-slate-500 flex items-center">
+            <MapPin className="w-3 h-3 mr-1" />
+            {appeal.hospital?.name}{appeal.hospital?.address?.city && `, ${appeal.hospital.address.city}`}
+          </div>
+        </div>
+        <Badge variant={booked ? 'green' : 'yellow'} size="sm">{booked ? 'Booked' : 'Invited'}</Badge>
+      </div>
+
+      {booked ? (
+        <Button variant="outline" onClick={() => run(() => appealApi.declineAppeal(appeal.campaignId), 'Booking cancelled')} disabled={busy}>
+          <XCircle className="w-4 h-4 mr-2" /> Cancel Booking
+        </Button>
+      ) : (
+        <>
+          {appeal.slots.length === 0 ? (
+            <p className="text-sm text-slate-600">All slots are taken. Thank you for offering to help.</p>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {appeal.slots.map(slot => (
+                <Button
+                  key={slot._id}
+                  variant="outline"
+                  size="sm"
+                  onClick={() => run(() => appealApi.bookSlot(appeal.campaignId, slot._id), 'Donation slot booked')}
+                  disabled={busy}
+                >
+                  <Calendar className="w-3 h-3 mr-2" /> {formatSlot(slot)} · {slot.spotsLeft} left
+                </Button>
+              ))}
+            </div>
+          )}
+          <button
+            className="text-sm text-slate-500 underline"
+            onClick={() => run(() => appealApi.declineAppeal(appeal.campaignId), 'Appeal declined')}
+            disabled={busy}
+          >
+            I can't make it this time
+          </button>
+        </>
+      )}
+
+      {message && <div className="text-sm text-slate-600">{message}</div>}
+    </Card>
+  );
+};
+
+const DonationAppeals = ({ className = '' }) => {
+  const [appeals, setAppeals] = useState([]);
+  const highlightedId = new URLSearchParams(window.location.search).get('appeal');
+
+  const fetchAppeals = useCallback(async () => {
+    try {
+      const res = await appealApi.getMyAppeals();
+      setAppeals(res?.data?.appeals || []);
+    } catch (e) {
+      logger.error('Error fetching donation appeals', 'DONATION_APPEALS', e);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAppeals();
+  }, [fetchAppeals]);
+
+  if (appeals.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <h3 className="font-semibold text-slate-900 dark:text-white">Donation Appeals Near You</h3>
+      {appeals.map(appeal => (
+        <AppealCard
+          key={appeal.campaignId}
+          appeal={appeal}
+          highlighted={appeal.campaignId === highlightedId}
+          onUpdated={fetchAppeals}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default DonationAppeals;
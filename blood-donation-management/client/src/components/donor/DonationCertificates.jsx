@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Award, Download, Eye } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Modal from '../ui/Modal';
+import DigitalCertificate from '../features/DigitalCertificate';
+import { certificateApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+// Shape DigitalCertificate renders from a donation with an issued certificate
+const toCertificate = (donation) => ({
+  certificateId: donation.certification.certificateId,
+  qrCode: donation.certification.qrCode,
+  verificationUrl: donation.certification.verificationUrl,
+  verificationDate: donation.certification.issuedAt,
+  date: donation.donationDate,
+  bloodType: donation.bloodType,
+  location: { name: donation.location?.hospital },
+  verifiedBy: donation.location?.hospital
+});
+
+const DonationCertificates = ({ donations = [], donor }) => {
+  const [selected, setSelected] = useState(null);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const certified = donations.filter(d => d.status === 'completed' && d.certification?.issued);
+
+  const download = async (certificateId) => {
+    setDownloadingId(certificateId);
+    try {
+      await certificateApi.download(certificateId);
+    } catch (e) {
+      logger.error('Certificate download failed', 'DONATION_CERTIFICATES', e);
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  if (certified.length === 0) return null;
+
+  return (
+    <Card className="p-6">
+      <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4 flex items-center">
+        <Award className="w-5 h-5 mr-2 text-yellow-600" /> My Certificates
+      </h3>
+      <ul className="space-y-3">
+        {certified.map(donation => (
+          <li key={donation._id} className="flex items-center justify-between gap-2">
+            <div>
+              <p className="text-sm font-medium text-slate-900 dark:text-white">
+                {new Date(donation.donationDate).toLocaleDateString()} · {donation.location?.hospital}
+              </p>
+              <p className="text-xs font-mono text-slate-500">{donation.certification.certificateId}</p>
+            </div>
+            <div className="flex space-x-1">
+              <Button variant="ghost" size="sm" onClick={() => setSelected(toCertificate(donation))}>
+                <Eye className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => download(donation.certification.certificateId)}
+                disabled={downloadingId === donation.certification.certificateId}
+              >
+                <Download className="w-4 h-4" />
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <Modal isOpen={!!selected} onClose={() => setSelected(null)} title="Donation Certificate" size="xl">
+        {selected && (
+          <DigitalCertificate donation={selected} donor={donor} onDownload={download} />
+        )}
+      </Modal>
+    </Card>
+  );
+};
+
+export default DonationCertificates;
@@ -1,145 +1,138 @@
-import React, { useState } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { 
-  Heart, 
-  AlertTriangle, 
-  CheckCircle, 
-  Info
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Heart,
+  AlertTriangle,
+  CheckCircle,
+  Info,
+  Plus,
+  Trash2,
+  Loader2
 } from 'lucide-react';
 
 import Button from '../ui/Button';
 import Card from '../ui/Card';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
+import { userApi } from '../../utils/api';
 import logger from '../../utils/logger';
 
-const DonorQuestionnaire = ({ onComplete, initialData = {} }) => {
-  const [formData, setFormData] = useState({
-    medicalConditions: initialData.medicalConditions || [],
-    medications: initialData.medications || [],
-    allergies: initialData.allergies || [],
-    lifestyle: {
-      smoking: initialData.lifestyle?.smoking || '',
-      alcohol: initialData.lifestyle?.alcohol || '',
-      exercise: initialData.lifestyle?.exercise || '',
-      diet: initialData.lifestyle?.diet || ''
-    },
-    recentTravel: initialData.recentTravel || [],
-    vaccinations: initialData.vaccinations || [],
-    previousDonations: {
-      hasDonateBefore: initialData.previousDonations?.hasDonateBefore || false,
-      lastDonationDate: initialData.previousDonations?.lastDonationDate || '',
-      complications: initialData.previousDonations?.complications || ''
-    },
-    currentHealth: {
-      feelingWell: initialData.currentHealth?.feelingWell || true,
-      recentIllness: initialData.currentHealth?.recentIllness || '',
-      currentSymptoms: initialData.currentHealth?.currentSymptoms || []
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isEmpty = value =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+// Mirrors questionnaireService.matches on the server, for showIf only.
+// Screening itself always happens on the server.
+const matches = (condition, answer) => {
+  if (!condition || isEmpty(answer)) return false;
+
+  if ('equals' in condition) return answer === condition.equals;
+  if (condition.in) return condition.in.includes(answer);
+  if (condition.includesAny) {
+    return Array.isArray(answer) && answer.some(value => condition.includesAny.includes(value));
+  }
+  if (condition.withinDays !== undefined) {
+    const date = new Date(answer);
+    return !isNaN(date.getTime()) && date.getTime() > Date.now() - condition.withinDays * DAY_MS;
+  }
+  if (condition.lessThan !== undefined) return Number(answer) < condition.lessThan;
+  if (condition.greaterThan !== undefined) return Number(answer) > condition.greaterThan;
+
+  return false;
+};
+
+const isVisible = (question, answers) =>
+  !question.showIf || matches(question.showIf, answers[question.showIf.question]);
+
+// Previous answers to the same question ids carry over between versions
+const initialAnswers = (definition, previous = {}) => {
+  const answers = {};
+  definition.questions.forEach(question => {
+    const value = previous[question.id];
+    if (value === undefined || value === null) return;
+
+    if (question.type === 'date') {
+      answers[question.id] = toDateInput(value);
+    } else if (question.type === 'medications') {
+      answers[question.id] = (Array.isArray(value) ? value : []).map(item => ({
+        name: item?.name || '',
+        lastDose: toDateInput(item?.lastDose)
+      }));
+    } else {
+      answers[question.id] = value;
     }
   });
+  return answers;
+};
+
+const checkboxClassName = 'mt-0.5 w-5 h-5 rounded border-2 border-slate-400 dark:border-slate-500 text-red-600 focus:ring-2 focus:ring-red-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800 transition-all duration-200 cursor-pointer';
+const optionClassName = 'flex items-start space-x-3 p-3 rounded-lg border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer transition-colors';
 
+const DonorQuestionnaire = ({ userId, onComplete }) => {
+  const [definition, setDefinition] = useState(null);
+  const [reanswerReason, setReanswerReason] = useState(null);
+  const [answers, setAnswers] = useState({});
   const [errors, setErrors] = useState({});
+  const [loadError, setLoadError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const medicalConditionOptions = [
-    { value: 'diabetes', label: 'Diabetes' },
-    { value: 'hypertension', label: 'High Blood Pressure' },
-    { value: 'heart_disease', label: 'Heart Disease' },
-    { value: 'asthma', label: 'Asthma' },
-    { value: 'epilepsy', label: 'Epilepsy' },
-    { value: 'cancer', label: 'Cancer (current or past)' },
-    { value: 'hepatitis', label: 'Hepatitis' },
-    { value: 'hiv', label: 'HIV/AIDS' },
-    { value: 'bleeding_disorder', label: 'Bleeding Disorder' },
-    { value: 'autoimmune', label: 'Autoimmune Disease' },
-    { value: 'other', label: 'Other' }
-  ];
-
-  const lifestyleOptions = {
-    smoking: [
-      { value: 'never', label: 'Never smoked' },
-      { value: 'former', label: 'Former smoker' },
-      { value: 'occasional', label: 'Occasional smoker' },
-      { value: 'regular', label: 'Regular smoker' }
-    ],
-    alcohol: [
-      { value: 'never', label: 'Never drink' },
-      { value: 'occasional', label: 'Occasional (1-2 drinks/week)' },
-      { value: 'moderate', label: 'Moderate (3-7 drinks/week)' },
-      { value: 'heavy', label: 'Heavy (8+ drinks/week)' }
-    ],
-    exercise: [
-      { value: 'sedentary', label: 'Sedentary lifestyle' },
-      { value: 'light', label: 'Light exercise (1-2 times/week)' },
-      { value: 'moderate', label: 'Moderate exercise (3-4 times/week)' },
-      { value: 'active', label: 'Very active (5+ times/week)' }
-    ],
-    diet: [
-      { value: 'omnivore', label: 'Omnivore' },
-      { value: 'vegetarian', label: 'Vegetarian' },
-      { value: 'vegan', label: 'Vegan' },
-      { value: 'other', label: 'Other dietary restrictions' }
-    ]
-  };
-
-  const handleInputChange = (field, value) => {
-    setFormData(prev => {
-      if (field.includes('.')) {
-        const [parent, child] = field.split('.');
-        return {
-          ...prev,
-          [parent]: {
-            ...prev[parent],
-            [child]: value
-          }
-        };
-      }
-      return {
-        ...prev,
-        [field]: value
-      };
-    });
+  const loadQuestionnaire = useCallback(async () => {
+    if (!userId) return;
 
-    // Clear error when user starts typing
-    if (errors[field]) {
-      setErrors(prev => ({
-        ...prev,
-        [field]: null
-      }));
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      const response = await userApi.getQuestionnaire(userId);
+      const { definition: published, questionnaire } = response.data;
+      setDefinition(published);
+      setAnswers(initialAnswers(published, questionnaire?.data || {}));
+      // Set when a newer version asks this donor to answer again
+      setReanswerReason(questionnaire?.reanswerRequired?.reason || null);
+    } catch (error) {
+      logger.error('Failed to load health questionnaire', 'DONOR_QUESTIONNAIRE', error);
+      setLoadError('Could not load the health questionnaire. Please try again.');
+    } finally {
+      setIsLoading(false);
     }
-  };
+  }, [userId]);
 
-  const addArrayItem = (field, item) => {
-    setFormData(prev => ({
-      ...prev,
-      [field]: [...prev[field], item]
-    }));
-  };
+  useEffect(() => {
+    loadQuestionnaire();
+  }, [loadQuestionnaire]);
 
-  const removeArrayItem = (field, index) => {
-    setFormData(prev => ({
-      ...prev,
-      [field]: prev[field].filter((_, i) => i !== index)
-    }));
-  };
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
 
+    // Clear error when user changes the answer
+    if (errors[questionId]) {
+      setErrors(prev => ({ ...prev, [questionId]: null }));
+    }
+  };
 
+  const visibleQuestions = definition
+    ? definition.questions.filter(question => isVisible(question, answers))
+    : [];
 
   const validateForm = () => {
     const newErrors = {};
 
-    // Validate required lifestyle questions
-    if (!formData.lifestyle.smoking) {
-      newErrors['lifestyle.smoking'] = 'Please select smoking status';
-    }
-    if (!formData.lifestyle.alcohol) {
-      newErrors['lifestyle.alcohol'] = 'Please select alcohol consumption';
-    }
-    if (!formData.lifestyle.exercise) {
-      newErrors['lifestyle.exercise'] = 'Please select exercise level';
-    }
-
-
+    visibleQuestions.forEach(question => {
+      const value = answers[question.id];
+      if (question.required && isEmpty(value) && question.type !== 'multi_choice') {
+        newErrors[question.id] = 'This question needs an answer';
+      }
+      if (question.type === 'medications' && Array.isArray(value) && value.some(item => !item.name.trim())) {
+        newErrors[question.id] = 'Every medication needs a name';
+      }
+    });
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -155,84 +148,197 @@ const DonorQuestionnaire = ({ onComplete, initialData = {} }) => {
     setIsSubmitting(true);
 
     try {
-      // Calculate eligibility based on responses
-      const eligibilityResult = calculateEligibility(formData);
-      
-      const questionnaireData = {
-        ...formData,
-        eligibility: eligibilityResult,
-        completedAt: new Date().toISOString()
-      };
-
-      await onComplete(questionnaireData);
+      // Only answers to questions the donor was shown are sent
+      const submitted = {};
+      visibleQuestions.forEach(question => {
+        const value = answers[question.id];
+        if (question.type === 'multi_choice') {
+          submitted[question.id] = value || [];
+        } else if (question.type === 'medications') {
+          submitted[question.id] = (value || []).map(item => (
+            item.lastDose ? { name: item.name.trim(), lastDose: item.lastDose } : { name: item.name.trim() }
+          ));
+        } else if (!isEmpty(value)) {
+          submitted[question.id] = value;
+        }
+      });
+
+      await onComplete({ answers: submitted });
       logger.success('Donor questionnaire completed', 'DONOR_QUESTIONNAIRE');
     } catch (error) {
       logger.error('Failed to submit questionnaire', 'DONOR_QUESTIONNAIRE', error);
-      setErrors({ submit: 'Failed to submit questionnaire. Please try again.' });
+
+      // Per-question problems reported by the server
+      if (Array.isArray(error.errors) && error.errors.length > 0) {
+        const serverErrors = {};
+        error.errors.forEach(({ questionId, message }) => {
+          serverErrors[questionId] = message;
+        });
+        setErrors({ ...serverErrors, submit: 'Please check the highlighted answers.' });
+      } else {
+        setErrors({ submit: 'Failed to submit questionnaire. Please try again.' });
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  const calculateEligibility = (data) => {
-    const disqualifyingConditions = [
-      'hiv', 'hepatitis', 'cancer', 'bleeding_disorder'
-    ];
-    
-    const temporaryDeferrals = [
-      'recent_illness', 'recent_travel', 'recent_vaccination'
-    ];
-
-    let eligible = true;
-    let deferralReason = null;
-    let deferralUntil = null;
-    const warnings = [];
-
-    // Check for disqualifying conditions
-    const hasDisqualifyingCondition = data.medicalConditions.some(condition => 
-      disqualifyingConditions.includes(condition)
+  const renderMedications = (question) => {
+    const medications = answers[question.id] || [];
+    const update = (index, field, value) => {
+      setAnswer(question.id, medications.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+    };
+
+    return (
+      <div className="space-y-3">
+        {medications.map((item, index) => (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_200px_auto] gap-3 items-end">
+            <Input
+              label="Medication"
+              value={item.name}
+              onChange={(e) => update(index, 'name', e.target.value)}
+              placeholder="e.g. Aspirin"
+            />
+            <Input
+              label="Last dose"
+              type="date"
+              value={item.lastDose}
+              onChange={(e) => update(index, 'lastDose', e.target.value)}
+            />
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setAnswer(question.id, medications.filter((_, i) => i !== index))}
+              aria-label="Remove medication"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setAnswer(question.id, [...medications, { name: '', lastDose: '' }])}
+          className="flex items-center space-x-2"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add medication</span>
+        </Button>
+      </div>
     );
+  };
 
-    if (hasDisqualifyingCondition) {
-      eligible = false;
-      deferralReason = 'Medical condition requires permanent deferral';
-    }
+  const renderInput = (question) => {
+    const value = answers[question.id];
+
+    switch (question.type) {
+      case 'boolean':
+        return (
+          <div className="flex gap-3">
+            {[{ value: true, label: 'Yes' }, { value: false, label: 'No' }].map(option => (
+              <label key={option.label} className={optionClassName}>
+                <input
+                  type="radio"
+                  name={question.id}
+                  checked={value === option.value}
+                  onChange={() => setAnswer(question.id, option.value)}
+                  className={checkboxClassName}
+                  style={{ accentColor: '#dc2626' }}
+                />
+                <span className="text-sm text-slate-700 dark:text-slate-300 select-none">{option.label}</span>
+              </label>
+            ))}
+          </div>
+        );
 
-    // Check recent donation
-    if (data.previousDonations.lastDonationDate) {
-      const lastDonation = new Date(data.previousDonations.lastDonationDate);
-      const daysSinceLastDonation = (Date.now() - lastDonation.getTime()) / (24 * 60 * 60 * 1000);
-      
-      if (daysSinceLastDonation < 90) {
-        eligible = false;
-        deferralReason = 'Must wait 90 days between donations';
-        deferralUntil = new Date(lastDonation.getTime() + (90 * 24 * 60 * 60 * 1000));
+      case 'single_choice':
+        return (
+          <Select
+            value={value || ''}
+            onChange={(selected) => setAnswer(question.id, selected)}
+            options={question.options}
+            placeholder="Select an answer"
+          />
+        );
+
+      case 'multi_choice': {
+        const selected = value || [];
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+            {question.options.map(option => (
+              <label key={option.value} className={optionClassName}>
+                <input
+                  type="checkbox"
+                  checked={selected.includes(option.value)}
+                  onChange={(e) => setAnswer(question.id, e.target.checked
+                    ? [...selected, option.value]
+                    : selected.filter(item => item !== option.value))}
+                  className={checkboxClassName}
+                  style={{ accentColor: '#dc2626' }}
+                />
+                <span className="text-sm text-slate-700 dark:text-slate-300 leading-relaxed select-none">
+                  {option.label}
+                </span>
+              </label>
+            ))}
+          </div>
+        );
       }
-    }
 
-    // Check current health
-    if (!data.currentHealth.feelingWell) {
-      eligible = false;
-      deferralReason = 'Must be feeling well to donate';
-    }
+      case 'date':
+        return (
+          <Input
+            type="date"
+            value={value || ''}
+            max={toDateInput(new Date())}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+          />
+        );
 
-    // Add warnings for lifestyle factors
-    if (data.lifestyle.smoking === 'regular') {
-      warnings.push('Regular smoking may affect donation eligibility');
-    }
-    if (data.lifestyle.alcohol === 'heavy') {
-      warnings.push('Heavy alcohol consumption may affect donation eligibility');
-    }
+      case 'number':
+        return (
+          <Input
+            type="number"
+            value={value ?? ''}
+            min={question.min}
+            max={question.max}
+            onChange={(e) => setAnswer(question.id, e.target.value === '' ? '' : Number(e.target.value))}
+          />
+        );
 
-    return {
-      eligible,
-      deferralReason,
-      deferralUntil,
-      warnings,
-      assessedAt: new Date().toISOString()
-    };
+      case 'medications':
+        return renderMedications(question);
+
+      default:
+        return (
+          <Input
+            value={value || ''}
+            onChange={(e) => setAnswer(question.id, e.target.value)}
+            multiline
+            rows={3}
+          />
+        );
+    }
   };
 
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-16">
+        <Loader2 className="h-8 w-8 animate-spin text-red-600" />
+      </div>
+    );
+  }
+
+  if (loadError || !definition) {
+    return (
+      <Card className="p-6 text-center space-y-4">
+        <AlertTriangle className="h-8 w-8 text-red-600 mx-auto" />
+        <p className="text-slate-700 dark:text-slate-300">{loadError || 'Health questionnaire is unavailable.'}</p>
+        <Button variant="outline" onClick={loadQuestionnaire}>Try again</Button>
+      </Card>
+    );
+  }
+
   return (
     <div className="space-y-8">
       {/* Header */}
@@ -245,183 +351,44 @@ const DonorQuestionnaire = ({ onComplete, initialData = {} }) => {
           <Heart className="h-8 w-8 text-red-600 dark:text-red-400" />
         </motion.div>
         <h2 className="text-2xl font-bold text-slate-900 dark:text-white mb-2">
-          Donor Health Questionnaire
+          {definition.title}
         </h2>
-        <p className="text-slate-600 dark:text-slate-400">
-          Please answer these questions honestly to ensure safe blood donation
-        </p>
+        {definition.description && (
+          <p className="text-slate-600 dark:text-slate-400">{definition.description}</p>
+        )}
       </div>
 
-      {/* Medical Conditions */}
-      <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">
-          Medical History
-        </h3>
-        
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
-              Do you have any of the following medical conditions?
-            </label>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
-              {medicalConditionOptions.map(condition => (
-                <label 
-                  key={condition.value} 
-                  className="flex items-start space-x-3 p-3 rounded-lg border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer transition-colors"
-                >
-                  <input
-                    type="checkbox"
-                    checked={formData.medicalConditions.includes(condition.value)}
-                    onChange={(e) => {
-                      if (e.target.checked) {
-                        addArrayItem('medicalConditions', condition.value);
-                      } else {
-                        const index = formData.medicalConditions.indexOf(condition.value);
-                        removeArrayItem('medicalConditions', index);
-                      }
-                    }}
-                    className="mt-0.5 w-5 h-5 rounded border-2 border-slate-400 dark:border-slate-500 text-red-600 focus:ring-2 focus:ring-red-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800 transition-all duration-200 cursor-pointer"
-                    style={{
-                      accentColor: '#dc2626' // Modern way to style checkboxes
-                    }}
-                  />
-                  <span className="text-sm text-slate-700 dark:text-slate-300 leading-relaxed select-none">
-                    {condition.label}
-                  </span>
-                </label>
-              ))}
-            </div>
-          </div>
-        </div>
-      </Card>
-
-
-
-      {/* Lifestyle Questions */}
-      <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">
-          Lifestyle Information
-        </h3>
-        
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <Select
-            label="Smoking Status"
-            value={formData.lifestyle.smoking}
-            onChange={(value) => handleInputChange('lifestyle.smoking', value)}
-            options={lifestyleOptions.smoking}
-            error={errors['lifestyle.smoking']}
-            placeholder="Select smoking status"
-            required
-          />
-          
-          <Select
-            label="Alcohol Consumption"
-            value={formData.lifestyle.alcohol}
-            onChange={(value) => handleInputChange('lifestyle.alcohol', value)}
-            options={lifestyleOptions.alcohol}
-            error={errors['lifestyle.alcohol']}
-            placeholder="Select alcohol consumption"
-            required
-          />
-          
-          <Select
-            label="Exercise Level"
-            value={formData.lifestyle.exercise}
-            onChange={(value) => handleInputChange('lifestyle.exercise', value)}
-            options={lifestyleOptions.exercise}
-            error={errors['lifestyle.exercise']}
-            placeholder="Select exercise level"
-            required
-          />
-          
-          <Select
-            label="Dietary Preferences"
-            value={formData.lifestyle.diet}
-            onChange={(value) => handleInputChange('lifestyle.diet', value)}
-            options={lifestyleOptions.diet}
-            placeholder="Select dietary preference"
-          />
+      {reanswerReason && (
+        <div className="p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg flex items-start space-x-2">
+          <Info className="h-5 w-5 text-blue-600 dark:text-blue-400 flex-shrink-0 mt-0.5" />
+          <span className="text-sm text-blue-800 dark:text-blue-200">
+            {reanswerReason}. Please review and confirm your answers.
+          </span>
         </div>
-      </Card>
+      )}
 
-      {/* Previous Donations */}
       <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">
-          Previous Blood Donations
-        </h3>
-        
-        <div className="space-y-4">
-          <label className="flex items-start space-x-3 p-3 rounded-lg border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer transition-colors">
-            <input
-              type="checkbox"
-              checked={formData.previousDonations.hasDonateBefore}
-              onChange={(e) => handleInputChange('previousDonations.hasDonateBefore', e.target.checked)}
-              className="mt-0.5 w-5 h-5 rounded border-2 border-slate-400 dark:border-slate-500 text-red-600 focus:ring-2 focus:ring-red-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800 transition-all duration-200 cursor-pointer"
-              style={{
-                accentColor: '#dc2626'
-              }}
-            />
-            <span className="text-sm text-slate-700 dark:text-slate-300 leading-relaxed select-none">
-              I have donated blood before
-            </span>
-          </label>
-          
-          {formData.previousDonations.hasDonateBefore && (
+        <div className="space-y-6">
+          {visibleQuestions.map(question => (
             <motion.div
-              initial={{ opacity: 0, height: 0 }}
+              key={question.id}
+              initial={question.showIf ? { opacity: 0, height: 0 } : false}
               animate={{ opacity: 1, height: 'auto' }}
-              className="space-y-4"
+              className={question.showIf ? 'pl-4 border-l-2 border-red-200 dark:border-red-800' : ''}
             >
-              <Input
-                label="Last Donation Date"
-                type="date"
-                value={formData.previousDonations.lastDonationDate}
-                onChange={(e) => handleInputChange('previousDonations.lastDonationDate', e.target.value)}
-              />
-              
-              <Input
-                label="Any Complications or Reactions?"
-                value={formData.previousDonations.complications}
-                onChange={(e) => handleInputChange('previousDonations.complications', e.target.value)}
-                placeholder="Describe any issues during or after donation"
-                multiline
-                rows={3}
-              />
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                {question.text}
+                {question.required && question.type !== 'multi_choice' && <span className="text-red-500 ml-1">*</span>}
+              </label>
+              {question.help && (
+                <p className="text-xs text-slate-500 dark:text-slate-400 mb-2">{question.help}</p>
+              )}
+              {renderInput(question)}
+              {errors[question.id] && (
+                <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors[question.id]}</p>
+              )}
             </motion.div>
-          )}
-        </div>
-      </Card>
-
-      {/* Current Health Status */}
-      <Card className="p-6">
-        <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-4">
-          Current Health Status
-        </h3>
-        
-        <div className="space-y-4">
-          <label className="flex items-start space-x-3 p-3 rounded-lg border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer transition-colors">
-            <input
-              type="checkbox"
-              checked={formData.currentHealth.feelingWell}
-              onChange={(e) => handleInputChange('currentHealth.feelingWell', e.target.checked)}
-              className="mt-0.5 w-5 h-5 rounded border-2 border-slate-400 dark:border-slate-500 text-red-600 focus:ring-2 focus:ring-red-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800 transition-all duration-200 cursor-pointer"
-              style={{
-                accentColor: '#dc2626'
-              }}
-            />
-            <span className="text-sm text-slate-700 dark:text-slate-300 leading-relaxed select-none">
-              I am feeling well today and have no symptoms of illness
-            </span>
-          </label>
-          
-          <Input
-            label="Recent Illness or Symptoms (if any)"
-            value={formData.currentHealth.recentIllness}
-            onChange={(e) => handleInputChange('currentHealth.recentIllness', e.target.value)}
-            placeholder="Describe any recent illness or current symptoms"
-            multiline
-            rows={3}
-          />
+          ))}
         </div>
       </Card>
 
@@ -453,4 +420,4 @@ const DonorQuestionnaire = ({ onComplete, initialData = {} }) => {
   );
 };
 
-export default DonorQuestionnaire;
\ No newline at end of file
+export default DonorQuestionnaire;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MessageCircle, Smartphone, Mail } from 'lucide-react';
+
+import Card from '../ui/Card';
+import { useAuth } from '../../contexts/AuthContext';
+import { userApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const CHANNELS = [
+  { key: 'whatsapp', label: 'WhatsApp', icon: MessageCircle, keyword: 'Reply STOP on WhatsApp to opt out.' },
+  { key: 'sms', label: 'SMS', icon: Smartphone, keyword: 'Reply STOP to any text to opt out.' },
+  { key: 'email', label: 'Email', icon: Mail }
+];
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const MessageConsents = ({ className = '' }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const [consents, setConsents] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const fetchConsents = useCallback(async () => {
+    if (!userId) return;
+    try {
+      const res = await userApi.getConsents(userId);
+      setConsents(res?.data?.consents || null);
+    } catch (e) {
+      logger.error('Error fetching message consents', 'MESSAGE_CONSENTS', e);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchConsents();
+  }, [fetchConsents]);
+
+  const toggle = async (channel, granted) => {
+    setBusy(channel);
+    setMessage('');
+    try {
+      const res = await userApi.updateConsents(userId, { [channel]: granted });
+      setConsents(res?.data?.consents || consents);
+      setMessage(res?.message || '');
+    } catch (e) {
+      logger.error('Error updating message consents', 'MESSAGE_CONSENTS', e);
+      setMessage('Could not update your contact preferences. Try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!consents) return null;
+
+  return (
+    <Card className={`p-4 space-y-3 ${className}`}>
+      <div>
+        <h3 className="font-semibold text-slate-900 dark:text-white">How we may contact you</h3>
+        <p className="text-sm text-slate-500">We only send blood request alerts on the channels you allow.</p>
+      </div>
+
+      <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+        {CHANNELS.map(({ key, label, icon: Icon, keyword }) => {
+          const consent = consents[key];
+          // No record yet means the donor registered before consent was tracked
+          const granted = consent ? consent.granted : true;
+
+          return (
+            <li key={key} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-slate-900 dark:text-white flex items-center">
+                  <Icon className="w-4 h-4 mr-2" /> {label}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {consent ? `${granted ? 'Allowed' : 'Stopped'} since ${formatDate(consent.at)}` : 'Allowed'}
+                  {granted && keyword ? `. ${keyword}` : ''}
+                </p>
+              </div>
+              <label className="inline-flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="rounded border-slate-300 text-red-600 focus:ring-red-500"
+                  checked={granted}
+                  disabled={busy === key}
+                  onChange={(e) => toggle(key, e.target.checked)}
+                />
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+
+      {message && <p className="text-sm text-slate-600">{message}</p>}
+    </Card>
+  );
+};
+
+export default MessageConsents;
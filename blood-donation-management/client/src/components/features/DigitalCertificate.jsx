@@ -29,20 +29,10 @@ const DigitalCertificate = ({
   const certificateRef = useRef(null);
   const [isGenerating, setIsGenerating] = useState(false);
 
-  const generateQRCode = (certificateId) => {
-    // In real app, this would generate an actual QR code
-    // For now, return a placeholder
-    return `https://api.qrserver.com/v1/create-qr-code/?size=100x100&data=${encodeURIComponent(`https://callforblood.org/verify/${certificateId}`)}`;
-  };
-
   const handleDownload = async () => {
     setIsGenerating(true);
     
     try {
-      // In real app, this would generate a PDF certificate
-      // For now, simulate the process
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
       if (onDownload) {
         await onDownload(donation.certificateId);
       }
@@ -62,7 +52,7 @@ const DigitalCertificate = ({
       navigator.share({
         title: 'Blood Donation Certificate',
         text: shareText,
-        url: `https://callforblood.org/verify/${donation.certificateId}`
+        url: donation.verificationUrl
       });
     } else {
       navigator.clipboard.writeText(shareText);
@@ -75,8 +65,7 @@ const DigitalCertificate = ({
   };
 
   const copyVerificationLink = () => {
-    const link = `https://callforblood.org/verify/${donation.certificateId}`;
-    navigator.clipboard.writeText(link);
+    navigator.clipboard.writeText(donation.verificationUrl);
     logger.success('Verification link copied!', 'DIGITAL_CERTIFICATE');
   };
 
@@ -253,7 +242,7 @@ const DigitalCertificate = ({
                     
                     <div className="text-center">
                       <img
-                        src={generateQRCode(donation.certificateId)}
+                        src={donation.qrCode}
                         alt="Verification QR Code"
                         className="w-16 h-16 mx-auto mb-2"
                       />
@@ -346,7 +335,7 @@ const DigitalCertificate = ({
                 <div className="flex items-center space-x-4 text-xs text-blue-700 dark:text-blue-300">
                   <div className="flex items-center space-x-1">
                     <CheckCircle className="h-3 w-3" />
-                    <span>Blockchain Secured</span>
+                    <span>Digitally Signed</span>
                   </div>
                   <div className="flex items-center space-x-1">
                     <Award className="h-3 w-3" />
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Megaphone, RefreshCw, XCircle } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Badge from '../ui/Badge';
+import { hospitalApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const statusVariants = {
+  active: 'info',
+  completed: 'success',
+  cancelled: 'default'
+};
+
+const triggerLabels = {
+  low_stock: 'Low stock',
+  forecast: 'Projected stock-out',
+  manual: 'Manual'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString([], {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const CampaignCard = ({ campaign, onUpdated }) => {
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const cancel = async () => {
+    setBusy(true);
+    try {
+      await hospitalApi.cancelAppeal(campaign.campaignId, reason);
+      onUpdated();
+    } catch (e) {
+      logger.error('Error cancelling appeal', 'APPEAL_CAMPAIGNS', e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const counts = campaign.invitationCounts || {};
+
+  return (
+    <Card className="p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-semibold">
+            {campaign.bloodType} appeal · {campaign.unitsBooked}/{campaign.unitsTarget} units booked
+            {campaign.unitsCollected > 0 && ` · ${campaign.unitsCollected} collected`}
+          </div>
+          <div className="text-sm text-slate-500">
+            {campaign.campaignId} · {triggerLabels[campaign.trigger?.source] || campaign.trigger?.source} · ends {formatDateTime(campaign.endsAt)}
+          </div>
+          <div className="text-sm text-slate-500">
+            {campaign.invited} invited · {counts.sent || 0} awaiting reply · {counts.queued || 0} queued · {counts.declined || 0} declined
+          </div>
+        </div>
+        <Badge variant={statusVariants[campaign.status] || 'default'}>{campaign.status}</Badge>
+      </div>
+
+      {campaign.bookings.length > 0 && (
+        <ul className="text-sm text-slate-700 space-y-1">
+          {campaign.bookings.map(booking => (
+            <li key={booking.donation?._id || booking.donor?._id}>
+              {booking.donor?.name} ({booking.donor?.bloodType})
+              {booking.slot && ` · ${formatDateTime(booking.slot.start)}`}
+              {` · ${booking.status === 'donated' ? 'donated' : booking.donation?.donationId || 'booked'}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {campaign.status === 'active' && (
+        <div className="flex items-end gap-2">
+          <Input label="Cancellation reason" value={reason} onChange={(e) => setReason(e.target.value)} />
+          <Button variant="outline" onClick={cancel} disabled={busy || reason.trim().length < 3}>
+            <XCircle className="w-4 h-4 mr-2" /> Stop Appeal
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const AppealCampaigns = ({ className = '' }) => {
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchCampaigns = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await hospitalApi.getAppeals();
+      setCampaigns(res?.data?.campaigns || []);
+    } catch (e) {
+      logger.error('Error fetching appeals', 'APPEAL_CAMPAIGNS', e);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold flex items-center">
+          <Megaphone className="w-5 h-5 mr-2" /> Donation Appeals
+        </h2>
+        <Button variant="outline" onClick={fetchCampaigns} disabled={loading}>
+          <RefreshCw className="w-4 h-4 mr-2" /> Refresh
+        </Button>
+      </div>
+
+      {!loading && campaigns.length === 0 && (
+        <Card className="p-4 text-slate-600">
+          No appeals yet. One starts automatically when a blood type runs low or is projected to run out.
+        </Card>
+      )}
+
+      {campaigns.map(campaign => (
+        <CampaignCard key={campaign.campaignId} campaign={campaign} onUpdated={fetchCampaigns} />
+      ))}
+    </div>
+  );
+};
+
+export default AppealCampaigns;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserCheck, RefreshCw, Activity, CheckCircle, XCircle, Droplet } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Badge from '../ui/Badge';
+import { hospitalApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const urgencyVariants = { critical: 'error', urgent: 'warning', scheduled: 'info' };
+
+const donorStatusVariants = { responded: 'default', confirmed: 'info', checked_in: 'success' };
+
+const emptyChecks = {
+  hemoglobin: '',
+  systolic: '',
+  diastolic: '',
+  pulse: '',
+  temperature: '',
+  weight: ''
+};
+
+const formatLabel = (value = '') => value.replace(/_/g, ' ');
+
+const toNumber = (value) => (value === '' || value === undefined ? undefined : Number(value));
+
+const DonationCard = ({ donation, onUpdated }) => {
+  const [checks, setChecks] = useState(emptyChecks);
+  const [units, setUnits] = useState(String(donation.unitsDonated || 1));
+  const [deferReason, setDeferReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const updateCheck = (field) => (e) => setChecks(prev => ({ ...prev, [field]: e.target.value }));
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const res = await action();
+      setMessage(res?.message || successMessage);
+      onUpdated();
+    } catch (e) {
+      logger.error('Donation workflow action failed', 'DONOR_CHECK_IN', e);
+      setMessage('Could not save. Check the values and try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitChecks = () => run(() => hospitalApi.recordPreDonationChecks(donation.donationId, {
+    hemoglobin: { value: toNumber(checks.hemoglobin) },
+    bloodPressure: { systolic: toNumber(checks.systolic), diastolic: toNumber(checks.diastolic) },
+    pulse: { value: toNumber(checks.pulse) },
+    temperature: checks.temperature ? { value: toNumber(checks.temperature) } : undefined,
+    weight: checks.weight ? { value: toNumber(checks.weight) } : undefined
+  }), 'Checks recorded');
+
+  const complete = () => run(
+    () => hospitalApi.completeDonation(donation.donationId, { unitsDonated: toNumber(units) }),
+    'Donation recorded'
+  );
+
+  const defer = () => run(() => hospitalApi.deferDonation(donation.donationId, deferReason), 'Donor deferred');
+
+  const checksReady = checks.hemoglobin && checks.systolic && checks.diastolic && checks.pulse;
+
+  return (
+    <Card className="p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{donation.donorId?.name || 'Donor'}</div>
+          <div className="text-sm text-slate-500">
+            {donation.donationId} · {donation.bloodType} · {formatLabel(donation.donationType)}
+            {donation.requestId?.requestId && ` · ${donation.requestId.requestId}`}
+          </div>
+        </div>
+        <Badge variant={donation.status === 'in_progress' ? 'success' : 'info'}>
+          {formatLabel(donation.status)}
+        </Badge>
+      </div>
+
+      {donation.status === 'scheduled' && (
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-2">
+          <Input label="Hemoglobin (g/dL)" type="number" step="0.1" value={checks.hemoglobin} onChange={updateCheck('hemoglobin')} />
+          <Input label="Systolic" type="number" value={checks.systolic} onChange={updateCheck('systolic')} />
+          <Input label="Diastolic" type="number" value={checks.diastolic} onChange={updateCheck('diastolic')} />
+          <Input label="Pulse (bpm)" type="number" value={checks.pulse} onChange={updateCheck('pulse')} />
+          <Input label="Temp (F)" type="number" step="0.1" value={checks.temperature} onChange={updateCheck('temperature')} />
+          <Input label="Weight (lbs)" type="number" value={checks.weight} onChange={updateCheck('weight')} />
+          <Button className="col-span-2 md:col-span-6" onClick={submitChecks} disabled={busy || !checksReady}>
+            <Activity className="w-4 h-4 mr-2" /> Record Checks
+          </Button>
+        </div>
+      )}
+
+      {donation.status === 'in_progress' && (
+        <div className="flex items-end gap-2">
+          <Input label="Units collected" type="number" step="0.5" min="0.5" max="2" value={units} onChange={(e) => setUnits(e.target.value)} />
+          <Button onClick={complete} disabled={busy || !units}>
+            <CheckCircle className="w-4 h-4 mr-2" /> Complete Donation
+          </Button>
+        </div>
+      )}
+
+      <div className="flex items-end gap-2">
+        <Input label="Deferral reason" value={deferReason} onChange={(e) => setDeferReason(e.target.value)} />
+        <Button variant="outline" onClick={defer} disabled={busy || deferReason.trim().length < 3}>
+          <XCircle className="w-4 h-4 mr-2" /> Defer
+        </Button>
+      </div>
+
+      {message && <div className="text-sm text-slate-600">{message}</div>}
+    </Card>
+  );
+};
+
+const DonorCheckIn = ({ className = '' }) => {
+  const [queue, setQueue] = useState({ requests: [], donations: [] });
+  const [loading, setLoading] = useState(true);
+  const [checkingIn, setCheckingIn] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await hospitalApi.getDonorQueue();
+      if (res?.success) {
+        setQueue(res.data);
+      }
+    } catch (e) {
+      logger.error('Error fetching donor queue', 'DONOR_CHECK_IN', e);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const checkIn = async (requestId, donorId) => {
+    setCheckingIn(donorId);
+    try {
+      await hospitalApi.checkInDonor(requestId, donorId);
+      await fetchQueue();
+    } catch (e) {
+      logger.error('Error checking in donor', 'DONOR_CHECK_IN', e);
+    } finally {
+      setCheckingIn(null);
+    }
+  };
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold flex items-center">
+          <UserCheck className="w-5 h-5 mr-2" /> Donor Check-in
+        </h2>
+        <Button variant="outline" onClick={fetchQueue} disabled={loading}>
+          <RefreshCw className="w-4 h-4 mr-2" /> Refresh
+        </Button>
+      </div>
+
+      {queue.donations.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="font-medium text-slate-700">At the hospital</h3>
+          {queue.donations.map(donation => (
+            <DonationCard key={donation._id} donation={donation} onUpdated={fetchQueue} />
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <h3 className="font-medium text-slate-700">Expected donors</h3>
+        {!loading && queue.requests.length === 0 && (
+          <Card className="p-4 text-slate-600">No active requests at this hospital.</Card>
+        )}
+        {queue.requests.map(request => (
+          <Card key={request._id} className="p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Droplet className="w-4 h-4 text-red-600" />
+                <span className="font-semibold">{request.requestId}</span>
+                <span className="text-slate-600">{request.bloodType} {formatLabel(request.bloodComponent)}</span>
+                <Badge variant={urgencyVariants[request.urgency] || 'default'}>{request.urgency}</Badge>
+              </div>
+              <div className="text-sm text-slate-600">
+                {request.unitsCollected}/{request.unitsNeeded} units collected · {request.committedUnits} committed
+                {request.reservedUnits > 0 && ` · ${request.reservedUnits} reserved from stock`}
+              </div>
+            </div>
+
+            {request.donors.length === 0 ? (
+              <div className="text-sm text-slate-500">No donors have committed yet.</div>
+            ) : (
+              <ul className="divide-y divide-slate-100">
+                {request.donors.map(({ donor, status, eta }) => (
+                  <li key={donor?._id} className="py-2 flex items-center justify-between">
+                    <div>
+                      <div className="font-medium">{donor?.name}</div>
+                      <div className="text-sm text-slate-500">
+                        {donor?.bloodType} · {donor?.phoneNumber}
+                        {eta && ` · ETA ${new Date(eta).toLocaleTimeString()}`}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Badge variant={donorStatusVariants[status] || 'default'}>{formatLabel(status)}</Badge>
+                      {status !== 'checked_in' && (
+                        <Button
+                          size="sm"
+                          onClick={() => checkIn(request.requestId, donor?._id)}
+                          disabled={!donor || checkingIn === donor._id}
+                        >
+                          Check in
+                        </Button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DonorCheckIn;
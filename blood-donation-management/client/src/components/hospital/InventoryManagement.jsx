@@ -39,15 +39,19 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
   const [showThresholdModal, setShowThresholdModal] = useState(false);
   const [selectedBloodType, setSelectedBloodType] = useState('');
   const [editingThresholds, setEditingThresholds] = useState({});
+  // Each component is stocked separately; the table shows one at a time
+  const [component, setComponent] = useState('whole_blood');
 
   const [addForm, setAddForm] = useState({
     bloodType: '',
+    component: 'whole_blood',
     unitsToAdd: '',
     expirationDate: ''
   });
 
   const [consumeForm, setConsumeForm] = useState({
     bloodType: '',
+    component: 'whole_blood',
     unitsToConsume: '',
     reason: ''
   });
@@ -59,6 +63,17 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
 
   const bloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
 
+  const bloodComponents = [
+    { value: 'whole_blood', label: 'Whole Blood' },
+    { value: 'red_cells', label: 'Red Blood Cells' },
+    { value: 'platelets', label: 'Platelets' },
+    { value: 'plasma', label: 'Plasma' },
+    { value: 'cryoprecipitate', label: 'Cryoprecipitate' }
+  ];
+
+  const componentLabel = (value) =>
+    bloodComponents.find(option => option.value === value)?.label || 'Whole Blood';
+
   const consumeReasons = [
     { value: 'patient_transfusion', label: 'Patient Transfusion' },
     { value: 'emergency_use', label: 'Emergency Use' },
@@ -71,7 +86,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
   const fetchInventory = useCallback(async () => {
     setIsLoading(true);
     try {
-      const response = await fetch(`/api/inventory/${hospitalId}`, {
+      const response = await fetch(`/api/v1/inventory/${hospitalId}`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         }
@@ -146,7 +161,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
 
   const handleAddInventory = async () => {
     try {
-      const response = await fetch(`/api/inventory/${hospitalId}/update`, {
+      const response = await fetch(`/api/v1/inventory/${hospitalId}/update`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -162,7 +177,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
         setStatistics(result.data.statistics);
         setAlerts(result.data.alerts);
         setShowAddModal(false);
-        setAddForm({ bloodType: '', unitsToAdd: '', expirationDate: '' });
+        setAddForm({ bloodType: '', component, unitsToAdd: '', expirationDate: '' });
         logger.success('Inventory updated successfully');
       } else {
         throw new Error(result.message);
@@ -174,7 +189,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
 
   const handleConsumeInventory = async () => {
     try {
-      const response = await fetch(`/api/inventory/${hospitalId}/consume`, {
+      const response = await fetch(`/api/v1/inventory/${hospitalId}/consume`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -190,7 +205,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
         setStatistics(result.data.statistics);
         setAlerts(result.data.alerts);
         setShowConsumeModal(false);
-        setConsumeForm({ bloodType: '', unitsToConsume: '', reason: '' });
+        setConsumeForm({ bloodType: '', component, unitsToConsume: '', reason: '' });
         logger.success('Inventory consumed successfully');
       } else {
         throw new Error(result.message);
@@ -202,13 +217,13 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
 
   const handleUpdateThreshold = async (bloodType, threshold) => {
     try {
-      const response = await fetch(`/api/inventory/${hospitalId}/threshold`, {
+      const response = await fetch(`/api/v1/inventory/${hospitalId}/threshold`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
-        body: JSON.stringify({ bloodType, threshold: parseInt(threshold) })
+        body: JSON.stringify({ bloodType, component, threshold: parseInt(threshold) })
       });
 
       const result = await response.json();
@@ -403,12 +418,12 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
           
           <div className="space-y-3">
             {alerts.lowStock.map((item) => (
-              <div key={`low-${item.bloodType}`} className="flex items-center justify-between p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
+              <div key={`low-${item.bloodType}-${item.component}`} className="flex items-center justify-between p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
                 <div className="flex items-center space-x-3">
                   <AlertTriangle className="h-5 w-5 text-yellow-600" />
                   <div>
                     <p className="font-medium text-slate-900 dark:text-white">
-                      Low Stock: {item.bloodType}
+                      Low Stock: {item.bloodType} {componentLabel(item.component)}
                     </p>
                     <p className="text-sm text-slate-600 dark:text-slate-400">
                       {item.unitsAvailable} units available (minimum: {item.minimumThreshold})
@@ -418,7 +433,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
                 <Button
                   size="sm"
                   onClick={() => {
-                    setAddForm({ ...addForm, bloodType: item.bloodType });
+                    setAddForm({ ...addForm, bloodType: item.bloodType, component: item.component || 'whole_blood' });
                     setShowAddModal(true);
                   }}
                 >
@@ -428,12 +443,12 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
             ))}
             
             {alerts.expiringSoon.map((item) => (
-              <div key={`expiring-${item.bloodType}`} className="flex items-center justify-between p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+              <div key={`expiring-${item.bloodType}-${item.component}`} className="flex items-center justify-between p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
                 <div className="flex items-center space-x-3">
                   <Clock className="h-5 w-5 text-red-600" />
                   <div>
                     <p className="font-medium text-slate-900 dark:text-white">
-                      Expiring Soon: {item.bloodType}
+                      Expiring Soon: {item.bloodType} {componentLabel(item.component)}
                     </p>
                     <p className="text-sm text-slate-600 dark:text-slate-400">
                       {item.expiringSoonCount} units expiring within 7 days
@@ -444,7 +459,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
                   variant="outline"
                   size="sm"
                   onClick={() => {
-                    setConsumeForm({ ...consumeForm, bloodType: item.bloodType, reason: 'expired_disposal' });
+                    setConsumeForm({ ...consumeForm, bloodType: item.bloodType, component: item.component || 'whole_blood', reason: 'expired_disposal' });
                     setShowConsumeModal(true);
                   }}
                 >
@@ -462,14 +477,21 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
           <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
             Current Inventory
           </h3>
-          <Button
-            variant="outline"
-            size="sm"
-            className="flex items-center space-x-2"
-          >
-            <BarChart3 className="h-4 w-4" />
-            <span>View Analytics</span>
-          </Button>
+          <div className="flex items-center space-x-3">
+            <Select
+              value={component}
+              onChange={setComponent}
+              options={bloodComponents}
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              className="flex items-center space-x-2"
+            >
+              <BarChart3 className="h-4 w-4" />
+              <span>View Analytics</span>
+            </Button>
+          </div>
         </div>
         
         <div className="overflow-x-auto">
@@ -501,7 +523,9 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
             </thead>
             <tbody>
               {bloodTypes.map((bloodType) => {
-                const item = inventory.find(inv => inv.bloodType === bloodType) || {
+                const item = inventory.find(inv =>
+                  inv.bloodType === bloodType && (inv.component || 'whole_blood') === component
+                ) || {
                   bloodType,
                   unitsAvailable: 0,
                   minimumThreshold: 5,
@@ -610,7 +634,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
                           variant="outline"
                           size="sm"
                           onClick={() => {
-                            setAddForm({ ...addForm, bloodType });
+                            setAddForm({ ...addForm, bloodType, component });
                             setShowAddModal(true);
                           }}
                         >
@@ -621,7 +645,7 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
                             variant="outline"
                             size="sm"
                             onClick={() => {
-                              setConsumeForm({ ...consumeForm, bloodType });
+                              setConsumeForm({ ...consumeForm, bloodType, component });
                               setShowConsumeModal(true);
                             }}
                           >
@@ -652,6 +676,14 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
             options={bloodTypes.map(type => ({ value: type, label: type }))}
             required
           />
+
+          <Select
+            label="Component"
+            value={addForm.component}
+            onChange={(value) => setAddForm({ ...addForm, component: value })}
+            options={bloodComponents}
+            required
+          />
           
           <Input
             label="Units to Add"
@@ -702,6 +734,14 @@ const InventoryManagement = ({ hospitalId, className = '' }) => {
             options={bloodTypes.map(type => ({ value: type, label: type }))}
             required
           />
+
+          <Select
+            label="Component"
+            value={consumeForm.component}
+            onChange={(value) => setConsumeForm({ ...consumeForm, component: value })}
+            options={bloodComponents}
+            required
+          />
           
           <Input
             label="Units to Consume"
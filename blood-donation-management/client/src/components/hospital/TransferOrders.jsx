@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Truck, RefreshCw, Send, CheckCircle, XCircle, PackageCheck } from 'lucide-react';
+
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Badge from '../ui/Badge';
+import { hospitalApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const bloodTypeOptions = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].map(type => ({ value: type, label: type }));
+
+const urgencyOptions = [
+  { value: 'routine', label: 'Routine' },
+  { value: 'urgent', label: 'Urgent' },
+  { value: 'emergency', label: 'Emergency' }
+];
+
+const statusVariants = {
+  requested: 'warning',
+  in_transit: 'info',
+  received: 'success',
+  rejected: 'error',
+  cancelled: 'default'
+};
+
+const emptyOrder = { fromHospitalId: '', bloodType: '', units: '1', urgency: 'routine', reason: '' };
+
+const formatLabel = (value = '') => value.replace(/_/g, ' ');
+
+const TransferCard = ({ order, direction, onUpdated }) => {
+  const [note, setNote] = useState('');
+  const [temperature, setTemperature] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const res = await action();
+      setMessage(res?.message || 'Saved');
+      onUpdated();
+    } catch (e) {
+      logger.error('Transfer order action failed', 'TRANSFER_ORDERS', e);
+      setMessage('Could not update the order. Try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const receive = (maintained) => run(() => hospitalApi.receiveTransfer(order.orderId, {
+    coldChain: {
+      maintained,
+      temperatureOnArrival: temperature === '' ? undefined : Number(temperature),
+      note: note || undefined
+    }
+  }));
+
+  const counterpart = direction === 'incoming' ? order.toHospital : order.fromHospital;
+  const noteReady = note.trim().length >= 3;
+
+  return (
+    <Card className="p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-semibold">
+            {order.units} × {order.bloodType} {direction === 'incoming' ? 'to' : 'from'} {counterpart?.name}
+          </div>
+          <div className="text-sm text-slate-500">
+            {order.orderId} · {order.urgency}{order.reason && ` · ${order.reason}`}
+          </div>
+        </div>
+        <Badge variant={statusVariants[order.status] || 'default'}>{formatLabel(order.status)}</Badge>
+      </div>
+
+      {order.status === 'requested' && (
+        <div className="flex items-end gap-2">
+          <Input label={direction === 'incoming' ? 'Note or rejection reason' : 'Cancellation reason'} value={note} onChange={(e) => setNote(e.target.value)} />
+          {direction === 'incoming' ? (
+            <>
+              <Button onClick={() => run(() => hospitalApi.approveTransfer(order.orderId, note || undefined))} disabled={busy}>
+                <CheckCircle className="w-4 h-4 mr-2" /> Approve &amp; Dispatch
+              </Button>
+              <Button variant="outline" onClick={() => run(() => hospitalApi.rejectTransfer(order.orderId, note))} disabled={busy || !noteReady}>
+                <XCircle className="w-4 h-4 mr-2" /> Reject
+              </Button>
+            </>
+          ) : (
+            <Button variant="outline" onClick={() => run(() => hospitalApi.cancelTransfer(order.orderId, note))} disabled={busy || !noteReady}>
+              <XCircle className="w-4 h-4 mr-2" /> Cancel
+            </Button>
+          )}
+        </div>
+      )}
+
+      {order.status === 'in_transit' && direction === 'outgoing' && (
+        <div className="flex items-end gap-2">
+          <Input label="Temp on arrival (°C)" type="number" step="0.1" value={temperature} onChange={(e) => setTemperature(e.target.value)} />
+          <Input label="Cold-chain note" value={note} onChange={(e) => setNote(e.target.value)} />
+          <Button onClick={() => receive(true)} disabled={busy}>
+            <PackageCheck className="w-4 h-4 mr-2" /> Confirm Receipt
+          </Button>
+          <Button variant="outline" onClick={() => receive(false)} disabled={busy || !noteReady}>
+            Cold Chain Broken
+          </Button>
+        </div>
+      )}
+
+      {order.status === 'received' && order.receipt && (
+        <div className="text-sm text-slate-600">
+          {order.receipt.unitsAccepted} unit(s) accepted
+          {order.receipt.coldChain?.temperatureOnArrival !== undefined && ` · ${order.receipt.coldChain.temperatureOnArrival} °C on arrival`}
+          {order.receipt.coldChain?.note && ` · ${order.receipt.coldChain.note}`}
+        </div>
+      )}
+
+      {message && <div className="text-sm text-slate-600">{message}</div>}
+    </Card>
+  );
+};
+
+const TransferOrders = ({ hospitalId, className = '' }) => {
+  const [orders, setOrders] = useState({ incoming: [], outgoing: [] });
+  const [hospitals, setHospitals] = useState([]);
+  const [form, setForm] = useState(emptyOrder);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchOrders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [incoming, outgoing] = await Promise.all([
+        hospitalApi.getTransfers({ direction: 'incoming' }),
+        hospitalApi.getTransfers({ direction: 'outgoing' })
+      ]);
+      setOrders({
+        incoming: incoming?.data?.orders || [],
+        outgoing: outgoing?.data?.orders || []
+      });
+    } catch (e) {
+      logger.error('Error fetching transfer orders', 'TRANSFER_ORDERS', e);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  useEffect(() => {
+    const loadHospitals = async () => {
+      try {
+        const res = await hospitalApi.searchHospitals({ limit: 100 });
+        setHospitals((res?.data || []).filter(hospital => hospital._id !== hospitalId));
+      } catch (e) {
+        logger.error('Error loading hospitals', 'TRANSFER_ORDERS', e);
+      }
+    };
+    loadHospitals();
+  }, [hospitalId]);
+
+  const updateForm = (field) => (value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const submit = async () => {
+    setSubmitting(true);
+    try {
+      await hospitalApi.createTransfer({
+        ...form,
+        units: Number(form.units),
+        reason: form.reason || undefined
+      });
+      setForm(emptyOrder);
+      await fetchOrders();
+    } catch (e) {
+      logger.error('Error creating transfer order', 'TRANSFER_ORDERS', e);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formReady = form.fromHospitalId && form.bloodType && Number(form.units) > 0;
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold flex items-center">
+          <Truck className="w-5 h-5 mr-2" /> Blood Transfers
+        </h2>
+        <Button variant="outline" onClick={fetchOrders} disabled={loading}>
+          <RefreshCw className="w-4 h-4 mr-2" /> Refresh
+        </Button>
+      </div>
+
+      <Card className="p-4 space-y-3">
+        <h3 className="font-medium text-slate-700">Request blood from another hospital</h3>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-2">
+          <Select
+            label="Supplying hospital"
+            value={form.fromHospitalId}
+            onChange={updateForm('fromHospitalId')}
+            options={hospitals.map(hospital => ({ value: hospital._id, label: hospital.name }))}
+          />
+          <Select label="Blood type" value={form.bloodType} onChange={updateForm('bloodType')} options={bloodTypeOptions} />
+          <Input label="Units" type="number" min="1" max="100" value={form.units} onChange={(e) => updateForm('units')(e.target.value)} />
+          <Select label="Urgency" value={form.urgency} onChange={updateForm('urgency')} options={urgencyOptions} />
+          <Input label="Reason" value={form.reason} onChange={(e) => updateForm('reason')(e.target.value)} />
+        </div>
+        <Button onClick={submit} disabled={submitting || !formReady}>
+          <Send className="w-4 h-4 mr-2" /> Send Request
+        </Button>
+      </Card>
+
+      {[
+        { direction: 'incoming', title: 'Requests to supply' },
+        { direction: 'outgoing', title: 'Our requests' }
+      ].map(({ direction, title }) => (
+        <div key={direction} className="space-y-3">
+          <h3 className="font-medium text-slate-700">{title}</h3>
+          {!loading && orders[direction].length === 0 && (
+            <Card className="p-4 text-slate-600">No transfer orders.</Card>
+          )}
+          {orders[direction].map(order => (
+            <TransferCard key={order._id} order={order} direction={direction} onUpdated={fetchOrders} />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TransferOrders;
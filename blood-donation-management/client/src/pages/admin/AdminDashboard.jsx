@@ -12,7 +12,11 @@ import {
   Bell,
   Settings,
   Phone,
-  Shield
+  Shield,
+  MessageSquare,
+  Inbox,
+  FileCheck,
+  Award
 } from 'lucide-react';
 
 import Card from '../../components/ui/Card';
@@ -22,6 +26,10 @@ import Select from '../../components/ui/Select';
 import Map from '../../components/ui/Map';
 import Tabs from '../../components/ui/Tabs';
 import DonorManagement from '../../components/admin/DonorManagement';
+import ReplyReviewInbox from '../../components/admin/ReplyReviewInbox';
+import SupportInbox from '../../components/admin/SupportInbox';
+import DocumentVerificationQueue from '../../components/admin/DocumentVerificationQueue';
+import BadgeCatalog from '../../components/admin/BadgeCatalog';
 import logger from '../../utils/logger';
 import { adminApi } from '../../utils/api';
 
@@ -41,6 +49,7 @@ const AdminDashboard = () => {
   const [escalateWhatsApp, setEscalateWhatsApp] = useState([]);
   const [escalateSMS, setEscalateSMS] = useState([]);
   const [escalateAfterMs, setEscalateAfterMs] = useState(0);
+  const [fatigue, setFatigue] = useState({});
   const [activeTab, setActiveTab] = useState('dashboard');
 
   const fetchNotificationSettings = async () => {
@@ -53,6 +62,7 @@ const AdminDashboard = () => {
         setEscalateWhatsApp(s.escalateToWhatsAppOnPriority || []);
         setEscalateSMS(s.escalateToSMSOnPriority || []);
         setEscalateAfterMs(s.escalateAfterMs || 0);
+        setFatigue(s.fatigue || {});
       }
     } catch (e) {
       logger.warn('Failed to fetch notification settings', 'ADMIN_DASHBOARD', e);
@@ -83,7 +93,8 @@ const AdminDashboard = () => {
         channelOrder,
         escalateToWhatsAppOnPriority: escalateWhatsApp,
         escalateToSMSOnPriority: escalateSMS,
-        escalateAfterMs
+        escalateAfterMs,
+        fatigue
       };
       const updated = await adminApi.updateNotificationSettings(payload);
       setNotifSettings(updated?.data || notifSettings);
@@ -343,7 +354,11 @@ const AdminDashboard = () => {
               { id: 'dashboard', label: 'Dashboard', icon: Activity },
               { id: 'donors', label: 'Donor Management', icon: Users, count: dashboardData?.overview.totalDonors },
               { id: 'requests', label: 'Blood Requests', icon: Droplet, count: dashboardData?.overview.activeRequests },
-              { id: 'analytics', label: 'Analytics', icon: TrendingUp }
+              { id: 'analytics', label: 'Analytics', icon: TrendingUp },
+              { id: 'messages', label: 'Donor Messages', icon: MessageSquare },
+              { id: 'support', label: 'Support Inbox', icon: Inbox },
+              { id: 'documents', label: 'Document Checks', icon: FileCheck },
+              { id: 'badges', label: 'Badges', icon: Award }
             ]}
             activeTab={activeTab}
             onChange={setActiveTab}
@@ -726,6 +741,37 @@ const AdminDashboard = () => {
                             min={0}
                           />
                         </div>
+                        <div>
+                          <div className="flex items-center justify-between mb-1">
+                            <p className="text-xs text-slate-600 dark:text-slate-400">Donor alert limits</p>
+                            <label className="flex items-center gap-1 text-xs text-slate-600 dark:text-slate-400">
+                              <input type="checkbox"
+                                checked={fatigue.enabled !== false}
+                                onChange={(e) => setFatigue((prev) => ({ ...prev, enabled: e.target.checked }))}
+                              />
+                              Enabled
+                            </label>
+                          </div>
+                          <div className="grid grid-cols-2 gap-3">
+                            {[
+                              ['maxPerDay', 'Max alerts per day', 1],
+                              ['maxPerWeek', 'Max alerts per week', 1],
+                              ['declineCooldownHours', 'Cool-down after decline (h)', 0],
+                              ['maxSnoozeDays', 'Max snooze (days)', 1],
+                              ['fairnessWindowDays', 'Fairness window (days)', 1],
+                              ['fairnessWeight', 'Fairness weight', 0]
+                            ].map(([key, label, min]) => (
+                              <div key={key}>
+                                <p className="text-xs text-slate-500 dark:text-slate-400 mb-1">{label}</p>
+                                <input type="number" className="w-full px-2 py-1 rounded border text-sm bg-white dark:bg-slate-800 border-slate-300 dark:border-slate-600"
+                                  value={fatigue[key] ?? ''}
+                                  onChange={(e) => setFatigue((prev) => ({ ...prev, [key]: parseInt(e.target.value || String(min), 10) }))}
+                                  min={min}
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        </div>
                         <div className="flex justify-end">
                           <Button size="sm" onClick={handleSaveNotificationSettings}>Save</Button>
                         </div>
@@ -928,6 +974,50 @@ const AdminDashboard = () => {
             <DonorManagement />
           </motion.div>
         )}
+
+        {/* Donor Messages Tab Content */}
+        {activeTab === 'messages' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <ReplyReviewInbox />
+          </motion.div>
+        )}
+
+        {/* Support Inbox Tab Content */}
+        {activeTab === 'support' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <SupportInbox />
+          </motion.div>
+        )}
+
+        {/* Document Checks Tab Content */}
+        {activeTab === 'documents' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <DocumentVerificationQueue />
+          </motion.div>
+        )}
+
+        {/* Badge Catalog Tab Content */}
+        {activeTab === 'badges' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <BadgeCatalog />
+          </motion.div>
+        )}
       </div>
     </div>
   );
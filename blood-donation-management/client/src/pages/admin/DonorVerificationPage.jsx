@@ -25,8 +25,9 @@ import Input from '../../components/ui/Input';
 import Select from '../../components/ui/Select';
 import Avatar from '../../components/ui/Avatar';
 import Tabs from '../../components/ui/Tabs';
+import DocumentOcrResult from '../../components/admin/DocumentOcrResult';
 import logger from '../../utils/logger';
-import { adminApi } from '../../utils/api';
+import { adminApi, openDocument } from '../../utils/api';
 
 const DonorVerificationPage = () => {
   const [pendingDonors, setPendingDonors] = useState([]);
@@ -83,7 +84,8 @@ const DonorVerificationPage = () => {
         type: d.type,
         originalName: d.originalName,
         url: d.url,
-        verified: d.verified
+        verified: d.verified,
+        ocr: d.ocr
       }));
       setSelectedDonor({ ...details, documents });
     } catch (e) {
@@ -556,7 +558,7 @@ const DonorDetailsPanel = ({ donor, onApprove, onReject, isProcessing, onUpdateD
                       <Button
                         variant="outline"
                         size="sm"
-                        onClick={() => window.open(doc.url, '_blank')}
+                        onClick={() => openDocument(doc._id).catch(error => alert(error.message))}
                       >
                         <Eye className="h-4 w-4 mr-2" />
                         View
@@ -572,7 +574,7 @@ const DonorDetailsPanel = ({ donor, onApprove, onReject, isProcessing, onUpdateD
                               // Refresh selected donor documents
                               const docsRes = await adminApi.getUserDocuments(donor._id);
                               const documents = (docsRes?.data || []).map((d) => ({
-                                _id: d._id, type: d.type, originalName: d.originalName, url: d.url, verified: d.verified
+                                _id: d._id, type: d.type, originalName: d.originalName, url: d.url, verified: d.verified, ocr: d.ocr
                               }));
                               if (onUpdateDonor) {
                                 onUpdateDonor({ ...donor, documents });
@@ -597,7 +599,7 @@ const DonorDetailsPanel = ({ donor, onApprove, onReject, isProcessing, onUpdateD
                               await adminApi.verifyDocument(doc._id, { verified: false, rejectionReason: reason });
                               const docsRes = await adminApi.getUserDocuments(donor._id);
                               const documents = (docsRes?.data || []).map((d) => ({
-                                _id: d._id, type: d.type, originalName: d.originalName, url: d.url, verified: d.verified
+                                _id: d._id, type: d.type, originalName: d.originalName, url: d.url, verified: d.verified, ocr: d.ocr
                               }));
                               if (onUpdateDonor) {
                                 onUpdateDonor({ ...donor, documents });
@@ -613,6 +615,11 @@ const DonorDetailsPanel = ({ donor, onApprove, onReject, isProcessing, onUpdateD
                       )}
                     </div>
                   </div>
+                  {!doc.verified && doc.ocr && (
+                    <div className="mt-3">
+                      <DocumentOcrResult ocr={doc.ocr} />
+                    </div>
+                  )}
                 </div>
               ))
             ) : (
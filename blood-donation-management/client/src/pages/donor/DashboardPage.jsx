@@ -20,12 +20,18 @@ import {
 import Card from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
 import Badge from '../../components/ui/Badge';
+import DonationAppeals from '../../components/donor/DonationAppeals';
+import AvailabilitySettings from '../../components/donor/AvailabilitySettings';
+import DonationCertificates from '../../components/donor/DonationCertificates';
+import AchievementSystem from '../../components/donor/AchievementSystem';
+import Modal from '../../components/ui/Modal';
 import logger from '../../utils/logger';
 import { authApi, userApi } from '../../utils/api';
 
 const DashboardPage = () => {
   const [dashboardData, setDashboardData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [showAllAchievements, setShowAllAchievements] = useState(false);
 
   useEffect(() => {
     logger.componentMount('DonorDashboard');
@@ -46,10 +52,15 @@ const DashboardPage = () => {
       const uid = user?._id || user?.id;
       if (!uid) throw new Error('USER_ID_NOT_AVAILABLE');
 
-      const [statsRes, donationsRes, activityRes] = await Promise.all([
+      const [statsRes, donationsRes, activityRes, achievementsRes] = await Promise.all([
         userApi.getUserStats(uid),
         userApi.getDonations(uid),
-        userApi.getActivity(uid)
+        userApi.getActivity(uid),
+        // Badges are a nice-to-have; the dashboard loads without them
+        userApi.getAchievements(uid).catch(error => {
+          logger.error('Error fetching achievements', 'DONOR_DASHBOARD', error);
+          return null;
+        })
       ]);
 
       const stats = statsRes?.data || {};
@@ -63,8 +74,17 @@ const DashboardPage = () => {
         color: 'blue'
       }));
 
+      const achievementStats = achievementsRes?.data?.stats;
+      // Earned badges first, then the ones closest to being earned
+      const badges = [...(achievementsRes?.data?.achievements || [])].sort((a, b) =>
+        (b.isUnlocked - a.isUnlocked) ||
+        (b.progress.current / b.progress.target) - (a.progress.current / a.progress.target));
+
       const lastDonation = donations.find(d => d.status === 'completed');
-      const nextEligible = lastDonation?.postDonationInfo?.nextEligibleDate || stats?.eligibility?.nextEligibleDate;
+      // The eligibility engine accounts for deferrals as well as the last donation
+      const nextEligible = stats?.eligibility
+        ? stats.eligibility.nextEligibleDate
+        : lastDonation?.postDonationInfo?.nextEligibleDate;
 
       const assembled = {
         user: {
@@ -83,18 +103,22 @@ const DashboardPage = () => {
           averageResponseTime: stats?.activity?.averageResponseTime || 0,
           lastDonationDate: lastDonation?.donationDate || null,
           nextEligibleDate: nextEligible || null,
-          totalPoints: user?.rewards?.points || 0,
-          currentStreak: user?.rewards?.streak || 0
+          deferredIndefinitely: stats?.eligibility?.deferredIndefinitely || false,
+          eligibilityReasons: stats?.eligibility?.reasons || [],
+          totalPoints: achievementStats?.totalPoints ?? user?.rewards?.points ?? 0,
+          currentStreak: achievementStats?.currentStreak ?? user?.rewards?.streak ?? 0
         },
         recentActivity: activity.slice(0, 10),
+        donations,
         upcomingEvents: [],
-        achievements: (user?.rewards?.badges || []).map((b, i) => ({
-          id: i,
-          name: b,
-          description: '',
-          icon: '🏅',
-          earned: true,
-          earnedDate: user?.updatedAt
+        achievements: badges.slice(0, 6).map(b => ({
+          id: b.id,
+          name: b.title,
+          description: b.description,
+          icon: b.icon,
+          earned: b.isUnlocked,
+          earnedDate: b.earnedDate,
+          progress: Math.round((b.progress.current / b.progress.target) * 100)
         })),
         impactMetrics: {
           livesImpacted: (stats?.donations?.totalUnitsContributed || 0) * 2,
@@ -360,6 +384,10 @@ const DashboardPage = () => {
 
           {/* Sidebar */}
           <div className="space-y-6">
+            <DonationAppeals />
+            <AvailabilitySettings />
+            <DonationCertificates donations={dashboardData?.donations} donor={dashboardData?.user} />
+
             {/* Next Donation Eligibility */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
@@ -374,7 +402,11 @@ const DashboardPage = () => {
                   <h3 className="font-semibold text-slate-900 dark:text-white mb-2">
                     Next Donation
                   </h3>
-                  {eligibilityDays > 0 ? (
+                  {dashboardData.stats.deferredIndefinitely ? (
+                    <p className="text-2xl font-bold text-slate-600 dark:text-slate-400">
+                      Deferred
+                    </p>
+                  ) : eligibilityDays > 0 ? (
                     <>
                       <p className="text-2xl font-bold text-red-600 dark:text-red-400">
                         {eligibilityDays} days
@@ -396,6 +428,16 @@ const DashboardPage = () => {
                       </Button>
                     </>
                   )}
+                  {dashboardData.stats.eligibilityReasons.length > 0 && (
+                    <ul className="mt-4 space-y-1 text-left">
+                      {dashboardData.stats.eligibilityReasons.map((reason, index) => (
+                        <li key={`${reason.code}-${index}`} className="text-xs text-slate-600 dark:text-slate-400">
+                          • {reason.message}
+                          {reason.until && ` (until ${new Date(reason.until).toLocaleDateString()})`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               </Card>
             </motion.div>
@@ -447,7 +489,7 @@ const DashboardPage = () => {
               <h2 className="text-xl font-semibold text-slate-900 dark:text-white">
                 Achievements & Badges
               </h2>
-              <Button variant="outline" size="sm">
+              <Button variant="outline" size="sm" onClick={() => setShowAllAchievements(true)}>
                 <Award className="h-4 w-4 mr-2" />
                 View All
               </Button>
@@ -575,6 +617,10 @@ const DashboardPage = () => {
           </Card>
         </motion.div>
       </div>
+
+      <Modal isOpen={showAllAchievements} onClose={() => setShowAllAchievements(false)} title="Achievements" size="xl">
+        {showAllAchievements && <AchievementSystem donorId={dashboardData?.user.donorId} />}
+      </Modal>
     </div>
   );
 };
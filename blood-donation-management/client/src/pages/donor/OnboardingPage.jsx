@@ -132,10 +132,11 @@ const OnboardingPage = () => {
     (async () => {
       const ok = await ensureUser();
       if (!ok) return;
-      // Set initial step based on state
-      if (location.state?.step === 'documents') {
+      // Set initial step based on state, or ?step= from links in messages
+      const requestedStep = location.state?.step || new URLSearchParams(location.search).get('step');
+      if (requestedStep === 'documents') {
         setCurrentStep(1);
-      } else if (location.state?.step === 'questionnaire') {
+      } else if (requestedStep === 'questionnaire') {
         setCurrentStep(2);
       }
       // Check existing completion status
@@ -145,7 +146,7 @@ const OnboardingPage = () => {
     return () => {
       logger.componentUnmount('OnboardingPage');
     };
-  }, [user, navigate, location.state, checkCompletionStatus]);
+  }, [user, navigate, location.state, location.search, checkCompletionStatus]);
 
   const steps = [
     {
@@ -214,7 +215,10 @@ const OnboardingPage = () => {
         setCurrentStep(3);
         logger.success('Health questionnaire completed', 'ONBOARDING_PAGE');
       } else {
-        throw new Error(data.message || 'Failed to save questionnaire');
+        const error = new Error(data.message || 'Failed to save questionnaire');
+        // Per-question errors are shown next to the questions
+        error.errors = data.errors;
+        throw error;
       }
     } catch (error) {
       logger.error('Failed to complete questionnaire', 'ONBOARDING_PAGE', error);
@@ -251,8 +255,8 @@ const OnboardingPage = () => {
       case 2:
         return (
           <DonorQuestionnaire
+            userId={user?._id || user?.id}
             onComplete={handleQuestionnaireComplete}
-            initialData={user?.questionnaire || {}}
           />
         );
         
@@ -18,7 +18,8 @@ import {
   Activity,
   Award,
   Heart,
-  Clock
+  Clock,
+  Shield
 } from 'lucide-react';
 
 import Button from '../../components/ui/Button';
@@ -28,6 +29,8 @@ import Select from '../../components/ui/Select';
 import Badge from '../../components/ui/Badge';
 import Avatar from '../../components/ui/Avatar';
 import Tabs from '../../components/ui/Tabs';
+import ActiveSessions from '../../components/auth/ActiveSessions';
+import MessageConsents from '../../components/donor/MessageConsents';
 import logger from '../../utils/logger';
 
 const ProfilePage = () => {
@@ -308,7 +311,8 @@ const ProfilePage = () => {
     { id: 'profile', label: 'Profile', icon: User },
     { id: 'medical', label: 'Medical Info', icon: Heart },
     { id: 'activity', label: 'Activity', icon: Activity },
-    { id: 'achievements', label: 'Achievements', icon: Award }
+    { id: 'achievements', label: 'Achievements', icon: Award },
+    { id: 'security', label: 'Security', icon: Shield }
   ];
 
   return (
@@ -677,6 +681,18 @@ const ProfilePage = () => {
                     </p>
                   </motion.div>
                 )}
+
+                {activeTab === 'security' && (
+                  <motion.div
+                    key="security"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -20 }}
+                  >
+                    <ActiveSessions />
+                    <MessageConsents className="mt-6" />
+                  </motion.div>
+                )}
               </AnimatePresence>
 
               {/* Action Buttons */}
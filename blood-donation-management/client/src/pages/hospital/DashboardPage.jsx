@@ -2,6 +2,10 @@ import React, { useEffect, useState } from 'react';
 import Card from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
 import InventoryManagement from '../../components/hospital/InventoryManagement';
+import DonorCheckIn from '../../components/hospital/DonorCheckIn';
+import TransferOrders from '../../components/hospital/TransferOrders';
+import AppealCampaigns from '../../components/hospital/AppealCampaigns';
+import ActiveSessions from '../../components/auth/ActiveSessions';
 import logger from '../../utils/logger';
 
 const HospitalDashboardPage = () => {
@@ -59,7 +63,11 @@ const HospitalDashboardPage = () => {
           <h1 className="text-2xl font-bold">{hospital.name}</h1>
           <p className="text-slate-600">{hospital.address?.street}, {hospital.address?.city}</p>
         </div>
+        <DonorCheckIn />
         <InventoryManagement hospitalId={hospital._id} />
+        <TransferOrders hospitalId={hospital._id} />
+        <AppealCampaigns />
+        <ActiveSessions />
       </div>
     </div>
   );
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   AlertTriangle, 
@@ -16,23 +16,80 @@ import Card from '../../components/ui/Card';
 import Input from '../../components/ui/Input';
 import Select from '../../components/ui/Select';
 import LocationPicker from '../../components/ui/LocationPicker';
-import { bloodRequestApi } from '../../utils/api';
+import { bloodRequestApi, inventoryApi } from '../../utils/api';
 import logger from '../../utils/logger';
 
+// How soon blood is needed for each urgency level, matching the labels below
+const URGENCY_WINDOW_HOURS = {
+  critical: 2,
+  urgent: 6,
+  scheduled: 24
+};
+
+// The API takes the request grouped by requester, patient, request and location
+const toRequestPayload = (formData) => ({
+  requester: {
+    name: formData.requesterName,
+    phoneNumber: formData.requesterPhone,
+    email: formData.requesterEmail || undefined,
+    // The API has no medical staff relationship
+    relationship: formData.relationship === 'medical_staff' ? 'other' : formData.relationship
+  },
+  patient: {
+    name: formData.patientName,
+    age: Number(formData.patientAge),
+    gender: formData.patientGender,
+    bloodType: formData.bloodType,
+    medicalCondition: formData.medicalCondition,
+    additionalNotes: [
+      formData.doctorName && `Attending doctor: ${formData.doctorName}`,
+      formData.additionalNotes
+    ].filter(Boolean).join('\n') || undefined
+  },
+  request: {
+    urgency: formData.urgencyLevel,
+    unitsNeeded: Number(formData.unitsNeeded),
+    bloodComponent: formData.bloodComponent,
+    requiredBy: new Date(Date.now() + URGENCY_WINDOW_HOURS[formData.urgencyLevel] * 60 * 60 * 1000).toISOString()
+  },
+  location: {
+    hospital: {
+      name: formData.hospitalName,
+      address: {
+        street: formData.hospitalAddress,
+        city: formData.hospitalCity,
+        state: formData.hospitalState,
+        pincode: formData.hospitalPincode
+      },
+      contactNumber: formData.hospitalPhone,
+      coordinates: {
+        type: 'Point',
+        coordinates: [formData.location?.longitude, formData.location?.latitude]
+      }
+    }
+  }
+});
+
 const EmergencyRequestPage = () => {
   const [currentStep, setCurrentStep] = useState(1);
   const [isLoading, setIsLoading] = useState(false);
+  const [unitsReserved, setUnitsReserved] = useState(0);
   const [formData, setFormData] = useState({
     // Patient Information
     patientName: '',
     patientAge: '',
     patientGender: '',
     bloodType: '',
+    bloodComponent: 'whole_blood',
     unitsNeeded: '1',
     
     // Medical Information
     hospitalName: '',
     hospitalAddress: '',
+    hospitalCity: '',
+    hospitalState: '',
+    hospitalPincode: '',
+    hospitalPhone: '',
     doctorName: '',
     medicalCondition: '',
     urgencyLevel: 'urgent',
@@ -61,6 +118,14 @@ const EmergencyRequestPage = () => {
     { value: 'O-', label: 'O-' }
   ];
 
+  const bloodComponents = [
+    { value: 'whole_blood', label: 'Whole Blood' },
+    { value: 'red_cells', label: 'Red Blood Cells' },
+    { value: 'platelets', label: 'Platelets' },
+    { value: 'plasma', label: 'Plasma' },
+    { value: 'cryoprecipitate', label: 'Cryoprecipitate' }
+  ];
+
   const urgencyLevels = [
     { value: 'critical', label: 'Critical (Within 2 hours)', color: 'text-red-600' },
     { value: 'urgent', label: 'Urgent (Within 6 hours)', color: 'text-orange-600' },
@@ -79,6 +144,33 @@ const EmergencyRequestPage = () => {
     { value: 'other', label: 'Other' }
   ];
 
+  const [compatibility, setCompatibility] = useState(null);
+
+  // Compatible donor types depend on the component, e.g. AB is the universal plasma donor
+  useEffect(() => {
+    if (!formData.bloodType) {
+      setCompatibility(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    inventoryApi.getAvailability({ bloodType: formData.bloodType, component: formData.bloodComponent })
+      .then((response) => {
+        if (!cancelled && response.success) {
+          setCompatibility(response.compatibility);
+        }
+      })
+      .catch((error) => {
+        logger.warn('Failed to load blood compatibility', 'EMERGENCY_REQUEST', error);
+        if (!cancelled) setCompatibility(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.bloodType, formData.bloodComponent]);
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -99,10 +191,11 @@ const EmergencyRequestPage = () => {
       logger.info('Submitting emergency blood request', 'EMERGENCY_REQUEST');
       
       // Submit emergency request via API
-      const response = await bloodRequestApi.submitEmergencyRequest(formData);
+      const response = await bloodRequestApi.submitEmergencyRequest(toRequestPayload(formData));
       
       if (response.success) {
         logger.success('Emergency request submitted successfully', 'EMERGENCY_REQUEST');
+        setUnitsReserved(response.data?.unitsReserved || 0);
         // Move to success step
         setCurrentStep(4);
       } else {
@@ -135,9 +228,12 @@ const EmergencyRequestPage = () => {
   const isStepValid = () => {
     switch (currentStep) {
       case 1:
-        return formData.patientName && formData.patientAge && formData.bloodType && formData.unitsNeeded;
+        return formData.patientName && formData.patientAge && formData.patientGender &&
+          formData.bloodType && formData.unitsNeeded && formData.medicalCondition;
       case 2:
-        return formData.hospitalName && formData.doctorName && formData.urgencyLevel;
+        return formData.hospitalName && formData.hospitalAddress && formData.hospitalCity &&
+          formData.hospitalState && formData.hospitalPincode && formData.hospitalPhone &&
+          formData.doctorName && formData.urgencyLevel && formData.location;
       case 3:
         return formData.requesterName && formData.requesterPhone && formData.relationship;
       default:
@@ -206,6 +302,33 @@ const EmergencyRequestPage = () => {
           required
         />
         
+        <Select
+          label="Blood Component"
+          value={formData.bloodComponent}
+          onChange={(value) => handleInputChange('bloodComponent', value)}
+          options={bloodComponents}
+          required
+        />
+        
+        {compatibility?.compatibleTypes?.length > 0 && (
+          <div className="p-4 bg-blue-50 dark:bg-blue-900/20 rounded-lg border border-blue-200 dark:border-blue-800">
+            <p className="text-sm font-medium text-blue-800 dark:text-blue-200 mb-2">
+              Compatible donor blood types
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {compatibility.compatibleTypes.map((match) => (
+                <span
+                  key={match.bloodType}
+                  className="px-2 py-1 text-xs rounded bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border border-blue-200 dark:border-blue-800"
+                  title={match.level}
+                >
+                  {match.bloodType} · {match.totalUnits} units
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        
         <Select
           label="Units Needed"
           value={formData.unitsNeeded}
@@ -263,6 +386,40 @@ const EmergencyRequestPage = () => {
           value={formData.hospitalAddress}
           onChange={(e) => handleInputChange('hospitalAddress', e.target.value)}
           placeholder="Enter hospital address"
+          required
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <Input
+            label="City"
+            value={formData.hospitalCity}
+            onChange={(e) => handleInputChange('hospitalCity', e.target.value)}
+            placeholder="City"
+            required
+          />
+          <Input
+            label="State"
+            value={formData.hospitalState}
+            onChange={(e) => handleInputChange('hospitalState', e.target.value)}
+            placeholder="State"
+            required
+          />
+          <Input
+            label="Pincode"
+            value={formData.hospitalPincode}
+            onChange={(e) => handleInputChange('hospitalPincode', e.target.value)}
+            placeholder="6-digit pincode"
+            required
+          />
+        </div>
+
+        <Input
+          label="Hospital Contact Number"
+          type="tel"
+          value={formData.hospitalPhone}
+          onChange={(e) => handleInputChange('hospitalPhone', e.target.value)}
+          placeholder="Hospital phone number"
+          required
         />
         
         <Input
@@ -325,7 +482,8 @@ const EmergencyRequestPage = () => {
             Hospital Location
           </label>
           <LocationPicker
-            onLocationSelect={handleLocationSelect}
+            value={formData.location}
+            onChange={handleLocationSelect}
             placeholder="Select hospital location on map"
           />
         </div>
@@ -418,10 +576,24 @@ const EmergencyRequestPage = () => {
       </h2>
       
       <p className="text-lg text-gray-600 dark:text-gray-400 mb-8 max-w-2xl mx-auto">
-        Your emergency blood request has been submitted and donors in your area are being notified. 
-        You should start receiving responses shortly.
+        {unitsReserved >= Number(formData.unitsNeeded)
+          ? 'Your emergency blood request has been submitted and the hospital already has the units on hold.'
+          : 'Your emergency blood request has been submitted and donors in your area are being notified. You should start receiving responses shortly.'}
       </p>
 
+      {unitsReserved > 0 && (
+        <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4 mb-8 max-w-2xl mx-auto">
+          <p className="text-green-800 dark:text-green-200 font-medium">
+            {unitsReserved} unit{unitsReserved === 1 ? '' : 's'} reserved from inventory at {formData.hospitalName || 'the hospital'}
+          </p>
+          {unitsReserved < Number(formData.unitsNeeded) && (
+            <p className="text-sm text-green-700 dark:text-green-300 mt-1">
+              Donors are being contacted for the remaining {Number(formData.unitsNeeded) - unitsReserved}.
+            </p>
+          )}
+        </div>
+      )}
+
       <div className="bg-blue-50 dark:bg-blue-900/20 rounded-lg p-6 mb-8">
         <h3 className="text-lg font-semibold text-blue-900 dark:text-blue-100 mb-2">
           What happens next?
@@ -461,6 +633,7 @@ const EmergencyRequestPage = () => {
               patientAge: '',
               patientGender: '',
               bloodType: '',
+              bloodComponent: 'whole_blood',
               unitsNeeded: '1',
               hospitalName: '',
               hospitalAddress: '',
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ShieldCheck, ShieldX, Search, Building2, Award } from 'lucide-react';
+
+import Card from '../../components/ui/Card';
+import Button from '../../components/ui/Button';
+import Badge from '../../components/ui/Badge';
+import Input from '../../components/ui/Input';
+import { certificateApi } from '../../utils/api';
+import logger from '../../utils/logger';
+
+const BULK_MAX = 100;
+
+const DONATION_TYPE_LABELS = {
+  whole_blood: 'Whole blood',
+  platelets: 'Platelets',
+  plasma: 'Plasma',
+  double_red_cells: 'Double red cells'
+};
+
+const STATUS_LABELS = {
+  valid: 'Genuine',
+  invalid_id: 'Invalid ID',
+  not_found: 'Not issued',
+  signature_mismatch: 'Signature mismatch',
+  altered: 'Record changed',
+  revoked: 'Withdrawn'
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+const CertificateResult = ({ result }) => {
+  const { valid, certificate } = result;
+  const Icon = valid ? ShieldCheck : ShieldX;
+
+  return (
+    <Card className={`p-6 border-2 ${valid ? 'border-green-300 dark:border-green-800' : 'border-red-300 dark:border-red-800'}`}>
+      <div className="flex items-start space-x-4">
+        <Icon className={`h-10 w-10 flex-shrink-0 ${valid ? 'text-green-600' : 'text-red-600'}`} />
+        <div className="space-y-3">
+          <div>
+            <p className="font-mono text-sm text-slate-500">{result.certificateId}</p>
+            <h2 className={`text-xl font-semibold ${valid ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+              {result.message}
+            </h2>
+            {valid && !result.signatureChecked && (
+              <p className="text-sm text-slate-500">
+                Checked by ID only. Scan the QR code on the certificate to also check its signature.
+              </p>
+            )}
+          </div>
+
+          {certificate && (
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-2 text-sm">
+              <div>
+                <dt className="text-slate-500">Donor</dt>
+                <dd className="font-medium text-slate-900 dark:text-white">{certificate.donorInitials}</dd>
+              </div>
+              <div>
+                <dt className="text-slate-500">Donated on</dt>
+                <dd className="font-medium text-slate-900 dark:text-white">{formatDate(certificate.donationDate)}</dd>
+              </div>
+              <div>
+                <dt className="text-slate-500">Donation</dt>
+                <dd className="font-medium text-slate-900 dark:text-white">
+                  {DONATION_TYPE_LABELS[certificate.donationType] || certificate.donationType}, {certificate.unitsDonated} unit(s)
+                </dd>
+              </div>
+              <div>
+                <dt className="text-slate-500">Place</dt>
+                <dd className="font-medium text-slate-900 dark:text-white">
+                  {certificate.hospital}{certificate.city && `, ${certificate.city}`}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-slate-500">Issued by</dt>
+                <dd className="font-medium text-slate-900 dark:text-white">{certificate.issuer}</dd>
+              </div>
+              <div>
+                <dt className="text-slate-500">Issued on</dt>
+                <dd className="font-medium text-slate-900 dark:text-white">{formatDate(certificate.issuedAt)}</dd>
+              </div>
+            </dl>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+const BulkVerification = () => {
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const references = input.split(/[\n,]+/).map(line => line.trim()).filter(Boolean);
+
+  const verifyAll = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const res = await certificateApi.verifyBulk(references);
+      setResults(res?.data || null);
+    } catch (e) {
+      logger.error('Bulk certificate verification failed', 'VERIFY_CERTIFICATE', e);
+      setError('Could not verify the certificates. Try again in a few minutes.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex items-center space-x-2">
+        <Building2 className="h-5 w-5 text-slate-600" />
+        <h2 className="text-lg font-semibold text-slate-900 dark:text-white">Verify many certificates</h2>
+      </div>
+      <p className="text-sm text-slate-600 dark:text-slate-400">
+        For employers, colleges and other institutions: paste up to {BULK_MAX} certificate IDs or verification links, one per line.
+      </p>
+      <Input
+        multiline
+        rows={6}
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder={'CFB-2026-7KQ2M9XH4D\nhttps://…/verify/CFB-2026-…'}
+      />
+      <div className="flex items-center justify-between">
+        <span className={`text-sm ${references.length > BULK_MAX ? 'text-red-600' : 'text-slate-500'}`}>
+          {references.length} of {BULK_MAX}
+        </span>
+        <Button
+          onClick={verifyAll}
+          loading={isLoading}
+          disabled={references.length === 0 || references.length > BULK_MAX}
+        >
+          Verify all
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {results && (
+        <div className="space-y-3">
+          <p className="text-sm text-slate-700 dark:text-slate-300">
+            {results.summary.valid} of {results.summary.total} genuine
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-200 dark:border-slate-700">
+                  <th className="py-2 pr-4">Certificate</th>
+                  <th className="py-2 pr-4">Result</th>
+                  <th className="py-2 pr-4">Donor</th>
+                  <th className="py-2 pr-4">Donated on</th>
+                  <th className="py-2">Place</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.results.map((result, index) => (
+                  <tr key={`${result.certificateId}-${index}`} className="border-b border-slate-100 dark:border-slate-800">
+                    <td className="py-2 pr-4 font-mono">{result.certificateId || '—'}</td>
+                    <td className="py-2 pr-4">
+                      <Badge variant={result.valid ? 'green' : 'red'} size="sm">{STATUS_LABELS[result.status] || result.status}</Badge>
+                    </td>
+                    <td className="py-2 pr-4">{result.certificate?.donorInitials || '—'}</td>
+                    <td className="py-2 pr-4">{result.certificate ? formatDate(result.certificate.donationDate) : '—'}</td>
+                    <td className="py-2">{result.certificate?.hospital || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const VerifyCertificatePage = () => {
+  const { certificateId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const signature = searchParams.get('s');
+
+  const [lookup, setLookup] = useState(certificateId || '');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!certificateId) {
+      setResult(null);
+      return;
+    }
+
+    const verify = async () => {
+      setIsLoading(true);
+      setError('');
+      try {
+        const res = await certificateApi.verify(certificateId, signature);
+        setResult(res?.data || null);
+      } catch (e) {
+        logger.error('Certificate verification failed', 'VERIFY_CERTIFICATE', e);
+        setError('Could not verify the certificate. Try again in a few minutes.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    verify();
+  }, [certificateId, signature]);
+
+  const submitLookup = (e) => {
+    e.preventDefault();
+    const value = lookup.trim();
+    if (!value) return;
+
+    // A pasted verification link keeps its signature
+    const match = value.match(/\/verify\/([^/?#]+)(\?s=([0-9a-f]+))?/i);
+    navigate(match
+      ? `/verify/${match[1].toUpperCase()}${match[3] ? `?s=${match[3]}` : ''}`
+      : `/verify/${encodeURIComponent(value.toUpperCase())}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-12">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center"
+        >
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-yellow-100 dark:bg-yellow-900/20 rounded-full mb-4">
+            <Award className="h-8 w-8 text-yellow-600 dark:text-yellow-400" />
+          </div>
+          <h1 className="text-3xl font-bold text-slate-900 dark:text-white mb-2">Verify a Donation Certificate</h1>
+          <p className="text-slate-600 dark:text-slate-400">
+            Check that a blood donation certificate was issued by us and has not been altered.
+          </p>
+        </motion.div>
+
+        <Card className="p-6">
+          <form onSubmit={submitLookup} className="flex flex-col sm:flex-row gap-3">
+            <div className="flex-1">
+              <Input
+                value={lookup}
+                onChange={(e) => setLookup(e.target.value)}
+                placeholder="Certificate ID or verification link"
+                icon={Search}
+              />
+            </div>
+            <Button type="submit" disabled={!lookup.trim()}>Verify</Button>
+          </form>
+        </Card>
+
+        {isLoading && <p className="text-center text-slate-500">Checking certificate…</p>}
+        {error && <p className="text-center text-red-600">{error}</p>}
+        {!isLoading && result && <CertificateResult result={result} />}
+
+        <BulkVerification />
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificatePage;
@@ -85,8 +85,13 @@ class ApiClient {
             if (refreshRes.ok) {
               const refreshData = await refreshRes.json();
               const newAccess = refreshData?.data?.accessToken;
+              const newRefresh = refreshData?.data?.refreshToken;
               if (newAccess) {
                 localStorage.setItem('token', newAccess);
+                // Refresh tokens are single use; the old one is now dead
+                if (newRefresh) {
+                  localStorage.setItem('refreshToken', newRefresh);
+                }
                 defaultOptions.headers.Authorization = `Bearer ${newAccess}`;
                 response = await fetch(url, defaultOptions);
               }
@@ -220,6 +225,15 @@ export const authApi = {
   // Logout
   logout: () => apiClient.post('api/v1/auth/logout'),
   
+  // Logout from every device
+  logoutAll: () => apiClient.post('api/v1/auth/logout-all'),
+  
+  // Devices the user is signed in on
+  getSessions: () => apiClient.get('api/v1/auth/sessions'),
+  
+  // Sign out one device
+  revokeSession: (sessionId) => apiClient.delete(`api/v1/auth/sessions/${sessionId}`),
+  
   // Get current user
   getCurrentUser: () => {
     const token = localStorage.getItem('token');
@@ -248,6 +262,79 @@ export const userApi = {
   getDonations: (userId) => apiClient.get(`api/v1/users/${userId}/donations`),
   getActivity: (userId) => apiClient.get(`api/v1/users/${userId}/activity`),
   getOnboardingStatus: (userId) => apiClient.get(`api/v1/users/${userId}/onboarding-status`),
+  // Pausing blood request alerts
+  getSnooze: (userId) => apiClient.get(`api/v1/users/${userId}/snooze`),
+  snooze: (userId, days) => apiClient.put(`api/v1/users/${userId}/snooze`, { days }),
+  resumeAlerts: (userId) => apiClient.delete(`api/v1/users/${userId}/snooze`),
+  // Channels the user agreed to be contacted on
+  getConsents: (userId) => apiClient.get(`api/v1/users/${userId}/consents`),
+  updateConsents: (userId, choices) => apiClient.put(`api/v1/users/${userId}/consents`, choices),
+  // Published health questionnaire with the donor's answers
+  getQuestionnaire: (userId) => apiClient.get(`api/v1/users/${userId}/questionnaire`),
+  // Badges with progress, points, streak and next milestone
+  getAchievements: (userId) => apiClient.get(`api/v1/users/${userId}/achievements`),
+};
+
+// POST to an export endpoint and save the CSV it returns
+const downloadCsv = async (endpoint, body, filePrefix) => {
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    // Get the CSV content as text
+    const csvContent = await response.text();
+    
+    // Create a blob and download link
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filePrefix}-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+
+    return { success: true, message: 'Export completed successfully' };
+  } catch (error) {
+    logger.error('Export failed', 'API_CLIENT', error);
+    throw error;
+  }
+};
+
+// Open a document in a new tab through a short-lived signed URL. The tab is
+// opened before the request because browsers block pop-ups opened later.
+export const openDocument = async (documentId) => {
+  const tab = window.open('', '_blank');
+
+  try {
+    const response = await fetch(`/api/v1/documents/${documentId}/download-url`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    tab.location.href = data.data.url;
+  } catch (error) {
+    tab?.close();
+    logger.error('Failed to open document', 'API_CLIENT', error);
+    throw error;
+  }
 };
 
 // Admin dashboard API
@@ -263,6 +350,9 @@ export const adminApi = {
   getUserDocuments: (userId) => apiClient.get('api/v1/documents/list', { userId }),
   verifyDocument: (documentId, { verified, rejectionReason } = { verified: true }) =>
     apiClient.put(`api/v1/documents/${documentId}/verify`, { verified, rejectionReason }),
+  getPendingDocuments: () => apiClient.get('api/v1/documents/pending'),
+  bulkApproveDocuments: (documentIds) => apiClient.post('api/v1/documents/bulk-approve', { documentIds }),
+  rerunDocumentOcr: (documentId) => apiClient.post(`api/v1/documents/${documentId}/ocr`),
   // Email diagnostics
   getEmailStatus: () => apiClient.get('api/v1/admin/email/status'),
   sendTestEmail: (email) => apiClient.post('api/v1/admin/email/test', { email }),
@@ -280,45 +370,31 @@ export const adminApi = {
   suspendDonor: (donorId, reason) => apiClient.post(`api/v1/admin/donors/${donorId}/suspend`, { reason }),
   reactivateDonor: (donorId) => apiClient.post(`api/v1/admin/donors/${donorId}/reactivate`),
   
-  // Data export
-  exportDonors: async (filters = {}) => {
-    try {
-      const response = await fetch('/api/v1/admin/export/donors', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: JSON.stringify(filters)
-      });
+  // Donor messages waiting for review
+  getInboundMessages: (params = {}) => apiClient.get('api/v1/admin/inbound-messages', params),
+  reviewInboundMessage: (id, review) => apiClient.patch(`api/v1/admin/inbound-messages/${id}`, review),
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  // Support inbox
+  getSupportThreads: (params = {}) => apiClient.get('api/v1/admin/support', params),
+  getSupportThread: (id) => apiClient.get(`api/v1/admin/support/${id}`),
+  updateSupportThread: (id, changes) => apiClient.patch(`api/v1/admin/support/${id}`, changes),
+  replyToSupportThread: (id, reply) => apiClient.post(`api/v1/admin/support/${id}/replies`, reply),
+  getSupportCoordinators: () => apiClient.get('api/v1/admin/support/coordinators'),
+  getCannedReplies: (channel) => apiClient.get('api/v1/admin/support/canned-replies', { channel }),
 
-      // Get the CSV content as text
-      const csvContent = await response.text();
-      
-      // Create a blob and download link
-      const blob = new Blob([csvContent], { type: 'text/csv' });
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `donors-export-${new Date().toISOString().split('T')[0]}.csv`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
-
-      return { success: true, message: 'Export completed successfully' };
-    } catch (error) {
-      logger.error('Export failed', 'API_CLIENT', error);
-      throw error;
-    }
-  },
+  // Data export
+  exportDonors: (filters = {}) => downloadCsv('/api/v1/admin/export/donors', filters, 'donors-export'),
+  exportConsents: (filters = {}) => downloadCsv('/api/v1/admin/export/consents', { filters }, 'consent-ledger'),
   
   // Questionnaire review
-  reviewQuestionnaire: (donorId, reviewData) => apiClient.put(`api/v1/admin/donors/${donorId}/questionnaire/review`, reviewData)
+  getDonorQuestionnaire: (donorId) => apiClient.get(`api/v1/admin/donors/${donorId}/questionnaire`),
+  getQuestionnaireReviews: (params = {}) => apiClient.get('api/v1/admin/donors/questionnaire-reviews', params),
+  reviewQuestionnaire: (donorId, reviewData) => apiClient.put(`api/v1/admin/donors/${donorId}/questionnaire/review`, reviewData),
+
+  // Badge catalog
+  getBadges: () => apiClient.get('api/v1/admin/badges'),
+  createBadge: (badge) => apiClient.post('api/v1/admin/badges', badge),
+  updateBadge: (key, changes) => apiClient.put(`api/v1/admin/badges/${key}`, changes)
 };
 
 // Blood Request API endpoints
@@ -354,6 +430,91 @@ export const facilityApi = {
   searchFacilities: (params = {}) => apiClient.get('api/v1/public/facilities/search', params),
 };
 
+// Blood inventory API endpoints
+export const inventoryApi = {
+  // Get units available per blood type, optionally filtered to types
+  // compatible with a recipient blood type and component
+  getAvailability: (params = {}) => apiClient.get('api/v1/inventory/availability', params),
+};
+
+// Hospital staff endpoints for the logged-in hospital admin
+export const hospitalApi = {
+  // Committed donors per active request, and donations in progress
+  getDonorQueue: () => apiClient.get('api/v1/hospitals/me/donor-queue'),
+
+  getDonations: (params = {}) => apiClient.get('api/v1/hospitals/me/donations', params),
+
+  checkInDonor: (requestId, donorId) => apiClient.post(`api/v1/hospitals/me/requests/${requestId}/check-in`, { donorId }),
+
+  // Vitals that pass start the donation; failures defer the donor
+  recordPreDonationChecks: (donationId, checks) => apiClient.put(`api/v1/hospitals/me/donations/${donationId}/checks`, checks),
+
+  completeDonation: (donationId, data = {}) => apiClient.post(`api/v1/hospitals/me/donations/${donationId}/complete`, data),
+
+  deferDonation: (donationId, reason) => apiClient.post(`api/v1/hospitals/me/donations/${donationId}/defer`, { reason }),
+
+  searchHospitals: (params = {}) => apiClient.get('api/v1/hospitals/search', params),
+
+  // Transfer orders; direction is incoming (asked to supply) or outgoing (requested by us)
+  getTransfers: (params = {}) => apiClient.get('api/v1/hospitals/me/transfers', params),
+
+  createTransfer: (data) => apiClient.post('api/v1/hospitals/me/transfers', data),
+
+  approveTransfer: (orderId, note) => apiClient.post(`api/v1/hospitals/me/transfers/${orderId}/approve`, { note }),
+
+  rejectTransfer: (orderId, reason) => apiClient.post(`api/v1/hospitals/me/transfers/${orderId}/reject`, { reason }),
+
+  cancelTransfer: (orderId, reason) => apiClient.post(`api/v1/hospitals/me/transfers/${orderId}/cancel`, { reason }),
+
+  // receipt: { coldChain: { maintained, temperatureOnArrival, note }, notes }
+  receiveTransfer: (orderId, receipt) => apiClient.post(`api/v1/hospitals/me/transfers/${orderId}/receive`, receipt),
+
+  // Donation appeals started for low stock, with the donors who booked
+  getAppeals: (params = {}) => apiClient.get('api/v1/hospitals/me/appeals', params),
+
+  cancelAppeal: (campaignId, reason) => apiClient.post(`api/v1/hospitals/me/appeals/${campaignId}/cancel`, { reason }),
+};
+
+// Donation appeals the logged-in donor has been invited to
+export const appealApi = {
+  getMyAppeals: () => apiClient.get('api/v1/appeals/me'),
+
+  bookSlot: (campaignId, slotId) => apiClient.post(`api/v1/appeals/${campaignId}/book`, { slotId }),
+
+  // Also cancels the booking if the donor already took a slot
+  declineAppeal: (campaignId, reason) => apiClient.post(`api/v1/appeals/${campaignId}/decline`, { reason }),
+};
+
+// Donation certificates; verification needs no login
+export const certificateApi = {
+  verify: (certificateId, signature) =>
+    apiClient.get(`api/v1/certificates/verify/${encodeURIComponent(certificateId)}`, signature ? { s: signature } : {}),
+
+  // Certificate IDs or verification links, up to 100 at a time
+  verifyBulk: (certificates) => apiClient.post('api/v1/certificates/verify', { certificates }),
+
+  download: async (certificateId) => {
+    const response = await fetch(`/api/v1/certificates/${certificateId}/pdf`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const url = window.URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${certificateId}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  },
+};
+
 // OTP API endpoints
 export const otpApi = {
   // Request OTP (supports both phone and email)
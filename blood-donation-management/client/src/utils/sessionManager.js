@@ -337,7 +337,7 @@ class SessionManager {
             ...session,
             tokens: {
               accessToken: data.data.accessToken,
-              refreshToken: session.tokens.refreshToken, // Keep existing refresh token
+              refreshToken: data.data.refreshToken || session.tokens.refreshToken, // Rotated on every refresh
               expiresIn: data.data.expiresIn
             },
             lastAccessed: Date.now()
@@ -25,9 +25,19 @@ const analyticsRoutes = require('./routes/analytics');
 const institutionsRoutes = require('./routes/institutions');
 const publicRoutes = require('./routes/public');
 const hospitalsRoutes = require('./routes/hospitals');
+const inventoryRoutes = require('./routes/inventory');
 const educationRoutes = require('./routes/education');
 const documentsRoutes = require('./routes/documents');
+const appealsRoutes = require('./routes/appeals');
+const certificatesRoutes = require('./routes/certificates');
 const pushRoutes = require('./routes/push');
+const messageTemplateRoutes = require('./routes/messageTemplates');
+const notificationLogRoutes = require('./routes/notificationLogs');
+const inboundMessageRoutes = require('./routes/inboundMessages');
+const supportInboxRoutes = require('./routes/supportInbox');
+const smsRoutes = require('./routes/sms');
+const questionnaireRoutes = require('./routes/questionnaires');
+const badgeRoutes = require('./routes/badges');
 
 // Import middleware
 const { auth, optionalAuth } = require('./middleware/auth');
@@ -163,7 +173,14 @@ app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/blood-requests', bloodRequestRoutes);
 app.use('/api/v1/admin', auth, adminRoutes);
 app.use('/api/v1/admin/donors', adminDonorsRoutes);
+app.use('/api/v1/admin/templates', messageTemplateRoutes);
+app.use('/api/v1/admin/notification-logs', notificationLogRoutes);
+app.use('/api/v1/admin/inbound-messages', inboundMessageRoutes);
+app.use('/api/v1/admin/support', supportInboxRoutes);
+app.use('/api/v1/admin/questionnaires', questionnaireRoutes);
+app.use('/api/v1/admin/badges', badgeRoutes);
 app.use('/api/v1/whatsapp', whatsappRoutes);
+app.use('/api/v1/sms', smsRoutes);
 app.use('/api/v1/otp', otpRoutes);
 app.use('/api/v1/push', pushRoutes);
 app.use('/api/v1/security', securityRoutes);
@@ -171,7 +188,10 @@ app.use('/api/v1/analytics', analyticsRoutes);
 app.use('/api/v1/institutions', institutionsRoutes);
 app.use('/api/v1/public', publicRoutes);
 app.use('/api/v1/hospitals', hospitalsRoutes);
+app.use('/api/v1/inventory', inventoryRoutes);
 app.use('/api/v1/documents', documentsRoutes);
+app.use('/api/v1/appeals', appealsRoutes);
+app.use('/api/v1/certificates', certificatesRoutes);
 app.use('/api/public/education', educationRoutes);
 
 // Serve static files in production
@@ -0,0 +1,151 @@
+/**
+ * Donor achievements.
+ *
+ * Badges live in an admin-managed catalog. Each badge names one criterion
+ * (what is counted), a threshold, and criterion parameters; the engine
+ * awards it once the donor's count reaches the threshold. Earned badges are
+ * kept even if the badge is later edited or retired.
+ *
+ * Counts come from real records: completed donations, responses to blood
+ * requests, and referred donors who went on to donate.
+ */
+const AchievementSettings = {
+  CATEGORIES: ['milestone', 'consistency', 'speed', 'impact', 'special'],
+  RARITIES: ['common', 'uncommon', 'rare', 'epic', 'legendary'],
+
+  CRITERIA: {
+    donation_count: {
+      label: 'Completed donations',
+      unit: 'donations',
+      params: {}
+    },
+    units_donated: {
+      label: 'Units donated',
+      unit: 'units',
+      params: {}
+    },
+    // Longest run of donations each within maxGapDays of the one before
+    donation_streak: {
+      label: 'Donations in a row',
+      unit: 'donations in a row',
+      params: { maxGapDays: 120 }
+    },
+    // "Yes" to a request of these urgencies within withinMinutes of being
+    // alerted, followed by the donation
+    fast_emergency_response: {
+      label: 'Fast emergency responses',
+      unit: 'fast responses',
+      params: { withinMinutes: 30, urgencies: ['critical', 'urgent'] }
+    },
+    // Donors who signed up with the donor's referral code and have donated
+    referral_conversions: {
+      label: 'Referred donors who donated',
+      unit: 'referred donors',
+      params: {}
+    },
+    rare_blood_type_donations: {
+      label: 'Rare blood type donations',
+      unit: 'donations',
+      params: { bloodTypes: ['O-', 'A-', 'B-', 'AB-'] }
+    }
+  },
+
+  // Donation-count milestones are shown as the donor's rank
+  RANK_CRITERION: 'donation_count',
+
+  // Badge notifications are not urgent; no paid channels
+  NOTIFICATION_CHANNELS: ['push', 'email']
+};
+
+const milestone = (key, title, icon, threshold, rarity, points) => ({
+  key,
+  title,
+  description: `Complete ${threshold} blood donation${threshold === 1 ? '' : 's'}`,
+  icon,
+  category: 'milestone',
+  rarity,
+  points,
+  criteria: { type: 'donation_count', threshold }
+});
+
+// Seeded into an empty catalog; admins edit them from there
+const DefaultBadges = [
+  milestone('first_drop', 'First Drop', '🩸', 1, 'common', 50),
+  milestone('bronze_donor', 'Bronze Donor', '🥉', 3, 'common', 150),
+  milestone('silver_donor', 'Silver Donor', '🥈', 7, 'uncommon', 300),
+  milestone('gold_donor', 'Gold Donor', '🥇', 10, 'rare', 500),
+  milestone('platinum_donor', 'Platinum Donor', '💎', 25, 'epic', 1000),
+  milestone('diamond_donor', 'Diamond Donor', '💍', 50, 'legendary', 2500),
+  {
+    key: 'steady_giver',
+    title: 'Steady Giver',
+    description: 'Donate 3 times in a row, each within 4 months of the last',
+    icon: '📅',
+    category: 'consistency',
+    rarity: 'uncommon',
+    points: 200,
+    criteria: { type: 'donation_streak', threshold: 3, params: { maxGapDays: 120 } }
+  },
+  {
+    key: 'year_round_hero',
+    title: 'Year-Round Hero',
+    description: 'Donate 6 times in a row, each within 4 months of the last',
+    icon: '🗓️',
+    category: 'consistency',
+    rarity: 'epic',
+    points: 600,
+    criteria: { type: 'donation_streak', threshold: 6, params: { maxGapDays: 120 } }
+  },
+  {
+    key: 'rapid_responder',
+    title: 'Rapid Responder',
+    description: 'Answer an emergency request within 30 minutes and donate',
+    icon: '⚡',
+    category: 'speed',
+    rarity: 'uncommon',
+    points: 150,
+    criteria: { type: 'fast_emergency_response', threshold: 1, params: { withinMinutes: 30, urgencies: ['critical', 'urgent'] } }
+  },
+  {
+    key: 'emergency_lifeline',
+    title: 'Emergency Lifeline',
+    description: 'Answer 5 critical requests within 15 minutes and donate',
+    icon: '🚑',
+    category: 'speed',
+    rarity: 'legendary',
+    points: 1000,
+    criteria: { type: 'fast_emergency_response', threshold: 5, params: { withinMinutes: 15, urgencies: ['critical'] } }
+  },
+  {
+    key: 'donor_ambassador',
+    title: 'Donor Ambassador',
+    description: 'Refer a friend who goes on to donate',
+    icon: '🤝',
+    category: 'impact',
+    rarity: 'uncommon',
+    points: 200,
+    criteria: { type: 'referral_conversions', threshold: 1 }
+  },
+  {
+    key: 'community_builder',
+    title: 'Community Builder',
+    description: 'Refer 5 friends who go on to donate',
+    icon: '🏘️',
+    category: 'impact',
+    rarity: 'epic',
+    points: 800,
+    criteria: { type: 'referral_conversions', threshold: 5 }
+  },
+  {
+    key: 'rare_gift',
+    title: 'Rare Gift',
+    description: 'Donate with a rare (Rh-negative) blood type',
+    icon: '💠',
+    category: 'special',
+    rarity: 'rare',
+    points: 250,
+    criteria: { type: 'rare_blood_type_donations', threshold: 1, params: { bloodTypes: ['O-', 'A-', 'B-', 'AB-'] } }
+  }
+];
+
+module.exports = { AchievementSettings, DefaultBadges };
@@ -0,0 +1,34 @@
+/**
+ * Digital donation certificates.
+ *
+ * A certificate is issued when a donation is completed. Its ID is random
+ * (not derived from the donation) and it carries an HMAC signature over the
+ * donation details it certifies, so a certificate cannot be guessed or
+ * edited into a valid one. The PDF embeds a QR code linking to the public
+ * verification page, which shows only what is needed to match a printed
+ * certificate: donor initials, date, donation type and place.
+ */
+const CertificateSettings = {
+  ISSUER_NAME: process.env.APP_NAME || 'CallforBlood Foundation',
+
+  // Public page the QR code and verification links open
+  VERIFY_BASE_URL: `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify`,
+
+  // IDs look like CFB-2026-7KQ2M9XH4D
+  ID_PREFIX: 'CFB',
+  ID_RANDOM_LENGTH: 10,
+
+  // Hex characters of the HMAC kept as the certificate signature
+  SIGNATURE_LENGTH: 32,
+
+  // Institutions verifying a batch (e.g. employers checking donation leave)
+  BULK_VERIFY_MAX: 100,
+
+  VERIFY_RATE_LIMIT: {
+    WINDOW_MS: 15 * 60 * 1000,
+    MAX_REQUESTS: 60,
+    MAX_BULK_REQUESTS: 10
+  }
+};
+
+module.exports = { CertificateSettings };
@@ -0,0 +1,346 @@
+/**
+ * WhatsApp/SMS conversation flows, defined as data.
+ *
+ * A flow is a set of named steps. Each step lists the replies it accepts; the
+ * first rule that matches decides what is stored, which step comes next (or
+ * how the conversation ends), which action the caller should carry out and
+ * what is sent back. Keywords are listed per language, and the language of the
+ * keyword a donor used becomes the language of the conversation.
+ *
+ * Step fields:
+ *   prompt    message sent when the conversation arrives at the step
+ *   inputs    rules, tried in order
+ *   fallback  message sent when no rule matches (the step does not change)
+ *
+ * Rule fields (one matcher, then any of the effects):
+ *   keywords  { en: [...], hi: [...] } - the whole reply equals one of these
+ *   contains  { en: [...], hi: [...] } - the reply contains one of these
+ *   pattern   regular expression source, tested case-insensitively
+ *   any       true to accept any non-empty reply
+ *   set       context values to store
+ *   capture   context field the reply is stored in
+ *   transform 'uppercase' | 'number' | 'titlecase', applied to the capture
+ *   next      step to move to; its prompt is sent unless `reply` is given
+ *   end       status to finish with (completed, declined)
+ *   action    handler ConversationService runs when the rule ends the
+ *             conversation, e.g. complete_registration; it may swap the reply
+ *   reply     message key
+ *
+ * Messages support {{field}} placeholders filled from the conversation context.
+ * Flows with `triggers` can be started by a donor sending one of them.
+ */
+
+const YES = { en: ['yes', 'y', 'ok', 'okay', 'sure'], hi: ['हाँ', 'हां', 'haan', 'han', 'ha', 'ji'] };
+const NO = { en: ['no', 'n', 'nope', 'cannot'], hi: ['नहीं', 'नही', 'nahi', 'nahin', 'na'] };
+
+const ConversationFlows = {
+  LANGUAGES: ['en', 'hi'],
+  DEFAULT_LANGUAGE: 'en',
+
+  // Minutes without a reply before an active conversation expires
+  TIMEOUT_MINUTES: 30,
+
+  // Ends whichever flow is running
+  EXIT_KEYWORDS: { en: ['cancel', 'exit', 'quit'], hi: ['रद्द', 'बंद', 'band', 'radd'] },
+  EXIT_MESSAGE: {
+    en: 'Okay, we have stopped here. Reply HELP any time to see what you can do.',
+    hi: 'ठीक है, हमने यहीं रोक दिया है। क्या कर सकते हैं, यह जानने के लिए कभी भी HELP लिखें।'
+  },
+
+  FLOWS: {
+    // Also started by code with the request in context: { requestId }
+    blood_request: {
+      triggers: { en: ['i want to donate', 'i can donate'], hi: ['रक्तदान करना'] },
+      initialStep: 'confirm',
+      steps: {
+        confirm: {
+          prompt: 'ask_confirm',
+          inputs: [
+            { keywords: YES, set: { donationConfirmed: true }, next: 'availability' },
+            { keywords: NO, set: { donationConfirmed: false }, end: 'declined', action: 'donation_declined', reply: 'declined' }
+          ],
+          fallback: 'clarify_confirm'
+        },
+        availability: {
+          prompt: 'ask_availability',
+          inputs: [
+            { keywords: { en: ['1', 'now', 'immediately'], hi: ['अभी', 'abhi'] }, set: { availability: 'now' }, end: 'completed', action: 'schedule_donation', reply: 'coordinating' },
+            { keywords: { en: ['2', 'within 2 hours', '2 hours'], hi: ['2 घंटे', '2 ghante'] }, set: { availability: 'within_2_hours' }, end: 'completed', action: 'schedule_donation', reply: 'coordinating' },
+            { keywords: { en: ['3', 'today'], hi: ['आज', 'aaj'] }, set: { availability: 'today' }, end: 'completed', action: 'schedule_donation', reply: 'coordinating' },
+            { keywords: { en: ['4', 'tomorrow'], hi: ['कल', 'kal'] }, set: { availability: 'tomorrow' }, end: 'completed', action: 'schedule_donation', reply: 'coordinating' }
+          ],
+          fallback: 'clarify_availability'
+        }
+      },
+      messages: {
+        ask_confirm: {
+          en: 'Thank you for offering to donate! Can you donate blood for a patient near you? Reply YES or NO.',
+          hi: 'रक्तदान की पेशकश के लिए धन्यवाद! क्या आप पास के किसी मरीज़ के लिए रक्तदान कर सकते हैं? हाँ या नहीं लिखें।'
+        },
+        ask_availability: {
+          en: 'Great! When can you donate? Please reply with:\n1. Now\n2. Within 2 hours\n3. Today\n4. Tomorrow',
+          hi: 'बहुत बढ़िया! आप कब रक्तदान कर सकते हैं? जवाब दें:\n1. अभी\n2. 2 घंटे में\n3. आज\n4. कल'
+        },
+        declined: {
+          en: 'Thank you for responding. We understand you cannot donate at this time.',
+          hi: 'जवाब देने के लिए धन्यवाद। हम समझते हैं कि आप अभी रक्तदान नहीं कर सकते।'
+        },
+        coordinating: {
+          en: 'Perfect! We\'ll coordinate your donation. You\'ll receive location and contact details shortly.',
+          hi: 'बहुत अच्छा! हम आपके रक्तदान की व्यवस्था कर रहे हैं। जल्द ही आपको पता और संपर्क विवरण मिलेगा।'
+        },
+        heading_to_hospital: {
+          en: 'Thank you! Please go to {{hospitalName}} ({{hospitalContact}}). Reply NO if your plans change.',
+          hi: 'धन्यवाद! कृपया {{hospitalName}} ({{hospitalContact}}) पहुँचें। योजना बदले तो नहीं लिखें।'
+        },
+        no_open_request: {
+          en: 'Thank you for offering to donate! There is no open request for you right now. We will reach out when someone near you needs help.',
+          hi: 'रक्तदान की पेशकश के लिए धन्यवाद! अभी आपके लिए कोई खुला अनुरोध नहीं है। आपके पास किसी को ज़रूरत होगी तो हम संपर्क करेंगे।'
+        },
+        clarify_confirm: {
+          en: 'I didn\'t understand that. Please reply YES if you can donate or NO if you cannot.',
+          hi: 'समझ नहीं आया। रक्तदान कर सकते हैं तो हाँ, नहीं तो नहीं लिखें।'
+        },
+        clarify_availability: {
+          en: 'I didn\'t understand that. Please reply with 1-4 for your availability.',
+          hi: 'समझ नहीं आया। कृपया 1 से 4 में से कोई एक संख्या भेजें।'
+        }
+      }
+    },
+
+    donor_registration: {
+      initialStep: 'interest',
+      triggers: { en: ['register', 'signup', 'sign up'], hi: ['रजिस्टर', 'पंजीकरण'] },
+      steps: {
+        interest: {
+          prompt: 'ask_interest',
+          inputs: [
+            { keywords: YES, next: 'name' },
+            { contains: { en: ['register', 'signup', 'sign up'], hi: ['रजिस्टर', 'पंजीकरण'] }, next: 'name' },
+            { keywords: NO, end: 'declined', reply: 'maybe_later' }
+          ],
+          fallback: 'ask_interest'
+        },
+        name: {
+          prompt: 'ask_name',
+          inputs: [
+            { pattern: '^[a-z\\s]{3,}$', capture: 'name', transform: 'titlecase', next: 'blood_type' },
+            { pattern: '^[\\u0900-\\u097F\\s]{2,}$', capture: 'name', next: 'blood_type' }
+          ],
+          fallback: 'clarify_name'
+        },
+        blood_type: {
+          prompt: 'ask_blood_type',
+          inputs: [
+            { pattern: '^(a|b|ab|o)[+-]$', capture: 'bloodType', transform: 'uppercase', end: 'completed', action: 'complete_registration', reply: 'registration_link' }
+          ],
+          fallback: 'ask_blood_type'
+        }
+      },
+      messages: {
+        ask_interest: {
+          en: 'Would you like to register as a blood donor? Reply YES to continue.',
+          hi: 'क्या आप रक्तदाता के रूप में पंजीकरण करना चाहते हैं? आगे बढ़ने के लिए हाँ लिखें।'
+        },
+        ask_name: {
+          en: 'Great! To register as a blood donor, please visit our website: callforbloodfoundation.com/register\n\nOr reply with your full name to start here.',
+          hi: 'बहुत बढ़िया! पंजीकरण के लिए हमारी वेबसाइट देखें: callforbloodfoundation.com/register\n\nया यहीं शुरू करने के लिए अपना पूरा नाम भेजें।'
+        },
+        clarify_name: {
+          en: 'Please reply with your full name, using letters only.',
+          hi: 'कृपया केवल अक्षरों में अपना पूरा नाम भेजें।'
+        },
+        ask_blood_type: {
+          en: 'Thank you {{name}}! What\'s your blood type?\n\nReply with: A+, A-, B+, B-, AB+, AB-, O+, or O-',
+          hi: 'धन्यवाद {{name}}! आपका ब्लड ग्रुप क्या है?\n\nइनमें से एक भेजें: A+, A-, B+, B-, AB+, AB-, O+, O-'
+        },
+        registration_link: {
+          en: 'Perfect! Your blood type is {{bloodType}}.\n\nTo complete your registration, please visit: callforbloodfoundation.com/register\n\nUse this phone number to continue your registration.',
+          hi: 'बहुत अच्छा! आपका ब्लड ग्रुप {{bloodType}} है।\n\nपंजीकरण पूरा करने के लिए देखें: callforbloodfoundation.com/register\n\nइसी फ़ोन नंबर से आगे बढ़ें।'
+        },
+        maybe_later: {
+          en: 'No problem. Reply REGISTER whenever you are ready.',
+          hi: 'कोई बात नहीं। जब तैयार हों, REGISTER लिखें।'
+        },
+        already_registered: {
+          en: 'This number is already registered to donor {{registeredName}}. Sign in at callforbloodfoundation.com/signin to update your details.',
+          hi: 'यह नंबर पहले से दाता {{registeredName}} के नाम पर पंजीकृत है। अपना विवरण बदलने के लिए callforbloodfoundation.com/signin पर साइन इन करें।'
+        }
+      }
+    },
+
+    donation_scheduling: {
+      triggers: { en: ['schedule donation', 'book donation'], hi: ['रक्तदान का समय'] },
+      initialStep: 'day',
+      steps: {
+        day: {
+          prompt: 'ask_day',
+          inputs: [
+            { keywords: { en: ['1', 'today'], hi: ['आज', 'aaj'] }, set: { preferredDay: 'today' }, next: 'time' },
+            { keywords: { en: ['2', 'tomorrow'], hi: ['कल', 'kal'] }, set: { preferredDay: 'tomorrow' }, next: 'time' },
+            { keywords: { en: ['3', 'day after tomorrow'], hi: ['परसों', 'parso', 'parson'] }, set: { preferredDay: 'day_after_tomorrow' }, next: 'time' }
+          ],
+          fallback: 'ask_day'
+        },
+        time: {
+          prompt: 'ask_time',
+          inputs: [
+            { keywords: { en: ['1', 'morning'], hi: ['सुबह', 'subah'] }, set: { preferredTime: 'morning' }, end: 'completed', action: 'schedule_donation', reply: 'scheduled' },
+            { keywords: { en: ['2', 'afternoon'], hi: ['दोपहर', 'dopahar'] }, set: { preferredTime: 'afternoon' }, end: 'completed', action: 'schedule_donation', reply: 'scheduled' },
+            { keywords: { en: ['3', 'evening'], hi: ['शाम', 'shaam', 'sham'] }, set: { preferredTime: 'evening' }, end: 'completed', action: 'schedule_donation', reply: 'scheduled' }
+          ],
+          fallback: 'ask_time'
+        }
+      },
+      messages: {
+        ask_day: {
+          en: 'Which day suits you?\n1. Today\n2. Tomorrow\n3. Day after tomorrow',
+          hi: 'आपके लिए कौन सा दिन ठीक है?\n1. आज\n2. कल\n3. परसों'
+        },
+        ask_time: {
+          en: 'What time of day?\n1. Morning (9am-12pm)\n2. Afternoon (12pm-4pm)\n3. Evening (4pm-7pm)',
+          hi: 'दिन का कौन सा समय?\n1. सुबह (9-12)\n2. दोपहर (12-4)\n3. शाम (4-7)'
+        },
+        scheduled: {
+          en: 'Thank you for scheduling your donation. We\'ll send you confirmation details shortly.',
+          hi: 'रक्तदान का समय तय करने के लिए धन्यवाद। पुष्टि का विवरण जल्द ही भेजा जाएगा।'
+        },
+        heading_to_hospital: {
+          en: 'Thank you! Please go to {{hospitalName}} ({{hospitalContact}}). Reply NO if your plans change.',
+          hi: 'धन्यवाद! कृपया {{hospitalName}} ({{hospitalContact}}) पहुँचें। योजना बदले तो नहीं लिखें।'
+        },
+        no_open_request: {
+          en: 'Thank you for offering to donate! There is no open request for you right now. We will reach out when someone near you needs help.',
+          hi: 'रक्तदान की पेशकश के लिए धन्यवाद! अभी आपके लिए कोई खुला अनुरोध नहीं है। आपके पास किसी को ज़रूरत होगी तो हम संपर्क करेंगे।'
+        }
+      }
+    },
+
+    feedback_collection: {
+      triggers: { en: ['feedback'], hi: ['फीडबैक', 'सुझाव'] },
+      initialStep: 'rating',
+      steps: {
+        rating: {
+          prompt: 'ask_rating',
+          inputs: [
+            { pattern: '^[1-5]$', capture: 'rating', transform: 'number', next: 'comments' }
+          ],
+          fallback: 'clarify_rating'
+        },
+        comments: {
+          prompt: 'ask_comments',
+          inputs: [
+            { any: true, capture: 'feedback', end: 'completed', action: 'feedback_completed', reply: 'thanks' }
+          ]
+        }
+      },
+      messages: {
+        ask_rating: {
+          en: 'How was your experience? Reply with a rating from 1 (poor) to 5 (excellent).',
+          hi: 'आपका अनुभव कैसा रहा? 1 (खराब) से 5 (बहुत अच्छा) तक रेटिंग दें।'
+        },
+        clarify_rating: {
+          en: 'Please provide a rating from 1-5.',
+          hi: 'कृपया 1 से 5 तक रेटिंग दें।'
+        },
+        ask_comments: {
+          en: 'Thank you for rating us {{rating}}/5! Please share any additional feedback or suggestions.',
+          hi: '{{rating}}/5 रेटिंग के लिए धन्यवाद! कोई और सुझाव हो तो बताएं।'
+        },
+        thanks: {
+          en: 'Thank you for your valuable feedback! It helps us improve our service.',
+          hi: 'आपके सुझाव के लिए धन्यवाद! इससे हमें अपनी सेवा बेहतर करने में मदद मिलती है।'
+        }
+      }
+    },
+
+    eligibility_check: {
+      initialStep: 'age',
+      triggers: { en: ['eligibility', 'eligible', 'can i donate'], hi: ['योग्यता', 'क्या मैं रक्तदान कर सकता हूँ'] },
+      steps: {
+        age: {
+          prompt: 'ask_age',
+          inputs: [
+            { keywords: YES, next: 'weight' },
+            { keywords: NO, set: { eligible: false, reason: 'age' }, end: 'completed', action: 'eligibility_checked', reply: 'not_eligible_age' }
+          ],
+          fallback: 'clarify_yes_no'
+        },
+        weight: {
+          prompt: 'ask_weight',
+          inputs: [
+            { keywords: YES, next: 'last_donation' },
+            { keywords: NO, set: { eligible: false, reason: 'weight' }, end: 'completed', action: 'eligibility_checked', reply: 'not_eligible_weight' }
+          ],
+          fallback: 'clarify_yes_no'
+        },
+        last_donation: {
+          prompt: 'ask_last_donation',
+          inputs: [
+            { keywords: YES, next: 'health' },
+            { keywords: NO, set: { eligible: false, reason: 'donation_interval' }, end: 'completed', action: 'eligibility_checked', reply: 'not_eligible_interval' }
+          ],
+          fallback: 'clarify_yes_no'
+        },
+        health: {
+          prompt: 'ask_health',
+          inputs: [
+            { keywords: YES, set: { eligible: true }, end: 'completed', action: 'eligibility_checked', reply: 'likely_eligible' },
+            { keywords: NO, set: { eligible: false, reason: 'health' }, end: 'completed', action: 'eligibility_checked', reply: 'not_eligible_health' }
+          ],
+          fallback: 'clarify_yes_no'
+        }
+      },
+      messages: {
+        ask_age: {
+          en: 'Let\'s check if you can donate. Are you between 18 and 65 years old? Reply YES or NO.',
+          hi: 'आइए देखें कि आप रक्तदान कर सकते हैं या नहीं। क्या आपकी उम्र 18 से 65 साल के बीच है? हाँ या नहीं लिखें।'
+        },
+        ask_weight: {
+          en: 'Do you weigh at least 50 kg?',
+          hi: 'क्या आपका वज़न कम से कम 50 किलो है?'
+        },
+        ask_last_donation: {
+          en: 'Has it been at least 3 months since you last donated blood? Reply YES if you have never donated.',
+          hi: 'क्या आपके पिछले रक्तदान को कम से कम 3 महीने हो गए हैं? अगर पहले कभी रक्तदान नहीं किया है तो हाँ लिखें।'
+        },
+        ask_health: {
+          en: 'Are you feeling well today, with no fever, cold or infection in the last 2 weeks?',
+          hi: 'क्या आप आज स्वस्थ हैं, और पिछले 2 हफ्तों में बुखार, सर्दी या कोई संक्रमण नहीं हुआ?'
+        },
+        clarify_yes_no: {
+          en: 'Please reply YES or NO.',
+          hi: 'कृपया हाँ या नहीं लिखें।'
+        },
+        likely_eligible: {
+          en: 'Good news! You are likely eligible to donate. Staff will do a short health check before you donate. Reply REGISTER to sign up as a donor.',
+          hi: 'अच्छी खबर! आप शायद रक्तदान कर सकते हैं। रक्तदान से पहले एक छोटी स्वास्थ्य जाँच होगी। दाता बनने के लिए REGISTER लिखें।'
+        },
+        not_eligible_age: {
+          en: 'Donors need to be between 18 and 65 years old. Thank you for wanting to help! You can still support us by sharing requests with friends.',
+          hi: 'रक्तदाता की उम्र 18 से 65 साल होनी चाहिए। मदद की इच्छा के लिए धन्यवाद! आप अनुरोध दोस्तों के साथ साझा करके भी मदद कर सकते हैं।'
+        },
+        not_eligible_weight: {
+          en: 'Donors need to weigh at least 50 kg for their own safety. Thank you for wanting to help!',
+          hi: 'आपकी सुरक्षा के लिए रक्तदाता का वज़न कम से कम 50 किलो होना चाहिए। मदद की इच्छा के लिए धन्यवाद!'
+        },
+        not_eligible_interval: {
+          en: 'You need a gap of at least 3 months between whole blood donations. We\'ll be glad to see you once that has passed.',
+          hi: 'दो रक्तदान के बीच कम से कम 3 महीने का अंतर ज़रूरी है। उसके बाद हमें आपका इंतज़ार रहेगा।'
+        },
+        not_eligible_health: {
+          en: 'Please wait until you have been well for 2 weeks before donating. Get well soon!',
+          hi: 'कृपया पूरी तरह स्वस्थ होने के 2 हफ्ते बाद रक्तदान करें। जल्दी ठीक हो जाइए!'
+        },
+        alerts_paused_health: {
+          en: 'Please wait until you have been well for 2 weeks before donating. We have paused your blood request alerts until {{pausedUntil}}; reply RESUME to turn them back on sooner. Get well soon!',
+          hi: 'कृपया पूरी तरह स्वस्थ होने के 2 हफ्ते बाद रक्तदान करें। हमने {{pausedUntil}} तक आपके रक्त अनुरोध अलर्ट रोक दिए हैं; पहले चालू करने के लिए RESUME लिखें। जल्दी ठीक हो जाइए!'
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  ConversationFlows
+};
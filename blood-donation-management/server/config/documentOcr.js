@@ -0,0 +1,68 @@
+const path = require('path');
+
+// English language data ships with the @tesseract.js-data/eng package
+const bundledLangPath = () => {
+  try {
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * OCR-assisted document verification.
+ *
+ * Clean ID, address and medical documents are read with Tesseract on this
+ * server; no outside service sees them. The fields listed for the document
+ * type are picked out of the text and checked against the donor's profile;
+ * the verification queue shows the resulting match score and mismatches.
+ *
+ * A document can be approved in bulk only when every checked field
+ * matched, the score reaches BULK_APPROVAL.MIN_SCORE and Tesseract's own
+ * confidence reaches BULK_APPROVAL.MIN_CONFIDENCE. Everything else needs a
+ * reviewer to open it.
+ */
+const DocumentOcrSettings = {
+  ENABLED: process.env.DOCUMENT_OCR !== 'false',
+
+  // Tesseract language codes joined with '+', e.g. eng+hin
+  LANGUAGES: process.env.OCR_LANGUAGES || 'eng',
+  // Directory holding <lang>.traineddata.gz for every language above
+  LANG_PATH: process.env.OCR_LANG_PATH || bundledLangPath(),
+
+  // Tesseract reads images only; PDFs are left to the reviewer
+  SUPPORTED_MIME_TYPES: ['image/jpeg', 'image/jpg', 'image/png'],
+
+  // Documents waiting for OCR are picked up in small batches
+  SWEEP_INTERVAL_MS: 2 * 60 * 1000,
+  SWEEP_BATCH_SIZE: 5,
+  MAX_ATTEMPTS: 3,
+  // A document left `processing` this long (e.g. the server restarted) is retried
+  STALE_PROCESSING_MS: 15 * 60 * 1000,
+
+  FIELDS_BY_TYPE: {
+    id_proof: ['name', 'dateOfBirth', 'idNumber'],
+    address_proof: ['name', 'pincode'],
+    medical_certificate: ['name', 'dateOfBirth']
+  },
+
+  // Share of the match score each field carries; scores are rescaled to
+  // the fields checked for the document type
+  FIELD_WEIGHTS: {
+    name: 40,
+    dateOfBirth: 30,
+    idNumber: 15,
+    pincode: 15
+  },
+
+  // 0-1 similarity at which an OCR'd name counts as the donor's name
+  NAME_MATCH_THRESHOLD: 0.85,
+
+  BULK_APPROVAL: {
+    MIN_SCORE: 90,
+    MIN_CONFIDENCE: 70,
+    MAX_DOCUMENTS: 50
+  }
+};
+
+module.exports = { DocumentOcrSettings };
@@ -0,0 +1,60 @@
+const path = require('path');
+
+/**
+ * Where donor documents are kept and how they are checked.
+ *
+ * BACKEND is `local` (a directory on this server; fine for one instance) or
+ * `s3` (any S3-compatible store: AWS S3, or MinIO locally). Files are stored
+ * under random keys and only handed out through signed URLs that expire
+ * after SIGNED_URL_TTL_SECONDS.
+ *
+ * Every upload is scanned before it is stored. SCANNER is `clamav` (a clamd
+ * daemon reached over TCP) or `stub` (development: flags the EICAR test
+ * file and passes everything else). Flagged files are kept under
+ * QUARANTINE_PREFIX and never served.
+ */
+const DocumentStorageSettings = {
+  BACKENDS: ['local', 's3'],
+  BACKEND: process.env.DOCUMENT_STORAGE || 'local',
+
+  SCANNERS: ['clamav', 'stub'],
+  SCANNER: process.env.DOCUMENT_SCANNER || 'stub',
+
+  // Local backend root; keys are paths below it
+  LOCAL_ROOT: process.env.DOCUMENT_STORAGE_PATH || path.join(__dirname, '../uploads'),
+
+  S3: {
+    // Leave empty for AWS; set to e.g. http://localhost:9000 for MinIO
+    ENDPOINT: process.env.S3_ENDPOINT,
+    REGION: process.env.S3_REGION || 'us-east-1',
+    BUCKET: process.env.S3_BUCKET,
+    ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+    SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most self-hosted stores only support path-style URLs
+    FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true' || !!process.env.S3_ENDPOINT,
+    REQUEST_TIMEOUT_MS: 30000
+  },
+
+  CLAMAV: {
+    HOST: process.env.CLAMAV_HOST || '127.0.0.1',
+    PORT: parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+    TIMEOUT_MS: 30000,
+    // clamd's StreamMaxLength defaults to 25 MB; chunks must stay below it
+    CHUNK_SIZE: 64 * 1024
+  },
+
+  KEY_PREFIX: 'documents',
+  QUARANTINE_PREFIX: 'quarantine',
+
+  SIGNED_URL_TTL_SECONDS: 5 * 60,
+
+  MAX_FILE_SIZE: 10 * 1024 * 1024,
+  ALLOWED_TYPES: {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png',
+    'application/pdf': '.pdf'
+  }
+};
+
+module.exports = { DocumentStorageSettings };
@@ -0,0 +1,76 @@
+/**
+ * Donor eligibility and deferral rules.
+ * All periods are in days. Adjust here rather than in the evaluation code.
+ */
+const EligibilityRules = {
+  DONATION_TYPES: ['whole_blood', 'double_red_cells', 'platelets', 'plasma'],
+
+  // Minimum gap after a donation (rows) before the next donation (columns)
+  DONATION_INTERVALS: {
+    whole_blood: { whole_blood: 90, double_red_cells: 90, platelets: 28, plasma: 28 },
+    double_red_cells: { whole_blood: 180, double_red_cells: 180, platelets: 28, plasma: 28 },
+    platelets: { whole_blood: 7, double_red_cells: 7, platelets: 7, plasma: 14 },
+    plasma: { whole_blood: 14, double_red_cells: 14, platelets: 14, plasma: 14 }
+  },
+
+  // Maximum donations of a type in any rolling 365 days
+  ANNUAL_LIMITS: {
+    whole_blood: 4,
+    double_red_cells: 2,
+    platelets: 24,
+    plasma: 24
+  },
+
+  // Blood component requested -> donation type a donor has to give
+  COMPONENT_DONATION_TYPES: {
+    whole_blood: 'whole_blood',
+    red_cells: 'whole_blood',
+    platelets: 'platelets',
+    plasma: 'plasma',
+    cryoprecipitate: 'plasma'
+  },
+
+  HEMOGLOBIN: {
+    MIN_LEVEL: 12.5, // g/dL
+    MIN_LEVEL_DOUBLE_RED_CELLS: 14.0,
+    DEFERRAL_DAYS: 90
+  },
+
+  // Vitals taken by hospital staff at check-in
+  SCREENING: {
+    SYSTOLIC: { MIN: 90, MAX: 180 }, // mmHg
+    DIASTOLIC: { MIN: 50, MAX: 100 },
+    PULSE: { MIN: 50, MAX: 100 }, // bpm
+    MAX_TEMPERATURE: 99.5, // F
+    MIN_WEIGHT: 110 // lbs
+  },
+
+  TATTOO_PIERCING_DEFERRAL_DAYS: 180,
+
+  TRAVEL: {
+    MALARIA_RISK_DEFERRAL_DAYS: 90
+  },
+
+  ILLNESS_DEFERRAL_DAYS: 14,
+
+  // Deferral counted from the last dose, or from today while still being taken.
+  // appliesTo limits the rule to specific donation types (default: all).
+  MEDICATIONS: [
+    { code: 'ISOTRETINOIN', names: ['isotretinoin', 'accutane'], days: 30 },
+    { code: 'FINASTERIDE', names: ['finasteride', 'propecia', 'proscar'], days: 30 },
+    { code: 'DUTASTERIDE', names: ['dutasteride', 'avodart'], days: 180 },
+    { code: 'ANTIBIOTICS', names: ['amoxicillin', 'azithromycin', 'ciprofloxacin', 'doxycycline', 'antibiotic'], days: 14 },
+    { code: 'ANTICOAGULANTS', names: ['warfarin', 'heparin', 'rivaroxaban', 'apixaban', 'dabigatran'], days: 7 },
+    { code: 'ASPIRIN', names: ['aspirin'], days: 3, appliesTo: ['platelets'] },
+    { code: 'ANTIPLATELETS', names: ['clopidogrel', 'plavix', 'ticagrelor'], days: 14, appliesTo: ['platelets'] }
+  ],
+
+  // Conditions in free-form answers from before the questionnaire was
+  // versioned that rule out donation permanently. Versioned questionnaires
+  // carry their own outcomes (config/healthQuestionnaire.js).
+  PERMANENT_CONDITIONS: ['hiv', 'hepatitis', 'cancer', 'bleeding_disorder']
+};
+
+module.exports = {
+  EligibilityRules
+};
@@ -0,0 +1,201 @@
+/**
+ * Donor health questionnaire: settings and the built-in first version.
+ *
+ * Questions are data. Each has a stable id (answers are stored under it), a
+ * type, an optional showIf condition on an earlier answer, and outcomes that
+ * say what an answer means for donation:
+ *
+ *   defer           - deferred for `days`, counted from the answer itself for
+ *                     date questions and from the day answered otherwise
+ *   permanent_defer - deferred indefinitely
+ *   review          - medical staff decide
+ *
+ * Conditions (showIf and outcome `when`) use one of: equals, in, includesAny
+ * (multi_choice), withinDays (date answers, looking back from the day
+ * answered), lessThan / greaterThan (numbers).
+ *
+ * Later versions are created through the admin API; this one is only seeded
+ * when the store is empty.
+ */
+const QuestionnaireSettings = {
+  QUESTION_TYPES: ['boolean', 'single_choice', 'multi_choice', 'date', 'number', 'text', 'medications'],
+  OUTCOMES: ['defer', 'permanent_defer', 'review'],
+  CONDITION_OPERATORS: ['equals', 'in', 'includesAny', 'withinDays', 'lessThan', 'greaterThan'],
+
+  MAX_TEXT_LENGTH: 1000,
+  MAX_MEDICATIONS: 20,
+
+  // Published version cache
+  CACHE_TTL_MS: 5 * 60 * 1000,
+
+  // Donors prompted per batch when a new version asks them to re-answer
+  REANSWER_BATCH_SIZE: 200
+};
+
+const DefaultQuestionnaire = {
+  title: 'Donor Health Questionnaire',
+  description: 'Answer honestly; your answers keep you and the patient safe.',
+  questions: [
+    {
+      id: 'feeling_well',
+      type: 'boolean',
+      text: 'Are you feeling well and healthy today?',
+      required: true,
+      outcomes: [
+        { when: { equals: false }, outcome: 'defer', days: 14, code: 'RECENT_ILLNESS', reason: 'Not feeling well' }
+      ]
+    },
+    {
+      id: 'recent_illness',
+      type: 'boolean',
+      text: 'In the last 14 days, have you had a fever, cold, flu, diarrhoea or any other infection?',
+      required: true,
+      outcomes: [
+        { when: { equals: true }, outcome: 'defer', days: 14, code: 'RECENT_ILLNESS', reason: 'Recent illness or infection' }
+      ]
+    },
+    {
+      id: 'weight_kg',
+      type: 'number',
+      text: 'What is your weight in kg?',
+      required: true,
+      min: 30,
+      max: 250,
+      outcomes: [
+        { when: { lessThan: 50 }, outcome: 'defer', days: 90, code: 'LOW_WEIGHT', reason: 'Weight below 50 kg' }
+      ]
+    },
+    {
+      id: 'medical_conditions',
+      type: 'multi_choice',
+      text: 'Have you ever had any of the following?',
+      options: [
+        { value: 'diabetes', label: 'Diabetes' },
+        { value: 'hypertension', label: 'High blood pressure' },
+        { value: 'heart_disease', label: 'Heart disease' },
+        { value: 'asthma', label: 'Asthma' },
+        { value: 'epilepsy', label: 'Epilepsy or fits' },
+        { value: 'cancer', label: 'Cancer (current or past)' },
+        { value: 'hepatitis', label: 'Hepatitis B or C' },
+        { value: 'hiv', label: 'HIV/AIDS' },
+        { value: 'bleeding_disorder', label: 'Bleeding disorder' },
+        { value: 'autoimmune', label: 'Autoimmune disease' },
+        { value: 'other', label: 'Other serious illness' }
+      ],
+      outcomes: [
+        {
+          when: { includesAny: ['hiv', 'hepatitis', 'cancer', 'bleeding_disorder'] },
+          outcome: 'permanent_defer',
+          code: 'PERMANENT_CONDITION',
+          reason: 'Reported condition requires permanent deferral'
+        },
+        {
+          when: { includesAny: ['heart_disease', 'epilepsy', 'autoimmune', 'other'] },
+          outcome: 'review',
+          reason: 'Reported condition needs assessment by medical staff'
+        }
+      ]
+    },
+    {
+      id: 'medical_conditions_details',
+      type: 'text',
+      text: 'Please describe the illness and any treatment.',
+      required: true,
+      showIf: { question: 'medical_conditions', includesAny: ['other'] }
+    },
+    {
+      id: 'takes_medication',
+      type: 'boolean',
+      text: 'Are you taking, or have you recently stopped taking, any medication?',
+      required: true
+    },
+    {
+      // Matched against the medication rules in config/eligibilityRules.js
+      id: 'medications',
+      type: 'medications',
+      text: 'Which medications, and when did you last take each?',
+      required: true,
+      showIf: { question: 'takes_medication', equals: true }
+    },
+    {
+      id: 'recent_tattoo',
+      type: 'boolean',
+      text: 'Have you had a tattoo, piercing or acupuncture in the last 6 months?',
+      required: true
+    },
+    {
+      id: 'tattoo_date',
+      type: 'date',
+      text: 'When was the most recent one?',
+      required: true,
+      showIf: { question: 'recent_tattoo', equals: true },
+      outcomes: [
+        { when: { withinDays: 180 }, outcome: 'defer', days: 180, code: 'TATTOO_PIERCING', reason: 'Recent tattoo or piercing' }
+      ]
+    },
+    {
+      id: 'malaria_travel',
+      type: 'boolean',
+      text: 'In the last 3 months, have you travelled to an area with malaria?',
+      required: true
+    },
+    {
+      id: 'travel_destination',
+      type: 'text',
+      text: 'Where did you travel?',
+      required: true,
+      showIf: { question: 'malaria_travel', equals: true }
+    },
+    {
+      id: 'travel_return_date',
+      type: 'date',
+      text: 'When did you return?',
+      required: true,
+      showIf: { question: 'malaria_travel', equals: true },
+      outcomes: [
+        { when: { withinDays: 90 }, outcome: 'defer', days: 90, code: 'TRAVEL', reason: 'Recent travel to a malaria risk area' }
+      ]
+    },
+    {
+      id: 'surgery_or_transfusion',
+      type: 'boolean',
+      text: 'In the last 12 months, have you had major surgery or received a blood transfusion?',
+      required: true
+    },
+    {
+      id: 'surgery_date',
+      type: 'date',
+      text: 'When was the surgery or transfusion?',
+      required: true,
+      showIf: { question: 'surgery_or_transfusion', equals: true },
+      outcomes: [
+        { when: { withinDays: 365 }, outcome: 'defer', days: 365, code: 'SURGERY_TRANSFUSION', reason: 'Surgery or transfusion in the last 12 months' }
+      ]
+    },
+    {
+      id: 'pregnancy',
+      type: 'single_choice',
+      text: 'Are you pregnant, breastfeeding or have you given birth in the last 12 months?',
+      required: true,
+      options: [
+        { value: 'no', label: 'No' },
+        { value: 'yes', label: 'Yes' },
+        { value: 'not_applicable', label: 'Not applicable' }
+      ],
+      outcomes: [
+        { when: { equals: 'yes' }, outcome: 'review', reason: 'Pregnancy, breastfeeding or recent delivery' }
+      ]
+    },
+    {
+      id: 'previous_reaction',
+      type: 'boolean',
+      text: 'Have you ever fainted or felt unwell during or after giving blood?',
+      required: true,
+      outcomes: [
+        { when: { equals: true }, outcome: 'review', reason: 'Reaction to a previous donation' }
+      ]
+    }
+  ]
+};
+
+module.exports = { QuestionnaireSettings, DefaultQuestionnaire };
@@ -0,0 +1,397 @@
+/**
+ * Message template settings and the default templates seeded into the store.
+ *
+ * Templates use named placeholders, {{bloodType}}, declared with a type so
+ * values are checked and formatted per language before sending. A section
+ * wrapped in {{#field}}...{{/field}} is only included when field has a value.
+ * Enum placeholders can be given per-language wording in a variant's
+ * enumLabels.
+ *
+ * Admins edit templates through /api/v1/admin/templates; the defaults below
+ * are only used to seed an empty store and as a fallback if it is unreachable.
+ */
+const MessageTemplateSettings = {
+  CHANNELS: ['whatsapp', 'sms', 'email'],
+
+  // English, Spanish and the Indian languages EducationalContent supports
+  LANGUAGES: ['en', 'hi', 'es', 'ta', 'te', 'bn', 'mr', 'gu', 'kn', 'ml', 'or', 'pa', 'as'],
+  DEFAULT_LANGUAGE: 'en',
+
+  // Locale and time zone used to format number, date and datetime values
+  LOCALES: {
+    en: 'en-IN', hi: 'hi-IN', es: 'es-ES', ta: 'ta-IN', te: 'te-IN', bn: 'bn-IN', mr: 'mr-IN',
+    gu: 'gu-IN', kn: 'kn-IN', ml: 'ml-IN', or: 'or-IN', pa: 'pa-IN', as: 'as-IN'
+  },
+  TIME_ZONE: 'Asia/Kolkata',
+
+  PLACEHOLDER_TYPES: ['string', 'number', 'date', 'datetime', 'phone', 'url', 'enum'],
+
+  WHATSAPP_CATEGORIES: ['UTILITY', 'AUTHENTICATION', 'MARKETING'],
+
+  LIMITS: {
+    whatsapp: { header: 60, body: 1024, footer: 60, buttons: 3, buttonText: 25 },
+    sms: { body: 1600, segment: 160, unicodeSegment: 70 },
+    email: { subject: 200, body: 20000 }
+  },
+
+  // Published templates are re-read from the database after this long
+  CACHE_TTL_MS: 60 * 1000
+};
+
+const DefaultMessageTemplates = [
+  // WhatsApp Business templates. Placeholder order is the {{1}}, {{2}}, ...
+  // order Meta expects when the template is sent.
+  {
+    name: 'blood_request_urgent',
+    channel: 'whatsapp',
+    category: 'UTILITY',
+    description: 'Urgent blood request sent to matched donors',
+    placeholders: [
+      { name: 'bloodType', type: 'string', required: true, example: 'O+' },
+      { name: 'patientName', type: 'string', required: true, example: 'Ramesh K' },
+      { name: 'hospitalName', type: 'string', required: true, example: 'City General Hospital' },
+      { name: 'location', type: 'string', required: true, example: 'Hyderabad, Telangana' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '🚨 URGENT BLOOD NEEDED',
+      body: 'Blood Type: {{bloodType}}\nPatient: {{patientName}}\nHospital: {{hospitalName}}\nLocation: {{location}}\n\nCan you help save a life?\nReply YES to donate or NO if unavailable.',
+      footer: 'CallforBlood Foundation',
+      buttons: [
+        { type: 'QUICK_REPLY', text: '✅ Yes, I can donate' },
+        { type: 'QUICK_REPLY', text: '❌ Cannot donate now' },
+        { type: 'QUICK_REPLY', text: 'ℹ️ More info' }
+      ]
+    }, {
+      language: 'hi',
+      header: '🚨 तुरंत खून की ज़रूरत',
+      body: 'ब्लड ग्रुप: {{bloodType}}\nमरीज़: {{patientName}}\nअस्पताल: {{hospitalName}}\nस्थान: {{location}}\n\nक्या आप एक जान बचाने में मदद कर सकते हैं?\nरक्तदान के लिए हाँ, नहीं तो नहीं लिखें।',
+      footer: 'CallforBlood Foundation',
+      buttons: [
+        { type: 'QUICK_REPLY', text: '✅ हाँ, मैं दूँगा' },
+        { type: 'QUICK_REPLY', text: '❌ अभी नहीं' },
+        { type: 'QUICK_REPLY', text: 'ℹ️ और जानकारी' }
+      ]
+    }]
+  },
+  {
+    name: 'blood_request_critical',
+    channel: 'whatsapp',
+    category: 'UTILITY',
+    description: 'Critical emergency request sent to matched donors',
+    placeholders: [
+      { name: 'bloodType', type: 'string', required: true, example: 'B-' },
+      { name: 'patientName', type: 'string', required: true, example: 'Ramesh K' },
+      { name: 'patientAge', type: 'number', required: true, example: 42 },
+      { name: 'condition', type: 'string', required: true, example: 'Road accident' },
+      { name: 'hospitalName', type: 'string', required: true, example: 'City General Hospital' },
+      { name: 'contactNumber', type: 'phone', required: true, example: '+919876543210' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '🆘 CRITICAL EMERGENCY',
+      body: 'EMERGENCY: {{bloodType}} blood needed IMMEDIATELY\nPatient: {{patientName}} (Age: {{patientAge}})\nCondition: {{condition}}\nHospital: {{hospitalName}}\nContact: {{contactNumber}}\n\nEVERY MINUTE COUNTS!\nPlease respond immediately if you can help.',
+      footer: 'CallforBlood Foundation - Emergency Response',
+      buttons: [
+        { type: 'QUICK_REPLY', text: '🚨 YES - On my way' },
+        { type: 'QUICK_REPLY', text: '❌ Cannot help' }
+      ]
+    }]
+  },
+  {
+    name: 'donation_confirmation',
+    channel: 'whatsapp',
+    category: 'UTILITY',
+    description: 'Sent when a donor agrees to donate',
+    placeholders: [
+      { name: 'donorName', type: 'string', required: true, example: 'Priya' },
+      { name: 'location', type: 'string', required: true, example: 'City General Hospital, Hyderabad' },
+      { name: 'contactNumber', type: 'phone', required: true, example: '+919876543210' },
+      { name: 'time', type: 'datetime', required: true, example: '2025-01-15T10:30:00+05:30' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '🙏 Thank You Hero!',
+      body: 'Thank you {{donorName}} for agreeing to donate!\n\nDonation Details:\n📍 Location: {{location}}\n📞 Contact: {{contactNumber}}\n⏰ Time: {{time}}\n\nPlease arrive 15 minutes early for screening.\nYour generosity saves lives! ❤️',
+      footer: 'CallforBlood Foundation'
+    }]
+  },
+  {
+    name: 'donor_approval',
+    channel: 'whatsapp',
+    category: 'UTILITY',
+    description: 'Sent when an admin approves a donor registration',
+    placeholders: [
+      { name: 'donorName', type: 'string', required: true, example: 'Priya' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '🎉 Registration Approved!',
+      body: 'Congratulations {{donorName}}!\n\nYour blood donor registration has been APPROVED by our admin team.\n\n✅ You are now a verified donor\n✅ You can start receiving donation requests\n✅ Help save lives in your community\n\nThank you for joining our life-saving mission!',
+      footer: 'CallforBlood Foundation'
+    }]
+  },
+  {
+    name: 'donor_rejection',
+    channel: 'whatsapp',
+    category: 'UTILITY',
+    description: 'Sent when an admin rejects a donor registration',
+    placeholders: [
+      { name: 'donorName', type: 'string', required: true, example: 'Priya' },
+      { name: 'reason', type: 'string', required: true, example: 'ID document was unreadable' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '❌ Registration Update',
+      body: 'Dear {{donorName}},\n\nUnfortunately, your blood donor registration could not be approved at this time.\n\nReason: {{reason}}\n\nYou can reapply after addressing the mentioned concerns. Please contact our support team if you have any questions.',
+      footer: 'CallforBlood Foundation\nSupport: http://wa.me/919491254120'
+    }]
+  },
+  {
+    name: 'otp_verification',
+    channel: 'whatsapp',
+    category: 'AUTHENTICATION',
+    description: 'One-time verification code',
+    placeholders: [
+      { name: 'otp', type: 'string', required: true, example: '482913' },
+      { name: 'action', type: 'string', required: true, example: 'log into your account' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '🔐 Verification Code',
+      body: 'Your CallforBlood Foundation verification code is: *{{otp}}*\n\nUse this code to {{action}}.\n\n⏰ This code expires in 5 minutes.\n🔒 For security, don\'t share this code with anyone.',
+      footer: 'CallforBlood Foundation'
+    }]
+  },
+  {
+    name: 'donation_reminder',
+    channel: 'whatsapp',
+    category: 'UTILITY',
+    description: 'Reminder before a scheduled donation',
+    placeholders: [
+      { name: 'donorName', type: 'string', required: true, example: 'Priya' },
+      { name: 'date', type: 'date', required: true, example: '2025-01-15' },
+      { name: 'time', type: 'string', required: true, example: '10:30 AM' },
+      { name: 'location', type: 'string', required: true, example: 'City General Hospital, Hyderabad' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '⏰ Donation Reminder',
+      body: 'Hi {{donorName}},\n\nThis is a reminder about your blood donation appointment:\n\n📅 Date: {{date}}\n⏰ Time: {{time}}\n📍 Location: {{location}}\n\nPlease arrive 15 minutes early. If you need to reschedule, please let us know immediately.',
+      footer: 'CallforBlood Foundation',
+      buttons: [
+        { type: 'QUICK_REPLY', text: '✅ Confirmed' },
+        { type: 'QUICK_REPLY', text: '📅 Reschedule' },
+        { type: 'QUICK_REPLY', text: '❌ Cancel' }
+      ]
+    }]
+  },
+  {
+    name: 'post_donation_thanks',
+    channel: 'whatsapp',
+    category: 'UTILITY',
+    description: 'Thank-you after a completed donation',
+    placeholders: [
+      { name: 'donorName', type: 'string', required: true, example: 'Priya' },
+      { name: 'units', type: 'number', required: true, example: 1 },
+      { name: 'donationId', type: 'string', required: true, example: 'DN1736912345678' },
+      { name: 'date', type: 'date', required: true, example: '2025-01-15' },
+      { name: 'nextEligibleDate', type: 'date', required: true, example: '2025-04-15' }
+    ],
+    variants: [{
+      language: 'en',
+      header: '🏆 You\'re a Life Saver!',
+      body: 'Thank you {{donorName}} for your blood donation today!\n\n🩸 You donated: {{units}} units\n📋 Donation ID: {{donationId}}\n📅 Date: {{date}}\n\nYour donation can save up to 3 lives!\nYour digital certificate will be available in 24 hours.\n\nNext eligible donation: {{nextEligibleDate}}',
+      footer: 'CallforBlood Foundation'
+    }]
+  },
+
+  // Plain-text request sent over SMS, and as the text body for push and
+  // WhatsApp when no approved template is used
+  {
+    name: 'blood_request',
+    channel: 'sms',
+    description: 'Blood request sent to each matched donor',
+    placeholders: [
+      { name: 'urgency', type: 'enum', values: ['critical', 'urgent', 'scheduled'], required: true, example: 'urgent' },
+      { name: 'donorName', type: 'string', required: true, example: 'Priya' },
+      { name: 'bloodType', type: 'string', required: true, example: 'O+' },
+      { name: 'patientName', type: 'string', required: true, example: 'Ramesh K' },
+      { name: 'patientAge', type: 'number', required: true, example: 42 },
+      { name: 'hospitalName', type: 'string', required: true, example: 'City General Hospital' },
+      { name: 'distanceKm', type: 'number', decimals: 1, required: true, example: 3.4 },
+      { name: 'contactNumber', type: 'phone', required: true, example: '+919876543210' },
+      { name: 'unitsNeeded', type: 'number', required: true, example: 2 }
+    ],
+    variants: [{
+      language: 'en',
+      enumLabels: { urgency: { critical: '🚨 CRITICAL', urgent: '⚡ URGENT', scheduled: '📅 SCHEDULED' } },
+      body: '{{urgency}} BLOOD DONATION REQUEST\n\nDear {{donorName}},\n\nBlood Type Needed: {{bloodType}}\nPatient: {{patientName}} ({{patientAge}}y)\nHospital: {{hospitalName}}\nDistance: {{distanceKm}}km from you\nContact: {{contactNumber}}\n\nUnits Needed: {{unitsNeeded}}\n\nCan you help save a life?\nReply YES to donate or NO if unavailable.\n\nYour quick response can make the difference!\n\nCallforBlood Foundation'
+    }, {
+      language: 'hi',
+      enumLabels: { urgency: { critical: '🚨 अति आवश्यक', urgent: '⚡ तुरंत', scheduled: '📅 निर्धारित' } },
+      body: '{{urgency}} रक्तदान अनुरोध\n\nप्रिय {{donorName}},\n\nज़रूरी ब्लड ग्रुप: {{bloodType}}\nमरीज़: {{patientName}} ({{patientAge}} वर्ष)\nअस्पताल: {{hospitalName}}\nदूरी: आपसे {{distanceKm}} किमी\nसंपर्क: {{contactNumber}}\n\nज़रूरी यूनिट: {{unitsNeeded}}\n\nक्या आप एक जान बचाने में मदद कर सकते हैं?\nरक्तदान के लिए हाँ, नहीं तो नहीं लिखें।\n\nआपका जल्दी जवाब फ़र्क ला सकता है!\n\nCallforBlood Foundation'
+    }]
+  },
+
+  // Support inbox canned replies. The sms wording is also used for WhatsApp
+  // replies, which go out as free-form text inside the 24-hour window.
+  {
+    name: 'support_received',
+    channel: 'sms',
+    description: 'Canned reply: a coordinator is looking into the message',
+    placeholders: [
+      { name: 'name', type: 'string', example: 'Priya' },
+      { name: 'coordinator', type: 'string', required: true, example: 'Anita' }
+    ],
+    variants: [{
+      language: 'en',
+      body: 'Hi{{#name}} {{name}}{{/name}}, thanks for your message. This is {{coordinator}} from CallforBlood Foundation. I\'m looking into it and will get back to you shortly.'
+    }, {
+      language: 'hi',
+      body: 'नमस्ते{{#name}} {{name}}{{/name}}, आपके संदेश के लिए धन्यवाद। CallforBlood Foundation की टीम ({{coordinator}}) इसे देख रही है और जल्द ही आपसे संपर्क करेगी।'
+    }]
+  },
+  {
+    name: 'support_resolved',
+    channel: 'sms',
+    description: 'Canned reply: the query has been dealt with',
+    placeholders: [
+      { name: 'name', type: 'string', example: 'Priya' }
+    ],
+    variants: [{
+      language: 'en',
+      body: 'Hi{{#name}} {{name}}{{/name}}, we have sorted this out and are closing your query. Reply to this message if you need anything else. Thank you for supporting CallforBlood Foundation!'
+    }, {
+      language: 'hi',
+      body: 'नमस्ते{{#name}} {{name}}{{/name}}, आपका मामला सुलझा दिया गया है। किसी और मदद के लिए इसी संदेश का जवाब दें। CallforBlood Foundation का साथ देने के लिए धन्यवाद!'
+    }]
+  },
+
+  // Email
+  {
+    name: 'otp',
+    channel: 'email',
+    description: 'One-time verification code',
+    placeholders: [
+      { name: 'otp', type: 'string', required: true, example: '482913' },
+      { name: 'purpose', type: 'enum', values: ['registration', 'login', 'verification', 'password_reset'], required: true, example: 'login' }
+    ],
+    variants: [{
+      language: 'en',
+      enumLabels: {
+        purpose: {
+          registration: 'complete your registration',
+          login: 'log into your account',
+          verification: 'verify your email address',
+          password_reset: 'reset your password'
+        }
+      },
+      subject: '🔐 Verification Code - CallforBlood Foundation',
+      body: 'Dear User,\n\nYour CallforBlood Foundation verification code is:\n\n{{otp}}\n\nUse this code to {{purpose}}.\n\n⏰ This code expires in 5 minutes.\n🔒 For security, don\'t share this code with anyone.\n\nIf you didn\'t request this code, please ignore this email.\n\nNeed help? Contact our support team at info@callforbloodfoundation.com\n\nBest regards,\nCallforBlood Foundation Team'
+    }, {
+      language: 'hi',
+      enumLabels: {
+        purpose: {
+          registration: 'अपना पंजीकरण पूरा करने',
+          login: 'अपने खाते में लॉग इन करने',
+          verification: 'अपना ईमेल पता सत्यापित करने',
+          password_reset: 'अपना पासवर्ड रीसेट करने'
+        }
+      },
+      subject: '🔐 सत्यापन कोड - CallforBlood Foundation',
+      body: 'प्रिय उपयोगकर्ता,\n\nआपका CallforBlood Foundation सत्यापन कोड है:\n\n{{otp}}\n\n{{purpose}} के लिए इस कोड का उपयोग करें।\n\n⏰ यह कोड 5 मिनट में समाप्त हो जाएगा।\n🔒 सुरक्षा के लिए यह कोड किसी से साझा न करें।\n\nअगर आपने यह कोड नहीं माँगा है, तो इस ईमेल को अनदेखा करें।\n\nसहायता के लिए: info@callforbloodfoundation.com\n\nसादर,\nCallforBlood Foundation टीम'
+    }]
+  },
+  {
+    name: 'blood_request',
+    channel: 'email',
+    description: 'Blood request sent to donors by email',
+    placeholders: [
+      { name: 'urgency', type: 'enum', values: ['critical', 'urgent', 'scheduled'], required: true, example: 'urgent' },
+      { name: 'bloodType', type: 'string', required: true, example: 'O+' },
+      { name: 'patientName', type: 'string', example: 'Ramesh K' },
+      { name: 'age', type: 'number', example: 42 },
+      { name: 'condition', type: 'string', example: 'Surgery' },
+      { name: 'hospital', type: 'string', required: true, example: 'City General Hospital' },
+      { name: 'location', type: 'string', required: true, example: 'Banjara Hills, Hyderabad' },
+      { name: 'contactNumber', type: 'phone', required: true, example: '+919876543210' },
+      { name: 'requiredBy', type: 'datetime', example: '2025-01-15T18:00:00+05:30' }
+    ],
+    variants: [{
+      language: 'en',
+      enumLabels: { urgency: { critical: '🚨 CRITICAL EMERGENCY', urgent: '⚡ URGENT REQUEST', scheduled: '📅 SCHEDULED REQUEST' } },
+      subject: '🩸 {{bloodType}} Blood Needed - CallforBlood Foundation',
+      body: '{{urgency}}\n\nDear Blood Donor,\n\nWe have an urgent blood donation request that matches your profile:\n\nPATIENT DETAILS:\n• Blood Type Needed: {{bloodType}}\n{{#patientName}}• Patient Name: {{patientName}}\n{{/patientName}}{{#age}}• Age: {{age}}\n{{/age}}{{#condition}}• Medical Condition: {{condition}}\n{{/condition}}\nLOCATION DETAILS:\n• Hospital: {{hospital}}\n• Address: {{location}}\n• Contact Number: {{contactNumber}}\n{{#requiredBy}}\nRequired By: {{requiredBy}}\n{{/requiredBy}}\nCan you help save a life?\n\nTo respond:\n• Reply to this email with "YES" if you can donate\n• Reply with "NO" if you cannot donate at this time\n• Call {{contactNumber}} for immediate coordination\n\nYour generosity can make the difference between life and death.\n\nThank you for being a life saver!\n\nBest regards,\nCallforBlood Foundation Team\n\n---\nEvery drop counts. Every donor matters.'
+    }]
+  },
+  {
+    name: 'welcome',
+    channel: 'email',
+    description: 'Welcome email after registration',
+    placeholders: [
+      { name: 'name', type: 'string', required: true, example: 'Priya Sharma' },
+      { name: 'bloodType', type: 'string', example: 'O+' },
+      { name: 'phoneNumber', type: 'phone', required: true, example: '+919876543210' },
+      { name: 'registeredAt', type: 'date', required: true, example: '2025-01-15' }
+    ],
+    variants: [{
+      language: 'en',
+      subject: '🎉 Welcome to CallforBlood Foundation!',
+      body: 'Welcome to CallforBlood Foundation, {{name}}!\n\n🎉 Congratulations on joining our life-saving community!\n\nYour registration has been successfully completed with the following details:\n• Name: {{name}}\n{{#bloodType}}• Blood Type: {{bloodType}}\n{{/bloodType}}• Phone: {{phoneNumber}}\n• Registration Date: {{registeredAt}}\n\nWHAT\'S NEXT?\n1. Complete your profile verification (if not already done)\n2. Set your donation preferences\n3. Start receiving blood donation requests\n4. Help save lives in your community\n\nIMPORTANT INFORMATION:\n• You can donate blood every 3 months\n• Each donation can save up to 3 lives\n• You\'ll receive a digital certificate after each donation\n• Your privacy and safety are our top priorities\n\nGETTING STARTED:\n• Visit your dashboard: callforbloodfoundation.com/dashboard\n• Update your availability status\n• Set your notification preferences\n• Learn about blood donation guidelines\n\nNeed help? Our support team is here for you:\n💬 WhatsApp: https://wa.me/919491254120\n📧 Email: info@callforbloodfoundation.com\n🌐 Website: callforbloodfoundation.com\n\nThank you for choosing to be a hero. Together, we save lives!\n\nBest regards,\nCallforBlood Foundation Team\n\n---\n"The gift of blood is the gift of life. Thank you for giving."'
+    }]
+  },
+  {
+    name: 'donation_confirmation',
+    channel: 'email',
+    description: 'Thank-you email after a recorded donation',
+    placeholders: [
+      { name: 'donorName', type: 'string', required: true, example: 'Priya Sharma' },
+      { name: 'donationId', type: 'string', required: true, example: 'DN1736912345678' },
+      { name: 'donatedAt', type: 'datetime', required: true, example: '2025-01-15T10:30:00+05:30' },
+      { name: 'location', type: 'string', required: true, example: 'City General Hospital, Hyderabad' },
+      { name: 'units', type: 'number', required: true, example: 1 },
+      { name: 'livesSaved', type: 'number', required: true, example: 3 },
+      { name: 'bloodType', type: 'string', required: true, example: 'O+' },
+      { name: 'nextEligibleDate', type: 'date', required: true, example: '2025-04-15' }
+    ],
+    variants: [{
+      language: 'en',
+      subject: '✅ Blood Donation Confirmed - Thank You!',
+      body: 'Thank You for Your Life-Saving Donation!\n\nDear {{donorName}},\n\n🏆 You are a true hero! Your blood donation has been successfully recorded.\n\nDONATION DETAILS:\n• Donation ID: {{donationId}}\n• Date: {{donatedAt}}\n• Location: {{location}}\n• Units Donated: {{units}}\n• Blood Type: {{bloodType}}\n\nIMPACT:\nYour donation can potentially save up to {{livesSaved}} lives!\n\nWHAT\'S NEXT:\n• Your digital certificate will be available within 24 hours\n• You can donate again after 90 days (next eligible: {{nextEligibleDate}})\n• Share your achievement on social media\n• Encourage friends and family to become donors\n\nPOST-DONATION CARE:\n• Rest for 10-15 minutes after donation\n• Drink plenty of fluids for the next 24 hours\n• Avoid heavy lifting for 24 hours\n• Contact us immediately if you feel unwell\n\nCERTIFICATE & RECOGNITION:\n• Digital certificate: Available in your dashboard\n• Social sharing: Share your heroic act\n• Milestone badges: Unlock achievements as you donate more\n• Community recognition: Join our hall of heroes\n\nThank you for making a difference. Your generosity gives hope and saves lives.\n\nBest regards,\nCallforBlood Foundation Team\n\n---\n"Heroes don\'t always wear capes. Sometimes they just roll up their sleeves."'
+    }]
+  },
+  {
+    name: 'support_received',
+    channel: 'email',
+    description: 'Canned reply: a coordinator is looking into the message',
+    placeholders: [
+      { name: 'name', type: 'string', example: 'Priya Sharma' },
+      { name: 'coordinator', type: 'string', required: true, example: 'Anita' }
+    ],
+    variants: [{
+      language: 'en',
+      subject: 'We\'re looking into your message - CallforBlood Foundation',
+      body: 'Hello{{#name}} {{name}}{{/name}},\n\nThank you for contacting CallforBlood Foundation. I am looking into your message and will reply to this email shortly.\n\nIf this is an emergency blood request, please WhatsApp us on https://wa.me/919491254120 for the fastest response.\n\nBest regards,\n{{coordinator}}\nCallforBlood Foundation Support Team'
+    }]
+  },
+  {
+    name: 'support_resolved',
+    channel: 'email',
+    description: 'Canned reply: the query has been dealt with',
+    placeholders: [
+      { name: 'name', type: 'string', example: 'Priya Sharma' },
+      { name: 'coordinator', type: 'string', required: true, example: 'Anita' }
+    ],
+    variants: [{
+      language: 'en',
+      subject: 'Your query has been resolved - CallforBlood Foundation',
+      body: 'Hello{{#name}} {{name}}{{/name}},\n\nWe have dealt with your query and are closing it. If there is anything else we can help with, just reply to this email.\n\nThank you for being part of our life-saving community!\n\nBest regards,\n{{coordinator}}\nCallforBlood Foundation Support Team'
+    }]
+  }
+];
+
+module.exports = {
+  MessageTemplateSettings,
+  DefaultMessageTemplates
+};
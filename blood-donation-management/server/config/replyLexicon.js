@@ -0,0 +1,210 @@
+/**
+ * Words and phrases used to understand free-text replies to blood request
+ * alerts, such as "I can come after 6pm" or "मैं कल आ सकता हूँ".
+ *
+ * Every entry lists phrases per language: en (English), hi (Devanagari) and
+ * hinglish (Hindi typed in Latin script). Phrases match whole words, after
+ * the reply and the phrase are both lower-cased and stripped of punctuation;
+ * chandrabindu and nukta are ignored, so "हाँ" matches "हां".
+ *
+ * Add spellings here rather than in replyIntentService. Replies that match
+ * nothing go to the review inbox, which is the place to look for new ones.
+ */
+const ReplyLexicon = {
+  LANGUAGES: ['en', 'hi', 'hinglish'],
+
+  // Language replies are written in, per detected language
+  REPLY_LANGUAGES: { en: 'en', hi: 'hi', hinglish: 'hi' },
+
+  // Offset of the donors' local time from UTC, used to turn "6pm" into a time
+  UTC_OFFSET_MINUTES: 330,
+
+  INTENTS: {
+    // Said yes, possibly with a time
+    accept: {
+      en: ['i can donate', 'i will donate', 'i\'ll donate', 'can donate', 'will donate', 'i can come', 'i will come', 'i\'ll come', 'i can make it', 'i am coming', 'i\'m coming', 'coming', 'on my way', 'available', 'ready', 'count me in', 'definitely', 'sure'],
+      hi: ['आ सकता', 'आ सकती', 'आ जाऊंगा', 'आ जाऊंगी', 'आऊंगा', 'आऊंगी', 'आ रहा', 'आ रही', 'आ पाऊंगा', 'आ पाऊंगी', 'दे सकता', 'दे सकती', 'दूंगा', 'दूंगी', 'तैयार', 'उपलब्ध', 'जरूर'],
+      hinglish: ['aa sakta', 'aa sakti', 'a sakta', 'a sakti', 'aa jaunga', 'aa jaungi', 'aaunga', 'aunga', 'aaungi', 'aungi', 'aa raha', 'aa rahi', 'aa paunga', 'aa paungi', 'de sakta', 'de sakti', 'dunga', 'dungi', 'taiyar', 'tayyar', 'zaroor', 'jaroor', 'jarur']
+    },
+    // Might come; recorded as a maybe
+    tentative: {
+      en: ['maybe', 'might', 'not sure', 'will try', 'i\'ll try', 'try to come', 'possibly', 'let me check', 'will confirm'],
+      hi: ['शायद', 'कोशिश', 'पक्का नहीं', 'देखता हूं', 'देखती हूं', 'बताता हूं', 'बताती हूं'],
+      hinglish: ['shayad', 'shaayad', 'koshish', 'pakka nahi', 'dekhta hoon', 'dekhti hoon', 'dekhta hu', 'batata hoon', 'batati hoon', 'batata hu']
+    },
+    // Said no, with or without a reason
+    decline: {
+      en: ['can\'t', 'cant', 'cannot', 'can not', 'not able', 'unable', 'not available', 'unavailable', 'not possible', 'busy', 'sorry', 'not today', 'won\'t', 'will not', 'not coming', 'not come'],
+      hi: ['नहीं आ', 'आ नहीं', 'नहीं कर', 'नहीं दे', 'नहीं हो', 'नहीं हो पाएगा', 'संभव नहीं', 'व्यस्त', 'माफ', 'माफी', 'क्षमा'],
+      hinglish: ['nahi aa', 'nahin aa', 'nhi aa', 'aa nahi', 'aa nahin', 'nahi kar', 'nahi de', 'nahi ho', 'nahi paunga', 'nahi paungi', 'possible nahi', 'busy hoon', 'busy hu', 'maaf', 'maafi', 'mafi']
+    },
+    // Asked where to go
+    location_question: {
+      en: ['where', 'address', 'location', 'which hospital', 'what hospital', 'how to reach', 'how do i reach', 'directions', 'map', 'landmark'],
+      hi: ['कहां', 'किधर', 'पता क्या', 'पता भेजो', 'पता बताओ', 'कौन सा अस्पताल', 'कौनसा अस्पताल', 'कैसे पहुंच', 'लोकेशन'],
+      hinglish: ['kahan', 'kaha', 'kidhar', 'pata kya', 'address kya', 'kaunsa hospital', 'kon sa hospital', 'kaise pahunch', 'kaise pahuche', 'location bhejo']
+    },
+    // Asked whether they are allowed to donate
+    eligibility_question: {
+      en: ['am i eligible', 'am i allowed', 'allowed to donate', 'can i give blood', 'can i still donate', 'is it safe to donate', 'tattoo', 'diabetic', 'diabetes', 'blood pressure', 'on medication', 'pregnant', 'breastfeeding'],
+      hi: ['क्या मैं रक्तदान', 'क्या मैं खून दे', 'योग्य', 'टैटू', 'शुगर', 'मधुमेह', 'बीपी'],
+      hinglish: ['kya main donate', 'kya mai donate', 'kya main blood de', 'kya mai blood de', 'de sakta hoon kya', 'de sakti hoon kya', 'kar sakta hoon kya', 'kar sakti hoon kya', 'eligible hoon', 'sugar hai', 'bp hai']
+    }
+  },
+
+  // A reply that starts with one of these, or has a "?", is a question:
+  // "kya main blood de sakta hoon" asks rather than offers
+  QUESTION_STARTS: {
+    en: ['can i', 'am i', 'is it', 'should i', 'do i', 'will i'],
+    hi: ['क्या'],
+    hinglish: ['kya', 'kyaa']
+  },
+
+  // Turn a yes into a no: "I can't come", "नहीं आ पाऊंगा"
+  NEGATIONS: {
+    en: ['not', 'no', 'don\'t', 'dont', 'never'],
+    hi: ['नहीं', 'नही', 'मत'],
+    hinglish: ['nahi', 'nahin', 'nhi', 'nai', 'mat']
+  },
+
+  // Phrases that contain a negation word but do not negate anything
+  NOT_NEGATIONS: {
+    en: ['no problem', 'no worries', 'no issue', 'not a problem'],
+    hi: ['कोई बात नहीं', 'कोई दिक्कत नहीं', 'कोई समस्या नहीं'],
+    hinglish: ['koi baat nahi', 'koi dikkat nahi', 'koi problem nahi', 'koi issue nahi']
+  },
+
+  /**
+   * Why a donor declined. `snoozeDays` pauses alerts for that long (capped
+   * by the admin's maximum snooze); a date in the reply ("back on Monday")
+   * is used instead when there is one. Tried in order.
+   */
+  DECLINE_REASONS: {
+    recently_donated: {
+      snoozeDays: 30,
+      // "kal" here means yesterday, so dates in the reply are not used
+      ignoreDates: true,
+      en: ['recently donated', 'just donated', 'already donated', 'donated last', 'donated recently', 'gave blood'],
+      hi: ['हाल ही में दान', 'पहले ही दान', 'रक्तदान किया', 'खून दिया'],
+      hinglish: ['donate kiya', 'donate kar diya', 'blood diya', 'khoon diya', 'abhi diya']
+    },
+    unwell: {
+      snoozeDays: 7,
+      en: ['sick', 'unwell', 'ill', 'fever', 'cold', 'cough', 'infection', 'not well', 'not feeling well', 'hospitalised', 'hospitalized', 'surgery'],
+      hi: ['बीमार', 'बुखार', 'तबीयत', 'सर्दी', 'खांसी', 'ऑपरेशन'],
+      hinglish: ['bimar', 'beemar', 'bukhar', 'tabiyat', 'tabiyet', 'sardi', 'khansi', 'operation']
+    },
+    medication: {
+      snoozeDays: 7,
+      en: ['medicine', 'medication', 'antibiotic', 'antibiotics', 'tablets'],
+      hi: ['दवा', 'दवाई', 'गोली'],
+      hinglish: ['dawa', 'dawai', 'dawaai', 'goli']
+    },
+    travelling: {
+      snoozeDays: 7,
+      en: ['out of town', 'out of station', 'out of city', 'travelling', 'traveling', 'on a trip', 'not in town', 'abroad'],
+      hi: ['शहर से बाहर', 'बाहर हूं', 'यात्रा', 'सफर'],
+      hinglish: ['bahar hoon', 'bahar hu', 'shahar se bahar', 'station se bahar', 'yatra', 'safar']
+    },
+    busy: {
+      snoozeDays: 0,
+      en: ['work', 'office', 'exam', 'exams', 'meeting', 'busy'],
+      hi: ['काम', 'ऑफिस', 'परीक्षा', 'व्यस्त'],
+      hinglish: ['kaam', 'office hai', 'exam hai', 'pariksha', 'busy hoon', 'busy hu']
+    }
+  },
+
+  // When the donor can come
+  DAYS: {
+    today: { offset: 0, en: ['today', 'tonight'], hi: ['आज'], hinglish: ['aaj', 'aj'] },
+    tomorrow: { offset: 1, en: ['tomorrow', 'tmrw', 'tmr'], hi: ['कल'], hinglish: ['kal'] },
+    day_after_tomorrow: { offset: 2, en: ['day after tomorrow'], hi: ['परसों'], hinglish: ['parso', 'parson'] }
+  },
+
+  // Straight away
+  NOW: { en: ['now', 'right now', 'immediately', 'asap'], hi: ['अभी', 'तुरंत'], hinglish: ['abhi', 'turant'] },
+
+  // Indexed like Date#getDay: Sunday first
+  WEEKDAYS: [
+    { en: ['sunday'], hi: ['रविवार', 'इतवार'], hinglish: ['ravivar', 'itwar', 'itvaar'] },
+    { en: ['monday', 'mon'], hi: ['सोमवार'], hinglish: ['somvar', 'somwar'] },
+    { en: ['tuesday', 'tue', 'tues'], hi: ['मंगलवार'], hinglish: ['mangalvar', 'mangalwar'] },
+    { en: ['wednesday', 'wed'], hi: ['बुधवार'], hinglish: ['budhvar', 'budhwar'] },
+    { en: ['thursday', 'thu', 'thurs'], hi: ['गुरुवार', 'बृहस्पतिवार'], hinglish: ['guruvar', 'guruwar'] },
+    { en: ['friday', 'fri'], hi: ['शुक्रवार'], hinglish: ['shukravar', 'shukrawar'] },
+    { en: ['saturday', 'sat'], hi: ['शनिवार'], hinglish: ['shanivar', 'shaniwar'] }
+  ],
+
+  // Time of day, and the hour assumed when no clock time is given
+  DAY_PARTS: {
+    morning: { hour: 9, en: ['morning'], hi: ['सुबह'], hinglish: ['subah', 'subha'] },
+    afternoon: { hour: 14, en: ['afternoon', 'noon'], hi: ['दोपहर'], hinglish: ['dopahar', 'dopehar', 'dophar'] },
+    evening: { hour: 18, en: ['evening'], hi: ['शाम'], hinglish: ['shaam', 'sham'] },
+    night: { hour: 20, en: ['night', 'tonight'], hi: ['रात'], hinglish: ['raat', 'rat'] }
+  },
+
+  // Hour assumed for a day with no time ("tomorrow")
+  DEFAULT_HOUR: 10,
+
+  // Without am/pm or a part of the day, 1 to 7 o'clock means afternoon or evening
+  LATEST_AMBIGUOUS_PM_HOUR: 7,
+
+  // "after 6", "6 बजे के बाद"; also mark a bare number as a time ("at 9")
+  TIME_QUALIFIERS: {
+    after: { en: ['after', 'from'], hi: ['बाद', 'के बाद'], hinglish: ['baad', 'ke baad', 'ke bad'] },
+    before: { en: ['before', 'by', 'until', 'till'], hi: ['पहले', 'तक'], hinglish: ['pehle', 'pahle', 'tak'] },
+    at: { en: ['at', 'around', 'about'], hi: ['लगभग', 'करीब'], hinglish: ['lagbhag', 'kareeb', 'karib'] }
+  },
+
+  // Marks a number as a clock time: "6 baje", "6 बजे"
+  CLOCK_WORDS: { en: ['o\'clock', 'oclock'], hi: ['बजे'], hinglish: ['baje', 'bje'] },
+
+  // "in 2 hours", "2 घंटे में"
+  DURATION_UNITS: {
+    hours: { minutes: 60, en: ['hour', 'hours', 'hr', 'hrs'], hi: ['घंटे', 'घंटा'], hinglish: ['ghante', 'ghanta'] },
+    minutes: { minutes: 1, en: ['minute', 'minutes', 'min', 'mins'], hi: ['मिनट'], hinglish: ['minat'] }
+  },
+
+  // How an availability reads in a reply; {{time}} is the formatted date/time
+  AVAILABILITY_LABELS: {
+    at: { en: 'at {{time}}', hi: '{{time}} पर' },
+    on: { en: 'on {{time}}', hi: '{{time}} को' },
+    after: { en: 'after {{time}}', hi: '{{time}} के बाद' },
+    before: { en: 'by {{time}}', hi: '{{time}} तक' }
+  },
+
+  /**
+   * Replies sent for understood messages. {{field}} placeholders and
+   * {{#field}}...{{/field}} sections work as in the template store.
+   */
+  MESSAGES: {
+    accepted: {
+      en: '🙏 Thank you for your willingness to donate!{{#when}} We have noted that you can come {{when}}.{{/when}}\n\n*Hospital:* {{hospital}}\n*Contact:* {{contact}}\n\nReply *NO* if your plans change.\n\n*CallforBlood Foundation*',
+      hi: '🙏 रक्तदान के लिए तैयार होने का धन्यवाद!{{#when}} हमने नोट कर लिया है कि आप {{when}} आ सकते हैं।{{/when}}\n\n*अस्पताल:* {{hospital}}\n*संपर्क:* {{contact}}\n\nयोजना बदले तो *NO* लिखें।\n\n*CallforBlood Foundation*'
+    },
+    tentative: {
+      en: 'Thank you for letting us know. We have marked you as a maybe for the request at {{hospital}}.\n\nReply *YES* once you are sure, or *NO* if you cannot make it.\n\n*CallforBlood Foundation*',
+      hi: 'बताने के लिए धन्यवाद। {{hospital}} के अनुरोध के लिए हमने आपको "शायद" में रखा है।\n\nपक्का होने पर *YES* लिखें, या न आ सकें तो *NO* लिखें।\n\n*CallforBlood Foundation*'
+    },
+    declined: {
+      en: 'Thank you for letting us know. We will ask other donors to help.{{#until}}\n\nWe will not send you blood request alerts until {{until}}. Reply *RESUME* if you are available sooner.{{/until}}\n\n*CallforBlood Foundation*',
+      hi: 'बताने के लिए धन्यवाद। हम दूसरे रक्तदाताओं से मदद मांगेंगे।{{#until}}\n\n{{until}} तक हम आपको रक्त अनुरोध नहीं भेजेंगे। पहले उपलब्ध हों तो *RESUME* लिखें।{{/until}}\n\n*CallforBlood Foundation*'
+    },
+    location: {
+      en: '📍 *{{hospital}}*\n{{address}}\n\n*Contact:* {{contact}}\n{{#map}}*Map:* {{map}}\n{{/map}}\n*CallforBlood Foundation*',
+      hi: '📍 *{{hospital}}*\n{{address}}\n\n*संपर्क:* {{contact}}\n{{#map}}*नक्शा:* {{map}}\n{{/map}}\n*CallforBlood Foundation*'
+    },
+    available_again: {
+      en: 'Thank you! Your blood request alerts are back on. We will reach out as soon as someone near you needs your help.\n\n*CallforBlood Foundation*',
+      hi: 'धन्यवाद! आपके रक्त अनुरोध अलर्ट फिर से चालू हैं। आपके पास किसी को ज़रूरत होते ही हम संपर्क करेंगे।\n\n*CallforBlood Foundation*'
+    },
+    forwarded: {
+      en: 'Thank you for your message. We have passed it to our team and a coordinator will get back to you.\n\nYou can also reply *YES*, *NO*, *INFO* or *HELP*.\n\n*CallforBlood Foundation*',
+      hi: 'आपके संदेश के लिए धन्यवाद। हमने इसे अपनी टीम को भेज दिया है, एक समन्वयक आपसे संपर्क करेंगे।\n\nआप *YES*, *NO*, *INFO* या *HELP* भी लिख सकते हैं।\n\n*CallforBlood Foundation*'
+    }
+  }
+};
+
+module.exports = {
+  ReplyLexicon
+};
@@ -0,0 +1,75 @@
+/**
+ * SMS gateway routing, failover and rate card.
+ *
+ * Each destination country has an ordered list of providers. smsService
+ * tries them in turn, skipping providers that are not configured and moving
+ * providers that keep failing to the back of the list until they recover.
+ * When none of a route's providers is configured the console stub is used,
+ * as in development.
+ *
+ * Rates are per SMS segment and only used to estimate the cost of a message
+ * when the provider does not report it. Keep them in step with the price
+ * lists of the accounts in use.
+ */
+const SmsGatewaySettings = {
+  PROVIDERS: ['twilio', 'dlt', 'console'],
+
+  // Provider order by destination country; default covers everything else.
+  // Indian numbers go through the DLT gateway first: it is far cheaper and
+  // carries the registered template ID TRAI requires.
+  ROUTES: {
+    IN: ['dlt', 'twilio'],
+    default: ['twilio']
+  },
+
+  // Stand-in when none of a route's providers is configured
+  FALLBACK_PROVIDER: 'console',
+
+  // Country assumed for a 10-digit number without a calling code
+  DEFAULT_COUNTRY: 'IN',
+
+  // Calling code to country, matched longest first
+  CALLING_CODES: {
+    1: 'US',
+    44: 'GB',
+    60: 'MY',
+    61: 'AU',
+    64: 'NZ',
+    65: 'SG',
+    91: 'IN',
+    94: 'LK',
+    880: 'BD',
+    965: 'KW',
+    966: 'SA',
+    968: 'OM',
+    971: 'AE',
+    973: 'BH',
+    974: 'QA',
+    977: 'NP'
+  },
+
+  // Per segment, by provider and destination country
+  RATES: {
+    twilio: {
+      IN: { amount: 0.0832, currency: 'USD' },
+      US: { amount: 0.0083, currency: 'USD' },
+      GB: { amount: 0.0524, currency: 'USD' },
+      default: { amount: 0.09, currency: 'USD' }
+    },
+    dlt: {
+      IN: { amount: 0.18, currency: 'INR' }
+    },
+    console: {
+      default: { amount: 0, currency: 'USD' }
+    }
+  },
+
+  HEALTH: {
+    // Consecutive provider-side failures before a provider is moved to the back
+    FAILURE_THRESHOLD: 3,
+    // How long it stays there before it is tried first again
+    COOLDOWN_MINUTES: 5
+  }
+};
+
+module.exports = { SmsGatewaySettings };
@@ -0,0 +1,37 @@
+/**
+ * Support inbox settings.
+ *
+ * Inbound WhatsApp and SMS messages the bot could not act on, and contact
+ * form submissions, are threaded per person. Each unanswered thread has a
+ * response deadline from contactService.getResponseDueDate for its priority.
+ *
+ * Canned replies are ordinary templates in the message template store whose
+ * name starts with CANNED_REPLY_PREFIX: the sms channel holds the plain-text
+ * wording used for WhatsApp and SMS replies, the email channel the email one.
+ */
+const SupportInboxSettings = {
+  // Where an inbound message came from
+  INBOUND_CHANNELS: ['whatsapp', 'sms', 'contact_form'],
+  // How a coordinator can answer
+  REPLY_CHANNELS: ['whatsapp', 'sms', 'email'],
+
+  // open: waiting for us; waiting: we replied, waiting for them; closed: done
+  STATUSES: ['open', 'waiting', 'closed'],
+  PRIORITIES: ['normal', 'high', 'urgent'],
+
+  CANNED_REPLY_PREFIX: 'support_',
+  // Template store channel that holds the wording for each reply channel
+  TEMPLATE_CHANNELS: { whatsapp: 'sms', sms: 'sms', email: 'email' },
+
+  // WhatsApp only delivers free-form text this long after the person's last message
+  WHATSAPP_SESSION_HOURS: 24,
+
+  // A thread is "due soon" this close to its response deadline
+  DUE_SOON_MINUTES: 60,
+
+  // Oldest messages are dropped from a thread beyond this
+  MAX_MESSAGES: 500,
+  MAX_TEXT_LENGTH: 4096
+};
+
+module.exports = { SupportInboxSettings };
@@ -0,0 +1,112 @@
+const achievementService = require('../services/achievementService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(/not found/i.test(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+const logBadgeAction = (req, action, badge, details) => {
+  auditLogger.logUserAction({
+    userId: req.user.id,
+    userRole: req.user.role,
+    action,
+    resource: 'badge',
+    resourceId: badge._id,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    success: true,
+    metadata: {
+      key: badge.key,
+      criteria: badge.criteria,
+      isActive: badge.isActive
+    }
+  });
+};
+
+class AchievementController {
+  /**
+   * Badge catalog with how many donors earned each badge
+   */
+  async listBadges(req, res) {
+    try {
+      const badges = await achievementService.listBadges();
+
+      res.json({
+        success: true,
+        data: {
+          badges,
+          criteria: achievementService.settings.CRITERIA,
+          categories: achievementService.settings.CATEGORIES,
+          rarities: achievementService.settings.RARITIES
+        }
+      });
+    } catch (error) {
+      logger.error('Error in listBadges:', error);
+      sendError(res, error, 'Failed to load badges');
+    }
+  }
+
+  /**
+   * Add a badge to the catalog
+   */
+  async createBadge(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const badge = await achievementService.createBadge(req.body, req.user.id);
+
+      logBadgeAction(req, 'create_badge', badge, `Created badge ${badge.key}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Badge ${badge.title} created`,
+        data: { badge }
+      });
+    } catch (error) {
+      logger.error('Error in createBadge:', error);
+      sendError(res, error, 'Failed to create badge');
+    }
+  }
+
+  /**
+   * Edit or retire a badge
+   */
+  async updateBadge(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const badge = await achievementService.updateBadge(req.params.key, req.body, req.user.id);
+
+      logBadgeAction(req, 'update_badge', badge, `Updated badge ${badge.key}`);
+
+      res.json({
+        success: true,
+        message: `Badge ${badge.title} updated`,
+        data: { badge }
+      });
+    } catch (error) {
+      logger.error('Error in updateBadge:', error);
+      sendError(res, error, 'Failed to update badge');
+    }
+  }
+}
+
+module.exports = new AchievementController();
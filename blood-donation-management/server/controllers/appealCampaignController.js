@@ -0,0 +1,164 @@
+const appealCampaignService = require('../services/appealCampaignService');
+const Hospital = require('../models/Hospital');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(/not found/i.test(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+const logAppealAction = (req, action, campaign, details) => {
+  auditLogger.logUserAction({
+    userId: req.user.id,
+    userRole: req.user.role,
+    action,
+    resource: 'appeal_campaign',
+    resourceId: campaign._id,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    success: true,
+    metadata: {
+      campaignId: campaign.campaignId,
+      bloodType: campaign.bloodType,
+      status: campaign.status
+    }
+  });
+};
+
+const getHospitalForAdmin = async (adminUserId) => {
+  const hospital = await Hospital.findOne({ adminUser: adminUserId });
+  if (!hospital) {
+    throw new Error('Hospital not found');
+  }
+  return hospital;
+};
+
+class AppealCampaignController {
+  /**
+   * Appeals the logged-in donor has been invited to
+   */
+  async getMyAppeals(req, res) {
+    try {
+      const appeals = await appealCampaignService.getAppealsForDonor(req.user.id);
+
+      res.json({
+        success: true,
+        data: { appeals }
+      });
+    } catch (error) {
+      logger.error('Error in getMyAppeals:', error);
+      sendError(res, error, 'Failed to load appeals');
+    }
+  }
+
+  /**
+   * Donor books a donation slot
+   */
+  async bookSlot(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { campaign, donation } = await appealCampaignService.bookSlot(req.params.campaignId, req.user.id, req.body.slotId);
+
+      logAppealAction(req, 'book_appeal_slot', campaign, `Booked donation ${donation.donationId} for ${donation.scheduledDate.toISOString()}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Donation slot booked',
+        data: {
+          donationId: donation.donationId,
+          scheduledDate: donation.scheduledDate,
+          hospital: donation.location.hospital
+        }
+      });
+    } catch (error) {
+      logger.error('Error in bookSlot:', error);
+      sendError(res, error, 'Failed to book slot');
+    }
+  }
+
+  /**
+   * Donor cancels a booking, or declines an appeal they have not booked
+   */
+  async declineAppeal(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { campaign, invitation } = await appealCampaignService.declineAppeal(req.params.campaignId, req.user.id, req.body.reason);
+
+      logAppealAction(req, 'decline_appeal', campaign, `Appeal invitation ${invitation.status}`);
+
+      res.json({
+        success: true,
+        message: invitation.status === 'cancelled' ? 'Booking cancelled' : 'Appeal declined'
+      });
+    } catch (error) {
+      logger.error('Error in declineAppeal:', error);
+      sendError(res, error, 'Failed to update appeal');
+    }
+  }
+
+  /**
+   * Campaigns run for the admin's hospital, with bookings
+   */
+  async getHospitalAppeals(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await getHospitalForAdmin(req.user.id);
+      const campaigns = await appealCampaignService.getCampaignsForHospital(hospital, {
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.json({
+        success: true,
+        data: { campaigns }
+      });
+    } catch (error) {
+      logger.error('Error in getHospitalAppeals:', error);
+      sendError(res, error, 'Failed to load appeals');
+    }
+  }
+
+  /**
+   * Hospital stops a running campaign
+   */
+  async cancelCampaign(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await getHospitalForAdmin(req.user.id);
+      const campaign = await appealCampaignService.cancelCampaign(hospital, req.params.campaignId, req.user.id, req.body.reason);
+
+      logAppealAction(req, 'cancel_appeal_campaign', campaign, `Cancelled appeal ${campaign.campaignId}: ${req.body.reason}`);
+
+      res.json({
+        success: true,
+        message: 'Appeal cancelled'
+      });
+    } catch (error) {
+      logger.error('Error in cancelCampaign:', error);
+      sendError(res, error, 'Failed to cancel appeal');
+    }
+  }
+}
+
+module.exports = new AppealCampaignController();
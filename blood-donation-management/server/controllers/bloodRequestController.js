@@ -1,9 +1,40 @@
 const BloodRequest = require('../models/BloodRequest');
 const User = require('../models/User');
+const Hospital = require('../models/Hospital');
 const notificationService = require('../services/notificationService');
 const logger = require('../utils/logger');
 const auditLogger = require('../utils/auditLogger');
 const donorMatchingService = require('../services/donorMatchingService');
+const inventoryService = require('../services/inventoryService');
+
+/**
+ * The hospital a signed-in hospital account administers
+ */
+const findOwnHospitalId = async (user) => {
+  if (user?.role !== 'hospital') return null;
+
+  const own = await Hospital.findOne({ adminUser: user.id }).select('_id').lean();
+  return own?._id || null;
+};
+
+/**
+ * Find the registered hospital a request is for, so its staff can check donors in.
+ * Uses an explicit hospitalId or a name and pincode match.
+ */
+const resolveHospitalId = async (hospital = {}) => {
+  if (hospital.hospitalId) {
+    const exists = await Hospital.exists({ _id: hospital.hospitalId, isActive: true });
+    if (exists) return hospital.hospitalId;
+  }
+
+  const match = await Hospital.findOne({
+    name: hospital.name,
+    'address.pincode': hospital.address?.pincode,
+    isActive: true
+  }).select('_id').lean();
+
+  return match?._id;
+};
 
 /**
  * Create a new blood request
@@ -30,6 +61,10 @@ const createBloodRequest = async (req, res) => {
       });
     }
 
+    // Hospital accounts always link to their own hospital
+    const ownHospitalId = await findOwnHospitalId(req.user);
+    location.hospital.hospitalId = ownHospitalId || await resolveHospitalId(location.hospital);
+
     // Create blood request
     const bloodRequest = new BloodRequest({
       requester: {
@@ -67,16 +102,28 @@ const createBloodRequest = async (req, res) => {
 
     logger.success(`Blood request created: ${bloodRequest.requestId}`, 'BLOOD_REQUEST_CONTROLLER');
 
-    // Start donor matching process (async)
-    setImmediate(() => {
-      startDonorMatching(bloodRequest);
-    });
+    // Only the hospital's own staff can hold its stock; other requests wait for an admin to confirm them
+    const reservation = ownHospitalId
+      ? await inventoryService.reserveForRequest(bloodRequest)
+      : null;
+    const unitsReserved = reservation?.units || 0;
+
+    // Start donor matching process (async) for whatever stock does not cover
+    if (bloodRequest.getUnitShortfall() > 0) {
+      setImmediate(() => {
+        startDonorMatching(bloodRequest);
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Blood request created successfully',
+      message: unitsReserved > 0
+        ? `Blood request created successfully. ${unitsReserved} unit(s) reserved from inventory`
+        : 'Blood request created successfully',
       data: {
         requestId: bloodRequest.requestId,
+        unitsReserved,
+        inventoryReservation: reservation,
         bloodRequest: bloodRequest
       }
     });
@@ -306,6 +353,23 @@ const updateRequestStatus = async (req, res) => {
 
     await bloodRequest.save();
 
+    // An admin confirming a request lets it draw on the hospital's stock
+    if (req.user.role === 'admin' && oldStatus === 'pending' && status === 'active') {
+      await inventoryService.reserveForRequest(bloodRequest);
+    }
+
+    // Closed requests no longer need donor escalation
+    if (['fulfilled', 'expired', 'cancelled'].includes(status)) {
+      await donorMatchingService.stopMatching(requestId, `request_${status}`);
+    }
+
+    // Fulfilled requests take their reserved stock; closed ones hand it back
+    if (status === 'fulfilled') {
+      await inventoryService.issueRequestReservation(bloodRequest);
+    } else if (['expired', 'cancelled'].includes(status)) {
+      await inventoryService.releaseRequestReservation(bloodRequest, `request_${status}`);
+    }
+
     // Log status change
     auditLogger.logUserAction({
       userId: req.user.id,
@@ -382,7 +446,12 @@ const addDonorResponse = async (req, res) => {
     // Calculate distance (simplified - in production use proper geospatial calculation)
     const distance = 10; // Placeholder
 
-    await bloodRequest.addDonorResponse(req.user.id, response, distance);
+    const { committedUnits, unitsNeeded, backfill } = await donorMatchingService.recordDonorResponse(
+      bloodRequest,
+      req.user.id,
+      response,
+      distance
+    );
 
     // Log donor response
     auditLogger.logUserAction({
@@ -410,7 +479,11 @@ const addDonorResponse = async (req, res) => {
       message: 'Response recorded successfully',
       data: {
         response,
-        requestId: bloodRequest.requestId
+        requestId: bloodRequest.requestId,
+        confirmBy: bloodRequest.findCommitment(req.user.id)?.commitment?.confirmBy || null,
+        committedUnits,
+        unitsNeeded,
+        donorsBackfilled: backfill?.donorsNotified || 0
       }
     });
 
@@ -425,6 +498,80 @@ const addDonorResponse = async (req, res) => {
   }
 };
 
+/**
+ * Confirm (with ETA) or cancel the current donor's commitment
+ * @route PUT /api/v1/blood-requests/:requestId/responses/me
+ */
+const updateDonorCommitment = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { action, eta, reason } = req.body;
+
+    if (eta && (isNaN(new Date(eta).getTime()) || new Date(eta) < new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_ETA',
+        message: 'ETA must be a future date and time'
+      });
+    }
+
+    const bloodRequest = await BloodRequest.findOne({ requestId });
+    if (!bloodRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'REQUEST_NOT_FOUND',
+        message: 'Blood request not found'
+      });
+    }
+
+    const result = await donorMatchingService.updateCommitment(bloodRequest, req.user.id, action, { eta, reason });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'NO_ACTIVE_COMMITMENT',
+        message: 'You have no pending commitment for this request'
+      });
+    }
+
+    auditLogger.logUserAction({
+      userId: req.user.id,
+      userRole: req.user.role,
+      action: `donor_commitment_${action}`,
+      resource: 'blood_request',
+      resourceId: bloodRequest._id,
+      details: `Donor ${action === 'confirm' ? 'confirmed' : 'cancelled'} commitment`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      success: true,
+      metadata: { requestId, eta, reason }
+    });
+
+    logger.info(`Donor commitment ${action} for request: ${requestId}`, 'BLOOD_REQUEST_CONTROLLER');
+
+    res.status(200).json({
+      success: true,
+      message: action === 'confirm' ? 'Commitment confirmed' : 'Commitment cancelled',
+      data: {
+        requestId,
+        status: result.commitment.status,
+        commitment: result.commitment.commitment,
+        committedUnits: bloodRequest.getCommittedUnits(),
+        unitsNeeded: bloodRequest.request.unitsNeeded,
+        donorsBackfilled: result.backfill?.donorsNotified || 0
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error updating donor commitment', 'BLOOD_REQUEST_CONTROLLER', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: 'Failed to update commitment'
+    });
+  }
+};
+
 /**
  * Get active blood requests near location
  * @route GET /api/v1/blood-requests/nearby
@@ -530,6 +677,7 @@ module.exports = {
   getBloodRequests,
   updateRequestStatus,
   addDonorResponse,
+  updateDonorCommitment,
   getNearbyRequests,
   getDonorMatches
 };
\ No newline at end of file
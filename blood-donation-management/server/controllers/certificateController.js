@@ -0,0 +1,178 @@
+const certificateService = require('../services/certificateService');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const summarize = (results) => ({
+  total: results.length,
+  valid: results.filter(result => result.valid).length,
+  invalid: results.filter(result => !result.valid).length
+});
+
+class CertificateController {
+  /**
+   * Public check of one certificate, as opened from its QR code
+   */
+  async verifyCertificate(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await certificateService.verify(req.params.certificateId, req.query.s || null);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error in verifyCertificate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify certificate'
+      });
+    }
+  }
+
+  /**
+   * Public check of a batch of certificates, for institutions
+   */
+  async verifyCertificates(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const results = await certificateService.verifyMany(req.body.certificates);
+
+      logger.info(`Bulk verified ${results.length} certificates`, 'CERTIFICATES');
+
+      res.json({
+        success: true,
+        data: {
+          results,
+          summary: summarize(results)
+        }
+      });
+    } catch (error) {
+      logger.error('Error in verifyCertificates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify certificates'
+      });
+    }
+  }
+
+  /**
+   * PDF of a certificate for its donor (or an admin)
+   */
+  async downloadCertificate(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const certificateId = req.params.certificateId.toUpperCase();
+      const donation = await Donation.findOne({ 'certification.certificateId': certificateId });
+
+      if (!donation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificate not found'
+        });
+      }
+
+      if (donation.donorId.toString() !== req.user.id && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (donation.status !== 'completed') {
+        return res.status(410).json({
+          success: false,
+          message: 'This certificate has been withdrawn'
+        });
+      }
+
+      const donor = await User.findById(donation.donorId).select('name');
+      const pdf = await certificateService.renderPdf(donation, donor);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${certificateId}.pdf"`,
+        'Content-Length': pdf.length,
+        'Cache-Control': 'private, no-store'
+      });
+      res.send(pdf);
+    } catch (error) {
+      logger.error('Error in downloadCertificate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate certificate'
+      });
+    }
+  }
+
+  /**
+   * Issue the certificate of a completed donation that has none, e.g. one
+   * completed before certificates existed
+   */
+  async issueCertificate(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const donation = await Donation.findById(req.params.donationId);
+      if (!donation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Donation not found'
+        });
+      }
+
+      const result = await certificateService.issueForDonation(donation);
+      if (!result.success) {
+        return res.status(409).json(result);
+      }
+
+      if (!result.alreadyIssued) {
+        auditLogger.logUserAction({
+          userId: req.user.id,
+          userRole: req.user.role,
+          action: 'issue_certificate',
+          resource: 'donation',
+          resourceId: donation._id,
+          details: `Issued certificate ${donation.certification.certificateId} for donation ${donation.donationId}`,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          success: true
+        });
+      }
+
+      res.status(result.alreadyIssued ? 200 : 201).json({
+        success: true,
+        message: result.alreadyIssued ? 'Certificate already issued' : 'Certificate issued',
+        data: {
+          certification: donation.certification
+        }
+      });
+    } catch (error) {
+      logger.error('Error in issueCertificate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to issue certificate'
+      });
+    }
+  }
+}
+
+module.exports = new CertificateController();
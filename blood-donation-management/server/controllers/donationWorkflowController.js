@@ -0,0 +1,233 @@
+const donationWorkflowService = require('../services/donationWorkflowService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(/not found/i.test(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+class DonationWorkflowController {
+  /**
+   * Committed donors and open donations at the admin's hospital
+   */
+  async getDonorQueue(req, res) {
+    try {
+      const hospital = await donationWorkflowService.getHospitalForAdmin(req.user.id);
+      const queue = await donationWorkflowService.getDonorQueue(hospital);
+
+      res.json({
+        success: true,
+        data: queue
+      });
+    } catch (error) {
+      logger.error('Error in getDonorQueue:', error);
+      sendError(res, error, 'Failed to load donor queue');
+    }
+  }
+
+  /**
+   * Donations recorded at the admin's hospital
+   */
+  async getDonations(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await donationWorkflowService.getHospitalForAdmin(req.user.id);
+      const donations = await donationWorkflowService.getHospitalDonations(hospital, {
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.json({
+        success: true,
+        data: { donations }
+      });
+    } catch (error) {
+      logger.error('Error in getDonations:', error);
+      sendError(res, error, 'Failed to load donations');
+    }
+  }
+
+  /**
+   * Check in a donor who committed to a request
+   */
+  async checkInDonor(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await donationWorkflowService.getHospitalForAdmin(req.user.id);
+      const { donation, bloodRequest } = await donationWorkflowService.checkInDonor(
+        hospital,
+        req.params.requestId,
+        req.body.donorId,
+        req.user.id
+      );
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: 'check_in_donor',
+        resource: 'donation',
+        resourceId: donation._id,
+        details: `Checked in donor for request ${bloodRequest.requestId}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: true,
+        metadata: {
+          requestId: bloodRequest.requestId,
+          donationId: donation.donationId,
+          donorId: req.body.donorId
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Donor checked in',
+        data: { donation }
+      });
+    } catch (error) {
+      logger.error('Error in checkInDonor:', error);
+      sendError(res, error, 'Failed to check in donor');
+    }
+  }
+
+  /**
+   * Record hemoglobin, blood pressure, pulse and other vitals
+   */
+  async recordPreDonationChecks(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await donationWorkflowService.getHospitalForAdmin(req.user.id);
+      const { donation, failures, backfill } = await donationWorkflowService.recordPreDonationChecks(
+        hospital,
+        req.params.donationId,
+        req.body,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: failures.length > 0 ? 'Donor deferred at screening' : 'Screening passed, donation in progress',
+        data: {
+          donation,
+          failures,
+          donorsBackfilled: backfill?.donorsNotified || 0
+        }
+      });
+    } catch (error) {
+      logger.error('Error in recordPreDonationChecks:', error);
+      sendError(res, error, 'Failed to record pre-donation checks');
+    }
+  }
+
+  /**
+   * Mark a donation as collected
+   */
+  async completeDonation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await donationWorkflowService.getHospitalForAdmin(req.user.id);
+      const { donation, bloodRequest } = await donationWorkflowService.completeDonation(
+        hospital,
+        req.params.donationId,
+        req.body,
+        req.user.id
+      );
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: 'complete_donation',
+        resource: 'donation',
+        resourceId: donation._id,
+        details: `Recorded ${donation.unitsDonated} unit(s) from donation ${donation.donationId}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: true,
+        metadata: {
+          donationId: donation.donationId,
+          requestId: bloodRequest?.requestId,
+          requestStatus: bloodRequest?.status
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Donation recorded',
+        data: {
+          donation,
+          request: bloodRequest && {
+            requestId: bloodRequest.requestId,
+            status: bloodRequest.status,
+            unitsCollected: bloodRequest.fulfillment.unitsCollected,
+            unitsNeeded: bloodRequest.request.unitsNeeded
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error in completeDonation:', error);
+      sendError(res, error, 'Failed to complete donation');
+    }
+  }
+
+  /**
+   * Defer a donor who cannot donate today
+   */
+  async deferDonation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await donationWorkflowService.getHospitalForAdmin(req.user.id);
+      const { donation, backfill } = await donationWorkflowService.deferDonation(
+        hospital,
+        req.params.donationId,
+        req.body.reason,
+        req.user.id
+      );
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: 'defer_donation',
+        resource: 'donation',
+        resourceId: donation._id,
+        details: `Deferred donation ${donation.donationId}: ${req.body.reason}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: true
+      });
+
+      res.json({
+        success: true,
+        message: 'Donor deferred',
+        data: {
+          donation,
+          donorsBackfilled: backfill?.donorsNotified || 0
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deferDonation:', error);
+      sendError(res, error, 'Failed to defer donation');
+    }
+  }
+}
+
+module.exports = new DonationWorkflowController();
@@ -183,23 +183,24 @@ class HospitalController {
       }
 
       const { hospitalId } = req.params;
-      const { bloodType, unitsToAdd, expirationDate } = req.body;
+      const { bloodType, component, unitsToAdd, expirationDate } = req.body;
       const adminUserId = req.user.id;
 
-      const hospital = await hospitalService.updateInventory(
+      const result = await hospitalService.updateInventory(
         hospitalId,
         bloodType,
         unitsToAdd,
         new Date(expirationDate),
-        adminUserId
+        adminUserId,
+        component
       );
 
       res.json({
         success: true,
         message: 'Inventory updated successfully',
         data: {
-          inventory: hospital.inventory,
-          lastUpdated: hospital.lastInventoryUpdate
+          inventory: result.inventory,
+          lastUpdated: result.lastUpdated
         }
       });
     } catch (error) {
@@ -226,22 +227,24 @@ class HospitalController {
       }
 
       const { hospitalId } = req.params;
-      const { bloodType, unitsToConsume } = req.body;
+      const { bloodType, component, unitsToConsume, reason } = req.body;
       const adminUserId = req.user.id;
 
-      const hospital = await hospitalService.consumeInventory(
+      const result = await hospitalService.consumeInventory(
         hospitalId,
         bloodType,
         unitsToConsume,
-        adminUserId
+        adminUserId,
+        reason,
+        component
       );
 
       res.json({
         success: true,
         message: 'Inventory consumed successfully',
         data: {
-          inventory: hospital.inventory,
-          lastUpdated: hospital.lastInventoryUpdate
+          inventory: result.inventory,
+          lastUpdated: result.lastUpdated
         }
       });
     } catch (error) {
@@ -0,0 +1,129 @@
+const inboundMessageService = require('../services/inboundMessageService');
+const donorReplyService = require('../services/donorReplyService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+// Intents a reviewer can apply to the donor's latest request
+const APPLICABLE_INTENTS = ['accept', 'tentative', 'decline'];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+class InboundMessageController {
+  /**
+   * Review inbox, with pending counts per reason
+   */
+  async listMessages(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { status, channel, reason } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const [{ messages, total }, pending] = await Promise.all([
+        inboundMessageService.list({ status, channel, reason, page, limit }),
+        inboundMessageService.getPendingCounts()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          messages,
+          pending,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalCount: total
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error in listMessages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load the review inbox'
+      });
+    }
+  }
+
+  /**
+   * Resolve or dismiss a message. Resolving with accept, tentative or decline
+   * records that answer against the request the donor was last paged for.
+   */
+  async reviewMessage(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const entry = await inboundMessageService.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found'
+        });
+      }
+      if (entry.review.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Message was already ${entry.review.status}`
+        });
+      }
+
+      const { status, intent, note } = req.body;
+      let outcome = null;
+
+      if (status === 'resolved' && APPLICABLE_INTENTS.includes(intent)) {
+        outcome = await donorReplyService.applyIntent(entry.phoneNumber, intent, {
+          channel: entry.channel,
+          notes: `Reviewed ${entry.channel} message: "${entry.text.slice(0, 200)}"`
+        });
+
+        if (outcome.noOpenRequest) {
+          return res.status(409).json({
+            success: false,
+            message: 'The donor has no open request to apply this to'
+          });
+        }
+      }
+
+      await inboundMessageService.close(entry, { status, intent, note }, req.user.id);
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: status === 'resolved' ? 'resolve_inbound_message' : 'dismiss_inbound_message',
+        resource: 'inbound_message',
+        resourceId: entry._id,
+        details: `${status === 'resolved' ? 'Resolved' : 'Dismissed'} ${entry.channel} message${intent ? ` as ${intent}` : ''}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: true,
+        metadata: { channel: entry.channel, reason: entry.review.reason, intent }
+      });
+
+      res.json({
+        success: true,
+        message: outcome ? `Recorded as ${intent} for request ${outcome.bloodRequest?.requestId || ''}`.trim() : 'Message updated',
+        data: { message: entry }
+      });
+    } catch (error) {
+      logger.error('Error in reviewMessage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update the message'
+      });
+    }
+  }
+}
+
+module.exports = new InboundMessageController();
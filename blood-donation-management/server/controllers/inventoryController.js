@@ -40,7 +40,7 @@ class InventoryController {
       }
 
       const { hospitalId } = req.params;
-      const { bloodType, unitsToAdd, expirationDate } = req.body;
+      const { bloodType, component, unitsToAdd, expirationDate } = req.body;
       const adminUserId = req.user.id;
 
       const inventory = await inventoryService.updateInventory(
@@ -48,7 +48,8 @@ class InventoryController {
         bloodType,
         unitsToAdd,
         expirationDate,
-        adminUserId
+        adminUserId,
+        component
       );
 
       res.json({
@@ -80,7 +81,7 @@ class InventoryController {
       }
 
       const { hospitalId } = req.params;
-      const { bloodType, unitsToConsume, reason } = req.body;
+      const { bloodType, component, unitsToConsume, reason } = req.body;
       const adminUserId = req.user.id;
 
       const inventory = await inventoryService.consumeInventory(
@@ -88,7 +89,8 @@ class InventoryController {
         bloodType,
         unitsToConsume,
         reason,
-        adminUserId
+        adminUserId,
+        component
       );
 
       res.json({
@@ -120,14 +122,15 @@ class InventoryController {
       }
 
       const { hospitalId } = req.params;
-      const { bloodType, threshold } = req.body;
+      const { bloodType, component, threshold } = req.body;
       const adminUserId = req.user.id;
 
       const inventory = await inventoryService.setMinimumThreshold(
         hospitalId,
         bloodType,
         threshold,
-        adminUserId
+        adminUserId,
+        component
       );
 
       res.json({
@@ -172,7 +175,7 @@ class InventoryController {
    */
   async getHospitalsWithLowInventory(req, res) {
     try {
-      const { bloodType, latitude, longitude, radius } = req.query;
+      const { bloodType, component, latitude, longitude, radius } = req.query;
 
       if (!bloodType) {
         return res.status(400).json({
@@ -191,7 +194,8 @@ class InventoryController {
       const hospitals = await inventoryService.getHospitalsWithLowInventory(
         bloodType,
         location,
-        radius ? parseInt(radius) : 50000
+        radius ? parseInt(radius) : 50000,
+        component
       );
 
       res.json({
@@ -222,7 +226,7 @@ class InventoryController {
         });
       }
 
-      const { fromHospitalId, toHospitalId, bloodType, units } = req.body;
+      const { fromHospitalId, toHospitalId, bloodType, component, units } = req.body;
       const adminUserId = req.user.id;
 
       const result = await inventoryService.redistributeBlood(
@@ -230,7 +234,8 @@ class InventoryController {
         toHospitalId,
         bloodType,
         units,
-        adminUserId
+        adminUserId,
+        component
       );
 
       res.json({
@@ -277,25 +282,32 @@ class InventoryController {
    */
   async getBloodTypeAvailability(req, res) {
     try {
-      const { latitude, longitude, radius = 50000 } = req.query;
-
-      // This would typically aggregate data from all hospitals
-      // For now, returning mock data
-      const availability = {
-        'A+': { hospitals: 15, totalUnits: 245, averageUnits: 16.3 },
-        'A-': { hospitals: 12, totalUnits: 89, averageUnits: 7.4 },
-        'B+': { hospitals: 18, totalUnits: 198, averageUnits: 11.0 },
-        'B-': { hospitals: 8, totalUnits: 45, averageUnits: 5.6 },
-        'AB+': { hospitals: 10, totalUnits: 67, averageUnits: 6.7 },
-        'AB-': { hospitals: 5, totalUnits: 23, averageUnits: 4.6 },
-        'O+': { hospitals: 20, totalUnits: 312, averageUnits: 15.6 },
-        'O-': { hospitals: 14, totalUnits: 156, averageUnits: 11.1 }
-      };
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { latitude, longitude, radius = 50000, bloodType, component = 'whole_blood' } = req.query;
+      const location = latitude && longitude
+        ? { coordinates: [parseFloat(longitude), parseFloat(latitude)] }
+        : null;
+
+      const { availability, compatibility } = await inventoryService.getBloodTypeAvailability({
+        location,
+        radius: parseInt(radius),
+        bloodType,
+        component
+      });
 
       res.json({
         success: true,
         data: availability,
-        location: latitude && longitude ? { latitude, longitude, radius } : null
+        compatibility: compatibility || null,
+        location: location ? { latitude, longitude, radius } : null
       });
     } catch (error) {
       logger.error('Error in getBloodTypeAvailability:', error);
@@ -0,0 +1,190 @@
+const messageTemplateService = require('../services/messageTemplateService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(/not found/i.test(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+const logTemplateAction = (req, action, template, details) => {
+  auditLogger.logUserAction({
+    userId: req.user.id,
+    userRole: req.user.role,
+    action,
+    resource: 'message_template',
+    resourceId: template._id,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    success: true,
+    metadata: {
+      name: template.name,
+      channel: template.channel,
+      version: template.version,
+      status: template.status
+    }
+  });
+};
+
+class MessageTemplateController {
+  /**
+   * Latest version of every template
+   */
+  async listTemplates(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const templates = await messageTemplateService.listTemplates({
+        channel: req.query.channel,
+        search: req.query.search
+      });
+
+      res.json({
+        success: true,
+        data: {
+          templates,
+          languages: messageTemplateService.settings.LANGUAGES,
+          placeholderTypes: messageTemplateService.settings.PLACEHOLDER_TYPES
+        }
+      });
+    } catch (error) {
+      logger.error('Error in listTemplates:', error);
+      sendError(res, error, 'Failed to load templates');
+    }
+  }
+
+  /**
+   * Every version of one template, newest first
+   */
+  async getVersions(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const versions = await messageTemplateService.getVersions(req.params.name, req.params.channel);
+
+      res.json({
+        success: true,
+        data: { versions }
+      });
+    } catch (error) {
+      logger.error('Error in getVersions:', error);
+      sendError(res, error, 'Failed to load template versions');
+    }
+  }
+
+  /**
+   * Save a new draft version
+   */
+  async createDraft(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const template = await messageTemplateService.createDraft({
+        ...req.body,
+        name: req.params.name,
+        channel: req.params.channel
+      }, req.user.id);
+
+      logTemplateAction(req, 'create_message_template_draft', template, `Created draft ${template.channel}/${template.name} v${template.version}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Draft version ${template.version} created`,
+        data: { template }
+      });
+    } catch (error) {
+      logger.error('Error in createDraft:', error);
+      sendError(res, error, 'Failed to create draft');
+    }
+  }
+
+  /**
+   * Edit a draft version
+   */
+  async updateDraft(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { name, channel, version } = req.params;
+      const template = await messageTemplateService.updateDraft(name, channel, version, req.body, req.user.id);
+
+      logTemplateAction(req, 'update_message_template_draft', template, `Updated draft ${channel}/${name} v${version}`);
+
+      res.json({
+        success: true,
+        message: 'Draft updated',
+        data: { template }
+      });
+    } catch (error) {
+      logger.error('Error in updateDraft:', error);
+      sendError(res, error, 'Failed to update draft');
+    }
+  }
+
+  /**
+   * Render a template with example or supplied values. Previews a stored
+   * version, or an unsaved definition sent in the body.
+   */
+  async preview(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { name, channel } = req.params;
+      const { version, language, data, definition } = req.body;
+
+      const preview = definition
+        ? { name, channel, version: null, status: 'unsaved', ...messageTemplateService.previewTemplate({ ...definition, name, channel }, { language, data }) }
+        : await messageTemplateService.preview(name, channel, { version, language, data });
+
+      res.json({
+        success: true,
+        data: { preview }
+      });
+    } catch (error) {
+      logger.error('Error in preview:', error);
+      sendError(res, error, 'Failed to render preview');
+    }
+  }
+
+  /**
+   * Publish a draft, archiving the version it replaces
+   */
+  async publish(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { name, channel, version } = req.params;
+      const { template, previousVersion } = await messageTemplateService.publish(name, channel, version, req.user.id);
+
+      logTemplateAction(req, 'publish_message_template', template,
+        `Published ${channel}/${name} v${version}${previousVersion ? `, replacing v${previousVersion}` : ''}`);
+
+      res.json({
+        success: true,
+        message: `Version ${template.version} published`,
+        data: { template, previousVersion }
+      });
+    } catch (error) {
+      logger.error('Error in publish:', error);
+      sendError(res, error, 'Failed to publish template');
+    }
+  }
+}
+
+module.exports = new MessageTemplateController();
@@ -0,0 +1,113 @@
+const notificationLogService = require('../services/notificationLogService');
+const smsService = require('../services/smsService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+class NotificationLogController {
+  /**
+   * Search notification logs
+   */
+  async listLogs(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { requestId, userId, phoneNumber, channel, status, type } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const { logs, total } = await notificationLogService.listLogs({
+        requestId, userId, phoneNumber, channel, status, type, page, limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          logs,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalCount: total
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error in listLogs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load notification logs'
+      });
+    }
+  }
+
+  /**
+   * Delivery report for a blood request's alerts: who was sent, reached and read them
+   */
+  async getRequestDelivery(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const report = await notificationLogService.getRequestDeliveryReport(req.params.requestId);
+
+      res.json({
+        success: true,
+        data: { report }
+      });
+    } catch (error) {
+      logger.error('Error in getRequestDelivery:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load delivery report'
+      });
+    }
+  }
+
+  /**
+   * SMS sent and what they cost, by provider and country or by day
+   */
+  async getSmsCosts(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const report = await smsService.getCostReport({
+        startDate: req.query.startDate ? new Date(req.query.startDate) : undefined,
+        endDate: req.query.endDate ? new Date(req.query.endDate) : undefined,
+        groupBy: req.query.groupBy
+      });
+
+      res.json({
+        success: true,
+        data: { report }
+      });
+    } catch (error) {
+      logger.error('Error in getSmsCosts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load SMS costs'
+      });
+    }
+  }
+
+  /**
+   * SMS providers, their routes and health
+   */
+  async getSmsProviders(req, res) {
+    res.json({
+      success: true,
+      data: smsService.getStatus()
+    });
+  }
+}
+
+module.exports = new NotificationLogController();
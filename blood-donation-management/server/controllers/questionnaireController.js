@@ -0,0 +1,202 @@
+const questionnaireService = require('../services/questionnaireService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(/not found/i.test(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+const logQuestionnaireAction = (req, action, questionnaire, details, metadata = {}) => {
+  auditLogger.logUserAction({
+    userId: req.user.id,
+    userRole: req.user.role,
+    action,
+    resource: 'health_questionnaire',
+    resourceId: questionnaire._id,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    success: true,
+    metadata: {
+      version: questionnaire.version,
+      status: questionnaire.status,
+      ...metadata
+    }
+  });
+};
+
+class QuestionnaireController {
+  /**
+   * Every questionnaire version, newest first, without the questions
+   */
+  async listVersions(req, res) {
+    try {
+      const versions = await questionnaireService.listVersions();
+
+      res.json({
+        success: true,
+        data: {
+          versions,
+          questionTypes: questionnaireService.settings.QUESTION_TYPES,
+          outcomes: questionnaireService.settings.OUTCOMES,
+          conditionOperators: questionnaireService.settings.CONDITION_OPERATORS
+        }
+      });
+    } catch (error) {
+      logger.error('Error in listVersions:', error);
+      sendError(res, error, 'Failed to load questionnaire versions');
+    }
+  }
+
+  /**
+   * One version with its questions
+   */
+  async getVersion(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const questionnaire = await questionnaireService.getVersion(req.params.version);
+
+      res.json({
+        success: true,
+        data: { questionnaire }
+      });
+    } catch (error) {
+      logger.error('Error in getVersion:', error);
+      sendError(res, error, 'Failed to load questionnaire');
+    }
+  }
+
+  /**
+   * Save a new draft version
+   */
+  async createDraft(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const questionnaire = await questionnaireService.createDraft(req.body, req.user.id);
+
+      logQuestionnaireAction(req, 'create_questionnaire_draft', questionnaire, `Created questionnaire draft v${questionnaire.version}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Draft version ${questionnaire.version} created`,
+        data: { questionnaire }
+      });
+    } catch (error) {
+      logger.error('Error in createDraft:', error);
+      sendError(res, error, 'Failed to create draft');
+    }
+  }
+
+  /**
+   * Edit a draft version
+   */
+  async updateDraft(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const questionnaire = await questionnaireService.updateDraft(req.params.version, req.body, req.user.id);
+
+      logQuestionnaireAction(req, 'update_questionnaire_draft', questionnaire, `Updated questionnaire draft v${questionnaire.version}`);
+
+      res.json({
+        success: true,
+        message: 'Draft updated',
+        data: { questionnaire }
+      });
+    } catch (error) {
+      logger.error('Error in updateDraft:', error);
+      sendError(res, error, 'Failed to update draft');
+    }
+  }
+
+  /**
+   * Screen sample answers against a stored version or an unsaved
+   * definition, without saving anything
+   */
+  async preview(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { version, definition: unsaved, answers: rawAnswers, answeredAt: answeredAtValue } = req.body;
+
+      let definition = unsaved;
+      if (definition) {
+        const { errors } = questionnaireService.validateDefinition(definition);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid questionnaire: ${errors.join('; ')}`
+          });
+        }
+      } else {
+        definition = await questionnaireService.getVersion(version);
+      }
+
+      const answeredAt = answeredAtValue ? new Date(answeredAtValue) : new Date();
+      const { answers, errors } = questionnaireService.normalizeAnswers(definition, rawAnswers, answeredAt);
+      const screening = errors.length === 0
+        ? questionnaireService.screen(definition, answers, answeredAt)
+        : null;
+
+      res.json({
+        success: true,
+        data: {
+          version: definition.version || null,
+          answers,
+          errors,
+          screening
+        }
+      });
+    } catch (error) {
+      logger.error('Error in preview:', error);
+      sendError(res, error, 'Failed to preview screening');
+    }
+  }
+
+  /**
+   * Publish a draft, archiving the version it replaces and prompting
+   * affected donors to answer again when the draft asks for it
+   */
+  async publish(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { questionnaire, previousVersion, promptedDonors } = await questionnaireService.publish(req.params.version, req.user.id);
+
+      logQuestionnaireAction(req, 'publish_questionnaire', questionnaire,
+        `Published questionnaire v${questionnaire.version}${previousVersion ? `, replacing v${previousVersion}` : ''}`,
+        { previousVersion, promptedDonors });
+
+      res.json({
+        success: true,
+        message: promptedDonors > 0
+          ? `Version ${questionnaire.version} published; ${promptedDonors} donors asked to answer again`
+          : `Version ${questionnaire.version} published`,
+        data: { questionnaire, previousVersion, promptedDonors }
+      });
+    } catch (error) {
+      logger.error('Error in publish:', error);
+      sendError(res, error, 'Failed to publish questionnaire');
+    }
+  }
+}
+
+module.exports = new QuestionnaireController();
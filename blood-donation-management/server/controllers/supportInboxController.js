@@ -0,0 +1,261 @@
+const supportInboxService = require('../services/supportInboxService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+class SupportInboxController {
+  /**
+   * Threads with inbox totals
+   */
+  async listThreads(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { status, priority } = req.query;
+      const assignedTo = req.query.assignedTo === 'me' ? req.user.id : req.query.assignedTo;
+      const overdue = req.query.overdue === 'true';
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const [{ threads, total }, counts] = await Promise.all([
+        supportInboxService.list({ status, assignedTo, priority, overdue, page, limit }),
+        supportInboxService.getCounts(req.user.id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          threads,
+          counts,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalCount: total
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error in listThreads:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load the support inbox'
+      });
+    }
+  }
+
+  /**
+   * One thread with all its messages
+   */
+  async getThread(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const thread = await supportInboxService.get(req.params.id);
+      if (!thread) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { thread }
+      });
+    } catch (error) {
+      logger.error('Error in getThread:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load the thread'
+      });
+    }
+  }
+
+  /**
+   * Admins threads can be assigned to
+   */
+  async listCoordinators(req, res) {
+    try {
+      const coordinators = await supportInboxService.listCoordinators();
+
+      res.json({
+        success: true,
+        data: { coordinators }
+      });
+    } catch (error) {
+      logger.error('Error in listCoordinators:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load coordinators'
+      });
+    }
+  }
+
+  /**
+   * Published canned replies for a reply channel
+   */
+  async listCannedReplies(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const replies = await supportInboxService.getCannedReplies(req.query.channel);
+
+      res.json({
+        success: true,
+        data: { replies }
+      });
+    } catch (error) {
+      logger.error('Error in listCannedReplies:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load canned replies'
+      });
+    }
+  }
+
+  /**
+   * Assign, reprioritise, close or reopen a thread
+   */
+  async updateThread(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const thread = await supportInboxService.get(req.params.id);
+      if (!thread) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+
+      const { status, priority } = req.body;
+      let { assignedTo } = req.body;
+
+      if (assignedTo) {
+        const coordinator = await supportInboxService.findCoordinator(assignedTo);
+        if (!coordinator) {
+          return res.status(400).json({
+            success: false,
+            message: 'Threads can only be assigned to an admin'
+          });
+        }
+        assignedTo = coordinator._id;
+      }
+
+      await supportInboxService.update(thread, { assignedTo, status, priority });
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: 'update_support_thread',
+        resource: 'support_thread',
+        resourceId: thread._id,
+        details: `Updated support thread${assignedTo !== undefined ? `, assigned to ${assignedTo || 'nobody'}` : ''}${status ? `, status ${status}` : ''}${priority ? `, priority ${priority}` : ''}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: true,
+        metadata: { assignedTo, status, priority }
+      });
+
+      res.json({
+        success: true,
+        message: 'Thread updated',
+        data: { thread: await supportInboxService.get(thread._id) }
+      });
+    } catch (error) {
+      logger.error('Error in updateThread:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update the thread'
+      });
+    }
+  }
+
+  /**
+   * Reply on WhatsApp, SMS or email, typed or from a canned reply
+   */
+  async replyToThread(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const thread = await supportInboxService.get(req.params.id);
+      if (!thread) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+
+      const { channel, text, template, language } = req.body;
+
+      const blocker = await supportInboxService.getReplyBlocker(thread, channel);
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: blocker
+        });
+      }
+
+      let reply = { channel, text };
+      if (template) {
+        try {
+          reply = { channel, ...await supportInboxService.renderCannedReply(thread, { channel, template, language }, req.user.name) };
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: error.message
+          });
+        }
+      }
+
+      const result = await supportInboxService.reply(thread, reply, req.user.id);
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: 'reply_support_thread',
+        resource: 'support_thread',
+        resourceId: thread._id,
+        details: `Replied to support thread by ${channel}${template ? ` with ${template}` : ''}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: result.sent,
+        metadata: { channel, template, error: result.error }
+      });
+
+      if (!result.sent) {
+        return res.status(502).json({
+          success: false,
+          message: `Reply could not be sent: ${result.error}`,
+          data: { thread: await supportInboxService.get(thread._id) }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reply sent',
+        data: { thread: await supportInboxService.get(thread._id) }
+      });
+    } catch (error) {
+      logger.error('Error in replyToThread:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send the reply'
+      });
+    }
+  }
+}
+
+module.exports = new SupportInboxController();
@@ -0,0 +1,213 @@
+const transferOrderService = require('../services/transferOrderService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(/not found/i.test(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+const logTransferAction = (req, action, order, details) => {
+  auditLogger.logUserAction({
+    userId: req.user.id,
+    userRole: req.user.role,
+    action,
+    resource: 'transfer_order',
+    resourceId: order._id,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    success: true,
+    metadata: {
+      orderId: order.orderId,
+      bloodType: order.bloodType,
+      component: order.component,
+      units: order.units,
+      status: order.status
+    }
+  });
+};
+
+class TransferOrderController {
+  /**
+   * Transfer orders raised by or sent to the admin's hospital
+   */
+  async getOrders(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await transferOrderService.getHospitalForAdmin(req.user.id);
+      const orders = await transferOrderService.getOrdersForHospital(hospital, {
+        direction: req.query.direction,
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.json({
+        success: true,
+        data: { orders }
+      });
+    } catch (error) {
+      logger.error('Error in getOrders:', error);
+      sendError(res, error, 'Failed to load transfer orders');
+    }
+  }
+
+  /**
+   * Single transfer order with its history
+   */
+  async getOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await transferOrderService.getHospitalForAdmin(req.user.id);
+      const order = await transferOrderService.getOrder(hospital, req.params.orderId);
+      await order.populate([
+        { path: 'fromHospital', select: 'name address.city' },
+        { path: 'toHospital', select: 'name address.city' }
+      ]);
+
+      res.json({
+        success: true,
+        data: { order }
+      });
+    } catch (error) {
+      logger.error('Error in getOrder:', error);
+      sendError(res, error, 'Failed to load transfer order');
+    }
+  }
+
+  /**
+   * Ask another hospital for blood
+   */
+  async createOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await transferOrderService.getHospitalForAdmin(req.user.id);
+      const order = await transferOrderService.createOrder(hospital, req.body, req.user.id);
+
+      logTransferAction(req, 'create_transfer_order', order, `Requested ${order.units} ${order.bloodType} units`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Transfer order created',
+        data: { order }
+      });
+    } catch (error) {
+      logger.error('Error in createOrder:', error);
+      sendError(res, error, 'Failed to create transfer order');
+    }
+  }
+
+  /**
+   * Supplier approves and dispatches an order
+   */
+  async approveOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await transferOrderService.getHospitalForAdmin(req.user.id);
+      const order = await transferOrderService.approveOrder(hospital, req.params.orderId, req.user.id, req.body.note);
+
+      logTransferAction(req, 'approve_transfer_order', order, `Dispatched transfer ${order.orderId}`);
+
+      res.json({
+        success: true,
+        message: 'Transfer approved and dispatched',
+        data: { order }
+      });
+    } catch (error) {
+      logger.error('Error in approveOrder:', error);
+      sendError(res, error, 'Failed to approve transfer order');
+    }
+  }
+
+  /**
+   * Supplier declines an order
+   */
+  async rejectOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await transferOrderService.getHospitalForAdmin(req.user.id);
+      const order = await transferOrderService.rejectOrder(hospital, req.params.orderId, req.user.id, req.body.reason);
+
+      logTransferAction(req, 'reject_transfer_order', order, `Rejected transfer ${order.orderId}: ${req.body.reason}`);
+
+      res.json({
+        success: true,
+        message: 'Transfer order rejected',
+        data: { order }
+      });
+    } catch (error) {
+      logger.error('Error in rejectOrder:', error);
+      sendError(res, error, 'Failed to reject transfer order');
+    }
+  }
+
+  /**
+   * Requester withdraws an order
+   */
+  async cancelOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await transferOrderService.getHospitalForAdmin(req.user.id);
+      const order = await transferOrderService.cancelOrder(hospital, req.params.orderId, req.user.id, req.body.reason);
+
+      logTransferAction(req, 'cancel_transfer_order', order, `Cancelled transfer ${order.orderId}: ${req.body.reason}`);
+
+      res.json({
+        success: true,
+        message: 'Transfer order cancelled',
+        data: { order }
+      });
+    } catch (error) {
+      logger.error('Error in cancelOrder:', error);
+      sendError(res, error, 'Failed to cancel transfer order');
+    }
+  }
+
+  /**
+   * Requester confirms the blood arrived, with cold-chain details
+   */
+  async confirmReceipt(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const hospital = await transferOrderService.getHospitalForAdmin(req.user.id);
+      const order = await transferOrderService.confirmReceipt(hospital, req.params.orderId, req.body, req.user.id);
+
+      logTransferAction(req, 'receive_transfer_order', order, `Received transfer ${order.orderId}, ${order.receipt.unitsAccepted} units accepted`);
+
+      res.json({
+        success: true,
+        message: order.receipt.unitsAccepted > 0
+          ? 'Transfer received and added to inventory'
+          : 'Transfer received; units discarded because the cold chain was broken',
+        data: { order }
+      });
+    } catch (error) {
+      logger.error('Error in confirmReceipt:', error);
+      sendError(res, error, 'Failed to confirm receipt');
+    }
+  }
+}
+
+module.exports = new TransferOrderController();
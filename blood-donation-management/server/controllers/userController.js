@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const otpService = require('../services/otpService');
 const whatsappService = require('../services/whatsappService');
+const eligibilityService = require('../services/eligibilityService');
 const encryptionService = require('../utils/encryption');
 const auditLogger = require('../utils/auditLogger');
 const logger = require('../utils/logger');
@@ -82,6 +83,13 @@ const registerUser = async (req, res) => {
     // Save user
     const savedUser = await newUser.save();
 
+    // A last donation date given at sign-up defers the donor straight away
+    try {
+      await eligibilityService.refreshDonorEligibility(savedUser);
+    } catch (eligibilityError) {
+      logger.error('Failed to evaluate eligibility for new user', 'USER_CONTROLLER', eligibilityError);
+    }
+
     // Log user registration
     auditLogger.logUserAction({
       userId: savedUser._id.toString(),
@@ -267,6 +275,16 @@ const updateUserProfile = async (req, res) => {
       }
     );
 
+    // Donor matching reads the stored snapshot, so profile answers it depends on refresh it
+    const eligibilityFields = ['medicalInfo', 'dateOfBirth', 'weight'];
+    if (updatedUser && updatedFields.some(field => eligibilityFields.includes(field.split('.')[0]))) {
+      try {
+        await eligibilityService.refreshDonorEligibility(updatedUser);
+      } catch (eligibilityError) {
+        logger.error('Failed to refresh eligibility after profile update', 'USER_CONTROLLER', eligibilityError);
+      }
+    }
+
     // Log profile update
     auditLogger.logDataAccess({
       userId: req.user?.id || userId,
@@ -417,6 +435,9 @@ const getUserStats = async (req, res) => {
       });
     }
 
+    // Read only: the stored snapshot is refreshed when donations, screening or the profile change
+    const eligibility = await eligibilityService.evaluateDonor(user);
+
     const stats = {
       profile: {
         completionPercentage: calculateProfileCompletion(user),
@@ -427,8 +448,10 @@ const getUserStats = async (req, res) => {
       eligibility: {
         canDonate: user.isEligibleForDonation,
         lastDonationDate: user.medicalInfo.lastDonationDate,
-        nextEligibleDate: user.medicalInfo.lastDonationDate ? 
-          new Date(user.medicalInfo.lastDonationDate.getTime() + (90 * 24 * 60 * 60 * 1000)) : null
+        nextEligibleDate: eligibility.nextEligibleDate,
+        deferredIndefinitely: eligibility.deferredIndefinitely,
+        reasons: eligibility.reasons,
+        byDonationType: eligibility.byDonationType
       },
       activity: {
         lastActiveAt: user.stats.lastActiveAt,
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const auditLogger = require('../utils/auditLogger');
+const sessionService = require('../services/sessionService');
 
 /**
  * Authentication middleware
@@ -52,7 +53,12 @@ const auth = async (req, res, next) => {
         userId: decoded.userId || decoded.id,
         role: decoded.role
       });
-      
+
+      // Refresh tokens share the signing secret but only work at /auth/refresh
+      if (decoded.type === 'refresh') {
+        throw new Error('Refresh token used as access token');
+      }
+
       // Get user from database
       const userId = decoded.userId || decoded.id; // Support both formats
       const user = await User.findById(userId)
@@ -98,12 +104,29 @@ const auth = async (req, res, next) => {
         status: user.status
       });
 
+      // Tokens are only as good as their session: logout and revocation end it
+      const session = decoded.sid
+        ? await sessionService.validateSession(decoded.sid, user._id, req)
+        : null;
+
+      if (!session) {
+        logger.warn(`❌ Token for ended or unknown session: ${decoded.sid || 'none'}`, 'AUTH_MIDDLEWARE', {
+          userId: user._id
+        });
+        return res.status(401).json({
+          success: false,
+          error: 'SESSION_REVOKED',
+          message: 'Access denied. Session has ended, please log in again.'
+        });
+      }
+
       // Attach user to request
       req.user = {
         ...user,
         id: user._id.toString() // Ensure consistent ID format
       };
       req.token = token;
+      req.sessionId = session.sessionId;
 
       // Log successful authentication
       logger.debug('🎉 User authenticated successfully', 'AUTH_MIDDLEWARE', {
@@ -175,13 +198,26 @@ const optionalAuth = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id)
+      if (decoded.type === 'refresh') {
+        return next();
+      }
+
+      const user = await User.findById(decoded.userId || decoded.id)
         .select('-password')
         .lean();
 
-      if (user && user.status === 'active') {
-        req.user = user;
+      // Same session rule as auth: a token from an ended session identifies nobody
+      const session = user && user.status === 'active' && decoded.sid
+        ? await sessionService.validateSession(decoded.sid, user._id, req)
+        : null;
+
+      if (session) {
+        req.user = {
+          ...user,
+          id: user._id.toString()
+        };
         req.token = token;
+        req.sessionId = session.sessionId;
       }
     } catch (tokenError) {
       // Invalid token, but continue without user
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const appealCampaignSchema = new mongoose.Schema({
+  campaignId: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function() {
+      return 'AP' + Date.now() + Math.random().toString(36).substr(2, 4).toUpperCase();
+    }
+  },
+
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  bloodType: {
+    type: String,
+    required: true,
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+  },
+
+  // Stock picture that started the campaign
+  trigger: {
+    source: {
+      type: String,
+      enum: ['low_stock', 'forecast', 'manual'],
+      default: 'low_stock'
+    },
+    unitsAvailable: { type: Number },
+    minimumThreshold: { type: Number },
+    projectedStockOutDate: { type: Date }
+  },
+
+  unitsTarget: {
+    type: Number,
+    required: true,
+    min: [1, 'Campaign must target at least 1 unit'],
+    max: [200, 'Campaign cannot target more than 200 units']
+  },
+  radiusKm: { type: Number, default: 15 },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  startsAt: { type: Date, default: Date.now },
+  endsAt: { type: Date, required: true },
+
+  // Donation sessions donors can book into
+  slots: [{
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    capacity: { type: Number, required: true, min: 1 },
+    booked: { type: Number, default: 0 }
+  }],
+
+  invitations: [{
+    donor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'booked', 'donated', 'declined', 'cancelled', 'skipped', 'failed'],
+      default: 'queued'
+    },
+    // Held back until quiet hours end
+    sendAfter: { type: Date, default: Date.now },
+    sentAt: { type: Date },
+    channel: { type: String },
+    slot: { type: mongoose.Schema.Types.ObjectId },
+    donation: { type: mongoose.Schema.Types.ObjectId, ref: 'Donation' },
+    bookedAt: { type: Date },
+    respondedAt: { type: Date },
+    note: { type: String, trim: true, maxlength: 200 }
+  }],
+
+  unitsBooked: { type: Number, default: 0 },
+  unitsCollected: { type: Number, default: 0 },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedAt: { type: Date },
+  closeReason: { type: String, trim: true, maxlength: 500 }
+}, {
+  timestamps: true
+});
+
+appealCampaignSchema.index({ hospital: 1, bloodType: 1, status: 1 });
+appealCampaignSchema.index({ status: 1, endsAt: 1 });
+appealCampaignSchema.index({ 'invitations.donor': 1, 'invitations.sentAt': -1 });
+appealCampaignSchema.index({ status: 1, 'invitations.status': 1, 'invitations.sendAfter': 1 });
+
+appealCampaignSchema.virtual('isFullyBooked').get(function() {
+  return this.unitsBooked >= this.unitsTarget;
+});
+
+appealCampaignSchema.statics.findActive = function(hospitalId, bloodType) {
+  return this.findOne({ hospital: hospitalId, bloodType, status: 'active' });
+};
+
+appealCampaignSchema.methods.findInvitation = function(donorId) {
+  return this.invitations.find(invitation => invitation.donor.toString() === donorId.toString());
+};
+
+// Slots that have not started and still have room
+appealCampaignSchema.methods.getOpenSlots = function(asOf = new Date()) {
+  return this.slots.filter(slot => slot.start > asOf && slot.booked < slot.capacity);
+};
+
+const AppealCampaign = mongoose.model('AppealCampaign', appealCampaignSchema);
+
+module.exports = AppealCampaign;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { AchievementSettings } = require('../config/achievements');
+
+const badgeSchema = new mongoose.Schema({
+  // Stable identifier; titles can be edited
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[a-z][a-z0-9_]{0,63}$/
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  icon: {
+    type: String,
+    default: '🏅'
+  },
+  category: {
+    type: String,
+    enum: AchievementSettings.CATEGORIES,
+    default: 'special'
+  },
+  rarity: {
+    type: String,
+    enum: AchievementSettings.RARITIES,
+    default: 'common'
+  },
+  points: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  criteria: {
+    type: {
+      type: String,
+      enum: Object.keys(AchievementSettings.CRITERIA),
+      required: true
+    },
+    threshold: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Overrides of the criterion's default parameters
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  // Retired badges are no longer awarded; donors keep the ones they earned
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+badgeSchema.index({ isActive: 1, sortOrder: 1 });
+
+const Badge = mongoose.model('Badge', badgeSchema);
+
+module.exports = Badge;
@@ -1,13 +1,20 @@
 const mongoose = require('mongoose');
+const { BLOOD_COMPONENTS } = require('../../shared/constants/bloodCompatibility');
 
 const bloodInventorySchema = new mongoose.Schema({
-  // Institution Reference
-  institution: {
+  // Facility holding the stock: a registered hospital or a partner institution
+  facility: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Institution',
-    required: [true, 'Institution reference is required'],
+    refPath: 'facilityModel',
+    required: [true, 'Facility reference is required'],
     index: true
   },
+  facilityModel: {
+    type: String,
+    enum: ['Hospital', 'Institution'],
+    required: true,
+    default: 'Hospital'
+  },
 
   // Blood Type Information
   bloodType: {
@@ -16,8 +23,16 @@ const bloodInventorySchema = new mongoose.Schema({
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
     index: true
   },
+  // Each component is stocked separately; one unit of platelets cannot stand in for red cells
+  component: {
+    type: String,
+    required: true,
+    enum: Object.values(BLOOD_COMPONENTS),
+    default: BLOOD_COMPONENTS.WHOLE_BLOOD,
+    index: true
+  },
 
-  // Inventory Details
+  // Inventory Details, derived from batches on save
   totalUnits: {
     type: Number,
     required: [true, 'Total units is required'],
@@ -40,18 +55,24 @@ const bloodInventorySchema = new mongoose.Schema({
     min: [0, 'Expired units cannot be negative'],
     default: 0
   },
+  // Dispatched on a transfer order but not yet received
+  inTransitUnits: {
+    type: Number,
+    min: [0, 'In-transit units cannot be negative'],
+    default: 0
+  },
 
   // Thresholds and Alerts
   minimumThreshold: {
     type: Number,
     required: [true, 'Minimum threshold is required'],
-    min: [1, 'Minimum threshold must be at least 1'],
+    min: [0, 'Minimum threshold cannot be negative'],
     default: 10
   },
   criticalThreshold: {
     type: Number,
     required: [true, 'Critical threshold is required'],
-    min: [1, 'Critical threshold must be at least 1'],
+    min: [0, 'Critical threshold cannot be negative'],
     default: 5
   },
 
@@ -94,13 +115,26 @@ const bloodInventorySchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['available', 'reserved', 'used', 'expired', 'discarded'],
+      enum: ['available', 'reserved', 'in_transit', 'used', 'expired', 'discarded'],
       default: 'available'
     },
     reservedFor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'BloodRequest'
     },
+    transferOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TransferOrder'
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'donation', 'transfer', 'migration'],
+      default: 'manual'
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
     usedDate: Date,
     notes: String
   }],
@@ -149,7 +183,8 @@ const bloodInventorySchema = new mongoose.Schema({
 });
 
 // Compound indexes for better query performance
-bloodInventorySchema.index({ institution: 1, bloodType: 1 }, { unique: true });
+bloodInventorySchema.index({ facility: 1, bloodType: 1, component: 1 }, { unique: true });
+bloodInventorySchema.index({ facilityModel: 1, status: 1 });
 bloodInventorySchema.index({ status: 1, bloodType: 1 });
 bloodInventorySchema.index({ 'batches.expiryDate': 1 });
 bloodInventorySchema.index({ 'batches.status': 1 });
@@ -184,8 +219,18 @@ bloodInventorySchema.virtual('oldestBatch').get(function() {
   return availableBatches.length > 0 ? availableBatches[0] : null;
 });
 
-// Pre-save middleware to update status
+// Pre-save middleware to derive unit counts from batches and update status
 bloodInventorySchema.pre('save', function(next) {
+  const unitsWithStatus = (status) => this.batches
+    .filter(batch => batch.status === status)
+    .reduce((sum, batch) => sum + batch.units, 0);
+
+  this.availableUnits = unitsWithStatus('available');
+  this.reservedUnits = unitsWithStatus('reserved');
+  this.expiredUnits = unitsWithStatus('expired');
+  this.inTransitUnits = unitsWithStatus('in_transit');
+  this.totalUnits = this.availableUnits + this.reservedUnits + this.expiredUnits;
+
   // Update status based on available units
   if (this.availableUnits === 0) {
     this.status = 'out_of_stock';
@@ -198,51 +243,44 @@ bloodInventorySchema.pre('save', function(next) {
   }
 
   // Update stats timestamp
-  if (this.isModified('availableUnits') || this.isModified('totalUnits')) {
+  if (this.isModified('batches') || this.isModified('minimumThreshold')) {
     this.stats.lastUpdated = new Date();
   }
 
-  // Validate that available + reserved + expired <= total
-  const accountedUnits = this.availableUnits + this.reservedUnits + this.expiredUnits;
-  if (accountedUnits > this.totalUnits) {
-    return next(new Error('Available + Reserved + Expired units cannot exceed total units'));
-  }
-
   next();
 });
 
 // Static methods
-bloodInventorySchema.statics.findLowStock = function(institutionId = null) {
+bloodInventorySchema.statics.findLowStock = function(facilityId = null) {
   const query = {
     status: { $in: ['low', 'critical', 'out_of_stock'] }
   };
   
-  if (institutionId) {
-    query.institution = institutionId;
+  if (facilityId) {
+    query.facility = facilityId;
   }
   
-  return this.find(query).populate('institution', 'name type address.city');
+  return this.find(query).populate('facility', 'name type address.city');
 };
 
-bloodInventorySchema.statics.findExpiringSoon = function(days = 7, institutionId = null) {
+bloodInventorySchema.statics.findExpiringSoon = function(days = 7, facilityId = null) {
   const expiryDate = new Date();
   expiryDate.setDate(expiryDate.getDate() + days);
   
   const query = {
-    'batches.expiryDate': { $lte: expiryDate },
-    'batches.status': 'available'
+    batches: { $elemMatch: { status: 'available', expiryDate: { $lte: expiryDate } } }
   };
   
-  if (institutionId) {
-    query.institution = institutionId;
+  if (facilityId) {
+    query.facility = facilityId;
   }
   
-  return this.find(query).populate('institution', 'name type address.city');
+  return this.find(query).populate('facility', 'name type address.city');
 };
 
-bloodInventorySchema.statics.getInventorySummary = function(institutionId) {
+bloodInventorySchema.statics.getInventorySummary = function(facilityId) {
   return this.aggregate([
-    { $match: { institution: mongoose.Types.ObjectId(institutionId) } },
+    { $match: { facility: new mongoose.Types.ObjectId(facilityId) } },
     {
       $group: {
         _id: null,
@@ -250,12 +288,28 @@ bloodInventorySchema.statics.getInventorySummary = function(institutionId) {
         availableUnits: { $sum: '$availableUnits' },
         reservedUnits: { $sum: '$reservedUnits' },
         expiredUnits: { $sum: '$expiredUnits' },
-        bloodTypes: { $push: { type: '$bloodType', available: '$availableUnits', status: '$status' } }
+        bloodTypes: { $push: { type: '$bloodType', component: '$component', available: '$availableUnits', status: '$status' } }
       }
     }
   ]);
 };
 
+// Stock record for one blood type and component at a facility, created empty on first use
+bloodInventorySchema.statics.findOrCreate = async function(facilityId, bloodType, component = BLOOD_COMPONENTS.WHOLE_BLOOD, facilityModel = 'Hospital') {
+  const existing = await this.findOne({ facility: facilityId, bloodType, component });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ facility: facilityId, facilityModel, bloodType, component });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return this.findOne({ facility: facilityId, bloodType, component });
+    }
+    throw error;
+  }
+};
+
 // Instance methods
 bloodInventorySchema.methods.addBatch = function(batchData) {
   const batch = {
@@ -264,115 +318,143 @@ bloodInventorySchema.methods.addBatch = function(batchData) {
     units: batchData.units,
     collectionDate: batchData.collectionDate || new Date(),
     expiryDate: batchData.expiryDate,
-    status: 'available'
+    status: batchData.status || 'available',
+    source: batchData.source || 'manual',
+    notes: batchData.notes
   };
   
   this.batches.push(batch);
-  this.totalUnits += batch.units;
-  this.availableUnits += batch.units;
   this.stats.totalReceived += batch.units;
   
   return this.save();
 };
 
-bloodInventorySchema.methods.reserveUnits = function(units, requestId) {
+// Take units from available batches, earliest expiry first, splitting a batch when needed.
+// Returns the batches that now hold the taken units.
+bloodInventorySchema.methods.takeAvailableUnits = function(units, status, fields = {}) {
   if (this.availableUnits < units) {
     throw new Error('Insufficient available units');
   }
-  
-  // Find available batches (FIFO - First In, First Out)
+
   const availableBatches = this.batches
     .filter(batch => batch.status === 'available')
-    .sort((a, b) => a.collectionDate - b.collectionDate);
-  
-  let unitsToReserve = units;
-  const reservedBatches = [];
-  
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+
+  let remaining = units;
+  const taken = [];
+
   for (const batch of availableBatches) {
-    if (unitsToReserve <= 0) break;
-    
-    const unitsFromBatch = Math.min(batch.units, unitsToReserve);
-    
+    if (remaining <= 0) break;
+
+    const unitsFromBatch = Math.min(batch.units, remaining);
+
     if (unitsFromBatch === batch.units) {
-      // Reserve entire batch
-      batch.status = 'reserved';
-      batch.reservedFor = requestId;
-      reservedBatches.push({ batchId: batch.batchId, units: unitsFromBatch });
+      Object.assign(batch, { status, ...fields });
+      taken.push(batch);
     } else {
-      // Split batch
-      const newBatch = {
-        batchId: `${batch.batchId}_SPLIT_${Date.now()}`,
+      batch.units -= unitsFromBatch;
+      this.batches.push({
+        batchId: `${batch.batchId}_SPLIT_${Date.now()}_${taken.length}`,
         donationId: batch.donationId,
         units: unitsFromBatch,
         collectionDate: batch.collectionDate,
         expiryDate: batch.expiryDate,
-        status: 'reserved',
-        reservedFor: requestId
-      };
-      
-      batch.units -= unitsFromBatch;
-      this.batches.push(newBatch);
-      reservedBatches.push({ batchId: newBatch.batchId, units: unitsFromBatch });
+        source: batch.source,
+        receivedAt: batch.receivedAt,
+        status,
+        ...fields
+      });
+      taken.push(this.batches[this.batches.length - 1]);
     }
-    
-    unitsToReserve -= unitsFromBatch;
+
+    remaining -= unitsFromBatch;
   }
-  
-  this.availableUnits -= units;
-  this.reservedUnits += units;
-  
-  return this.save().then(() => reservedBatches);
+
+  return taken;
 };
 
-bloodInventorySchema.methods.issueUnits = function(units, requestId) {
-  // Find reserved batches for this request
-  const reservedBatches = this.batches.filter(batch => 
-    batch.status === 'reserved' && 
-    batch.reservedFor && 
-    batch.reservedFor.toString() === requestId.toString()
-  );
-  
-  let unitsToIssue = units;
-  const issuedBatches = [];
-  
-  for (const batch of reservedBatches) {
-    if (unitsToIssue <= 0) break;
-    
-    const unitsFromBatch = Math.min(batch.units, unitsToIssue);
-    
+// Units leaving stock outside a reservation (transfusion, disposal, transfer out)
+bloodInventorySchema.methods.consumeUnits = async function(units, notes) {
+  const usedBatches = this.takeAvailableUnits(units, 'used', { usedDate: new Date(), notes });
+  this.stats.totalIssued += units;
+
+  await this.save();
+  return usedBatches;
+};
+
+// Hold units for a blood request, earliest expiry first
+bloodInventorySchema.methods.reserveUnits = async function(units, requestId) {
+  const reservedBatches = this.takeAvailableUnits(units, 'reserved', { reservedFor: requestId });
+
+  await this.save();
+  return reservedBatches;
+};
+
+const isReservedFor = (batch, requestId) =>
+  batch.status === 'reserved' &&
+  batch.reservedFor &&
+  batch.reservedFor.toString() === requestId.toString();
+
+// Put a request's reserved units back on the shelf; units that expired meanwhile are written off
+bloodInventorySchema.methods.releaseReservation = async function(requestId) {
+  const now = new Date();
+  let releasedUnits = 0;
+
+  this.batches.filter(batch => isReservedFor(batch, requestId)).forEach(batch => {
+    batch.reservedFor = undefined;
+
+    if (batch.expiryDate <= now) {
+      batch.status = 'expired';
+      this.stats.totalExpired += batch.units;
+    } else {
+      batch.status = 'available';
+      releasedUnits += batch.units;
+    }
+  });
+
+  await this.save();
+  return releasedUnits;
+};
+
+// Hand over every unit reserved for a request
+bloodInventorySchema.methods.issueUnits = async function(requestId) {
+  const issuedBatches = this.batches.filter(batch => isReservedFor(batch, requestId));
+  const issuedUnits = issuedBatches.reduce((sum, batch) => sum + batch.units, 0);
+
+  issuedBatches.forEach(batch => {
     batch.status = 'used';
     batch.usedDate = new Date();
-    issuedBatches.push({ batchId: batch.batchId, units: unitsFromBatch });
-    
-    unitsToIssue -= unitsFromBatch;
-  }
-  
-  this.reservedUnits -= units;
-  this.totalUnits -= units;
-  this.stats.totalIssued += units;
-  
-  return this.save().then(() => issuedBatches);
+  });
+  this.stats.totalIssued += issuedUnits;
+
+  await this.save();
+  return issuedBatches;
 };
 
-bloodInventorySchema.methods.markExpired = function() {
+// Write off batches past their expiry date, including reserved ones, which
+// leave their reservation. Returns the batches that expired.
+bloodInventorySchema.methods.markExpired = async function() {
   const now = new Date();
-  let expiredCount = 0;
-  
+  const expiredBatches = [];
+
   this.batches.forEach(batch => {
-    if (batch.status === 'available' && batch.expiryDate <= now) {
+    if (['available', 'reserved'].includes(batch.status) && batch.expiryDate <= now) {
+      expiredBatches.push({
+        batchId: batch.batchId,
+        units: batch.units,
+        reservedFor: batch.status === 'reserved' ? batch.reservedFor : undefined
+      });
       batch.status = 'expired';
-      this.availableUnits -= batch.units;
-      this.expiredUnits += batch.units;
+      batch.reservedFor = undefined;
       this.stats.totalExpired += batch.units;
-      expiredCount += batch.units;
     }
   });
-  
-  if (expiredCount > 0) {
-    return this.save().then(() => expiredCount);
+
+  if (expiredBatches.length > 0) {
+    await this.save();
   }
-  
-  return Promise.resolve(0);
+
+  return expiredBatches;
 };
 
 bloodInventorySchema.methods.needsAlert = function() {
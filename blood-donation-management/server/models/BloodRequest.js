@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { getCompatibleDonorTypes } = require('../../shared/constants/bloodCompatibility');
+
+// Donors who said yes but have not arrived yet
+const PENDING_COMMITMENT_STATUSES = ['responded', 'confirmed'];
+// Commitment states that count towards the units needed
+const COMMITTED_STATUSES = [...PENDING_COMMITMENT_STATUSES, 'checked_in', 'donated'];
 
 const bloodRequestSchema = new mongoose.Schema({
   // Request identification
@@ -134,6 +140,11 @@ const bloodRequestSchema = new mongoose.Schema({
         trim: true,
         maxlength: 200
       },
+      // Registered hospital whose staff check donors in for this request
+      hospitalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital'
+      },
       address: {
         street: { type: String, required: true, trim: true },
         city: { type: String, required: true, trim: true },
@@ -197,10 +208,22 @@ const bloodRequestSchema = new mongoose.Schema({
       distance: { type: Number }, // km
       status: { 
         type: String, 
-        enum: ['responded', 'confirmed', 'donated', 'cancelled'],
+        enum: ['responded', 'confirmed', 'checked_in', 'donated', 'cancelled', 'timed_out', 'no_show'],
         default: 'responded'
       },
-      notes: { type: String, trim: true }
+      notes: { type: String, trim: true },
+      unitsPledged: { type: Number, default: 1, min: 1 },
+      // Tracking for donors who said yes, until they arrive
+      commitment: {
+        committedAt: { type: Date },
+        confirmBy: { type: Date }, // Deadline to confirm, or to arrive once confirmed
+        eta: { type: Date },
+        confirmedAt: { type: Date },
+        checkedInAt: { type: Date },
+        cancelledAt: { type: Date },
+        cancelReason: { type: String, trim: true },
+        lapsedAt: { type: Date }
+      }
     }],
     lastNotificationSent: { type: Date },
     notificationRounds: { type: Number, default: 0 },
@@ -224,6 +247,27 @@ const bloodRequestSchema = new mongoose.Schema({
       },
       certificateId: { type: String }
     }],
+    // Units held from the hospital's own stock, released if the request closes unfulfilled
+    inventoryReservation: {
+      status: {
+        type: String,
+        enum: ['none', 'reserved', 'released', 'issued'],
+        default: 'none'
+      },
+      units: { type: Number, default: 0 },
+      batches: [{
+        inventoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodInventory' },
+        bloodType: { type: String },
+        component: { type: String },
+        batchId: { type: String },
+        units: { type: Number },
+        expiryDate: { type: Date }
+      }],
+      reservedAt: { type: Date },
+      releasedAt: { type: Date },
+      releaseReason: { type: String },
+      issuedAt: { type: Date }
+    },
     feedback: {
       rating: { type: Number, min: 1, max: 5 },
       comment: { type: String, trim: true, maxlength: 500 },
@@ -271,6 +315,8 @@ bloodRequestSchema.index({ 'patient.bloodType': 1, status: 1 });
 bloodRequestSchema.index({ requestId: 1 });
 bloodRequestSchema.index({ 'requester.phoneNumber': 1 });
 bloodRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+bloodRequestSchema.index({ 'matching.matchedDonors.commitment.confirmBy': 1, status: 1 });
+bloodRequestSchema.index({ 'location.hospital.hospitalId': 1, status: 1 });
 
 // Virtual for request age
 bloodRequestSchema.virtual('ageInHours').get(function() {
@@ -355,20 +401,31 @@ bloodRequestSchema.statics.findNearLocation = function(coordinates, maxDistance
 };
 
 // Instance methods
-bloodRequestSchema.methods.addDonorResponse = function(donorId, response, distance) {
+bloodRequestSchema.methods.addDonorResponse = function(donorId, response, distance, confirmBy = null, notes = null) {
   const existingResponse = this.matching.matchedDonors.find(
     donor => donor.donorId.toString() === donorId.toString()
   );
+  const commitment = response === 'yes' ? { committedAt: new Date(), confirmBy } : {};
 
   if (existingResponse) {
     existingResponse.response = response;
     existingResponse.respondedAt = new Date();
+    if (notes) {
+      existingResponse.notes = notes;
+    }
+    // A donor already at the hospital keeps their progress
+    if (!['checked_in', 'donated'].includes(existingResponse.status)) {
+      existingResponse.status = 'responded';
+      existingResponse.commitment = commitment;
+    }
   } else {
     this.matching.matchedDonors.push({
       donorId,
       response,
       distance,
-      respondedAt: new Date()
+      respondedAt: new Date(),
+      notes: notes || undefined,
+      commitment
     });
   }
 
@@ -380,6 +437,110 @@ bloodRequestSchema.methods.addDonorResponse = function(donorId, response, distan
   return this.save();
 };
 
+bloodRequestSchema.methods.findCommitment = function(donorId) {
+  return this.matching.matchedDonors.find(donor =>
+    donor.donorId.toString() === donorId.toString() &&
+    donor.response === 'yes' &&
+    PENDING_COMMITMENT_STATUSES.includes(donor.status)
+  ) || null;
+};
+
+bloodRequestSchema.methods.confirmDonorCommitment = async function(donorId, eta, confirmBy) {
+  const commitment = this.findCommitment(donorId);
+  if (!commitment) return null;
+
+  commitment.status = 'confirmed';
+  commitment.commitment.confirmedAt = new Date();
+  commitment.commitment.eta = eta;
+  commitment.commitment.confirmBy = confirmBy;
+
+  await this.save();
+  return commitment;
+};
+
+bloodRequestSchema.methods.cancelDonorCommitment = async function(donorId, reason) {
+  const commitment = this.findCommitment(donorId);
+  if (!commitment) return null;
+
+  commitment.status = 'cancelled';
+  commitment.commitment.cancelledAt = new Date();
+  commitment.commitment.cancelReason = reason;
+
+  await this.save();
+  return commitment;
+};
+
+// Units covered by donors who said yes and have not dropped out
+bloodRequestSchema.methods.getCommittedUnits = function() {
+  return this.matching.matchedDonors
+    .filter(donor => donor.response === 'yes' && COMMITTED_STATUSES.includes(donor.status))
+    .reduce((sum, donor) => sum + (donor.unitsPledged || 1), 0);
+};
+
+// Units currently held from hospital stock for this request
+bloodRequestSchema.methods.getReservedUnits = function() {
+  const reservation = this.fulfillment?.inventoryReservation;
+  return reservation?.status === 'reserved' ? reservation.units : 0;
+};
+
+bloodRequestSchema.methods.getUnitShortfall = function() {
+  return Math.max(0, (this.request.unitsNeeded || 0) - this.getReservedUnits() - this.getCommittedUnits());
+};
+
+// Donor arrived at the hospital; returns null when they have no open commitment
+bloodRequestSchema.methods.checkInDonor = async function(donorId) {
+  const commitment = this.findCommitment(donorId);
+  if (!commitment) return null;
+
+  commitment.status = 'checked_in';
+  commitment.commitment.checkedInAt = new Date();
+
+  await this.save();
+  return commitment;
+};
+
+// Donor was turned away at screening after checking in
+bloodRequestSchema.methods.releaseCheckedInDonor = async function(donorId, reason) {
+  const matchedDonor = this.matching.matchedDonors.find(donor =>
+    donor.donorId.toString() === donorId.toString() && donor.status === 'checked_in'
+  );
+  if (!matchedDonor) return null;
+
+  matchedDonor.status = 'cancelled';
+  matchedDonor.commitment.cancelledAt = new Date();
+  matchedDonor.commitment.cancelReason = reason;
+
+  await this.save();
+  return matchedDonor;
+};
+
+// Count a completed donation towards the request, fulfilling it once enough units are in
+bloodRequestSchema.methods.recordDonation = function(donorId, units, donationCenter) {
+  const matchedDonor = this.matching.matchedDonors.find(
+    donor => donor.donorId.toString() === donorId.toString()
+  );
+  if (matchedDonor) {
+    matchedDonor.status = 'donated';
+  }
+
+  this.fulfillment.donorDetails.push({
+    donorId,
+    donatedAt: new Date(),
+    unitsContributed: units,
+    donationCenter,
+    verificationStatus: 'verified'
+  });
+  this.fulfillment.unitsCollected = (this.fulfillment.unitsCollected || 0) + units;
+
+  if (this.fulfillment.unitsCollected + this.getReservedUnits() >= this.request.unitsNeeded) {
+    this.status = 'fulfilled';
+    this.fulfillment.isCompleted = true;
+    this.fulfillment.completedAt = new Date();
+  }
+
+  return this.save();
+};
+
 bloodRequestSchema.methods.markAsFulfilled = function(donorDetails) {
   this.status = 'fulfilled';
   this.fulfillment.isCompleted = true;
@@ -394,19 +555,9 @@ bloodRequestSchema.methods.canReceiveNotifications = function() {
   return this.status === 'pending' || this.status === 'active';
 };
 
+// Donor blood types that can supply this request's component, best match first
 bloodRequestSchema.methods.getCompatibleBloodTypes = function() {
-  const compatibility = {
-    'A+': ['A+', 'A-', 'O+', 'O-'],
-    'A-': ['A-', 'O-'],
-    'B+': ['B+', 'B-', 'O+', 'O-'],
-    'B-': ['B-', 'O-'],
-    'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'], // Universal recipient
-    'AB-': ['A-', 'B-', 'AB-', 'O-'],
-    'O+': ['O+', 'O-'],
-    'O-': ['O-']
-  };
-
-  return compatibility[this.patient.bloodType] || [];
+  return getCompatibleDonorTypes(this.patient.bloodType, this.request.bloodComponent);
 };
 
 const BloodRequest = mongoose.model('BloodRequest', bloodRequestSchema);
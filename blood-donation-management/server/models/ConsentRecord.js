@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Channels that need the recipient's consent. Push needs none here: the
+// browser asks before a subscription exists.
+const CONSENT_CHANNELS = ['whatsapp', 'sms', 'email'];
+
+/**
+ * One consent decision for one channel and address. Records are only ever
+ * added; the latest record for an address is the one in force.
+ */
+const consentRecordSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CONSENT_CHANNELS,
+    required: true
+  },
+  // Phone number or email address as given
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Last ten digits of a phone number or the lower-cased email, for lookups
+  addressKey: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  granted: {
+    type: Boolean,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['registration', 'profile', 'keyword', 'admin'],
+    required: true
+  },
+  // STOP, START, ... when the decision came from an inbound message
+  keyword: { type: String, trim: true },
+  // Channel the keyword arrived on
+  receivedVia: { type: String, enum: ['whatsapp', 'sms'] },
+
+  // Admin who recorded the decision for the user
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  note: { type: String, trim: true, maxlength: 300 }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+consentRecordSchema.index({ addressKey: 1, channel: 1, createdAt: -1 });
+consentRecordSchema.index({ user: 1, createdAt: -1 });
+consentRecordSchema.index({ createdAt: -1 });
+
+/**
+ * Key an address is looked up by
+ * @param {string} channel - whatsapp, sms or email
+ * @param {string} address - Phone number or email
+ * @returns {string|null} Address key, or null if the address is unusable
+ */
+consentRecordSchema.statics.toAddressKey = function(channel, address) {
+  if (!address) return null;
+
+  if (channel === 'email') {
+    return String(address).trim().toLowerCase() || null;
+  }
+
+  const digits = String(address).replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+/**
+ * Latest decision for each of the given channel/address pairs
+ * @param {Array} targets - [{ channel, address }]
+ * @returns {Promise<Array>} Latest record per pair that has one
+ */
+consentRecordSchema.statics.findCurrent = async function(targets) {
+  const pairs = targets
+    .map(({ channel, address }) => ({ channel, addressKey: this.toAddressKey(channel, address) }))
+    .filter(pair => pair.addressKey);
+
+  if (pairs.length === 0) return [];
+
+  return this.aggregate([
+    { $match: { $or: pairs } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: { channel: '$channel', addressKey: '$addressKey' }, record: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$record' } }
+  ]);
+};
+
+consentRecordSchema.statics.CHANNELS = CONSENT_CHANNELS;
+
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+module.exports = ConsentRecord;
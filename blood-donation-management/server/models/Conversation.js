@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  conversationId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms'],
+    default: 'whatsapp'
+  },
+
+  // Flow name from config/conversationFlows.js
+  flow: {
+    type: String,
+    required: true
+  },
+  currentStep: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    default: 'en'
+  },
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'declined', 'cancelled', 'expired'],
+    default: 'active'
+  },
+
+  messages: [{
+    direction: {
+      type: String,
+      enum: ['inbound', 'outbound', 'system'],
+      required: true
+    },
+    step: { type: String },
+    content: { type: String },
+    // Provider message id; WhatsApp retries webhooks, so replies are applied once
+    messageId: { type: String },
+    action: { type: String },
+    matched: { type: Boolean },
+    at: { type: Date, default: Date.now }
+  }],
+
+  lastActivityAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  completedAt: { type: Date }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+conversationSchema.index({ phoneNumber: 1, status: 1, lastActivityAt: -1 });
+conversationSchema.index({ status: 1, expiresAt: 1 });
+conversationSchema.index({ 'messages.messageId': 1 }, { sparse: true });
+
+conversationSchema.methods.hasMessage = function(messageId) {
+  return !!messageId && this.messages.some(message => message.messageId === messageId);
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -30,9 +30,23 @@ const documentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Where the file is kept; see services/documentStorageService.js.
+  // Documents uploaded before storage backends existed only have `path`.
+  storage: {
+    backend: {
+      type: String,
+      enum: ['local', 's3']
+    },
+    key: String
+  },
   path: {
-    type: String,
-    required: true
+    type: String
+  },
+  // Flagged by the content scanner; kept for inspection, never served
+  quarantined: {
+    type: Boolean,
+    default: false,
+    index: true
   },
   verified: {
     type: Boolean,
@@ -64,10 +78,52 @@ const documentSchema = new mongoose.Schema({
           enum: ['pending', 'clean', 'infected', 'error'],
           default: 'pending'
         },
+        scanner: String,
+        signature: String,
         scannedAt: Date,
         details: String
       }
     }
+  },
+  // OCR-assisted verification; see services/documentOcrService.js. Only ID,
+  // address and medical documents are read.
+  ocr: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'unsupported']
+    },
+    attempts: Number,
+    startedAt: Date,
+    processedAt: Date,
+    engine: String,
+    // Tesseract's mean word confidence, 0-100
+    confidence: Number,
+    // 0-100, see DocumentOcrSettings.FIELD_WEIGHTS
+    matchScore: Number,
+    checks: [{
+      _id: false,
+      field: {
+        type: String,
+        enum: ['name', 'dateOfBirth', 'idNumber', 'pincode']
+      },
+      status: {
+        type: String,
+        enum: ['match', 'mismatch', 'missing']
+      },
+      // ID numbers are stored masked
+      extracted: String,
+      // Profile value at the time of the check
+      expected: String,
+      similarity: Number,
+      note: String
+    }],
+    idType: String,
+    // Keyed hash of the full ID number, to spot one ID on several accounts
+    idNumberHash: {
+      type: String,
+      select: false
+    },
+    error: String
   }
 }, {
   timestamps: true,
@@ -75,9 +131,9 @@ const documentSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for document URL
+// Virtual for document URL: answers with a short-lived signed download URL
 documentSchema.virtual('url').get(function() {
-  return `/api/v1/documents/view/${this.filename}`;
+  return `/api/v1/documents/${this._id}/download-url`;
 });
 
 // Virtual for file size in human readable format
@@ -94,6 +150,8 @@ documentSchema.virtual('formattedSize').get(function() {
 documentSchema.index({ userId: 1, type: 1 });
 documentSchema.index({ uploadedAt: -1 });
 documentSchema.index({ verified: 1, uploadedAt: -1 });
+documentSchema.index({ 'ocr.status': 1, verified: 1 });
+documentSchema.index({ 'ocr.idNumberHash': 1 }, { sparse: true });
 
 // Static methods
 documentSchema.statics.findByUser = function(userId) {
@@ -105,7 +163,11 @@ documentSchema.statics.findByUserAndType = function(userId, type) {
 };
 
 documentSchema.statics.findUnverified = function() {
-  return this.find({ verified: false }).populate('userId', 'name phoneNumber').sort({ uploadedAt: 1 });
+  return this.find({ verified: false, quarantined: { $ne: true } }).populate('userId', 'name phoneNumber').sort({ uploadedAt: 1 });
+};
+
+documentSchema.statics.findQuarantined = function() {
+  return this.find({ quarantined: true }).populate('userId', 'name phoneNumber email').sort({ uploadedAt: -1 });
 };
 
 // Instance methods
@@ -124,29 +186,4 @@ documentSchema.methods.reject = function(reason, rejectedBy) {
   return this.save();
 };
 
-// Pre-save middleware
-documentSchema.pre('save', function(next) {
-  if (this.isNew) {
-    // Generate file hash for duplicate detection
-    // In a real implementation, you would calculate the actual file hash
-    this.metadata = this.metadata || {};
-    this.metadata.fileHash = `hash_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
-  }
-  next();
-});
-
-// Post-remove middleware to clean up files
-documentSchema.post('remove', async function(doc) {
-  const fs = require('fs').promises;
-  const path = require('path');
-  
-  try {
-    const filePath = path.resolve(doc.path);
-    await fs.unlink(filePath);
-    console.log(`Cleaned up file: ${filePath}`);
-  } catch (error) {
-    console.error(`Failed to clean up file: ${doc.path}`, error);
-  }
-});
-
 module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
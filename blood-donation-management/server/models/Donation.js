@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { EligibilityRules } = require('../config/eligibilityRules');
 
 const donationSchema = new mongoose.Schema({
   donationId: {
@@ -116,7 +117,9 @@ const donationSchema = new mongoose.Schema({
     issued: Boolean,
     issuedAt: Date,
     qrCode: String,
-    verificationUrl: String
+    verificationUrl: String,
+    // HMAC over the certified donation details (see services/certificateService.js)
+    signature: String
   },
   followUp: {
     day1: {
@@ -189,9 +192,10 @@ donationSchema.index({ bloodType: 1, status: 1 });
 donationSchema.index({ 'location.coordinates': '2dsphere' });
 donationSchema.index({ donationId: 1 }, { unique: true });
 donationSchema.index({ 'location.hospitalId': 1, donationDate: -1 });
+donationSchema.index({ 'certification.certificateId': 1 }, { unique: true, sparse: true });
 
-// Pre-save middleware to generate donation ID
-donationSchema.pre('save', function(next) {
+// Generate the donation ID before validation, since the field is required
+donationSchema.pre('validate', function(next) {
   if (!this.donationId) {
     const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
     const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
@@ -209,18 +213,12 @@ donationSchema.virtual('donationAge').get(function() {
   return diffDays;
 });
 
-// Virtual for next eligible date calculation
+// Virtual for next eligible date calculation (same donation type again)
 donationSchema.virtual('nextEligibleDate').get(function() {
   if (!this.donationDate || this.status !== 'completed') return null;
   
-  const eligibilityPeriods = {
-    whole_blood: 56, // 8 weeks
-    platelets: 7,    // 1 week
-    plasma: 28,      // 4 weeks
-    double_red_cells: 112 // 16 weeks
-  };
-  
-  const days = eligibilityPeriods[this.donationType] || 56;
+  const intervals = EligibilityRules.DONATION_INTERVALS[this.donationType] || EligibilityRules.DONATION_INTERVALS.whole_blood;
+  const days = intervals[this.donationType] || intervals.whole_blood;
   const nextDate = new Date(this.donationDate);
   nextDate.setDate(nextDate.getDate() + days);
   
@@ -228,13 +226,23 @@ donationSchema.virtual('nextEligibleDate').get(function() {
 });
 
 // Instance method to mark as completed
-donationSchema.methods.markCompleted = function(postDonationData = {}) {
+donationSchema.methods.markCompleted = async function(postDonationData = {}) {
+  const eligibilityService = require('../services/eligibilityService');
+
   this.status = 'completed';
   this.postDonationInfo = {
     ...this.postDonationInfo,
-    ...postDonationData,
-    nextEligibleDate: this.nextEligibleDate
+    ...postDonationData
   };
+  // Only one caller completes a donation; the other gets a DocumentNotFoundError
+  this.$where = { status: { $ne: 'completed' } };
+  await this.save();
+  this.$where = null;
+
+  // The rules engine also accounts for other donations, deferrals and health answers
+  const eligibility = await eligibilityService.refreshDonorEligibility(this.donorId);
+  const typeEligibility = eligibility?.byDonationType[this.donationType];
+  this.postDonationInfo.nextEligibleDate = typeEligibility?.nextEligibleDate || this.nextEligibleDate;
   
   return this.save();
 };
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A badge a donor has earned
+const donorAchievementSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  badge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Badge',
+    required: true
+  },
+  badgeKey: {
+    type: String,
+    required: true
+  },
+  // Points as they stood when earned; later catalog edits do not change them
+  points: {
+    type: Number,
+    default: 0
+  },
+  // The count that reached the threshold
+  value: Number,
+  // What prompted the check, e.g. donation_completed
+  trigger: String,
+  earnedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+donorAchievementSchema.index({ userId: 1, badge: 1 }, { unique: true });
+donorAchievementSchema.index({ userId: 1, earnedAt: -1 });
+
+const DonorAchievement = mongoose.model('DonorAchievement', donorAchievementSchema);
+
+module.exports = DonorAchievement;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { QuestionnaireSettings } = require('../config/healthQuestionnaire');
+
+const outcomeSchema = new mongoose.Schema({
+  // Condition on the answer, e.g. { equals: true } or { withinDays: 180 }
+  when: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: QuestionnaireSettings.OUTCOMES,
+    required: true
+  },
+  days: { type: Number, min: 1 },
+  // Deferral code shown with the donor's eligibility, e.g. TRAVEL
+  code: { type: String },
+  reason: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    match: /^[a-z][a-z0-9_]*$/
+  },
+  type: {
+    type: String,
+    enum: QuestionnaireSettings.QUESTION_TYPES,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  help: { type: String },
+  required: { type: Boolean, default: false },
+  options: [{
+    value: { type: String, required: true },
+    label: { type: String, required: true },
+    _id: false
+  }],
+  // Accepted range for number questions
+  min: { type: Number },
+  max: { type: Number },
+  // Only asked when an earlier answer matches: { question, equals: true }
+  showIf: { type: mongoose.Schema.Types.Mixed },
+  outcomes: [outcomeSchema]
+}, { _id: false });
+
+// One document per questionnaire version; at most one is published
+const healthQuestionnaireSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: { type: String, trim: true },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length > 0,
+      message: 'At least one question is required'
+    }
+  },
+
+  // When guidelines change: which donors have to answer again on publish.
+  // With questions listed, only donors who would now see one of them are
+  // asked; otherwise everyone on an older version is.
+  reanswer: {
+    required: { type: Boolean, default: false },
+    questions: [{ type: String }],
+    reason: { type: String, trim: true }
+  },
+
+  changeNote: { type: String, trim: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: { type: Date },
+  archivedAt: { type: Date },
+  // Donors asked to re-answer when this version was published
+  promptedDonors: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+healthQuestionnaireSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'published' } }
+);
+
+healthQuestionnaireSchema.statics.findPublished = function() {
+  return this.findOne({ status: 'published' });
+};
+
+healthQuestionnaireSchema.statics.getLatestVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version : 0;
+};
+
+const HealthQuestionnaire = mongoose.model('HealthQuestionnaire', healthQuestionnaireSchema);
+
+module.exports = HealthQuestionnaire;
@@ -60,34 +60,6 @@ const operatingHoursSchema = new mongoose.Schema({
   }
 });
 
-const bloodInventorySchema = new mongoose.Schema({
-  bloodType: {
-    type: String,
-    required: true,
-    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
-  },
-  unitsAvailable: {
-    type: Number,
-    required: true,
-    min: 0,
-    default: 0
-  },
-  expirationDates: [{
-    type: Date,
-    required: true
-  }],
-  lastUpdated: {
-    type: Date,
-    default: Date.now
-  },
-  minimumThreshold: {
-    type: Number,
-    required: true,
-    min: 0,
-    default: 5
-  }
-});
-
 const ratingSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -207,7 +179,6 @@ const hospitalSchema = new mongoose.Schema({
       'blood_screening'
     ]
   }],
-  inventory: [bloodInventorySchema],
   ratings: [ratingSchema],
   certifications: [{
     name: {
@@ -261,6 +232,7 @@ const hospitalSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Stock itself lives in BloodInventory, one record per blood type
   lastInventoryUpdate: {
     type: Date,
     default: Date.now
@@ -324,11 +296,6 @@ hospitalSchema.virtual('isCurrentlyOpen').get(function() {
   return currentTime >= todayHours.open && currentTime <= todayHours.close;
 });
 
-// Virtual for low inventory alerts
-hospitalSchema.virtual('lowInventoryAlerts').get(function() {
-  return this.inventory.filter(item => item.unitsAvailable <= item.minimumThreshold);
-});
-
 // Pre-save middleware to update average rating
 hospitalSchema.pre('save', function(next) {
   if (this.ratings && this.ratings.length > 0) {
@@ -339,42 +306,6 @@ hospitalSchema.pre('save', function(next) {
   next();
 });
 
-// Method to add or update blood inventory
-hospitalSchema.methods.updateInventory = function(bloodType, unitsToAdd, expirationDate) {
-  const existingInventory = this.inventory.find(item => item.bloodType === bloodType);
-  
-  if (existingInventory) {
-    existingInventory.unitsAvailable += unitsToAdd;
-    existingInventory.expirationDates.push(expirationDate);
-    existingInventory.lastUpdated = new Date();
-  } else {
-    this.inventory.push({
-      bloodType,
-      unitsAvailable: unitsToAdd,
-      expirationDates: [expirationDate],
-      lastUpdated: new Date()
-    });
-  }
-  
-  this.lastInventoryUpdate = new Date();
-  return this.save();
-};
-
-// Method to consume blood inventory
-hospitalSchema.methods.consumeInventory = function(bloodType, unitsToConsume) {
-  const inventory = this.inventory.find(item => item.bloodType === bloodType);
-  
-  if (!inventory || inventory.unitsAvailable < unitsToConsume) {
-    throw new Error('Insufficient inventory');
-  }
-  
-  inventory.unitsAvailable -= unitsToConsume;
-  inventory.lastUpdated = new Date();
-  this.lastInventoryUpdate = new Date();
-  
-  return this.save();
-};
-
 // Method to add rating
 hospitalSchema.methods.addRating = function(userId, rating, review, category = 'overall') {
   // Remove existing rating from same user for same category
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const INTENTS = ['accept', 'tentative', 'decline', 'location_question', 'eligibility_question', 'unknown'];
+
+/**
+ * A WhatsApp or SMS message from a donor that needs a person to read it:
+ * the reply could not be understood, or it offered help with no open
+ * request to attach it to.
+ */
+const inboundMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms'],
+    required: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 4096
+  },
+  // WhatsApp wamid or Twilio SID
+  providerMessageId: { type: String },
+
+  // What replyIntentService made of the message
+  parsed: {
+    intent: { type: String, enum: INTENTS },
+    language: { type: String },
+    entities: { type: mongoose.Schema.Types.Mixed },
+    matched: [{ type: String }]
+  },
+
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'resolved', 'dismissed'],
+      default: 'pending'
+    },
+    // unparsed: nothing matched; no_open_request: understood, but nothing to apply it to
+    reason: {
+      type: String,
+      enum: ['unparsed', 'no_open_request'],
+      required: true
+    },
+    // Intent the reviewer settled on, if they applied one
+    intent: { type: String, enum: INTENTS },
+    note: { type: String, trim: true, maxlength: 500 },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: { type: Date }
+  }
+}, {
+  timestamps: true
+});
+
+inboundMessageSchema.index({ 'review.status': 1, createdAt: -1 });
+inboundMessageSchema.index({ phoneNumber: 1, createdAt: -1 });
+inboundMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+
+inboundMessageSchema.statics.INTENTS = INTENTS;
+
+const InboundMessage = mongoose.model('InboundMessage', inboundMessageSchema);
+
+module.exports = InboundMessage;
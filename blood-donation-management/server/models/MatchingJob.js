@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const matchingJobSchema = new mongoose.Schema({
+  // One job per blood request
+  requestId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  bloodRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+
+  // Escalation state
+  currentRadius: { type: Number, default: 15, min: 1 }, // km
+  notificationRound: { type: Number, default: 1, min: 1 },
+  totalNotified: { type: Number, default: 0 },
+  // From delivery receipts: donors whose alert was delivered, and who read it
+  totalReached: { type: Number, default: 0 },
+  totalSeen: { type: Number, default: 0 },
+  totalResponded: { type: Number, default: 0 },
+  positiveResponses: { type: Number, default: 0 },
+  backfillRounds: { type: Number, default: 0 },
+  // Donors already paged for this request, skipped in later rounds
+  notifiedDonors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  lastNotificationAt: { type: Date, default: null },
+  nextEscalationAt: { type: Date, required: true },
+
+  // Lease held by the process currently working on this job
+  lease: {
+    owner: { type: String, default: null },
+    expiresAt: { type: Date, default: null }
+  },
+
+  pausedAt: { type: Date },
+  pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: { type: Date },
+  completionReason: { type: String, trim: true },
+  lastError: { type: String, trim: true }
+}, {
+  timestamps: true
+});
+
+// Indexes for queue polling
+matchingJobSchema.index({ status: 1, nextEscalationAt: 1 });
+matchingJobSchema.index({ 'lease.expiresAt': 1 });
+matchingJobSchema.index({ notifiedDonors: 1, lastNotificationAt: -1 });
+
+// Static methods
+matchingJobSchema.statics.findByRequestId = function(requestId) {
+  return this.findOne({ requestId });
+};
+
+/**
+ * Atomically claim the next due job for a worker.
+ * A job is claimable when it is active, due, and not leased by a live worker.
+ * @param {string} owner - Worker identifier
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Object|null>} Claimed job or null when nothing is due
+ */
+matchingJobSchema.statics.claimNextDue = function(owner, leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: 'active',
+      nextEscalationAt: { $lte: now },
+      $or: [
+        { 'lease.expiresAt': null },
+        { 'lease.expiresAt': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'lease.owner': owner,
+        'lease.expiresAt': new Date(now.getTime() + leaseMs)
+      }
+    },
+    { new: true, sort: { nextEscalationAt: 1 } }
+  );
+};
+
+/**
+ * Claim a specific job by ID, used right after creation
+ * @param {ObjectId} jobId - Job ID
+ * @param {string} owner - Worker identifier
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Object|null>} Claimed job or null if leased elsewhere
+ */
+matchingJobSchema.statics.claimById = function(jobId, owner, leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: 'active',
+      $or: [
+        { 'lease.expiresAt': null },
+        { 'lease.expiresAt': { $lte: now } },
+        { 'lease.owner': owner }
+      ]
+    },
+    {
+      $set: {
+        'lease.owner': owner,
+        'lease.expiresAt': new Date(now.getTime() + leaseMs)
+      }
+    },
+    { new: true }
+  );
+};
+
+matchingJobSchema.statics.getQueueStats = async function() {
+  const stats = await this.aggregate([
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        averageRadius: { $avg: '$currentRadius' },
+        averageRound: { $avg: '$notificationRound' }
+      }
+    }
+  ]);
+
+  return stats.reduce((acc, stat) => {
+    acc[stat._id] = {
+      count: stat.count,
+      averageRadius: stat.averageRadius,
+      averageRound: stat.averageRound
+    };
+    return acc;
+  }, {});
+};
+
+// Instance methods
+matchingJobSchema.methods.isLeasedBy = function(owner) {
+  return this.lease?.owner === owner &&
+         this.lease?.expiresAt && this.lease.expiresAt > new Date();
+};
+
+matchingJobSchema.methods.releaseLease = function() {
+  this.lease = { owner: null, expiresAt: null };
+  return this.save();
+};
+
+const MatchingJob = mongoose.model('MatchingJob', matchingJobSchema);
+
+module.exports = MatchingJob;
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { MessageTemplateSettings } = require('../config/messageTemplates');
+
+const placeholderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]*$/
+  },
+  type: {
+    type: String,
+    enum: MessageTemplateSettings.PLACEHOLDER_TYPES,
+    default: 'string'
+  },
+  required: { type: Boolean, default: false },
+  // Allowed values for enum placeholders
+  values: [{ type: String }],
+  // Digits after the decimal point for number placeholders
+  decimals: { type: Number, min: 0, max: 6 },
+  // Used by preview when no value is supplied
+  example: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    enum: MessageTemplateSettings.LANGUAGES,
+    required: true
+  },
+  subject: { type: String },
+  header: { type: String },
+  body: { type: String, required: true },
+  footer: { type: String },
+  buttons: [{
+    type: { type: String, enum: ['QUICK_REPLY', 'URL', 'PHONE_NUMBER'], default: 'QUICK_REPLY' },
+    text: { type: String, required: true },
+    url: { type: String },
+    phoneNumber: { type: String },
+    _id: false
+  }],
+  // Localised wording for enum values: { urgency: { critical: '...' } }
+  enumLabels: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// One document per template version. A template is identified by name and
+// channel; at most one version of it is published at a time.
+const messageTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z][a-z0-9_]*$/
+  },
+  channel: {
+    type: String,
+    enum: MessageTemplateSettings.CHANNELS,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+
+  description: { type: String, trim: true },
+  // WhatsApp template category
+  category: {
+    type: String,
+    enum: MessageTemplateSettings.WHATSAPP_CATEGORIES
+  },
+
+  placeholders: [placeholderSchema],
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: variants => variants.length > 0,
+      message: 'At least one language variant is required'
+    }
+  },
+
+  changeNote: { type: String, trim: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: { type: Date },
+  archivedAt: { type: Date },
+
+  // WhatsApp approval state reported by Meta, when the template was submitted
+  provider: {
+    templateId: { type: String },
+    status: { type: String },
+    submittedAt: { type: Date }
+  }
+}, {
+  timestamps: true
+});
+
+messageTemplateSchema.index({ name: 1, channel: 1, version: -1 }, { unique: true });
+messageTemplateSchema.index(
+  { name: 1, channel: 1 },
+  { unique: true, partialFilterExpression: { status: 'published' } }
+);
+messageTemplateSchema.index({ channel: 1, status: 1 });
+
+messageTemplateSchema.virtual('languages').get(function() {
+  return this.variants.map(variant => variant.language);
+});
+
+messageTemplateSchema.statics.findPublished = function(name, channel) {
+  return this.findOne({ name, channel, status: 'published' });
+};
+
+messageTemplateSchema.statics.getLatestVersion = async function(name, channel) {
+  const latest = await this.findOne({ name, channel }).sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version : 0;
+};
+
+messageTemplateSchema.set('toJSON', { virtuals: true });
+
+const MessageTemplate = mongoose.model('MessageTemplate', messageTemplateSchema);
+
+module.exports = MessageTemplate;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 180;
+
+// Later statuses never go back to earlier ones; providers send receipts out of order
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+const notificationLogSchema = new mongoose.Schema({
+  // Shared by every channel tried for one notification, and by its retries
+  notificationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    enum: ['push', 'whatsapp', 'sms', 'email'],
+    required: true
+  },
+  attempt: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  type: { type: String, default: 'general' },
+  priority: { type: String },
+  templateName: { type: String },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  phoneNumber: { type: String },
+  email: { type: String },
+  // Blood request the notification is about, for delivery reports
+  requestId: { type: String },
+
+  // WhatsApp wamid, Twilio SID or SMTP message id
+  providerMessageId: { type: String },
+  simulated: { type: Boolean, default: false },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'read', 'failed'],
+    default: 'queued'
+  },
+  statusHistory: [{
+    status: { type: String, required: true },
+    // send, whatsapp_webhook, twilio_callback, dlt_callback, push_service
+    source: { type: String },
+    providerStatus: { type: String },
+    error: { type: String },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  error: {
+    code: { type: String },
+    message: { type: String }
+  },
+
+  sentAt: { type: Date },
+  deliveredAt: { type: Date },
+  readAt: { type: Date },
+  failedAt: { type: Date },
+
+  metadata: { type: mongoose.Schema.Types.Mixed }
+}, {
+  timestamps: true
+});
+
+notificationLogSchema.index({ providerMessageId: 1, channel: 1 }, { sparse: true });
+notificationLogSchema.index({ requestId: 1, user: 1 });
+notificationLogSchema.index({ user: 1, createdAt: -1 });
+notificationLogSchema.index({ status: 1, channel: 1, createdAt: -1 });
+notificationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Move the log to a new status if it is a step forward. A failure is only
+ * accepted before the message was delivered.
+ * @returns {boolean} Whether the current status changed
+ */
+notificationLogSchema.methods.applyStatus = function(status, { source, providerStatus, error, at = new Date() } = {}) {
+  this.statusHistory.push({ status, source, providerStatus, error, at });
+
+  const current = this.status;
+  const advances = status === 'failed'
+    ? ['queued', 'sent'].includes(current)
+    : current !== 'failed' && STATUS_RANK[status] > STATUS_RANK[current];
+
+  if (!advances) return false;
+
+  this.status = status;
+  this[`${status}At`] = at;
+  // A read receipt implies delivery even when the delivered receipt was lost
+  if (status === 'read' && !this.deliveredAt) {
+    this.deliveredAt = at;
+  }
+  if (status === 'failed' && error) {
+    this.error = { ...(this.error || {}), message: error };
+  }
+  return true;
+};
+
+notificationLogSchema.statics.STATUS_RANK = STATUS_RANK;
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
+
+module.exports = NotificationLog;
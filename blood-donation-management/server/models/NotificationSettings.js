@@ -19,6 +19,18 @@ const notificationSettingsSchema = new mongoose.Schema({
     default: []
   },
   escalateAfterMs: { type: Number, default: 0 },
+  // Limits on how often one donor is paged for blood requests
+  fatigue: {
+    enabled: { type: Boolean, default: true },
+    maxPerDay: { type: Number, default: 2, min: 1, max: 20 },
+    maxPerWeek: { type: Number, default: 5, min: 1, max: 50 },
+    declineCooldownHours: { type: Number, default: 72, min: 0, max: 720 },
+    maxSnoozeDays: { type: Number, default: 30, min: 1, max: 180 },
+    // Pages in this window lower a donor's fairness score
+    fairnessWindowDays: { type: Number, default: 30, min: 1, max: 90 },
+    // Score matching adds for a donor who has not been paged in the window
+    fairnessWeight: { type: Number, default: 40, min: 0, max: 100 }
+  },
   updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
 }, {
   timestamps: true
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // Carried in every token issued for this login as the `sid` claim
+  sessionId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // jti of the only refresh token that may be exchanged next
+  refreshTokenId: {
+    type: String,
+    required: true
+  },
+  // Kept briefly so two tabs refreshing at once are not mistaken for token theft
+  previousRefreshTokenId: { type: String },
+  lastRefreshedAt: { type: Date },
+  rotationCount: { type: Number, default: 0 },
+
+  device: {
+    userAgent: { type: String, trim: true, maxlength: 500 },
+    browser: { type: String },
+    os: { type: String },
+    deviceType: {
+      type: String,
+      enum: ['mobile', 'tablet', 'desktop', 'unknown'],
+      default: 'unknown'
+    }
+  },
+  ipAddress: { type: String },
+  lastSeenAt: { type: Date, default: Date.now },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'refresh_token_reuse', 'password_reset', 'account_inactive']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 400;
+
+/**
+ * One outgoing SMS as the gateway sent it: which provider took it, after
+ * which failed attempts, how many segments it used and what it cost.
+ * Kept for a little over a year so costs can be compared year on year.
+ */
+const smsDeliverySchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  country: { type: String },
+
+  // twilio, dlt or console
+  provider: {
+    type: String,
+    required: true
+  },
+  providerMessageId: { type: String },
+  simulated: { type: Boolean, default: false },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'failed'],
+    default: 'queued'
+  },
+
+  segments: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  encoding: {
+    type: String,
+    enum: ['gsm', 'unicode'],
+    default: 'gsm'
+  },
+  // Unset when neither the provider nor the rate card has a price
+  cost: {
+    amount: { type: Number },
+    currency: { type: String },
+    // provider when the provider reported the price, rate_card when estimated
+    source: {
+      type: String,
+      enum: ['provider', 'rate_card']
+    }
+  },
+
+  // Every provider tried, in order, including the one that took the message
+  attempts: [{
+    provider: { type: String, required: true },
+    success: { type: Boolean, required: true },
+    error: { type: String },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+
+  templateName: { type: String },
+  dltTemplateId: { type: String },
+  error: { type: String },
+
+  sentAt: { type: Date },
+  deliveredAt: { type: Date },
+  failedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Later statuses never go back to earlier ones; receipts arrive out of order
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2
+};
+
+/**
+ * Move to a status from a delivery receipt
+ * @returns {boolean} Whether the status changed
+ */
+smsDeliverySchema.methods.applyStatus = function(status, { error, at = new Date() } = {}) {
+  const advances = status === 'failed'
+    ? this.status !== 'delivered' && this.status !== 'failed'
+    : this.status !== 'failed' && STATUS_RANK[status] > STATUS_RANK[this.status];
+
+  if (!advances) return false;
+
+  this.status = status;
+  this[`${status}At`] = at;
+  if (status === 'failed' && error) {
+    this.error = error;
+  }
+  return true;
+};
+
+smsDeliverySchema.index({ providerMessageId: 1, provider: 1 }, { sparse: true });
+smsDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SmsDelivery', smsDeliverySchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { SupportInboxSettings } = require('../config/supportInbox');
+
+const supportMessageSchema = new mongoose.Schema({
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: [...new Set([...SupportInboxSettings.INBOUND_CHANNELS, ...SupportInboxSettings.REPLY_CHANNELS])],
+    required: true
+  },
+  subject: { type: String, trim: true },
+  text: {
+    type: String,
+    required: true,
+    maxlength: SupportInboxSettings.MAX_TEXT_LENGTH
+  },
+  // WhatsApp wamid, Twilio SID or contact form submission ID
+  providerMessageId: { type: String },
+  // Review inbox entry, when the bot forwarded a donor reply it could not read
+  inboundMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InboundMessage'
+  },
+
+  // Outbound only
+  template: {
+    name: { type: String },
+    language: { type: String }
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  delivery: {
+    status: { type: String, enum: ['sent', 'failed'] },
+    error: { type: String }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Everything one person has sent the support inbox, and our replies.
+ * A person is identified by phone number, or by email when a contact form
+ * came without one.
+ */
+const supportThreadSchema = new mongoose.Schema({
+  // phone:<last 10 digits> or email:<address>
+  contactKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: { type: String, trim: true },
+  phoneNumber: { type: String },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Language replies should be written in, when we know it
+  language: { type: String },
+
+  status: {
+    type: String,
+    enum: SupportInboxSettings.STATUSES,
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: SupportInboxSettings.PRIORITIES,
+    default: 'normal'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: { type: Date },
+
+  // Set while the thread waits for our reply
+  responseDueBy: {
+    type: Date,
+    default: null
+  },
+  lastInboundAt: { type: Date },
+  lastReplyAt: { type: Date },
+  lastMessageAt: { type: Date },
+
+  messages: [supportMessageSchema]
+}, {
+  timestamps: true
+});
+
+supportThreadSchema.index({ status: 1, responseDueBy: 1 });
+supportThreadSchema.index({ assignedTo: 1, status: 1 });
+supportThreadSchema.index({ lastMessageAt: -1 });
+supportThreadSchema.index({ 'messages.providerMessageId': 1 }, { sparse: true });
+
+supportThreadSchema.statics.toContactKey = function({ phoneNumber, email }) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (digits.length >= 10) return `phone:${digits.slice(-10)}`;
+
+  const address = String(email || '').trim().toLowerCase();
+  return address ? `email:${address}` : null;
+};
+
+/**
+ * Latest inbound message on a channel
+ */
+supportThreadSchema.methods.getLastInbound = function(channel) {
+  for (let i = this.messages.length - 1; i >= 0; i--) {
+    const message = this.messages[i];
+    if (message.direction === 'inbound' && message.channel === channel) return message;
+  }
+  return null;
+};
+
+const SupportThread = mongoose.model('SupportThread', supportThreadSchema);
+
+module.exports = SupportThread;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { BLOOD_COMPONENTS } = require('../../shared/constants/bloodCompatibility');
+
+// Orders that still need action from one of the two hospitals
+const OPEN_STATUSES = ['requested', 'in_transit'];
+
+const transferOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function() {
+      return 'TO' + Date.now() + Math.random().toString(36).substr(2, 4).toUpperCase();
+    }
+  },
+
+  // Hospital asking for the blood, and the one asked to supply it
+  toHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  fromHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+
+  bloodType: {
+    type: String,
+    required: true,
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+  },
+  component: {
+    type: String,
+    enum: Object.values(BLOOD_COMPONENTS),
+    default: BLOOD_COMPONENTS.WHOLE_BLOOD
+  },
+  units: {
+    type: Number,
+    required: true,
+    min: [1, 'At least 1 unit must be requested'],
+    max: [100, 'Cannot request more than 100 units']
+  },
+  urgency: {
+    type: String,
+    enum: ['routine', 'urgent', 'emergency'],
+    default: 'routine'
+  },
+  reason: { type: String, trim: true, maxlength: 500 },
+  bloodRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodRequest' },
+
+  status: {
+    type: String,
+    enum: ['requested', 'in_transit', 'received', 'rejected', 'cancelled'],
+    default: 'requested'
+  },
+
+  // Batches that left the supplier's stock when the order was approved
+  batches: [{
+    batchId: { type: String, required: true },
+    donationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donation' },
+    units: { type: Number, required: true },
+    collectionDate: { type: Date },
+    expiryDate: { type: Date }
+  }],
+
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedAt: { type: Date },
+  closeReason: { type: String, trim: true, maxlength: 500 },
+
+  receipt: {
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedAt: { type: Date },
+    unitsAccepted: { type: Number, default: 0 },
+    coldChain: {
+      maintained: { type: Boolean },
+      temperatureOnArrival: { type: Number }, // °C
+      note: { type: String, trim: true, maxlength: 500 }
+    },
+    notes: { type: String, trim: true, maxlength: 1000 }
+  },
+
+  // One entry per step, oldest first
+  history: [{
+    status: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, trim: true }
+  }]
+}, {
+  timestamps: true
+});
+
+transferOrderSchema.index({ fromHospital: 1, status: 1, createdAt: -1 });
+transferOrderSchema.index({ toHospital: 1, status: 1, createdAt: -1 });
+
+transferOrderSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status);
+});
+
+transferOrderSchema.methods.involves = function(hospitalId) {
+  return [this.fromHospital, this.toHospital]
+    .some(id => (id?._id || id).toString() === hospitalId.toString());
+};
+
+const TransferOrder = mongoose.model('TransferOrder', transferOrderSchema);
+
+module.exports = TransferOrder;
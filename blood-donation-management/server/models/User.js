@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
+const { MessageTemplateSettings } = require('../config/messageTemplates');
+const { BLOOD_COMPONENTS, getCompatibleDonorTypes } = require('../../shared/constants/bloodCompatibility');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -245,9 +247,36 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['monthly', 'quarterly', 'biannually', 'annually', 'as_needed'],
       default: 'as_needed'
+    },
+
+    // Language for notifications; templates without this variant use English
+    language: {
+      type: String,
+      enum: MessageTemplateSettings.LANGUAGES,
+      default: MessageTemplateSettings.DEFAULT_LANGUAGE
     }
   },
-  
+
+  // Blood request paging history, kept by notificationFatigueService
+  notificationFatigue: {
+    // Most recent pages only; older entries are trimmed on write
+    pagedAt: [Date],
+    lastPagedAt: Date,
+    cooldownUntil: Date,
+    snoozedUntil: Date,
+    snoozeSource: {
+      type: String,
+      enum: ['whatsapp', 'sms', 'app', 'admin']
+    },
+    // 100 for a donor not paged recently, lower the more they have been paged
+    fairnessScore: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100
+    }
+  },
+
   // Account Status
   status: {
     type: String,
@@ -346,10 +375,65 @@ const userSchema = new mongoose.Schema({
     }
   }],
   
-  // Onboarding questionnaire
+  // Health questionnaire. Answers are keyed by question id; version is the
+  // HealthQuestionnaire version answered (absent for free-form answers
+  // saved before questionnaires were versioned).
   questionnaire: {
     data: mongoose.Schema.Types.Mixed,
-    completedAt: Date
+    completedAt: Date,
+    version: Number,
+    // Automatic screening of the answers against that version
+    screening: {
+      outcome: { type: String, enum: ['cleared', 'deferred', 'review'] },
+      deferrals: [{
+        _id: false,
+        questionId: String,
+        code: String,
+        message: String,
+        until: Date
+      }],
+      flags: [{
+        _id: false,
+        questionId: String,
+        message: String
+      }],
+      screenedAt: Date
+    },
+    // Medical staff decision on flagged answers
+    review: {
+      decision: { type: String, enum: ['cleared', 'deferred'] },
+      deferredUntil: Date,
+      notes: String,
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: Date
+    },
+    // Set when a newer version asks this donor to answer again
+    reanswerRequired: {
+      version: Number,
+      reason: String,
+      requestedAt: Date
+    }
+  },
+  
+  // Latest result of the eligibility rules engine, used by donor matching
+  eligibility: {
+    evaluatedAt: Date,
+    eligible: Boolean,
+    nextEligibleDate: Date,
+    deferredIndefinitely: Boolean,
+    byDonationType: {
+      whole_blood: { eligible: Boolean, nextEligibleDate: Date, deferredIndefinitely: Boolean },
+      double_red_cells: { eligible: Boolean, nextEligibleDate: Date, deferredIndefinitely: Boolean },
+      platelets: { eligible: Boolean, nextEligibleDate: Date, deferredIndefinitely: Boolean },
+      plasma: { eligible: Boolean, nextEligibleDate: Date, deferredIndefinitely: Boolean }
+    },
+    reasons: [{
+      _id: false,
+      code: String,
+      message: String,
+      until: Date,
+      donationTypes: [String]
+    }]
   },
   
   // Statistics
@@ -380,6 +464,20 @@ const userSchema = new mongoose.Schema({
       min: 0
     }
   },
+
+  // Achievement summary, kept up to date by the achievement service
+  rewards: {
+    points: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    streak: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
   
   // System Fields
   role: {
@@ -468,6 +566,13 @@ userSchema.virtual('isEligibleForDonation').get(function() {
   if (this.status !== 'active') return false;
   if (!this.verification.phoneVerified || !this.verification.documentsVerified) return false;
   
+  // Use the rules engine snapshot when there is one
+  if (this.eligibility?.evaluatedAt) {
+    const wholeBlood = this.eligibility.byDonationType?.whole_blood || {};
+    if (wholeBlood.deferredIndefinitely) return false;
+    return !wholeBlood.nextEligibleDate || wholeBlood.nextEligibleDate <= new Date();
+  }
+  
   // Check last donation date (minimum 3 months gap)
   if (this.medicalInfo.lastDonationDate) {
     const daysSinceLastDonation = (Date.now() - this.medicalInfo.lastDonationDate.getTime()) / (24 * 60 * 60 * 1000);
@@ -651,19 +756,8 @@ userSchema.statics.findEligibleDonors = function(bloodType, coordinates, maxDist
   }).where('bloodType').in(this.getCompatibleDonorTypes(bloodType));
 };
 
-userSchema.statics.getCompatibleDonorTypes = function(requestedBloodType) {
-  const donorCompatibility = {
-    'O-': ['O-'], // Can only receive from O-
-    'O+': ['O-', 'O+'],
-    'A-': ['O-', 'A-'],
-    'A+': ['O-', 'O+', 'A-', 'A+'],
-    'B-': ['O-', 'B-'],
-    'B+': ['O-', 'O+', 'B-', 'B+'],
-    'AB-': ['O-', 'A-', 'B-', 'AB-'],
-    'AB+': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'] // Universal recipient
-  };
-  
-  return donorCompatibility[requestedBloodType] || [];
+userSchema.statics.getCompatibleDonorTypes = function(requestedBloodType, component = BLOOD_COMPONENTS.WHOLE_BLOOD) {
+  return getCompatibleDonorTypes(requestedBloodType, component);
 };
 
 userSchema.statics.getActiveStats = function() {
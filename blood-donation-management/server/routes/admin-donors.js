@@ -1,7 +1,11 @@
 const express = require('express');
+const { body } = require('express-validator');
 const router = express.Router();
 const User = require('../models/User');
+const questionnaireService = require('../services/questionnaireService');
 const { auth, adminOnly } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const auditLogger = require('../utils/auditLogger');
 const logger = require('../utils/logger');
 
 // GET /api/v1/admin/donors/all - Get all donors
@@ -75,10 +79,22 @@ router.get('/:id/questionnaire', auth, adminOnly, async (req, res) => {
       });
     }
 
+    // The version the donor answered, for question wording and options
+    let definition = null;
+    if (donor.questionnaire.version) {
+      definition = await questionnaireService.getVersion(donor.questionnaire.version)
+        .catch(() => null);
+    }
+
     res.json({
       success: true,
       data: {
         questionnaire: donor.questionnaire?.data || donor.questionnaire,
+        version: donor.questionnaire.version || null,
+        definition,
+        screening: donor.questionnaire.screening || null,
+        review: donor.questionnaire.review || null,
+        reanswerRequired: donor.questionnaire.reanswerRequired || null,
         submittedAt: donor.questionnaireSubmittedAt || donor.questionnaire?.completedAt || donor.updatedAt,
         donor: {
           id: donor._id,
@@ -100,6 +116,113 @@ router.get('/:id/questionnaire', auth, adminOnly, async (req, res) => {
   }
 });
 
+// GET /api/v1/admin/donors/questionnaire-reviews - Donors whose health answers were flagged for review
+router.get('/questionnaire-reviews', auth, adminOnly, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const { donors, total } = await questionnaireService.getReviewQueue({ page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        donors,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCount: total
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch questionnaire review queue', 'ADMIN_DONORS', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch questionnaire reviews',
+        details: error.message
+      }
+    });
+  }
+});
+
+// PUT /api/v1/admin/donors/:id/questionnaire/review - Clear or defer a donor after reviewing flagged answers
+router.put('/:id/questionnaire/review',
+  auth,
+  adminOnly,
+  [
+    body('decision')
+      .isIn(['cleared', 'deferred'])
+      .withMessage('Decision must be cleared or deferred'),
+    body('deferredUntil')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('deferredUntil must be a date'),
+    body('notes')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Notes must be at most 1000 characters')
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const donor = await User.findById(id);
+
+      if (!donor) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Donor not found' }
+        });
+      }
+      if (!donor.questionnaire?.completedAt) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'Donor has not answered the questionnaire' }
+        });
+      }
+
+      const { decision, deferredUntil, notes } = req.body;
+      const { questionnaire, eligibility } = await questionnaireService.review(donor, { decision, deferredUntil, notes }, req.user.id);
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: 'review_questionnaire',
+        resource: 'user',
+        resourceId: donor._id,
+        details: notes,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: true,
+        metadata: { decision, deferredUntil, version: questionnaire.version }
+      });
+
+      logger.success(`Questionnaire for donor ${id} reviewed: ${decision}`, 'ADMIN_DONORS');
+
+      res.json({
+        success: true,
+        data: { review: questionnaire.review, eligibility },
+        message: 'Questionnaire review saved'
+      });
+
+    } catch (error) {
+      logger.error('Failed to review donor questionnaire', 'ADMIN_DONORS', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to save questionnaire review',
+          details: error.message
+        }
+      });
+    }
+  }
+);
+
 // PUT /api/v1/admin/donors/:id/approve - Approve a donor
 router.put('/:id/approve', auth, adminOnly, async (req, res) => {
   try {
@@ -5,12 +5,17 @@ const User = require('../models/User');
 const auditLogger = require('../utils/auditLogger');
 const logger = require('../utils/logger');
 const notificationService = require('../services/notificationService');
+const donorMatchingService = require('../services/donorMatchingService');
+const notificationLogService = require('../services/notificationLogService');
+const consentService = require('../services/consentService');
+const { adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
 const AuditLog = require('../models/AuditLog');
 const BloodRequest = require('../models/BloodRequest');
 const emailService = require('../services/emailService');
 const NotificationSettings = require('../models/NotificationSettings');
+const MatchingJob = require('../models/MatchingJob');
 
 // Rate limiting for admin actions
 const adminLimiter = rateLimit({
@@ -505,13 +510,23 @@ router.get('/notifications/settings', adminLimiter, async (req, res) => {
 router.put('/notifications/settings', adminLimiter, async (req, res) => {
   try {
     if (req.user?.role !== 'admin') return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
-    const allowedKeys = ['channelOrder','enableWhatsApp','enableSMS','escalateToWhatsAppOnPriority','escalateToSMSOnPriority','escalateAfterMs'];
+    const allowedKeys = ['channelOrder','enableWhatsApp','enableSMS','escalateToWhatsAppOnPriority','escalateToSMSOnPriority','escalateAfterMs','fatigue'];
     const payload = Object.fromEntries(Object.entries(req.body || {}).filter(([k]) => allowedKeys.includes(k)));
     const settings = await NotificationSettings.getSettings();
+    // Fatigue limits can be changed one at a time
+    if ('fatigue' in payload) {
+      if (!payload.fatigue || typeof payload.fatigue !== 'object' || Array.isArray(payload.fatigue)) {
+        return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: 'fatigue must be an object' });
+      }
+      payload.fatigue = { ...settings.toObject().fatigue, ...payload.fatigue };
+    }
     Object.assign(settings, payload, { updatedBy: req.user.id });
     await settings.save();
     res.json({ success: true, data: settings });
   } catch (e) {
+    if (e.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: e.message });
+    }
     logger.error('Failed to update notification settings', 'ADMIN_ROUTES', e);
     res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
   }
@@ -576,6 +591,137 @@ router.get('/requests/summary', adminLimiter, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/v1/admin/matching/jobs
+ * @desc    List donor matching jobs
+ * @access  Private (Admin only)
+ */
+router.get('/matching/jobs', adminLimiter, adminOnly, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const { jobs, total } = await donorMatchingService.listJobs({ status, page, limit });
+    const stats = await donorMatchingService.getStatistics();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        stats,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalCount: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching matching jobs', 'ADMIN_ROUTES', error);
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: 'Failed to fetch matching jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/admin/matching/jobs/:requestId
+ * @desc    Get the matching job for a blood request
+ * @access  Private (Admin only)
+ */
+router.get('/matching/jobs/:requestId', adminLimiter, adminOnly, async (req, res) => {
+  try {
+    const job = await MatchingJob.findByRequestId(req.params.requestId)
+      .populate('bloodRequest', 'requestId status patient.bloodType request location.hospital.name matching.totalResponded matching.positiveResponses')
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'MATCHING_JOB_NOT_FOUND',
+        message: 'No matching job found for this request'
+      });
+    }
+
+    const { summary, byChannel } = await notificationLogService.getRequestDeliveryReport(job.requestId, { withDonorDetails: false });
+
+    res.status(200).json({ success: true, data: { job, delivery: { summary, byChannel } } });
+  } catch (error) {
+    logger.error('Error fetching matching job', 'ADMIN_ROUTES', error);
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: 'Failed to fetch matching job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/admin/matching/jobs/:requestId/:action
+ * @desc    Pause, resume or cancel the matching job for a blood request
+ * @access  Private (Admin only)
+ */
+router.post('/matching/jobs/:requestId/:action', adminLimiter, adminOnly, async (req, res) => {
+  try {
+    const { requestId, action } = req.params;
+    const { reason } = req.body || {};
+
+    const handlers = {
+      pause: () => donorMatchingService.pauseMatching(requestId, req.user.id),
+      resume: () => donorMatchingService.resumeMatching(requestId),
+      cancel: () => donorMatchingService.stopMatching(requestId, reason || 'cancelled_by_admin')
+    };
+
+    if (!handlers[action]) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_ACTION',
+        message: 'Action must be pause, resume or cancel'
+      });
+    }
+
+    const job = await handlers[action]();
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'MATCHING_JOB_STATE_CONFLICT',
+        message: `Cannot ${action} matching job for ${requestId} in its current state`
+      });
+    }
+
+    auditLogger.logUserAction({
+      userId: req.user.id,
+      userRole: 'admin',
+      action: `${action}_matching_job`,
+      resource: 'matching_job',
+      resourceId: job._id,
+      details: `Matching job ${action} for request ${requestId}`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      success: true,
+      metadata: {
+        requestId,
+        status: job.status,
+        reason: reason || null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Matching job ${job.status}`,
+      data: { job }
+    });
+  } catch (error) {
+    logger.error('Error updating matching job', 'ADMIN_ROUTES', error);
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: 'Failed to update matching job'
+    });
+  }
+});
+
 /**
  * @route   POST /api/v1/admin/export/donors
  * @desc    Export donors data to CSV
@@ -679,6 +825,59 @@ router.post('/export/donors', adminLimiter, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/v1/admin/export/consents
+ * @desc    Export the channel consent ledger to CSV for audit
+ * @access  Private (Admin only)
+ */
+router.post('/export/consents', adminLimiter, adminOnly, async (req, res) => {
+  try {
+    const { filters = {} } = req.body;
+
+    logger.info('Admin requested consent ledger export', 'ADMIN_ROUTES', { filters });
+
+    const records = await consentService.exportLedger({
+      channel: filters.channel,
+      granted: filters.granted,
+      source: filters.source,
+      userId: filters.userId,
+      startDate: filters.dateRange?.startDate,
+      endDate: filters.dateRange?.endDate
+    });
+
+    auditLogger.logUserAction({
+      userId: req.user?.id || 'admin',
+      userRole: 'admin',
+      action: 'export_consents',
+      resource: 'consent',
+      details: `Exported ${records.length} consent records`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      success: true,
+      metadata: {
+        recordCount: records.length,
+        filters,
+        requestId: req.requestId
+      }
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="consent-ledger-${new Date().toISOString().split('T')[0]}.csv"`);
+
+    logger.success(`Consent ledger export completed: ${records.length} records`, 'ADMIN_ROUTES');
+
+    res.status(200).send(consentService.toCsv(records));
+
+  } catch (error) {
+    logger.error('Error exporting consent ledger', 'ADMIN_ROUTES', error);
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: 'Failed to export consent ledger'
+    });
+  }
+});
+
 module.exports = router;
 
 /**
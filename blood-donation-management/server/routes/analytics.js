@@ -85,22 +85,24 @@ router.get('/inventory/overview', auth, requireAdmin, async (req, res) => {
 // Low-stock and expiry alerts (admin)
 router.get('/inventory/alerts', auth, requireAdmin, async (req, res) => {
   try {
-    const Hospital = require('../models/Hospital');
-    const hospitals = await Hospital.find({ isActive: true }).select('name inventory address contactInfo');
-    const lowStock = [];
-    const expiringSoon = [];
-    const sevenDaysFromNow = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    hospitals.forEach(h => {
-      h.inventory.forEach(item => {
-        if (item.unitsAvailable <= item.minimumThreshold) {
-          lowStock.push({ hospital: { id: h._id, name: h.name }, bloodType: item.bloodType, unitsAvailable: item.unitsAvailable, minimumThreshold: item.minimumThreshold, lastUpdated: item.lastUpdated });
-        }
-        const soon = (item.expirationDates || []).filter(d => new Date(d) <= sevenDaysFromNow).length;
-        if (soon > 0) {
-          expiringSoon.push({ hospital: { id: h._id, name: h.name }, bloodType: item.bloodType, expiringSoonCount: soon });
-        }
-      });
-    });
+    const inventoryService = require('../services/inventoryService');
+    const [lowStockAlerts, expiryAlerts] = await Promise.all([
+      inventoryService.getSystemWideLowStockAlerts(),
+      inventoryService.getSystemWideExpiryAlerts()
+    ]);
+    const lowStock = lowStockAlerts.flatMap(({ hospital, lowStockItems }) => lowStockItems.map(item => ({
+      hospital: { id: hospital.id, name: hospital.name },
+      bloodType: item.bloodType,
+      unitsAvailable: item.unitsAvailable,
+      minimumThreshold: item.minimumThreshold,
+      lastUpdated: item.lastUpdated
+    })));
+    const expiringSoon = expiryAlerts.flatMap(({ hospital, expiringSoonItems }) => expiringSoonItems.map(item => ({
+      hospital: { id: hospital.id, name: hospital.name },
+      bloodType: item.bloodType,
+      expiringSoonCount: item.expiringSoonCount,
+      daysUntilExpiry: item.daysUntilExpiry
+    })));
     res.json({ success: true, data: { lowStock, expiringSoon } });
   } catch (error) {
     logger.error('Error fetching inventory alerts', 'ANALYTICS_API', error);
@@ -108,6 +110,45 @@ router.get('/inventory/alerts', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// Consumption forecast, projected stock-out and suggested thresholds (admin)
+router.get('/inventory/forecast',
+  auth,
+  requireAdmin,
+  [
+    query('hospitalId').optional().isMongoId().withMessage('Invalid hospital ID'),
+    query('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
+    query('component').optional().isIn(['whole_blood', 'red_cells', 'platelets', 'plasma', 'cryoprecipitate']).withMessage('Invalid blood component'),
+    query('horizon').optional().isIn(['7', '14', '30']).withMessage('Horizon must be 7, 14 or 30 days')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid parameters',
+            details: errors.array()
+          }
+        });
+      }
+
+      const inventoryForecastService = require('../services/inventoryForecastService');
+      const forecast = await inventoryForecastService.getForecast({
+        hospitalId: req.query.hospitalId,
+        bloodType: req.query.bloodType,
+        component: req.query.component,
+        horizons: req.query.horizon ? [parseInt(req.query.horizon)] : undefined
+      });
+
+      res.json({ success: true, data: forecast });
+    } catch (error) {
+      logger.error('Error generating inventory forecast', 'ANALYTICS_API', error);
+      res.status(500).json({ success: false, error: 'INTERNAL_ERROR' });
+    }
+  }
+);
+
 // Get donor engagement metrics
 router.get('/donors/engagement',
   auth,
@@ -0,0 +1,59 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const appealCampaignController = require('../controllers/appealCampaignController');
+const { auth, donorOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const campaignIdValidation = [
+  param('campaignId')
+    .matches(/^AP[A-Z0-9]+$/)
+    .withMessage('Invalid appeal ID')
+];
+
+const bookSlotValidation = [
+  body('slotId')
+    .isMongoId()
+    .withMessage('Invalid slot ID')
+];
+
+const declineValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must not exceed 200 characters')
+];
+
+router.use(auth, donorOnly);
+
+/**
+ * @route   GET /api/v1/appeals/me
+ * @desc    Donation appeals the donor has been invited to, with open slots
+ * @access  Private (Donors only)
+ */
+router.get('/me', appealCampaignController.getMyAppeals);
+
+/**
+ * @route   POST /api/v1/appeals/:campaignId/book
+ * @desc    Book a donation slot for an appeal
+ * @access  Private (Donors only)
+ */
+router.post('/:campaignId/book',
+  campaignIdValidation,
+  bookSlotValidation,
+  appealCampaignController.bookSlot
+);
+
+/**
+ * @route   POST /api/v1/appeals/:campaignId/decline
+ * @desc    Decline an appeal, cancelling any booked slot
+ * @access  Private (Donors only)
+ */
+router.post('/:campaignId/decline',
+  campaignIdValidation,
+  declineValidation,
+  appealCampaignController.declineAppeal
+);
+
+module.exports = router;
@@ -1,12 +1,15 @@
 const express = require('express');
 const Joi = require('joi');
 const User = require('../models/User');
-const jwtManager = require('../utils/jwt');
 const passwordManager = require('../utils/password');
 const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
 const { userRateLimit, auth } = require('../middleware/auth');
 const { rateLimit } = require('express-rate-limit');
 const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const consentService = require('../services/consentService');
+const { MessageTemplateSettings } = require('../config/messageTemplates');
 
 const router = express.Router();
 
@@ -78,6 +81,7 @@ const registerSchema = Joi.object({
   
   preferences: Joi.object({
     maxTravelDistance: Joi.number().min(1).max(100).default(15),
+    language: Joi.string().valid(...MessageTemplateSettings.LANGUAGES),
     notificationMethods: Joi.object({
       whatsapp: Joi.boolean().default(true),
       sms: Joi.boolean().default(false),
@@ -252,6 +256,17 @@ router.post('/register', userRateLimit(3, 15 * 60 * 1000), async (req, res) => {
     const user = new User(userData);
     await user.save();
 
+    // The channels ticked at sign-up start the donor's consent ledger
+    try {
+      await consentService.recordChoices(user, user.preferences?.notificationMethods || {}, {
+        source: 'registration',
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (consentError) {
+      logger.error(`Failed to record sign-up consent for: ${phone}`, 'AUTH_ROUTES', consentError);
+    }
+
     // Update referrer's count
     if (referredBy) {
       await User.findByIdAndUpdate(referredBy, {
@@ -260,15 +275,8 @@ router.post('/register', userRateLimit(3, 15 * 60 * 1000), async (req, res) => {
       logger.info(`Updated referral count for user: ${referredBy}`, 'AUTH_ROUTES');
     }
 
-    // Generate tokens
-    const tokenPayload = {
-      userId: user._id,
-      role: user.role,
-      permissions: user.permissions
-    };
-
-    const accessToken = jwtManager.generateToken(tokenPayload);
-    const refreshToken = jwtManager.generateRefreshToken(tokenPayload);
+    // Start a session and issue its tokens
+    const { tokens } = await sessionService.createSession(user, req);
 
     logger.success(`User registered successfully: ${phone}`, 'AUTH_ROUTES');
     logger.auth('USER_REGISTERED', user._id, 'AUTH_ROUTES');
@@ -283,7 +291,7 @@ router.post('/register', userRateLimit(3, 15 * 60 * 1000), async (req, res) => {
           phoneNumber: user.phoneNumber
         };
         
-        await emailService.sendWelcomeEmail(email, donorData);
+        await emailService.sendWelcomeEmail(email, donorData, { language: user.preferences?.language });
         logger.success(`Welcome email sent to: ${emailService.maskEmail(email)}`, 'AUTH_ROUTES');
       } catch (emailError) {
         // Don't fail registration if email fails, just log the error
@@ -308,11 +316,7 @@ router.post('/register', userRateLimit(3, 15 * 60 * 1000), async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: userResponse,
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: jwtManager.expiresIn
-        }
+        tokens
       }
     });
 
@@ -403,15 +407,8 @@ router.post('/login', userRateLimit(5, 15 * 60 * 1000), async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate tokens
-    const tokenPayload = {
-      userId: user._id,
-      role: user.role,
-      permissions: user.permissions
-    };
-
-    const accessToken = jwtManager.generateToken(tokenPayload);
-    const refreshToken = jwtManager.generateRefreshToken(tokenPayload);
+    // Start a session and issue its tokens
+    const { tokens } = await sessionService.createSession(user, req);
 
     logger.success(`User logged in successfully: ${phone}`, 'AUTH_ROUTES');
     logger.auth('USER_LOGIN', user._id, 'AUTH_ROUTES');
@@ -441,11 +438,7 @@ router.post('/login', userRateLimit(5, 15 * 60 * 1000), async (req, res) => {
       message: 'Login successful',
       data: {
         user: userResponse,
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: jwtManager.expiresIn
-        }
+        tokens
       }
     });
 
@@ -538,15 +531,8 @@ router.post('/login-otp', userRateLimit(5, 15 * 60 * 1000), async (req, res) =>
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate tokens
-    const tokenPayload = {
-      userId: user._id,
-      role: user.role,
-      permissions: user.permissions
-    };
-
-    const accessToken = jwtManager.generateToken(tokenPayload);
-    const refreshToken = jwtManager.generateRefreshToken(tokenPayload);
+    // Start a session and issue its tokens
+    const { tokens } = await sessionService.createSession(user, req);
 
     logger.success(`User logged in successfully via OTP: ${phone}`, 'AUTH_ROUTES');
     logger.auth('USER_OTP_LOGIN', user._id, 'AUTH_ROUTES');
@@ -576,11 +562,7 @@ router.post('/login-otp', userRateLimit(5, 15 * 60 * 1000), async (req, res) =>
       message: 'Login successful',
       data: {
         user: userResponse,
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: jwtManager.expiresIn
-        }
+        tokens
       }
     });
 
@@ -616,18 +598,15 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Generate new access token
-    const newAccessToken = jwtManager.refreshAccessToken(refreshToken);
+    // Rotate: the presented refresh token stops working once this succeeds
+    const tokens = await sessionService.rotateRefreshToken(refreshToken, req);
 
     logger.success('Access token refreshed successfully', 'AUTH_ROUTES');
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      data: {
-        accessToken: newAccessToken,
-        expiresIn: jwtManager.expiresIn
-      }
+      data: tokens
     });
 
   } catch (error) {
@@ -638,8 +617,12 @@ router.post('/refresh', async (req, res) => {
     
     if (error.message === 'Token expired') {
       errorCode = 'REFRESH_TOKEN_EXPIRED';
-    } else if (error.message === 'Invalid refresh token') {
+    } else if (error.message === 'Invalid refresh token' || error.message === 'Invalid token') {
       errorCode = 'INVALID_REFRESH_TOKEN';
+    } else if (error.message === 'Refresh token reuse detected') {
+      errorCode = 'REFRESH_TOKEN_REUSED';
+    } else if (error.message === 'Session revoked') {
+      errorCode = 'SESSION_REVOKED';
     }
 
     res.status(statusCode).json({
@@ -653,17 +636,14 @@ router.post('/refresh', async (req, res) => {
 });
 
 // @route   POST /api/v1/auth/logout
-// @desc    Logout user
+// @desc    Logout user (ends the current session)
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
   try {
     logger.api('POST', '/api/v1/auth/logout', null, null, 'AUTH_ROUTES');
     logger.auth('USER_LOGOUT', req.user.id, 'AUTH_ROUTES');
 
-    // In a production environment, you might want to:
-    // 1. Add the token to a blacklist
-    // 2. Store blacklisted tokens in Redis with expiration
-    // 3. Check blacklist in authentication middleware
+    await sessionService.revokeSession(req.user.id, req.sessionId, 'logout');
 
     res.json({
       success: true,
@@ -682,6 +662,121 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/v1/auth/logout-all
+// @desc    Logout user from every device, including this one
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    logger.api('POST', '/api/v1/auth/logout-all', null, null, 'AUTH_ROUTES');
+    logger.auth('USER_LOGOUT_ALL', req.user.id, 'AUTH_ROUTES');
+
+    const revokedCount = await sessionService.revokeAllSessions(req.user.id, 'logout_all');
+
+    auditLogger.logUserAction({
+      userId: req.user.id,
+      userRole: req.user.role,
+      action: 'logout_all_sessions',
+      resource: 'session',
+      details: `Ended ${revokedCount} sessions`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      success: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedCount }
+    });
+
+  } catch (error) {
+    logger.error('Logout from all devices failed', 'AUTH_ROUTES', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Logout failed',
+        code: 'LOGOUT_ERROR'
+      }
+    });
+  }
+});
+
+// @route   GET /api/v1/auth/sessions
+// @desc    List devices the user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    logger.api('GET', '/api/v1/auth/sessions', null, null, 'AUTH_ROUTES');
+
+    const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list sessions', 'AUTH_ROUTES', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to load sessions',
+        code: 'SESSIONS_ERROR'
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/v1/auth/sessions/:sessionId
+// @desc    Sign out one device, e.g. a lost phone
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    logger.api('DELETE', `/api/v1/auth/sessions/${req.params.sessionId}`, null, null, 'AUTH_ROUTES');
+
+    const session = await sessionService.revokeSession(req.user.id, req.params.sessionId, 'revoked_by_user');
+
+    auditLogger.logUserAction({
+      userId: req.user.id,
+      userRole: req.user.role,
+      action: 'revoke_session',
+      resource: 'session',
+      resourceId: session._id,
+      details: `Ended session on ${session.device?.browser} / ${session.device?.os} (${session.ipAddress})`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      success: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Session ended',
+      data: { current: session.sessionId === req.sessionId }
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke session', 'AUTH_ROUTES', error);
+
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to end session',
+        code: 'SESSION_REVOKE_ERROR'
+      }
+    });
+  }
+});
+
 // @route   GET /api/v1/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -721,7 +816,7 @@ router.get('/me', auth, async (req, res) => {
 
     // Attach onboarding completion flag for convenience
     const Document = require('../models/Document');
-    const docs = await Document.find({ userId: user._id }).select('type').lean();
+    const docs = await Document.find({ userId: user._id, quarantined: { $ne: true } }).select('type').lean();
     const hasIdProof = docs.some(d => d.type === 'id_proof');
     const hasAddressProof = docs.some(d => d.type === 'address_proof');
     const questionnaireDone = !!user.questionnaire?.completedAt;
@@ -1075,6 +1170,9 @@ router.post('/reset-password', userRateLimit(3, 15 * 60 * 1000), async (req, res
     user.loginAttempts = undefined; // Reset login attempts
     await user.save();
 
+    // Whoever knew the old password may still hold a session
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
+
     logger.success(`Password reset successful for ${isEmail ? 'email' : 'phone'}: ${targetIdentifier}`, 'AUTH_ROUTES');
     logger.auth('PASSWORD_RESET', user._id, 'AUTH_ROUTES');
 
@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const achievementController = require('../controllers/achievementController');
+const { auth, adminOnly } = require('../middleware/auth');
+const { AchievementSettings } = require('../config/achievements');
+
+const router = express.Router();
+
+const { CATEGORIES, RARITIES, CRITERIA } = AchievementSettings;
+
+const keyValidation = (field) => field
+  .matches(/^[a-z][a-z0-9_]{0,63}$/)
+  .withMessage('Badge key must be lowercase letters, digits and underscores');
+
+const badgeValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage('Title is required and must not exceed 60 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description must not exceed 300 characters'),
+    body('icon')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 8 })
+      .withMessage('Icon must be a short emoji'),
+    body('category')
+      .optional()
+      .isIn(CATEGORIES)
+      .withMessage(`Category must be one of ${CATEGORIES.join(', ')}`),
+    body('rarity')
+      .optional()
+      .isIn(RARITIES)
+      .withMessage(`Rarity must be one of ${RARITIES.join(', ')}`),
+    body('points')
+      .optional()
+      .isInt({ min: 0, max: 100000 })
+      .withMessage('Points must be a whole number of at least 0'),
+    field('criteria')
+      .isObject()
+      .withMessage('Criteria must be an object'),
+    body('criteria.type')
+      .if(body('criteria').exists())
+      .isIn(Object.keys(CRITERIA))
+      .withMessage(`Criterion must be one of ${Object.keys(CRITERIA).join(', ')}`),
+    body('criteria.threshold')
+      .if(body('criteria').exists())
+      .isInt({ min: 1 })
+      .withMessage('Threshold must be a whole number of at least 1'),
+    body('criteria.params')
+      .optional()
+      .isObject()
+      .withMessage('Criterion parameters must be an object'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false'),
+    body('sortOrder')
+      .optional()
+      .isInt()
+      .withMessage('Sort order must be a whole number')
+  ];
+};
+
+router.use(auth, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/badges
+ * @desc    Badge catalog, retired badges included
+ * @access  Private (Admin only)
+ */
+router.get('/', achievementController.listBadges);
+
+/**
+ * @route   POST /api/v1/admin/badges
+ * @desc    Add a badge
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  keyValidation(body('key')),
+  badgeValidation(false),
+  achievementController.createBadge
+);
+
+/**
+ * @route   PUT /api/v1/admin/badges/:key
+ * @desc    Edit a badge; set isActive to false to retire it
+ * @access  Private (Admin only)
+ */
+router.put('/:key',
+  keyValidation(param('key')),
+  badgeValidation(true),
+  achievementController.updateBadge
+);
+
+module.exports = router;
@@ -7,11 +7,14 @@ const {
   getBloodRequests,
   updateRequestStatus,
   addDonorResponse,
+  updateDonorCommitment,
   getNearbyRequests,
   getDonorMatches
 } = require('../controllers/bloodRequestController');
 
-const { auth } = require('../middleware/auth');
+const BloodRequest = require('../models/BloodRequest');
+const inventoryService = require('../services/inventoryService');
+const { auth, optionalAuth } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const logger = require('../utils/logger');
 
@@ -82,6 +85,7 @@ const bloodRequestSchema = {
   location: {
     hospital: {
       name: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+      hospitalId: { type: 'string', required: false, pattern: /^[a-f\d]{24}$/i },
       address: {
         street: { type: 'string', required: true, minLength: 5, maxLength: 200 },
         city: { type: 'string', required: true, minLength: 2, maxLength: 100 },
@@ -110,6 +114,12 @@ const donorResponseSchema = {
   notes: { type: 'string', required: false, maxLength: 500 }
 };
 
+const commitmentUpdateSchema = {
+  action: { type: 'string', required: true, enum: ['confirm', 'cancel'] },
+  eta: { type: 'string', required: false, format: 'date-time' },
+  reason: { type: 'string', required: false, maxLength: 200 }
+};
+
 const statusUpdateSchema = {
   status: { 
     type: 'string', 
@@ -122,10 +132,11 @@ const statusUpdateSchema = {
 /**
  * @route   POST /api/v1/blood-requests
  * @desc    Create a new blood request
- * @access  Public (with rate limiting)
+ * @access  Public (with rate limiting); signed-in hospital accounts link to their own hospital
  */
 router.post('/', 
   createRequestLimiter,
+  optionalAuth,
   validate(bloodRequestSchema),
   createBloodRequest
 );
@@ -198,6 +209,18 @@ router.post('/:requestId/responses',
   addDonorResponse
 );
 
+/**
+ * @route   PUT /api/v1/blood-requests/:requestId/responses/me
+ * @desc    Confirm arrival ETA or cancel the current donor's commitment
+ * @access  Private (Donors only)
+ */
+router.put('/:requestId/responses/me',
+  generalLimiter,
+  auth,
+  validate(commitmentUpdateSchema),
+  updateDonorCommitment
+);
+
 /**
  * @route   GET /api/v1/blood-requests/:requestId/responses
  * @desc    Get all responses for a blood request
@@ -301,6 +324,7 @@ router.post('/:requestId/fulfill',
 
       // Mark as fulfilled
       await bloodRequest.markAsFulfilled(donorDetails);
+      await inventoryService.issueRequestReservation(bloodRequest);
 
       // Add feedback if provided
       if (feedback) {
@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const certificateController = require('../controllers/certificateController');
+const { auth, adminOnly } = require('../middleware/auth');
+const { CertificateSettings } = require('../config/certificates');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const { WINDOW_MS, MAX_REQUESTS, MAX_BULK_REQUESTS } = CertificateSettings.VERIFY_RATE_LIMIT;
+
+// Verification is public; limit it so certificate IDs cannot be enumerated
+const verifyLimiter = (max) => rateLimit({
+  windowMs: WINDOW_MS,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Certificate verification rate limit exceeded for IP: ${req.ip}`, 'CERTIFICATES');
+    res.status(429).json({
+      success: false,
+      error: 'TOO_MANY_VERIFICATIONS',
+      message: 'Too many verification requests. Please try again later.'
+    });
+  }
+});
+
+const certificateIdValidation = [
+  param('certificateId')
+    .isLength({ min: 1, max: 40 })
+    .withMessage('Invalid certificate ID')
+];
+
+const bulkVerifyValidation = [
+  body('certificates')
+    .isArray({ min: 1, max: CertificateSettings.BULK_VERIFY_MAX })
+    .withMessage(`certificates must be a list of 1 to ${CertificateSettings.BULK_VERIFY_MAX} certificate IDs or links`),
+  body('certificates.*')
+    .custom(value => typeof value === 'string' || (typeof value === 'object' && value !== null && typeof value.certificateId === 'string'))
+    .withMessage('Each certificate must be an ID, a verification link, or { certificateId, signature }')
+];
+
+/**
+ * @route   GET /api/v1/certificates/verify/:certificateId
+ * @desc    Check a certificate; `s` is the signature from its QR code
+ * @access  Public
+ */
+router.get('/verify/:certificateId',
+  verifyLimiter(MAX_REQUESTS),
+  certificateIdValidation,
+  certificateController.verifyCertificate
+);
+
+/**
+ * @route   POST /api/v1/certificates/verify
+ * @desc    Check a batch of certificates
+ * @access  Public
+ */
+router.post('/verify',
+  verifyLimiter(MAX_BULK_REQUESTS),
+  bulkVerifyValidation,
+  certificateController.verifyCertificates
+);
+
+/**
+ * @route   GET /api/v1/certificates/:certificateId/pdf
+ * @desc    Download a certificate as PDF
+ * @access  Private (certificate owner or admin)
+ */
+router.get('/:certificateId/pdf',
+  auth,
+  certificateIdValidation,
+  certificateController.downloadCertificate
+);
+
+/**
+ * @route   POST /api/v1/certificates/donations/:donationId/issue
+ * @desc    Issue the certificate of a completed donation that has none
+ * @access  Private (Admin only)
+ */
+router.post('/donations/:donationId/issue',
+  auth,
+  adminOnly,
+  param('donationId').isMongoId().withMessage('Invalid donation ID'),
+  certificateController.issueCertificate
+);
+
+module.exports = router;
@@ -1,66 +1,51 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
+const contentDisposition = require('content-disposition');
 const { auth } = require('../middleware/auth');
 const Document = require('../models/Document');
+const documentStorageService = require('../services/documentStorageService');
+const documentOcrService = require('../services/documentOcrService');
+const { DocumentStorageSettings } = require('../config/documentStorage');
+const { DocumentOcrSettings } = require('../config/documentOcr');
 const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
 const User = require('../models/User');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../uploads/documents');
-
-        // Create directory if it doesn't exist
-        try {
-            await fs.mkdir(uploadDir, { recursive: true });
-        } catch (error) {
-            logger.error('Failed to create upload directory', 'DOCUMENTS_ROUTES', error);
-        }
-
-        cb(null, uploadDir);
+// Files are held in memory so they can be scanned before anything is
+// written; documentStorageService decides where they end up
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: DocumentStorageSettings.MAX_FILE_SIZE
     },
-    filename: (req, file, cb) => {
-        // Generate unique filename
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const extension = path.extname(file.originalname);
-        const filename = `${req.user.id}-${req.body.type}-${uniqueSuffix}${extension}`;
-        cb(null, filename);
+    fileFilter: (req, file, cb) => {
+        if (DocumentStorageSettings.ALLOWED_TYPES[file.mimetype]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only JPEG, PNG, and PDF files are allowed.'), false);
+        }
     }
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-    const allowedTypes = [
-        'image/jpeg',
-        'image/jpg',
-        'image/png',
-        'application/pdf'
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new Error('Invalid file type. Only JPEG, PNG, and PDF files are allowed.'), false);
-    }
+// Documents are optional, so a donor counts as document-verified once any
+// of their documents is verified
+const refreshDocumentsVerified = async (userId, adminId) => {
+    const hasAnyVerified = await Document.exists({ userId, verified: true });
+    await User.findByIdAndUpdate(userId, {
+        'verification.documentsVerified': !!hasAnyVerified,
+        updatedBy: adminId
+    });
 };
 
-// Configure multer
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-    },
-    fileFilter: fileFilter
-});
-
 // @route   POST /api/v1/documents/upload
-// @desc    Upload document
+// @desc    Upload document; it is virus scanned before it is stored
 // @access  Private
 router.post('/upload', auth, upload.single('file'), async (req, res) => {
+    let stored = null;
+
     try {
         logger.api('POST', '/api/v1/documents/upload', null, null, 'DOCUMENTS_ROUTES');
 
@@ -101,21 +86,51 @@ router.post('/upload', auth, upload.single('file'), async (req, res) => {
             });
         }
 
+        stored = await documentStorageService.store({
+            userId: req.user.id,
+            buffer: req.file.buffer,
+            mimeType: req.file.mimetype
+        });
+
         // Create document record in database
         const document = new Document({
             userId: req.user.id,
             type: type,
-            filename: req.file.filename,
             originalName: req.file.originalname,
             size: req.file.size,
             mimeType: req.file.mimetype,
-            path: req.file.path
+            ocr: documentOcrService.initialState(type, req.file.mimetype),
+            ...stored
         });
 
         await document.save();
 
+        if (document.quarantined) {
+            auditLogger.logSecurityEvent({
+                event: 'DOCUMENT_QUARANTINED',
+                userId: req.user.id,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: `${type} upload flagged: ${document.metadata.scanResults.virusScan.signature}`,
+                severity: 'high'
+            });
+
+            return res.status(422).json({
+                success: false,
+                error: {
+                    message: 'This file was flagged by our virus scanner. Please upload a different copy.',
+                    code: 'FILE_QUARANTINED'
+                }
+            });
+        }
+
         logger.success(`Document uploaded successfully: ${type} for user ${req.user.id}`, 'DOCUMENTS_ROUTES');
 
+        // Read in the background; the verification queue shows the result
+        if (document.ocr?.status === 'pending') {
+            documentOcrService.processSoon(document._id);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Document uploaded successfully',
@@ -135,12 +150,12 @@ router.post('/upload', auth, upload.single('file'), async (req, res) => {
     } catch (error) {
         logger.error('Document upload failed', 'DOCUMENTS_ROUTES', error);
 
-        // Clean up uploaded file if there was an error
-        if (req.file && req.file.path) {
+        // Clean up the stored file if the record could not be saved
+        if (stored) {
             try {
-                await fs.unlink(req.file.path);
-            } catch (unlinkError) {
-                logger.error('Failed to clean up uploaded file', 'DOCUMENTS_ROUTES', unlinkError);
+                await documentStorageService.remove(stored);
+            } catch (removeError) {
+                logger.error('Failed to clean up uploaded file', 'DOCUMENTS_ROUTES', removeError);
             }
         }
 
@@ -154,32 +169,16 @@ router.post('/upload', auth, upload.single('file'), async (req, res) => {
     }
 });
 
-// @route   GET /api/v1/documents/view/:filename
-// @desc    View/download document
-// @access  Private
-router.get('/view/:filename', auth, async (req, res) => {
+// @route   GET /api/v1/documents/:documentId/download-url
+// @desc    Short-lived signed URL for viewing a document
+// @access  Private (owner or admin)
+router.get('/:documentId/download-url', auth, async (req, res) => {
     try {
-        const { filename } = req.params;
-        const filePath = path.join(__dirname, '../uploads/documents', filename);
-
-        // Check if file exists
-        try {
-            await fs.access(filePath);
-        } catch (error) {
-            logger.warn(`Document not found: ${filename}`, 'DOCUMENTS_ROUTES');
-            return res.status(404).json({
-                success: false,
-                error: {
-                    message: 'Document not found',
-                    code: 'FILE_NOT_FOUND'
-                }
-            });
-        }
+        const { documentId } = req.params;
 
-        // Find document in database and check ownership
-        const document = await Document.findOne({ filename });
+        const document = await Document.findById(documentId);
         if (!document) {
-            logger.warn(`Document not found in database: ${filename}`, 'DOCUMENTS_ROUTES');
+            logger.warn(`Document not found: ${documentId}`, 'DOCUMENTS_ROUTES');
             return res.status(404).json({
                 success: false,
                 error: {
@@ -191,7 +190,7 @@ router.get('/view/:filename', auth, async (req, res) => {
 
         // Security check: ensure the file belongs to the requesting user or user is admin
         if (document.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-            logger.warn(`Unauthorized document access attempt: ${filename} by user ${req.user.id}`, 'DOCUMENTS_ROUTES');
+            logger.warn(`Unauthorized document access attempt: ${documentId} by user ${req.user.id}`, 'DOCUMENTS_ROUTES');
             return res.status(403).json({
                 success: false,
                 error: {
@@ -201,13 +200,83 @@ router.get('/view/:filename', auth, async (req, res) => {
             });
         }
 
-        // Send file
-        res.sendFile(filePath);
-        logger.info(`Document served: ${filename} to user ${req.user.id}`, 'DOCUMENTS_ROUTES');
+        const result = await documentStorageService.getDownloadUrl(document);
+        if (!result.success) {
+            logger.warn(`Document ${documentId} withheld: ${result.error}`, 'DOCUMENTS_ROUTES');
+            return res.status(result.error === 'FILE_UNAVAILABLE' ? 404 : 423).json({
+                success: false,
+                error: {
+                    message: result.message,
+                    code: result.error
+                }
+            });
+        }
+
+        logger.info(`Download URL issued for document ${documentId} to user ${req.user.id}`, 'DOCUMENTS_ROUTES');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                url: result.url,
+                expiresAt: result.expiresAt
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to issue document URL', 'DOCUMENTS_ROUTES', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Failed to issue document URL',
+                code: 'SERVE_ERROR'
+            }
+        });
+    }
+});
+
+// @route   GET /api/v1/documents/:documentId/file
+// @desc    Serve a document's file through a signed URL (local storage)
+// @access  Public, with a valid signature
+router.get('/:documentId/file', async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { expires, signature } = req.query;
+
+        if (!documentStorageService.verifyDownload(documentId, expires, signature)) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'This link is invalid or has expired',
+                    code: 'INVALID_SIGNATURE'
+                }
+            });
+        }
+
+        const document = await Document.findById(documentId);
+        if (!document || document.quarantined) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Document not found',
+                    code: 'DOCUMENT_NOT_FOUND'
+                }
+            });
+        }
+
+        const file = await documentStorageService.read(document);
+
+        res.set({
+            'Content-Type': document.mimeType,
+            // RFC 5987 encoding keeps non-Latin names such as आधार.pdf intact
+            'Content-Disposition': contentDisposition(document.originalName, { type: 'inline' }),
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.send(file);
 
     } catch (error) {
         logger.error('Failed to serve document', 'DOCUMENTS_ROUTES', error);
-        res.status(500).json({
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({
             success: false,
             error: {
                 message: 'Failed to serve document',
@@ -280,11 +349,11 @@ router.delete('/:documentId', auth, async (req, res) => {
             });
         }
 
-        // Delete file from filesystem
+        // Delete file from storage
         try {
-            await fs.unlink(document.path);
+            await documentStorageService.remove(document);
         } catch (error) {
-            logger.warn(`Failed to delete file: ${document.path}`, 'DOCUMENTS_ROUTES', error);
+            logger.warn(`Failed to delete file for document ${documentId}`, 'DOCUMENTS_ROUTES', error);
         }
 
         // Remove from database
@@ -363,20 +432,8 @@ router.put('/:documentId/verify', auth, async (req, res) => {
         }
 
         // After updating a document, recompute user's documentsVerified flag
-        // Documents are now optional, so we'll mark as verified if any document is verified
         try {
-            // const requiredTypes = ['id_proof', 'address_proof']; // No longer required
-            const verifiedDocs = await Document.find({
-                userId: document.userId,
-                verified: true
-            }).select('type');
-
-            // Mark as verified if user has any verified documents (optional verification)
-            const hasAnyVerified = verifiedDocs.length > 0;
-            await User.findByIdAndUpdate(document.userId, {
-                'verification.documentsVerified': hasAnyVerified,
-                updatedBy: req.user.id
-            });
+            await refreshDocumentsVerified(document.userId, req.user.id);
         } catch (recalcError) {
             logger.warn('Failed to recalculate user documentsVerified status', 'DOCUMENTS_ROUTES', recalcError);
         }
@@ -405,6 +462,179 @@ router.put('/:documentId/verify', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/v1/documents/bulk-approve
+// @desc    Approve documents whose OCR checks all matched (admin only)
+// @access  Private (Admin)
+router.post('/bulk-approve', auth, async (req, res) => {
+    try {
+        logger.api('POST', '/api/v1/documents/bulk-approve', null, null, 'DOCUMENTS_ROUTES');
+
+        if (req.user.role !== 'admin') {
+            logger.warn(`Unauthorized bulk document approval attempt by user ${req.user.id}`, 'DOCUMENTS_ROUTES');
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Access denied. Admin privileges required.',
+                    code: 'ACCESS_DENIED'
+                }
+            });
+        }
+
+        const { documentIds } = req.body;
+        const { MAX_DOCUMENTS } = DocumentOcrSettings.BULK_APPROVAL;
+
+        if (!Array.isArray(documentIds) || documentIds.length === 0 || documentIds.length > MAX_DOCUMENTS ||
+            !documentIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `documentIds must be a list of 1 to ${MAX_DOCUMENTS} document IDs`,
+                    code: 'INVALID_DOCUMENT_IDS'
+                }
+            });
+        }
+
+        const documents = await Document.find({ _id: { $in: documentIds } });
+        const owners = await User.find({ _id: { $in: documents.map(document => document.userId) } })
+            .select('name dateOfBirth address.pincode');
+        const ownersById = new Map(owners.map(owner => [owner._id.toString(), owner]));
+
+        const approved = [];
+        const skipped = [];
+
+        for (const id of documentIds) {
+            const document = documents.find(candidate => candidate._id.toString() === id);
+            const owner = document && ownersById.get(document.userId.toString());
+            if (!document || !owner) {
+                skipped.push({ id, reasons: ['not_found'] });
+                continue;
+            }
+
+            // Checked against the owner's current profile, not the one OCR saw
+            const blockers = documentOcrService.getBulkApprovalBlockers(document, documentOcrService.profileFor(owner));
+            if (blockers.length > 0) {
+                skipped.push({ id, reasons: blockers });
+                continue;
+            }
+
+            await document.markAsVerified(req.user.id);
+            approved.push(id);
+        }
+
+        const approvedOwners = [...new Set(documents
+            .filter(document => approved.includes(document._id.toString()))
+            .map(document => document.userId.toString()))];
+        for (const userId of approvedOwners) {
+            try {
+                await refreshDocumentsVerified(userId, req.user.id);
+            } catch (recalcError) {
+                logger.warn(`Failed to recalculate documentsVerified for user ${userId}`, 'DOCUMENTS_ROUTES', recalcError);
+            }
+        }
+
+        auditLogger.logUserAction({
+            userId: req.user.id,
+            userRole: req.user.role,
+            action: 'bulk_approve_documents',
+            resource: 'document_verification',
+            details: `Bulk approved ${approved.length} of ${documentIds.length} documents`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            success: true,
+            metadata: {
+                approved,
+                skipped,
+                requestId: req.requestId
+            }
+        });
+
+        logger.success(`Bulk approved ${approved.length} documents, skipped ${skipped.length}`, 'DOCUMENTS_ROUTES');
+
+        res.status(200).json({
+            success: true,
+            message: `Approved ${approved.length} of ${documentIds.length} documents`,
+            data: { approved, skipped }
+        });
+
+    } catch (error) {
+        logger.error('Bulk document approval failed', 'DOCUMENTS_ROUTES', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Bulk document approval failed',
+                code: 'VERIFICATION_ERROR'
+            }
+        });
+    }
+});
+
+// @route   POST /api/v1/documents/:documentId/ocr
+// @desc    Read a document with OCR again now (admin only)
+// @access  Private (Admin)
+router.post('/:documentId/ocr', auth, async (req, res) => {
+    try {
+        const { documentId } = req.params;
+
+        logger.api('POST', `/api/v1/documents/${documentId}/ocr`, null, null, 'DOCUMENTS_ROUTES');
+
+        if (req.user.role !== 'admin') {
+            logger.warn(`Unauthorized OCR request by user ${req.user.id}`, 'DOCUMENTS_ROUTES');
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Access denied. Admin privileges required.',
+                    code: 'ACCESS_DENIED'
+                }
+            });
+        }
+
+        if (!mongoose.isValidObjectId(documentId)) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Document not found',
+                    code: 'DOCUMENT_NOT_FOUND'
+                }
+            });
+        }
+
+        const result = await documentOcrService.enqueue(() =>
+            documentOcrService.processDocument(documentId, { force: true }));
+
+        if (!result.success) {
+            const statusByError = {
+                DOCUMENT_NOT_FOUND: 404,
+                OCR_DISABLED: 503,
+                OCR_UNAVAILABLE: 503,
+                OCR_FAILED: 502
+            };
+            return res.status(statusByError[result.error] || 409).json({
+                success: false,
+                error: {
+                    message: result.message,
+                    code: result.error
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Document read',
+            data: { ocr: result.ocr }
+        });
+
+    } catch (error) {
+        logger.error('Document OCR failed', 'DOCUMENTS_ROUTES', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Document OCR failed',
+                code: 'OCR_ERROR'
+            }
+        });
+    }
+});
+
 // @route   GET /api/v1/documents/pending
 // @desc    Get pending documents for verification (admin only)
 // @access  Private (Admin)
@@ -431,8 +661,15 @@ router.get('/pending', auth, async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: pendingDocuments,
-            count: pendingDocuments.length
+            data: pendingDocuments.map(document => {
+                const blockers = documentOcrService.getBulkApprovalBlockers(document);
+                return {
+                    ...document.toJSON(),
+                    bulkApproval: { eligible: blockers.length === 0, blockers }
+                };
+            }),
+            count: pendingDocuments.length,
+            ocr: documentOcrService.getStatus()
         });
 
     } catch (error) {
@@ -447,4 +684,43 @@ router.get('/pending', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/v1/documents/quarantine
+// @desc    Uploads flagged by the virus scanner (admin only)
+// @access  Private (Admin)
+router.get('/quarantine', auth, async (req, res) => {
+    try {
+        logger.api('GET', '/api/v1/documents/quarantine', null, null, 'DOCUMENTS_ROUTES');
+
+        if (req.user.role !== 'admin') {
+            logger.warn(`Unauthorized quarantine access by user ${req.user.id}`, 'DOCUMENTS_ROUTES');
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Access denied. Admin privileges required.',
+                    code: 'ACCESS_DENIED'
+                }
+            });
+        }
+
+        const quarantined = await Document.findQuarantined();
+
+        res.status(200).json({
+            success: true,
+            data: quarantined,
+            count: quarantined.length,
+            storage: documentStorageService.getStatus()
+        });
+
+    } catch (error) {
+        logger.error('Failed to fetch quarantined documents', 'DOCUMENTS_ROUTES', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Failed to fetch quarantined documents',
+                code: 'FETCH_ERROR'
+            }
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
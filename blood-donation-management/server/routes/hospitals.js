@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const hospitalController = require('../controllers/hospitalController');
+const donationWorkflowController = require('../controllers/donationWorkflowController');
+const transferOrderController = require('../controllers/transferOrderController');
+const appealCampaignController = require('../controllers/appealCampaignController');
 const { auth, adminOnly, hospitalOnly } = require('../middleware/auth');
+const { BLOOD_COMPONENTS } = require('../../shared/constants/bloodCompatibility');
 
 const router = express.Router();
 
@@ -110,8 +114,14 @@ const inventoryUpdateValidation = [
     .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
     .withMessage('Invalid blood type'),
   
+  body('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+  
   body('unitsToAdd')
     .isInt({ min: 1 })
+    .toInt()
     .withMessage('Units to add must be a positive integer'),
   
   body('expirationDate')
@@ -125,9 +135,21 @@ const inventoryConsumeValidation = [
     .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
     .withMessage('Invalid blood type'),
   
+  body('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+  
   body('unitsToConsume')
     .isInt({ min: 1 })
-    .withMessage('Units to consume must be a positive integer')
+    .toInt()
+    .withMessage('Units to consume must be a positive integer'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason must be between 3 and 200 characters')
 ];
 
 const ratingValidation = [
@@ -159,26 +181,245 @@ const verificationValidation = [
     .withMessage('Admin notes must not exceed 1000 characters')
 ];
 
-const hospitalIdValidation = [
-  param('hospitalId')
+const checkInValidation = [
+  param('requestId')
+    .trim()
+    .notEmpty()
+    .withMessage('Request ID is required'),
+
+  body('donorId')
     .isMongoId()
-    .withMessage('Invalid hospital ID')
+    .withMessage('Invalid donor ID')
 ];
 
-// Public routes
-router.get('/metadata', hospitalController.getHospitalMetadata);
-router.get('/search', hospitalController.searchHospitals);
-router.get('/nearby', hospitalController.findNearbyHospitals);
-router.get('/:hospitalId', hospitalIdValidation, hospitalController.getHospitalProfile);
+const donationIdValidation = [
+  param('donationId')
+    .matches(/^DON-\d{8}-\d{4}$/)
+    .withMessage('Invalid donation ID')
+];
 
-// Registration route (public)
-router.post('/register', hospitalRegistrationValidation, hospitalController.registerHospital);
+const preDonationChecksValidation = [
+  body('hemoglobin.value')
+    .isFloat({ min: 3, max: 25 })
+    .toFloat()
+    .withMessage('Hemoglobin must be between 3 and 25 g/dL'),
 
-// Protected routes (require authentication)
-router.use(auth);
+  body('bloodPressure.systolic')
+    .isInt({ min: 50, max: 260 })
+    .toInt()
+    .withMessage('Systolic pressure must be between 50 and 260 mmHg'),
+
+  body('bloodPressure.diastolic')
+    .isInt({ min: 30, max: 160 })
+    .toInt()
+    .withMessage('Diastolic pressure must be between 30 and 160 mmHg'),
+
+  body('pulse.value')
+    .isInt({ min: 20, max: 250 })
+    .toInt()
+    .withMessage('Pulse must be between 20 and 250 bpm'),
+
+  body('temperature.value')
+    .optional()
+    .isFloat({ min: 90, max: 110 })
+    .toFloat()
+    .withMessage('Temperature must be between 90 and 110 F'),
+
+  body('weight.value')
+    .optional()
+    .isFloat({ min: 50, max: 700 })
+    .toFloat()
+    .withMessage('Weight must be between 50 and 700 lbs'),
+
+  body('medicalHistory.cleared')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Medical history clearance must be true or false'),
+
+  body('medicalHistory.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Medical history notes must not exceed 1000 characters')
+];
+
+const completeDonationValidation = [
+  body('unitsDonated')
+    .optional()
+    .isFloat({ min: 0.5, max: 2 })
+    .toFloat()
+    .withMessage('Units donated must be between 0.5 and 2'),
+
+  body('complications')
+    .optional()
+    .isArray()
+    .withMessage('Complications must be a list'),
+
+  body('complications.*')
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Each complication must be a short description'),
+
+  body('recoveryNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Recovery notes must not exceed 1000 characters')
+];
+
+const deferDonationValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Deferral reason must be between 3 and 500 characters')
+];
+
+const donationListValidation = [
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'deferred', 'rejected'])
+    .withMessage('Invalid donation status'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const transferListValidation = [
+  query('direction')
+    .optional()
+    .isIn(['incoming', 'outgoing'])
+    .withMessage('Direction must be incoming or outgoing'),
+
+  query('status')
+    .optional()
+    .isIn(['requested', 'in_transit', 'received', 'rejected', 'cancelled'])
+    .withMessage('Invalid transfer status'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const transferOrderIdValidation = [
+  param('orderId')
+    .matches(/^TO[A-Z0-9]+$/)
+    .withMessage('Invalid transfer order ID')
+];
+
+const createTransferValidation = [
+  body('fromHospitalId')
+    .isMongoId()
+    .withMessage('Invalid supplying hospital ID'),
+
+  body('bloodType')
+    .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
+    .withMessage('Invalid blood type'),
+
+  body('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+
+  body('units')
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('Units must be between 1 and 100'),
+
+  body('urgency')
+    .optional()
+    .isIn(['routine', 'urgent', 'emergency'])
+    .withMessage('Urgency must be routine, urgent or emergency'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  body('bloodRequestId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid blood request ID')
+];
+
+const transferNoteValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+];
 
-// Get current hospital profile for logged-in hospital admin
+const transferCloseValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+const transferReceiptValidation = [
+  body('coldChain.maintained')
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Cold chain status must be true or false'),
+
+  body('coldChain.temperatureOnArrival')
+    .optional()
+    .isFloat({ min: -40, max: 40 })
+    .toFloat()
+    .withMessage('Temperature on arrival must be between -40 and 40 °C'),
+
+  body('coldChain.note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cold chain note must not exceed 500 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+const appealListValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'completed', 'cancelled'])
+    .withMessage('Invalid appeal status'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const appealCancelValidation = [
+  param('campaignId')
+    .matches(/^AP[A-Z0-9]+$/)
+    .withMessage('Invalid appeal ID'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+const hospitalIdValidation = [
+  param('hospitalId')
+    .isMongoId()
+    .withMessage('Invalid hospital ID')
+];
+
+// Current hospital profile for the logged-in hospital admin.
+// Registered before /:hospitalId, which would otherwise match 'me'.
 router.get('/me', 
+  auth,
   hospitalOnly,
   async (req, res) => {
     try {
@@ -195,6 +436,117 @@ router.get('/me',
   }
 );
 
+// Public routes
+router.get('/metadata', hospitalController.getHospitalMetadata);
+router.get('/search', hospitalController.searchHospitals);
+router.get('/nearby', hospitalController.findNearbyHospitals);
+router.get('/:hospitalId', hospitalIdValidation, hospitalController.getHospitalProfile);
+
+// Registration route (public)
+router.post('/register', hospitalRegistrationValidation, hospitalController.registerHospital);
+
+// Protected routes (require authentication)
+router.use(auth);
+
+// Donor check-in and donation recording for the admin's hospital
+router.get('/me/donor-queue',
+  hospitalOnly,
+  donationWorkflowController.getDonorQueue
+);
+
+router.get('/me/donations',
+  hospitalOnly,
+  donationListValidation,
+  donationWorkflowController.getDonations
+);
+
+router.post('/me/requests/:requestId/check-in',
+  hospitalOnly,
+  checkInValidation,
+  donationWorkflowController.checkInDonor
+);
+
+router.put('/me/donations/:donationId/checks',
+  hospitalOnly,
+  donationIdValidation,
+  preDonationChecksValidation,
+  donationWorkflowController.recordPreDonationChecks
+);
+
+router.post('/me/donations/:donationId/complete',
+  hospitalOnly,
+  donationIdValidation,
+  completeDonationValidation,
+  donationWorkflowController.completeDonation
+);
+
+router.post('/me/donations/:donationId/defer',
+  hospitalOnly,
+  donationIdValidation,
+  deferDonationValidation,
+  donationWorkflowController.deferDonation
+);
+
+// Blood transfer orders between hospitals
+router.get('/me/transfers',
+  hospitalOnly,
+  transferListValidation,
+  transferOrderController.getOrders
+);
+
+router.post('/me/transfers',
+  hospitalOnly,
+  createTransferValidation,
+  transferOrderController.createOrder
+);
+
+router.get('/me/transfers/:orderId',
+  hospitalOnly,
+  transferOrderIdValidation,
+  transferOrderController.getOrder
+);
+
+router.post('/me/transfers/:orderId/approve',
+  hospitalOnly,
+  transferOrderIdValidation,
+  transferNoteValidation,
+  transferOrderController.approveOrder
+);
+
+router.post('/me/transfers/:orderId/reject',
+  hospitalOnly,
+  transferOrderIdValidation,
+  transferCloseValidation,
+  transferOrderController.rejectOrder
+);
+
+router.post('/me/transfers/:orderId/cancel',
+  hospitalOnly,
+  transferOrderIdValidation,
+  transferCloseValidation,
+  transferOrderController.cancelOrder
+);
+
+router.post('/me/transfers/:orderId/receive',
+  hospitalOnly,
+  transferOrderIdValidation,
+  transferReceiptValidation,
+  transferOrderController.confirmReceipt
+);
+
+// Donation appeals started for the hospital's low stock
+router.get('/me/appeals',
+  hospitalOnly,
+  appealListValidation,
+  appealCampaignController.getHospitalAppeals
+);
+
+router.post('/me/appeals/:campaignId/cancel',
+  hospitalOnly,
+  appealCancelValidation,
+  appealCampaignController.cancelCampaign
+);
+
 // Hospital admin routes
 router.put('/:hospitalId', 
   hospitalIdValidation, 
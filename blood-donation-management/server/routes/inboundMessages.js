@@ -0,0 +1,72 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const inboundMessageController = require('../controllers/inboundMessageController');
+const InboundMessage = require('../models/InboundMessage');
+const { auth, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'resolved', 'dismissed', 'all'])
+    .withMessage('Invalid status'),
+  query('channel')
+    .optional()
+    .isIn(['whatsapp', 'sms'])
+    .withMessage('Invalid channel'),
+  query('reason')
+    .optional()
+    .isIn(['unparsed', 'no_open_request'])
+    .withMessage('Invalid reason'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const reviewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  body('status')
+    .isIn(['resolved', 'dismissed'])
+    .withMessage('Status must be resolved or dismissed'),
+  body('intent')
+    .optional()
+    .isIn(InboundMessage.INTENTS)
+    .withMessage('Invalid intent'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+];
+
+router.use(auth, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/inbound-messages
+ * @desc    Donor messages waiting for a person to read them
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  listValidation,
+  inboundMessageController.listMessages
+);
+
+/**
+ * @route   PATCH /api/v1/admin/inbound-messages/:id
+ * @desc    Resolve or dismiss a message, optionally recording it as a yes, maybe or no
+ * @access  Private (Admin only)
+ */
+router.patch('/:id',
+  reviewValidation,
+  inboundMessageController.reviewMessage
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const inventoryController = require('../controllers/inventoryController');
 const { auth, adminOnly, hospitalOnly } = require('../middleware/auth');
+const { BLOOD_TYPES, BLOOD_COMPONENTS } = require('../../shared/constants/bloodCompatibility');
 
 const router = express.Router();
 
@@ -11,8 +12,14 @@ const inventoryUpdateValidation = [
     .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
     .withMessage('Invalid blood type'),
   
+  body('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+  
   body('unitsToAdd')
     .isInt({ min: 1 })
+    .toInt()
     .withMessage('Units to add must be a positive integer'),
   
   body('expirationDate')
@@ -32,8 +39,14 @@ const inventoryConsumeValidation = [
     .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
     .withMessage('Invalid blood type'),
   
+  body('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+  
   body('unitsToConsume')
     .isInt({ min: 1 })
+    .toInt()
     .withMessage('Units to consume must be a positive integer'),
   
   body('reason')
@@ -47,8 +60,14 @@ const thresholdValidation = [
     .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
     .withMessage('Invalid blood type'),
   
+  body('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+  
   body('threshold')
     .isInt({ min: 0, max: 100 })
+    .toInt()
     .withMessage('Threshold must be between 0 and 100')
 ];
 
@@ -65,11 +84,44 @@ const redistributionValidation = [
     .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
     .withMessage('Invalid blood type'),
   
+  body('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+  
   body('units')
     .isInt({ min: 1 })
+    .toInt()
     .withMessage('Units must be a positive integer')
 ];
 
+const availabilityValidation = [
+  query('bloodType')
+    .optional()
+    .isIn(BLOOD_TYPES)
+    .withMessage('Invalid blood type'),
+
+  query('component')
+    .optional()
+    .isIn(Object.values(BLOOD_COMPONENTS))
+    .withMessage('Invalid blood component'),
+
+  query('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+
+  query('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+
+  query('radius')
+    .optional()
+    .isInt({ min: 1000, max: 500000 })
+    .withMessage('Radius must be between 1000 and 500000 meters')
+];
+
 const hospitalIdValidation = [
   param('hospitalId')
     .isMongoId()
@@ -77,7 +129,7 @@ const hospitalIdValidation = [
 ];
 
 // Public routes
-router.get('/availability', inventoryController.getBloodTypeAvailability);
+router.get('/availability', availabilityValidation, inventoryController.getBloodTypeAvailability);
 
 // Protected routes (require authentication)
 router.use(auth);
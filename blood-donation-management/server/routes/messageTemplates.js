@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const messageTemplateController = require('../controllers/messageTemplateController');
+const { auth, adminOnly } = require('../middleware/auth');
+const { MessageTemplateSettings } = require('../config/messageTemplates');
+
+const router = express.Router();
+
+const { CHANNELS, LANGUAGES, PLACEHOLDER_TYPES, WHATSAPP_CATEGORIES } = MessageTemplateSettings;
+
+const templateValidation = [
+  param('channel')
+    .isIn(CHANNELS)
+    .withMessage(`Channel must be one of ${CHANNELS.join(', ')}`),
+  param('name')
+    .matches(/^[a-z][a-z0-9_]{0,63}$/)
+    .withMessage('Template name must be lowercase letters, digits and underscores')
+];
+
+const versionValidation = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive number')
+];
+
+const definitionValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description must not exceed 300 characters'),
+    body('category')
+      .optional()
+      .isIn(WHATSAPP_CATEGORIES)
+      .withMessage('Invalid WhatsApp category'),
+    body('placeholders')
+      .optional()
+      .isArray({ max: 30 })
+      .withMessage('Placeholders must be a list'),
+    body('placeholders.*.name')
+      .matches(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+      .withMessage('Placeholder names must start with a letter'),
+    body('placeholders.*.type')
+      .optional()
+      .isIn(PLACEHOLDER_TYPES)
+      .withMessage(`Placeholder type must be one of ${PLACEHOLDER_TYPES.join(', ')}`),
+    field('variants')
+      .isArray({ min: 1, max: LANGUAGES.length })
+      .withMessage('At least one language variant is required'),
+    body('variants.*.language')
+      .isIn(LANGUAGES)
+      .withMessage('Unsupported language'),
+    body('variants.*.body')
+      .isString()
+      .notEmpty()
+      .withMessage('Each variant needs a body'),
+    body('changeNote')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Change note must not exceed 300 characters')
+  ];
+};
+
+const previewValidation = [
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive number'),
+  body('language')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage('Unsupported language'),
+  body('data')
+    .optional()
+    .isObject()
+    .withMessage('Data must be an object of placeholder values'),
+  body('definition')
+    .optional()
+    .isObject()
+    .withMessage('Definition must be a template object')
+];
+
+router.use(auth, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/templates
+ * @desc    Latest version of every message template
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  [
+    query('channel').optional().isIn(CHANNELS).withMessage('Invalid channel'),
+    query('search').optional().trim().isLength({ max: 64 }).withMessage('Search is too long')
+  ],
+  messageTemplateController.listTemplates
+);
+
+/**
+ * @route   GET /api/v1/admin/templates/:channel/:name
+ * @desc    All versions of a template
+ * @access  Private (Admin only)
+ */
+router.get('/:channel/:name',
+  templateValidation,
+  messageTemplateController.getVersions
+);
+
+/**
+ * @route   POST /api/v1/admin/templates/:channel/:name
+ * @desc    Save a new draft version
+ * @access  Private (Admin only)
+ */
+router.post('/:channel/:name',
+  templateValidation,
+  definitionValidation(false),
+  messageTemplateController.createDraft
+);
+
+/**
+ * @route   PUT /api/v1/admin/templates/:channel/:name/versions/:version
+ * @desc    Edit a draft version
+ * @access  Private (Admin only)
+ */
+router.put('/:channel/:name/versions/:version',
+  templateValidation,
+  versionValidation,
+  definitionValidation(true),
+  messageTemplateController.updateDraft
+);
+
+/**
+ * @route   POST /api/v1/admin/templates/:channel/:name/preview
+ * @desc    Render a stored version or an unsaved definition with example values
+ * @access  Private (Admin only)
+ */
+router.post('/:channel/:name/preview',
+  templateValidation,
+  previewValidation,
+  messageTemplateController.preview
+);
+
+/**
+ * @route   POST /api/v1/admin/templates/:channel/:name/versions/:version/publish
+ * @desc    Publish a draft version
+ * @access  Private (Admin only)
+ */
+router.post('/:channel/:name/versions/:version/publish',
+  templateValidation,
+  versionValidation,
+  messageTemplateController.publish
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const notificationLogController = require('../controllers/notificationLogController');
+const { auth, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const listValidation = [
+  query('channel')
+    .optional()
+    .isIn(['push', 'whatsapp', 'sms', 'email'])
+    .withMessage('Invalid channel'),
+  query('status')
+    .optional()
+    .isIn(['queued', 'sent', 'delivered', 'read', 'failed'])
+    .withMessage('Invalid status'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+router.use(auth, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/notification-logs
+ * @desc    Search per-channel notification logs
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  listValidation,
+  notificationLogController.listLogs
+);
+
+/**
+ * @route   GET /api/v1/admin/notification-logs/requests/:requestId
+ * @desc    Who a blood request's alerts were sent to, reached and read by
+ * @access  Private (Admin only)
+ */
+router.get('/requests/:requestId',
+  param('requestId').trim().notEmpty().withMessage('Request ID is required'),
+  notificationLogController.getRequestDelivery
+);
+
+/**
+ * @route   GET /api/v1/admin/notification-logs/sms/costs
+ * @desc    SMS volume and cost by provider and country, or by day
+ * @access  Private (Admin only)
+ */
+router.get('/sms/costs',
+  [
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('startDate must be a date'),
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('endDate must be a date'),
+    query('groupBy')
+      .optional()
+      .isIn(['provider', 'day'])
+      .withMessage('groupBy must be provider or day')
+  ],
+  notificationLogController.getSmsCosts
+);
+
+/**
+ * @route   GET /api/v1/admin/notification-logs/sms/providers
+ * @desc    SMS providers, routes by country and provider health
+ * @access  Private (Admin only)
+ */
+router.get('/sms/providers', notificationLogController.getSmsProviders);
+
+module.exports = router;
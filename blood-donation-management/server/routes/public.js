@@ -3,6 +3,7 @@ const router = express.Router();
 const statisticsService = require('../services/statisticsService');
 const institutionService = require('../services/institutionService');
 const contactService = require('../services/contactService');
+const supportInboxService = require('../services/supportInboxService');
 const educationalContentService = require('../services/educationalContentService');
 const { query, body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
@@ -392,6 +393,19 @@ router.post('/contact',
 
       if (result.success) {
         logger.success(`Contact form processed successfully for: ${contactData.email}`, 'PUBLIC_API');
+
+        // The emails have gone out; the inbox is best effort
+        await supportInboxService.receive({
+          channel: 'contact_form',
+          phoneNumber: contactData.phone,
+          email: contactData.email,
+          name: contactData.name,
+          subject: contactData.subject || contactData.category,
+          text: contactData.message,
+          priority: contactData.priority,
+          providerMessageId: result.data.submissionId,
+          receivedAt: contactData.submittedAt
+        }).catch(error => logger.error('Error adding contact form to the support inbox', 'PUBLIC_API', error));
         
         res.status(201).json({
           success: true,
@@ -0,0 +1,135 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const questionnaireController = require('../controllers/questionnaireController');
+const { auth, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const versionValidation = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive number')
+];
+
+// Question structure is checked by questionnaireService.validateDefinition;
+// this only rejects malformed bodies early.
+const definitionValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 150 })
+      .withMessage('Title is required and must not exceed 150 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters'),
+    field('questions')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('At least one question is required'),
+    body('reanswer')
+      .optional()
+      .isObject()
+      .withMessage('Re-answer settings must be an object'),
+    body('reanswer.required')
+      .optional()
+      .isBoolean()
+      .withMessage('reanswer.required must be true or false'),
+    body('reanswer.questions')
+      .optional()
+      .isArray()
+      .withMessage('reanswer.questions must be a list of question ids'),
+    body('reanswer.reason')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Re-answer reason must not exceed 300 characters'),
+    body('changeNote')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Change note must not exceed 300 characters')
+  ];
+};
+
+const previewValidation = [
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive number'),
+  body('definition')
+    .optional()
+    .isObject()
+    .withMessage('Definition must be a questionnaire object'),
+  body('answers')
+    .isObject()
+    .withMessage('Answers must be an object keyed by question id'),
+  body('answeredAt')
+    .optional()
+    .isISO8601()
+    .withMessage('answeredAt must be a date')
+];
+
+router.use(auth, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/questionnaires
+ * @desc    All questionnaire versions
+ * @access  Private (Admin only)
+ */
+router.get('/', questionnaireController.listVersions);
+
+/**
+ * @route   POST /api/v1/admin/questionnaires/preview
+ * @desc    Screen sample answers against a version or an unsaved definition
+ * @access  Private (Admin only)
+ */
+router.post('/preview',
+  previewValidation,
+  questionnaireController.preview
+);
+
+/**
+ * @route   GET /api/v1/admin/questionnaires/:version
+ * @desc    One questionnaire version with its questions
+ * @access  Private (Admin only)
+ */
+router.get('/:version',
+  versionValidation,
+  questionnaireController.getVersion
+);
+
+/**
+ * @route   POST /api/v1/admin/questionnaires
+ * @desc    Save a new draft version
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  definitionValidation(false),
+  questionnaireController.createDraft
+);
+
+/**
+ * @route   PUT /api/v1/admin/questionnaires/:version
+ * @desc    Edit a draft version
+ * @access  Private (Admin only)
+ */
+router.put('/:version',
+  versionValidation,
+  definitionValidation(true),
+  questionnaireController.updateDraft
+);
+
+/**
+ * @route   POST /api/v1/admin/questionnaires/:version/publish
+ * @desc    Publish a draft version
+ * @access  Private (Admin only)
+ */
+router.post('/:version/publish',
+  versionValidation,
+  questionnaireController.publish
+);
+
+module.exports = router;
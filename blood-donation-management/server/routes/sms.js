@@ -0,0 +1,272 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+
+const smsService = require('../services/smsService');
+const notificationLogService = require('../services/notificationLogService');
+const conversationService = require('../services/conversationService');
+const donorReplyService = require('../services/donorReplyService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every SMS produces several status callbacks, so this is looser than the
+// WhatsApp webhook limit
+const callbackLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 600,
+  message: {
+    success: false,
+    error: 'WEBHOOK_RATE_LIMIT',
+    message: 'Too many webhook requests'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const inboundLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 100,
+  message: {
+    success: false,
+    error: 'WEBHOOK_RATE_LIMIT',
+    message: 'Too many webhook requests'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Twilio's standard opt-out and opt-in keywords. Twilio blocks or unblocks
+// the number itself; these keep the consent ledger in step.
+const OPT_OUT_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit'];
+const OPT_IN_KEYWORDS = ['start', 'unstop'];
+
+const INFO_REPLY = 'Donating takes about 30 minutes including a health check. You need to be 18-65, at least 50kg, in good health and 3 months from your last donation. Reply HELP for commands.';
+
+const HELP_REPLY = 'CallforBlood Foundation: reply YES to donate, NO if you cannot, INFO for donation details, SNOOZE 7 to pause alerts for a week, RESUME to turn them back on, STOP to stop SMS. Support: info@callforbloodfoundation.com';
+
+/**
+ * @route   POST /api/v1/sms/inbound
+ * @desc    Twilio incoming message webhook; answers with TwiML
+ * @access  Public (Twilio, verified by X-Twilio-Signature)
+ */
+router.post('/inbound', inboundLimiter, async (req, res) => {
+  const signature = req.get('X-Twilio-Signature');
+  if (!smsService.validateWebhookSignature(signature, smsService.inboundWebhookUrl, req.body)) {
+    logger.error('Invalid Twilio inbound message signature', 'SMS_WEBHOOK');
+    return res.status(403).json({
+      success: false,
+      error: 'INVALID_SIGNATURE',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  let reply = null;
+  try {
+    const { From, Body, MessageSid, OptOutType } = req.body;
+    if (From && MessageSid) {
+      reply = await handleTextMessage(From, Body || '', MessageSid, OptOutType);
+    }
+  } catch (error) {
+    // Answer anyway so Twilio does not show the donor an error
+    logger.error('Error processing inbound SMS', 'SMS_WEBHOOK', error);
+  }
+
+  res.type('text/xml').send(smsService.buildReply(reply));
+});
+
+/**
+ * @route   POST /api/v1/sms/status
+ * @desc    Twilio message status callback (queued, sent, delivered, undelivered, failed)
+ * @access  Public (Twilio, verified by X-Twilio-Signature)
+ */
+router.post('/status', callbackLimiter, async (req, res) => {
+  try {
+    const signature = req.get('X-Twilio-Signature');
+    if (!smsService.validateWebhookSignature(signature, smsService.statusCallbackUrl, req.body)) {
+      logger.error('Invalid Twilio status callback signature', 'SMS_WEBHOOK');
+      return res.status(403).json({
+        success: false,
+        error: 'INVALID_SIGNATURE',
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_CALLBACK',
+        message: 'MessageSid and MessageStatus are required'
+      });
+    }
+
+    logger.debug(`SMS ${MessageSid} is ${MessageStatus}`, 'SMS_WEBHOOK');
+
+    const error = ErrorCode ? `${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ''}` : undefined;
+    await Promise.all([
+      notificationLogService.applyProviderStatus('sms', MessageSid, MessageStatus, {
+        source: 'twilio_callback',
+        error
+      }),
+      smsService.applyDeliveryStatus('twilio', MessageSid, MessageStatus, { error })
+    ]);
+
+    res.status(200).json({ success: true });
+
+  } catch (error) {
+    logger.error('Error processing SMS status callback', 'SMS_WEBHOOK', error);
+
+    // Acknowledge anyway; Twilio retrying a receipt we cannot store does not help
+    res.status(200).json({
+      success: false,
+      error: 'PROCESSING_ERROR',
+      message: 'Error processing status callback'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/sms/dlt/status
+ * @desc    DLT gateway delivery report ({ message_id, status, error_code })
+ * @access  Public (gateway, verified by X-Webhook-Token)
+ */
+router.post('/dlt/status', callbackLimiter, async (req, res) => {
+  try {
+    if (!smsService.validateDltWebhook(req.get('X-Webhook-Token'))) {
+      logger.error('Invalid DLT delivery report token', 'SMS_WEBHOOK');
+      return res.status(403).json({
+        success: false,
+        error: 'INVALID_TOKEN',
+        message: 'Invalid webhook token'
+      });
+    }
+
+    const { message_id: messageId, status, error_code: errorCode } = req.body;
+    if (!messageId || !status) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_CALLBACK',
+        message: 'message_id and status are required'
+      });
+    }
+
+    logger.debug(`DLT SMS ${messageId} is ${status}`, 'SMS_WEBHOOK');
+
+    const error = errorCode ? String(errorCode) : undefined;
+    const delivery = await smsService.applyDeliveryStatus('dlt', String(messageId), status, { error });
+    const mapped = smsService.mapStatus('dlt', status);
+    if (mapped) {
+      await notificationLogService.applyProviderStatus('sms', String(messageId), mapped, {
+        source: 'dlt_callback',
+        error
+      });
+    }
+
+    res.status(200).json({ success: true, updated: !!delivery });
+
+  } catch (error) {
+    logger.error('Error processing DLT delivery report', 'SMS_WEBHOOK', error);
+
+    res.status(200).json({
+      success: false,
+      error: 'PROCESSING_ERROR',
+      message: 'Error processing delivery report'
+    });
+  }
+});
+
+/**
+ * Work out the answer to an inbound SMS, with the same keywords and flows as WhatsApp
+ * @param {string} from - Sender phone number (E.164)
+ * @param {string} messageText - Message body
+ * @param {string} messageSid - Twilio message SID
+ * @param {string} optOutType - STOP, START or HELP when Twilio recognised a keyword
+ * @returns {Promise<string|null>} Reply text, or null to send nothing
+ */
+async function handleTextMessage(from, messageText, messageSid, optOutType) {
+  const normalizedText = messageText.toLowerCase().trim();
+  logger.info(`Inbound SMS from ${smsService.maskPhoneNumber(from)}`, 'SMS_WEBHOOK');
+
+  // Checked before flows: Twilio has already blocked the number, so a flow could not answer
+  if (optOutType === 'STOP' || OPT_OUT_KEYWORDS.includes(normalizedText)) {
+    const conversation = await conversationService.getActiveConversation(from);
+    if (conversation) {
+      await conversationService.cancelConversation(conversation.conversationId);
+    }
+    await donorReplyService.setConsent(from, 'sms', false, normalizedText || 'stop');
+    return null;
+  }
+
+  if (OPT_IN_KEYWORDS.includes(normalizedText)) {
+    await donorReplyService.setConsent(from, 'sms', true, normalizedText);
+    return 'CallforBlood Foundation: SMS alerts are back on. Reply HELP for commands.';
+  }
+
+  // A reply to a running flow (registration, eligibility check, ...) goes to that flow
+  const conversationResult = await conversationService.processResponse(from, messageText, messageSid);
+  if (conversationResult.success || conversationResult.reason === 'DUPLICATE_MESSAGE') {
+    return conversationResult.message || null;
+  }
+
+  const snoozeDays = donorReplyService.parseSnooze(normalizedText);
+
+  if (['yes', 'y', 'हाँ', 'हां', 'ok', 'okay'].includes(normalizedText)) {
+    const accepted = await donorReplyService.accept(from);
+    if (!accepted) {
+      return 'Thank you for offering to donate! There is no open request for you right now. We will reach out when someone near you needs help.';
+    }
+    const { bloodRequest, confirmBy } = accepted;
+    const hospital = bloodRequest.location.hospital;
+    return `Thank you! Please go to ${hospital.name} (${hospital.contactNumber})` +
+      `${confirmBy ? ` and confirm you are on your way by ${confirmBy.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}` : ''}.` +
+      ' Reply NO if your plans change.';
+  }
+
+  if (['no', 'n', 'नहीं', 'नही'].includes(normalizedText)) {
+    await donorReplyService.decline(from, null, 'sms');
+    return 'Thank you for letting us know. We will ask other donors. Reply SNOOZE 7 to pause alerts for a week.';
+  }
+
+  if (snoozeDays) {
+    const snoozed = await donorReplyService.snooze(from, snoozeDays, 'sms');
+    if (!snoozed) {
+      return 'We could not find a donor account for this number, so there are no alerts to pause.';
+    }
+    return `Alerts paused for ${snoozed.days} day${snoozed.days === 1 ? '' : 's'}, until ` +
+      `${snoozed.snoozedUntil.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}. Reply RESUME to turn them back on sooner.`;
+  }
+
+  if (donorReplyService.isResume(normalizedText)) {
+    return await donorReplyService.resume(from, 'sms')
+      ? 'Welcome back! You will get blood request alerts again.'
+      : 'Your alerts are already on. Reply SNOOZE 7 to pause them for a week.';
+  }
+
+  if (['info', 'information', 'details', 'जानकारी'].includes(normalizedText)) {
+    return INFO_REPLY;
+  }
+
+  if (optOutType === 'HELP' || ['help', 'मदद', 'सहायता'].includes(normalizedText)) {
+    return HELP_REPLY;
+  }
+
+  const started = await conversationService.startFromTrigger(from, messageText, { channel: 'sms' });
+  if (started) {
+    return started.message || null;
+  }
+
+  // Free text: "I can come after 6pm", "kal aa sakta hoon"; what is not understood goes to the review inbox
+  const result = await donorReplyService.interpret(from, messageText, 'sms', { messageId: messageSid });
+  if (result.intent === 'eligibility_question') {
+    const eligibility = await conversationService.startConversation(from, 'eligibility_check', {}, {
+      userId: result.donor?._id,
+      channel: 'sms',
+      language: result.replyLanguage
+    });
+    return eligibility.message || null;
+  }
+
+  return donorReplyService.getReplyMessage(result) || INFO_REPLY;
+}
+
+module.exports = router;
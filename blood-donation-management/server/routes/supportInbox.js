@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const supportInboxController = require('../controllers/supportInboxController');
+const { SupportInboxSettings } = require('../config/supportInbox');
+const { MessageTemplateSettings } = require('../config/messageTemplates');
+const { auth, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid thread ID')
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'all', ...SupportInboxSettings.STATUSES])
+    .withMessage('Invalid status'),
+  query('assignedTo')
+    .optional()
+    .custom(value => ['me', 'unassigned'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('assignedTo must be me, unassigned or a user ID'),
+  query('priority')
+    .optional()
+    .isIn(SupportInboxSettings.PRIORITIES)
+    .withMessage('Invalid priority'),
+  query('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('overdue must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const cannedReplyValidation = [
+  query('channel')
+    .isIn(SupportInboxSettings.REPLY_CHANNELS)
+    .withMessage('Invalid channel')
+];
+
+const updateValidation = [
+  ...idValidation,
+  body('assignedTo')
+    .optional({ values: 'undefined' })
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('assignedTo must be a user ID or null'),
+  body('status')
+    .optional()
+    .isIn(SupportInboxSettings.STATUSES)
+    .withMessage('Invalid status'),
+  body('priority')
+    .optional()
+    .isIn(SupportInboxSettings.PRIORITIES)
+    .withMessage('Invalid priority')
+];
+
+const replyValidation = [
+  ...idValidation,
+  body('channel')
+    .isIn(SupportInboxSettings.REPLY_CHANNELS)
+    .withMessage('Invalid channel'),
+  body('template')
+    .optional()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Invalid template name'),
+  body('text')
+    .if(body('template').not().exists())
+    .trim()
+    .isLength({ min: 1, max: SupportInboxSettings.MAX_TEXT_LENGTH })
+    .withMessage(`Text or a template is required; text must not exceed ${SupportInboxSettings.MAX_TEXT_LENGTH} characters`),
+  body('language')
+    .optional()
+    .isIn(MessageTemplateSettings.LANGUAGES)
+    .withMessage('Unsupported language')
+];
+
+router.use(auth, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/support
+ * @desc    Support threads, most urgent first, with inbox totals
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  listValidation,
+  supportInboxController.listThreads
+);
+
+/**
+ * @route   GET /api/v1/admin/support/coordinators
+ * @desc    Admins threads can be assigned to
+ * @access  Private (Admin only)
+ */
+router.get('/coordinators', supportInboxController.listCoordinators);
+
+/**
+ * @route   GET /api/v1/admin/support/canned-replies
+ * @desc    Published canned replies for a reply channel
+ * @access  Private (Admin only)
+ */
+router.get('/canned-replies',
+  cannedReplyValidation,
+  supportInboxController.listCannedReplies
+);
+
+/**
+ * @route   GET /api/v1/admin/support/:id
+ * @desc    One thread with all its messages
+ * @access  Private (Admin only)
+ */
+router.get('/:id',
+  idValidation,
+  supportInboxController.getThread
+);
+
+/**
+ * @route   PATCH /api/v1/admin/support/:id
+ * @desc    Assign, reprioritise, close or reopen a thread
+ * @access  Private (Admin only)
+ */
+router.patch('/:id',
+  updateValidation,
+  supportInboxController.updateThread
+);
+
+/**
+ * @route   POST /api/v1/admin/support/:id/replies
+ * @desc    Reply by WhatsApp, SMS or email, typed or from a canned reply
+ * @access  Private (Admin only)
+ */
+router.post('/:id/replies',
+  replyValidation,
+  supportInboxController.replyToThread
+);
+
+module.exports = router;
@@ -12,6 +12,11 @@ const User = require('../models/User');
 const Document = require('../models/Document');
 const AuditLog = require('../models/AuditLog');
 const Donation = require('../models/Donation');
+const questionnaireService = require('../services/questionnaireService');
+const achievementService = require('../services/achievementService');
+const notificationFatigueService = require('../services/notificationFatigueService');
+const consentService = require('../services/consentService');
+const auditLogger = require('../utils/auditLogger');
 const { auth } = require('../middleware/auth');
 
 // Rate limiting for user registration
@@ -65,6 +70,22 @@ const phoneVerificationValidation = [
     .withMessage('OTP must contain only numbers')
 ];
 
+const snoozeValidation = [
+  body('days')
+    .isInt({ min: 1, max: 180 })
+    .withMessage('Days must be between 1-180')
+];
+
+const consentValidation = [
+  body()
+    .custom(value => ['whatsapp', 'sms', 'email'].some(channel => typeof value?.[channel] === 'boolean'))
+    .withMessage('Give at least one of whatsapp, sms or email'),
+  body(['whatsapp', 'sms', 'email'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Consent must be true or false')
+];
+
 const searchValidation = [
   query('query')
     .optional()
@@ -154,10 +175,11 @@ router.get('/:userId/onboarding-status',
 
       // Required document types to consider step complete
       const requiredTypes = ['id_proof', 'address_proof'];
-      const docs = await Document.find({ userId }).select('type').lean();
+      const docs = await Document.find({ userId, quarantined: { $ne: true } }).select('type').lean();
       const documentsComplete = requiredTypes.every(t => docs.some(d => d.type === t));
 
-      const questionnaireComplete = !!user.questionnaire?.completedAt;
+      // A donor asked to answer a newer version has this step open again
+      const questionnaireComplete = !!user.questionnaire?.completedAt && !user.questionnaire.reanswerRequired?.version;
 
       return res.json({
         success: true,
@@ -282,14 +304,84 @@ router.get('/:userId/activity',
   }
 );
 
+/**
+ * @route   GET /api/v1/users/:userId/achievements
+ * @desc    Donor's badges with progress, points, streak and next milestone
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/achievements',
+  auth,
+  userIdValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const requesterId = req.user?.id;
+
+      if (requesterId !== userId && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
+      }
+
+      // Read only; badges are awarded on donations and catalog changes
+      const achievements = await achievementService.getAchievements(userId);
+      return res.json({ success: true, data: achievements });
+    } catch (error) {
+      logger.error('Failed to get user achievements', 'USER_ROUTES', error);
+      return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/v1/users/:userId/questionnaire
+ * @desc    Published health questionnaire with the donor's current answers
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/questionnaire',
+  auth,
+  userIdValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      if (req.user?.id !== userId && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
+      }
+
+      const [user, definition] = await Promise.all([
+        User.findById(userId).select('questionnaire').lean(),
+        questionnaireService.getPublished()
+      ]);
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'USER_NOT_FOUND' });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          definition,
+          questionnaire: user.questionnaire || null
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get questionnaire', 'USER_ROUTES', error);
+      return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
+    }
+  }
+);
+
 /**
  * @route   POST /api/v1/users/:userId/questionnaire
- * @desc    Save donor health questionnaire
+ * @desc    Answer the published health questionnaire; answers are screened
+ *          straight away and the donor's eligibility refreshed
  * @access  Private (owner or admin)
  */
 router.post('/:userId/questionnaire',
   auth,
   userIdValidation,
+  body('answers')
+    .isObject()
+    .withMessage('answers must be an object keyed by question id'),
   validateRequest,
   async (req, res) => {
     try {
@@ -306,15 +398,17 @@ router.post('/:userId/questionnaire',
         return res.status(404).json({ success: false, error: 'USER_NOT_FOUND' });
       }
 
-      const questionnaire = {
-        ...(req.body || {}),
-        completedAt: new Date()
-      };
-
-      user.questionnaire = questionnaire;
-      await user.save();
+      const { questionnaire, eligibility, errors } = await questionnaireService.submit(user, req.body.answers);
+      if (errors) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_ANSWERS',
+          message: 'Some answers are missing or invalid',
+          errors
+        });
+      }
 
-      return res.json({ success: true, message: 'Questionnaire saved', data: { questionnaire } });
+      return res.json({ success: true, message: 'Questionnaire saved', data: { questionnaire, eligibility } });
     } catch (error) {
       logger.error('Failed to save questionnaire', 'USER_ROUTES', error);
       return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
@@ -322,6 +416,207 @@ router.post('/:userId/questionnaire',
   }
 );
 
+/**
+ * @route   GET /api/v1/users/:userId/snooze
+ * @desc    Alert snooze, cool-down and page counts for a donor
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/snooze',
+  auth,
+  userIdValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      if (req.user?.id !== userId && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
+      }
+
+      const status = await notificationFatigueService.getStatus(userId);
+      return res.json({ success: true, data: status });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({ success: false, error: 'USER_NOT_FOUND' });
+      }
+      logger.error('Failed to get snooze status', 'USER_ROUTES', error);
+      return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/v1/users/:userId/snooze
+ * @desc    Pause blood request alerts for a number of days
+ * @access  Private (owner or admin)
+ * @body    { days: number }
+ */
+router.put('/:userId/snooze',
+  auth,
+  updateLimiter,
+  userIdValidation,
+  snoozeValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const isOwner = req.user?.id === userId;
+
+      if (!isOwner && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
+      }
+
+      const { days } = await notificationFatigueService.snooze(userId, Number(req.body.days), isOwner ? 'app' : 'admin');
+
+      auditLogger.logUserAction({
+        userId: req.user.id,
+        userRole: req.user.role,
+        action: 'snooze_notifications',
+        resource: 'user_account',
+        resourceId: userId,
+        details: `Blood request alerts snoozed for ${days} days`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: true
+      });
+
+      const status = await notificationFatigueService.getStatus(userId);
+      return res.json({ success: true, message: `Alerts paused for ${days} days`, data: status });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({ success: false, error: 'USER_NOT_FOUND' });
+      }
+      logger.error('Failed to snooze notifications', 'USER_ROUTES', error);
+      return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/v1/users/:userId/snooze
+ * @desc    Turn blood request alerts back on
+ * @access  Private (owner or admin)
+ */
+router.delete('/:userId/snooze',
+  auth,
+  userIdValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      if (req.user?.id !== userId && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
+      }
+
+      const resumed = await notificationFatigueService.resume(userId);
+      if (resumed) {
+        auditLogger.logUserAction({
+          userId: req.user.id,
+          userRole: req.user.role,
+          action: 'resume_notifications',
+          resource: 'user_account',
+          resourceId: userId,
+          details: 'Blood request alerts resumed',
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          success: true
+        });
+      }
+
+      const status = await notificationFatigueService.getStatus(userId);
+      return res.json({ success: true, message: resumed ? 'Alerts resumed' : 'Alerts were not paused', data: status });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({ success: false, error: 'USER_NOT_FOUND' });
+      }
+      logger.error('Failed to resume notifications', 'USER_ROUTES', error);
+      return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/v1/users/:userId/consents
+ * @desc    Channels the user agreed to be contacted on, with the ledger history
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/consents',
+  auth,
+  userIdValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      if (req.user?.id !== userId && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
+      }
+
+      const user = await User.findById(userId).select('phoneNumber email').lean();
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'USER_NOT_FOUND' });
+      }
+
+      const [consents, history] = await Promise.all([
+        consentService.getUserConsents(user),
+        consentService.getHistory(userId)
+      ]);
+
+      return res.json({ success: true, data: { consents, history } });
+    } catch (error) {
+      logger.error('Failed to get consents', 'USER_ROUTES', error);
+      return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/v1/users/:userId/consents
+ * @desc    Give or withdraw consent per channel
+ * @access  Private (owner or admin)
+ * @body    { whatsapp?: boolean, sms?: boolean, email?: boolean }
+ */
+router.put('/:userId/consents',
+  auth,
+  updateLimiter,
+  userIdValidation,
+  consentValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const isOwner = req.user?.id === userId;
+
+      if (!isOwner && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'ACCESS_DENIED' });
+      }
+
+      const user = await User.findById(userId).select('phoneNumber email').lean();
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'USER_NOT_FOUND' });
+      }
+
+      const added = await consentService.recordChoices(user, req.body, {
+        source: isOwner ? 'profile' : 'admin',
+        recordedBy: isOwner ? null : req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      const consents = await consentService.getUserConsents(user);
+      return res.json({
+        success: true,
+        message: added.length > 0 ? 'Contact preferences updated' : 'No changes',
+        data: { consents }
+      });
+    } catch (error) {
+      logger.error('Failed to update consents', 'USER_ROUTES', error);
+      return res.status(500).json({ success: false, error: 'INTERNAL_SERVER_ERROR' });
+    }
+  }
+);
+
 /**
  * @route   GET /api/v1/users/search
  * @desc    Search users (admin only)
@@ -356,7 +651,6 @@ router.post('/:userId/activate',
       logger.info(`User activation request for: ${userId}`, 'USER_ROUTES');
       
       const User = require('../models/User');
-      const auditLogger = require('../utils/auditLogger');
       
       const user = await User.findByIdAndUpdate(
         userId,
@@ -431,7 +725,6 @@ router.post('/:userId/deactivate',
       logger.info(`User deactivation request for: ${userId}`, 'USER_ROUTES');
       
       const User = require('../models/User');
-      const auditLogger = require('../utils/auditLogger');
       
       const user = await User.findByIdAndUpdate(
         userId,
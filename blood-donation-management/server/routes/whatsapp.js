@@ -3,11 +3,20 @@ const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 
 const whatsappService = require('../services/whatsappService');
+const conversationService = require('../services/conversationService');
+const messageTemplateService = require('../services/messageTemplateService');
+const notificationLogService = require('../services/notificationLogService');
+const donorReplyService = require('../services/donorReplyService');
+const supportInboxService = require('../services/supportInboxService');
 const logger = require('../utils/logger');
 const auditLogger = require('../utils/auditLogger');
+const { auth, adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Message types the bot cannot answer, passed to the support inbox
+const MEDIA_MESSAGE_TYPES = ['image', 'document', 'audio', 'video', 'location', 'contacts'];
+
 // Rate limiting for webhook endpoints
 const webhookLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -117,6 +126,7 @@ router.post('/webhook', webhookLimiter, async (req, res) => {
         for (const change of entry.changes) {
           if (change.field === 'messages') {
             await processIncomingMessage(change.value);
+            await processMessageStatuses(change.value);
           } else if (change.field === 'message_template_status_update') {
             await processTemplateStatusUpdate(change.value);
           }
@@ -228,47 +238,81 @@ router.get('/templates', async (req, res) => {
 
 /**
  * @route   POST /api/v1/whatsapp/templates
- * @desc    Create or update WhatsApp message template
+ * @desc    Submit a stored WhatsApp template version to Meta for approval.
+ *          Templates are written and published through /api/v1/admin/templates;
+ *          the published version is submitted unless a version is given.
  * @access  Private (Admin only)
  */
-router.post('/templates', async (req, res) => {
+router.post('/templates', auth, adminOnly, async (req, res) => {
   try {
-    const { name, category, language, components } = req.body;
+    const { name, version } = req.body;
 
-    if (!name || !category || !language || !components) {
+    if (!name) {
       return res.status(400).json({
         success: false,
         error: 'TEMPLATE_DATA_REQUIRED',
-        message: 'Template name, category, language, and components are required'
+        message: 'Template name is required'
+      });
+    }
+
+    let template;
+    try {
+      template = await messageTemplateService.getVersion(name, 'whatsapp', version);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: 'TEMPLATE_NOT_FOUND',
+        message: error.message
+      });
+    }
+
+    // Meta approves each language of a template separately
+    const submissions = [];
+    for (const variant of template.variants) {
+      const result = await whatsappService.createMessageTemplate({
+        name: template.name,
+        category: template.category,
+        language: variant.language,
+        components: messageTemplateService.toWhatsAppComponents(template, variant.language)
       });
+      submissions.push({ language: variant.language, ...result });
     }
 
-    const result = await whatsappService.createMessageTemplate({
-      name,
-      category,
-      language,
-      components
+    const success = submissions.every(submission => submission.success);
+    await messageTemplateService.recordProviderSubmission(template.name, template.version, {
+      templateId: submissions.find(submission => submission.templateId)?.templateId,
+      status: success ? 'submitted' : 'failed'
     });
 
-    // Log template creation
+    // Log template submission
     auditLogger.logUserAction({
-      userId: req.user?.id || 'admin',
-      userRole: 'admin',
+      userId: req.user.id,
+      userRole: req.user.role,
       action: 'create_whatsapp_template',
       resource: 'whatsapp_template',
-      details: `Created WhatsApp template: ${name}`,
+      resourceId: template._id,
+      details: `Submitted WhatsApp template ${template.name} v${template.version}`,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      success: result.success,
+      success,
       metadata: {
-        templateName: name,
-        category,
-        language,
+        templateName: template.name,
+        version: template.version,
+        category: template.category,
+        languages: submissions.map(submission => submission.language),
         requestId: req.requestId
       }
     });
 
-    res.status(result.success ? 201 : 400).json(result);
+    res.status(success ? 201 : 400).json({
+      success,
+      message: success ? 'Template submitted for approval' : 'Some languages could not be submitted',
+      data: {
+        name: template.name,
+        version: template.version,
+        submissions
+      }
+    });
 
   } catch (error) {
     logger.error('Error creating WhatsApp template', 'WHATSAPP_ROUTES', error);
@@ -377,6 +421,8 @@ async function processIncomingMessage(messageData) {
         await handleButtonResponse(from, button.payload, id);
       } else if (type === 'interactive') {
         await handleInteractiveResponse(from, interactive, id);
+      } else if (MEDIA_MESSAGE_TYPES.includes(type)) {
+        await handleMediaMessage(from, message, contact?.profile?.name);
       } else {
         logger.debug(`Unhandled message type: ${type}`, 'WHATSAPP_WEBHOOK');
       }
@@ -396,11 +442,32 @@ async function processIncomingMessage(messageData) {
 async function handleTextMessage(from, messageText, messageId) {
   try {
     logger.info(`Processing text message: "${messageText}"`, 'WHATSAPP_WEBHOOK');
+
+    // Opting out wins over any flow the sender is in
+    const keyword = messageText.toLowerCase().trim();
+    if (['stop', 'unsubscribe', 'start'].includes(keyword)) {
+      await handleConsentKeyword(from, keyword);
+      return;
+    }
     
+    // A reply to a running flow (registration, eligibility check, ...) goes to that flow
+    const conversationResult = await conversationService.processResponse(from, messageText, messageId);
+    if (conversationResult.success || conversationResult.reason === 'DUPLICATE_MESSAGE') {
+      if (conversationResult.message) {
+        await whatsappService.sendMessage(from, conversationResult.message);
+      }
+      return;
+    }
+
     const normalizedText = messageText.toLowerCase().trim();
+    const snoozeDays = donorReplyService.parseSnooze(normalizedText);
     
     // Handle common responses
-    if (['yes', 'y', 'हाँ', 'हां', 'ok', 'okay'].includes(normalizedText)) {
+    if (snoozeDays) {
+      await handleSnoozeRequest(from, snoozeDays);
+    } else if (donorReplyService.isResume(normalizedText)) {
+      await handleResumeRequest(from);
+    } else if (['yes', 'y', 'हाँ', 'हां', 'ok', 'okay'].includes(normalizedText)) {
       await handlePositiveResponse(from, messageId);
     } else if (['no', 'n', 'नहीं', 'नही', 'cancel'].includes(normalizedText)) {
       await handleNegativeResponse(from, messageId);
@@ -409,6 +476,12 @@ async function handleTextMessage(from, messageText, messageId) {
     } else if (['help', 'मदद', 'सहायता'].includes(normalizedText)) {
       await handleHelpRequest(from, messageId);
     } else {
+      const started = await conversationService.startFromTrigger(from, messageText);
+      if (started) {
+        await whatsappService.sendMessage(from, started.message);
+        return;
+      }
+
       // Forward to natural language processing
       await handleNaturalLanguageResponse(from, messageText, messageId);
     }
@@ -418,6 +491,40 @@ async function handleTextMessage(from, messageText, messageId) {
   }
 }
 
+/**
+ * Put a photo, document, voice note, location or contact card in the
+ * sender's support thread
+ * @param {string} from - Sender phone number
+ * @param {Object} message - WhatsApp message
+ * @param {string} profileName - Sender's WhatsApp profile name
+ */
+async function handleMediaMessage(from, message, profileName) {
+  try {
+    const { id, type } = message;
+    const content = message[type] || {};
+    let description;
+
+    if (type === 'location') {
+      const place = [content.name, content.address].filter(Boolean).join(', ');
+      description = `${place ? `${place} ` : ''}(${content.latitude}, ${content.longitude})`;
+    } else if (type === 'contacts') {
+      description = (message.contacts || []).map(card => card.name?.formatted_name).filter(Boolean).join(', ');
+    } else {
+      description = content.caption || content.filename || '';
+    }
+
+    await supportInboxService.receive({
+      channel: 'whatsapp',
+      phoneNumber: from,
+      name: profileName,
+      text: `[${type}]${description ? ` ${description}` : ''}`,
+      providerMessageId: id
+    });
+  } catch (error) {
+    logger.error('Error handling media message', 'WHATSAPP_WEBHOOK', error);
+  }
+}
+
 /**
  * Handle button response
  * @param {string} from - Sender phone number
@@ -474,16 +581,35 @@ async function handleInteractiveResponse(from, interactive, messageId) {
  * Handle positive donation response
  * @param {string} phoneNumber - Donor phone number
  * @param {string} messageId - WhatsApp message ID
+ * @param {string} requestId - Request ID from a button payload, if any
  */
-async function handlePositiveResponse(phoneNumber, messageId) {
-  // This will be implemented when we build the donor matching system
+async function handlePositiveResponse(phoneNumber, messageId, requestId = null) {
   logger.info(`Positive response from ${whatsappService.maskPhoneNumber(phoneNumber)}`, 'WHATSAPP_WEBHOOK');
-  
+
+  const accepted = await donorReplyService.accept(phoneNumber, requestId);
+  if (!accepted) {
+    await whatsappService.sendMessage(phoneNumber,
+      `Thank you for your willingness to donate! 🙏
+
+We couldn't find an open request for you right now. We'll reach out as soon as someone near you needs your help.
+
+*CallforBlood Foundation*`
+    );
+    return;
+  }
+
+  const { bloodRequest, confirmBy } = accepted;
+
   // Send confirmation message
   await whatsappService.sendMessage(phoneNumber, 
     `🙏 Thank you for your willingness to donate blood! 
 
-We're connecting you with the requester. You'll receive location and contact details shortly.
+*Hospital:* ${bloodRequest.location.hospital.name}
+*Contact:* ${bloodRequest.location.hospital.contactNumber}
+
+Please confirm you are on your way${confirmBy ? ` by ${confirmBy.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}` : ''}. If we don't hear from you, we'll ask other donors to step in.
+
+Reply *NO* if your plans change.
 
 Your generosity can save a life! ❤️
 
@@ -495,9 +621,13 @@ Your generosity can save a life! ❤️
  * Handle negative/decline response
  * @param {string} phoneNumber - Donor phone number
  * @param {string} messageId - WhatsApp message ID
+ * @param {string} requestId - Request ID from a button payload, if any
  */
-async function handleNegativeResponse(phoneNumber, messageId) {
+async function handleNegativeResponse(phoneNumber, messageId, requestId = null) {
   logger.info(`Negative response from ${whatsappService.maskPhoneNumber(phoneNumber)}`, 'WHATSAPP_WEBHOOK');
+
+  // A "no" after a "yes" withdraws the commitment and pages replacement donors
+  await donorReplyService.decline(phoneNumber, requestId, 'whatsapp');
   
   // Send acknowledgment message
   await whatsappService.sendMessage(phoneNumber,
@@ -511,6 +641,26 @@ Thank you for being part of our community! 🩸
   );
 }
 
+/**
+ * Handle DONATE_<requestId> button
+ * @param {string} phoneNumber - Donor phone number
+ * @param {Array} params - Payload parameters
+ * @param {string} messageId - WhatsApp message ID
+ */
+async function handleDonationResponse(phoneNumber, params, messageId) {
+  await handlePositiveResponse(phoneNumber, messageId, params.join('_') || null);
+}
+
+/**
+ * Handle DECLINE_<requestId> button
+ * @param {string} phoneNumber - Donor phone number
+ * @param {Array} params - Payload parameters
+ * @param {string} messageId - WhatsApp message ID
+ */
+async function handleDeclineResponse(phoneNumber, params, messageId) {
+  await handleNegativeResponse(phoneNumber, messageId, params.join('_') || null);
+}
+
 /**
  * Handle information request
  * @param {string} phoneNumber - Requester phone number
@@ -562,6 +712,9 @@ async function handleHelpRequest(phoneNumber, messageId) {
 • YES - Agree to donate
 • NO - Cannot donate
 • INFO - Get more information
+• SNOOZE 7 - Pause alerts for 7 days
+• RESUME - Turn alerts back on
+• STOP - No more WhatsApp messages
 • HELP - Show this help
 
 *Contact Support:*
@@ -578,43 +731,108 @@ async function handleHelpRequest(phoneNumber, messageId) {
 
 
 /**
- * Handle natural language response
+ * Handle STOP / UNSUBSCRIBE and START
+ * @param {string} phoneNumber - Sender phone number
+ * @param {string} keyword - Lower-cased keyword
+ */
+async function handleConsentKeyword(phoneNumber, keyword) {
+  const granted = keyword === 'start';
+  logger.info(`WhatsApp ${granted ? 'opt-in' : 'opt-out'} from ${whatsappService.maskPhoneNumber(phoneNumber)}`, 'WHATSAPP_WEBHOOK');
+
+  if (!granted) {
+    const conversation = await conversationService.getActiveConversation(phoneNumber);
+    if (conversation) {
+      await conversationService.cancelConversation(conversation.conversationId);
+    }
+  }
+
+  await donorReplyService.setConsent(phoneNumber, 'whatsapp', granted, keyword);
+
+  await whatsappService.sendMessage(phoneNumber,
+    granted
+      ? `🔔 You're subscribed to CallforBlood messages on WhatsApp again.
+
+*CallforBlood Foundation*`
+      : `You won't get any more WhatsApp messages from us. Reply *START* at any time to subscribe again.
+
+*CallforBlood Foundation*`
+  );
+}
+
+/**
+ * Handle SNOOZE <days>
+ * @param {string} phoneNumber - Donor phone number
+ * @param {number} days - Requested snooze length
+ */
+async function handleSnoozeRequest(phoneNumber, days) {
+  logger.info(`Snooze request from ${whatsappService.maskPhoneNumber(phoneNumber)}`, 'WHATSAPP_WEBHOOK');
+
+  const snoozed = await donorReplyService.snooze(phoneNumber, days, 'whatsapp');
+  if (!snoozed) {
+    await whatsappService.sendMessage(phoneNumber,
+      `We couldn't find a donor account for this number, so there are no alerts to pause.
+
+*CallforBlood Foundation*`
+    );
+    return;
+  }
+
+  await whatsappService.sendMessage(phoneNumber,
+    `😴 Alerts paused for ${snoozed.days} day${snoozed.days === 1 ? '' : 's'}, until ${snoozed.snoozedUntil.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}.
+
+${snoozed.days < days ? `Alerts can be paused for at most ${snoozed.days} days at a time.\n\n` : ''}Reply *RESUME* to turn them back on sooner.
+
+*CallforBlood Foundation*`
+  );
+}
+
+/**
+ * Handle RESUME
+ * @param {string} phoneNumber - Donor phone number
+ */
+async function handleResumeRequest(phoneNumber) {
+  logger.info(`Resume request from ${whatsappService.maskPhoneNumber(phoneNumber)}`, 'WHATSAPP_WEBHOOK');
+
+  const resumed = await donorReplyService.resume(phoneNumber, 'whatsapp');
+
+  await whatsappService.sendMessage(phoneNumber,
+    resumed
+      ? `🔔 Welcome back! You'll get blood request alerts again.
+
+*CallforBlood Foundation*`
+      : `Your alerts are already on. Reply *SNOOZE 7* to pause them for a week.
+
+*CallforBlood Foundation*`
+  );
+}
+
+/**
+ * Handle free text that is not a command. Understood replies update the
+ * donor's response; the rest go to the review inbox.
  * @param {string} phoneNumber - Sender phone number
  * @param {string} messageText - Message text
  * @param {string} messageId - WhatsApp message ID
  */
 async function handleNaturalLanguageResponse(phoneNumber, messageText, messageId) {
-  logger.info(`Natural language processing for: "${messageText}"`, 'WHATSAPP_WEBHOOK');
-  
-  // Basic keyword detection (can be enhanced with NLP libraries)
-  const keywords = {
-    positive: ['can donate', 'will donate', 'available', 'ready', 'sure', 'definitely'],
-    negative: ['cannot', 'busy', 'unavailable', 'not possible', 'sorry'],
-    questions: ['when', 'where', 'how', 'what', 'why', 'which'],
-    location: ['address', 'location', 'where', 'hospital', 'clinic']
-  };
-
-  const text = messageText.toLowerCase();
-  
-  if (keywords.positive.some(keyword => text.includes(keyword))) {
-    await handlePositiveResponse(phoneNumber, messageId);
-  } else if (keywords.negative.some(keyword => text.includes(keyword))) {
-    await handleNegativeResponse(phoneNumber, messageId);
-  } else if (keywords.questions.some(keyword => text.includes(keyword))) {
-    await handleInfoRequest(phoneNumber, messageId);
-  } else {
-    // Default response for unrecognized messages
-    await whatsappService.sendMessage(phoneNumber,
-      `Thank you for your message. 
+  logger.info(`Interpreting free-text reply from ${whatsappService.maskPhoneNumber(phoneNumber)}`, 'WHATSAPP_WEBHOOK');
 
-Please reply with:
-✅ *YES* - I can donate
-❌ *NO* - Cannot donate now
-ℹ️ *INFO* - Need more details
-🆘 *HELP* - Get help
+  const result = await donorReplyService.interpret(phoneNumber, messageText, 'whatsapp', { messageId });
+  logger.info(`Free-text reply read as ${result.intent} (${result.language})`, 'WHATSAPP_WEBHOOK');
 
-*CallforBlood Foundation*`
-    );
+  if (result.intent === 'eligibility_question') {
+    const started = await conversationService.startConversation(phoneNumber, 'eligibility_check', {}, {
+      userId: result.donor?._id,
+      language: result.replyLanguage
+    });
+    await whatsappService.sendMessage(phoneNumber, started.message);
+    return;
+  }
+
+  const reply = donorReplyService.getReplyMessage(result);
+  if (reply) {
+    await whatsappService.sendMessage(phoneNumber, reply);
+  } else {
+    await handleInfoRequest(phoneNumber, messageId);
   }
 }
 
@@ -645,6 +863,22 @@ async function processTemplateStatusUpdate(statusData) {
   }
 }
 
+/**
+ * Apply sent/delivered/read/failed receipts for messages we sent
+ * @param {Object} messageData - Message data from webhook
+ */
+async function processMessageStatuses(messageData) {
+  for (const receipt of messageData.statuses || []) {
+    const error = receipt.errors?.[0];
+
+    await notificationLogService.applyProviderStatus('whatsapp', receipt.id, receipt.status, {
+      source: 'whatsapp_webhook',
+      at: receipt.timestamp ? new Date(Number(receipt.timestamp) * 1000) : new Date(),
+      error: error ? `${error.code}: ${error.title}` : undefined
+    });
+  }
+}
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   logger.debug('WhatsApp service health check requested', 'WHATSAPP_ROUTES');
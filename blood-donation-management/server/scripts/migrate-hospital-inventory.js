@@ -0,0 +1,216 @@
+// Load environment variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const BloodInventory = require('../models/BloodInventory');
+const logger = require('../utils/logger');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const KEEP_LEGACY = process.argv.includes('--keep-legacy');
+
+// Whole blood shelf life, used when a legacy entry has no expiration dates
+const DEFAULT_SHELF_LIFE_DAYS = 35;
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bdms');
+    logger.info(`MongoDB Connected: ${conn.connection.host}`, 'DB_MIGRATION');
+  } catch (error) {
+    logger.error('Database connection failed', 'DB_MIGRATION', error);
+    process.exit(1);
+  }
+};
+
+// Institution stock used to be keyed by `institution`; it now shares the `facility` key with hospitals
+const migrateInstitutionStock = async () => {
+  const collection = mongoose.connection.collection('bloodinventories');
+  const legacyCount = await collection.countDocuments({ institution: { $exists: true } });
+
+  logger.info(`Found ${legacyCount} institution inventory records to re-key`, 'DB_MIGRATION');
+
+  if (DRY_RUN || legacyCount === 0) {
+    return legacyCount;
+  }
+
+  await collection.updateMany(
+    { institution: { $exists: true } },
+    { $rename: { institution: 'facility' }, $set: { facilityModel: 'Institution' } }
+  );
+
+  try {
+    await collection.dropIndex('institution_1_bloodType_1');
+    logger.info('Dropped legacy institution_1_bloodType_1 index', 'DB_MIGRATION');
+  } catch (error) {
+    // Index was never built or has already been dropped
+  }
+
+  return legacyCount;
+};
+
+// Stock records used to be one per blood type; existing ones hold whole blood
+const migrateStockComponents = async () => {
+  const collection = mongoose.connection.collection('bloodinventories');
+  const legacyCount = await collection.countDocuments({ component: { $exists: false } });
+
+  logger.info(`Found ${legacyCount} inventory records without a component`, 'DB_MIGRATION');
+
+  if (DRY_RUN) {
+    return legacyCount;
+  }
+
+  if (legacyCount > 0) {
+    await collection.updateMany({ component: { $exists: false } }, { $set: { component: 'whole_blood' } });
+  }
+
+  try {
+    await collection.dropIndex('facility_1_bloodType_1');
+    logger.info('Dropped legacy facility_1_bloodType_1 index', 'DB_MIGRATION');
+  } catch (error) {
+    // Index was never built or has already been dropped
+  }
+
+  return legacyCount;
+};
+
+/**
+ * Turn one embedded Hospital.inventory entry into batches. The old shape only kept a unit
+ * count and a list of expiry dates, so units are spread evenly over the dates that are
+ * still in the future, with any remainder going to the earliest one.
+ */
+const buildBatches = (hospitalId, entry) => {
+  const units = Math.floor(entry.unitsAvailable || 0);
+  if (units <= 0) {
+    return [];
+  }
+
+  const now = new Date();
+  const receivedAt = entry.lastUpdated ? new Date(entry.lastUpdated) : now;
+  const dates = (entry.expirationDates || [])
+    .map(date => new Date(date))
+    .filter(date => !isNaN(date))
+    .sort((a, b) => a - b);
+  const futureDates = dates.filter(date => date > now);
+
+  const batchFor = (batchUnits, expiryDate, index, status = 'available') => ({
+    batchId: `MIG_${hospitalId}_${entry.bloodType}_${index}`,
+    units: batchUnits,
+    collectionDate: receivedAt,
+    expiryDate,
+    status,
+    source: 'migration',
+    notes: 'Migrated from Hospital.inventory'
+  });
+
+  if (dates.length === 0) {
+    const expiryDate = new Date(receivedAt);
+    expiryDate.setDate(expiryDate.getDate() + DEFAULT_SHELF_LIFE_DAYS);
+    return [batchFor(units, expiryDate, 0, expiryDate > now ? 'available' : 'expired')];
+  }
+
+  if (futureDates.length === 0) {
+    return [batchFor(units, dates[dates.length - 1], 0, 'expired')];
+  }
+
+  const perDate = Math.floor(units / futureDates.length);
+  const remainder = units % futureDates.length;
+
+  return futureDates
+    .map((expiryDate, index) => batchFor(perDate + (index === 0 ? remainder : 0), expiryDate, index))
+    .filter(batch => batch.units > 0);
+};
+
+// Move the embedded Hospital.inventory arrays into BloodInventory batches
+const migrateHospitalInventory = async () => {
+  const hospitals = await mongoose.connection.collection('hospitals')
+    .find({ 'inventory.0': { $exists: true } })
+    .project({ name: 1, inventory: 1 })
+    .toArray();
+
+  logger.info(`Found ${hospitals.length} hospitals with embedded inventory`, 'DB_MIGRATION');
+
+  const summary = { hospitals: 0, records: 0, batches: 0, units: 0, skipped: 0 };
+
+  for (const hospital of hospitals) {
+    for (const entry of hospital.inventory) {
+      const alreadyMigrated = await BloodInventory.exists({
+        facility: hospital._id,
+        bloodType: entry.bloodType,
+        'batches.source': 'migration'
+      });
+
+      if (alreadyMigrated) {
+        summary.skipped++;
+        continue;
+      }
+
+      const batches = buildBatches(hospital._id, entry);
+      summary.records++;
+      summary.batches += batches.length;
+      summary.units += batches.reduce((sum, batch) => sum + batch.units, 0);
+
+      if (DRY_RUN) {
+        logger.info(`  ${hospital.name} ${entry.bloodType}: ${entry.unitsAvailable} units -> ${batches.length} batch(es)`, 'DB_MIGRATION');
+        continue;
+      }
+
+      const stock = await BloodInventory.findOrCreate(hospital._id, entry.bloodType);
+      if (entry.minimumThreshold !== undefined) {
+        stock.minimumThreshold = entry.minimumThreshold;
+      }
+      batches.forEach(batch => stock.batches.push(batch));
+      stock.stats.totalReceived += batches.reduce((sum, batch) => sum + batch.units, 0);
+      await stock.save();
+    }
+
+    summary.hospitals++;
+
+    if (!DRY_RUN && !KEEP_LEGACY) {
+      await mongoose.connection.collection('hospitals').updateOne(
+        { _id: hospital._id },
+        { $unset: { inventory: '' } }
+      );
+    }
+  }
+
+  return summary;
+};
+
+// Main execution
+const main = async () => {
+  try {
+    await connectDB();
+
+    if (DRY_RUN) {
+      logger.warn('Dry run: no changes will be written', 'DB_MIGRATION');
+    }
+
+    await migrateInstitutionStock();
+    await migrateStockComponents();
+    const summary = await migrateHospitalInventory();
+
+    if (!DRY_RUN) {
+      await BloodInventory.createIndexes();
+    }
+
+    logger.success(
+      `Inventory migration completed: ${summary.hospitals} hospitals, ${summary.records} records, ` +
+      `${summary.batches} batches, ${summary.units} units (${summary.skipped} already migrated)`,
+      'DB_MIGRATION'
+    );
+  } catch (error) {
+    logger.error('Migration failed', 'DB_MIGRATION', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    logger.info('Database connection closed', 'DB_MIGRATION');
+    process.exit(0);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildBatches, migrateHospitalInventory, migrateInstitutionStock, migrateStockComponents };
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Hospital = require('../models/Hospital');
+const BloodInventory = require('../models/BloodInventory');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 require('dotenv').config();
@@ -383,26 +384,32 @@ const hyderabadHospitalsData = [
   }
 ];
 
-// Blood inventory data for hospitals
-const generateBloodInventory = () => {
+// Blood inventory batches for a hospital
+const generateBloodInventory = (hospitalId) => {
   const bloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
   return bloodTypes.map(bloodType => {
-    const unitsAvailable = Math.floor(Math.random() * 50) + 10; // 10-60 units
-    const expirationDates = [];
+    const batches = [];
     
-    // Generate 3-5 expiration dates
+    // Generate 3-5 batches of 3-12 units each
     for (let i = 0; i < Math.floor(Math.random() * 3) + 3; i++) {
-      const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + Math.floor(Math.random() * 35) + 7); // 7-42 days from now
-      expirationDates.push(futureDate);
+      const expiryDate = new Date();
+      expiryDate.setDate(expiryDate.getDate() + Math.floor(Math.random() * 35) + 7); // 7-42 days from now
+      batches.push({
+        batchId: `SEED_${hospitalId}_${bloodType}_${i}`,
+        units: Math.floor(Math.random() * 10) + 3,
+        collectionDate: new Date(),
+        expiryDate,
+        source: 'manual'
+      });
     }
     
     return {
+      facility: hospitalId,
+      facilityModel: 'Hospital',
       bloodType,
-      unitsAvailable,
-      expirationDates,
-      lastUpdated: new Date(),
-      minimumThreshold: Math.floor(Math.random() * 10) + 5 // 5-15 units threshold
+      batches,
+      minimumThreshold: Math.floor(Math.random() * 10) + 5, // 5-15 units threshold
+      criticalThreshold: 3
     };
   });
 };
@@ -451,7 +458,8 @@ async function seedHospitals() {
       logger.info('Created default admin user for hospital seeding', 'SEED_HOSPITALS');
     }
 
-    // Clear existing hospitals
+    // Clear existing hospitals and their stock
+    await BloodInventory.deleteMany({ facilityModel: 'Hospital' });
     await Hospital.deleteMany({});
     logger.info('Cleared existing hospitals', 'SEED_HOSPITALS');
 
@@ -459,8 +467,7 @@ async function seedHospitals() {
     const hospitalPromises = hyderabadHospitalsData.map(hospitalData => {
       const hospital = new Hospital({
         ...hospitalData,
-        adminUser: adminUser._id,
-        inventory: generateBloodInventory()
+        adminUser: adminUser._id
       });
       return hospital.save();
     });
@@ -468,6 +475,11 @@ async function seedHospitals() {
     const createdHospitals = await Promise.all(hospitalPromises);
     logger.success(`Created ${createdHospitals.length} hospitals in Hyderabad`, 'SEED_HOSPITALS');
 
+    // Seed stock for every hospital; save() derives unit counts from the batches
+    const stockRecords = createdHospitals.flatMap(hospital => generateBloodInventory(hospital._id));
+    await Promise.all(stockRecords.map(record => new BloodInventory(record).save()));
+    logger.success(`Created ${stockRecords.length} blood inventory records`, 'SEED_HOSPITALS');
+
     logger.success('Hospital seeding completed successfully!', 'SEED_HOSPITALS');
     
     // Display summary
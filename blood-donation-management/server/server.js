@@ -10,6 +10,13 @@ require('dotenv').config();
 
 const app = require('./app');
 const { connectDB, createIndexes, startPeriodicCleanup } = require('./config/database');
+const inventoryService = require('./services/inventoryService');
+const appealCampaignService = require('./services/appealCampaignService');
+const conversationService = require('./services/conversationService');
+const messageTemplateService = require('./services/messageTemplateService');
+const questionnaireService = require('./services/questionnaireService');
+const achievementService = require('./services/achievementService');
+const documentOcrService = require('./services/documentOcrService');
 const logger = require('./utils/logger');
 
 // Set default port
@@ -34,6 +41,42 @@ async function startServer() {
     // Start periodic cleanup
     startPeriodicCleanup();
 
+    // Seed built-in message templates that are not in the store yet
+    try {
+      await messageTemplateService.ensureDefaults();
+    } catch (error) {
+      logger.error('Failed to seed message templates; using built-in defaults', 'SERVER', error);
+    }
+
+    // Seed the first health questionnaire version on a fresh database
+    try {
+      await questionnaireService.ensureDefaults();
+    } catch (error) {
+      logger.error('Failed to seed health questionnaire; using built-in version', 'SERVER', error);
+    }
+
+    // Seed the default badge catalog; admins edit it from there
+    try {
+      await achievementService.ensureDefaults();
+    } catch (error) {
+      logger.error('Failed to seed badge catalog', 'SERVER', error);
+    }
+
+    // Release inventory held by cancelled or expired requests
+    inventoryService.startReservationSweeper();
+
+    // Low-stock, expiry and expired-inventory checks run on their own cron schedule
+    require('./services/inventoryAlertService');
+
+    // Send appeal invitations once quiet hours end and close finished appeals
+    appealCampaignService.startScheduler();
+
+    // Expire WhatsApp/SMS conversations nobody replied to
+    conversationService.startCleanupInterval();
+
+    // OCR documents queued while the server was down and retry failed reads
+    documentOcrService.startSweeper();
+
     // Start HTTP server
     const server = app.listen(PORT, () => {
       logger.success(`Server running on port ${PORT}`, 'SERVER');
@@ -0,0 +1,389 @@
+const mongoose = require('mongoose');
+const Badge = require('../models/Badge');
+const DonorAchievement = require('../models/DonorAchievement');
+const Donation = require('../models/Donation');
+const BloodRequest = require('../models/BloodRequest');
+const NotificationLog = require('../models/NotificationLog');
+const User = require('../models/User');
+const { AchievementSettings, DefaultBadges } = require('../config/achievements');
+const { streaks, measureProgress, validateCriteria } = require('./achievements/criteria');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = ['title', 'description', 'icon', 'category', 'rarity', 'points', 'criteria', 'isActive', 'sortOrder'];
+
+/**
+ * Donor achievements: awards catalog badges from a donor's real records,
+ * keeps their points and streak on the user, and tells them when they earn
+ * something new.
+ */
+class AchievementService {
+  constructor() {
+    this.settings = AchievementSettings;
+    // Checks run one at a time so a donor is never awarded the same badge twice
+    this.queue = Promise.resolve();
+
+    logger.success('Achievement Service initialized', 'ACHIEVEMENT_SERVICE');
+  }
+
+  /**
+   * Seed the default badges that are not in the catalog yet.
+   * Existing badges are never overwritten.
+   * @returns {Promise<number>} Number of badges created
+   */
+  async ensureDefaults() {
+    let created = 0;
+
+    for (const [index, badge] of DefaultBadges.entries()) {
+      const exists = await Badge.exists({ key: badge.key });
+      if (exists) continue;
+
+      await Badge.create({ ...badge, sortOrder: index });
+      created++;
+    }
+
+    if (created > 0) {
+      logger.success(`Seeded ${created} default badges`, 'ACHIEVEMENT_SERVICE');
+      // Badges for past donations are awarded without a burst of messages
+      this.reevaluateAll('catalog_seeded', { notify: false });
+    }
+    return created;
+  }
+
+  /**
+   * Whole catalog, retired badges included, with how many donors earned each
+   */
+  async listBadges() {
+    const [badges, counts] = await Promise.all([
+      Badge.find().sort({ sortOrder: 1, createdAt: 1 }).lean(),
+      DonorAchievement.aggregate([{ $group: { _id: '$badge', count: { $sum: 1 } } }])
+    ]);
+    const earned = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+    return badges.map(badge => ({ ...badge, earnedCount: earned.get(badge._id.toString()) || 0 }));
+  }
+
+  async createBadge(data, adminId) {
+    const errors = validateCriteria(data.criteria, this.settings);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    if (await Badge.exists({ key: data.key })) {
+      throw new Error('A badge with this key already exists');
+    }
+
+    const fields = Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+    const badge = await Badge.create({ key: data.key, ...fields, createdBy: adminId, updatedBy: adminId });
+
+    logger.info(`Badge ${badge.key} created by ${adminId}`, 'ACHIEVEMENT_SERVICE');
+    if (badge.isActive) {
+      this.reevaluateAll('badge_created');
+    }
+    return badge;
+  }
+
+  /**
+   * Edit a badge. Donors who already earned it keep it, with the points it had.
+   */
+  async updateBadge(key, updates, adminId) {
+    const badge = await Badge.findOne({ key });
+    if (!badge) {
+      throw new Error('Badge not found');
+    }
+
+    if (updates.criteria !== undefined) {
+      const errors = validateCriteria(updates.criteria, this.settings);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        badge[field] = updates[field];
+      }
+    }
+    badge.updatedBy = adminId;
+    await badge.save();
+
+    logger.info(`Badge ${badge.key} updated by ${adminId}`, 'ACHIEVEMENT_SERVICE');
+    // New criteria or a restored badge may now be met by donors
+    if (badge.isActive && (updates.criteria !== undefined || updates.isActive === true)) {
+      this.reevaluateAll('badge_updated');
+    }
+    return badge;
+  }
+
+  /**
+   * Everything the badge criteria count, from the donor's records
+   * @returns {Promise<Object>} { donations, emergencyResponses, referralConversions }
+   */
+  async gatherFacts(userId) {
+    const donorId = new mongoose.Types.ObjectId(userId);
+
+    const [donations, requests, referralConversions] = await Promise.all([
+      Donation.find({ donorId, status: 'completed' })
+        .select('donationDate unitsDonated bloodType')
+        .sort({ donationDate: 1 })
+        .lean(),
+      BloodRequest.find({ 'matching.matchedDonors': { $elemMatch: { donorId, response: 'yes' } } })
+        .select('requestId request.urgency matching.matchedDonors createdAt')
+        .lean(),
+      User.countDocuments({ 'referral.referredBy': donorId, 'stats.totalDonations': { $gte: 1 } })
+    ]);
+
+    // Response time counts from the donor's first alert; older requests whose
+    // logs have expired fall back to when the request was raised
+    const alerts = requests.length === 0 ? [] : await NotificationLog.aggregate([
+      { $match: { user: donorId, type: 'blood_request', requestId: { $in: requests.map(request => request.requestId) } } },
+      { $group: { _id: '$requestId', firstAlertAt: { $min: '$createdAt' } } }
+    ]);
+    const firstAlerts = new Map(alerts.map(alert => [alert._id, alert.firstAlertAt]));
+
+    // Older matches may not have recorded when the donor answered; they have no response time to measure
+    const emergencyResponses = requests.flatMap(request => {
+      const response = request.matching.matchedDonors.find(donor =>
+        donor.donorId?.equals(donorId) && donor.response === 'yes');
+      if (!response?.respondedAt) return [];
+
+      const alertedAt = firstAlerts.get(request.requestId) || request.createdAt;
+
+      return [{
+        urgency: request.request?.urgency,
+        minutes: Math.max(0, (new Date(response.respondedAt) - new Date(alertedAt)) / 60000),
+        status: response.status
+      }];
+    });
+
+    return {
+      donations: donations.map(donation => ({
+        date: donation.donationDate,
+        units: donation.unitsDonated,
+        bloodType: donation.bloodType
+      })),
+      emergencyResponses,
+      referralConversions
+    };
+  }
+
+  /**
+   * Award any active badges the donor now qualifies for
+   * @param {string} userId - Donor
+   * @param {string} trigger - What prompted the check, e.g. donation_completed
+   * @param {Object} options - { notify }
+   * @returns {Promise<Object>} { newlyEarned, facts }
+   */
+  async evaluate(userId, trigger, { notify = true } = {}) {
+    const [facts, badges, earned] = await Promise.all([
+      this.gatherFacts(userId),
+      Badge.find({ isActive: true }).sort({ sortOrder: 1 }).lean(),
+      DonorAchievement.find({ userId }).select('badge').lean()
+    ]);
+    const earnedIds = new Set(earned.map(achievement => achievement.badge.toString()));
+
+    const newlyEarned = [];
+    for (const badge of badges) {
+      if (earnedIds.has(badge._id.toString())) continue;
+
+      const progress = measureProgress(badge.criteria, facts, this.settings);
+      if (!progress.met) continue;
+
+      try {
+        const achievement = await DonorAchievement.create({
+          userId,
+          badge: badge._id,
+          badgeKey: badge.key,
+          points: badge.points,
+          value: progress.current,
+          trigger
+        });
+        newlyEarned.push({ achievement, badge });
+      } catch (error) {
+        // Awarded by a check running elsewhere
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    await this.refreshRewards(userId, facts);
+
+    if (newlyEarned.length > 0) {
+      logger.info(`Donor ${userId} earned ${newlyEarned.map(({ badge }) => badge.key).join(', ')} (${trigger})`, 'ACHIEVEMENT_SERVICE');
+      if (notify) {
+        await this.notifyEarned(userId, newlyEarned);
+      }
+    }
+
+    return { newlyEarned, facts };
+  }
+
+  /**
+   * Queue a check without holding up the caller; failures are only logged
+   */
+  evaluateSoon(userId, trigger) {
+    this.queue = this.queue
+      .then(() => this.evaluate(userId, trigger))
+      .catch(error => logger.error(`Achievement check failed for ${userId}`, 'ACHIEVEMENT_SERVICE', error));
+    return this.queue;
+  }
+
+  /**
+   * Queue a check of every donor who could hold a badge, after the catalog
+   * changes. Runs behind any other checks; failures are only logged.
+   * @param {string} trigger - What changed, e.g. badge_created
+   * @param {Object} options - { notify }
+   */
+  reevaluateAll(trigger, { notify = true } = {}) {
+    this.queue = this.queue
+      .then(() => this.evaluateDonors(trigger, notify))
+      .catch(error => logger.error(`Achievement re-check failed (${trigger})`, 'ACHIEVEMENT_SERVICE', error));
+    return this.queue;
+  }
+
+  async evaluateDonors(trigger, notify) {
+    const cursor = User.find({
+      $or: [{ 'stats.totalDonations': { $gte: 1 } }, { 'referral.referralCount': { $gte: 1 } }]
+    }).select('_id').lean().cursor();
+
+    let checked = 0;
+    let awarded = 0;
+    for await (const donor of cursor) {
+      try {
+        const { newlyEarned } = await this.evaluate(donor._id.toString(), trigger, { notify });
+        awarded += newlyEarned.length;
+        checked++;
+      } catch (error) {
+        logger.error(`Achievement check failed for ${donor._id}`, 'ACHIEVEMENT_SERVICE', error);
+      }
+    }
+
+    logger.info(`Re-checked ${checked} donors (${trigger}): ${awarded} badges awarded`, 'ACHIEVEMENT_SERVICE');
+  }
+
+  /**
+   * Keep the donor's points and current streak on their profile
+   */
+  async refreshRewards(userId, facts) {
+    const [totals] = await DonorAchievement.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+    const { maxGapDays } = this.settings.CRITERIA.donation_streak.params;
+
+    await User.updateOne({ _id: userId }, {
+      $set: {
+        'rewards.points': totals?.points || 0,
+        'rewards.streak': streaks(facts.donations, maxGapDays).current
+      }
+    });
+  }
+
+  async notifyEarned(userId, newlyEarned) {
+    const donor = await User.findById(userId).select('name phoneNumber email preferences').lean();
+    if (!donor) return;
+
+    const notificationService = require('./notificationService');
+
+    for (const { achievement, badge } of newlyEarned) {
+      try {
+        const result = await notificationService.sendNotification({
+          phoneNumber: donor.phoneNumber,
+          email: donor.email,
+          message: `${badge.icon} Congratulations ${donor.name}! You earned the "${badge.title}" badge: ${badge.description} (+${badge.points} points)`,
+          type: 'achievement_earned',
+          priority: 'low',
+          channels: this.settings.NOTIFICATION_CHANNELS,
+          userPreferences: {
+            preferredChannel: this.settings.NOTIFICATION_CHANNELS[0]
+          },
+          metadata: {
+            badgeKey: badge.key,
+            achievementId: achievement._id
+          },
+          userId: donor._id
+        });
+
+        if (result.success) {
+          await DonorAchievement.updateOne({ _id: achievement._id }, { $set: { notifiedAt: new Date() } });
+        }
+      } catch (error) {
+        logger.error(`Failed to notify ${userId} of badge ${badge.key}`, 'ACHIEVEMENT_SERVICE', error);
+      }
+    }
+  }
+
+  /**
+   * Donor's badges with progress, plus summary stats. Read only.
+   * @param {string} userId - Donor
+   * @returns {Promise<Object>} { achievements, stats }
+   */
+  async getAchievements(userId) {
+    const earned = await DonorAchievement.find({ userId }).lean();
+    const earnedByBadge = new Map(earned.map(achievement => [achievement.badge.toString(), achievement]));
+
+    const [badges, donorFacts] = await Promise.all([
+      // Retired badges still show for donors who earned them
+      Badge.find({ $or: [{ isActive: true }, { _id: { $in: earned.map(achievement => achievement.badge) } }] })
+        .sort({ sortOrder: 1, createdAt: 1 })
+        .lean(),
+      this.gatherFacts(userId)
+    ]);
+
+    const achievements = badges.map(badge => {
+      const achievement = earnedByBadge.get(badge._id.toString());
+      const progress = measureProgress(badge.criteria, donorFacts, this.settings);
+
+      return {
+        id: badge.key,
+        title: badge.title,
+        description: badge.description,
+        icon: badge.icon,
+        category: badge.category,
+        rarity: badge.rarity,
+        points: achievement ? achievement.points : badge.points,
+        criteria: {
+          type: badge.criteria.type,
+          threshold: badge.criteria.threshold,
+          unit: this.settings.CRITERIA[badge.criteria.type]?.unit
+        },
+        isUnlocked: !!achievement,
+        earnedDate: achievement?.earnedAt || null,
+        progress: {
+          current: Math.min(progress.current, progress.target),
+          target: progress.target
+        }
+      };
+    });
+
+    return { achievements, stats: this.summarize(achievements, earned, donorFacts) };
+  }
+
+  summarize(achievements, earned, facts) {
+    const { maxGapDays } = this.settings.CRITERIA.donation_streak.params;
+    const ranks = achievements.filter(achievement => achievement.criteria.type === this.settings.RANK_CRITERION)
+      .sort((a, b) => a.criteria.threshold - b.criteria.threshold);
+    const rank = ranks.filter(achievement => achievement.isUnlocked).pop();
+    const next = ranks.find(achievement => !achievement.isUnlocked);
+    const totalDonations = facts.donations.length;
+
+    return {
+      totalPoints: earned.reduce((sum, achievement) => sum + (achievement.points || 0), 0),
+      unlocked: earned.length,
+      totalDonations,
+      unitsDonated: facts.donations.reduce((sum, donation) => sum + (donation.units || 0), 0),
+      currentStreak: streaks(facts.donations, maxGapDays).current,
+      rank: rank ? rank.title : null,
+      nextMilestone: next ? {
+        id: next.id,
+        title: next.title,
+        target: next.criteria.threshold,
+        remaining: Math.max(0, next.criteria.threshold - totalDonations),
+        progress: Math.min(100, Math.round((totalDonations / next.criteria.threshold) * 100))
+      } : null
+    };
+  }
+}
+
+// Create singleton instance
+const achievementService = new AchievementService();
+
+module.exports = achievementService;
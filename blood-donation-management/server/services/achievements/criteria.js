@@ -0,0 +1,108 @@
+/**
+ * What each badge criterion counts, from a donor's facts:
+ *
+ *   donations            completed donations, oldest first: { date, units, bloodType }
+ *   emergencyResponses   "yes" answers to blood requests: { urgency, minutes, status }
+ *                        (minutes from the donor's first alert; status of their commitment)
+ *   referralConversions  referred donors who have donated
+ *
+ * Pure functions; the achievement service gathers the facts.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const URGENCIES = ['critical', 'urgent', 'scheduled'];
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+/**
+ * Runs of donations each within maxGapDays of the one before
+ * @returns {Object} { longest, current } - current is 0 once the last gap has run out
+ */
+const streaks = (donations, maxGapDays, asOf = new Date()) => {
+  const maxGap = maxGapDays * DAY_MS;
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const donation of donations) {
+    const date = new Date(donation.date);
+    run = previous && date - previous <= maxGap ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  }
+
+  const current = previous && asOf - previous <= maxGap ? run : 0;
+  return { longest, current };
+};
+
+const MEASURES = {
+  donation_count: facts => facts.donations.length,
+
+  units_donated: facts => facts.donations.reduce((sum, donation) => sum + (donation.units || 0), 0),
+
+  donation_streak: (facts, params) => streaks(facts.donations, params.maxGapDays).longest,
+
+  fast_emergency_response: (facts, params) => facts.emergencyResponses.filter(response =>
+    params.urgencies.includes(response.urgency) &&
+    response.minutes <= params.withinMinutes &&
+    response.status === 'donated').length,
+
+  referral_conversions: facts => facts.referralConversions,
+
+  rare_blood_type_donations: (facts, params) => facts.donations
+    .filter(donation => params.bloodTypes.includes(donation.bloodType)).length
+};
+
+const paramsFor = (criteria, settings) => ({
+  ...settings.CRITERIA[criteria.type].params,
+  ...(criteria.params || {})
+});
+
+/**
+ * Donor's progress towards a badge
+ * @returns {Object} { current, target, met }
+ */
+const measureProgress = (criteria, facts, settings) => {
+  const measure = MEASURES[criteria.type];
+  const current = measure ? measure(facts, paramsFor(criteria, settings)) : 0;
+  return { current, target: criteria.threshold, met: current >= criteria.threshold };
+};
+
+const PARAM_CHECKS = {
+  maxGapDays: value => Number.isInteger(value) && value > 0,
+  withinMinutes: value => Number.isInteger(value) && value > 0,
+  urgencies: value => Array.isArray(value) && value.length > 0 && value.every(u => URGENCIES.includes(u)),
+  bloodTypes: value => Array.isArray(value) && value.length > 0 && value.every(t => BLOOD_TYPES.includes(t))
+};
+
+/**
+ * Problems with a badge criterion from the admin catalog
+ * @returns {Array<string>} Empty when valid
+ */
+const validateCriteria = (criteria, settings) => {
+  const definition = settings.CRITERIA[criteria?.type];
+  if (!definition) {
+    return [`Criterion must be one of ${Object.keys(settings.CRITERIA).join(', ')}`];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(criteria.threshold) || criteria.threshold < 1) {
+    errors.push('Threshold must be a whole number of at least 1');
+  }
+
+  for (const [name, value] of Object.entries(criteria.params || {})) {
+    if (!(name in definition.params)) {
+      errors.push(`${criteria.type} has no ${name} parameter`);
+    } else if (!PARAM_CHECKS[name](value)) {
+      errors.push(`Invalid ${name}`);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  streaks,
+  measureProgress,
+  validateCriteria
+};
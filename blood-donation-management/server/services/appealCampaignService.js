@@ -0,0 +1,770 @@
+const AppealCampaign = require('../models/AppealCampaign');
+const BloodRequest = require('../models/BloodRequest');
+const Donation = require('../models/Donation');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const eligibilityService = require('./eligibilityService');
+const notificationFatigueService = require('./notificationFatigueService');
+const notificationService = require('./notificationService');
+const { MessageTemplateSettings } = require('../config/messageTemplates');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stock projected to run out within this many days gets an appeal before it is low
+const FORECAST_LOOKAHEAD_DAYS = 7;
+
+// Campaign length and the daily sessions donors can book, as [startHour, endHour]
+const CAMPAIGN_DAYS = 5;
+const DAILY_SESSIONS = [[10, 13], [14, 17]];
+
+// Donors invited per unit needed, since most will not book
+const INVITES_PER_UNIT = 4;
+const MAX_INVITES_PER_CAMPAIGN = 200;
+const DEFAULT_RADIUS_KM = 15;
+
+// Appeals are routine, so they are capped harder than emergency requests
+const MIN_DAYS_BETWEEN_APPEALS = 7;
+const MAX_APPEALS_PER_30_DAYS = 2;
+
+// No appeals between 21:00 and 08:00. Session and quiet hours are local to
+// the hospitals, not the server.
+const QUIET_HOURS = { start: 21, end: 8 };
+const TIME_ZONE = MessageTemplateSettings.TIME_ZONE;
+
+const DISPATCH_INTERVAL = 15 * 60 * 1000;
+
+const ACTIVE_REQUEST_STATUSES = ['pending', 'active', 'matched'];
+const OPEN_COMMITMENT_STATUSES = ['responded', 'confirmed', 'checked_in'];
+const OPEN_DONATION_STATUSES = ['scheduled', 'in_progress'];
+
+const zonedFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  hourCycle: 'h23'
+});
+
+// Calendar date and time of an instant in TIME_ZONE
+const zonedParts = (date) => Object.fromEntries(
+  zonedFormat.formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)])
+);
+
+// The instant it is hour:00 in TIME_ZONE on the calendar day of date there
+const atZonedHour = (date, hour) => {
+  const { year, month, day } = zonedParts(date);
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const seen = zonedParts(new Date(guess));
+  const offset = Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute) - guess;
+  return new Date(guess - offset);
+};
+
+/**
+ * Appeal campaigns ask idle donors of a blood type to book a donation slot at a
+ * hospital whose stock is low or projected to run out, before an emergency
+ * request has to be raised.
+ */
+class AppealCampaignService {
+  /**
+   * Start campaigns for low stock seen by the inventory alert check, and for
+   * stock the forecast expects to run out soon
+   * @param {Array} lowStockAlerts - Output of inventoryService.getSystemWideLowStockAlerts
+   * @returns {Promise<Array>} Campaigns created
+   */
+  async planAppeals(lowStockAlerts = []) {
+    const candidates = new Map();
+
+    for (const { hospital, lowStockItems } of lowStockAlerts) {
+      for (const item of lowStockItems) {
+        candidates.set(`${hospital.id}:${item.bloodType}`, {
+          hospitalId: hospital.id,
+          bloodType: item.bloodType,
+          source: 'low_stock',
+          unitsAvailable: item.unitsAvailable,
+          minimumThreshold: item.minimumThreshold,
+          unitsTarget: item.minimumThreshold - item.unitsAvailable
+        });
+      }
+    }
+
+    try {
+      // Loaded here to keep the forecast's history scan out of module load
+      const inventoryForecastService = require('./inventoryForecastService');
+      const { forecasts } = await inventoryForecastService.getForecast({ horizons: [FORECAST_LOOKAHEAD_DAYS] });
+
+      for (const item of forecasts) {
+        if (item.facility.type !== 'Hospital') continue;
+
+        const key = `${item.facility.id}:${item.bloodType}`;
+        const trendingLow = item.daysUntilStockOut !== null && item.daysUntilStockOut <= FORECAST_LOOKAHEAD_DAYS;
+        if (!trendingLow && !candidates.has(key)) continue;
+
+        // Cover the coming week's demand and end it at the suggested threshold
+        const threshold = Math.max(item.minimumThreshold, item.suggestedMinimumThreshold);
+        const forecastTarget = Math.ceil(threshold + item.forecast[`${FORECAST_LOOKAHEAD_DAYS}d`] - item.availableUnits);
+        const existing = candidates.get(key);
+
+        candidates.set(key, {
+          hospitalId: item.facility.id,
+          bloodType: item.bloodType,
+          source: existing ? existing.source : 'forecast',
+          unitsAvailable: item.availableUnits,
+          minimumThreshold: item.minimumThreshold,
+          projectedStockOutDate: item.projectedStockOutDate,
+          unitsTarget: Math.max(existing?.unitsTarget || 0, forecastTarget)
+        });
+      }
+    } catch (error) {
+      logger.error('Error loading forecast for appeal planning', 'APPEAL_CAMPAIGN', error);
+    }
+
+    const created = [];
+    for (const candidate of candidates.values()) {
+      const campaign = await this.createCampaign(candidate);
+      if (campaign) created.push(campaign);
+    }
+
+    if (created.length > 0) {
+      await this.dispatchDueInvitations();
+    }
+
+    logger.info(`Appeal planning created ${created.length} campaign(s) from ${candidates.size} low or trending-low stock(s)`, 'APPEAL_CAMPAIGN');
+
+    return created;
+  }
+
+  /**
+   * Create a campaign and queue invitations, unless the hospital already has
+   * one running for the blood type
+   * @returns {Promise<Object|null>} Campaign, or null when one is already active
+   */
+  async createCampaign({ hospitalId, bloodType, source = 'manual', unitsAvailable, minimumThreshold, projectedStockOutDate, unitsTarget, radiusKm, createdBy }) {
+    try {
+      if (await AppealCampaign.findActive(hospitalId, bloodType)) {
+        return null;
+      }
+
+      const hospital = await Hospital.findById(hospitalId).select('name location address');
+      if (!hospital) {
+        throw new Error('Hospital not found');
+      }
+
+      const now = new Date();
+      const target = Math.min(200, Math.max(1, Math.ceil(unitsTarget || 1)));
+      const slots = this.buildSlots(now, target);
+
+      const campaign = new AppealCampaign({
+        hospital: hospital._id,
+        bloodType,
+        trigger: { source, unitsAvailable, minimumThreshold, projectedStockOutDate },
+        unitsTarget: target,
+        radiusKm: radiusKm || DEFAULT_RADIUS_KM,
+        startsAt: now,
+        endsAt: slots[slots.length - 1].end,
+        slots,
+        createdBy
+      });
+
+      const donors = await this.findIdleDonors(hospital, bloodType, campaign.radiusKm, Math.min(target * INVITES_PER_UNIT, MAX_INVITES_PER_CAMPAIGN));
+      const sendAfter = this.getNextSendTime(now);
+      campaign.invitations = donors.map(donor => ({ donor: donor._id, sendAfter }));
+
+      await campaign.save();
+
+      logger.info(`Appeal ${campaign.campaignId} for ${target} ${bloodType} unit(s) at ${hospital.name}: ${donors.length} donor(s) queued`, 'APPEAL_CAMPAIGN');
+
+      return campaign;
+    } catch (error) {
+      logger.error(`Error creating appeal for ${bloodType} at ${hospitalId}`, 'APPEAL_CAMPAIGN', error);
+      return null;
+    }
+  }
+
+  /**
+   * Bookable sessions over the campaign, with enough room for the target
+   * even if a third of bookings do not turn up
+   */
+  buildSlots(from, unitsTarget) {
+    const sessions = [];
+    for (let day = 1; day <= CAMPAIGN_DAYS; day++) {
+      const date = new Date(from.getTime() + day * DAY_MS);
+      for (const [startHour, endHour] of DAILY_SESSIONS) {
+        sessions.push({ start: atZonedHour(date, startHour), end: atZonedHour(date, endHour) });
+      }
+    }
+
+    const capacity = Math.max(2, Math.ceil((unitsTarget * 1.5) / sessions.length));
+    return sessions.map(session => ({ ...session, capacity, booked: 0 }));
+  }
+
+  /**
+   * Donors of the blood type near the hospital who can donate now and are not
+   * already committed to a request or booked elsewhere. Like emergency
+   * matching, it leaves out donors who have snoozed alerts, are at their
+   * paging caps or do not take notifications at the hour the appeal goes
+   * out, and it adds the appeal caps. Stock is replenished by type, so only
+   * exact matches are asked.
+   */
+  async findIdleDonors(hospital, bloodType, radiusKm, limit) {
+    const now = new Date();
+    const [busyDonorIds, fatigueSettings] = await Promise.all([
+      this.getBusyDonorIds(now),
+      notificationFatigueService.getSettings()
+    ]);
+    const sendHour = zonedParts(this.getNextSendTime(now)).hour;
+
+    const donors = await User.find({
+      role: 'donor',
+      status: 'active',
+      isActive: true,
+      bloodType,
+      _id: { $nin: busyDonorIds },
+      location: {
+        $near: {
+          $geometry: { type: 'Point', coordinates: hospital.location.coordinates },
+          $maxDistance: radiusKm * 1000
+        }
+      },
+      $and: [
+        eligibilityService.buildMatchingFilter('whole_blood', now),
+        notificationFatigueService.buildMatchingFilter(fatigueSettings, now),
+        {
+          $or: [
+            { 'preferences.notificationHours': { $exists: false } },
+            {
+              'preferences.notificationHours.start': { $lte: sendHour },
+              'preferences.notificationHours.end': { $gte: sendHour }
+            }
+          ]
+        }
+      ]
+    })
+      .select('_id')
+      .limit(limit)
+      .lean();
+
+    return donors;
+  }
+
+  /**
+   * Donors who should not get an appeal right now
+   */
+  async getBusyDonorIds(now = new Date()) {
+    const [committed, booked, appealed] = await Promise.all([
+      BloodRequest.aggregate([
+        { $match: { status: { $in: ACTIVE_REQUEST_STATUSES }, 'matching.matchedDonors.status': { $in: OPEN_COMMITMENT_STATUSES } } },
+        { $unwind: '$matching.matchedDonors' },
+        { $match: { 'matching.matchedDonors.status': { $in: OPEN_COMMITMENT_STATUSES } } },
+        { $group: { _id: '$matching.matchedDonors.donorId' } }
+      ]),
+      Donation.distinct('donorId', { status: { $in: OPEN_DONATION_STATUSES } }),
+      this.getCappedDonorIds(now)
+    ]);
+
+    return [...committed.map(row => row._id), ...booked, ...appealed];
+  }
+
+  /**
+   * Donors with an open appeal, or who have reached their appeal cap
+   */
+  async getCappedDonorIds(now = new Date()) {
+    const monthAgo = new Date(now.getTime() - 30 * DAY_MS);
+    const minGapStart = new Date(now.getTime() - MIN_DAYS_BETWEEN_APPEALS * DAY_MS);
+
+    const rows = await AppealCampaign.aggregate([
+      { $match: { 'invitations.0': { $exists: true }, updatedAt: { $gte: monthAgo } } },
+      { $unwind: '$invitations' },
+      {
+        $group: {
+          _id: '$invitations.donor',
+          recentAppeals: {
+            $sum: { $cond: [{ $gte: ['$invitations.sentAt', monthAgo] }, 1, 0] }
+          },
+          lastAppealAt: { $max: '$invitations.sentAt' },
+          open: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $eq: ['$status', 'active'] },
+                  { $in: ['$invitations.status', ['queued', 'sent', 'booked']] }
+                ]
+              }, 1, 0]
+            }
+          }
+        }
+      }
+    ]);
+
+    return rows
+      .filter(row => row.open > 0 ||
+        row.recentAppeals >= MAX_APPEALS_PER_30_DAYS ||
+        (row.lastAppealAt && row.lastAppealAt >= minGapStart))
+      .map(row => row._id);
+  }
+
+  isQuietHour(date = new Date()) {
+    const { hour } = zonedParts(date);
+    return hour >= QUIET_HOURS.start || hour < QUIET_HOURS.end;
+  }
+
+  /**
+   * Now, or the end of quiet hours if it is currently night
+   */
+  getNextSendTime(from = new Date()) {
+    if (!this.isQuietHour(from)) {
+      return from;
+    }
+
+    const day = zonedParts(from).hour >= QUIET_HOURS.start
+      ? new Date(from.getTime() + DAY_MS)
+      : from;
+    return atZonedHour(day, QUIET_HOURS.end);
+  }
+
+  /**
+   * Send queued invitations whose time has come. Invitations for campaigns
+   * that are fully booked are dropped instead.
+   */
+  async dispatchDueInvitations() {
+    const now = new Date();
+    if (this.isQuietHour(now)) {
+      return { sent: 0, skipped: 0, failed: 0 };
+    }
+
+    const totals = { sent: 0, skipped: 0, failed: 0 };
+    const fatigueSettings = await notificationFatigueService.getSettings();
+    const campaigns = await AppealCampaign.find({
+      status: 'active',
+      invitations: { $elemMatch: { status: 'queued', sendAfter: { $lte: now } } }
+    }).populate('hospital', 'name address contactInfo');
+
+    for (const campaign of campaigns) {
+      const due = campaign.invitations.filter(invitation => invitation.status === 'queued' && invitation.sendAfter <= now);
+
+      if (campaign.isFullyBooked) {
+        due.forEach(invitation => {
+          invitation.status = 'skipped';
+          invitation.note = 'Campaign fully booked';
+        });
+        totals.skipped += due.length;
+        await campaign.save();
+        continue;
+      }
+
+      const donors = await User.find({ _id: { $in: due.map(invitation => invitation.donor) } })
+        .select('name phoneNumber email preferences notificationFatigue')
+        .lean();
+      const donorsById = new Map(donors.map(donor => [donor._id.toString(), donor]));
+      const pagedDonors = [];
+
+      for (const invitation of due) {
+        const donor = donorsById.get(invitation.donor.toString());
+        if (!donor) {
+          invitation.status = 'skipped';
+          invitation.note = 'Donor not found';
+          totals.skipped++;
+          continue;
+        }
+
+        // Paged for emergencies since the appeal was queued; stays queued for a later run
+        if (notificationFatigueService.isCapped(donor, fatigueSettings, now)) {
+          continue;
+        }
+
+        const result = await notificationService.sendNotification({
+          phoneNumber: donor.phoneNumber,
+          email: donor.email,
+          message: this.formatAppealMessage(campaign, donor),
+          type: 'donation_appeal',
+          priority: 'normal',
+          channels: ['push', 'whatsapp', 'sms'],
+          userPreferences: {
+            preferredChannel: donor.preferences?.notificationChannel || 'whatsapp'
+          },
+          metadata: {
+            campaignId: campaign.campaignId,
+            donorId: donor._id
+          },
+          userId: donor._id
+        });
+
+        invitation.sentAt = new Date();
+        invitation.channel = result.finalChannel;
+        invitation.status = result.success ? 'sent' : 'failed';
+        totals[result.success ? 'sent' : 'failed']++;
+        if (result.success) pagedDonors.push(donor);
+      }
+
+      await campaign.save();
+
+      // Appeals count towards the same daily and weekly caps as emergency pages
+      await notificationFatigueService.recordPages(pagedDonors, fatigueSettings, now);
+    }
+
+    if (totals.sent + totals.skipped + totals.failed > 0) {
+      logger.info(`Appeal invitations: ${totals.sent} sent, ${totals.skipped} skipped, ${totals.failed} failed`, 'APPEAL_CAMPAIGN');
+    }
+
+    return totals;
+  }
+
+  formatAppealMessage(campaign, donor) {
+    const hospital = campaign.hospital;
+    const city = hospital.address?.city ? `, ${hospital.address.city}` : '';
+
+    return `🩸 ${campaign.bloodType} DONORS NEEDED
+
+Dear ${donor.name},
+
+${hospital.name}${city} is running low on ${campaign.bloodType} blood. You are eligible to donate, and booking a slot in the next few days helps keep stock up before an emergency.
+
+Book a slot: ${process.env.CLIENT_URL}/dashboard?appeal=${campaign.campaignId}
+
+Thank you for being a donor!
+
+CallforBlood Foundation`;
+  }
+
+  /**
+   * Complete campaigns whose last slot has passed
+   */
+  async closeEndedCampaigns() {
+    const result = await AppealCampaign.updateMany(
+      { status: 'active', endsAt: { $lte: new Date() } },
+      { $set: { status: 'completed', closedAt: new Date(), closeReason: 'Campaign period ended' } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`Closed ${result.modifiedCount} ended appeal campaign(s)`, 'APPEAL_CAMPAIGN');
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Send due invitations and close ended campaigns on an interval
+   */
+  startScheduler() {
+    const run = async () => {
+      try {
+        await this.closeEndedCampaigns();
+        await this.dispatchDueInvitations();
+      } catch (error) {
+        logger.error('Error running appeal campaign scheduler', 'APPEAL_CAMPAIGN', error);
+      }
+    };
+
+    this.schedulerInterval = setInterval(run, DISPATCH_INTERVAL);
+    logger.info('Appeal campaign scheduler started', 'APPEAL_CAMPAIGN');
+  }
+
+  /**
+   * Active appeals the donor has been invited to, with slots still open
+   */
+  async getAppealsForDonor(donorId) {
+    const campaigns = await AppealCampaign.find({
+      status: 'active',
+      invitations: { $elemMatch: { donor: donorId, status: { $in: ['sent', 'booked'] } } }
+    })
+      .populate('hospital', 'name address contactInfo location')
+      .sort({ endsAt: 1 });
+
+    return campaigns.map(campaign => {
+      const invitation = campaign.findInvitation(donorId);
+      return {
+        campaignId: campaign.campaignId,
+        bloodType: campaign.bloodType,
+        hospital: campaign.hospital,
+        endsAt: campaign.endsAt,
+        invitation: {
+          status: invitation.status,
+          slot: invitation.slot,
+          donation: invitation.donation,
+          bookedAt: invitation.bookedAt
+        },
+        slots: campaign.getOpenSlots().map(slot => ({
+          _id: slot._id,
+          start: slot.start,
+          end: slot.end,
+          spotsLeft: slot.capacity - slot.booked
+        }))
+      };
+    });
+  }
+
+  /**
+   * Load an active campaign the donor was invited to
+   */
+  async getCampaignForDonor(campaignId, donorId) {
+    const campaign = await AppealCampaign.findOne({ campaignId }).populate('hospital', 'name address location');
+    const invitation = campaign && campaign.findInvitation(donorId);
+
+    if (!invitation) {
+      throw new Error('Appeal not found');
+    }
+    if (campaign.status !== 'active') {
+      throw new Error(`Appeal is ${campaign.status}`);
+    }
+
+    return { campaign, invitation };
+  }
+
+  /**
+   * Book the donor into a slot; the booking shows up in the hospital's donor queue
+   */
+  async bookSlot(campaignId, donorId, slotId) {
+    const { campaign, invitation } = await this.getCampaignForDonor(campaignId, donorId);
+
+    if (invitation.status === 'booked') {
+      throw new Error('You have already booked a slot for this appeal');
+    }
+    if (!['queued', 'sent'].includes(invitation.status)) {
+      throw new Error(`Appeal invitation is ${invitation.status}`);
+    }
+
+    const slot = campaign.slots.id(slotId);
+    if (!slot || !campaign.getOpenSlots().includes(slot)) {
+      throw new Error('Slot is full or no longer available');
+    }
+
+    const donor = await User.findById(donorId).select('bloodType stats');
+    const hospital = campaign.hospital;
+
+    const donation = new Donation({
+      donorId,
+      donationType: 'whole_blood',
+      donationDate: slot.start,
+      scheduledDate: slot.start,
+      location: {
+        hospital: hospital.name,
+        hospitalId: hospital._id,
+        address: {
+          street: hospital.address?.street,
+          city: hospital.address?.city,
+          state: hospital.address?.state,
+          zipCode: hospital.address?.pincode,
+          country: hospital.address?.country
+        },
+        coordinates: hospital.location?.coordinates
+      },
+      bloodType: donor.bloodType,
+      status: 'scheduled',
+      metadata: {
+        source: 'web',
+        campaign: campaign.campaignId,
+        firstTimeDonor: (donor.stats?.totalDonations || 0) === 0
+      }
+    });
+
+    // Take the place only while the slot has room and the invitation is open, so two
+    // donors booking the last place at once cannot both get it
+    const bookedAt = new Date();
+    const previousStatus = invitation.status;
+    const arrayFilters = [{ 'slot._id': slot._id }, { 'invitation._id': invitation._id }];
+    const claimed = await AppealCampaign.updateOne(
+      {
+        _id: campaign._id,
+        status: 'active',
+        slots: { $elemMatch: { _id: slot._id, booked: { $lt: slot.capacity } } },
+        invitations: { $elemMatch: { _id: invitation._id, status: previousStatus } }
+      },
+      {
+        $inc: { 'slots.$[slot].booked': 1, unitsBooked: donation.unitsDonated },
+        $set: {
+          'invitations.$[invitation].status': 'booked',
+          'invitations.$[invitation].slot': slot._id,
+          'invitations.$[invitation].donation': donation._id,
+          'invitations.$[invitation].bookedAt': bookedAt,
+          'invitations.$[invitation].respondedAt': bookedAt
+        }
+      },
+      { arrayFilters }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new Error('Slot is full or no longer available');
+    }
+
+    try {
+      await donation.save();
+    } catch (error) {
+      await AppealCampaign.updateOne(
+        { _id: campaign._id },
+        {
+          $inc: { 'slots.$[slot].booked': -1, unitsBooked: -donation.unitsDonated },
+          $set: { 'invitations.$[invitation].status': previousStatus },
+          $unset: {
+            'invitations.$[invitation].slot': '',
+            'invitations.$[invitation].donation': '',
+            'invitations.$[invitation].bookedAt': '',
+            'invitations.$[invitation].respondedAt': ''
+          }
+        },
+        { arrayFilters }
+      );
+      throw error;
+    }
+
+    // Keep the loaded campaign in step with what was stored
+    slot.booked += 1;
+    invitation.status = 'booked';
+    invitation.slot = slot._id;
+    invitation.donation = donation._id;
+    invitation.bookedAt = bookedAt;
+    invitation.respondedAt = bookedAt;
+    campaign.unitsBooked += donation.unitsDonated;
+
+    logger.info(`Donor ${donorId} booked ${slot.start.toISOString()} for appeal ${campaign.campaignId}`, 'APPEAL_CAMPAIGN');
+
+    return { campaign, invitation, donation };
+  }
+
+  /**
+   * Give up a booked slot so another donor can take it
+   */
+  async cancelBooking(campaignId, donorId, reason) {
+    const { campaign, invitation } = await this.getCampaignForDonor(campaignId, donorId);
+
+    if (invitation.status !== 'booked') {
+      throw new Error('No booking to cancel');
+    }
+
+    const donation = await Donation.findById(invitation.donation);
+    if (donation && donation.status !== 'scheduled') {
+      throw new Error(`Donation is already ${donation.status}`);
+    }
+    if (donation) {
+      donation.status = 'cancelled';
+      donation.cancellationReason = reason || 'Cancelled by donor';
+      await donation.save();
+    }
+
+    const slot = campaign.slots.id(invitation.slot);
+    if (slot) slot.booked = Math.max(0, slot.booked - 1);
+    campaign.unitsBooked = Math.max(0, campaign.unitsBooked - (donation?.unitsDonated || 1));
+    invitation.status = 'cancelled';
+    invitation.respondedAt = new Date();
+    invitation.note = reason;
+    await campaign.save();
+
+    logger.info(`Donor ${donorId} cancelled booking for appeal ${campaign.campaignId}`, 'APPEAL_CAMPAIGN');
+
+    return { campaign, invitation };
+  }
+
+  async declineAppeal(campaignId, donorId, reason) {
+    const { campaign, invitation } = await this.getCampaignForDonor(campaignId, donorId);
+
+    if (invitation.status === 'booked') {
+      return this.cancelBooking(campaignId, donorId, reason);
+    }
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    invitation.note = reason;
+    await campaign.save();
+
+    return { campaign, invitation };
+  }
+
+  /**
+   * Count a completed donation that came from an appeal booking
+   */
+  async recordDonation(donation) {
+    if (!donation.metadata?.campaign) return null;
+
+    try {
+      const campaign = await AppealCampaign.findOne({ campaignId: donation.metadata.campaign });
+      const invitation = campaign && campaign.findInvitation(donation.donorId);
+      if (!invitation) return null;
+
+      invitation.status = 'donated';
+      campaign.unitsCollected += donation.postDonationInfo?.actualUnits || donation.unitsDonated || 1;
+      await campaign.save();
+
+      return campaign;
+    } catch (error) {
+      logger.error(`Error recording appeal donation ${donation.donationId}`, 'APPEAL_CAMPAIGN', error);
+      return null;
+    }
+  }
+
+  /**
+   * Campaigns run for a hospital, with the donors who booked
+   */
+  async getCampaignsForHospital(hospital, { status, limit = 20 } = {}) {
+    const filter = { hospital: hospital._id };
+    if (status) filter.status = status;
+
+    const campaigns = await AppealCampaign.find(filter)
+      .populate('invitations.donor', 'name phoneNumber bloodType')
+      .populate('invitations.donation', 'donationId status scheduledDate')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return campaigns.map(campaign => {
+      const counts = campaign.invitations.reduce((acc, invitation) => {
+        acc[invitation.status] = (acc[invitation.status] || 0) + 1;
+        return acc;
+      }, {});
+
+      return {
+        campaignId: campaign.campaignId,
+        bloodType: campaign.bloodType,
+        status: campaign.status,
+        trigger: campaign.trigger,
+        unitsTarget: campaign.unitsTarget,
+        unitsBooked: campaign.unitsBooked,
+        unitsCollected: campaign.unitsCollected,
+        startsAt: campaign.startsAt,
+        endsAt: campaign.endsAt,
+        invited: campaign.invitations.length,
+        invitationCounts: counts,
+        slots: campaign.slots,
+        bookings: campaign.invitations
+          .filter(invitation => ['booked', 'donated'].includes(invitation.status))
+          .map(invitation => ({
+            donor: invitation.donor,
+            status: invitation.status,
+            slot: campaign.slots.id(invitation.slot),
+            donation: invitation.donation,
+            bookedAt: invitation.bookedAt
+          }))
+      };
+    });
+  }
+
+  /**
+   * Hospital stops a campaign; queued invitations are not sent
+   */
+  async cancelCampaign(hospital, campaignId, userId, reason) {
+    const campaign = await AppealCampaign.findOne({ campaignId, hospital: hospital._id });
+    if (!campaign) {
+      throw new Error('Appeal not found');
+    }
+    if (campaign.status !== 'active') {
+      throw new Error(`Appeal is already ${campaign.status}`);
+    }
+
+    campaign.invitations
+      .filter(invitation => invitation.status === 'queued')
+      .forEach(invitation => {
+        invitation.status = 'skipped';
+        invitation.note = 'Campaign cancelled';
+      });
+    campaign.status = 'cancelled';
+    campaign.closedAt = new Date();
+    campaign.closeReason = reason;
+    await campaign.save();
+
+    logger.info(`Appeal ${campaign.campaignId} cancelled by ${userId}: ${reason}`, 'APPEAL_CAMPAIGN');
+
+    return campaign;
+  }
+}
+
+module.exports = new AppealCampaignService();
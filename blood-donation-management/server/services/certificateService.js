@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Donation = require('../models/Donation');
+const { CertificateSettings } = require('../config/certificates');
+const logger = require('../utils/logger');
+
+// Crockford base32: no I, L, O or U to misread when typed from paper
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const DONATION_TYPE_LABELS = {
+  whole_blood: 'whole blood',
+  platelets: 'platelets',
+  plasma: 'plasma',
+  double_red_cells: 'double red cells'
+};
+
+const STATUS_MESSAGES = {
+  valid: 'This certificate is genuine.',
+  invalid_id: 'This is not a valid certificate ID.',
+  not_found: 'No certificate with this ID was issued.',
+  signature_mismatch: 'The certificate ID exists but the signature does not match. The certificate may have been altered.',
+  altered: 'The donation record no longer matches the issued certificate.',
+  revoked: 'This certificate has been withdrawn.'
+};
+
+const idOf = (value) => String(value?._id || value);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// "Rahul Kumar Sharma" -> "R. K. S."
+const initialsOf = (name) => (name || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(part => `${part[0].toUpperCase()}.`)
+  .join(' ');
+
+class CertificateService {
+  constructor(settings = CertificateSettings) {
+    this.settings = settings;
+    this.idPattern = new RegExp(`^${settings.ID_PREFIX}-\\d{4}-[${ID_ALPHABET}]{${settings.ID_RANDOM_LENGTH}}$`);
+  }
+
+  generateCertificateId(date = new Date()) {
+    const random = Array.from(crypto.randomBytes(this.settings.ID_RANDOM_LENGTH), byte => ID_ALPHABET[byte % 32]).join('');
+    return `${this.settings.ID_PREFIX}-${new Date(date).getFullYear()}-${random}`;
+  }
+
+  isCertificateId(value) {
+    return this.idPattern.test(value);
+  }
+
+  /**
+   * Certificate ID and signature from what a verifier typed or scanned:
+   * a bare ID, or a verification link with the signature in `s`
+   * @returns {Object} { certificateId, signature }
+   */
+  parseReference(reference) {
+    const text = String(reference || '').trim();
+    let certificateId = text;
+    let signature = null;
+
+    if (/^https?:\/\//i.test(text)) {
+      try {
+        const url = new URL(text);
+        certificateId = decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+        signature = url.searchParams.get('s');
+      } catch (error) {
+        certificateId = text;
+      }
+    }
+
+    return {
+      certificateId: certificateId.toUpperCase(),
+      signature: signature ? signature.toLowerCase() : null
+    };
+  }
+
+  signingSecret() {
+    return process.env.CERTIFICATE_SIGNING_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Signature over the certificate ID and the donation details it certifies
+   */
+  sign(donation) {
+    const payload = [
+      donation.certification.certificateId,
+      donation.donationId,
+      idOf(donation.donorId),
+      new Date(donation.donationDate).toISOString(),
+      donation.donationType,
+      donation.unitsDonated,
+      donation.location?.hospital
+    ].join('|');
+
+    return crypto.createHmac('sha256', this.signingSecret())
+      .update(payload)
+      .digest('hex')
+      .slice(0, this.settings.SIGNATURE_LENGTH);
+  }
+
+  signaturesMatch(expected, given) {
+    if (typeof given !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  verificationUrl(certificateId, signature) {
+    return `${this.settings.VERIFY_BASE_URL}/${certificateId}?s=${signature}`;
+  }
+
+  /**
+   * Issue the certificate for a completed donation. Issuing again returns
+   * the existing certificate.
+   * @param {Object} donation - Donation model instance
+   */
+  async issueForDonation(donation) {
+    if (donation.certification?.issued) {
+      return { success: true, donation, alreadyIssued: true };
+    }
+
+    if (donation.status !== 'completed') {
+      return {
+        success: false,
+        error: 'DONATION_NOT_COMPLETED',
+        message: 'Certificates are issued for completed donations only'
+      };
+    }
+
+    donation.certification = {
+      certificateId: this.generateCertificateId(donation.donationDate),
+      issued: true,
+      issuedAt: new Date()
+    };
+    const signature = this.sign(donation);
+    const verificationUrl = this.verificationUrl(donation.certification.certificateId, signature);
+
+    donation.certification.signature = signature;
+    donation.certification.verificationUrl = verificationUrl;
+    donation.certification.qrCode = await QRCode.toDataURL(verificationUrl, { margin: 1, width: 240 });
+    await donation.save();
+
+    logger.success(`Certificate ${donation.certification.certificateId} issued for donation ${donation.donationId}`, 'CERTIFICATES');
+
+    return { success: true, donation };
+  }
+
+  /**
+   * Verification result for one certificate. Shows nothing that identifies
+   * the donor beyond their initials.
+   * @param {Object|null} donation - Donation with `donorId` populated with the name
+   */
+  evaluate(certificateId, signature, donation) {
+    const result = (status, certificate = null) => ({
+      certificateId,
+      valid: status === 'valid',
+      status,
+      message: STATUS_MESSAGES[status],
+      signatureChecked: !!signature,
+      certificate
+    });
+
+    if (!this.isCertificateId(certificateId)) return result('invalid_id');
+    if (!donation?.certification?.issued) return result('not_found');
+
+    const issuedSignature = donation.certification.signature;
+    if (!this.signaturesMatch(this.sign(donation), issuedSignature)) return result('altered');
+    if (signature && !this.signaturesMatch(issuedSignature, signature)) return result('signature_mismatch');
+    if (donation.status !== 'completed') return result('revoked');
+
+    return result('valid', {
+      issuer: this.settings.ISSUER_NAME,
+      issuedAt: donation.certification.issuedAt,
+      donationDate: donation.donationDate,
+      donationType: donation.donationType,
+      unitsDonated: donation.unitsDonated,
+      hospital: donation.location?.hospital,
+      city: donation.location?.address?.city || null,
+      donorInitials: initialsOf(donation.donorId?.name)
+    });
+  }
+
+  /**
+   * @param {Array<string|Object>} references - IDs, verification links, or { certificateId, signature }
+   * @returns {Promise<Array>} one result per reference, in order
+   */
+  async verifyMany(references) {
+    const parsed = references.map(reference => (typeof reference === 'object' && reference !== null
+      ? {
+        certificateId: String(reference.certificateId || '').trim().toUpperCase(),
+        signature: reference.signature ? String(reference.signature).toLowerCase() : null
+      }
+      : this.parseReference(reference)));
+
+    const ids = [...new Set(parsed.map(p => p.certificateId).filter(id => this.isCertificateId(id)))];
+    const donations = ids.length > 0
+      ? await Donation.find({ 'certification.certificateId': { $in: ids } }).populate('donorId', 'name').lean()
+      : [];
+    const byId = new Map(donations.map(donation => [donation.certification.certificateId, donation]));
+
+    return parsed.map(({ certificateId, signature }) =>
+      this.evaluate(certificateId, signature, byId.get(certificateId) || null));
+  }
+
+  async verify(reference, signature = null) {
+    const [result] = await this.verifyMany([
+      signature ? { certificateId: reference, signature } : reference
+    ]);
+    return result;
+  }
+
+  /**
+   * Printable certificate (A4 landscape) with the verification QR code
+   * @param {Object} donation - Donation with an issued certificate
+   * @param {Object} donor - { name }
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(donation, donor) {
+    const { certificateId, issuedAt, signature, verificationUrl } = donation.certification;
+    const qrImage = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 300 });
+    const city = donation.location?.address?.city;
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          layout: 'landscape',
+          margin: 0,
+          info: {
+            Title: `Blood donation certificate ${certificateId}`,
+            Author: this.settings.ISSUER_NAME,
+            Subject: 'Certificate of appreciation for blood donation',
+            Keywords: certificateId
+          }
+        });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+        const width = doc.page.width;
+        const height = doc.page.height;
+        const textWidth = width - 200;
+
+        doc.lineWidth(4).strokeColor('#b91c1c').rect(24, 24, width - 48, height - 48).stroke();
+        doc.lineWidth(1).strokeColor('#ca8a04').rect(34, 34, width - 68, height - 68).stroke();
+
+        doc.fillColor('#b91c1c').font('Helvetica-Bold').fontSize(16)
+          .text(this.settings.ISSUER_NAME, 100, 70, { width: textWidth, align: 'center' });
+        doc.fillColor('#0f172a').fontSize(32)
+          .text('Certificate of Appreciation', 100, 100, { width: textWidth, align: 'center' });
+
+        doc.font('Helvetica').fontSize(14)
+          .text('This is to certify that', 100, 170, { width: textWidth, align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(28)
+          .text(donor?.name || 'A blood donor', 100, 195, { width: textWidth, align: 'center' });
+
+        const units = donation.unitsDonated === 1 ? '1 unit' : `${donation.unitsDonated} units`;
+        doc.font('Helvetica').fontSize(14).text(
+          `donated ${units} of ${DONATION_TYPE_LABELS[donation.donationType] || donation.donationType} ` +
+          `on ${formatDate(donation.donationDate)} at ${donation.location?.hospital}${city ? `, ${city}` : ''}, ` +
+          'giving patients in need a chance at life.',
+          100, 245, { width: textWidth, align: 'center' }
+        );
+        doc.font('Helvetica-Oblique').fontSize(12)
+          .text('Thank you for being a life saver.', 100, 300, { width: textWidth, align: 'center' });
+
+        doc.fillColor('#334155').font('Helvetica').fontSize(10);
+        doc.text('Certificate ID', 70, 420);
+        doc.font('Helvetica-Bold').fontSize(12).text(certificateId, 70, 434);
+        doc.font('Helvetica').fontSize(10).text(`Issued on ${formatDate(issuedAt)}`, 70, 452);
+        doc.text('Signature', 70, 474);
+        doc.font('Courier').text(signature.match(/.{1,4}/g).join(' '), 70, 488);
+        doc.font('Helvetica').fontSize(8).fillColor('#64748b')
+          .text(`Verify at ${verificationUrl}`, 70, 520, { width: width - 300 });
+
+        doc.image(qrImage, width - 180, 400, { fit: [110, 110] });
+        doc.fontSize(9).fillColor('#334155')
+          .text('Scan to verify', width - 180, 514, { width: 110, align: 'center' });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const certificateService = new CertificateService();
+
+module.exports = certificateService;
@@ -0,0 +1,206 @@
+const ConsentRecord = require('../models/ConsentRecord');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const CHANNEL_ADDRESS = {
+  whatsapp: 'phoneNumber',
+  sms: 'phoneNumber',
+  email: 'email'
+};
+
+const EXPORT_LIMIT = 50000;
+
+const csvField = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * Ledger of who agreed to hear from us on which channel. Registration,
+ * profile settings and STOP/START replies add to it; NotificationService
+ * checks it before every WhatsApp, SMS or email send. Addresses with no
+ * record yet (donors who registered before the ledger) are not blocked.
+ */
+class ConsentService {
+  constructor() {
+    this.channels = ConsentRecord.CHANNELS;
+  }
+
+  /**
+   * Add a consent decision to the ledger and mirror it onto the user's
+   * notification preferences
+   * @param {Object} decision - { channel, granted, address, userId, source, keyword, receivedVia, recordedBy, ipAddress, userAgent, note }
+   * @returns {Promise<Object>} Ledger record
+   */
+  async record({ channel, granted, address, userId = null, source, keyword, receivedVia, recordedBy = null, ipAddress, userAgent, note }) {
+    const addressKey = ConsentRecord.toAddressKey(channel, address);
+    if (!addressKey) {
+      throw new Error(`A valid ${channel === 'email' ? 'email address' : 'phone number'} is required`);
+    }
+
+    const record = await ConsentRecord.create({
+      channel,
+      address,
+      addressKey,
+      user: userId,
+      granted: !!granted,
+      source,
+      keyword,
+      receivedVia,
+      recordedBy,
+      ipAddress,
+      userAgent,
+      note
+    });
+
+    if (userId) {
+      await User.updateOne(
+        { _id: userId },
+        { $set: { [`preferences.notificationMethods.${channel}`]: !!granted } }
+      );
+    }
+
+    auditLogger.logUserAction({
+      userId: recordedBy || userId || 'anonymous',
+      userRole: recordedBy ? 'admin' : 'donor',
+      action: granted ? 'grant_channel_consent' : 'withdraw_channel_consent',
+      resource: 'consent',
+      resourceId: record._id,
+      details: `${granted ? 'Consent given' : 'Consent withdrawn'} for ${channel} via ${source}${keyword ? ` (${keyword})` : ''}`,
+      ipAddress,
+      userAgent,
+      success: true,
+      metadata: { channel, source, userId }
+    });
+
+    logger.info(`Consent ${granted ? 'granted' : 'withdrawn'} for ${channel} via ${source}`, 'CONSENT_SERVICE');
+    return record;
+  }
+
+  /**
+   * Record the channels a user chose, skipping any that match what is already in force
+   * @param {Object} user - User with phoneNumber and email
+   * @param {Object} choices - { whatsapp, sms, email } booleans
+   * @param {Object} context - { source, recordedBy, ipAddress, userAgent }
+   * @returns {Promise<Array>} Records added
+   */
+  async recordChoices(user, choices, context) {
+    const current = await this.getUserConsents(user);
+    const added = [];
+
+    for (const channel of this.channels) {
+      if (typeof choices[channel] !== 'boolean') continue;
+
+      const address = user[CHANNEL_ADDRESS[channel]];
+      if (!address || current[channel]?.granted === choices[channel]) continue;
+
+      added.push(await this.record({
+        ...context,
+        channel,
+        granted: choices[channel],
+        address,
+        userId: user._id
+      }));
+    }
+
+    return added;
+  }
+
+  /**
+   * Consent in force for each channel of a user, at their current phone and email
+   * @param {Object} user - User with _id, phoneNumber and email
+   * @returns {Promise<Object>} { whatsapp, sms, email }: { granted, source, at } or null if never recorded
+   */
+  async getUserConsents(user) {
+    const records = await ConsentRecord.findCurrent(this.channels.map(channel => ({
+      channel,
+      address: user[CHANNEL_ADDRESS[channel]]
+    })));
+
+    return Object.fromEntries(this.channels.map(channel => {
+      const record = records.find(r => r.channel === channel);
+      return [channel, record ? { granted: record.granted, source: record.source, at: record.createdAt } : null];
+    }));
+  }
+
+  /**
+   * Channels a recipient has withdrawn consent for
+   * @param {Object} recipient - { phoneNumber, email }
+   * @returns {Promise<Set<string>>} Blocked channels
+   */
+  async getWithdrawnChannels({ phoneNumber, email }) {
+    const records = await ConsentRecord.findCurrent(this.channels.map(channel => ({
+      channel,
+      address: CHANNEL_ADDRESS[channel] === 'email' ? email : phoneNumber
+    })));
+
+    return new Set(records.filter(record => !record.granted).map(record => record.channel));
+  }
+
+  /**
+   * Ledger entries for one user, newest first
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum records
+   * @returns {Promise<Array>} Records
+   */
+  async getHistory(userId, limit = 50) {
+    return ConsentRecord.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Ledger entries for an audit export
+   * @param {Object} filters - { channel, granted, source, userId, startDate, endDate }
+   * @returns {Promise<Array>} Records, oldest first
+   */
+  async exportLedger({ channel, granted, source, userId, startDate, endDate } = {}) {
+    const query = {};
+    if (channel) query.channel = channel;
+    if (typeof granted === 'boolean') query.granted = granted;
+    if (source) query.source = source;
+    if (userId) query.user = userId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    return ConsentRecord.find(query)
+      .sort({ createdAt: 1 })
+      .limit(EXPORT_LIMIT)
+      .populate('user', 'name')
+      .populate('recordedBy', 'name')
+      .lean();
+  }
+
+  /**
+   * CSV of exported ledger entries
+   * @param {Array} records - From exportLedger
+   * @returns {string} CSV content
+   */
+  toCsv(records) {
+    const headers = ['Recorded At', 'Channel', 'Address', 'User ID', 'User', 'Consent', 'Source', 'Keyword', 'Received Via', 'Recorded By', 'IP Address', 'Note'];
+
+    const rows = records.map(record => [
+      new Date(record.createdAt).toISOString(),
+      record.channel,
+      record.address,
+      record.user?._id || '',
+      record.user?.name || '',
+      record.granted ? 'granted' : 'withdrawn',
+      record.source,
+      record.keyword,
+      record.receivedVia,
+      record.recordedBy?.name || '',
+      record.ipAddress,
+      record.note
+    ]);
+
+    return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+  }
+}
+
+// Create singleton instance
+const consentService = new ConsentService();
+
+module.exports = consentService;
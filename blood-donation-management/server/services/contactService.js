@@ -279,22 +279,24 @@ Need help? Visit callforbloodfoundation.com or call 1800-BLOOD-1`;
      * @returns {string} Response deadline
      */
     getResponseDeadline(priority) {
-        const now = new Date();
-        let deadline;
+        return this.getResponseDueDate(priority).toLocaleString();
+    }
 
+    /**
+     * Get the time a response is due by, used for the support inbox SLA
+     * @param {string} priority - Priority level
+     * @param {Date} from - When the message was received
+     * @returns {Date} Response due date
+     */
+    getResponseDueDate(priority, from = new Date()) {
         switch (priority) {
             case 'urgent':
-                deadline = new Date(now.getTime() + 4 * 60 * 60 * 1000); // 4 hours
-                break;
+                return new Date(from.getTime() + 4 * 60 * 60 * 1000); // 4 hours
             case 'high':
-                deadline = new Date(now.getTime() + 8 * 60 * 60 * 1000); // 8 hours
-                break;
+                return new Date(from.getTime() + 8 * 60 * 60 * 1000); // 8 hours
             default:
-                deadline = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours
-                break;
+                return new Date(from.getTime() + 24 * 60 * 60 * 1000); // 24 hours
         }
-
-        return deadline.toLocaleString();
     }
 
     /**
@@ -0,0 +1,292 @@
+const { ConversationFlows } = require('../config/conversationFlows');
+const logger = require('../utils/logger');
+
+const TRANSFORMS = {
+  uppercase: value => value.toUpperCase(),
+  number: value => Number(value),
+  titlecase: value => value.replace(/\b\w/g, char => char.toUpperCase())
+};
+
+/**
+ * Runs the flows in config/conversationFlows.js. Holds no state of its own:
+ * every call takes the conversation's current step, context and language and
+ * returns the next ones, so ConversationService can persist them and tests
+ * can replay scripts without a database.
+ */
+class ConversationFlowEngine {
+  constructor(config = ConversationFlows) {
+    this.config = config;
+
+    const problems = this.validateFlows();
+    if (problems.length > 0) {
+      logger.error(`Invalid conversation flows: ${problems.join('; ')}`, 'CONVERSATION_FLOWS');
+      throw new Error(`Invalid conversation flows: ${problems.join('; ')}`);
+    }
+  }
+
+  getFlow(flowName) {
+    const flow = this.config.FLOWS[flowName];
+    if (!flow) {
+      throw new Error(`Unknown conversation flow: ${flowName}`);
+    }
+    return flow;
+  }
+
+  getFlowNames() {
+    return Object.keys(this.config.FLOWS);
+  }
+
+  /**
+   * Check every flow for steps, messages and patterns that do not exist
+   * @returns {Array<string>} Problems found, empty when all flows are valid
+   */
+  validateFlows() {
+    const problems = [];
+    const { DEFAULT_LANGUAGE } = this.config;
+
+    for (const [flowName, flow] of Object.entries(this.config.FLOWS)) {
+      const messages = flow.messages || {};
+      const checkMessage = (key, where) => {
+        if (key && !messages[key]?.[DEFAULT_LANGUAGE]) {
+          problems.push(`${flowName}: ${where} uses missing message "${key}"`);
+        }
+      };
+
+      if (!flow.steps?.[flow.initialStep]) {
+        problems.push(`${flowName}: initial step "${flow.initialStep}" does not exist`);
+      }
+
+      for (const [stepName, step] of Object.entries(flow.steps || {})) {
+        checkMessage(step.prompt, `step ${stepName} prompt`);
+        checkMessage(step.fallback, `step ${stepName} fallback`);
+
+        (step.inputs || []).forEach((rule, index) => {
+          const where = `step ${stepName} rule ${index + 1}`;
+
+          if (!rule.keywords && !rule.contains && !rule.pattern && !rule.any) {
+            problems.push(`${flowName}: ${where} has no matcher`);
+          }
+          if (rule.pattern) {
+            try {
+              new RegExp(rule.pattern, 'i');
+            } catch (error) {
+              problems.push(`${flowName}: ${where} has an invalid pattern`);
+            }
+          }
+          if (rule.transform && !TRANSFORMS[rule.transform]) {
+            problems.push(`${flowName}: ${where} uses unknown transform "${rule.transform}"`);
+          }
+          if (!rule.next === !rule.end) {
+            problems.push(`${flowName}: ${where} needs exactly one of next or end`);
+          }
+          if (rule.next && !flow.steps[rule.next]) {
+            problems.push(`${flowName}: ${where} moves to missing step "${rule.next}"`);
+          }
+          if (rule.end && !rule.reply) {
+            problems.push(`${flowName}: ${where} ends the conversation without a reply`);
+          }
+          checkMessage(rule.reply, where);
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  normalize(input) {
+    return String(input || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[.!?,।]+$/, '')
+      .trim();
+  }
+
+  /**
+   * Language whose list contains a keyword matching the reply, or null
+   * @param {Object} lists - { en: [...], hi: [...] }
+   * @param {Function} test - (keyword) => boolean
+   */
+  findKeywordLanguage(lists, test, preferredLanguage) {
+    const languages = [preferredLanguage, ...Object.keys(lists)].filter(Boolean);
+
+    for (const language of languages) {
+      if ((lists[language] || []).some(keyword => test(this.normalize(keyword)))) {
+        return language;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Object|null} { language } when the rule accepts the reply
+   */
+  matchRule(rule, normalized, language) {
+    if (!normalized) return null;
+
+    if (rule.keywords) {
+      const matched = this.findKeywordLanguage(rule.keywords, keyword => keyword === normalized, language);
+      return matched ? { language: matched } : null;
+    }
+    if (rule.contains) {
+      const matched = this.findKeywordLanguage(rule.contains, keyword => normalized.includes(keyword), language);
+      return matched ? { language: matched } : null;
+    }
+    if (rule.pattern) {
+      return new RegExp(rule.pattern, 'i').test(normalized) ? { language: null } : null;
+    }
+    if (rule.any) {
+      return { language: null };
+    }
+    return null;
+  }
+
+  render(flowName, messageKey, language, context = {}) {
+    if (!messageKey) return null;
+
+    const message = this.getFlow(flowName).messages[messageKey];
+    const text = message[language] || message[this.config.DEFAULT_LANGUAGE];
+
+    return text.replace(/\{\{(\w+)\}\}/g, (placeholder, field) => (
+      context[field] !== undefined && context[field] !== null ? String(context[field]) : ''
+    ));
+  }
+
+  renderExit(language) {
+    const { EXIT_MESSAGE, DEFAULT_LANGUAGE } = this.config;
+    return EXIT_MESSAGE[language] || EXIT_MESSAGE[DEFAULT_LANGUAGE];
+  }
+
+  /**
+   * State for a new conversation, with the first step's prompt
+   */
+  start(flowName, { context = {}, language } = {}) {
+    const flow = this.getFlow(flowName);
+    const lang = this.config.LANGUAGES.includes(language) ? language : this.config.DEFAULT_LANGUAGE;
+
+    return {
+      step: flow.initialStep,
+      status: 'active',
+      context: { ...context },
+      language: lang,
+      message: this.render(flowName, flow.steps[flow.initialStep].prompt, lang, context)
+    };
+  }
+
+  /**
+   * Apply one reply to a conversation
+   * @param {string} flowName - Flow the conversation runs
+   * @param {Object} state - { step, context, language }
+   * @param {string} input - Reply as received
+   * @returns {Object} { matched, step, status, context, language, action, message }
+   */
+  advance(flowName, state, input) {
+    const flow = this.getFlow(flowName);
+    const normalized = this.normalize(input);
+    const language = state.language || this.config.DEFAULT_LANGUAGE;
+    const context = { ...(state.context || {}) };
+
+    const exitLanguage = this.findKeywordLanguage(this.config.EXIT_KEYWORDS, keyword => keyword === normalized, language);
+    if (exitLanguage) {
+      return {
+        matched: true,
+        step: state.step,
+        status: 'cancelled',
+        context,
+        language: exitLanguage,
+        action: 'conversation_cancelled',
+        message: this.renderExit(exitLanguage)
+      };
+    }
+
+    const step = flow.steps[state.step];
+    if (!step) {
+      throw new Error(`Conversation is at unknown step "${state.step}" of ${flowName}`);
+    }
+
+    for (const rule of step.inputs || []) {
+      const match = this.matchRule(rule, normalized, language);
+      if (!match) continue;
+
+      // Digits are shared by every language, so they never switch it
+      const nextLanguage = match.language && !/^\d+$/.test(normalized) ? match.language : language;
+
+      Object.assign(context, rule.set || {});
+      if (rule.capture) {
+        const raw = String(input).trim();
+        context[rule.capture] = rule.transform ? TRANSFORMS[rule.transform](raw) : raw;
+      }
+
+      const nextStep = rule.next || state.step;
+      const messageKey = rule.reply || flow.steps[nextStep].prompt;
+
+      return {
+        matched: true,
+        step: nextStep,
+        status: rule.end || 'active',
+        context,
+        language: nextLanguage,
+        action: rule.action || (rule.next ? `ask_${rule.next}` : null),
+        message: this.render(flowName, messageKey, nextLanguage, context)
+      };
+    }
+
+    return {
+      matched: false,
+      step: state.step,
+      status: 'active',
+      context,
+      language,
+      action: 'clarification_needed',
+      message: this.render(flowName, step.fallback || step.prompt, language, context)
+    };
+  }
+
+  /**
+   * Flow a donor can start by sending one of its trigger phrases
+   * @returns {Object|null} { flowName, language }
+   */
+  findTriggeredFlow(input) {
+    const normalized = this.normalize(input);
+    if (!normalized) return null;
+
+    for (const [flowName, flow] of Object.entries(this.config.FLOWS)) {
+      if (!flow.triggers) continue;
+
+      const language = this.findKeywordLanguage(flow.triggers, keyword => normalized.includes(keyword));
+      if (language) {
+        return { flowName, language };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run a script of replies through a flow, for tests and for checking a new
+   * flow before it goes live
+   * @returns {Object} { transcript: [{ input, message, step, status, action, language }], state }
+   */
+  replay(flowName, inputs, options = {}) {
+    let state = this.start(flowName, options);
+    const transcript = [];
+
+    for (const input of inputs) {
+      if (state.status !== 'active') {
+        throw new Error(`Conversation already ${state.status} before "${input}"`);
+      }
+
+      state = this.advance(flowName, state, input);
+      transcript.push({
+        input,
+        message: state.message,
+        step: state.step,
+        status: state.status,
+        action: state.action,
+        language: state.language
+      });
+    }
+
+    return { transcript, state };
+  }
+}
+
+module.exports = new ConversationFlowEngine();
@@ -1,401 +1,321 @@
+const Conversation = require('../models/Conversation');
+const conversationFlowEngine = require('./conversationFlowEngine');
+const { ConversationFlows } = require('../config/conversationFlows');
 const logger = require('../utils/logger');
 
+// Alerts are paused this long for donors who say they are unwell, matching the eligibility flow's advice
+const ILLNESS_PAUSE_DAYS = 14;
+
 class ConversationService {
   constructor() {
-    this.conversations = new Map(); // In-memory storage (use Redis in production)
-    this.conversationTimeout = 30 * 60 * 1000; // 30 minutes
+    this.conversationTimeout = ConversationFlows.TIMEOUT_MINUTES * 60 * 1000;
     this.cleanupInterval = 5 * 60 * 1000; // 5 minutes
-    
-    // Start cleanup interval
-    this.startCleanupInterval();
-    
+    this.cleanupTimer = null;
+
+    // Flow action name -> handler run when a conversation ends on that action
+    this.actionHandlers = new Map();
+    this.registerActionHandler('complete_registration', outcome => this.checkExistingRegistration(outcome));
+    this.registerActionHandler('eligibility_checked', outcome => this.pauseAlertsWhileUnwell(outcome));
+    this.registerActionHandler('schedule_donation', outcome => this.acceptOpenRequest(outcome));
+    this.registerActionHandler('donation_declined', outcome => this.declineOpenRequest(outcome));
+    // The rating and comments stay on the conversation record
+    this.registerActionHandler('feedback_completed', () => null);
+
     logger.success('Conversation Service initialized', 'CONVERSATION_SERVICE');
   }
 
+  getExpiryDate(from = new Date()) {
+    return new Date(from.getTime() + this.conversationTimeout);
+  }
+
   /**
-   * Start a new conversation
-   * @param {string} phoneNumber - User's phone number
-   * @param {string} type - Conversation type
-   * @param {Object} context - Initial context
-   * @returns {string} Conversation ID
+   * Register what happens when a conversation ends on a flow action
+   * @param {string} action - Action name used in config/conversationFlows.js
+   * @param {Function} handler - async ({ flow, phoneNumber, userId, channel, language, context }) =>
+   *   { reply, context } | null; reply is a message key of the flow that replaces the configured reply
    */
-  startConversation(phoneNumber, type, context = {}) {
-    const conversationId = this.generateConversationId(phoneNumber, type);
-    
-    const conversation = {
-      id: conversationId,
-      phoneNumber,
-      type,
-      status: 'active',
-      context,
-      steps: [],
-      currentStep: 0,
-      createdAt: new Date(),
-      lastActivity: new Date(),
-      expiresAt: new Date(Date.now() + this.conversationTimeout)
-    };
-
-    this.conversations.set(conversationId, conversation);
-    
-    logger.info(`Started conversation: ${conversationId} for ${this.maskPhoneNumber(phoneNumber)}`, 'CONVERSATION_SERVICE');
-    
-    return conversationId;
+  registerActionHandler(action, handler) {
+    this.actionHandlers.set(action, handler);
   }
 
   /**
-   * Get active conversation for phone number
-   * @param {string} phoneNumber - User's phone number
-   * @param {string} type - Conversation type (optional)
-   * @returns {Object|null} Conversation object or null
+   * Run the handler for the action a conversation ended on. A failing handler
+   * is logged and the configured reply is sent, so the donor still gets an answer.
+   * @returns {Promise<Object|null>} Handler result
    */
-  getActiveConversation(phoneNumber, type = null) {
-    for (const conversation of this.conversations.values()) {
-      if (conversation.phoneNumber === phoneNumber && 
-          conversation.status === 'active' &&
-          (!type || conversation.type === type)) {
-        return conversation;
-      }
+  async runAction(action, outcome) {
+    const handler = this.actionHandlers.get(action);
+    if (!handler) {
+      logger.warn(`No handler for conversation action ${action}`, 'CONVERSATION_SERVICE');
+      return null;
+    }
+
+    try {
+      return await handler(outcome);
+    } catch (error) {
+      logger.error(`Conversation action ${action} failed`, 'CONVERSATION_SERVICE', error);
+      return null;
     }
-    return null;
   }
 
   /**
-   * Get conversation by ID
-   * @param {string} conversationId - Conversation ID
-   * @returns {Object|null} Conversation object or null
+   * complete_registration: the website finishes registration, but a number
+   * that already belongs to a donor is pointed at sign-in instead
    */
-  getConversation(conversationId) {
-    return this.conversations.get(conversationId) || null;
+  async checkExistingRegistration({ phoneNumber }) {
+    // Required lazily: donor matching loads the notification stack
+    const donorMatchingService = require('./donorMatchingService');
+    const donor = await donorMatchingService.findDonorByPhone(phoneNumber);
+    if (!donor) return null;
+
+    return { reply: 'already_registered', context: { registeredName: donor.name } };
   }
 
   /**
-   * Add step to conversation
-   * @param {string} conversationId - Conversation ID
-   * @param {Object} step - Step data
-   * @returns {boolean} Success status
+   * eligibility_checked: a registered donor who is unwell is not paged for
+   * the two weeks the flow asks them to wait
    */
-  addStep(conversationId, step) {
-    try {
-      const conversation = this.conversations.get(conversationId);
-      if (!conversation) {
-        logger.warn(`Conversation not found: ${conversationId}`, 'CONVERSATION_SERVICE');
-        return false;
-      }
+  async pauseAlertsWhileUnwell({ phoneNumber, channel, language, context }) {
+    if (context.reason !== 'health') return null;
 
-      const stepData = {
-        stepNumber: conversation.steps.length + 1,
-        timestamp: new Date(),
-        ...step
-      };
+    const donorReplyService = require('./donorReplyService');
+    const paused = await donorReplyService.snooze(phoneNumber, ILLNESS_PAUSE_DAYS, channel);
+    if (!paused) return null;
 
-      conversation.steps.push(stepData);
-      conversation.currentStep = stepData.stepNumber;
-      conversation.lastActivity = new Date();
-
-      logger.debug(`Added step ${stepData.stepNumber} to conversation ${conversationId}`, 'CONVERSATION_SERVICE');
-      return true;
-    } catch (error) {
-      logger.error('Error adding conversation step', 'CONVERSATION_SERVICE', error);
-      return false;
-    }
+    return {
+      reply: 'alerts_paused_health',
+      context: {
+        pausedUntil: paused.snoozedUntil.toLocaleDateString(language === 'hi' ? 'hi-IN' : 'en-IN', { day: 'numeric', month: 'short' })
+      }
+    };
   }
 
   /**
-   * Update conversation context
-   * @param {string} conversationId - Conversation ID
-   * @param {Object} contextUpdate - Context updates
-   * @returns {boolean} Success status
+   * schedule_donation: commit the donor to the request they were paged for,
+   * noting when they said they can come, and send them to the hospital
    */
-  updateContext(conversationId, contextUpdate) {
-    try {
-      const conversation = this.conversations.get(conversationId);
-      if (!conversation) {
-        logger.warn(`Conversation not found: ${conversationId}`, 'CONVERSATION_SERVICE');
-        return false;
-      }
-
-      conversation.context = { ...conversation.context, ...contextUpdate };
-      conversation.lastActivity = new Date();
+  async acceptOpenRequest({ phoneNumber, context }) {
+    const when = [context.availability, context.preferredDay, context.preferredTime]
+      .filter(Boolean)
+      .map(value => value.replace(/_/g, ' '));
 
-      logger.debug(`Updated context for conversation ${conversationId}`, 'CONVERSATION_SERVICE');
-      return true;
-    } catch (error) {
-      logger.error('Error updating conversation context', 'CONVERSATION_SERVICE', error);
-      return false;
+    const donorReplyService = require('./donorReplyService');
+    const accepted = await donorReplyService.accept(
+      phoneNumber,
+      context.requestId || null,
+      when.length ? `Can donate: ${when.join(', ')}` : null
+    );
+    if (!accepted) {
+      return { reply: 'no_open_request' };
     }
+
+    const hospital = accepted.bloodRequest.location.hospital;
+    return {
+      reply: 'heading_to_hospital',
+      context: { hospitalName: hospital.name, hospitalContact: hospital.contactNumber }
+    };
   }
 
   /**
-   * Process user response in conversation
+   * donation_declined: decline the request the donor was paged for, or
+   * withdraw if they had already said yes
+   */
+  async declineOpenRequest({ phoneNumber, channel, context }) {
+    const donorReplyService = require('./donorReplyService');
+    await donorReplyService.decline(phoneNumber, context.requestId || null, channel);
+    return null;
+  }
+
+  /**
+   * Start a new conversation. Any other active conversation with the same
+   * number is cancelled, since replies can only go to one flow.
    * @param {string} phoneNumber - User's phone number
-   * @param {string} response - User's response
-   * @param {string} messageId - WhatsApp message ID
-   * @returns {Object} Processing result
+   * @param {string} type - Flow name from config/conversationFlows.js
+   * @param {Object} context - Initial context
+   * @param {Object} options - { language, userId, channel }
+   * @returns {Promise<Object>} { conversationId, message } - message is the first prompt, if the flow has one
    */
-  async processResponse(phoneNumber, response, messageId) {
-    try {
-      const conversation = this.getActiveConversation(phoneNumber);
-      if (!conversation) {
-        logger.debug(`No active conversation for ${this.maskPhoneNumber(phoneNumber)}`, 'CONVERSATION_SERVICE');
-        return { success: false, reason: 'NO_ACTIVE_CONVERSATION' };
-      }
+  async startConversation(phoneNumber, type, context = {}, options = {}) {
+    const state = conversationFlowEngine.start(type, { context, language: options.language });
+    const now = new Date();
 
-      // Add user response as step
-      this.addStep(conversation.id, {
-        type: 'user_response',
-        content: response,
-        messageId
-      });
+    await Conversation.updateMany(
+      { phoneNumber, status: 'active' },
+      { $set: { status: 'cancelled', completedAt: now } }
+    );
 
-      // Process based on conversation type
-      let result;
-      switch (conversation.type) {
-        case 'blood_request':
-          result = await this.processBloodRequestConversation(conversation, response);
-          break;
-        case 'donor_registration':
-          result = await this.processDonorRegistrationConversation(conversation, response);
-          break;
-        case 'donation_scheduling':
-          result = await this.processDonationSchedulingConversation(conversation, response);
-          break;
-        case 'feedback_collection':
-          result = await this.processFeedbackConversation(conversation, response);
-          break;
-        default:
-          result = await this.processGenericConversation(conversation, response);
-      }
+    const conversation = await Conversation.create({
+      conversationId: this.generateConversationId(phoneNumber, type),
+      phoneNumber,
+      user: options.userId,
+      channel: options.channel || 'whatsapp',
+      flow: type,
+      currentStep: state.step,
+      language: state.language,
+      context: state.context,
+      messages: state.message ? [{ direction: 'outbound', step: state.step, content: state.message }] : [],
+      lastActivityAt: now,
+      expiresAt: this.getExpiryDate(now)
+    });
 
-      return result;
-    } catch (error) {
-      logger.error('Error processing conversation response', 'CONVERSATION_SERVICE', error);
-      return { success: false, reason: 'PROCESSING_ERROR', error: error.message };
-    }
+    logger.info(`Started conversation: ${conversation.conversationId} for ${this.maskPhoneNumber(phoneNumber)}`, 'CONVERSATION_SERVICE');
+
+    return { conversationId: conversation.conversationId, message: state.message };
   }
 
   /**
-   * Process blood request conversation
-   * @param {Object} conversation - Conversation object
-   * @param {string} response - User response
-   * @returns {Object} Processing result
+   * Start the flow whose trigger phrase the message contains, if any
+   * @returns {Promise<Object|null>} { conversationId, flow, message }
    */
-  async processBloodRequestConversation(conversation, response) {
-    const { context, currentStep } = conversation;
-    const normalizedResponse = response.toLowerCase().trim();
-
-    switch (currentStep) {
-      case 1: // Initial blood request
-        if (['yes', 'y', 'हाँ', 'ok'].includes(normalizedResponse)) {
-          this.updateContext(conversation.id, { donationConfirmed: true });
-          this.addStep(conversation.id, {
-            type: 'system_response',
-            content: 'donation_confirmed',
-            nextAction: 'collect_availability'
-          });
-          return {
-            success: true,
-            action: 'ask_availability',
-            message: 'Great! When can you donate? Please reply with:\n1. Now\n2. Within 2 hours\n3. Today\n4. Tomorrow'
-          };
-        } else if (['no', 'n', 'नहीं', 'cannot'].includes(normalizedResponse)) {
-          this.updateContext(conversation.id, { donationConfirmed: false });
-          this.completeConversation(conversation.id, 'declined');
-          return {
-            success: true,
-            action: 'donation_declined',
-            message: 'Thank you for responding. We understand you cannot donate at this time.'
-          };
-        }
-        break;
-
-      case 2: // Availability confirmation
-        let availability = null;
-        if (['1', 'now', 'immediately'].some(keyword => normalizedResponse.includes(keyword))) {
-          availability = 'now';
-        } else if (['2', 'within 2', '2 hours'].some(keyword => normalizedResponse.includes(keyword))) {
-          availability = 'within_2_hours';
-        } else if (['3', 'today'].some(keyword => normalizedResponse.includes(keyword))) {
-          availability = 'today';
-        } else if (['4', 'tomorrow'].some(keyword => normalizedResponse.includes(keyword))) {
-          availability = 'tomorrow';
-        }
+  async startFromTrigger(phoneNumber, messageText, options = {}) {
+    const triggered = conversationFlowEngine.findTriggeredFlow(messageText);
+    if (!triggered) return null;
 
-        if (availability) {
-          this.updateContext(conversation.id, { availability });
-          this.completeConversation(conversation.id, 'completed');
-          return {
-            success: true,
-            action: 'schedule_donation',
-            message: `Perfect! We'll coordinate your donation. You'll receive location and contact details shortly.`,
-            data: { availability, phoneNumber: conversation.phoneNumber }
-          };
-        }
-        break;
-    }
+    const result = await this.startConversation(phoneNumber, triggered.flowName, {}, {
+      ...options,
+      language: triggered.language
+    });
 
-    // Default response for unrecognized input
-    return {
-      success: true,
-      action: 'clarification_needed',
-      message: 'I didn\'t understand that. Please reply with YES or NO for donation, or 1-4 for availability.'
-    };
+    return { ...result, flow: triggered.flowName };
   }
 
   /**
-   * Process donor registration conversation
-   * @param {Object} conversation - Conversation object
-   * @param {string} response - User response
-   * @returns {Object} Processing result
+   * Get active conversation for phone number
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} type - Conversation type (optional)
+   * @returns {Promise<Object|null>} Conversation document or null
    */
-  async processDonorRegistrationConversation(conversation, response) {
-    const { currentStep } = conversation;
-    const normalizedResponse = response.toLowerCase().trim();
-
-    switch (currentStep) {
-      case 1: // Registration interest
-        if (['yes', 'register', 'signup'].some(keyword => normalizedResponse.includes(keyword))) {
-          this.addStep(conversation.id, {
-            type: 'system_response',
-            content: 'registration_started'
-          });
-          return {
-            success: true,
-            action: 'start_registration',
-            message: 'Great! To register as a blood donor, please visit our website: callforbloodfoundation.com/register\n\nOr reply with your full name to start here.'
-          };
-        }
-        break;
-
-      case 2: // Name collection
-        if (response.length > 2 && /^[a-zA-Z\s]+$/.test(response)) {
-          this.updateContext(conversation.id, { name: response });
-          this.addStep(conversation.id, {
-            type: 'system_response',
-            content: 'name_collected'
-          });
-          return {
-            success: true,
-            action: 'collect_blood_type',
-            message: `Thank you ${response}! What's your blood type?\n\nReply with: A+, A-, B+, B-, AB+, AB-, O+, or O-`
-          };
-        }
-        break;
-
-      case 3: // Blood type collection
-        const bloodTypes = ['a+', 'a-', 'b+', 'b-', 'ab+', 'ab-', 'o+', 'o-'];
-        if (bloodTypes.includes(normalizedResponse)) {
-          this.updateContext(conversation.id, { bloodType: response.toUpperCase() });
-          this.completeConversation(conversation.id, 'completed');
-          return {
-            success: true,
-            action: 'complete_registration',
-            message: `Perfect! Your blood type is ${response.toUpperCase()}.\n\nTo complete your registration, please visit: callforbloodfoundation.com/register\n\nUse this phone number to continue your registration.`
-          };
-        }
-        break;
-    }
-
-    return {
-      success: true,
-      action: 'clarification_needed',
-      message: 'Please provide the requested information in the correct format.'
+  async getActiveConversation(phoneNumber, type = null) {
+    const filter = {
+      phoneNumber,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
     };
+    if (type) filter.flow = type;
+
+    return Conversation.findOne(filter).sort({ lastActivityAt: -1 });
   }
 
   /**
-   * Process donation scheduling conversation
-   * @param {Object} conversation - Conversation object
-   * @param {string} response - User response
-   * @returns {Object} Processing result
+   * Get conversation by ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} Conversation document or null
    */
-  async processDonationSchedulingConversation(conversation, response) {
-    // Implementation for donation scheduling
-    return {
-      success: true,
-      action: 'schedule_processed',
-      message: 'Thank you for scheduling your donation. We\'ll send you confirmation details shortly.'
-    };
+  async getConversation(conversationId) {
+    return Conversation.findOne({ conversationId });
   }
 
   /**
-   * Process feedback conversation
-   * @param {Object} conversation - Conversation object
-   * @param {string} response - User response
-   * @returns {Object} Processing result
+   * Process user response in conversation
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} response - User's response
+   * @param {string} messageId - WhatsApp message ID
+   * @returns {Promise<Object>} Processing result
    */
-  async processFeedbackConversation(conversation, response) {
-    const { currentStep } = conversation;
-
-    switch (currentStep) {
-      case 1: // Rating collection
-        const rating = parseInt(response);
-        if (rating >= 1 && rating <= 5) {
-          this.updateContext(conversation.id, { rating });
-          this.addStep(conversation.id, {
-            type: 'system_response',
-            content: 'rating_collected'
+  async processResponse(phoneNumber, response, messageId) {
+    try {
+      const conversation = await this.getActiveConversation(phoneNumber);
+      if (!conversation) {
+        logger.debug(`No active conversation for ${this.maskPhoneNumber(phoneNumber)}`, 'CONVERSATION_SERVICE');
+        return { success: false, reason: 'NO_ACTIVE_CONVERSATION' };
+      }
+
+      if (conversation.hasMessage(messageId)) {
+        logger.debug(`Ignoring repeated message ${messageId}`, 'CONVERSATION_SERVICE');
+        return { success: false, reason: 'DUPLICATE_MESSAGE' };
+      }
+
+      const result = conversationFlowEngine.advance(conversation.flow, {
+        step: conversation.currentStep,
+        context: conversation.context,
+        language: conversation.language
+      }, response);
+
+      if (result.status !== 'active' && result.action) {
+        const outcome = await this.runAction(result.action, {
+          flow: conversation.flow,
+          phoneNumber: conversation.phoneNumber,
+          userId: conversation.user,
+          channel: conversation.channel,
+          language: result.language,
+          context: result.context
+        });
+        if (outcome?.reply) {
+          result.message = conversationFlowEngine.render(conversation.flow, outcome.reply, result.language, {
+            ...result.context,
+            ...outcome.context
           });
-          return {
-            success: true,
-            action: 'collect_feedback',
-            message: `Thank you for rating us ${rating}/5! Please share any additional feedback or suggestions.`
-          };
         }
-        break;
-
-      case 2: // Feedback collection
-        this.updateContext(conversation.id, { feedback: response });
-        this.completeConversation(conversation.id, 'completed');
-        return {
-          success: true,
-          action: 'feedback_completed',
-          message: 'Thank you for your valuable feedback! It helps us improve our service.'
-        };
-    }
+      }
 
-    return {
-      success: true,
-      action: 'clarification_needed',
-      message: 'Please provide a rating from 1-5 or your feedback.'
-    };
-  }
+      const now = new Date();
+      conversation.messages.push({
+        direction: 'inbound',
+        step: conversation.currentStep,
+        content: response,
+        messageId,
+        matched: result.matched,
+        at: now
+      });
+      if (result.message) {
+        conversation.messages.push({
+          direction: 'outbound',
+          step: result.step,
+          content: result.message,
+          action: result.action,
+          at: now
+        });
+      }
 
-  /**
-   * Process generic conversation
-   * @param {Object} conversation - Conversation object
-   * @param {string} response - User response
-   * @returns {Object} Processing result
-   */
-  async processGenericConversation(conversation, response) {
-    return {
-      success: true,
-      action: 'generic_response',
-      message: 'Thank you for your message. How can I help you today?'
-    };
+      conversation.currentStep = result.step;
+      conversation.context = result.context;
+      conversation.language = result.language;
+      conversation.lastActivityAt = now;
+      conversation.expiresAt = this.getExpiryDate(now);
+
+      if (result.status !== 'active') {
+        conversation.status = result.status;
+        conversation.completedAt = now;
+        logger.info(`Conversation completed: ${conversation.conversationId} with status: ${result.status}`, 'CONVERSATION_SERVICE');
+      }
+
+      await conversation.save();
+
+      return {
+        success: true,
+        conversationId: conversation.conversationId,
+        flow: conversation.flow,
+        status: result.status,
+        action: result.action,
+        message: result.message,
+        data: { ...result.context, phoneNumber: conversation.phoneNumber }
+      };
+    } catch (error) {
+      logger.error('Error processing conversation response', 'CONVERSATION_SERVICE', error);
+      return { success: false, reason: 'PROCESSING_ERROR', error: error.message };
+    }
   }
 
   /**
    * Complete conversation
    * @param {string} conversationId - Conversation ID
    * @param {string} status - Completion status
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  completeConversation(conversationId, status = 'completed') {
+  async completeConversation(conversationId, status = 'completed') {
     try {
-      const conversation = this.conversations.get(conversationId);
-      if (!conversation) {
+      const result = await Conversation.updateOne(
+        { conversationId, status: 'active' },
+        {
+          $set: { status, completedAt: new Date() },
+          $push: { messages: { direction: 'system', content: 'conversation_completed', action: status } }
+        }
+      );
+
+      if (result.modifiedCount === 0) {
         return false;
       }
 
-      conversation.status = status;
-      conversation.completedAt = new Date();
-
-      this.addStep(conversationId, {
-        type: 'system_event',
-        content: 'conversation_completed',
-        status
-      });
-
       logger.info(`Conversation completed: ${conversationId} with status: ${status}`, 'CONVERSATION_SERVICE');
       return true;
     } catch (error) {
@@ -407,7 +327,7 @@ class ConversationService {
   /**
    * Cancel conversation
    * @param {string} conversationId - Conversation ID
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   cancelConversation(conversationId) {
     return this.completeConversation(conversationId, 'cancelled');
@@ -417,51 +337,49 @@ class ConversationService {
    * Get conversation history
    * @param {string} phoneNumber - User's phone number
    * @param {number} limit - Number of conversations to return
-   * @returns {Array} Array of conversations
+   * @returns {Promise<Array>} Array of conversations
    */
-  getConversationHistory(phoneNumber, limit = 10) {
-    const userConversations = Array.from(this.conversations.values())
-      .filter(conv => conv.phoneNumber === phoneNumber)
-      .sort((a, b) => b.createdAt - a.createdAt)
-      .slice(0, limit);
-
-    return userConversations;
+  async getConversationHistory(phoneNumber, limit = 10) {
+    return Conversation.find({ phoneNumber })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
   }
 
   /**
    * Get conversation statistics
-   * @returns {Object} Statistics object
+   * @returns {Promise<Object>} Statistics object
    */
-  getStatistics() {
-    const conversations = Array.from(this.conversations.values());
-    
-    const stats = {
-      total: conversations.length,
-      active: conversations.filter(c => c.status === 'active').length,
-      completed: conversations.filter(c => c.status === 'completed').length,
-      cancelled: conversations.filter(c => c.status === 'cancelled').length,
-      byType: {},
-      averageSteps: 0,
-      averageDuration: 0
-    };
-
-    // Count by type
-    conversations.forEach(conv => {
-      stats.byType[conv.type] = (stats.byType[conv.type] || 0) + 1;
-    });
+  async getStatistics() {
+    const [byStatus, byType, completed] = await Promise.all([
+      Conversation.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Conversation.aggregate([{ $group: { _id: '$flow', count: { $sum: 1 } } }]),
+      Conversation.aggregate([
+        { $match: { completedAt: { $exists: true } } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            averageSteps: { $avg: { $size: '$messages' } },
+            averageDuration: { $avg: { $subtract: ['$completedAt', '$createdAt'] } }
+          }
+        }
+      ])
+    ]);
 
-    // Calculate averages
-    const completedConversations = conversations.filter(c => c.completedAt);
-    if (completedConversations.length > 0) {
-      stats.averageSteps = completedConversations.reduce((sum, conv) => sum + conv.steps.length, 0) / completedConversations.length;
-      
-      const totalDuration = completedConversations.reduce((sum, conv) => {
-        return sum + (conv.completedAt - conv.createdAt);
-      }, 0);
-      stats.averageDuration = totalDuration / completedConversations.length / 1000 / 60; // minutes
-    }
+    const statusCounts = Object.fromEntries(byStatus.map(row => [row._id, row.count]));
 
-    return stats;
+    return {
+      total: byStatus.reduce((sum, row) => sum + row.count, 0),
+      active: statusCounts.active || 0,
+      completed: statusCounts.completed || 0,
+      declined: statusCounts.declined || 0,
+      cancelled: statusCounts.cancelled || 0,
+      expired: statusCounts.expired || 0,
+      byType: Object.fromEntries(byType.map(row => [row._id, row.count])),
+      averageSteps: completed[0]?.averageSteps || 0,
+      averageDuration: (completed[0]?.averageDuration || 0) / 1000 / 60 // minutes
+    };
   }
 
   /**
@@ -490,7 +408,9 @@ class ConversationService {
    * Start cleanup interval for expired conversations
    */
   startCleanupInterval() {
-    setInterval(() => {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(() => {
       this.cleanupExpiredConversations();
     }, this.cleanupInterval);
 
@@ -498,31 +418,31 @@ class ConversationService {
   }
 
   /**
-   * Clean up expired conversations
+   * Mark conversations nobody replied to in time as expired. They are kept
+   * for history rather than deleted.
    */
-  cleanupExpiredConversations() {
-    const now = new Date();
-    let cleanedCount = 0;
+  async cleanupExpiredConversations() {
+    try {
+      const result = await Conversation.updateMany(
+        { status: 'active', expiresAt: { $lt: new Date() } },
+        { $set: { status: 'expired', completedAt: new Date() } }
+      );
 
-    for (const [id, conversation] of this.conversations.entries()) {
-      if (conversation.expiresAt < now) {
-        this.conversations.delete(id);
-        cleanedCount++;
+      if (result.modifiedCount > 0) {
+        logger.info(`Expired ${result.modifiedCount} inactive conversations`, 'CONVERSATION_SERVICE');
       }
-    }
-
-    if (cleanedCount > 0) {
-      logger.info(`Cleaned up ${cleanedCount} expired conversations`, 'CONVERSATION_SERVICE');
+    } catch (error) {
+      logger.error('Error expiring conversations', 'CONVERSATION_SERVICE', error);
     }
   }
 
   /**
    * Export conversation data
    * @param {string} conversationId - Conversation ID
-   * @returns {Object|null} Conversation data or null
+   * @returns {Promise<Object|null>} Conversation data or null
    */
-  exportConversation(conversationId) {
-    const conversation = this.conversations.get(conversationId);
+  async exportConversation(conversationId) {
+    const conversation = await Conversation.findOne({ conversationId }).lean();
     if (!conversation) {
       return null;
     }
@@ -537,4 +457,4 @@ class ConversationService {
 // Create singleton instance
 const conversationService = new ConversationService();
 
-module.exports = conversationService;
\ No newline at end of file
+module.exports = conversationService;
@@ -0,0 +1,317 @@
+/**
+ * Reads profile fields out of OCR text and checks them against the donor.
+ *
+ * OCR text is noisy, so each finder is lenient about spacing and
+ * punctuation but strict about what counts as a match. A field is
+ * `missing` when nothing usable was found, which blocks bulk approval but
+ * is not held against the donor the way a `mismatch` is.
+ */
+
+const DOB_LABEL = /(?:D\.?\s?O\.?\s?B\.?|DATE\s+OF\s+BIRTH|BIRTH\s+DATE|जन्म\s*(?:तिथि|तारीख))/i;
+const YOB_LABEL = /(?:YEAR\s+OF\s+BIRTH|Y\.?O\.?B\.?|जन्म\s*वर्ष)/i;
+const NAME_LABEL = /^\s*(?:NAME|नाम)(?:\s*\/\s*NAME)?\s*[:-]\s*(.+)$/i;
+const PIN_LABEL = /(?<![A-Z])(?:PIN\s*CODE|PINCODE|PIN|पिन(?:\s*कोड)?)\s*[:.-]?\s*(\d{3}\s?\d{3})(?!\d)/gi;
+const DATE = /(?<!\d)(\d{1,2})\s?[/\-.]\s?(\d{1,2})\s?[/\-.]\s?(\d{4})(?!\d)/g;
+const PINCODE = /(?<!\d)([1-9]\d{2}\s?\d{3})(?!\d)/g;
+
+// Tried in order; the first pattern found in the text wins
+const ID_PATTERNS = [
+  { type: 'aadhaar', pattern: /(?<!\d)([2-9]\d{3})\s?(\d{4})\s?(\d{4})(?!\d)/ },
+  { type: 'pan', pattern: /\b([A-Z]{5}\d{4}[A-Z])\b/ },
+  { type: 'voter_id', pattern: /\b([A-Z]{3}\d{7})\b/ },
+  { type: 'driving_licence', pattern: /\b([A-Z]{2}\d{2})[\s-]?((?:19|20)\d{2}\d{7})\b/ },
+  { type: 'passport', pattern: /\b([A-PR-WY][1-9]\d\s?\d{4}[1-9])\b/ }
+];
+
+// Verhoeff tables, used by the Aadhaar check digit
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const isValidAadhaar = (digits) => {
+  if (!/^[2-9]\d{11}$/.test(digits)) return false;
+  let check = 0;
+  digits.split('').reverse().forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+  });
+  return check === 0;
+};
+
+// Glyphs Tesseract commonly confuses in names, folded the same way on both
+// sides of a comparison
+const OCR_CONFUSIONS = [[/0/g, 'o'], [/[1|]/g, 'l'], [/5/g, 's'], [/rn/g, 'm']];
+
+const normalizeName = value => OCR_CONFUSIONS
+  .reduce((name, [pattern, replacement]) => name.replace(pattern, replacement), String(value || '').toLowerCase())
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const tokenSimilarity = (expected, candidate) => {
+  // An initial ("R" for "Rahul") is a likely but weaker match
+  if (candidate.length === 1) return expected.startsWith(candidate) ? 0.9 : 0;
+  return 1 - levenshtein(expected, candidate) / Math.max(expected.length, candidate.length);
+};
+
+/**
+ * 0-1 similarity of a line of OCR text to the expected name. Each expected
+ * name part is matched to its closest word on the line, so word order and
+ * extra words (S/O, titles) matter little; long name parts count more.
+ */
+const nameSimilarity = (expected, candidate) => {
+  const expectedTokens = normalizeName(expected).split(' ').filter(Boolean);
+  const candidateTokens = normalizeName(candidate).split(' ').filter(Boolean);
+  if (expectedTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+  const totalLength = expectedTokens.reduce((sum, token) => sum + token.length, 0);
+  const weighted = expectedTokens.reduce((sum, token) => {
+    const best = Math.max(...candidateTokens.map(candidateToken => tokenSimilarity(token, candidateToken)));
+    return sum + best * token.length;
+  }, 0);
+
+  return weighted / totalLength;
+};
+
+const lines = text => String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+/**
+ * The name on the document: the labelled one if there is a Name: line,
+ * otherwise the line that reads most like the expected name, if any does
+ * @returns {Object|null} { value, similarity }
+ */
+const findName = (text, expectedName) => {
+  const textLines = lines(text);
+
+  for (const line of textLines) {
+    const labelled = line.match(NAME_LABEL);
+    if (labelled && normalizeName(labelled[1])) {
+      return { value: labelled[1].trim(), similarity: nameSimilarity(expectedName, labelled[1]) };
+    }
+  }
+
+  let best = null;
+  textLines.forEach((line) => {
+    const words = normalizeName(line).split(' ').filter(Boolean);
+    if (words.length === 0 || words.length > 6) return;
+    const similarity = nameSimilarity(expectedName, line);
+    if (!best || similarity > best.similarity) best = { value: line, similarity };
+  });
+  // Without a label, a line this unlike the name is more likely not a name at all
+  return best && best.similarity >= 0.5 ? best : null;
+};
+
+const toIsoDate = (day, month, year) => {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Dates written day first (DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY)
+ * @returns {Object} { labelled, yearOfBirth, all } with ISO dates
+ */
+const findDates = (text) => {
+  let labelled = null;
+  let yearOfBirth = null;
+  const all = [];
+
+  lines(text).forEach((line) => {
+    const dates = [...line.matchAll(DATE)]
+      .map(([, day, month, year]) => toIsoDate(day, month, year))
+      .filter(Boolean);
+    all.push(...dates);
+
+    if (!labelled && dates.length > 0 && DOB_LABEL.test(line)) labelled = dates[0];
+
+    const year = YOB_LABEL.test(line) && line.match(/(?<!\d)((?:19|20)\d{2})(?!\d)/);
+    if (!yearOfBirth && year) yearOfBirth = year[1];
+  });
+
+  return { labelled, yearOfBirth, all };
+};
+
+/**
+ * First Indian ID number in the text. Aadhaar numbers are checked against
+ * their Verhoeff check digit; other IDs only by format.
+ * @returns {Object|null} { type, value, valid }
+ */
+const findIdNumber = (text) => {
+  const upper = String(text || '').toUpperCase();
+
+  for (const { type, pattern } of ID_PATTERNS) {
+    const match = upper.match(pattern);
+    if (match) {
+      const value = match.slice(1).join('').replace(/\s/g, '');
+      return { type, value, valid: type === 'aadhaar' ? isValidAadhaar(value) : true };
+    }
+  }
+  return null;
+};
+
+/**
+ * Enough of an ID number for a reviewer to compare with the document
+ */
+const maskIdNumber = (type, value) => {
+  if (type === 'aadhaar') return `XXXX XXXX ${value.slice(-4)}`;
+  return `${'X'.repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
+};
+
+/**
+ * @returns {Object} { labelled, all } six-digit pincodes
+ */
+const findPincodes = (text) => {
+  const source = String(text || '');
+  const clean = value => value.replace(/\s/g, '');
+  return {
+    labelled: [...source.matchAll(PIN_LABEL)].map(match => clean(match[1])),
+    all: [...source.matchAll(PINCODE)].map(match => clean(match[1]))
+  };
+};
+
+const checkName = (text, profile, settings) => {
+  const expected = profile.name || null;
+  const found = expected ? findName(text, expected) : null;
+  if (!found) return { field: 'name', status: 'missing', expected };
+
+  const similarity = Math.round(found.similarity * 100) / 100;
+  return {
+    field: 'name',
+    status: similarity >= settings.NAME_MATCH_THRESHOLD ? 'match' : 'mismatch',
+    extracted: found.value,
+    expected,
+    similarity
+  };
+};
+
+const checkDateOfBirth = (text, profile) => {
+  const expected = profile.dateOfBirth ? new Date(profile.dateOfBirth).toISOString().slice(0, 10) : null;
+  const { labelled, yearOfBirth, all } = findDates(text);
+  const check = { field: 'dateOfBirth', expected };
+
+  if (labelled) {
+    return { ...check, status: labelled === expected ? 'match' : 'mismatch', extracted: labelled };
+  }
+  if (yearOfBirth) {
+    return {
+      ...check,
+      status: expected && yearOfBirth === expected.slice(0, 4) ? 'match' : 'mismatch',
+      extracted: yearOfBirth,
+      note: 'Year of birth only'
+    };
+  }
+  // Unlabelled dates may be issue or expiry dates, so only a hit counts
+  if (expected && all.includes(expected)) {
+    return { ...check, status: 'match', extracted: expected };
+  }
+  return { ...check, status: 'missing', note: all.length > 0 ? 'No date labelled as date of birth' : undefined };
+};
+
+const checkIdNumber = (text) => {
+  const found = findIdNumber(text);
+  if (!found) return { field: 'idNumber', status: 'missing' };
+
+  return {
+    field: 'idNumber',
+    status: found.valid ? 'match' : 'mismatch',
+    extracted: maskIdNumber(found.type, found.value),
+    idType: found.type,
+    // Full number for the caller to hash; never stored
+    value: found.value,
+    note: found.valid ? undefined : 'Aadhaar check digit does not match'
+  };
+};
+
+const checkPincode = (text, profile) => {
+  const expected = profile.pincode || null;
+  const { labelled, all } = findPincodes(text);
+  const check = { field: 'pincode', expected };
+
+  if (labelled.length > 0) {
+    return { ...check, status: labelled.includes(expected) ? 'match' : 'mismatch', extracted: labelled.includes(expected) ? expected : labelled[0] };
+  }
+  if (all.length > 0) {
+    return { ...check, status: all.includes(expected) ? 'match' : 'mismatch', extracted: all.includes(expected) ? expected : all[0] };
+  }
+  return { ...check, status: 'missing' };
+};
+
+const CHECKS = {
+  name: checkName,
+  dateOfBirth: checkDateOfBirth,
+  idNumber: checkIdNumber,
+  pincode: checkPincode
+};
+
+/**
+ * Check the listed fields of a document's text against the donor's profile
+ * @param {string} text - OCR text
+ * @param {string[]} fields - Fields to check, see DocumentOcrSettings.FIELDS_BY_TYPE
+ * @param {Object} profile - { name, dateOfBirth, pincode }
+ * @param {Object} settings - DocumentOcrSettings
+ * @returns {Object[]} One check per field: { field, status, extracted, expected, ... }
+ */
+const checkFields = (text, fields, profile, settings) =>
+  fields.map(field => CHECKS[field](text, profile, settings));
+
+/**
+ * 0-100 weighted share of fields that matched; a matched name counts with
+ * its similarity
+ */
+const scoreChecks = (checks, weights) => {
+  const total = checks.reduce((sum, check) => sum + (weights[check.field] || 0), 0);
+  if (total === 0) return 0;
+
+  const earned = checks.reduce((sum, check) => {
+    if (check.status !== 'match') return sum;
+    return sum + (weights[check.field] || 0) * (check.similarity ?? 1);
+  }, 0);
+
+  return Math.round((earned / total) * 100);
+};
+
+module.exports = {
+  isValidAadhaar,
+  nameSimilarity,
+  findName,
+  findDates,
+  findIdNumber,
+  findPincodes,
+  maskIdNumber,
+  checkFields,
+  scoreChecks
+};
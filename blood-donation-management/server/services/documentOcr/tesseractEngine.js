@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Text recognition with tesseract.js (Tesseract compiled to WebAssembly),
+ * entirely on this server. Language data is read from a local directory
+ * rather than the CDN tesseract.js would otherwise download it from.
+ *
+ * One worker is started on first use and kept; recognitions are run one at
+ * a time by the caller.
+ */
+class TesseractEngine {
+  constructor(settings) {
+    this.name = 'tesseract';
+    this.languages = settings.LANGUAGES;
+    this.langPath = settings.LANG_PATH;
+    this.workerPromise = null;
+  }
+
+  /**
+   * Language codes whose data file is not in the language directory
+   */
+  missingLanguages() {
+    return this.languages.split('+').filter(lang =>
+      !this.langPath || !fs.existsSync(path.join(this.langPath, `${lang}.traineddata.gz`)));
+  }
+
+  isAvailable() {
+    return this.missingLanguages().length === 0;
+  }
+
+  getWorker() {
+    if (!this.workerPromise) {
+      // Loaded on first use; the WebAssembly core is large
+      const { createWorker } = require('tesseract.js');
+      this.workerPromise = createWorker(this.languages, 1, {
+        langPath: this.langPath,
+        cacheMethod: 'none'
+      }).catch((error) => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * @param {Buffer} buffer - JPEG or PNG image
+   * @returns {Promise<Object>} { text, confidence (0-100) }
+   */
+  async recognize(buffer) {
+    const worker = await this.getWorker();
+    // Phone photos of cards are often sideways
+    const { data } = await worker.recognize(buffer, { rotateAuto: true });
+    return { text: data.text, confidence: Math.round(data.confidence) };
+  }
+
+  async terminate() {
+    if (!this.workerPromise) return;
+    const worker = await this.workerPromise;
+    this.workerPromise = null;
+    await worker.terminate();
+  }
+
+  getStatus() {
+    return {
+      languages: this.languages,
+      langPath: this.langPath,
+      missingLanguages: this.missingLanguages(),
+      workerStarted: !!this.workerPromise
+    };
+  }
+}
+
+module.exports = TesseractEngine;
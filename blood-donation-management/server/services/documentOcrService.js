@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const documentStorageService = require('./documentStorageService');
+const TesseractEngine = require('./documentOcr/tesseractEngine');
+const { checkFields, scoreChecks } = require('./documentOcr/fieldMatcher');
+const { DocumentOcrSettings } = require('../config/documentOcr');
+const logger = require('../utils/logger');
+
+/**
+ * OCR-assisted document verification.
+ *
+ * New ID, address and medical documents are queued on upload and read in the
+ * background, one at a time: the file is OCR'd, the fields for its type are
+ * checked against the donor's profile and the result (match score and
+ * per-field checks) is saved on the document for the verification queue.
+ * A sweeper picks up anything queued while the server was down and retries
+ * failures a few times.
+ */
+class DocumentOcrService {
+  constructor() {
+    this.settings = DocumentOcrSettings;
+    this.engine = new TesseractEngine(this.settings);
+    // Recognitions run one after another; Tesseract is CPU-bound
+    this.queue = Promise.resolve();
+    this.sweeperInterval = null;
+    this.warnedUnavailable = false;
+  }
+
+  isApplicable(type) {
+    return this.settings.ENABLED && !!this.settings.FIELDS_BY_TYPE[type];
+  }
+
+  /**
+   * OCR state for a new upload, or undefined when its type is not read
+   */
+  initialState(type, mimeType) {
+    if (!this.isApplicable(type)) return undefined;
+    return { status: this.settings.SUPPORTED_MIME_TYPES.includes(mimeType) ? 'pending' : 'unsupported' };
+  }
+
+  profileFor(user) {
+    return {
+      name: user.name,
+      dateOfBirth: user.dateOfBirth,
+      pincode: user.address?.pincode
+    };
+  }
+
+  hashIdNumber(type, value) {
+    const secret = process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${type}:${value}`).digest('hex');
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Queue a freshly uploaded document without waiting for it
+   */
+  processSoon(documentId) {
+    this.enqueue(() => this.processDocument(documentId)).catch(error =>
+      logger.error(`OCR failed for document ${documentId}`, 'DOCUMENT_OCR', error));
+  }
+
+  /**
+   * Claim a document for OCR so the sweeper and upload queue never read it
+   * twice. Forced runs (a reviewer asking again) ignore earlier attempts.
+   */
+  async claim(documentId, force) {
+    const staleBefore = new Date(Date.now() - this.settings.STALE_PROCESSING_MS);
+    const filter = {
+      _id: documentId,
+      quarantined: { $ne: true },
+      'metadata.scanResults.virusScan.status': 'clean',
+      $or: [
+        { 'ocr.status': { $ne: 'processing' } },
+        { 'ocr.startedAt': { $lt: staleBefore } }
+      ]
+    };
+    if (!force) {
+      filter['ocr.status'] = { $in: ['pending', 'failed', 'processing'] };
+      filter['ocr.attempts'] = { $not: { $gte: this.settings.MAX_ATTEMPTS } };
+    }
+
+    return Document.findOneAndUpdate(filter, {
+      $set: { 'ocr.status': 'processing', 'ocr.startedAt': new Date() },
+      $inc: { 'ocr.attempts': 1 }
+    }, { new: true });
+  }
+
+  /**
+   * Read a document and check it against its owner's profile
+   * @param {string} documentId
+   * @param {Object} options - { force: re-read even if already done or out of attempts }
+   * @returns {Promise<Object>} { success, ocr } or { success: false, error, message }
+   */
+  async processDocument(documentId, { force = false } = {}) {
+    if (!this.settings.ENABLED) {
+      return { success: false, error: 'OCR_DISABLED', message: 'Document OCR is turned off' };
+    }
+    if (!this.engine.isAvailable()) {
+      return {
+        success: false,
+        error: 'OCR_UNAVAILABLE',
+        message: `OCR language data missing for ${this.engine.missingLanguages().join(', ')} in ${this.engine.langPath}`
+      };
+    }
+
+    const existing = await Document.findById(documentId).select('type mimeType');
+    if (!existing) {
+      return { success: false, error: 'DOCUMENT_NOT_FOUND', message: 'Document not found' };
+    }
+    if (!this.isApplicable(existing.type)) {
+      return { success: false, error: 'NOT_APPLICABLE', message: `${existing.type} documents are not read` };
+    }
+    if (!this.settings.SUPPORTED_MIME_TYPES.includes(existing.mimeType)) {
+      await Document.updateOne({ _id: documentId }, { $set: { 'ocr.status': 'unsupported' } });
+      return { success: false, error: 'UNSUPPORTED_FILE', message: 'Only JPEG and PNG documents can be read' };
+    }
+
+    const document = await this.claim(documentId, force);
+    if (!document) {
+      return { success: false, error: 'NOT_READY', message: 'Document is being read, has not passed its virus scan, or is out of attempts' };
+    }
+
+    try {
+      const [buffer, user] = await Promise.all([
+        documentStorageService.read(document),
+        User.findById(document.userId).select('name dateOfBirth address.pincode')
+      ]);
+      if (!user) throw new Error('Document owner no longer exists');
+
+      const { text, confidence } = await this.engine.recognize(buffer);
+      const fields = this.settings.FIELDS_BY_TYPE[document.type];
+      const checks = checkFields(text, fields, this.profileFor(user), this.settings);
+
+      let idNumberHash;
+      let idType;
+      const idCheck = checks.find(check => check.field === 'idNumber');
+      if (idCheck?.value) {
+        idType = idCheck.idType;
+        idNumberHash = this.hashIdNumber(idCheck.idType, idCheck.value);
+        const elsewhere = await Document.exists({
+          'ocr.idNumberHash': idNumberHash,
+          userId: { $ne: document.userId }
+        });
+        if (elsewhere) {
+          idCheck.status = 'mismatch';
+          idCheck.note = 'The same ID number is on another donor\'s document';
+        }
+      }
+
+      document.ocr = {
+        status: 'completed',
+        attempts: document.ocr.attempts,
+        startedAt: document.ocr.startedAt,
+        processedAt: new Date(),
+        engine: this.engine.name,
+        confidence,
+        matchScore: scoreChecks(checks, this.settings.FIELD_WEIGHTS),
+        checks: checks.map(({ field, status, extracted, expected, similarity, note }) =>
+          ({ field, status, extracted, expected, similarity, note })),
+        idType,
+        idNumberHash
+      };
+      await document.save();
+
+      logger.info(`OCR read document ${document._id}: score ${document.ocr.matchScore}, confidence ${confidence}`, 'DOCUMENT_OCR');
+
+      const ocr = document.toObject().ocr;
+      delete ocr.idNumberHash;
+      return { success: true, ocr };
+    } catch (error) {
+      logger.error(`OCR failed for document ${document._id}`, 'DOCUMENT_OCR', error);
+      await Document.updateOne({ _id: document._id }, {
+        $set: { 'ocr.status': 'failed', 'ocr.error': error.message }
+      });
+      return { success: false, error: 'OCR_FAILED', message: error.message };
+    }
+  }
+
+  /**
+   * Why a document cannot be approved in bulk; empty when it can.
+   * With the owner's current profile, checks made against an older
+   * profile are caught too.
+   * @param {Object} document - Document model instance
+   * @param {Object} [profile] - { name, dateOfBirth, pincode }
+   * @returns {string[]} Reason codes
+   */
+  getBulkApprovalBlockers(document, profile = null) {
+    const { MIN_SCORE, MIN_CONFIDENCE } = this.settings.BULK_APPROVAL;
+    const ocr = document.ocr;
+
+    if (document.verified) return ['already_verified'];
+    if (document.quarantined) return ['quarantined'];
+    if (!ocr || ocr.status !== 'completed') return ['not_read'];
+
+    const blockers = [];
+    if (ocr.checks.some(check => check.status === 'mismatch')) blockers.push('field_mismatch');
+    if (ocr.checks.some(check => check.status === 'missing')) blockers.push('field_missing');
+    if (ocr.matchScore < MIN_SCORE) blockers.push('low_score');
+    if (ocr.confidence < MIN_CONFIDENCE) blockers.push('low_confidence');
+
+    if (profile) {
+      const current = {
+        name: profile.name,
+        dateOfBirth: profile.dateOfBirth ? new Date(profile.dateOfBirth).toISOString().slice(0, 10) : undefined,
+        pincode: profile.pincode
+      };
+      const changed = ocr.checks.some(check =>
+        check.field in current && (check.expected || undefined) !== (current[check.field] || undefined));
+      if (changed) blockers.push('profile_changed');
+    }
+
+    return blockers;
+  }
+
+  /**
+   * Read queued documents, a few per run
+   */
+  async sweep() {
+    if (!this.engine.isAvailable()) {
+      if (!this.warnedUnavailable) {
+        logger.warn(`Document OCR paused: language data missing for ${this.engine.missingLanguages().join(', ')}`, 'DOCUMENT_OCR');
+        this.warnedUnavailable = true;
+      }
+      return 0;
+    }
+    this.warnedUnavailable = false;
+
+    const staleBefore = new Date(Date.now() - this.settings.STALE_PROCESSING_MS);
+    const queued = await Document.find({
+      verified: false,
+      quarantined: { $ne: true },
+      type: { $in: Object.keys(this.settings.FIELDS_BY_TYPE) },
+      'metadata.scanResults.virusScan.status': 'clean',
+      'ocr.attempts': { $not: { $gte: this.settings.MAX_ATTEMPTS } },
+      $or: [
+        { 'ocr.status': { $in: ['pending', 'failed'] } },
+        { 'ocr.status': 'processing', 'ocr.startedAt': { $lt: staleBefore } }
+      ]
+    })
+      .select('_id')
+      .sort({ uploadedAt: 1 })
+      .limit(this.settings.SWEEP_BATCH_SIZE);
+
+    for (const { _id } of queued) {
+      await this.enqueue(() => this.processDocument(_id));
+    }
+    return queued.length;
+  }
+
+  startSweeper() {
+    if (!this.settings.ENABLED) {
+      logger.info('Document OCR disabled', 'DOCUMENT_OCR');
+      return;
+    }
+
+    let running = false;
+    this.sweeperInterval = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await this.sweep();
+      } catch (error) {
+        logger.error('Error running document OCR sweeper', 'DOCUMENT_OCR', error);
+      } finally {
+        running = false;
+      }
+    }, this.settings.SWEEP_INTERVAL_MS);
+
+    logger.info('Document OCR sweeper started', 'DOCUMENT_OCR');
+  }
+
+  getStatus() {
+    return {
+      enabled: this.settings.ENABLED,
+      engine: this.engine.name,
+      ...this.engine.getStatus(),
+      bulkApproval: {
+        minScore: this.settings.BULK_APPROVAL.MIN_SCORE,
+        minConfidence: this.settings.BULK_APPROVAL.MIN_CONFIDENCE
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const documentOcrService = new DocumentOcrService();
+
+module.exports = documentOcrService;
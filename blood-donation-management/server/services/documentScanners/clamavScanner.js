@@ -0,0 +1,76 @@
+const net = require('net');
+
+/**
+ * Scans with a ClamAV daemon (clamd) over TCP using its INSTREAM command:
+ * the file is sent in length-prefixed chunks and clamd answers
+ * `stream: OK`, `stream: <signature> FOUND` or `<reason> ERROR`.
+ */
+class ClamavScanner {
+  constructor(settings) {
+    this.name = 'clamav';
+    this.host = settings.HOST;
+    this.port = settings.PORT;
+    this.timeout = settings.TIMEOUT_MS;
+    this.chunkSize = settings.CHUNK_SIZE;
+  }
+
+  /**
+   * Parse clamd's reply
+   * @returns {Object} { status: clean|infected|error, signature, details }
+   */
+  parseReply(reply) {
+    const text = reply.replace(/\0/g, '').trim();
+
+    if (/: OK$/.test(text)) {
+      return { status: 'clean', details: text };
+    }
+    const found = text.match(/: (.+) FOUND$/);
+    if (found) {
+      return { status: 'infected', signature: found[1], details: text };
+    }
+    return { status: 'error', details: text || 'Empty reply from clamd' };
+  }
+
+  /**
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object>} { status: clean|infected|error, signature, details }
+   */
+  scan(buffer) {
+    return new Promise((resolve) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const chunks = [];
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        resolve(result);
+      };
+
+      socket.setTimeout(this.timeout, () => finish({ status: 'error', details: 'clamd timed out' }));
+      socket.on('error', error => finish({ status: 'error', details: `clamd unavailable: ${error.message}` }));
+      socket.on('data', data => chunks.push(data));
+      socket.on('end', () => finish(this.parseReply(Buffer.concat(chunks).toString('utf8'))));
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += this.chunkSize) {
+          const chunk = buffer.subarray(offset, offset + this.chunkSize);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length, 0);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        // Zero-length chunk ends the stream
+        socket.write(Buffer.alloc(4));
+      });
+    });
+  }
+
+  getStatus() {
+    return { host: this.host, port: this.port };
+  }
+}
+
+module.exports = ClamavScanner;
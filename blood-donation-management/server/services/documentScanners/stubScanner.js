@@ -0,0 +1,26 @@
+// Start of the EICAR anti-virus test file, which every scanner detects
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+/**
+ * Stand-in for development and tests. Flags the EICAR test file, so the
+ * quarantine path can be tried without a real scanner, and passes
+ * everything else.
+ */
+class StubScanner {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async scan(buffer) {
+    if (buffer.includes(EICAR_MARKER)) {
+      return { status: 'infected', signature: 'Eicar-Test-Signature', details: 'EICAR test file (stub scanner)' };
+    }
+    return { status: 'clean', details: 'Not scanned (stub scanner)' };
+  }
+
+  getStatus() {
+    return { simulated: true };
+  }
+}
+
+module.exports = StubScanner;
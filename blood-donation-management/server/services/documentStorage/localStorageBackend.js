@@ -0,0 +1,50 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Files in a directory on this server. Only suitable for a single instance
+ * with a persistent disk; serverless and multi-instance deployments should
+ * use the S3 backend.
+ *
+ * The directory has no URLs of its own, so downloads are signed and served
+ * by the API (documentStorageService.getDownloadUrl).
+ */
+class LocalStorageBackend {
+  constructor(root) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.signsUrls = false;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getStatus() {
+    return { configured: true, root: this.root };
+  }
+}
+
+module.exports = LocalStorageBackend;
@@ -0,0 +1,183 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const contentDisposition = require('content-disposition');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as Signature Version 4 requires
+const encode = value => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodePath = key => key.split('/').map(encode).join('/');
+
+const canonicalQuery = query => Object.keys(query)
+  .sort()
+  .map(name => `${encode(name)}=${encode(query[name])}`)
+  .join('&');
+
+// 20260101T100000Z and 20260101
+const amzDates = (now) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+};
+
+/**
+ * Any S3-compatible object store: AWS S3, or MinIO as a local stand-in.
+ *
+ * Requests are signed with AWS Signature Version 4 directly rather than
+ * through the AWS SDK; the backend needs four operations (put, get, delete
+ * and presigned GET URLs) and this keeps the SDK out of the server bundle.
+ * Downloads go straight from the store to the browser through presigned
+ * URLs.
+ */
+class S3StorageBackend {
+  constructor(settings) {
+    this.name = 's3';
+    this.region = settings.REGION;
+    this.bucket = settings.BUCKET;
+    this.accessKeyId = settings.ACCESS_KEY_ID;
+    this.secretAccessKey = settings.SECRET_ACCESS_KEY;
+    this.forcePathStyle = settings.FORCE_PATH_STYLE;
+    this.endpoint = (settings.ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/$/, '');
+    this.timeout = settings.REQUEST_TIMEOUT_MS;
+    this.signsUrls = true;
+    this.isConfigured = !!(this.bucket && this.accessKeyId && this.secretAccessKey);
+  }
+
+  /**
+   * Object URL, path-style (endpoint/bucket/key) or virtual-hosted
+   * (bucket.endpoint/key)
+   */
+  objectUrl(key) {
+    if (this.forcePathStyle) {
+      return new URL(`${this.endpoint}/${encode(this.bucket)}/${encodePath(key)}`);
+    }
+    const endpoint = new URL(this.endpoint);
+    return new URL(`${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodePath(key)}`);
+  }
+
+  signingKey(dateStamp) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const regionKey = hmac(dateKey, this.region);
+    const serviceKey = hmac(regionKey, 's3');
+    return hmac(serviceKey, 'aws4_request');
+  }
+
+  /**
+   * Signature for a canonical request
+   * @returns {Object} { signature, scope, signedHeaders }
+   */
+  sign({ method, url, query, headers, payloadHash, amzDate, dateStamp }) {
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signature = crypto.createHmac('sha256', this.signingKey(dateStamp)).update(stringToSign).digest('hex');
+
+    return { signature, scope, signedHeaders: headerNames.join(';') };
+  }
+
+  /**
+   * Signed request with the signature in the Authorization header
+   */
+  async request(method, key, { body, headers = {}, responseType } = {}) {
+    const url = this.objectUrl(key);
+    const { amzDate, dateStamp } = amzDates(new Date());
+    const payloadHash = body ? sha256(body) : sha256('');
+
+    const signedHeaders = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...headers
+    };
+    const { signature, scope, signedHeaders: names } = this.sign({
+      method, url, query: {}, headers: signedHeaders, payloadHash, amzDate, dateStamp
+    });
+
+    // axios sets Host itself
+    const requestHeaders = { ...signedHeaders };
+    delete requestHeaders.host;
+
+    return axios({
+      method,
+      url: url.toString(),
+      data: body,
+      responseType,
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      headers: {
+        ...requestHeaders,
+        Authorization: `${ALGORITHM} Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names}, Signature=${signature}`
+      }
+    });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.request('PUT', key, {
+      body: buffer,
+      headers: contentType ? { 'content-type': contentType } : {}
+    });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  /**
+   * Presigned GET URL
+   * @param {string} key - Object key
+   * @param {Object} options - { expiresIn (seconds), filename, contentType }
+   * @returns {string}
+   */
+  getSignedUrl(key, { expiresIn, filename, contentType, now = new Date() }) {
+    const url = this.objectUrl(key);
+    const { amzDate, dateStamp } = amzDates(now);
+
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${this.accessKeyId}/${dateStamp}/${this.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (filename) query['response-content-disposition'] = contentDisposition(filename, { type: 'inline' });
+    if (contentType) query['response-content-type'] = contentType;
+
+    const { signature } = this.sign({
+      method: 'GET', url, query, headers: { host: url.host }, payloadHash: UNSIGNED_PAYLOAD, amzDate, dateStamp
+    });
+
+    return `${url.origin}${url.pathname}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+
+  getStatus() {
+    return {
+      configured: this.isConfigured,
+      endpoint: this.endpoint,
+      bucket: this.bucket || null,
+      region: this.region
+    };
+  }
+}
+
+module.exports = S3StorageBackend;
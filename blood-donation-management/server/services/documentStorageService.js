@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const path = require('path');
+const LocalStorageBackend = require('./documentStorage/localStorageBackend');
+const S3StorageBackend = require('./documentStorage/s3StorageBackend');
+const ClamavScanner = require('./documentScanners/clamavScanner');
+const StubScanner = require('./documentScanners/stubScanner');
+const { DocumentStorageSettings } = require('../config/documentStorage');
+const logger = require('../utils/logger');
+
+/**
+ * Donor document files: scanning, storage and signed downloads.
+ *
+ * Uploads are scanned before they are written. Clean files are stored under
+ * a random key on the configured backend; flagged files go under the
+ * quarantine prefix instead and their document is marked quarantined.
+ * Files are only ever handed out through short-lived signed URLs, and only
+ * once a scan has passed: a document that was never scanned, or whose scan
+ * failed because the scanner was down, is scanned again on first download.
+ */
+class DocumentStorageService {
+  constructor() {
+    this.settings = DocumentStorageSettings;
+    this.backends = {
+      // Always available: documents stored before a switch to S3 stay readable
+      local: new LocalStorageBackend(this.settings.LOCAL_ROOT),
+      s3: new S3StorageBackend(this.settings.S3)
+    };
+    this.scanners = {
+      clamav: new ClamavScanner(this.settings.CLAMAV),
+      stub: new StubScanner()
+    };
+
+    this.backend = this.backends[this.settings.BACKEND] || this.backends.local;
+    if (this.backend.name === 's3' && !this.backend.isConfigured) {
+      logger.warn('DOCUMENT_STORAGE=s3 but S3_BUCKET or credentials are missing; storing documents on local disk', 'DOCUMENT_STORAGE');
+      this.backend = this.backends.local;
+    }
+    this.scanner = this.scanners[this.settings.SCANNER] || this.scanners.stub;
+
+    logger.info(`Document storage: ${this.backend.name}, scanner: ${this.scanner.name}`, 'DOCUMENT_STORAGE');
+  }
+
+  /**
+   * Random, unguessable key for a new file
+   */
+  buildKey(userId, mimeType, quarantined = false) {
+    const extension = this.settings.ALLOWED_TYPES[mimeType] || '';
+    const prefix = quarantined ? this.settings.QUARANTINE_PREFIX : this.settings.KEY_PREFIX;
+    return `${prefix}/${userId}/${crypto.randomUUID()}${extension}`;
+  }
+
+  /**
+   * Backend and key of a stored document, including ones uploaded to
+   * uploads/documents before backends existed
+   */
+  locate(document) {
+    if (document.storage?.key) {
+      return { backend: this.backends[document.storage.backend] || this.backends.local, key: document.storage.key };
+    }
+    return { backend: this.backends.local, key: `${this.settings.KEY_PREFIX}/${path.basename(document.path || document.filename)}` };
+  }
+
+  async scan(buffer) {
+    let result;
+    try {
+      result = await this.scanner.scan(buffer);
+    } catch (error) {
+      result = { status: 'error', details: error.message };
+    }
+
+    if (result.status === 'error') {
+      logger.warn(`Document scan failed (${this.scanner.name}): ${result.details}`, 'DOCUMENT_STORAGE');
+    }
+
+    return {
+      status: result.status,
+      scanner: this.scanner.name,
+      signature: result.signature,
+      details: result.details,
+      scannedAt: new Date()
+    };
+  }
+
+  /**
+   * Scan and store an uploaded file
+   * @param {Object} upload - { userId, buffer, mimeType }
+   * @returns {Promise<Object>} Fields for the Document: { filename, storage,
+   *   quarantined, metadata: { fileHash, scanResults } }
+   */
+  async store({ userId, buffer, mimeType }) {
+    const virusScan = await this.scan(buffer);
+    const quarantined = virusScan.status === 'infected';
+    const key = this.buildKey(userId, mimeType, quarantined);
+
+    await this.backend.put(key, buffer, { contentType: mimeType });
+
+    if (quarantined) {
+      logger.warn(`Quarantined upload from user ${userId}: ${virusScan.signature}`, 'DOCUMENT_STORAGE');
+    }
+
+    return {
+      filename: path.basename(key),
+      storage: { backend: this.backend.name, key },
+      quarantined,
+      metadata: {
+        fileHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+        scanResults: { virusScan }
+      }
+    };
+  }
+
+  async read(document) {
+    const { backend, key } = this.locate(document);
+    return backend.get(key);
+  }
+
+  async remove(document) {
+    const { backend, key } = this.locate(document);
+    await backend.delete(key);
+  }
+
+  /**
+   * Scan a stored document again, moving it to quarantine if flagged.
+   * Saves the document.
+   * @returns {Promise<Object>} The new scan result
+   */
+  async rescan(document) {
+    const buffer = await this.read(document);
+    const virusScan = await this.scan(buffer);
+
+    document.set('metadata.scanResults.virusScan', virusScan);
+
+    if (virusScan.status === 'infected' && !document.quarantined) {
+      const previous = this.locate(document);
+      const key = this.buildKey(document.userId, document.mimeType, true);
+
+      await this.backend.put(key, buffer, { contentType: document.mimeType });
+      document.storage = { backend: this.backend.name, key };
+      document.quarantined = true;
+      await document.save();
+
+      await previous.backend.delete(previous.key).catch(error =>
+        logger.error(`Failed to remove quarantined file ${previous.key}`, 'DOCUMENT_STORAGE', error));
+      logger.warn(`Quarantined document ${document._id}: ${virusScan.signature}`, 'DOCUMENT_STORAGE');
+      return virusScan;
+    }
+
+    await document.save();
+    return virusScan;
+  }
+
+  urlSecret() {
+    return process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+  }
+
+  signDownload(documentId, expires) {
+    return crypto.createHmac('sha256', this.urlSecret())
+      .update(`${documentId}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a signed download link served by the API (local backend)
+   * @returns {boolean}
+   */
+  verifyDownload(documentId, expires, signature, now = Date.now()) {
+    const expiresAt = parseInt(expires, 10);
+    if (!Number.isFinite(expiresAt) || expiresAt * 1000 < now || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signDownload(String(documentId), expiresAt));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Short-lived URL for a document's file. Quarantined documents are never
+   * signed; unscanned ones are scanned first.
+   * @param {Object} document - Document model instance
+   * @returns {Promise<Object>} { success, url, expiresAt } or { success: false, error, message }
+   */
+  async getDownloadUrl(document, now = new Date()) {
+    if (!document.quarantined && document.metadata?.scanResults?.virusScan?.status !== 'clean') {
+      try {
+        await this.rescan(document);
+      } catch (error) {
+        logger.error(`Could not scan document ${document._id} before download`, 'DOCUMENT_STORAGE', error);
+        return { success: false, error: 'FILE_UNAVAILABLE', message: 'The file could not be read' };
+      }
+    }
+
+    if (document.quarantined) {
+      return { success: false, error: 'QUARANTINED', message: 'This file was flagged by the virus scanner and cannot be opened' };
+    }
+    if (document.metadata.scanResults.virusScan.status !== 'clean') {
+      return { success: false, error: 'SCAN_PENDING', message: 'The file has not passed a virus scan yet; try again shortly' };
+    }
+
+    const expiresIn = this.settings.SIGNED_URL_TTL_SECONDS;
+    const expiresAt = new Date(now.getTime() + expiresIn * 1000);
+    const { backend, key } = this.locate(document);
+
+    if (backend.signsUrls) {
+      return {
+        success: true,
+        url: backend.getSignedUrl(key, { expiresIn, filename: document.originalName, contentType: document.mimeType, now }),
+        expiresAt
+      };
+    }
+
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    return {
+      success: true,
+      url: `/api/v1/documents/${document._id}/file?expires=${expires}&signature=${this.signDownload(String(document._id), expires)}`,
+      expiresAt
+    };
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend.name,
+      scanner: this.scanner.name,
+      signedUrlTtlSeconds: this.settings.SIGNED_URL_TTL_SECONDS,
+      backends: Object.fromEntries(Object.entries(this.backends).map(([name, backend]) => [name, backend.getStatus()])),
+      scannerStatus: this.scanner.getStatus()
+    };
+  }
+}
+
+// Create singleton instance
+const documentStorageService = new DocumentStorageService();
+
+module.exports = documentStorageService;
@@ -0,0 +1,315 @@
+const BloodRequest = require('../models/BloodRequest');
+const Donation = require('../models/Donation');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const eligibilityService = require('./eligibilityService');
+const donorMatchingService = require('./donorMatchingService');
+const inventoryService = require('./inventoryService');
+const appealCampaignService = require('./appealCampaignService');
+const certificateService = require('./certificateService');
+const achievementService = require('./achievementService');
+const logger = require('../utils/logger');
+
+const ACTIVE_REQUEST_STATUSES = ['pending', 'active', 'matched'];
+const OPEN_DONATION_STATUSES = ['scheduled', 'in_progress'];
+
+/**
+ * Hospital-side workflow for donors who committed to a request:
+ * check-in, pre-donation screening, and recording the donation.
+ */
+class DonationWorkflowService {
+  /**
+   * Hospital managed by the logged-in hospital admin
+   */
+  async getHospitalForAdmin(adminUserId) {
+    const hospital = await Hospital.findOne({ adminUser: adminUserId });
+    if (!hospital) {
+      throw new Error('Hospital not found');
+    }
+    return hospital;
+  }
+
+  /**
+   * Active requests at the hospital with their committed donors, plus open donations
+   */
+  async getDonorQueue(hospital) {
+    try {
+      const requests = await BloodRequest.find({
+        'location.hospital.hospitalId': hospital._id,
+        status: { $in: ACTIVE_REQUEST_STATUSES }
+      })
+        .populate('matching.matchedDonors.donorId', 'name phoneNumber bloodType')
+        .sort({ expiresAt: 1 });
+
+      const donations = await Donation.find({
+        'location.hospitalId': hospital._id,
+        status: { $in: OPEN_DONATION_STATUSES }
+      })
+        .populate('donorId', 'name phoneNumber bloodType')
+        .populate('requestId', 'requestId request patient.bloodType')
+        .sort({ donationDate: 1 })
+        .lean();
+
+      return {
+        requests: requests.map(bloodRequest => ({
+          _id: bloodRequest._id,
+          requestId: bloodRequest.requestId,
+          status: bloodRequest.status,
+          bloodType: bloodRequest.patient.bloodType,
+          bloodComponent: bloodRequest.request.bloodComponent,
+          urgency: bloodRequest.request.urgency,
+          unitsNeeded: bloodRequest.request.unitsNeeded,
+          unitsCollected: bloodRequest.fulfillment.unitsCollected,
+          committedUnits: bloodRequest.getCommittedUnits(),
+          reservedUnits: bloodRequest.getReservedUnits(),
+          expiresAt: bloodRequest.expiresAt,
+          donors: bloodRequest.matching.matchedDonors
+            .filter(donor => donor.response === 'yes' && ['responded', 'confirmed', 'checked_in'].includes(donor.status))
+            .map(donor => ({
+              donor: donor.donorId,
+              status: donor.status,
+              unitsPledged: donor.unitsPledged,
+              eta: donor.commitment?.eta,
+              confirmBy: donor.commitment?.confirmBy,
+              checkedInAt: donor.commitment?.checkedInAt
+            }))
+        })),
+        donations
+      };
+    } catch (error) {
+      logger.error('Error loading hospital donor queue', 'DONATION_WORKFLOW', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List donations recorded at the hospital
+   */
+  async getHospitalDonations(hospital, { status, limit = 50 } = {}) {
+    const filter = { 'location.hospitalId': hospital._id };
+    if (status) filter.status = status;
+
+    return Donation.find(filter)
+      .populate('donorId', 'name phoneNumber bloodType')
+      .populate('requestId', 'requestId')
+      .sort({ donationDate: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Mark a committed donor as arrived and open a donation record for them
+   */
+  async checkInDonor(hospital, requestId, donorId, staffUserId) {
+    const bloodRequest = await BloodRequest.findOne({
+      requestId,
+      'location.hospital.hospitalId': hospital._id
+    });
+
+    if (!bloodRequest) {
+      throw new Error('Blood request not found at this hospital');
+    }
+
+    if (!ACTIVE_REQUEST_STATUSES.includes(bloodRequest.status)) {
+      throw new Error(`Blood request is ${bloodRequest.status}`);
+    }
+
+    // Checking in twice returns the donation opened the first time
+    const openDonation = await Donation.findOne({
+      donorId,
+      requestId: bloodRequest._id,
+      status: { $in: OPEN_DONATION_STATUSES }
+    });
+    if (openDonation) {
+      return { donation: openDonation, bloodRequest };
+    }
+
+    const donor = await User.findById(donorId).select('name bloodType stats');
+    if (!donor) {
+      throw new Error('Donor not found');
+    }
+
+    const commitment = await bloodRequest.checkInDonor(donorId);
+    if (!commitment) {
+      throw new Error('Donor has no open commitment to this request');
+    }
+
+    const donation = new Donation({
+      donorId,
+      requestId: bloodRequest._id,
+      donationType: eligibilityService.getDonationTypeForComponent(bloodRequest.request.bloodComponent),
+      donationDate: new Date(),
+      scheduledDate: commitment.commitment.eta,
+      location: {
+        hospital: hospital.name,
+        hospitalId: hospital._id,
+        address: {
+          street: hospital.address?.street,
+          city: hospital.address?.city,
+          state: hospital.address?.state,
+          zipCode: hospital.address?.pincode,
+          country: hospital.address?.country
+        },
+        coordinates: hospital.location?.coordinates
+      },
+      unitsDonated: Math.min(commitment.unitsPledged || 1, 2),
+      bloodType: donor.bloodType,
+      status: 'scheduled',
+      metadata: {
+        source: 'web',
+        firstTimeDonor: (donor.stats?.totalDonations || 0) === 0
+      }
+    });
+
+    await donation.save();
+
+    logger.info(`Donor checked in for request ${bloodRequest.requestId} at ${hospital.name} by ${staffUserId}`, 'DONATION_WORKFLOW');
+
+    return { donation, bloodRequest };
+  }
+
+  /**
+   * Load an open donation that belongs to the hospital
+   */
+  async getOpenDonation(hospital, donationId) {
+    const donation = await Donation.findOne({
+      donationId,
+      'location.hospitalId': hospital._id
+    });
+
+    if (!donation) {
+      throw new Error('Donation not found at this hospital');
+    }
+
+    if (!OPEN_DONATION_STATUSES.includes(donation.status)) {
+      throw new Error(`Donation is already ${donation.status}`);
+    }
+
+    return donation;
+  }
+
+  /**
+   * Record pre-donation vitals. Passing screening starts the donation,
+   * failing it defers the donor.
+   */
+  async recordPreDonationChecks(hospital, donationId, checks, staffUserId) {
+    const donation = await this.getOpenDonation(hospital, donationId);
+    const { preDonationChecks, failures } = eligibilityService.evaluateScreening(checks, donation.donationType);
+
+    donation.preDonationChecks = preDonationChecks;
+
+    if (failures.length > 0) {
+      const reason = failures.map(failure => failure.message).join('; ');
+      const result = await this.deferDonation(hospital, donation, reason, staffUserId);
+      return { ...result, failures };
+    }
+
+    donation.status = 'in_progress';
+    await donation.save();
+
+    logger.info(`Donation ${donation.donationId} passed screening`, 'DONATION_WORKFLOW');
+
+    return { donation, failures };
+  }
+
+  /**
+   * Defer a checked-in donor and find a replacement for the request
+   * @param {Object} hospital - Hospital document
+   * @param {Object|string} donationOrId - Donation document or donationId
+   * @param {string} reason - Deferral reason
+   * @param {string} staffUserId - Hospital admin making the change
+   */
+  async deferDonation(hospital, donationOrId, reason, staffUserId) {
+    const donation = typeof donationOrId === 'string'
+      ? await this.getOpenDonation(hospital, donationOrId)
+      : donationOrId;
+
+    donation.status = 'deferred';
+    donation.deferralReason = reason;
+    await donation.save();
+
+    await eligibilityService.refreshDonorEligibility(donation.donorId);
+
+    let backfill = null;
+    if (donation.requestId) {
+      const bloodRequest = await BloodRequest.findById(donation.requestId);
+      const released = bloodRequest && await bloodRequest.releaseCheckedInDonor(donation.donorId, 'deferred_at_screening');
+      if (released) {
+        backfill = await donorMatchingService.backfillCommitments(bloodRequest, 'donor_deferred');
+      }
+    }
+
+    logger.warn(`Donation ${donation.donationId} deferred by ${staffUserId}: ${reason}`, 'DONATION_WORKFLOW');
+
+    return { donation, backfill };
+  }
+
+  /**
+   * Record a collected donation against the donor and the request
+   */
+  async completeDonation(hospital, donationId, { unitsDonated, complications, recoveryNotes } = {}, staffUserId) {
+    const donation = await this.getOpenDonation(hospital, donationId);
+
+    if (donation.status !== 'in_progress') {
+      throw new Error('Donation has not passed pre-donation checks');
+    }
+
+    const units = unitsDonated || donation.unitsDonated || 1;
+    donation.unitsDonated = units;
+    donation.donationDate = new Date();
+
+    // Refreshes the donor's eligibility and stores their next eligible date.
+    // Completing first means a retry or double submit cannot count the donation twice.
+    try {
+      await donation.markCompleted({
+        actualUnits: units,
+        complications: complications || [],
+        recoveryNotes
+      });
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        throw new Error('Donation is already completed');
+      }
+      throw error;
+    }
+
+    const donor = await User.findById(donation.donorId);
+    if (donor) {
+      await donor.incrementDonationCount(units);
+    }
+
+    let bloodRequest = null;
+    if (donation.requestId) {
+      bloodRequest = await BloodRequest.findById(donation.requestId);
+      if (bloodRequest) {
+        await bloodRequest.recordDonation(donation.donorId, units, hospital.name);
+
+        if (bloodRequest.status === 'fulfilled') {
+          await donorMatchingService.stopMatching(bloodRequest.requestId, 'request_fulfilled');
+          await inventoryService.issueRequestReservation(bloodRequest);
+        }
+      }
+    }
+
+    await appealCampaignService.recordDonation(donation);
+
+    // A certificate that fails to issue can be issued later; the donation stands
+    try {
+      await certificateService.issueForDonation(donation);
+    } catch (error) {
+      logger.error(`Failed to issue certificate for donation ${donation.donationId}`, 'DONATION_WORKFLOW', error);
+    }
+
+    achievementService.evaluateSoon(donation.donorId, 'donation_completed');
+    // A referred donor's first donation counts towards their referrer's badges
+    if (donor?.referral?.referredBy && donor.stats.totalDonations === 1) {
+      achievementService.evaluateSoon(donor.referral.referredBy, 'referral_converted');
+    }
+
+    logger.success(`Donation ${donation.donationId} completed by ${staffUserId} (${units} unit(s))`, 'DONATION_WORKFLOW');
+
+    return { donation, bloodRequest };
+  }
+}
+
+module.exports = new DonationWorkflowService();
@@ -1,16 +1,33 @@
+const os = require('os');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const BloodRequest = require('../models/BloodRequest');
+const MatchingJob = require('../models/MatchingJob');
+const { getCompatibilityScore } = require('../../shared/constants/bloodCompatibility');
 const notificationService = require('./notificationService');
+const eligibilityService = require('./eligibilityService');
+const messageTemplateService = require('./messageTemplateService');
+const notificationLogService = require('./notificationLogService');
+const notificationFatigueService = require('./notificationFatigueService');
 const logger = require('../utils/logger');
 
 class DonorMatchingService {
   constructor() {
-    this.matchingQueue = new Map(); // In-memory queue (use Redis in production)
     this.isProcessing = false;
     this.batchSize = 20; // Number of donors to notify per batch
     this.maxRadius = 100; // Maximum search radius in km
     this.radiusIncrement = 10; // Radius increment for escalation
     this.escalationDelay = 20 * 60 * 1000; // 20 minutes between escalations
+    this.leaseDuration = 5 * 60 * 1000; // Lease held on a job while it is processed
+    this.maxJobsPerTick = 25; // Jobs claimed per queue run
+    this.confirmationWindows = { // Time a donor who said yes has to confirm
+      critical: 30 * 60 * 1000,
+      urgent: 2 * 60 * 60 * 1000,
+      scheduled: 24 * 60 * 60 * 1000
+    };
+    this.arrivalGracePeriod = 30 * 60 * 1000; // Allowed lateness past a confirmed ETA
+    this.backfillDonorsPerUnit = 3; // Donors paged per uncovered unit
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 6)}`;
     
     // Start processing queue
     this.startQueueProcessor();
@@ -27,32 +44,42 @@ class DonorMatchingService {
     try {
       logger.info(`Starting donor matching for request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE');
 
-      // Add to matching queue
-      const matchingId = this.generateMatchingId();
-      const matchingData = {
-        id: matchingId,
-        bloodRequest,
-        currentRadius: bloodRequest.location.searchRadius || 15,
-        notificationRound: 1,
-        totalNotified: 0,
-        totalResponded: 0,
-        positiveResponses: 0,
-        createdAt: new Date(),
-        lastNotificationAt: null,
-        nextEscalationAt: new Date(Date.now() + this.escalationDelay),
-        status: 'active'
-      };
-
-      this.matchingQueue.set(matchingId, matchingData);
+      // Persist the job, leased to this worker for the first round
+      let job;
+      try {
+        job = await MatchingJob.create({
+          requestId: bloodRequest.requestId,
+          bloodRequest: bloodRequest._id,
+          currentRadius: bloodRequest.location.searchRadius || 15,
+          notificationRound: 1,
+          nextEscalationAt: new Date(Date.now() + this.escalationDelay),
+          lease: {
+            owner: this.workerId,
+            expiresAt: new Date(Date.now() + this.leaseDuration)
+          }
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          const existingJob = await MatchingJob.findByRequestId(bloodRequest.requestId);
+          logger.warn(`Matching job already exists for request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE');
+          return {
+            success: true,
+            matchingId: existingJob?._id,
+            alreadyExists: true,
+            status: existingJob?.status
+          };
+        }
+        throw error;
+      }
 
       // Start immediate matching
-      const result = await this.processMatching(matchingData);
+      const result = await this.runJob(job, bloodRequest);
 
       logger.success(`Donor matching initiated for request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE');
 
       return {
         success: true,
-        matchingId,
+        matchingId: job._id,
         donorsNotified: result.donorsNotified,
         searchRadius: result.searchRadius
       };
@@ -67,17 +94,97 @@ class DonorMatchingService {
     }
   }
 
+  /**
+   * Run one matching round for a leased job and release the lease
+   * @param {Object} job - Leased MatchingJob document
+   * @param {Object} [bloodRequest] - Blood request document, loaded if omitted
+   * @returns {Promise<Object>} Processing result
+   */
+  async runJob(job, bloodRequest = null) {
+    try {
+      const request = bloodRequest || await BloodRequest.findById(job.bloodRequest);
+
+      if (!request) {
+        await this.markMatchingComplete(job, 'request_not_found');
+        return { donorsNotified: 0, searchRadius: job.currentRadius };
+      }
+
+      if (!request.canReceiveNotifications()) {
+        await this.markMatchingComplete(job, `request_${request.status}`);
+        return { donorsNotified: 0, searchRadius: job.currentRadius };
+      }
+
+      const result = await this.processMatching(job, request);
+      job.lastError = undefined;
+      return result;
+
+    } catch (error) {
+      // Push the job back so a failing request does not spin the queue
+      job.lastError = error.message;
+      job.nextEscalationAt = new Date(Date.now() + this.escalationDelay);
+      throw error;
+
+    } finally {
+      await this.releaseJob(job);
+    }
+  }
+
+  /**
+   * Save a job's round and release its lease. Only a lease this worker still
+   * holds is released; if it ran out mid-round, another worker has claimed
+   * the job and its state wins. A round that ends the job only completes it
+   * while it is still active, so a pause or stop issued mid-round stands.
+   * @param {Object} job - MatchingJob document claimed by this worker
+   */
+  async releaseJob(job) {
+    try {
+      if (job.status !== 'active') {
+        const completion = { status: job.status, completedAt: job.completedAt, completionReason: job.completionReason };
+        ['status', 'completedAt', 'completionReason'].forEach(path => job.unmarkModified(path));
+
+        const result = await MatchingJob.updateOne(
+          { _id: job._id, 'lease.owner': this.workerId, status: 'active' },
+          { $set: completion }
+        );
+        if (result.modifiedCount === 0) {
+          logger.info(`Matching job ${job.requestId} was paused, stopped or claimed mid-round; not completing it`, 'DONOR_MATCHING_SERVICE');
+        }
+      }
+
+      job.$where = { 'lease.owner': this.workerId };
+      job.lease = { owner: null, expiresAt: null };
+      await job.save();
+    } catch (saveError) {
+      if (saveError.name === 'DocumentNotFoundError') {
+        logger.warn(`Lease on matching job ${job.requestId} expired mid-round; another worker owns it now`, 'DONOR_MATCHING_SERVICE');
+        return;
+      }
+      logger.error(`Error saving matching job for ${job.requestId}`, 'DONOR_MATCHING_SERVICE', saveError);
+    }
+  }
+
   /**
    * Process donor matching for a specific request
-   * @param {Object} matchingData - Matching data object
+   * @param {Object} job - MatchingJob document
+   * @param {Object} bloodRequest - Blood request document
    * @returns {Promise<Object>} Processing result
    */
-  async processMatching(matchingData) {
+  async processMatching(job, bloodRequest) {
     try {
-      const { bloodRequest, currentRadius, notificationRound } = matchingData;
+      const { currentRadius, notificationRound } = job;
 
       logger.info(`Processing matching round ${notificationRound} for request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE');
 
+      // Enough donors have committed; keep the job around for backfill
+      if (bloodRequest.getUnitShortfall() === 0) {
+        job.nextEscalationAt = new Date(Date.now() + this.escalationDelay);
+        logger.info(`Request ${bloodRequest.requestId} fully committed, skipping round ${notificationRound}`, 'DONOR_MATCHING_SERVICE');
+        return { donorsNotified: 0, searchRadius: currentRadius, covered: true };
+      }
+
+      // Receipts for earlier rounds have had time to arrive by now
+      await this.refreshDeliveryCounts(job);
+
       // Get compatible blood types
       const compatibleTypes = bloodRequest.getCompatibleBloodTypes();
 
@@ -85,7 +192,8 @@ class DonorMatchingService {
       const eligibleDonors = await this.findEligibleDonors(
         bloodRequest,
         compatibleTypes,
-        currentRadius
+        currentRadius,
+        job.notifiedDonors
       );
 
       if (eligibleDonors.length === 0) {
@@ -93,9 +201,9 @@ class DonorMatchingService {
         
         // Schedule escalation if within max radius
         if (currentRadius < this.maxRadius) {
-          await this.scheduleEscalation(matchingData);
+          await this.scheduleEscalation(job);
         } else {
-          await this.markMatchingComplete(matchingData, 'no_donors_found');
+          await this.markMatchingComplete(job, 'no_donors_found');
         }
 
         return {
@@ -120,21 +228,27 @@ class DonorMatchingService {
         bloodRequest
       );
 
-      // Update matching data
-      matchingData.totalNotified += notificationResult.successful;
-      matchingData.lastNotificationAt = new Date();
+      // Update matching job
+      job.notifiedDonors.push(...donorsToNotify.map(donor => donor._id));
+      job.totalNotified += notificationResult.successful;
+      job.totalResponded = bloodRequest.matching?.totalResponded || 0;
+      job.positiveResponses = bloodRequest.matching?.positiveResponses || 0;
+      job.lastNotificationAt = new Date();
 
       // Update blood request
       await this.updateBloodRequestMatching(bloodRequest, {
-        totalNotified: matchingData.totalNotified,
+        totalNotified: job.totalNotified,
         lastNotificationSent: new Date(),
         notificationRounds: notificationRound,
         currentRadius: currentRadius
       });
 
-      // Schedule next escalation if needed
+      // Escalate after a round that reached donors; retry at the same radius if
+      // every send failed, so the job is not due again straight away
       if (notificationResult.successful > 0) {
-        await this.scheduleEscalation(matchingData);
+        await this.scheduleEscalation(job);
+      } else {
+        this.scheduleRetry(job);
       }
 
       return {
@@ -149,18 +263,34 @@ class DonorMatchingService {
     }
   }
 
+  /**
+   * Update how many notified donors the alerts actually reached
+   * @param {Object} job - MatchingJob document
+   */
+  async refreshDeliveryCounts(job) {
+    try {
+      const { summary } = await notificationLogService.getRequestDeliveryReport(job.requestId, { withDonorDetails: false });
+      job.totalReached = summary.reached;
+      job.totalSeen = summary.seen;
+    } catch (error) {
+      logger.warn(`Could not load delivery counts for ${job.requestId}`, 'DONOR_MATCHING_SERVICE', error);
+    }
+  }
+
   /**
    * Find eligible donors for blood request
    * @param {Object} bloodRequest - Blood request object
    * @param {Array} compatibleTypes - Compatible blood types
    * @param {number} radius - Search radius in km
+   * @param {Array} excludeDonorIds - Donors already notified
    * @returns {Promise<Array>} Array of eligible donors
    */
-  async findEligibleDonors(bloodRequest, compatibleTypes, radius) {
+  async findEligibleDonors(bloodRequest, compatibleTypes, radius, excludeDonorIds = []) {
     try {
       const maxDistance = radius * 1000; // Convert km to meters
       const now = new Date();
-      const threeMonthsAgo = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+      const donationType = eligibilityService.getDonationTypeForComponent(bloodRequest.request?.bloodComponent);
+      const fatigueSettings = await notificationFatigueService.getSettings();
 
       // Build query for eligible donors
       const query = {
@@ -178,16 +308,19 @@ class DonorMatchingService {
           }
         },
 
-        // Exclude donors who already responded to this request
+        // Exclude donors who already responded or were already notified
         _id: {
-          $nin: bloodRequest.matching.matchedDonors.map(d => d.donorId)
+          $nin: [
+            ...bloodRequest.matching.matchedDonors.map(d => d.donorId),
+            ...excludeDonorIds
+          ]
         },
 
-        // Check last donation date (3 months minimum gap)
-        $or: [
-          { 'donationHistory.lastDonationDate': { $exists: false } },
-          { 'donationHistory.lastDonationDate': null },
-          { 'donationHistory.lastDonationDate': { $lt: threeMonthsAgo } }
+        // Deferral periods for the donation type this request needs, then snoozes,
+        // cool-downs and paging caps, all before the result limit
+        $and: [
+          eligibilityService.buildMatchingFilter(donationType, now),
+          notificationFatigueService.buildMatchingFilter(fatigueSettings, now)
         ]
       };
 
@@ -207,7 +340,7 @@ class DonorMatchingService {
       ];
 
       const eligibleDonors = await User.find(query)
-        .select('name phoneNumber email bloodType location donationHistory preferences')
+        .select('name phoneNumber email bloodType location donationHistory preferences notificationFatigue')
         .limit(100) // Limit to prevent overwhelming the system
         .lean();
 
@@ -230,6 +363,8 @@ class DonorMatchingService {
   async scoreDonors(donors, bloodRequest) {
     try {
       const hospitalCoords = bloodRequest.location.hospital.coordinates.coordinates;
+      const fatigueSettings = await notificationFatigueService.getSettings();
+      const now = new Date();
 
       const scoredDonors = donors.map(donor => {
         let score = 0;
@@ -245,7 +380,8 @@ class DonorMatchingService {
         // Blood type compatibility score
         const compatibilityScore = this.getBloodTypeCompatibilityScore(
           donor.bloodType,
-          bloodRequest.patient.bloodType
+          bloodRequest.patient.bloodType,
+          bloodRequest.request?.bloodComponent
         );
         score += compatibilityScore;
 
@@ -270,9 +406,18 @@ class DonorMatchingService {
           score += 15;
         }
 
+        // Fairness score (donors paged less recently get priority)
+        const fairnessScore = notificationFatigueService.getFairnessScore(
+          donor.notificationFatigue?.pagedAt,
+          fatigueSettings,
+          now
+        );
+        score += fatigueSettings.enabled ? fairnessScore * fatigueSettings.fairnessWeight / 100 : 0;
+
         return {
           ...donor,
           distance,
+          fairnessScore,
           score: Math.round(score)
         };
       });
@@ -298,14 +443,31 @@ class DonorMatchingService {
    */
   async sendDonorNotifications(donors, bloodRequest) {
     try {
-      const notifications = donors.map(donor => ({
+      // A message that cannot be rendered for one donor (bad template, missing
+      // translation) skips that donor rather than the whole round
+      const rendered = await Promise.all(donors.map(async donor => {
+        try {
+          return { donor, message: await this.formatBloodRequestMessage(bloodRequest, donor) };
+        } catch (error) {
+          logger.error(`Could not render request message for donor ${donor._id}`, 'DONOR_MATCHING_SERVICE', error);
+          return null;
+        }
+      }));
+      const recipients = rendered.filter(Boolean);
+      const unrendered = donors.length - recipients.length;
+      if (recipients.length === 0) {
+        return { successful: 0, failed: donors.length, results: [] };
+      }
+
+      const notifications = recipients.map(({ donor, message }) => ({
         phoneNumber: donor.phoneNumber,
         email: donor.email,
-        message: this.formatBloodRequestMessage(bloodRequest, donor),
+        message,
         type: 'blood_request',
         priority: bloodRequest.request.urgency,
         channels: ['push', 'whatsapp', 'sms'],
         templateName: `blood_request_${bloodRequest.request.urgency}`,
+        smsTemplate: 'blood_request',
         templateParams: [
           bloodRequest.patient.bloodType,
           bloodRequest.patient.name || 'Patient',
@@ -331,9 +493,15 @@ class DonorMatchingService {
         delayBetweenBatches: 2000 // 2 second delay between batches
       });
 
+      // Results come back in the order the notifications were passed
+      const pagedDonors = recipients
+        .filter((recipient, index) => result.results[index]?.success)
+        .map(recipient => recipient.donor);
+      await notificationFatigueService.recordPages(pagedDonors, await notificationFatigueService.getSettings());
+
       logger.success(`Sent notifications to ${result.successful}/${donors.length} donors`, 'DONOR_MATCHING_SERVICE');
 
-      return result;
+      return { ...result, failed: result.failed + unrendered };
 
     } catch (error) {
       logger.error('Error sending donor notifications', 'DONOR_MATCHING_SERVICE', error);
@@ -392,96 +560,72 @@ class DonorMatchingService {
   }
 
   /**
-   * Get blood type compatibility score
+   * Get blood type compatibility score for the requested component
    * @param {string} donorType - Donor blood type
    * @param {string} patientType - Patient blood type
+   * @param {string} component - Requested blood component
    * @returns {number} Compatibility score
    */
-  getBloodTypeCompatibilityScore(donorType, patientType) {
-    // Perfect match gets highest score
-    if (donorType === patientType) {
-      return 50;
-    }
-
-    // Universal donors get high score
-    if (donorType === 'O-') {
-      return 45;
-    }
-
-    // Other compatible types get moderate score
-    const compatibility = {
-      'A+': ['A+', 'A-', 'O+', 'O-'],
-      'A-': ['A-', 'O-'],
-      'B+': ['B+', 'B-', 'O+', 'O-'],
-      'B-': ['B-', 'O-'],
-      'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
-      'AB-': ['A-', 'B-', 'AB-', 'O-'],
-      'O+': ['O+', 'O-'],
-      'O-': ['O-']
-    };
-
-    const compatibleTypes = compatibility[patientType] || [];
-    return compatibleTypes.includes(donorType) ? 30 : 0;
+  getBloodTypeCompatibilityScore(donorType, patientType, component) {
+    return getCompatibilityScore(donorType, patientType, component);
   }
 
   /**
-   * Format blood request message for donor
+   * Format blood request message for donor, in the donor's language
    * @param {Object} bloodRequest - Blood request object
    * @param {Object} donor - Donor object
-   * @returns {string} Formatted message
+   * @returns {Promise<string>} Formatted message
    */
-  formatBloodRequestMessage(bloodRequest, donor) {
-    const urgencyEmoji = {
-      'critical': '🚨',
-      'urgent': '⚡',
-      'scheduled': '📅'
-    };
-
-    const emoji = urgencyEmoji[bloodRequest.request.urgency] || '🩸';
-
-    return `${emoji} BLOOD DONATION REQUEST
-
-Dear ${donor.name},
-
-Blood Type Needed: ${bloodRequest.patient.bloodType}
-Patient: ${bloodRequest.patient.name} (${bloodRequest.patient.age}y)
-Hospital: ${bloodRequest.location.hospital.name}
-Distance: ${donor.distance.toFixed(1)}km from you
-Contact: ${bloodRequest.location.hospital.contactNumber}
-
-Urgency: ${bloodRequest.request.urgency.toUpperCase()}
-Units Needed: ${bloodRequest.request.unitsNeeded}
-
-Can you help save a life?
-Reply YES to donate or NO if unavailable.
-
-Your quick response can make the difference!
-
-CallforBlood Foundation`;
+  async formatBloodRequestMessage(bloodRequest, donor) {
+    const message = await messageTemplateService.render('blood_request', 'sms', {
+      urgency: bloodRequest.request.urgency,
+      donorName: donor.name,
+      bloodType: bloodRequest.patient.bloodType,
+      patientName: bloodRequest.patient.name,
+      patientAge: bloodRequest.patient.age,
+      hospitalName: bloodRequest.location.hospital.name,
+      distanceKm: donor.distance,
+      contactNumber: bloodRequest.location.hospital.contactNumber,
+      unitsNeeded: bloodRequest.request.unitsNeeded
+    }, { language: donor.preferences?.language });
+
+    return message.body;
   }
 
   /**
    * Schedule escalation for matching
-   * @param {Object} matchingData - Matching data object
+   * Changes are persisted when the job's lease is released.
+   * @param {Object} job - MatchingJob document
    */
-  async scheduleEscalation(matchingData) {
+  async scheduleEscalation(job) {
     try {
       const newRadius = Math.min(
-        matchingData.currentRadius + this.radiusIncrement,
+        job.currentRadius + this.radiusIncrement,
         this.maxRadius
       );
 
-      matchingData.currentRadius = newRadius;
-      matchingData.notificationRound += 1;
-      matchingData.nextEscalationAt = new Date(Date.now() + this.escalationDelay);
+      job.currentRadius = newRadius;
+      job.notificationRound += 1;
+      job.nextEscalationAt = new Date(Date.now() + this.escalationDelay);
 
-      logger.info(`Scheduled escalation for request: ${matchingData.bloodRequest.requestId} to ${newRadius}km`, 'DONOR_MATCHING_SERVICE');
+      logger.info(`Scheduled escalation for request: ${job.requestId} to ${newRadius}km`, 'DONOR_MATCHING_SERVICE');
 
     } catch (error) {
       logger.error('Error scheduling escalation', 'DONOR_MATCHING_SERVICE', error);
     }
   }
 
+  /**
+   * Run the current round again after the escalation delay, without widening
+   * the search. Changes are persisted when the job's lease is released.
+   * @param {Object} job - MatchingJob document
+   */
+  scheduleRetry(job) {
+    job.nextEscalationAt = new Date(Date.now() + this.escalationDelay);
+
+    logger.warn(`No notifications delivered for request: ${job.requestId}, retrying round ${job.notificationRound}`, 'DONOR_MATCHING_SERVICE');
+  }
+
   /**
    * Update blood request matching data
    * @param {Object} bloodRequest - Blood request object
@@ -509,16 +653,16 @@ CallforBlood Foundation`;
 
   /**
    * Mark matching as complete
-   * @param {Object} matchingData - Matching data object
+   * @param {Object} job - MatchingJob document
    * @param {string} reason - Completion reason
    */
-  async markMatchingComplete(matchingData, reason) {
+  async markMatchingComplete(job, reason) {
     try {
-      matchingData.status = 'completed';
-      matchingData.completedAt = new Date();
-      matchingData.completionReason = reason;
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.completionReason = reason;
 
-      logger.info(`Matching completed for request: ${matchingData.bloodRequest.requestId}, reason: ${reason}`, 'DONOR_MATCHING_SERVICE');
+      logger.info(`Matching completed for request: ${job.requestId}, reason: ${reason}`, 'DONOR_MATCHING_SERVICE');
 
     } catch (error) {
       logger.error('Error marking matching complete', 'DONOR_MATCHING_SERVICE', error);
@@ -538,36 +682,38 @@ CallforBlood Foundation`;
 
   /**
    * Process matching queue
+   * Claims due jobs one at a time so several processes can share the queue.
    */
   async processQueue() {
-    if (this.isProcessing) {
+    if (this.isProcessing || mongoose.connection.readyState !== 1) {
       return;
     }
 
     try {
       this.isProcessing = true;
-      const now = new Date();
+      let processed = 0;
 
-      const escalationItems = Array.from(this.matchingQueue.values())
-        .filter(item => 
-          item.status === 'active' && 
-          item.nextEscalationAt <= now
-        );
+      await this.checkCommitmentTimeouts();
 
-      if (escalationItems.length === 0) {
-        return;
-      }
+      while (processed < this.maxJobsPerTick) {
+        const job = await MatchingJob.claimNextDue(this.workerId, this.leaseDuration);
+        if (!job) {
+          break;
+        }
 
-      logger.info(`Processing ${escalationItems.length} escalation items`, 'DONOR_MATCHING_SERVICE');
+        processed += 1;
 
-      for (const item of escalationItems) {
         try {
-          await this.processMatching(item);
+          await this.runJob(job);
         } catch (error) {
-          logger.error(`Error processing escalation for ${item.bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE', error);
+          logger.error(`Error processing escalation for ${job.requestId}`, 'DONOR_MATCHING_SERVICE', error);
         }
       }
 
+      if (processed > 0) {
+        logger.info(`Processed ${processed} escalation items`, 'DONOR_MATCHING_SERVICE');
+      }
+
     } catch (error) {
       logger.error('Error processing matching queue', 'DONOR_MATCHING_SERVICE', error);
     } finally {
@@ -576,55 +722,365 @@ CallforBlood Foundation`;
   }
 
   /**
-   * Generate matching ID
-   * @returns {string} Matching ID
+   * Deadline for a donor who said yes to confirm they are coming
+   * @param {string} urgency - Request urgency
+   * @param {Date} from - Start of the window
+   * @returns {Date} Confirmation deadline
    */
-  generateMatchingId() {
-    return `match_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  getConfirmationDeadline(urgency, from = new Date()) {
+    const window = this.confirmationWindows[urgency] || this.confirmationWindows.urgent;
+    return new Date(from.getTime() + window);
+  }
+
+  /**
+   * Record a donor's reply and backfill if a commitment was withdrawn
+   * @param {Object} bloodRequest - Blood request document
+   * @param {string} donorId - Donor ID
+   * @param {string} response - yes, no or maybe
+   * @param {number} distance - Distance to the hospital in km
+   * @param {string} notes - What the donor said, for coordinators
+   * @returns {Promise<Object>} Committed units and backfill result
+   */
+  async recordDonorResponse(bloodRequest, donorId, response, distance, notes = null) {
+    const wasCommitted = !!bloodRequest.findCommitment(donorId);
+    const confirmBy = response === 'yes'
+      ? this.getConfirmationDeadline(bloodRequest.request.urgency)
+      : null;
+
+    await bloodRequest.addDonorResponse(donorId, response, distance, confirmBy, notes);
+
+    if (response === 'no') {
+      await notificationFatigueService.startCooldown(donorId);
+    }
+
+    const backfill = wasCommitted && response !== 'yes'
+      ? await this.backfillCommitments(bloodRequest, 'donor_withdrew')
+      : null;
+
+    return {
+      committedUnits: bloodRequest.getCommittedUnits(),
+      unitsNeeded: bloodRequest.request.unitsNeeded,
+      backfill
+    };
+  }
+
+  /**
+   * Confirm or cancel a donor's commitment to a request
+   * @param {Object} bloodRequest - Blood request document
+   * @param {string} donorId - Donor ID
+   * @param {string} action - confirm or cancel
+   * @param {Object} options - { eta, reason }
+   * @returns {Promise<Object|null>} Updated commitment, or null if the donor has none
+   */
+  async updateCommitment(bloodRequest, donorId, action, { eta, reason } = {}) {
+    if (action === 'confirm') {
+      const arrival = eta ? new Date(eta) : this.getConfirmationDeadline(bloodRequest.request.urgency);
+      const confirmBy = new Date(arrival.getTime() + this.arrivalGracePeriod);
+      const commitment = await bloodRequest.confirmDonorCommitment(donorId, eta ? arrival : undefined, confirmBy);
+      return commitment && { commitment, backfill: null };
+    }
+
+    const commitment = await bloodRequest.cancelDonorCommitment(donorId, reason);
+    if (!commitment) return null;
+
+    const backfill = await this.backfillCommitments(bloodRequest, 'donor_cancelled');
+    return { commitment, backfill };
+  }
+
+  /**
+   * Mark commitments past their deadline and backfill the affected requests.
+   * Each lapse is claimed with a conditional update so only one worker backfills.
+   * @returns {Promise<number>} Number of lapsed commitments
+   */
+  async checkCommitmentTimeouts() {
+    const now = new Date();
+    let lapsedTotal = 0;
+
+    try {
+      const requests = await BloodRequest.find({
+        status: { $in: ['pending', 'active', 'matched'] },
+        'matching.matchedDonors': {
+          $elemMatch: {
+            response: 'yes',
+            status: { $in: ['responded', 'confirmed'] },
+            'commitment.confirmBy': { $lte: now }
+          }
+        }
+      }).limit(this.maxJobsPerTick);
+
+      for (const bloodRequest of requests) {
+        let lapsed = 0;
+
+        for (const donor of bloodRequest.matching.matchedDonors) {
+          const confirmBy = donor.commitment?.confirmBy;
+          if (donor.response !== 'yes' || !confirmBy || confirmBy > now) continue;
+          if (!['responded', 'confirmed'].includes(donor.status)) continue;
+
+          // Confirmed donors who never arrived are no-shows; the rest never confirmed
+          const nextStatus = donor.status === 'confirmed' ? 'no_show' : 'timed_out';
+          const result = await BloodRequest.updateOne(
+            {
+              _id: bloodRequest._id,
+              'matching.matchedDonors': { $elemMatch: { _id: donor._id, status: donor.status } }
+            },
+            {
+              $set: {
+                'matching.matchedDonors.$.status': nextStatus,
+                'matching.matchedDonors.$.commitment.lapsedAt': now
+              }
+            }
+          );
+
+          if (result.modifiedCount === 1) {
+            donor.status = nextStatus;
+            lapsed += 1;
+          }
+        }
+
+        if (lapsed > 0) {
+          lapsedTotal += lapsed;
+          logger.warn(`${lapsed} donor commitment(s) lapsed for request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE');
+          await this.backfillCommitments(bloodRequest, 'commitment_timeout');
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking donor commitment timeouts', 'DONOR_MATCHING_SERVICE', error);
+    }
+
+    return lapsedTotal;
+  }
+
+  /**
+   * Notify the next-best donors right away when commitments no longer cover the units needed
+   * @param {Object} bloodRequest - Blood request document
+   * @param {string} reason - Why the backfill was triggered
+   * @returns {Promise<Object>} Backfill result
+   */
+  async backfillCommitments(bloodRequest, reason) {
+    const shortfall = bloodRequest.getUnitShortfall();
+    const result = { reason, shortfall, donorsNotified: 0 };
+
+    try {
+      if (shortfall === 0 || !bloodRequest.canReceiveNotifications()) {
+        return result;
+      }
+
+      const job = await MatchingJob.findByRequestId(bloodRequest.requestId);
+      if (job && ['paused', 'cancelled'].includes(job.status)) {
+        logger.info(`Skipping backfill for ${bloodRequest.requestId}: matching is ${job.status}`, 'DONOR_MATCHING_SERVICE');
+        return result;
+      }
+
+      const radius = job?.currentRadius || bloodRequest.matching.currentRadius || 15;
+      const candidates = await this.findEligibleDonors(
+        bloodRequest,
+        bloodRequest.getCompatibleBloodTypes(),
+        radius,
+        job?.notifiedDonors || []
+      );
+
+      if (candidates.length === 0) {
+        // Let the next queue tick widen the search instead of waiting for the escalation delay
+        if (job?.status === 'active') {
+          await MatchingJob.updateOne({ _id: job._id, status: 'active' }, { $set: { nextEscalationAt: new Date() } });
+        }
+        logger.warn(`No backfill donors within ${radius}km for request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE');
+        return result;
+      }
+
+      const scoredDonors = await this.scoreDonors(candidates, bloodRequest);
+      const limit = Math.min(
+        shortfall * this.backfillDonorsPerUnit,
+        this.getBatchSize(bloodRequest.request.urgency, 1)
+      );
+      const donorsToNotify = scoredDonors.slice(0, limit);
+
+      const notificationResult = await this.sendDonorNotifications(donorsToNotify, bloodRequest);
+      result.donorsNotified = notificationResult.successful;
+
+      if (job) {
+        await MatchingJob.updateOne(
+          { _id: job._id },
+          {
+            $addToSet: { notifiedDonors: { $each: donorsToNotify.map(donor => donor._id) } },
+            $inc: { totalNotified: notificationResult.successful, backfillRounds: 1 },
+            $set: { lastNotificationAt: new Date() }
+          }
+        );
+      }
+
+      await BloodRequest.updateOne(
+        { _id: bloodRequest._id },
+        {
+          $inc: { 'matching.totalNotified': notificationResult.successful },
+          $set: { 'matching.lastNotificationSent': new Date() }
+        }
+      );
+
+      logger.info(`Backfill (${reason}) notified ${result.donorsNotified} donors for ${shortfall} uncovered unit(s) on request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE');
+
+      return result;
+
+    } catch (error) {
+      logger.error(`Error backfilling request: ${bloodRequest.requestId}`, 'DONOR_MATCHING_SERVICE', error);
+      return result;
+    }
+  }
+
+  /**
+   * Find a donor by a phone number in any format, matching on the last ten digits
+   * @param {string} phoneNumber - Phone number, e.g. a WhatsApp sender
+   * @returns {Promise<Object|null>} { _id, name } or null
+   */
+  async findDonorByPhone(phoneNumber) {
+    const localNumber = String(phoneNumber).replace(/\D/g, '').slice(-10);
+    if (localNumber.length < 10) return null;
+
+    return User.findOne({ phoneNumber: { $regex: `${localNumber}$` }, role: 'donor' })
+      .select('_id name')
+      .lean();
+  }
+
+  /**
+   * Find the donor and request a chat reply refers to.
+   * Without an explicit request ID, the request the donor was most recently paged for is used.
+   * @param {string} phoneNumber - Sender phone number
+   * @param {string} requestId - Request ID from a button payload, if any
+   * @returns {Promise<Object|null>} { donor, bloodRequest } or null
+   */
+  async resolveDonorReply(phoneNumber, requestId = null) {
+    const donor = await this.findDonorByPhone(phoneNumber);
+    if (!donor) return null;
+
+    let bloodRequest = null;
+    if (requestId) {
+      bloodRequest = await BloodRequest.findOne({ requestId });
+    } else {
+      const job = await MatchingJob.findOne({ notifiedDonors: donor._id })
+        .sort({ lastNotificationAt: -1 })
+        .select('bloodRequest')
+        .lean();
+      bloodRequest = job ? await BloodRequest.findById(job.bloodRequest) : null;
+    }
+
+    return bloodRequest ? { donor, bloodRequest } : null;
   }
 
   /**
    * Get matching statistics
-   * @returns {Object} Statistics
+   * @returns {Promise<Object>} Statistics
    */
-  getStatistics() {
-    const activeMatching = Array.from(this.matchingQueue.values())
-      .filter(item => item.status === 'active');
+  async getStatistics() {
+    const stats = await MatchingJob.getQueueStats();
+    const active = stats.active || { count: 0, averageRadius: 0, averageRound: 0 };
+    const totalMatching = Object.values(stats).reduce((sum, stat) => sum + stat.count, 0);
 
     return {
-      totalMatching: this.matchingQueue.size,
-      activeMatching: activeMatching.length,
-      completedMatching: this.matchingQueue.size - activeMatching.length,
-      averageRadius: activeMatching.length > 0 
-        ? activeMatching.reduce((sum, item) => sum + item.currentRadius, 0) / activeMatching.length 
-        : 0,
-      averageNotificationRound: activeMatching.length > 0
-        ? activeMatching.reduce((sum, item) => sum + item.notificationRound, 0) / activeMatching.length
-        : 0
+      totalMatching,
+      activeMatching: active.count,
+      pausedMatching: stats.paused?.count || 0,
+      completedMatching: (stats.completed?.count || 0) + (stats.cancelled?.count || 0),
+      averageRadius: active.averageRadius || 0,
+      averageNotificationRound: active.averageRound || 0
     };
   }
 
+  /**
+   * List matching jobs
+   * @param {Object} filters - Optional status filter and pagination
+   * @returns {Promise<Object>} Jobs and total count
+   */
+  async listJobs({ status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+      MatchingJob.find(filter)
+        .select('-notifiedDonors')
+        .populate('bloodRequest', 'requestId status patient.bloodType request.urgency request.unitsNeeded location.hospital.name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      MatchingJob.countDocuments(filter)
+    ]);
+
+    return { jobs, total };
+  }
+
+  /**
+   * Pause matching for a request
+   * @param {string} requestId - Blood request ID
+   * @param {string} userId - Admin performing the action
+   * @returns {Promise<Object|null>} Updated job, or null if not pausable
+   */
+  async pauseMatching(requestId, userId) {
+    const job = await MatchingJob.findOneAndUpdate(
+      { requestId, status: 'active' },
+      { $set: { status: 'paused', pausedAt: new Date(), pausedBy: userId } },
+      { new: true }
+    );
+
+    if (job) {
+      logger.info(`Paused matching for request: ${requestId}`, 'DONOR_MATCHING_SERVICE');
+    }
+
+    return job;
+  }
+
+  /**
+   * Resume paused matching for a request
+   * The next escalation runs on the following queue tick.
+   * @param {string} requestId - Blood request ID
+   * @returns {Promise<Object|null>} Updated job, or null if not paused
+   */
+  async resumeMatching(requestId) {
+    const job = await MatchingJob.findOneAndUpdate(
+      { requestId, status: 'paused' },
+      {
+        $set: { status: 'active', nextEscalationAt: new Date() },
+        $unset: { pausedAt: 1, pausedBy: 1 }
+      },
+      { new: true }
+    );
+
+    if (job) {
+      logger.info(`Resumed matching for request: ${requestId}`, 'DONOR_MATCHING_SERVICE');
+    }
+
+    return job;
+  }
+
   /**
    * Stop matching for a request
    * @param {string} requestId - Blood request ID
-   * @returns {boolean} Success status
+   * @param {string} reason - Completion reason
+   * @returns {Promise<Object|null>} Cancelled job, or null if already finished
    */
-  stopMatching(requestId) {
+  async stopMatching(requestId, reason = 'manually_stopped') {
     try {
-      for (const [matchingId, matchingData] of this.matchingQueue.entries()) {
-        if (matchingData.bloodRequest.requestId === requestId) {
-          this.markMatchingComplete(matchingData, 'manually_stopped');
-          this.matchingQueue.delete(matchingId);
-          
-          logger.info(`Stopped matching for request: ${requestId}`, 'DONOR_MATCHING_SERVICE');
-          return true;
-        }
+      const job = await MatchingJob.findOneAndUpdate(
+        { requestId, status: { $in: ['active', 'paused'] } },
+        {
+          $set: {
+            status: 'cancelled',
+            completedAt: new Date(),
+            completionReason: reason
+          }
+        },
+        { new: true }
+      );
+
+      if (job) {
+        logger.info(`Stopped matching for request: ${requestId}`, 'DONOR_MATCHING_SERVICE');
       }
 
-      return false;
+      return job;
     } catch (error) {
       logger.error('Error stopping matching', 'DONOR_MATCHING_SERVICE', error);
-      return false;
+      return null;
     }
   }
 }
@@ -632,4 +1088,4 @@ CallforBlood Foundation`;
 // Create singleton instance
 const donorMatchingService = new DonorMatchingService();
 
-module.exports = donorMatchingService;
\ No newline at end of file
+module.exports = donorMatchingService;
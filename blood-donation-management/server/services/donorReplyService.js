@@ -0,0 +1,366 @@
+const donorMatchingService = require('./donorMatchingService');
+const notificationFatigueService = require('./notificationFatigueService');
+const consentService = require('./consentService');
+const replyIntentService = require('./replyIntentService');
+const inboundMessageService = require('./inboundMessageService');
+const supportInboxService = require('./supportInboxService');
+const auditLogger = require('../utils/auditLogger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHANNEL_LABELS = {
+  whatsapp: 'WhatsApp',
+  sms: 'SMS'
+};
+
+// "snooze", "snooze 10", "pause 3 days"
+const SNOOZE_PATTERN = /^(?:snooze|pause)(?:\s+(\d{1,3}))?(?:\s*(?:days?|d))?$/;
+const RESUME_KEYWORDS = ['resume', 'unsnooze', 'unpause'];
+
+// Stored on the donor's response so coordinators see what was actually said
+const quoteReply = (text, channel) => `${CHANNEL_LABELS[channel] || channel}: "${String(text).trim().slice(0, 200)}"`;
+
+/**
+ * What a donor's reply to a blood request alert does, whichever channel it
+ * came in on. The webhooks word the answers to commands for their channel;
+ * answers to free text come from ReplyLexicon so both channels say the same.
+ */
+class DonorReplyService {
+  /**
+   * Days asked for in a SNOOZE command
+   * @param {string} text - Lower-cased, trimmed message
+   * @returns {number|null} Days, or null if the message is not a snooze command
+   */
+  parseSnooze(text) {
+    const match = text.match(SNOOZE_PATTERN);
+    if (!match) return null;
+    return match[1] ? Number(match[1]) : notificationFatigueService.defaultSnoozeDays;
+  }
+
+  /**
+   * @param {string} text - Lower-cased, trimmed message
+   * @returns {boolean} Whether the message is a RESUME command
+   */
+  isResume(text) {
+    return RESUME_KEYWORDS.includes(text);
+  }
+
+  /**
+   * YES: commit the donor to the request they were paged for
+   * @param {string} phoneNumber - Sender phone number
+   * @param {string} requestId - Request ID from a button payload, if any
+   * @param {string} notes - What the donor said, for coordinators
+   * @returns {Promise<Object|null>} { donor, bloodRequest, confirmBy }, or null if there is no open request
+   */
+  async accept(phoneNumber, requestId = null, notes = null) {
+    const reply = await donorMatchingService.resolveDonorReply(phoneNumber, requestId);
+    if (!reply || !reply.bloodRequest.canReceiveNotifications()) {
+      return null;
+    }
+
+    const { donor, bloodRequest } = reply;
+    await donorMatchingService.recordDonorResponse(bloodRequest, donor._id, 'yes', null, notes);
+
+    return {
+      donor,
+      bloodRequest,
+      confirmBy: bloodRequest.findCommitment(donor._id)?.commitment?.confirmBy || null
+    };
+  }
+
+  /**
+   * NO: decline the request, or withdraw if the donor had already said yes.
+   * A withdrawal pages replacement donors.
+   * @param {string} phoneNumber - Sender phone number
+   * @param {string} requestId - Request ID from a button payload, if any
+   * @param {string} channel - whatsapp or sms
+   * @param {string} notes - What the donor said, for coordinators
+   * @returns {Promise<Object|null>} { donor, bloodRequest, withdrew }, or null if there is no open request
+   */
+  async decline(phoneNumber, requestId = null, channel = 'whatsapp', notes = null) {
+    const reply = await donorMatchingService.resolveDonorReply(phoneNumber, requestId);
+    if (!reply || !reply.bloodRequest.canReceiveNotifications()) {
+      return null;
+    }
+
+    const { donor, bloodRequest } = reply;
+    const withdrew = !!bloodRequest.findCommitment(donor._id);
+    if (withdrew) {
+      await donorMatchingService.updateCommitment(bloodRequest, donor._id, 'cancel', {
+        reason: notes || `Declined via ${CHANNEL_LABELS[channel] || channel}`
+      });
+    } else {
+      await donorMatchingService.recordDonorResponse(bloodRequest, donor._id, 'no', null, notes);
+    }
+
+    return { donor, bloodRequest, withdrew };
+  }
+
+  /**
+   * SNOOZE <days>: pause blood request alerts
+   * @param {string} phoneNumber - Sender phone number
+   * @param {number} days - Requested snooze length
+   * @param {string} channel - whatsapp or sms
+   * @returns {Promise<Object|null>} { snoozedUntil, days }, or null if the number is not a donor's
+   */
+  async snooze(phoneNumber, days, channel = 'whatsapp') {
+    const donor = await donorMatchingService.findDonorByPhone(phoneNumber);
+    if (!donor) return null;
+
+    const result = await notificationFatigueService.snooze(donor._id, days, channel);
+
+    auditLogger.logUserAction({
+      userId: donor._id,
+      userRole: 'donor',
+      action: 'snooze_notifications',
+      resource: 'user_account',
+      resourceId: donor._id,
+      details: `Snoozed blood request alerts for ${result.days} days via ${CHANNEL_LABELS[channel] || channel}`,
+      success: true
+    });
+
+    return result;
+  }
+
+  /**
+   * RESUME: end a snooze early
+   * @param {string} phoneNumber - Sender phone number
+   * @param {string} channel - whatsapp or sms
+   * @returns {Promise<boolean>} Whether alerts were paused
+   */
+  async resume(phoneNumber, channel = 'whatsapp') {
+    const donor = await donorMatchingService.findDonorByPhone(phoneNumber);
+    const resumed = donor ? await notificationFatigueService.resume(donor._id) : false;
+
+    if (resumed) {
+      auditLogger.logUserAction({
+        userId: donor._id,
+        userRole: 'donor',
+        action: 'resume_notifications',
+        resource: 'user_account',
+        resourceId: donor._id,
+        details: `Resumed blood request alerts via ${CHANNEL_LABELS[channel] || channel}`,
+        success: true
+      });
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Free text that is not a command ("I can come after 6pm", "मैं कल आ सकता
+   * हूँ"): work out what the donor meant and act on it. Messages that cannot
+   * be acted on go to the review inbox and the sender's support thread.
+   * @param {string} phoneNumber - Sender phone number
+   * @param {string} text - Message as received
+   * @param {string} channel - whatsapp or sms
+   * @param {Object} options - { messageId, now }
+   * @returns {Promise<Object>} Parse result and outcome: { intent, replyLanguage, availability, declineReason,
+   *   donor, bloodRequest, eta, snoozedUntil, resumed, forwarded }
+   */
+  async interpret(phoneNumber, text, channel = 'whatsapp', { messageId = null, now = new Date() } = {}) {
+    const parsed = replyIntentService.parse(text, { now });
+    const { availability, declineReason } = parsed.entities;
+
+    const outcome = await this.applyIntent(phoneNumber, parsed.intent, {
+      channel,
+      now,
+      availability,
+      declineReason,
+      notes: quoteReply(text, channel)
+    });
+
+    let reason = null;
+    if (parsed.intent === 'unknown') {
+      reason = 'unparsed';
+    } else if (outcome.noOpenRequest) {
+      reason = 'no_open_request';
+    }
+
+    if (reason) {
+      const entry = await inboundMessageService.flag({
+        channel,
+        phoneNumber,
+        userId: outcome.donor?._id,
+        text,
+        providerMessageId: messageId,
+        parsed,
+        reason
+      });
+
+      // The donor was told a person will get back to them
+      await supportInboxService.receive({
+        channel,
+        phoneNumber,
+        name: outcome.donor?.name,
+        userId: outcome.donor?._id,
+        text,
+        providerMessageId: messageId,
+        inboundMessageId: entry._id,
+        language: parsed.replyLanguage
+      });
+    }
+
+    return {
+      ...outcome,
+      intent: parsed.intent,
+      language: parsed.language,
+      replyLanguage: parsed.replyLanguage,
+      availability,
+      declineReason,
+      forwarded: !!reason
+    };
+  }
+
+  /**
+   * Carry out an understood reply against the request the donor was last paged for
+   * @param {string} phoneNumber - Donor phone number
+   * @param {string} intent - accept, tentative, decline, location_question, ...
+   * @param {Object} details - { channel, now, availability, declineReason, notes }
+   * @returns {Promise<Object>} { donor, bloodRequest, eta, snoozedUntil, resumed, noOpenRequest }
+   */
+  async applyIntent(phoneNumber, intent, { channel = 'whatsapp', now = new Date(), availability = null, declineReason = null, notes = null } = {}) {
+    switch (intent) {
+      case 'accept': {
+        const accepted = await this.accept(phoneNumber, null, notes);
+        if (!accepted) {
+          // Nothing to say yes to: an offer of help ends a snooze, otherwise a coordinator follows up
+          const resumed = await this.resume(phoneNumber, channel);
+          const donor = await donorMatchingService.findDonorByPhone(phoneNumber);
+          return { donor, resumed, noOpenRequest: !resumed };
+        }
+
+        // Only a stated time becomes the ETA; "tomorrow" alone stays in the notes
+        let eta = null;
+        if (availability?.precision === 'time' && availability.at > now) {
+          const confirmed = await donorMatchingService.updateCommitment(accepted.bloodRequest, accepted.donor._id, 'confirm', {
+            eta: availability.at
+          });
+          eta = confirmed ? availability.at : null;
+        }
+        return { ...accepted, eta };
+      }
+
+      case 'tentative': {
+        const reply = await donorMatchingService.resolveDonorReply(phoneNumber);
+        if (!reply || !reply.bloodRequest.canReceiveNotifications()) {
+          return { donor: await donorMatchingService.findDonorByPhone(phoneNumber), noOpenRequest: true };
+        }
+        await donorMatchingService.recordDonorResponse(reply.bloodRequest, reply.donor._id, 'maybe', null, notes);
+        return reply;
+      }
+
+      case 'decline': {
+        const declined = await this.decline(phoneNumber, null, channel, notes);
+        const days = this.getSnoozeDays(declineReason, availability, now);
+        const snoozed = days > 0 ? await this.snooze(phoneNumber, days, channel) : null;
+        return {
+          ...(declined || { donor: await donorMatchingService.findDonorByPhone(phoneNumber) }),
+          snoozedUntil: snoozed?.snoozedUntil || null
+        };
+      }
+
+      case 'location_question': {
+        const reply = await donorMatchingService.resolveDonorReply(phoneNumber);
+        return {
+          donor: reply?.donor || null,
+          bloodRequest: reply?.bloodRequest.canReceiveNotifications() ? reply.bloodRequest : null
+        };
+      }
+
+      default:
+        return { donor: await donorMatchingService.findDonorByPhone(phoneNumber) };
+    }
+  }
+
+  /**
+   * Answer to a free-text reply, in the donor's language
+   * @param {Object} result - From interpret()
+   * @returns {string|null} Message, or null when the webhook answers itself
+   *   (donation info, eligibility check)
+   */
+  getReplyMessage(result) {
+    const { intent, replyLanguage: language } = result;
+    const hospital = result.bloodRequest?.location?.hospital;
+    const message = (key, values) => replyIntentService.getMessage(key, language, values);
+
+    if (result.forwarded) {
+      return message('forwarded');
+    }
+
+    switch (intent) {
+      case 'accept':
+        if (result.resumed) return message('available_again');
+        return message('accepted', {
+          when: result.availability ? replyIntentService.describeAvailability(result.availability, language) : null,
+          hospital: hospital.name,
+          contact: hospital.contactNumber
+        });
+      case 'tentative':
+        return message('tentative', { hospital: hospital.name });
+      case 'decline':
+        return message('declined', {
+          until: result.snoozedUntil ? replyIntentService.formatTime(result.snoozedUntil, 'day', language) : null
+        });
+      case 'location_question': {
+        if (!hospital) return null;
+        const { street, city, state, pincode } = hospital.address || {};
+        const [longitude, latitude] = hospital.coordinates?.coordinates || [];
+        return message('location', {
+          hospital: hospital.name,
+          address: [street, city, `${state || ''} ${pincode || ''}`.trim()].filter(Boolean).join(', '),
+          contact: hospital.contactNumber,
+          map: latitude !== undefined ? `https://maps.google.com/?q=${latitude},${longitude}` : null
+        });
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * How long to pause alerts for a decline reason: until the date the donor
+   * gave ("out of town till Friday"), or the reason's default
+   * @param {string} declineReason - Key of ReplyLexicon.DECLINE_REASONS
+   * @param {Object} availability - Parsed availability, if any
+   * @param {Date} now - Reference time
+   * @returns {number} Days, 0 for no snooze
+   */
+  getSnoozeDays(declineReason, availability, now = new Date()) {
+    const reason = replyIntentService.lexicon.DECLINE_REASONS[declineReason];
+    if (!reason) return 0;
+
+    if (!reason.ignoreDates && availability && availability.at > now) {
+      return Math.ceil((availability.at - now) / DAY_MS);
+    }
+    return reason.snoozeDays;
+  }
+
+  /**
+   * STOP / START: withdraw or give consent for the channel the keyword came
+   * in on. Recorded for any number, not only donors, so an opt-out always holds.
+   * @param {string} phoneNumber - Sender phone number
+   * @param {string} channel - whatsapp or sms
+   * @param {boolean} granted - START (true) or STOP (false)
+   * @param {string} keyword - Keyword as the sender typed it
+   * @returns {Promise<Object>} Consent record
+   */
+  async setConsent(phoneNumber, channel, granted, keyword) {
+    const donor = await donorMatchingService.findDonorByPhone(phoneNumber);
+
+    return consentService.record({
+      channel,
+      granted,
+      address: phoneNumber,
+      userId: donor?._id || null,
+      source: 'keyword',
+      keyword: keyword.toUpperCase(),
+      receivedVia: channel
+    });
+  }
+}
+
+// Create singleton instance
+const donorReplyService = new DonorReplyService();
+
+module.exports = donorReplyService;
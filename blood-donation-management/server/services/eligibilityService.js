@@ -0,0 +1,508 @@
+const User = require('../models/User');
+const Donation = require('../models/Donation');
+const { EligibilityRules } = require('../config/eligibilityRules');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DONATION_TYPE_LABELS = {
+  whole_blood: 'whole blood',
+  double_red_cells: 'double red cell',
+  platelets: 'platelet',
+  plasma: 'plasma'
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+class EligibilityService {
+  constructor(rules = EligibilityRules) {
+    this.rules = rules;
+  }
+
+  /**
+   * Donation type a donor has to give for a requested blood component
+   * @param {string} component - Blood component from the request
+   * @returns {string} Donation type
+   */
+  getDonationTypeForComponent(component) {
+    return this.rules.COMPONENT_DONATION_TYPES[component] || 'whole_blood';
+  }
+
+  /**
+   * Evaluate donor eligibility from history and health answers.
+   * Pure: does not touch the database, so it can be called with any data.
+   * @param {Object} context - { donations, questionnaire, medicalInfo }
+   * @param {Date} asOf - Evaluation time
+   * @returns {Object} Whole blood summary plus a breakdown per donation type
+   */
+  evaluate({ donations = [], questionnaire = null, medicalInfo = {} } = {}, asOf = new Date()) {
+    const deferrals = [
+      ...this.getDonationIntervalDeferrals(donations),
+      ...this.getAnnualLimitDeferrals(donations, asOf),
+      ...this.getHemoglobinDeferrals(donations),
+      ...this.getQuestionnaireDeferrals(questionnaire, asOf),
+      ...this.getMedicationDeferrals(questionnaire, medicalInfo, asOf),
+      ...this.getManualDeferrals(medicalInfo)
+    ];
+
+    // Deferrals without an end date never expire
+    const active = deferrals.filter(deferral => !deferral.until || deferral.until > asOf);
+
+    const byDonationType = {};
+    for (const donationType of this.rules.DONATION_TYPES) {
+      const reasons = active.filter(deferral =>
+        !deferral.donationTypes || deferral.donationTypes.includes(donationType)
+      );
+      const deferredIndefinitely = reasons.some(reason => !reason.until);
+      const latest = reasons.reduce((max, reason) => (reason.until && reason.until > max ? reason.until : max), asOf);
+
+      byDonationType[donationType] = {
+        eligible: reasons.length === 0,
+        nextEligibleDate: reasons.length === 0 || deferredIndefinitely ? null : latest,
+        deferredIndefinitely,
+        reasons
+      };
+    }
+
+    const wholeBlood = byDonationType.whole_blood;
+
+    return {
+      evaluatedAt: asOf,
+      eligible: wholeBlood.eligible,
+      nextEligibleDate: wholeBlood.nextEligibleDate,
+      deferredIndefinitely: wholeBlood.deferredIndefinitely,
+      reasons: wholeBlood.reasons,
+      byDonationType
+    };
+  }
+
+  /**
+   * Minimum gap between donations, depending on both donation types
+   */
+  getDonationIntervalDeferrals(donations) {
+    const latestByType = {};
+
+    for (const donation of donations) {
+      const date = toDate(donation.donationDate);
+      if (donation.status !== 'completed' || !date) continue;
+      const type = donation.donationType || 'whole_blood';
+      if (!latestByType[type] || date > latestByType[type]) {
+        latestByType[type] = date;
+      }
+    }
+
+    const deferrals = [];
+    for (const [previousType, date] of Object.entries(latestByType)) {
+      const intervals = this.rules.DONATION_INTERVALS[previousType] || {};
+      for (const [nextType, days] of Object.entries(intervals)) {
+        deferrals.push({
+          code: 'DONATION_INTERVAL',
+          message: `Recovery period after ${DONATION_TYPE_LABELS[previousType]} donation`,
+          until: addDays(date, days),
+          donationTypes: [nextType]
+        });
+      }
+    }
+
+    return deferrals;
+  }
+
+  /**
+   * Caps on how often a donation type can be given in a rolling year
+   */
+  getAnnualLimitDeferrals(donations, asOf) {
+    const windowStart = addDays(asOf, -365);
+    const deferrals = [];
+
+    for (const [donationType, limit] of Object.entries(this.rules.ANNUAL_LIMITS)) {
+      const dates = donations
+        .filter(donation => donation.status === 'completed' && (donation.donationType || 'whole_blood') === donationType)
+        .map(donation => toDate(donation.donationDate))
+        .filter(date => date && date > windowStart)
+        .sort((a, b) => a - b);
+
+      if (dates.length >= limit) {
+        // Eligible again once the oldest donation that keeps us at the limit drops out
+        deferrals.push({
+          code: 'ANNUAL_LIMIT',
+          message: `Maximum of ${limit} ${DONATION_TYPE_LABELS[donationType]} donations per year reached`,
+          until: addDays(dates[dates.length - limit], 365),
+          donationTypes: [donationType]
+        });
+      }
+    }
+
+    return deferrals;
+  }
+
+  /**
+   * Low hemoglobin at the most recent screening
+   */
+  getHemoglobinDeferrals(donations) {
+    const { MIN_LEVEL, MIN_LEVEL_DOUBLE_RED_CELLS, DEFERRAL_DAYS } = this.rules.HEMOGLOBIN;
+
+    const latest = donations
+      .filter(donation => {
+        const hemoglobin = donation.preDonationChecks?.hemoglobin;
+        return toDate(donation.donationDate) && hemoglobin &&
+          (typeof hemoglobin.value === 'number' || typeof hemoglobin.passed === 'boolean');
+      })
+      .sort((a, b) => toDate(b.donationDate) - toDate(a.donationDate))[0];
+
+    if (!latest) return [];
+
+    const { value, passed } = latest.preDonationChecks.hemoglobin;
+    const until = addDays(latest.donationDate, DEFERRAL_DAYS);
+
+    if (passed === false || (typeof value === 'number' && value < MIN_LEVEL)) {
+      return [{
+        code: 'LOW_HEMOGLOBIN',
+        message: value ? `Hemoglobin ${value} g/dL below minimum of ${MIN_LEVEL} g/dL` : 'Failed hemoglobin screening',
+        until
+      }];
+    }
+
+    if (typeof value === 'number' && value < MIN_LEVEL_DOUBLE_RED_CELLS) {
+      return [{
+        code: 'LOW_HEMOGLOBIN',
+        message: `Hemoglobin ${value} g/dL below ${MIN_LEVEL_DOUBLE_RED_CELLS} g/dL required for double red cells`,
+        until,
+        donationTypes: ['double_red_cells']
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Deferrals from the health questionnaire. Versioned questionnaires were
+   * screened when answered; flagged answers defer the donor until medical
+   * staff have reviewed them.
+   */
+  getQuestionnaireDeferrals(questionnaire, asOf) {
+    if (!questionnaire) return [];
+    if (!questionnaire.version) return this.getLegacyQuestionnaireDeferrals(questionnaire, asOf);
+
+    const { screening = {}, review } = questionnaire;
+    const deferrals = (screening.deferrals || []).map(deferral => ({
+      code: deferral.code,
+      message: deferral.message,
+      until: toDate(deferral.until)
+    }));
+
+    if (review?.decision === 'deferred') {
+      deferrals.push({
+        code: 'QUESTIONNAIRE_REVIEW',
+        message: review.notes || 'Deferred by medical staff after reviewing health answers',
+        until: toDate(review.deferredUntil)
+      });
+    } else if (!review?.decision && (screening.flags || []).length > 0) {
+      deferrals.push({
+        code: 'QUESTIONNAIRE_REVIEW',
+        message: `Health answers awaiting review: ${screening.flags.map(flag => flag.message).join('; ')}`,
+        until: null
+      });
+    }
+
+    return deferrals;
+  }
+
+  /**
+   * Conditions, tattoos, travel and illness in free-form answers saved
+   * before the questionnaire was versioned
+   */
+  getLegacyQuestionnaireDeferrals(questionnaire, asOf) {
+    // Answers are stored either flat or under `data`
+    const answers = questionnaire.data || questionnaire;
+    const answeredAt = toDate(questionnaire.completedAt) || asOf;
+    const deferrals = [];
+
+    const permanentConditions = (answers.medicalConditions || [])
+      .filter(condition => this.rules.PERMANENT_CONDITIONS.includes(condition));
+    if (permanentConditions.length > 0) {
+      deferrals.push({
+        code: 'PERMANENT_CONDITION',
+        message: `Reported condition requires permanent deferral: ${permanentConditions.join(', ')}`,
+        until: null
+      });
+    }
+
+    const tattooDates = [answers.tattooDate, answers.piercingDate].map(toDate).filter(Boolean);
+    if (answers.recentTattoo || answers.recentPiercing) tattooDates.push(answeredAt);
+    if (tattooDates.length > 0) {
+      const latest = new Date(Math.max(...tattooDates));
+      deferrals.push({
+        code: 'TATTOO_PIERCING',
+        message: 'Recent tattoo or piercing',
+        until: addDays(latest, this.rules.TATTOO_PIERCING_DEFERRAL_DAYS)
+      });
+    }
+
+    for (const trip of answers.recentTravel || []) {
+      // Plain strings carry no risk information, so treat them as at risk
+      if (typeof trip === 'object' && trip.malariaRisk === false) continue;
+      const returnedAt = toDate(trip.returnDate || trip.date) || answeredAt;
+      const destination = typeof trip === 'string' ? trip : trip.country || trip.destination;
+      deferrals.push({
+        code: 'TRAVEL',
+        message: destination ? `Recent travel to ${destination}` : 'Recent travel to a malaria risk area',
+        until: addDays(returnedAt, this.rules.TRAVEL.MALARIA_RISK_DEFERRAL_DAYS)
+      });
+    }
+
+    const health = answers.currentHealth || {};
+    if (health.feelingWell === false || health.recentIllness) {
+      deferrals.push({
+        code: 'RECENT_ILLNESS',
+        message: 'Recent illness reported',
+        until: addDays(answeredAt, this.rules.ILLNESS_DEFERRAL_DAYS)
+      });
+    }
+
+    return deferrals;
+  }
+
+  /**
+   * Medications from the questionnaire and the medical profile
+   */
+  getMedicationDeferrals(questionnaire, medicalInfo, asOf) {
+    const answers = questionnaire?.data || questionnaire || {};
+    const medications = [...(answers.medications || []), ...(medicalInfo?.medications || [])];
+    const deferrals = [];
+
+    for (const medication of medications) {
+      const name = (typeof medication === 'string' ? medication : medication?.name || '').toLowerCase();
+      if (!name) continue;
+
+      const rule = this.rules.MEDICATIONS.find(candidate =>
+        candidate.names.some(match => name.includes(match))
+      );
+      if (!rule) continue;
+
+      // Without a last dose the donor is assumed to still be taking it
+      const lastDose = toDate(medication.lastDose || medication.stoppedAt) || asOf;
+      deferrals.push({
+        code: `MEDICATION_${rule.code}`,
+        message: `Medication: ${typeof medication === 'string' ? medication : medication.name}`,
+        until: addDays(lastDose, rule.days),
+        ...(rule.appliesTo && { donationTypes: rule.appliesTo })
+      });
+    }
+
+    return deferrals;
+  }
+
+  /**
+   * Deferral set by medical staff through the eligibility flag
+   */
+  getManualDeferrals(medicalInfo) {
+    if (medicalInfo?.eligibleForDonation !== false) return [];
+
+    return [{
+      code: 'MANUAL_DEFERRAL',
+      message: medicalInfo.eligibilityNotes || 'Marked ineligible by medical staff',
+      until: null
+    }];
+  }
+
+  /**
+   * Check vitals recorded at the hospital before a donation goes ahead.
+   * Only readings that were taken are checked.
+   * @param {Object} checks - Readings shaped like Donation.preDonationChecks
+   * @param {string} donationType - Donation type being collected
+   * @returns {Object} { preDonationChecks, failures }
+   */
+  evaluateScreening(checks = {}, donationType = 'whole_blood') {
+    const { HEMOGLOBIN, SCREENING } = this.rules;
+    const preDonationChecks = {};
+    const failures = [];
+
+    const record = (name, reading, passed, message) => {
+      preDonationChecks[name] = { ...reading, passed };
+      if (!passed) failures.push({ check: name, message });
+    };
+
+    const hemoglobin = checks.hemoglobin?.value;
+    if (typeof hemoglobin === 'number') {
+      const minimum = donationType === 'double_red_cells'
+        ? HEMOGLOBIN.MIN_LEVEL_DOUBLE_RED_CELLS
+        : HEMOGLOBIN.MIN_LEVEL;
+      record('hemoglobin', { value: hemoglobin }, hemoglobin >= minimum,
+        `Hemoglobin ${hemoglobin} g/dL below minimum of ${minimum} g/dL`);
+    }
+
+    const { systolic, diastolic } = checks.bloodPressure || {};
+    if (typeof systolic === 'number' && typeof diastolic === 'number') {
+      const passed = systolic >= SCREENING.SYSTOLIC.MIN && systolic <= SCREENING.SYSTOLIC.MAX &&
+        diastolic >= SCREENING.DIASTOLIC.MIN && diastolic <= SCREENING.DIASTOLIC.MAX;
+      record('bloodPressure', { systolic, diastolic }, passed,
+        `Blood pressure ${systolic}/${diastolic} mmHg outside the accepted range`);
+    }
+
+    const pulse = checks.pulse?.value;
+    if (typeof pulse === 'number') {
+      record('pulse', { value: pulse }, pulse >= SCREENING.PULSE.MIN && pulse <= SCREENING.PULSE.MAX,
+        `Pulse ${pulse} bpm outside ${SCREENING.PULSE.MIN}-${SCREENING.PULSE.MAX} bpm`);
+    }
+
+    const temperature = checks.temperature?.value;
+    if (typeof temperature === 'number') {
+      record('temperature', { value: temperature }, temperature <= SCREENING.MAX_TEMPERATURE,
+        `Temperature ${temperature} F above ${SCREENING.MAX_TEMPERATURE} F`);
+    }
+
+    const weight = checks.weight?.value;
+    if (typeof weight === 'number') {
+      record('weight', { value: weight }, weight >= SCREENING.MIN_WEIGHT,
+        `Weight ${weight} lbs below minimum of ${SCREENING.MIN_WEIGHT} lbs`);
+    }
+
+    const medicalHistory = checks.medicalHistory || {};
+    preDonationChecks.medicalHistory = {
+      cleared: medicalHistory.cleared !== false,
+      notes: medicalHistory.notes
+    };
+    if (medicalHistory.cleared === false) {
+      failures.push({ check: 'medicalHistory', message: medicalHistory.notes || 'Medical history not cleared' });
+    }
+
+    preDonationChecks.overallEligibility = failures.length === 0;
+
+    return { preDonationChecks, failures };
+  }
+
+  /**
+   * Load a donor's history and evaluate eligibility
+   * @param {Object|string} donorOrId - User document or ID
+   * @param {Date} asOf - Evaluation time
+   * @returns {Promise<Object|null>} Evaluation or null when the donor does not exist
+   */
+  async evaluateDonor(donorOrId, asOf = new Date()) {
+    const donor = donorOrId?._id
+      ? donorOrId
+      : await User.findById(donorOrId).select('medicalInfo questionnaire').lean();
+
+    if (!donor) return null;
+
+    const donations = await Donation.find({
+      donorId: donor._id,
+      status: { $in: ['completed', 'deferred'] }
+    })
+      .select('donationType donationDate status preDonationChecks')
+      .lean();
+
+    // Donations recorded only as a date on the profile count as whole blood.
+    // A recorded donation sets that date on the same day it was collected.
+    const lastDonationDate = toDate(donor.medicalInfo?.lastDonationDate);
+    const hasRecord = donations.some(donation =>
+      donation.status === 'completed' && toDate(donation.donationDate) >= addDays(lastDonationDate, -1)
+    );
+    if (lastDonationDate && !hasRecord) {
+      donations.push({ donationType: 'whole_blood', donationDate: lastDonationDate, status: 'completed' });
+    }
+
+    return this.evaluate({
+      donations,
+      questionnaire: donor.questionnaire,
+      medicalInfo: donor.medicalInfo
+    }, asOf);
+  }
+
+  /**
+   * Re-evaluate a donor and store the snapshot used by donor matching
+   * @param {Object|string} donorOrId - User document or ID
+   * @returns {Promise<Object|null>} Evaluation or null when the donor does not exist
+   */
+  async refreshDonorEligibility(donorOrId) {
+    try {
+      const evaluation = await this.evaluateDonor(donorOrId);
+      if (!evaluation) return null;
+
+      const snapshot = this.toSnapshot(evaluation);
+      const donorId = donorOrId?._id || donorOrId;
+      await User.updateOne({ _id: donorId }, { $set: { eligibility: snapshot } });
+
+      // Keep a loaded document in step with what was stored
+      if (donorOrId?._id && typeof donorOrId.set === 'function') {
+        donorOrId.set('eligibility', snapshot);
+      }
+
+      logger.debug(`Eligibility refreshed for donor ${donorId}: ${evaluation.eligible ? 'eligible' : 'deferred'}`, 'ELIGIBILITY_SERVICE');
+
+      return evaluation;
+    } catch (error) {
+      logger.error('Error refreshing donor eligibility', 'ELIGIBILITY_SERVICE', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compact form of an evaluation stored on the user.
+   * Reasons are the whole blood ones; other types keep only their dates.
+   */
+  toSnapshot(evaluation) {
+    const byDonationType = {};
+    for (const [donationType, result] of Object.entries(evaluation.byDonationType)) {
+      byDonationType[donationType] = {
+        eligible: result.eligible,
+        nextEligibleDate: result.nextEligibleDate,
+        deferredIndefinitely: result.deferredIndefinitely
+      };
+    }
+
+    return {
+      evaluatedAt: evaluation.evaluatedAt,
+      eligible: evaluation.eligible,
+      nextEligibleDate: evaluation.nextEligibleDate,
+      deferredIndefinitely: evaluation.deferredIndefinitely,
+      byDonationType,
+      reasons: evaluation.reasons.map(reason => ({
+        code: reason.code,
+        message: reason.message,
+        until: reason.until,
+        donationTypes: reason.donationTypes || []
+      }))
+    };
+  }
+
+  /**
+   * Query filter for donors who can give a donation type now.
+   * Donors without a snapshot fall back to the last donation date.
+   * @param {string} donationType - Donation type needed
+   * @param {Date} asOf - Evaluation time
+   * @returns {Object} MongoDB filter
+   */
+  buildMatchingFilter(donationType, asOf = new Date()) {
+    const path = `eligibility.byDonationType.${donationType}`;
+    const legacyGap = this.rules.DONATION_INTERVALS.whole_blood[donationType] || 0;
+
+    return {
+      $or: [
+        {
+          'eligibility.evaluatedAt': { $exists: true },
+          [`${path}.deferredIndefinitely`]: { $ne: true },
+          $or: [
+            { [`${path}.nextEligibleDate`]: null },
+            { [`${path}.nextEligibleDate`]: { $lte: asOf } }
+          ]
+        },
+        {
+          'eligibility.evaluatedAt': { $exists: false },
+          'medicalInfo.eligibleForDonation': { $ne: false },
+          $or: [
+            { 'medicalInfo.lastDonationDate': null },
+            { 'medicalInfo.lastDonationDate': { $lte: addDays(asOf, -legacyGap) } }
+          ]
+        }
+      ]
+    };
+  }
+}
+
+module.exports = new EligibilityService();
@@ -1,6 +1,9 @@
 const nodemailer = require('nodemailer');
+const messageTemplateService = require('./messageTemplateService');
 const logger = require('../utils/logger');
 
+const OTP_PURPOSES = ['registration', 'login', 'verification', 'password_reset'];
+
 class EmailService {
     constructor() {
         this.smtpHost = process.env.SMTP_HOST;
@@ -141,18 +144,42 @@ class EmailService {
         }
     }
 
+    /**
+     * Render a template from the email channel of the template store and send it
+     * @param {string} email - Recipient email address
+     * @param {string} templateName - Template name
+     * @param {Object} data - Placeholder values
+     * @param {Object} options - { language } plus any sendEmail options
+     * @returns {Promise<Object>} Send result
+     */
+    async sendTemplate(email, templateName, data, options = {}) {
+        const { language, ...sendOptions } = options;
+        const message = await messageTemplateService.render(templateName, 'email', data, { language });
+
+        return this.sendEmail(email, message.subject, message.body, {
+            ...sendOptions,
+            customArgs: {
+                ...sendOptions.customArgs,
+                template: templateName,
+                language: message.language
+            }
+        });
+    }
+
     /**
      * Send OTP via email
      * @param {string} email - Recipient email address
      * @param {string} otp - OTP code
      * @param {string} purpose - Purpose of OTP
+     * @param {Object} options - { language }
      * @returns {Promise<Object>} Send result
      */
-    async sendOTP(email, otp, purpose = 'verification') {
-        const subject = '🔐 Verification Code - CallforBlood Foundation';
-        const content = this.formatOTPEmail(otp, purpose);
-
-        return this.sendEmail(email, subject, content, {
+    async sendOTP(email, otp, purpose = 'verification', options = {}) {
+        return this.sendTemplate(email, 'otp', {
+            otp,
+            purpose: OTP_PURPOSES.includes(purpose) ? purpose : 'verification'
+        }, {
+            language: options.language,
             categories: ['otp', purpose],
             customArgs: {
                 type: 'otp_verification',
@@ -165,13 +192,22 @@ class EmailService {
      * Send blood request notification via email
      * @param {string} email - Recipient email address
      * @param {Object} requestData - Blood request details
+     * @param {Object} options - { language }
      * @returns {Promise<Object>} Send result
      */
-    async sendBloodRequestNotification(email, requestData) {
-        const subject = `🩸 ${requestData.urgency.toUpperCase()} Blood Donation Request`;
-        const content = this.formatBloodRequestEmail(requestData);
-
-        return this.sendEmail(email, subject, content, {
+    async sendBloodRequestNotification(email, requestData, options = {}) {
+        return this.sendTemplate(email, 'blood_request', {
+            urgency: requestData.urgency,
+            bloodType: requestData.bloodType,
+            patientName: requestData.patientName,
+            age: requestData.age,
+            condition: requestData.condition,
+            hospital: requestData.hospital,
+            location: requestData.location,
+            contactNumber: requestData.contactNumber,
+            requiredBy: requestData.requiredBy
+        }, {
+            language: options.language,
             categories: ['blood_request', requestData.urgency],
             customArgs: {
                 type: 'blood_request',
@@ -185,13 +221,17 @@ class EmailService {
      * Send welcome email to new donors
      * @param {string} email - Recipient email address
      * @param {Object} donorData - Donor information
+     * @param {Object} options - { language }
      * @returns {Promise<Object>} Send result
      */
-    async sendWelcomeEmail(email, donorData) {
-        const subject = '🎉 Welcome to CallforBlood Foundation!';
-        const content = this.formatWelcomeEmail(donorData);
-
-        return this.sendEmail(email, subject, content, {
+    async sendWelcomeEmail(email, donorData, options = {}) {
+        return this.sendTemplate(email, 'welcome', {
+            name: donorData.name,
+            bloodType: donorData.bloodType,
+            phoneNumber: donorData.phoneNumber,
+            registeredAt: new Date()
+        }, {
+            language: options.language,
             categories: ['welcome', 'onboarding'],
             customArgs: {
                 type: 'welcome_email',
@@ -204,13 +244,21 @@ class EmailService {
      * Send donation confirmation email
      * @param {string} email - Recipient email address
      * @param {Object} donationData - Donation details
+     * @param {Object} options - { language }
      * @returns {Promise<Object>} Send result
      */
-    async sendDonationConfirmation(email, donationData) {
-        const subject = '✅ Blood Donation Confirmed - Thank You!';
-        const content = this.formatDonationConfirmationEmail(donationData);
-
-        return this.sendEmail(email, subject, content, {
+    async sendDonationConfirmation(email, donationData, options = {}) {
+        return this.sendTemplate(email, 'donation_confirmation', {
+            donorName: donationData.donorName,
+            donationId: donationData.id,
+            donatedAt: donationData.donatedAt,
+            location: donationData.location,
+            units: donationData.unitsContributed,
+            livesSaved: donationData.unitsContributed * 3,
+            bloodType: donationData.bloodType,
+            nextEligibleDate: donationData.nextEligibleDate
+        }, {
+            language: options.language,
             categories: ['donation', 'confirmation'],
             customArgs: {
                 type: 'donation_confirmation',
@@ -376,191 +424,6 @@ class EmailService {
 </html>`;
     }
 
-    /**
-     * Format OTP email content
-     * @param {string} otp - OTP code
-     * @param {string} purpose - Purpose of OTP
-     * @returns {string} Formatted email content
-     */
-    formatOTPEmail(otp, purpose) {
-        const purposeText = {
-            'registration': 'complete your registration',
-            'login': 'log into your account',
-            'verification': 'verify your email address',
-            'password_reset': 'reset your password'
-        };
-
-        const action = purposeText[purpose] || 'verify your email address';
-
-        return `Dear User,
-
-Your CallforBlood Foundation verification code is:
-
-${otp}
-
-Use this code to ${action}.
-
-⏰ This code expires in 5 minutes.
-🔒 For security, don't share this code with anyone.
-
-If you didn't request this code, please ignore this email.
-
-Need help? Contact our support team at info@callforbloodfoundation.com
-
-Best regards,
-CallforBlood Foundation Team`;
-    }
-
-    /**
-     * Format blood request email content
-     * @param {Object} requestData - Blood request details
-     * @returns {string} Formatted email content
-     */
-    formatBloodRequestEmail(requestData) {
-        const urgencyText = {
-            'critical': '🚨 CRITICAL EMERGENCY',
-            'urgent': '⚡ URGENT REQUEST',
-            'scheduled': '📅 SCHEDULED REQUEST'
-        };
-
-        const urgency = urgencyText[requestData.urgency] || '🩸 BLOOD REQUEST';
-
-        return `${urgency}
-
-Dear Blood Donor,
-
-We have an urgent blood donation request that matches your profile:
-
-PATIENT DETAILS:
-• Blood Type Needed: ${requestData.bloodType}
-• Patient Name: ${requestData.patientName || 'Not specified'}
-• Age: ${requestData.age || 'Not specified'}
-• Medical Condition: ${requestData.condition || 'Not specified'}
-
-LOCATION DETAILS:
-• Hospital: ${requestData.hospital}
-• Address: ${requestData.location}
-• Contact Number: ${requestData.contactNumber}
-
-URGENCY: ${requestData.urgency.toUpperCase()}
-${requestData.requiredBy ? `Required By: ${new Date(requestData.requiredBy).toLocaleString()}` : ''}
-
-Can you help save a life?
-
-To respond:
-• Reply to this email with "YES" if you can donate
-• Reply with "NO" if you cannot donate at this time
-• Call ${requestData.contactNumber} for immediate coordination
-
-Your generosity can make the difference between life and death.
-
-Thank you for being a life saver!
-
-Best regards,
-CallforBlood Foundation Team
-
----
-Every drop counts. Every donor matters.`;
-    }
-
-    /**
-     * Format welcome email content
-     * @param {Object} donorData - Donor information
-     * @returns {string} Formatted email content
-     */
-    formatWelcomeEmail(donorData) {
-        return `Welcome to CallforBlood Foundation, ${donorData.name}!
-
-🎉 Congratulations on joining our life-saving community!
-
-Your registration has been successfully completed with the following details:
-• Name: ${donorData.name}
-• Blood Type: ${donorData.bloodType}
-• Phone: ${donorData.phoneNumber}
-• Registration Date: ${new Date().toLocaleDateString()}
-
-WHAT'S NEXT?
-1. Complete your profile verification (if not already done)
-2. Set your donation preferences
-3. Start receiving blood donation requests
-4. Help save lives in your community
-
-IMPORTANT INFORMATION:
-• You can donate blood every 3 months
-• Each donation can save up to 3 lives
-• You'll receive a digital certificate after each donation
-• Your privacy and safety are our top priorities
-
-GETTING STARTED:
-• Visit your dashboard: callforbloodfoundation.com/dashboard
-• Update your availability status
-• Set your notification preferences
-• Learn about blood donation guidelines
-
-Need help? Our support team is here for you:
-�  WhatsApp: https://wa.me/919491254120
-📧 Email: info@callforbloodfoundation.com
-🌐 Website: callforbloodfoundation.com
-
-Thank you for choosing to be a hero. Together, we save lives!
-
-Best regards,
-CallforBlood Foundation Team
-
----
-"The gift of blood is the gift of life. Thank you for giving."`;
-    }
-
-    /**
-     * Format donation confirmation email content
-     * @param {Object} donationData - Donation details
-     * @returns {string} Formatted email content
-     */
-    formatDonationConfirmationEmail(donationData) {
-        return `Thank You for Your Life-Saving Donation!
-
-Dear ${donationData.donorName},
-
-🏆 You are a true hero! Your blood donation has been successfully recorded.
-
-DONATION DETAILS:
-• Donation ID: ${donationData.id}
-• Date: ${new Date(donationData.donatedAt).toLocaleDateString()}
-• Time: ${new Date(donationData.donatedAt).toLocaleTimeString()}
-• Location: ${donationData.location}
-• Units Donated: ${donationData.unitsContributed}
-• Blood Type: ${donationData.bloodType}
-
-IMPACT:
-Your donation can potentially save up to ${donationData.unitsContributed * 3} lives!
-
-WHAT'S NEXT:
-• Your digital certificate will be available within 24 hours
-• You can donate again after 90 days (next eligible: ${donationData.nextEligibleDate})
-• Share your achievement on social media
-• Encourage friends and family to become donors
-
-POST-DONATION CARE:
-• Rest for 10-15 minutes after donation
-• Drink plenty of fluids for the next 24 hours
-• Avoid heavy lifting for 24 hours
-• Contact us immediately if you feel unwell
-
-CERTIFICATE & RECOGNITION:
-• Digital certificate: Available in your dashboard
-• Social sharing: Share your heroic act
-• Milestone badges: Unlock achievements as you donate more
-• Community recognition: Join our hall of heroes
-
-Thank you for making a difference. Your generosity gives hope and saves lives.
-
-Best regards,
-CallforBlood Foundation Team
-
----
-"Heroes don't always wear capes. Sometimes they just roll up their sleeves."`;
-    }
-
     /**
      * Validate email address
      * @param {string} email - Email address to validate
@@ -1,5 +1,7 @@
 const Hospital = require('../models/Hospital');
+const BloodInventory = require('../models/BloodInventory');
 const User = require('../models/User');
+const inventoryService = require('./inventoryService');
 const logger = require('../utils/logger');
 const { sendEmail } = require('./emailService');
 const { sendWhatsAppMessage } = require('./whatsappService');
@@ -54,19 +56,21 @@ class HospitalService {
    */
   async getHospitalById(hospitalId, includeInventory = true) {
     try {
-      let query = Hospital.findById(hospitalId).populate('adminUser', 'name email phone');
-      
-      if (!includeInventory) {
-        query = query.select('-inventory');
-      }
-
-      const hospital = await query.exec();
+      const hospital = await Hospital.findById(hospitalId).populate('adminUser', 'name email phone');
       
       if (!hospital) {
         throw new Error('Hospital not found');
       }
 
-      return hospital;
+      if (!includeInventory) {
+        return hospital;
+      }
+
+      const stocks = await inventoryService.getFacilityStock(hospital._id);
+      return {
+        ...hospital.toObject({ virtuals: true }),
+        inventory: stocks.map(stock => inventoryService.toStockView(stock))
+      };
     } catch (error) {
       logger.error('Error fetching hospital:', error);
       throw error;
@@ -128,9 +132,12 @@ class HospitalService {
       }
 
       if (filters.hasInventory) {
-        filteredHospitals = filteredHospitals.filter(hospital => 
-          hospital.inventory.some(item => item.unitsAvailable > 0)
-        );
+        const stocked = await BloodInventory.distinct('facility', {
+          facility: { $in: filteredHospitals.map(hospital => hospital._id) },
+          availableUnits: { $gt: 0 }
+        });
+        const stockedIds = new Set(stocked.map(id => id.toString()));
+        filteredHospitals = filteredHospitals.filter(hospital => stockedIds.has(hospital._id.toString()));
       }
 
       return filteredHospitals;
@@ -179,71 +186,17 @@ class HospitalService {
   }
 
   /**
-   * Update blood inventory
+   * Update blood inventory. Stock is kept per batch by the inventory service.
    */
-  async updateInventory(hospitalId, bloodType, unitsToAdd, expirationDate, adminUserId) {
-    try {
-      const hospital = await Hospital.findById(hospitalId);
-      
-      if (!hospital) {
-        throw new Error('Hospital not found');
-      }
-
-      // Verify admin user has permission
-      if (hospital.adminUser.toString() !== adminUserId.toString()) {
-        throw new Error('Unauthorized to update inventory');
-      }
-
-      await hospital.updateInventory(bloodType, unitsToAdd, expirationDate);
-
-      // Check for low inventory alerts
-      const lowInventoryItems = hospital.lowInventoryAlerts;
-      if (lowInventoryItems.length > 0) {
-        await this.sendLowInventoryAlert(hospital, lowInventoryItems);
-      }
-
-      logger.info(`Inventory updated for ${hospital.name}`, {
-        hospitalId: hospital._id,
-        bloodType,
-        unitsAdded: unitsToAdd
-      });
-
-      return hospital;
-    } catch (error) {
-      logger.error('Error updating inventory:', error);
-      throw error;
-    }
+  async updateInventory(hospitalId, bloodType, unitsToAdd, expirationDate, adminUserId, component) {
+    return inventoryService.updateInventory(hospitalId, bloodType, unitsToAdd, expirationDate, adminUserId, component);
   }
 
   /**
    * Consume blood inventory
    */
-  async consumeInventory(hospitalId, bloodType, unitsToConsume, adminUserId) {
-    try {
-      const hospital = await Hospital.findById(hospitalId);
-      
-      if (!hospital) {
-        throw new Error('Hospital not found');
-      }
-
-      // Verify admin user has permission
-      if (hospital.adminUser.toString() !== adminUserId.toString()) {
-        throw new Error('Unauthorized to update inventory');
-      }
-
-      await hospital.consumeInventory(bloodType, unitsToConsume);
-
-      logger.info(`Inventory consumed for ${hospital.name}`, {
-        hospitalId: hospital._id,
-        bloodType,
-        unitsConsumed: unitsToConsume
-      });
-
-      return hospital;
-    } catch (error) {
-      logger.error('Error consuming inventory:', error);
-      throw error;
-    }
+  async consumeInventory(hospitalId, bloodType, unitsToConsume, adminUserId, reason = 'unspecified', component) {
+    return inventoryService.consumeInventory(hospitalId, bloodType, unitsToConsume, reason, adminUserId, component);
   }
 
   /**
@@ -370,19 +323,24 @@ class HospitalService {
           startDate.setDate(endDate.getDate() - 30);
       }
 
+      const inventory = (await inventoryService.getFacilityStock(hospital._id))
+        .map(stock => inventoryService.toStockView(stock));
+      const lowInventoryItems = inventory.filter(item => item.unitsAvailable <= item.minimumThreshold);
+
       // Get analytics data (this would typically involve aggregating from other collections)
       const analytics = {
         overview: {
-          totalInventory: hospital.inventory.reduce((sum, item) => sum + item.unitsAvailable, 0),
-          lowInventoryItems: hospital.lowInventoryAlerts.length,
+          totalInventory: inventory.reduce((sum, item) => sum + item.unitsAvailable, 0),
+          lowInventoryItems: lowInventoryItems.length,
           averageRating: hospital.averageRating,
           totalRatings: hospital.totalRatings,
           totalDonationsReceived: hospital.totalDonationsReceived,
           totalRequestsFulfilled: hospital.totalRequestsFulfilled
         },
-        inventory: hospital.inventory.map(item => ({
+        inventory: inventory.map(item => ({
           bloodType: item.bloodType,
           unitsAvailable: item.unitsAvailable,
+          reservedUnits: item.reservedUnits,
           minimumThreshold: item.minimumThreshold,
           isLow: item.unitsAvailable <= item.minimumThreshold,
           lastUpdated: item.lastUpdated
@@ -451,32 +409,6 @@ class HospitalService {
       logger.error('Error sending verification status update:', error);
     }
   }
-
-  /**
-   * Send low inventory alert
-   */
-  async sendLowInventoryAlert(hospital, lowInventoryItems) {
-    try {
-      const emailData = {
-        to: hospital.adminUser.email,
-        subject: 'Low Blood Inventory Alert',
-        template: 'low-inventory-alert',
-        data: {
-          hospitalName: hospital.name,
-          lowInventoryItems: lowInventoryItems.map(item => ({
-            bloodType: item.bloodType,
-            currentUnits: item.unitsAvailable,
-            minimumThreshold: item.minimumThreshold
-          })),
-          dashboardLink: `${process.env.CLIENT_URL}/hospital/dashboard`
-        }
-      };
-
-      await sendEmail(emailData);
-    } catch (error) {
-      logger.error('Error sending low inventory alert:', error);
-    }
-  }
 }
 
 module.exports = new HospitalService();
\ No newline at end of file
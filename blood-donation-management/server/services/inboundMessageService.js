@@ -0,0 +1,115 @@
+const InboundMessage = require('../models/InboundMessage');
+const logger = require('../utils/logger');
+
+const MAX_TEXT_LENGTH = 4096;
+
+/**
+ * Review inbox for donor messages the webhooks could not act on by themselves
+ */
+class InboundMessageService {
+  /**
+   * Put a message in the review inbox
+   * @param {Object} message - { channel, phoneNumber, userId, text, providerMessageId, parsed, reason }
+   * @returns {Promise<Object>} Inbox entry
+   */
+  async flag({ channel, phoneNumber, userId = null, text, providerMessageId = null, parsed = {}, reason }) {
+    // Providers retry webhooks; one message is one entry
+    if (providerMessageId) {
+      const existing = await InboundMessage.findOne({ providerMessageId });
+      if (existing) return existing;
+    }
+
+    const entry = await InboundMessage.create({
+      channel,
+      phoneNumber,
+      user: userId,
+      text: String(text).slice(0, MAX_TEXT_LENGTH),
+      providerMessageId,
+      parsed: {
+        intent: parsed.intent,
+        language: parsed.language,
+        entities: parsed.entities,
+        matched: parsed.matched
+      },
+      review: { reason }
+    });
+
+    logger.info(`Flagged ${channel} message ${entry._id} for review (${reason})`, 'INBOUND_MESSAGES');
+    return entry;
+  }
+
+  /**
+   * Inbox entries, newest first
+   * @param {Object} filters - { status, channel, reason, page, limit }
+   * @returns {Promise<Object>} { messages, total }
+   */
+  async list({ status = 'pending', channel, reason, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status !== 'all') query['review.status'] = status;
+    if (channel) query.channel = channel;
+    if (reason) query['review.reason'] = reason;
+
+    const [messages, total] = await Promise.all([
+      InboundMessage.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name bloodType phoneNumber')
+        .populate('review.reviewedBy', 'name')
+        .lean(),
+      InboundMessage.countDocuments(query)
+    ]);
+
+    return { messages, total };
+  }
+
+  /**
+   * @param {string} id - Inbox entry ID
+   * @returns {Promise<Object|null>} Entry
+   */
+  async get(id) {
+    return InboundMessage.findById(id);
+  }
+
+  /**
+   * Close an inbox entry
+   * @param {Object} entry - Inbox entry document
+   * @param {Object} review - { status: resolved|dismissed, intent, note }
+   * @param {string} reviewerId - Admin ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async close(entry, { status, intent, note }, reviewerId) {
+    entry.review.status = status;
+    entry.review.intent = intent;
+    entry.review.note = note;
+    entry.review.reviewedBy = reviewerId;
+    entry.review.reviewedAt = new Date();
+    await entry.save();
+
+    logger.info(`Inbound message ${entry._id} ${status} by ${reviewerId}`, 'INBOUND_MESSAGES');
+    return entry;
+  }
+
+  /**
+   * Counts of pending entries by reason, for the admin dashboard
+   * @returns {Promise<Object>} { unparsed, no_open_request, total }
+   */
+  async getPendingCounts() {
+    const counts = await InboundMessage.aggregate([
+      { $match: { 'review.status': 'pending' } },
+      { $group: { _id: '$review.reason', count: { $sum: 1 } } }
+    ]);
+
+    const byReason = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    return {
+      unparsed: byReason.unparsed || 0,
+      no_open_request: byReason.no_open_request || 0,
+      total: counts.reduce((sum, { count }) => sum + count, 0)
+    };
+  }
+}
+
+// Create singleton instance
+const inboundMessageService = new InboundMessageService();
+
+module.exports = inboundMessageService;
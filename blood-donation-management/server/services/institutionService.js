@@ -58,10 +58,9 @@ class InstitutionService {
     try {
       const inventoryPromises = this.bloodTypes.map(bloodType => {
         const inventory = new BloodInventory({
-          institution: institutionId,
+          facility: institutionId,
+          facilityModel: 'Institution',
           bloodType,
-          totalUnits: 0,
-          availableUnits: 0,
           minimumThreshold: 10,
           criticalThreshold: 5
         });
@@ -219,8 +218,8 @@ class InstitutionService {
       const profile = institution.toObject();
 
       if (includeInventory && institution.inventoryEnabled) {
-        const inventory = await BloodInventory.find({ institution: institutionId })
-          .select('bloodType totalUnits availableUnits status');
+        const inventory = await BloodInventory.find({ facility: institutionId, facilityModel: 'Institution' })
+          .select('bloodType component totalUnits availableUnits status');
         profile.inventory = inventory;
       }
 
@@ -302,13 +301,14 @@ class InstitutionService {
 
       // Add inventory stats if enabled
       if (institution.inventoryEnabled) {
-        const inventory = await BloodInventory.find({ institution: institutionId });
+        const inventory = await BloodInventory.find({ facility: institutionId, facilityModel: 'Institution' });
         stats.inventory = {
           totalUnits: inventory.reduce((sum, inv) => sum + inv.totalUnits, 0),
           availableUnits: inventory.reduce((sum, inv) => sum + inv.availableUnits, 0),
           lowStockItems: inventory.filter(inv => inv.status === 'low' || inv.status === 'critical').length,
           bloodTypeDistribution: inventory.map(inv => ({
             bloodType: inv.bloodType,
+            component: inv.component,
             available: inv.availableUnits,
             status: inv.status
           }))
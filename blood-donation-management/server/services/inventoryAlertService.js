@@ -1,5 +1,7 @@
 const cron = require('node-cron');
+const Hospital = require('../models/Hospital');
 const inventoryService = require('./inventoryService');
+const appealCampaignService = require('./appealCampaignService');
 const emailService = require('./emailService');
 const whatsappService = require('./whatsappService');
 const logger = require('../utils/logger');
@@ -39,6 +41,9 @@ class InventoryAlertService {
         await this.sendLowStockAlert(alert);
       }
 
+      // Ask nearby donors to book slots before the shortfall becomes an emergency
+      await appealCampaignService.planAppeals(alerts);
+
       logger.info(`Processed ${alerts.length} low stock alerts`, 'INVENTORY_ALERT_SERVICE');
     } catch (error) {
       logger.error('Error checking low stock alerts', 'INVENTORY_ALERT_SERVICE', error);
@@ -285,22 +290,41 @@ class InventoryAlertService {
   }
 
   async sendRedistributionAlert(hospital, data) {
-    const message = `📦 *Redistribution Opportunity*\n\n` +
-      `Hospital: ${hospital.name}\n` +
-      `Available for redistribution: ${data.bloodType} - ${data.availableUnits} units\n` +
-      `Requesting Hospital: ${data.requestingHospital}\n\n` +
-      `Please confirm availability for redistribution.\n\n` +
-      `Respond: ${process.env.CLIENT_URL}/hospital/redistribute`;
-
-    if (hospital.adminUser && hospital.adminUser.phone) {
-      await whatsappService.sendMessage(
-        hospital.adminUser.phone,
-        'redistribution_alert',
-        { message }
-      );
+    const message = data.orderId
+      ? this.formatTransferOrderMessage(hospital, data)
+      : `📦 *Redistribution Opportunity*\n\n` +
+        `Hospital: ${hospital.name}\n` +
+        `Available for redistribution: ${data.bloodType} - ${data.availableUnits} units\n` +
+        `Requesting Hospital: ${data.requestingHospital}\n\n` +
+        `Please confirm availability for redistribution.\n\n` +
+        `Respond: ${process.env.CLIENT_URL}/hospital/redistribute`;
+
+    const phone = hospital.adminUser && (hospital.adminUser.phoneNumber || hospital.adminUser.phone);
+    if (phone) {
+      await whatsappService.sendMessage(phone, message);
     }
   }
 
+  // Status update for one side of a transfer order
+  formatTransferOrderMessage(hospital, data) {
+    const headings = {
+      requested: '📦 *Blood Transfer Requested*',
+      in_transit: '🚚 *Blood Transfer Dispatched*',
+      received: '✅ *Blood Transfer Received*',
+      rejected: '❌ *Blood Transfer Rejected*',
+      cancelled: '🚫 *Blood Transfer Cancelled*'
+    };
+
+    return `${headings[data.status] || '📦 *Blood Transfer Update*'}\n\n` +
+      `Hospital: ${hospital.name}\n` +
+      `Order: ${data.orderId}\n` +
+      `Blood Type: ${data.bloodType} - ${data.units} units\n` +
+      `From: ${data.supplyingHospital}\n` +
+      `To: ${data.requestingHospital}\n` +
+      (data.note ? `Note: ${data.note}\n` : '') +
+      `\nView: ${process.env.CLIENT_URL}/hospital/dashboard`;
+  }
+
   async sendDonationReceivedAlert(hospital, data) {
     const message = `✅ *Donation Received*\n\n` +
       `Hospital: ${hospital.name}\n` +
@@ -0,0 +1,324 @@
+const BloodInventory = require('../models/BloodInventory');
+const BloodRequest = require('../models/BloodRequest');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORECAST_HORIZONS = [7, 14, 30];
+
+// Consumption history the baseline rate is fitted on
+const HISTORY_DAYS = 90;
+
+// Days of the same window a year ago used for the seasonal factor
+const SEASONAL_WINDOW_DAYS = 30;
+
+// Stock-out projection gives up after this many days
+const PROJECTION_DAYS = 90;
+
+// Days it takes to replenish a blood type through donation drives or transfers
+const REPLENISHMENT_LEAD_DAYS = 3;
+
+// ~95% service level for the safety stock
+const SERVICE_LEVEL_Z = 1.65;
+
+// Smoothing for the daily rate, roughly a four-week memory
+const EWMA_ALPHA = 2 / 29;
+
+// Fewer units than this in the history window is too thin for day-of-week or seasonal effects
+const MIN_UNITS_FOR_PATTERNS = 14;
+
+const OPEN_REQUEST_STATUSES = ['pending', 'active', 'matched'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+const dayIndex = (date, origin) => Math.floor((startOfDay(date) - origin) / DAY_MS);
+
+/**
+ * Projects blood consumption per facility, blood type and component from batch history,
+ * request volume and seasonality, and suggests reorder thresholds from it.
+ */
+class InventoryForecastService {
+  /**
+   * Forecast for every stock record matching the filters
+   * @param {Object} options - { hospitalId, bloodType, component, horizons }
+   */
+  async getForecast({ hospitalId, bloodType, component, horizons = FORECAST_HORIZONS } = {}) {
+    const filter = {};
+    if (hospitalId) filter.facility = hospitalId;
+    if (bloodType) filter.bloodType = bloodType;
+    if (component) filter.component = component;
+
+    const stocks = await BloodInventory.find(filter).populate('facility', 'name address.city');
+    const now = new Date();
+    const requestTrends = await this.getRequestTrends(now);
+
+    const forecasts = stocks
+      .map(stock => this.forecastStock(stock, { now, horizons, requestTrends }))
+      .sort((a, b) => (a.daysUntilStockOut ?? Infinity) - (b.daysUntilStockOut ?? Infinity));
+
+    logger.info(`Generated ${forecasts.length} inventory forecasts`, 'INVENTORY_FORECAST');
+
+    return {
+      generatedAt: now,
+      horizons,
+      forecasts,
+      summary: this.summarizeByBloodType(forecasts, horizons)
+    };
+  }
+
+  /**
+   * Forecast for one facility's stock of one blood type and component
+   */
+  forecastStock(stock, { now = new Date(), horizons = FORECAST_HORIZONS, requestTrends = new Map() } = {}) {
+    const today = startOfDay(now);
+    const historyStart = new Date(today.getTime() - HISTORY_DAYS * DAY_MS);
+    // Reach back far enough to see the coming weeks of last year
+    const seasonalStart = new Date(today.getTime() - (365 + SEASONAL_WINDOW_DAYS) * DAY_MS);
+
+    const consumption = inventoryService
+      .getInventoryTransactions([stock], seasonalStart, now)
+      .filter(txn => txn.type === 'consumption');
+
+    const daily = new Array(HISTORY_DAYS).fill(0);
+    for (const txn of consumption) {
+      const index = dayIndex(txn.timestamp, historyStart);
+      if (index >= 0 && index < HISTORY_DAYS) {
+        daily[index] += txn.units;
+      }
+    }
+
+    const historyUnits = daily.reduce((sum, units) => sum + units, 0);
+    const mean = historyUnits / HISTORY_DAYS;
+    const stdDev = Math.sqrt(daily.reduce((sum, units) => sum + (units - mean) ** 2, 0) / HISTORY_DAYS);
+    const baseRate = daily.reduce((rate, units) => rate + EWMA_ALPHA * (units - rate), mean);
+
+    const weekdayIndex = this.getWeekdayIndex(daily, historyStart, historyUnits);
+    const seasonalFactor = this.getSeasonalFactor(consumption, today, mean, historyUnits);
+    const facilityId = (stock.facility?._id || stock.facility).toString();
+    const requestFactor = requestTrends.get(`${facilityId}:${stock.bloodType}:${stock.component}`) || 1;
+    const dailyRate = baseRate * seasonalFactor * requestFactor;
+
+    const expectedDemand = (day) => dailyRate * weekdayIndex[(today.getDay() + day) % 7];
+
+    const projection = this.projectStock(stock, today, expectedDemand);
+    const forecast = {};
+    for (const horizon of horizons) {
+      let units = 0;
+      for (let day = 0; day < horizon; day++) {
+        units += expectedDemand(day);
+      }
+      forecast[`${horizon}d`] = round(units, 1);
+    }
+
+    const suggestedMinimumThreshold = historyUnits > 0
+      ? Math.ceil(dailyRate * REPLENISHMENT_LEAD_DAYS + SERVICE_LEVEL_Z * stdDev * Math.sqrt(REPLENISHMENT_LEAD_DAYS))
+      : stock.minimumThreshold;
+
+    return {
+      facility: {
+        id: facilityId,
+        name: stock.facility?.name,
+        type: stock.facilityModel
+      },
+      bloodType: stock.bloodType,
+      component: stock.component,
+      availableUnits: stock.availableUnits,
+      reservedUnits: stock.reservedUnits,
+      averageDailyConsumption: round(mean),
+      forecastDailyConsumption: round(dailyRate),
+      forecast,
+      factors: {
+        seasonal: round(seasonalFactor),
+        requestVolume: round(requestFactor)
+      },
+      projectedStockOutDate: projection.stockOutDate,
+      daysUntilStockOut: projection.daysUntilStockOut,
+      projectedExpiryWaste: projection.expiredUnits,
+      minimumThreshold: stock.minimumThreshold,
+      suggestedMinimumThreshold,
+      historyDays: HISTORY_DAYS,
+      historyUnits,
+      confidence: this.getConfidence(daily, historyUnits)
+    };
+  }
+
+  /**
+   * Walk the available batches forward day by day, using the earliest expiry
+   * first and dropping batches as they expire, until stock runs out
+   */
+  projectStock(stock, today, expectedDemand) {
+    const batches = stock.batches
+      .filter(batch => batch.status === 'available' && batch.expiryDate > today)
+      .map(batch => ({ units: batch.units, expiryDate: batch.expiryDate }))
+      .sort((a, b) => a.expiryDate - b.expiryDate);
+
+    let expiredUnits = 0;
+    let carriedDemand = 0;
+
+    for (let day = 0; day < PROJECTION_DAYS; day++) {
+      const date = new Date(today.getTime() + day * DAY_MS);
+
+      while (batches.length && batches[0].expiryDate <= date) {
+        expiredUnits += batches.shift().units;
+      }
+
+      if (!batches.length) {
+        return { stockOutDate: date, daysUntilStockOut: day, expiredUnits: round(expiredUnits, 1) };
+      }
+
+      carriedDemand += expectedDemand(day);
+      while (batches.length && carriedDemand > 0) {
+        const used = Math.min(batches[0].units, carriedDemand);
+        batches[0].units -= used;
+        carriedDemand -= used;
+        if (batches[0].units <= 0) batches.shift();
+      }
+
+      if (!batches.length) {
+        const stockOutDate = new Date(date.getTime() + DAY_MS);
+        return { stockOutDate, daysUntilStockOut: day + 1, expiredUnits: round(expiredUnits, 1) };
+      }
+    }
+
+    return { stockOutDate: null, daysUntilStockOut: null, expiredUnits: round(expiredUnits, 1) };
+  }
+
+  /**
+   * Relative demand per weekday (Sunday first), 1 everywhere when history is thin
+   */
+  getWeekdayIndex(daily, historyStart, historyUnits) {
+    if (historyUnits < MIN_UNITS_FOR_PATTERNS) {
+      return new Array(7).fill(1);
+    }
+
+    const totals = new Array(7).fill(0);
+    const counts = new Array(7).fill(0);
+    daily.forEach((units, index) => {
+      const weekday = new Date(historyStart.getTime() + index * DAY_MS).getDay();
+      totals[weekday] += units;
+      counts[weekday]++;
+    });
+
+    const mean = historyUnits / daily.length;
+    return totals.map((total, weekday) => clamp((total / counts[weekday]) / mean, 0.5, 2));
+  }
+
+  /**
+   * Demand over the coming weeks last year compared with the recent average
+   */
+  getSeasonalFactor(consumption, today, recentMean, historyUnits) {
+    if (historyUnits < MIN_UNITS_FOR_PATTERNS) {
+      return 1;
+    }
+
+    const windowStart = new Date(today.getTime() - 365 * DAY_MS);
+    const windowEnd = new Date(windowStart.getTime() + SEASONAL_WINDOW_DAYS * DAY_MS);
+    const lastYearUnits = consumption
+      .filter(txn => txn.timestamp >= windowStart && txn.timestamp < windowEnd)
+      .reduce((sum, txn) => sum + txn.units, 0);
+
+    if (lastYearUnits === 0) {
+      return 1;
+    }
+
+    return clamp((lastYearUnits / SEASONAL_WINDOW_DAYS) / recentMean, 0.5, 2);
+  }
+
+  /**
+   * Recent request volume against the 90-day average, per hospital and blood type.
+   * A surge in requests shows up here before it shows up as issued units.
+   */
+  async getRequestTrends(now = new Date()) {
+    const trends = new Map();
+    const recentDays = 14;
+    const since = new Date(now.getTime() - HISTORY_DAYS * DAY_MS);
+    const recentSince = new Date(now.getTime() - recentDays * DAY_MS);
+
+    try {
+      const volumes = await BloodRequest.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: since },
+            'location.hospital.hospitalId': { $exists: true, $ne: null },
+            status: { $in: [...OPEN_REQUEST_STATUSES, 'fulfilled'] }
+          }
+        },
+        {
+          $group: {
+            _id: {
+              hospital: '$location.hospital.hospitalId',
+              bloodType: '$patient.bloodType',
+              component: { $ifNull: ['$request.bloodComponent', 'whole_blood'] }
+            },
+            total: { $sum: '$request.unitsNeeded' },
+            recent: { $sum: { $cond: [{ $gte: ['$createdAt', recentSince] }, '$request.unitsNeeded', 0] } }
+          }
+        }
+      ]);
+
+      for (const { _id, total, recent } of volumes) {
+        if (total < MIN_UNITS_FOR_PATTERNS) continue;
+        const ratio = (recent / recentDays) / (total / HISTORY_DAYS);
+        trends.set(`${_id.hospital}:${_id.bloodType}:${_id.component}`, clamp(ratio, 0.75, 1.5));
+      }
+    } catch (error) {
+      logger.error('Error loading request volume for forecast', 'INVENTORY_FORECAST', error);
+    }
+
+    return trends;
+  }
+
+  getConfidence(daily, historyUnits) {
+    const activeDays = daily.filter(units => units > 0).length;
+    if (historyUnits >= 60 && activeDays >= 30) return 'high';
+    if (historyUnits >= MIN_UNITS_FOR_PATTERNS && activeDays >= 7) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Totals across facilities for each blood type and component
+   */
+  summarizeByBloodType(forecasts, horizons) {
+    const summary = {};
+
+    for (const item of forecasts) {
+      const key = `${item.bloodType}:${item.component}`;
+      if (!summary[key]) {
+        summary[key] = {
+          bloodType: item.bloodType,
+          component: item.component,
+          facilities: 0,
+          availableUnits: 0,
+          forecast: Object.fromEntries(horizons.map(horizon => [`${horizon}d`, 0])),
+          facilitiesAtRisk: 0,
+          earliestStockOutDate: null
+        };
+      }
+
+      const entry = summary[key];
+      entry.facilities++;
+      entry.availableUnits += item.availableUnits;
+      horizons.forEach(horizon => {
+        entry.forecast[`${horizon}d`] = round(entry.forecast[`${horizon}d`] + item.forecast[`${horizon}d`], 1);
+      });
+
+      const longestHorizon = Math.max(...horizons);
+      if (item.daysUntilStockOut !== null && item.daysUntilStockOut <= longestHorizon) {
+        entry.facilitiesAtRisk++;
+      }
+      if (item.projectedStockOutDate && (!entry.earliestStockOutDate || item.projectedStockOutDate < entry.earliestStockOutDate)) {
+        entry.earliestStockOutDate = item.projectedStockOutDate;
+      }
+    }
+
+    return Object.values(summary);
+  }
+}
+
+module.exports = new InventoryForecastService();
@@ -1,30 +1,120 @@
 const Hospital = require('../models/Hospital');
+const BloodInventory = require('../models/BloodInventory');
+const BloodRequest = require('../models/BloodRequest');
+const { BLOOD_TYPES, BLOOD_COMPONENTS, getCompatibilityMatrix } = require('../../shared/constants/bloodCompatibility');
 const logger = require('../utils/logger');
 const { sendEmail } = require('./emailService');
 const { sendWhatsAppMessage } = require('./whatsappService');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_WARNING_DAYS = 7;
+const OPEN_REQUEST_STATUSES = ['pending', 'active', 'matched'];
+const RESERVATION_SWEEP_INTERVAL = 15 * 60 * 1000;
+
 class InventoryService {
+  /**
+   * Flatten a BloodInventory record into the per-blood-type and component
+   * shape used by the dashboard, alerts and analytics
+   */
+  toStockView(stock) {
+    const inStock = stock.batches
+      .filter(batch => ['available', 'reserved'].includes(batch.status))
+      .sort((a, b) => a.expiryDate - b.expiryDate);
+
+    return {
+      _id: stock._id,
+      bloodType: stock.bloodType,
+      component: stock.component,
+      unitsAvailable: stock.availableUnits,
+      reservedUnits: stock.reservedUnits,
+      expiredUnits: stock.expiredUnits,
+      inTransitUnits: stock.inTransitUnits,
+      totalUnits: stock.totalUnits,
+      minimumThreshold: stock.minimumThreshold,
+      criticalThreshold: stock.criticalThreshold,
+      status: stock.status,
+      expirationDates: inStock
+        .filter(batch => batch.status === 'available')
+        .map(batch => batch.expiryDate),
+      batches: inStock.map(batch => ({
+        batchId: batch.batchId,
+        units: batch.units,
+        status: batch.status,
+        collectionDate: batch.collectionDate,
+        expiryDate: batch.expiryDate,
+        reservedFor: batch.reservedFor,
+        source: batch.source
+      })),
+      lastUpdated: stock.stats?.lastUpdated || stock.updatedAt
+    };
+  }
+
+  /**
+   * Stock records for one facility, or grouped by facility for several
+   */
+  async getFacilityStock(facilityId) {
+    return BloodInventory.find({ facility: facilityId }).sort({ bloodType: 1, component: 1 });
+  }
+
+  async getStockByFacility(facilityIds) {
+    const stocks = await BloodInventory.find({ facility: { $in: facilityIds } }).sort({ bloodType: 1, component: 1 });
+    const byFacility = new Map();
+
+    for (const stock of stocks) {
+      const key = stock.facility.toString();
+      if (!byFacility.has(key)) byFacility.set(key, []);
+      byFacility.get(key).push(this.toStockView(stock));
+    }
+
+    return byFacility;
+  }
+
+  /**
+   * Load a hospital and check the user manages it
+   */
+  async getManagedHospital(hospitalId, adminUserId) {
+    const hospital = await Hospital.findById(hospitalId).populate('adminUser');
+
+    if (!hospital) {
+      throw new Error('Hospital not found');
+    }
+
+    if (hospital.adminUser._id.toString() !== adminUserId.toString()) {
+      throw new Error('Unauthorized to update inventory');
+    }
+
+    return hospital;
+  }
+
+  async touchHospital(hospitalId) {
+    await Hospital.updateOne({ _id: hospitalId }, { $set: { lastInventoryUpdate: new Date() } });
+  }
+
   /**
    * Get inventory for a hospital
    */
   async getHospitalInventory(hospitalId) {
     try {
-      const hospital = await Hospital.findById(hospitalId).select('inventory lastInventoryUpdate');
-      
+      const hospital = await Hospital.findById(hospitalId).select('lastInventoryUpdate');
+
       if (!hospital) {
         throw new Error('Hospital not found');
       }
 
+      const inventory = (await this.getFacilityStock(hospitalId)).map(stock => this.toStockView(stock));
+
       // Calculate inventory statistics
-      const totalUnits = hospital.inventory.reduce((sum, item) => sum + item.unitsAvailable, 0);
-      const lowStockItems = hospital.inventory.filter(item => item.unitsAvailable <= item.minimumThreshold);
-      const expiringSoon = this.getExpiringSoonItems(hospital.inventory);
+      const totalUnits = inventory.reduce((sum, item) => sum + item.unitsAvailable, 0);
+      const reservedUnits = inventory.reduce((sum, item) => sum + item.reservedUnits, 0);
+      const lowStockItems = inventory.filter(item => item.unitsAvailable <= item.minimumThreshold);
+      const expiringSoon = this.getExpiringSoonItems(inventory);
 
       return {
-        inventory: hospital.inventory,
+        inventory,
         statistics: {
           totalUnits,
-          totalBloodTypes: hospital.inventory.length,
+          reservedUnits,
+          totalBloodTypes: inventory.length,
           lowStockCount: lowStockItems.length,
           expiringSoonCount: expiringSoon.length
         },
@@ -35,69 +125,63 @@ class InventoryService {
         lastUpdated: hospital.lastInventoryUpdate
       };
     } catch (error) {
-      logger.error('Error fetching hospital inventory:', error);
+      logger.error('Error fetching hospital inventory', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 
   /**
-   * Update inventory for a specific blood type
+   * Receive a batch of units for a specific blood type and component
+   * @param {Object} batch - Optional batchId, collectionDate, donationId and source
    */
-  async updateInventory(hospitalId, bloodType, unitsToAdd, expirationDate, adminUserId) {
+  async updateInventory(hospitalId, bloodType, unitsToAdd, expirationDate, adminUserId, component = BLOOD_COMPONENTS.WHOLE_BLOOD, batch = {}) {
     try {
-      const hospital = await Hospital.findById(hospitalId).populate('adminUser');
-      
-      if (!hospital) {
-        throw new Error('Hospital not found');
-      }
-
-      // Verify admin user has permission
-      if (hospital.adminUser._id.toString() !== adminUserId.toString()) {
-        throw new Error('Unauthorized to update inventory');
-      }
-
-      await hospital.updateInventory(bloodType, unitsToAdd, new Date(expirationDate));
+      const hospital = await this.getManagedHospital(hospitalId, adminUserId);
+
+      const stock = await BloodInventory.findOrCreate(hospital._id, bloodType, component);
+      stock.lastUpdatedBy = adminUserId;
+      await stock.addBatch({
+        ...batch,
+        units: unitsToAdd,
+        expiryDate: new Date(expirationDate)
+      });
+      await this.touchHospital(hospital._id);
 
       // Check for alerts after update
       await this.checkAndSendAlerts(hospital);
 
-      logger.info(`Inventory updated for ${hospital.name}`, {
-        hospitalId: hospital._id,
-        bloodType,
-        unitsAdded: unitsToAdd,
-        updatedBy: adminUserId
-      });
+      logger.info(`Inventory updated for ${hospital.name}: +${unitsToAdd} ${bloodType} ${component} by ${adminUserId}`, 'INVENTORY_SERVICE');
 
       return await this.getHospitalInventory(hospitalId);
     } catch (error) {
-      logger.error('Error updating inventory:', error);
+      logger.error('Error updating inventory', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 
   /**
-   * Consume inventory (when blood is used)
+   * Consume inventory (when blood is used), earliest expiry first
    */
-  async consumeInventory(hospitalId, bloodType, unitsToConsume, reason, adminUserId) {
+  async consumeInventory(hospitalId, bloodType, unitsToConsume, reason, adminUserId, component = BLOOD_COMPONENTS.WHOLE_BLOOD) {
     try {
-      const hospital = await Hospital.findById(hospitalId).populate('adminUser');
-      
-      if (!hospital) {
-        throw new Error('Hospital not found');
-      }
+      const hospital = await this.getManagedHospital(hospitalId, adminUserId);
 
-      // Verify admin user has permission
-      if (hospital.adminUser._id.toString() !== adminUserId.toString()) {
-        throw new Error('Unauthorized to update inventory');
+      const stock = await BloodInventory.findOne({ facility: hospital._id, bloodType, component });
+      if (!stock || stock.availableUnits < unitsToConsume) {
+        throw new Error('Insufficient inventory');
       }
 
-      await hospital.consumeInventory(bloodType, unitsToConsume);
+      stock.lastUpdatedBy = adminUserId;
+      const usedBatches = await stock.consumeUnits(unitsToConsume, reason);
+      await this.touchHospital(hospital._id);
 
       // Log the consumption
       await this.logInventoryTransaction(hospitalId, {
         type: 'consumption',
         bloodType,
+        component,
         units: unitsToConsume,
+        batches: usedBatches.map(batch => batch.batchId),
         reason,
         performedBy: adminUserId,
         timestamp: new Date()
@@ -106,65 +190,33 @@ class InventoryService {
       // Check for low stock alerts
       await this.checkAndSendAlerts(hospital);
 
-      logger.info(`Inventory consumed for ${hospital.name}`, {
-        hospitalId: hospital._id,
-        bloodType,
-        unitsConsumed: unitsToConsume,
-        reason,
-        updatedBy: adminUserId
-      });
+      logger.info(`Inventory consumed for ${hospital.name}: -${unitsToConsume} ${bloodType} ${component} (${reason}) by ${adminUserId}`, 'INVENTORY_SERVICE');
 
       return await this.getHospitalInventory(hospitalId);
     } catch (error) {
-      logger.error('Error consuming inventory:', error);
+      logger.error('Error consuming inventory', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 
   /**
-   * Set minimum threshold for blood type
+   * Set minimum threshold for a blood type and component
    */
-  async setMinimumThreshold(hospitalId, bloodType, threshold, adminUserId) {
+  async setMinimumThreshold(hospitalId, bloodType, threshold, adminUserId, component = BLOOD_COMPONENTS.WHOLE_BLOOD) {
     try {
-      const hospital = await Hospital.findById(hospitalId);
-      
-      if (!hospital) {
-        throw new Error('Hospital not found');
-      }
+      const hospital = await this.getManagedHospital(hospitalId, adminUserId);
 
-      // Verify admin user has permission
-      if (hospital.adminUser.toString() !== adminUserId.toString()) {
-        throw new Error('Unauthorized to update inventory settings');
-      }
-
-      const inventoryItem = hospital.inventory.find(item => item.bloodType === bloodType);
-      
-      if (inventoryItem) {
-        inventoryItem.minimumThreshold = threshold;
-        inventoryItem.lastUpdated = new Date();
-      } else {
-        // Create new inventory item if it doesn't exist
-        hospital.inventory.push({
-          bloodType,
-          unitsAvailable: 0,
-          expirationDates: [],
-          minimumThreshold: threshold,
-          lastUpdated: new Date()
-        });
-      }
+      const stock = await BloodInventory.findOrCreate(hospital._id, bloodType, component);
+      stock.minimumThreshold = threshold;
+      stock.criticalThreshold = Math.min(stock.criticalThreshold, threshold);
+      stock.lastUpdatedBy = adminUserId;
+      await stock.save();
 
-      await hospital.save();
-
-      logger.info(`Minimum threshold updated for ${hospital.name}`, {
-        hospitalId: hospital._id,
-        bloodType,
-        threshold,
-        updatedBy: adminUserId
-      });
+      logger.info(`Minimum threshold for ${bloodType} ${component} at ${hospital.name} set to ${threshold} by ${adminUserId}`, 'INVENTORY_SERVICE');
 
       return await this.getHospitalInventory(hospitalId);
     } catch (error) {
-      logger.error('Error setting minimum threshold:', error);
+      logger.error('Error setting minimum threshold', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
@@ -174,8 +226,8 @@ class InventoryService {
    */
   async getInventoryAnalytics(hospitalId, timeRange = '30d') {
     try {
-      const hospital = await Hospital.findById(hospitalId);
-      
+      const hospital = await Hospital.findById(hospitalId).select('_id');
+
       if (!hospital) {
         throw new Error('Hospital not found');
       }
@@ -183,38 +235,39 @@ class InventoryService {
       // Calculate date range
       const endDate = new Date();
       const startDate = new Date();
-      
+
       switch (timeRange) {
-        case '7d':
-          startDate.setDate(endDate.getDate() - 7);
-          break;
-        case '30d':
-          startDate.setDate(endDate.getDate() - 30);
-          break;
-        case '90d':
-          startDate.setDate(endDate.getDate() - 90);
-          break;
-        case '1y':
-          startDate.setFullYear(endDate.getFullYear() - 1);
-          break;
-        default:
-          startDate.setDate(endDate.getDate() - 30);
+      case '7d':
+        startDate.setDate(endDate.getDate() - 7);
+        break;
+      case '90d':
+        startDate.setDate(endDate.getDate() - 90);
+        break;
+      case '1y':
+        startDate.setFullYear(endDate.getFullYear() - 1);
+        break;
+      default:
+        startDate.setDate(endDate.getDate() - 30);
       }
 
-      // Get inventory transactions (this would typically be from a separate collection)
-      const transactions = await this.getInventoryTransactions(hospitalId, startDate, endDate);
+      const stocks = await this.getFacilityStock(hospitalId);
+      const inventory = stocks.map(stock => this.toStockView(stock));
+      const transactions = this.getInventoryTransactions(stocks, startDate, endDate);
 
       // Calculate analytics
       const analytics = {
         overview: {
-          totalUnits: hospital.inventory.reduce((sum, item) => sum + item.unitsAvailable, 0),
-          totalBloodTypes: hospital.inventory.length,
-          lowStockItems: hospital.inventory.filter(item => item.unitsAvailable <= item.minimumThreshold).length,
-          expiringSoon: this.getExpiringSoonItems(hospital.inventory).length
+          totalUnits: inventory.reduce((sum, item) => sum + item.unitsAvailable, 0),
+          reservedUnits: inventory.reduce((sum, item) => sum + item.reservedUnits, 0),
+          totalBloodTypes: inventory.length,
+          lowStockItems: inventory.filter(item => item.unitsAvailable <= item.minimumThreshold).length,
+          expiringSoon: this.getExpiringSoonItems(inventory).length
         },
-        bloodTypeBreakdown: hospital.inventory.map(item => ({
+        bloodTypeBreakdown: inventory.map(item => ({
           bloodType: item.bloodType,
+          component: item.component,
           unitsAvailable: item.unitsAvailable,
+          reservedUnits: item.reservedUnits,
           minimumThreshold: item.minimumThreshold,
           isLowStock: item.unitsAvailable <= item.minimumThreshold,
           daysUntilExpiry: this.getDaysUntilExpiry(item.expirationDates),
@@ -222,103 +275,194 @@ class InventoryService {
         })),
         trends: this.calculateInventoryTrends(transactions, timeRange),
         alerts: {
-          lowStock: hospital.inventory.filter(item => item.unitsAvailable <= item.minimumThreshold),
-          expiringSoon: this.getExpiringSoonItems(hospital.inventory),
-          zeroStock: hospital.inventory.filter(item => item.unitsAvailable === 0)
+          lowStock: inventory.filter(item => item.unitsAvailable <= item.minimumThreshold),
+          expiringSoon: this.getExpiringSoonItems(inventory),
+          zeroStock: inventory.filter(item => item.unitsAvailable === 0)
         }
       };
 
       return analytics;
     } catch (error) {
-      logger.error('Error fetching inventory analytics:', error);
+      logger.error('Error fetching inventory analytics', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 
   /**
-   * Get hospitals with low inventory for specific blood type
+   * Verified hospitals, nearest first when a location is given
    */
-  async getHospitalsWithLowInventory(bloodType, location = null, radius = 50000) {
-    try {
-      let query = {
-        'inventory.bloodType': bloodType,
-        'inventory.unitsAvailable': { $lte: 5 }, // Low stock threshold
-        isActive: true,
-        verificationStatus: 'verified'
+  findVerifiedHospitals(location = null, radius = 50000, select = '_id') {
+    const query = {
+      isActive: true,
+      verificationStatus: 'verified'
+    };
+
+    if (location && location.coordinates) {
+      query.location = {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates: location.coordinates
+          },
+          $maxDistance: radius
+        }
       };
+    }
 
-      let hospitals;
-      
-      if (location && location.coordinates) {
-        hospitals = await Hospital.find({
-          ...query,
-          location: {
-            $near: {
-              $geometry: {
-                type: 'Point',
-                coordinates: location.coordinates
-              },
-              $maxDistance: radius
+    return Hospital.find(query).select(select);
+  }
+
+  /**
+   * Get hospitals with low inventory for specific blood type and component
+   */
+  async getHospitalsWithLowInventory(bloodType, location = null, radius = 50000, component = BLOOD_COMPONENTS.WHOLE_BLOOD) {
+    try {
+      const hospitals = await this.findVerifiedHospitals(location, radius, 'name address contactInfo adminUser')
+        .populate('adminUser', 'name email phone');
+
+      const lowStocks = await BloodInventory.find({
+        facility: { $in: hospitals.map(hospital => hospital._id) },
+        bloodType,
+        component,
+        status: { $in: ['low', 'critical', 'out_of_stock'] }
+      });
+      const stockByHospital = new Map(lowStocks.map(stock => [stock.facility.toString(), stock]));
+
+      return hospitals
+        .filter(hospital => stockByHospital.has(hospital._id.toString()))
+        .map(hospital => {
+          const stock = stockByHospital.get(hospital._id.toString());
+          return {
+            hospital: {
+              id: hospital._id,
+              name: hospital.name,
+              address: hospital.address,
+              contactInfo: hospital.contactInfo,
+              adminUser: hospital.adminUser
+            },
+            inventory: {
+              bloodType,
+              component,
+              unitsAvailable: stock.availableUnits,
+              minimumThreshold: stock.minimumThreshold,
+              status: stock.status,
+              lastUpdated: stock.stats.lastUpdated
             }
-          }
-        }).populate('adminUser', 'name email phone');
-      } else {
-        hospitals = await Hospital.find(query).populate('adminUser', 'name email phone');
+          };
+        });
+    } catch (error) {
+      logger.error('Error fetching hospitals with low inventory', 'INVENTORY_SERVICE', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate available units of one component per blood type across verified
+   * hospitals. When a recipient blood type is given, only donor types compatible
+   * for that component are returned, best match first.
+   */
+  async getBloodTypeAvailability({ location = null, radius = 50000, bloodType = null, component = BLOOD_COMPONENTS.WHOLE_BLOOD } = {}) {
+    try {
+      const hospitals = await this.findVerifiedHospitals(location, radius);
+
+      const stocks = await BloodInventory.find({
+        facility: { $in: hospitals.map(hospital => hospital._id) },
+        component,
+        availableUnits: { $gt: 0 }
+      }).select('bloodType availableUnits');
+
+      const availability = {};
+      for (const type of BLOOD_TYPES) {
+        availability[type] = { hospitals: 0, totalUnits: 0, averageUnits: 0 };
       }
 
-      return hospitals.map(hospital => {
-        const inventoryItem = hospital.inventory.find(item => item.bloodType === bloodType);
-        return {
-          hospital: {
-            id: hospital._id,
-            name: hospital.name,
-            address: hospital.address,
-            contactInfo: hospital.contactInfo,
-            adminUser: hospital.adminUser
-          },
-          inventory: {
-            bloodType,
-            unitsAvailable: inventoryItem.unitsAvailable,
-            minimumThreshold: inventoryItem.minimumThreshold,
-            lastUpdated: inventoryItem.lastUpdated
-          }
-        };
-      });
+      for (const stock of stocks) {
+        const entry = availability[stock.bloodType];
+        if (!entry) continue;
+        entry.hospitals += 1;
+        entry.totalUnits += stock.availableUnits;
+      }
+
+      for (const entry of Object.values(availability)) {
+        entry.averageUnits = entry.hospitals > 0
+          ? Math.round((entry.totalUnits / entry.hospitals) * 10) / 10
+          : 0;
+      }
+
+      if (!bloodType) {
+        return { availability, component };
+      }
+
+      const compatibleTypes = getCompatibilityMatrix(bloodType, component).map(match => ({
+        ...match,
+        ...availability[match.bloodType]
+      }));
+
+      return {
+        availability,
+        compatibility: {
+          recipientBloodType: bloodType,
+          component,
+          compatibleTypes,
+          totalCompatibleUnits: compatibleTypes.reduce((sum, match) => sum + match.totalUnits, 0)
+        }
+      };
     } catch (error) {
-      logger.error('Error fetching hospitals with low inventory:', error);
+      logger.error('Error fetching blood type availability', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 
   /**
-   * Redistribute blood between hospitals
+   * Redistribute blood between hospitals. The batches that leave the source,
+   * earliest expiry first, arrive at the destination with their original dates.
    */
-  async redistributeBlood(fromHospitalId, toHospitalId, bloodType, units, adminUserId) {
+  async redistributeBlood(fromHospitalId, toHospitalId, bloodType, units, adminUserId, component = BLOOD_COMPONENTS.WHOLE_BLOOD) {
     try {
-      const fromHospital = await Hospital.findById(fromHospitalId);
-      const toHospital = await Hospital.findById(toHospitalId);
+      const fromHospital = await Hospital.findById(fromHospitalId).select('name');
+      const toHospital = await Hospital.findById(toHospitalId).select('name');
 
       if (!fromHospital || !toHospital) {
         throw new Error('One or both hospitals not found');
       }
 
       // Check if source hospital has enough inventory
-      const sourceInventory = fromHospital.inventory.find(item => item.bloodType === bloodType);
-      if (!sourceInventory || sourceInventory.unitsAvailable < units) {
+      const sourceStock = await BloodInventory.findOne({ facility: fromHospital._id, bloodType, component });
+      if (!sourceStock || sourceStock.availableUnits < units) {
         throw new Error('Insufficient inventory at source hospital');
       }
 
-      // Consume from source hospital
-      await fromHospital.consumeInventory(bloodType, units);
+      const movedBatches = sourceStock.takeAvailableUnits(units, 'used', {
+        usedDate: new Date(),
+        notes: `Transferred to ${toHospital.name}`
+      });
+      sourceStock.stats.totalIssued += units;
+      sourceStock.lastUpdatedBy = adminUserId;
+      await sourceStock.save();
+
+      const destinationStock = await BloodInventory.findOrCreate(toHospital._id, bloodType, component);
+      for (const batch of movedBatches) {
+        destinationStock.batches.push({
+          batchId: `${batch.batchId}_TRF_${Date.now()}`,
+          donationId: batch.donationId,
+          units: batch.units,
+          collectionDate: batch.collectionDate,
+          expiryDate: batch.expiryDate,
+          source: 'transfer',
+          notes: `Transferred from ${fromHospital.name}`
+        });
+      }
+      destinationStock.stats.totalReceived += units;
+      destinationStock.lastUpdatedBy = adminUserId;
+      await destinationStock.save();
 
-      // Add to destination hospital (use earliest expiration date from source)
-      const earliestExpiryDate = sourceInventory.expirationDates.sort((a, b) => a - b)[0];
-      await toHospital.updateInventory(bloodType, units, earliestExpiryDate);
+      await Promise.all([this.touchHospital(fromHospital._id), this.touchHospital(toHospital._id)]);
 
       // Log the redistribution
       await this.logInventoryTransaction(fromHospitalId, {
         type: 'redistribution_out',
         bloodType,
+        component,
         units,
         relatedHospital: toHospitalId,
         performedBy: adminUserId,
@@ -328,43 +472,290 @@ class InventoryService {
       await this.logInventoryTransaction(toHospitalId, {
         type: 'redistribution_in',
         bloodType,
+        component,
         units,
         relatedHospital: fromHospitalId,
         performedBy: adminUserId,
         timestamp: new Date()
       });
 
-      logger.info(`Blood redistributed between hospitals`, {
-        fromHospital: fromHospitalId,
-        toHospital: toHospitalId,
-        bloodType,
-        units,
-        performedBy: adminUserId
-      });
+      logger.info(`Redistributed ${units} ${bloodType} ${component} units from ${fromHospital.name} to ${toHospital.name}`, 'INVENTORY_SERVICE');
 
       return {
         success: true,
         message: 'Blood redistributed successfully'
       };
     } catch (error) {
-      logger.error('Error redistributing blood:', error);
+      logger.error('Error redistributing blood', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 
   /**
-   * Get items expiring soon (within 7 days)
+   * Reserve stock of the requested component at the request's hospital, earliest
+   * expiry first. Donor types follow that component's compatibility rules, best
+   * match first. Reserves what is on the shelf even when it does not cover the
+   * whole request; other components are never substituted.
+   * @param {Object} bloodRequest - BloodRequest document
+   * @returns {Promise<Object|null>} The request's reservation, or null if nothing was reserved
    */
-  getExpiringSoonItems(inventory) {
-    const sevenDaysFromNow = new Date();
-    sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
-
-    return inventory.filter(item => {
-      return item.expirationDates.some(date => date <= sevenDaysFromNow);
-    }).map(item => ({
-      ...item.toObject(),
-      expiringSoonCount: item.expirationDates.filter(date => date <= sevenDaysFromNow).length
-    }));
+  async reserveForRequest(bloodRequest) {
+    const reservedStocks = [];
+    const previousStatus = bloodRequest.status;
+
+    try {
+      const hospitalId = bloodRequest.location?.hospital?.hospitalId;
+      if (!hospitalId || bloodRequest.getReservedUnits() > 0) {
+        return null;
+      }
+
+      const component = bloodRequest.request.bloodComponent || BLOOD_COMPONENTS.WHOLE_BLOOD;
+      const compatibleTypes = bloodRequest.getCompatibleBloodTypes();
+      const stocks = await BloodInventory.find({
+        facility: hospitalId,
+        bloodType: { $in: compatibleTypes },
+        component,
+        availableUnits: { $gt: 0 }
+      });
+      stocks.sort((a, b) => compatibleTypes.indexOf(a.bloodType) - compatibleTypes.indexOf(b.bloodType));
+
+      let remaining = bloodRequest.request.unitsNeeded;
+      const batches = [];
+
+      for (const stock of stocks) {
+        if (remaining <= 0) break;
+
+        const units = Math.min(stock.availableUnits, remaining);
+        const reservedBatches = await stock.reserveUnits(units, bloodRequest._id);
+        reservedStocks.push(stock);
+
+        reservedBatches.forEach(batch => batches.push({
+          inventoryId: stock._id,
+          bloodType: stock.bloodType,
+          component: stock.component,
+          batchId: batch.batchId,
+          units: batch.units,
+          expiryDate: batch.expiryDate
+        }));
+        remaining -= units;
+
+        await this.logInventoryTransaction(hospitalId, {
+          type: 'reservation',
+          bloodType: stock.bloodType,
+          component: stock.component,
+          units,
+          requestId: bloodRequest.requestId,
+          timestamp: new Date()
+        });
+      }
+
+      if (batches.length === 0) {
+        return null;
+      }
+
+      const units = batches.reduce((sum, batch) => sum + batch.units, 0);
+      bloodRequest.fulfillment.inventoryReservation = {
+        status: 'reserved',
+        units,
+        batches,
+        reservedAt: new Date()
+      };
+
+      // Stock covers the whole request, so no donors need to be paged
+      if (units >= bloodRequest.request.unitsNeeded) {
+        bloodRequest.status = 'matched';
+      }
+
+      await bloodRequest.save();
+
+      logger.info(`Reserved ${units} ${component} unit(s) from inventory for request ${bloodRequest.requestId}`, 'INVENTORY_SERVICE');
+
+      return bloodRequest.fulfillment.inventoryReservation;
+    } catch (error) {
+      logger.error(`Error reserving inventory for request ${bloodRequest.requestId}`, 'INVENTORY_SERVICE', error);
+      await this.undoReservation(bloodRequest, reservedStocks, previousStatus);
+      return null;
+    }
+  }
+
+  /**
+   * Put back units a failed reservation already held, so no stock stays
+   * reserved for a request that does not record it
+   */
+  async undoReservation(bloodRequest, stocks, previousStatus) {
+    for (const stock of stocks) {
+      try {
+        await stock.releaseReservation(bloodRequest._id);
+      } catch (error) {
+        logger.error(`Failed to release units held for request ${bloodRequest.requestId} in ${stock.bloodType} ${stock.component} stock`, 'INVENTORY_SERVICE', error);
+      }
+    }
+
+    bloodRequest.fulfillment.inventoryReservation = { status: 'none' };
+    bloodRequest.status = previousStatus;
+  }
+
+  /**
+   * Return a request's reserved units to stock
+   * @param {Object} bloodRequest - BloodRequest document
+   * @param {string} reason - Why the reservation ended, e.g. request_cancelled
+   * @returns {Promise<number>} Units put back on the shelf
+   */
+  async releaseRequestReservation(bloodRequest, reason) {
+    const reservation = bloodRequest.fulfillment?.inventoryReservation;
+    if (reservation?.status !== 'reserved') {
+      return 0;
+    }
+
+    const stockIds = [...new Set(reservation.batches.map(batch => batch.inventoryId.toString()))];
+    const stocks = await BloodInventory.find({ _id: { $in: stockIds } });
+
+    let releasedUnits = 0;
+    for (const stock of stocks) {
+      releasedUnits += await stock.releaseReservation(bloodRequest._id);
+    }
+
+    reservation.status = 'released';
+    reservation.releasedAt = new Date();
+    reservation.releaseReason = reason;
+    await bloodRequest.save();
+
+    logger.info(`Released ${releasedUnits} reserved unit(s) for request ${bloodRequest.requestId} (${reason})`, 'INVENTORY_SERVICE');
+
+    return releasedUnits;
+  }
+
+  /**
+   * Hand a fulfilled request's reserved units over to the patient
+   * @param {Object} bloodRequest - BloodRequest document
+   * @returns {Promise<number>} Units issued
+   */
+  async issueRequestReservation(bloodRequest) {
+    const reservation = bloodRequest.fulfillment?.inventoryReservation;
+    if (reservation?.status !== 'reserved') {
+      return 0;
+    }
+
+    const stockIds = [...new Set(reservation.batches.map(batch => batch.inventoryId.toString()))];
+    const stocks = await BloodInventory.find({ _id: { $in: stockIds } });
+
+    let issuedUnits = 0;
+    for (const stock of stocks) {
+      const issuedBatches = await stock.issueUnits(bloodRequest._id);
+      const units = issuedBatches.reduce((sum, batch) => sum + batch.units, 0);
+      issuedUnits += units;
+
+      await this.logInventoryTransaction(stock.facility, {
+        type: 'issue',
+        bloodType: stock.bloodType,
+        component: stock.component,
+        units,
+        requestId: bloodRequest.requestId,
+        timestamp: new Date()
+      });
+    }
+
+    reservation.status = 'issued';
+    reservation.issuedAt = new Date();
+    await bloodRequest.save();
+
+    logger.info(`Issued ${issuedUnits} reserved unit(s) for request ${bloodRequest.requestId}`, 'INVENTORY_SERVICE');
+
+    return issuedUnits;
+  }
+
+  /**
+   * Release reservations whose request was closed or has passed its expiry time.
+   * Expired requests are marked as such; requests already removed by the TTL index
+   * only have their batches put back.
+   */
+  async releaseStaleReservations() {
+    try {
+      const now = new Date();
+      const stocks = await BloodInventory.find({ 'batches.status': 'reserved' });
+
+      const reservedFor = new Set();
+      stocks.forEach(stock => stock.batches
+        .filter(batch => batch.status === 'reserved' && batch.reservedFor)
+        .forEach(batch => reservedFor.add(batch.reservedFor.toString())));
+
+      if (reservedFor.size === 0) {
+        return { requests: 0, units: 0 };
+      }
+
+      const openRequests = await BloodRequest.find({
+        _id: { $in: [...reservedFor] },
+        status: { $in: OPEN_REQUEST_STATUSES },
+        expiresAt: { $gt: now }
+      }).select('_id');
+      const openIds = new Set(openRequests.map(request => request._id.toString()));
+      const staleIds = [...reservedFor].filter(id => !openIds.has(id));
+
+      let units = 0;
+      for (const stock of stocks) {
+        for (const requestId of staleIds) {
+          if (stock.batches.some(batch => batch.status === 'reserved' && batch.reservedFor?.toString() === requestId)) {
+            units += await stock.releaseReservation(requestId);
+          }
+        }
+      }
+
+      if (staleIds.length > 0) {
+        await BloodRequest.updateMany(
+          { _id: { $in: staleIds }, status: { $in: OPEN_REQUEST_STATUSES }, expiresAt: { $lte: now } },
+          { $set: { status: 'expired' } }
+        );
+        await BloodRequest.updateMany(
+          { _id: { $in: staleIds }, 'fulfillment.inventoryReservation.status': 'reserved' },
+          {
+            $set: {
+              'fulfillment.inventoryReservation.status': 'released',
+              'fulfillment.inventoryReservation.releasedAt': now,
+              'fulfillment.inventoryReservation.releaseReason': 'request_closed'
+            }
+          }
+        );
+
+        logger.info(`Released ${units} unit(s) held by ${staleIds.length} closed or expired request(s)`, 'INVENTORY_SERVICE');
+      }
+
+      return { requests: staleIds.length, units };
+    } catch (error) {
+      logger.error('Error releasing stale reservations', 'INVENTORY_SERVICE', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Periodically return stock held by requests that closed without being fulfilled
+   */
+  startReservationSweeper() {
+    setInterval(() => {
+      this.releaseStaleReservations().catch(() => {});
+    }, RESERVATION_SWEEP_INTERVAL);
+
+    logger.info('Reservation sweeper scheduled', 'INVENTORY_SERVICE');
+  }
+
+  /**
+   * Get items with available units expiring within the warning window
+   */
+  getExpiringSoonItems(inventory, days = EXPIRY_WARNING_DAYS) {
+    const cutoff = new Date(Date.now() + days * DAY_MS);
+
+    return inventory
+      .map(item => {
+        const expiringBatches = item.batches.filter(batch =>
+          batch.status === 'available' && batch.expiryDate <= cutoff
+        );
+
+        return {
+          ...item,
+          expiringSoonCount: expiringBatches.reduce((sum, batch) => sum + batch.units, 0),
+          daysUntilExpiry: this.getDaysUntilExpiry(expiringBatches.map(batch => batch.expiryDate))
+        };
+      })
+      .filter(item => item.expiringSoonCount > 0);
   }
 
   /**
@@ -372,22 +763,24 @@ class InventoryService {
    */
   getDaysUntilExpiry(expirationDates) {
     if (!expirationDates || expirationDates.length === 0) return null;
-    
+
     const earliestDate = new Date(Math.min(...expirationDates.map(date => new Date(date))));
     const today = new Date();
     const diffTime = earliestDate - today;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
+    const diffDays = Math.ceil(diffTime / DAY_MS);
+
     return diffDays;
   }
 
   /**
    * Check and send alerts for low inventory and expiring items
+   * @param {Object} hospital - Hospital document with adminUser populated
    */
   async checkAndSendAlerts(hospital) {
     try {
-      const lowStockItems = hospital.inventory.filter(item => item.unitsAvailable <= item.minimumThreshold);
-      const expiringSoonItems = this.getExpiringSoonItems(hospital.inventory);
+      const inventory = (await this.getFacilityStock(hospital._id)).map(stock => this.toStockView(stock));
+      const lowStockItems = inventory.filter(item => item.unitsAvailable <= item.minimumThreshold);
+      const expiringSoonItems = this.getExpiringSoonItems(inventory);
 
       if (lowStockItems.length > 0) {
         await this.sendLowInventoryAlert(hospital, lowStockItems);
@@ -397,7 +790,7 @@ class InventoryService {
         await this.sendExpiryAlert(hospital, expiringSoonItems);
       }
     } catch (error) {
-      logger.error('Error checking and sending alerts:', error);
+      logger.error('Error checking and sending alerts', 'INVENTORY_SERVICE', error);
     }
   }
 
@@ -430,7 +823,7 @@ class InventoryService {
         await sendWhatsAppMessage(hospital.adminUser.phone, 'inventory_alert', { message });
       }
     } catch (error) {
-      logger.error('Error sending low inventory alert:', error);
+      logger.error('Error sending low inventory alert', 'INVENTORY_SERVICE', error);
     }
   }
 
@@ -448,7 +841,7 @@ class InventoryService {
           expiringSoonItems: expiringSoonItems.map(item => ({
             bloodType: item.bloodType,
             expiringSoonCount: item.expiringSoonCount,
-            daysUntilExpiry: this.getDaysUntilExpiry(item.expirationDates)
+            daysUntilExpiry: item.daysUntilExpiry
           })),
           dashboardLink: `${process.env.CLIENT_URL}/hospital/dashboard`
         }
@@ -456,64 +849,63 @@ class InventoryService {
 
       await sendEmail(emailData);
     } catch (error) {
-      logger.error('Error sending expiry alert:', error);
+      logger.error('Error sending expiry alert', 'INVENTORY_SERVICE', error);
     }
   }
 
   /**
-   * Log inventory transaction (this would typically use a separate collection)
+   * Log inventory transaction
    */
   async logInventoryTransaction(hospitalId, transaction) {
     try {
-      // In a real implementation, this would save to an InventoryTransaction collection
-      logger.info('Inventory transaction logged', {
-        hospitalId,
-        ...transaction
-      });
+      logger.info(`Inventory transaction for ${hospitalId}: ${transaction.type} ${transaction.units || 0} ${transaction.bloodType || ''} ${transaction.component || ''}`.trim(), 'INVENTORY_SERVICE');
     } catch (error) {
-      logger.error('Error logging inventory transaction:', error);
+      logger.error('Error logging inventory transaction', 'INVENTORY_SERVICE', error);
     }
   }
 
   /**
-   * Get inventory transactions (mock implementation)
+   * Reconstruct receipts, usage and expiries in a date range from batch history
    */
-  async getInventoryTransactions(hospitalId, startDate, endDate) {
-    // This would typically query an InventoryTransaction collection
-    // For now, returning mock data based on date range
-    const mockTransactions = [
-      {
-        id: 'TXN001',
-        type: 'addition',
-        bloodType: 'O+',
-        units: 10,
-        timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-        performedBy: 'Admin User',
-        reason: 'New donation received'
-      },
-      {
-        id: 'TXN002',
-        type: 'consumption',
-        bloodType: 'A+',
-        units: 3,
-        timestamp: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-        performedBy: 'Admin User',
-        reason: 'Patient transfusion'
-      },
-      {
-        id: 'TXN003',
-        type: 'addition',
-        bloodType: 'B+',
-        units: 5,
-        timestamp: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
-        performedBy: 'Admin User',
-        reason: 'Blood drive collection'
+  getInventoryTransactions(stocks, startDate, endDate) {
+    const inRange = (date) => date && date >= startDate && date <= endDate;
+    const transactions = [];
+
+    for (const stock of stocks) {
+      for (const batch of stock.batches) {
+        if (inRange(batch.receivedAt)) {
+          transactions.push({
+            type: batch.source === 'transfer' ? 'redistribution_in' : 'addition',
+            bloodType: stock.bloodType,
+            units: batch.units,
+            timestamp: batch.receivedAt,
+            reason: batch.notes
+          });
+        }
+
+        if (batch.status === 'used' && inRange(batch.usedDate)) {
+          transactions.push({
+            // Units moved to another hospital are not local demand
+            type: batch.transferOrder || /^Transferred to/.test(batch.notes || '') ? 'redistribution_out' : 'consumption',
+            bloodType: stock.bloodType,
+            units: batch.units,
+            timestamp: batch.usedDate,
+            reason: batch.notes
+          });
+        }
+
+        if (batch.status === 'expired' && inRange(batch.expiryDate)) {
+          transactions.push({
+            type: 'expiry',
+            bloodType: stock.bloodType,
+            units: batch.units,
+            timestamp: batch.expiryDate
+          });
+        }
       }
-    ];
+    }
 
-    return mockTransactions.filter(txn => 
-      txn.timestamp >= startDate && txn.timestamp <= endDate
-    );
+    return transactions.sort((a, b) => a.timestamp - b.timestamp);
   }
 
   /**
@@ -551,21 +943,33 @@ class InventoryService {
     };
   }
 
+  /**
+   * Verified hospitals with their stock, for the system-wide alert sweeps
+   */
+  async getHospitalsWithStock() {
+    const hospitals = await Hospital.find({
+      isActive: true,
+      verificationStatus: 'verified'
+    }).populate('adminUser', 'name email phone');
+
+    const stockByHospital = await this.getStockByFacility(hospitals.map(hospital => hospital._id));
+
+    return hospitals.map(hospital => ({
+      hospital,
+      inventory: stockByHospital.get(hospital._id.toString()) || []
+    }));
+  }
+
   /**
    * Get expiry alerts for all hospitals (admin function)
    */
   async getSystemWideExpiryAlerts() {
     try {
-      const hospitals = await Hospital.find({
-        isActive: true,
-        verificationStatus: 'verified'
-      }).populate('adminUser', 'name email phone');
-
       const alerts = [];
-      
-      for (const hospital of hospitals) {
-        const expiringSoonItems = this.getExpiringSoonItems(hospital.inventory);
-        
+
+      for (const { hospital, inventory } of await this.getHospitalsWithStock()) {
+        const expiringSoonItems = this.getExpiringSoonItems(inventory);
+
         if (expiringSoonItems.length > 0) {
           alerts.push({
             hospital: {
@@ -581,7 +985,7 @@ class InventoryService {
 
       return alerts;
     } catch (error) {
-      logger.error('Error fetching system-wide expiry alerts:', error);
+      logger.error('Error fetching system-wide expiry alerts', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
@@ -591,18 +995,13 @@ class InventoryService {
    */
   async getSystemWideLowStockAlerts() {
     try {
-      const hospitals = await Hospital.find({
-        isActive: true,
-        verificationStatus: 'verified'
-      }).populate('adminUser', 'name email phone');
-
       const alerts = [];
-      
-      for (const hospital of hospitals) {
-        const lowStockItems = hospital.inventory.filter(item => 
+
+      for (const { hospital, inventory } of await this.getHospitalsWithStock()) {
+        const lowStockItems = inventory.filter(item =>
           item.unitsAvailable <= item.minimumThreshold
         );
-        
+
         if (lowStockItems.length > 0) {
           alerts.push({
             hospital: {
@@ -618,76 +1017,124 @@ class InventoryService {
 
       return alerts;
     } catch (error) {
-      logger.error('Error fetching system-wide low stock alerts:', error);
+      logger.error('Error fetching system-wide low stock alerts', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 
   /**
-   * Process expired inventory across all hospitals
+   * Take batches that expired while reserved off their requests' reservations.
+   * A request left short goes back to donor matching.
+   * @param {Map<string, Array<Object>>} expiredByRequest - Request id to { inventoryId, batchId, units }
+   */
+  async dropExpiredReservations(expiredByRequest) {
+    const requests = await BloodRequest.find({
+      _id: { $in: [...expiredByRequest.keys()] },
+      'fulfillment.inventoryReservation.status': 'reserved'
+    });
+
+    for (const bloodRequest of requests) {
+      const expired = expiredByRequest.get(bloodRequest._id.toString());
+      const isExpired = (batch) => expired.some(entry =>
+        entry.batchId === batch.batchId && entry.inventoryId.toString() === batch.inventoryId?.toString());
+
+      const reservation = bloodRequest.fulfillment.inventoryReservation;
+      reservation.batches = reservation.batches.filter(batch => !isExpired(batch));
+      reservation.units = reservation.batches.reduce((sum, batch) => sum + batch.units, 0);
+
+      if (reservation.units === 0) {
+        reservation.status = 'released';
+        reservation.releasedAt = new Date();
+        reservation.releaseReason = 'stock_expired';
+      }
+
+      const needsDonors = bloodRequest.status === 'matched' &&
+        bloodRequest.expiresAt > new Date() &&
+        bloodRequest.getUnitShortfall() > 0;
+      if (needsDonors) {
+        bloodRequest.status = 'active';
+      }
+
+      await bloodRequest.save();
+
+      logger.warn(`Reserved stock for request ${bloodRequest.requestId} expired; ${reservation.units} unit(s) still held`, 'INVENTORY_SERVICE');
+
+      if (needsDonors) {
+        // Required lazily: donor matching loads the notification stack
+        const donorMatchingService = require('./donorMatchingService');
+        donorMatchingService.startMatching(bloodRequest).catch(error => {
+          logger.error(`Error restarting donor matching for request ${bloodRequest.requestId}`, 'INVENTORY_SERVICE', error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Mark batches past their expiry date as expired at every facility, and take
+   * reserved ones off the requests holding them
    */
   async processExpiredInventory() {
     try {
-      const hospitals = await Hospital.find({
-        isActive: true,
-        verificationStatus: 'verified'
-      });
+      const stocks = await BloodInventory.find({
+        batches: { $elemMatch: { status: { $in: ['available', 'reserved'] }, expiryDate: { $lte: new Date() } } }
+      }).populate('facility', 'name');
 
       let totalExpiredUnits = 0;
-      const expiredByHospital = [];
-
-      for (const hospital of hospitals) {
-        let hospitalExpiredUnits = 0;
-        
-        hospital.inventory.forEach(inventoryItem => {
-          const now = new Date();
-          const expiredDates = inventoryItem.expirationDates.filter(date => date <= now);
-          
-          if (expiredDates.length > 0) {
-            // In a real implementation, this would properly track which units expired
-            // For now, we'll assume 1 unit per expired date
-            const expiredUnits = expiredDates.length;
-            hospitalExpiredUnits += expiredUnits;
-            
-            // Remove expired dates and reduce available units
-            inventoryItem.expirationDates = inventoryItem.expirationDates.filter(date => date > now);
-            inventoryItem.unitsAvailable = Math.max(0, inventoryItem.unitsAvailable - expiredUnits);
-          }
+      const expiredByFacility = new Map();
+      const expiredByRequest = new Map();
+
+      for (const stock of stocks) {
+        const expiredBatches = await stock.markExpired();
+        const expiredUnits = expiredBatches.reduce((sum, batch) => sum + batch.units, 0);
+        if (expiredUnits === 0) continue;
+
+        expiredBatches.filter(batch => batch.reservedFor).forEach(batch => {
+          const requestId = batch.reservedFor.toString();
+          if (!expiredByRequest.has(requestId)) expiredByRequest.set(requestId, []);
+          expiredByRequest.get(requestId).push({ inventoryId: stock._id, batchId: batch.batchId, units: batch.units });
         });
 
-        if (hospitalExpiredUnits > 0) {
-          await hospital.save();
-          totalExpiredUnits += hospitalExpiredUnits;
-          
-          expiredByHospital.push({
-            hospitalId: hospital._id,
-            hospitalName: hospital.name,
-            expiredUnits: hospitalExpiredUnits
-          });
+        totalExpiredUnits += expiredUnits;
 
-          // Log the expiry processing
-          await this.logInventoryTransaction(hospital._id, {
-            type: 'expiry_processing',
-            units: hospitalExpiredUnits,
-            reason: 'Automated expiry processing',
-            performedBy: 'system',
-            timestamp: new Date()
-          });
-        }
+        const facilityId = stock.facility?._id?.toString() || stock.facility?.toString();
+        const entry = expiredByFacility.get(facilityId) || {
+          hospitalId: facilityId,
+          hospitalName: stock.facility?.name,
+          facilityModel: stock.facilityModel,
+          expiredUnits: 0
+        };
+        entry.expiredUnits += expiredUnits;
+        expiredByFacility.set(facilityId, entry);
       }
 
-      logger.info(`Processed expired inventory: ${totalExpiredUnits} units across ${expiredByHospital.length} hospitals`);
-      
+      const details = [...expiredByFacility.values()];
+
+      if (expiredByRequest.size > 0) {
+        await this.dropExpiredReservations(expiredByRequest);
+      }
+
+      for (const entry of details) {
+        await this.logInventoryTransaction(entry.hospitalId, {
+          type: 'expiry_processing',
+          units: entry.expiredUnits,
+          reason: 'Automated expiry processing',
+          performedBy: 'system',
+          timestamp: new Date()
+        });
+      }
+
+      logger.info(`Processed expired inventory: ${totalExpiredUnits} units across ${details.length} facilities`, 'INVENTORY_SERVICE');
+
       return {
         totalExpiredUnits,
-        affectedHospitals: expiredByHospital.length,
-        details: expiredByHospital
+        affectedHospitals: details.length,
+        details
       };
     } catch (error) {
-      logger.error('Error processing expired inventory:', error);
+      logger.error('Error processing expired inventory', 'INVENTORY_SERVICE', error);
       throw error;
     }
   }
 }
 
-module.exports = new InventoryService();
\ No newline at end of file
+module.exports = new InventoryService();
@@ -1,520 +1,613 @@
+const mongoose = require('mongoose');
+const MessageTemplate = require('../models/MessageTemplate');
+const { MessageTemplateSettings, DefaultMessageTemplates } = require('../config/messageTemplates');
 const logger = require('../utils/logger');
 
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+const SECTION_PATTERN = /\{\{#([a-zA-Z][a-zA-Z0-9_]*)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const TEXT_FIELDS = ['subject', 'header', 'body', 'footer'];
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * One store for WhatsApp, SMS and email message templates.
+ *
+ * Each template (name + channel) has numbered versions; senders always use
+ * the published one, in the recipient's language when a variant exists and
+ * in English otherwise. Rendering and validation are pure so admins can
+ * preview drafts and tests can run without a database.
+ */
 class MessageTemplateService {
   constructor() {
-    this.templates = new Map();
-    this.initializeDefaultTemplates();
+    this.settings = MessageTemplateSettings;
+    this.defaults = new Map(DefaultMessageTemplates.map(template => [this.getKey(template.name, template.channel), template]));
+    this.cache = new Map();
+
     logger.success('Message Template Service initialized', 'TEMPLATE_SERVICE');
   }
 
+  getKey(name, channel) {
+    return `${channel}:${name}`;
+  }
+
   /**
-   * Initialize default message templates
+   * Seed the default templates as published version 1 of any template that
+   * is not in the database yet. Existing templates are never overwritten.
+   * @returns {Promise<number>} Number of templates created
    */
-  initializeDefaultTemplates() {
-    const defaultTemplates = [
-      {
-        name: 'blood_request_urgent',
-        category: 'UTILITY',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '🚨 URGENT BLOOD NEEDED'
-          },
-          {
-            type: 'BODY',
-            text: 'Blood Type: {{1}}\nPatient: {{2}}\nHospital: {{3}}\nLocation: {{4}}\n\nCan you help save a life?\nReply YES to donate or NO if unavailable.'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation'
-          },
-          {
-            type: 'BUTTONS',
-            buttons: [
-              {
-                type: 'QUICK_REPLY',
-                text: '✅ Yes, I can donate'
-              },
-              {
-                type: 'QUICK_REPLY',
-                text: '❌ Cannot donate now'
-              },
-              {
-                type: 'QUICK_REPLY',
-                text: 'ℹ️ More info'
-              }
-            ]
-          }
-        ]
-      },
-      {
-        name: 'blood_request_critical',
-        category: 'UTILITY',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '🆘 CRITICAL EMERGENCY'
-          },
-          {
-            type: 'BODY',
-            text: 'EMERGENCY: {{1}} blood needed IMMEDIATELY\nPatient: {{2}} (Age: {{3}})\nCondition: {{4}}\nHospital: {{5}}\nContact: {{6}}\n\nEVERY MINUTE COUNTS!\nPlease respond immediately if you can help.'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation - Emergency Response'
-          },
-          {
-            type: 'BUTTONS',
-            buttons: [
-              {
-                type: 'QUICK_REPLY',
-                text: '🚨 YES - On my way'
-              },
-              {
-                type: 'QUICK_REPLY',
-                text: '❌ Cannot help'
-              }
-            ]
-          }
-        ]
-      },
-      {
-        name: 'donation_confirmation',
-        category: 'UTILITY',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '🙏 Thank You Hero!'
-          },
-          {
-            type: 'BODY',
-            text: 'Thank you {{1}} for agreeing to donate!\n\nDonation Details:\n📍 Location: {{2}}\n📞 Contact: {{3}}\n⏰ Time: {{4}}\n\nPlease arrive 15 minutes early for screening.\nYour generosity saves lives! ❤️'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation'
-          }
-        ]
-      },
-      {
-        name: 'donor_approval',
-        category: 'UTILITY',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '🎉 Registration Approved!'
-          },
-          {
-            type: 'BODY',
-            text: 'Congratulations {{1}}!\n\nYour blood donor registration has been APPROVED by our admin team.\n\n✅ You are now a verified donor\n✅ You can start receiving donation requests\n✅ Help save lives in your community\n\nThank you for joining our life-saving mission!'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation'
-          }
-        ]
-      },
-      {
-        name: 'donor_rejection',
-        category: 'UTILITY',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '❌ Registration Update'
-          },
-          {
-            type: 'BODY',
-            text: 'Dear {{1}},\n\nUnfortunately, your blood donor registration could not be approved at this time.\n\nReason: {{2}}\n\nYou can reapply after addressing the mentioned concerns. Please contact our support team if you have any questions.'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation\nSupport: http://wa.me/919491254120'
-          }
-        ]
-      },
-      {
-        name: 'otp_verification',
-        category: 'AUTHENTICATION',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '🔐 Verification Code'
-          },
-          {
-            type: 'BODY',
-            text: 'Your CallforBlood Foundation verification code is: *{{1}}*\n\nUse this code to {{2}}.\n\n⏰ This code expires in 5 minutes.\n🔒 For security, don\'t share this code with anyone.'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation'
-          }
-        ]
-      },
-      {
-        name: 'donation_reminder',
-        category: 'UTILITY',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '⏰ Donation Reminder'
-          },
-          {
-            type: 'BODY',
-            text: 'Hi {{1}},\n\nThis is a reminder about your blood donation appointment:\n\n📅 Date: {{2}}\n⏰ Time: {{3}}\n📍 Location: {{4}}\n\nPlease arrive 15 minutes early. If you need to reschedule, please let us know immediately.'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation'
-          },
-          {
-            type: 'BUTTONS',
-            buttons: [
-              {
-                type: 'QUICK_REPLY',
-                text: '✅ Confirmed'
-              },
-              {
-                type: 'QUICK_REPLY',
-                text: '📅 Reschedule'
-              },
-              {
-                type: 'QUICK_REPLY',
-                text: '❌ Cancel'
-              }
-            ]
-          }
-        ]
-      },
-      {
-        name: 'post_donation_thanks',
-        category: 'UTILITY',
-        language: 'en',
-        status: 'APPROVED',
-        components: [
-          {
-            type: 'HEADER',
-            format: 'TEXT',
-            text: '🏆 You\'re a Life Saver!'
-          },
-          {
-            type: 'BODY',
-            text: 'Thank you {{1}} for your blood donation today!\n\n🩸 You donated: {{2}} units\n📋 Donation ID: {{3}}\n📅 Date: {{4}}\n\nYour donation can save up to 3 lives!\nYour digital certificate will be available in 24 hours.\n\nNext eligible donation: {{5}}'
-          },
-          {
-            type: 'FOOTER',
-            text: 'CallforBlood Foundation'
-          }
-        ]
-      }
-    ];
+  async ensureDefaults() {
+    let created = 0;
 
-    // Store templates in memory
-    defaultTemplates.forEach(template => {
-      this.templates.set(template.name, template);
-    });
+    for (const template of DefaultMessageTemplates) {
+      const exists = await MessageTemplate.exists({ name: template.name, channel: template.channel });
+      if (exists) continue;
 
-    logger.success(`Loaded ${defaultTemplates.length} default message templates`, 'TEMPLATE_SERVICE');
+      await MessageTemplate.create({
+        ...template,
+        version: 1,
+        status: 'published',
+        publishedAt: new Date(),
+        changeNote: 'Default template'
+      });
+      created++;
+    }
+
+    if (created > 0) {
+      logger.success(`Seeded ${created} default message templates`, 'TEMPLATE_SERVICE');
+    }
+    return created;
   }
 
   /**
-   * Get all message templates
-   * @returns {Array} Array of templates
+   * Published definition of a template. Falls back to the built-in default
+   * when the database is unavailable, so OTPs and requests still go out.
+   * @returns {Promise<Object|null>}
    */
-  getAllTemplates() {
-    return Array.from(this.templates.values());
+  async getPublished(name, channel) {
+    const key = this.getKey(name, channel);
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.settings.CACHE_TTL_MS) {
+      return cached.template;
+    }
+
+    let template = null;
+    if (mongoose.connection.readyState === 1) {
+      try {
+        template = await MessageTemplate.findPublished(name, channel).lean();
+      } catch (error) {
+        logger.error(`Error loading template ${key}`, 'TEMPLATE_SERVICE', error);
+      }
+    }
+
+    template = template || this.defaults.get(key) || null;
+    if (template) {
+      this.cache.set(key, { template, loadedAt: Date.now() });
+    }
+    return template;
+  }
+
+  clearCache(name, channel) {
+    if (name && channel) {
+      this.cache.delete(this.getKey(name, channel));
+    } else {
+      this.cache.clear();
+    }
   }
 
   /**
-   * Get template by name
-   * @param {string} templateName - Template name
-   * @returns {Object|null} Template object or null
+   * Render the published version of a template
+   * @param {string} name - Template name
+   * @param {string} channel - whatsapp, sms or email
+   * @param {Object} data - Placeholder values
+   * @param {Object} options - { language }
+   * @returns {Promise<Object>} { language, subject, header, body, footer, buttons, parameters }
    */
-  getTemplate(templateName) {
-    const template = this.templates.get(templateName);
+  async render(name, channel, data = {}, options = {}) {
+    const template = await this.getPublished(name, channel);
     if (!template) {
-      logger.warn(`Template not found: ${templateName}`, 'TEMPLATE_SERVICE');
-      return null;
+      throw new Error(`Message template ${channel}/${name} not found`);
     }
-    return template;
+
+    const result = this.renderTemplate(template, data, options.language);
+    if (result.errors.length > 0) {
+      throw new Error(`Cannot render ${channel}/${name}: ${result.errors.join('; ')}`);
+    }
+    return result.rendered;
   }
 
   /**
-   * Add or update template
-   * @param {Object} template - Template object
-   * @returns {boolean} Success status
+   * Variant for a language, falling back to the default language
    */
-  setTemplate(template) {
-    try {
-      if (!template.name || !template.components) {
-        logger.error('Invalid template format', 'TEMPLATE_SERVICE');
-        return false;
-      }
-
-      this.templates.set(template.name, {
-        ...template,
-        updatedAt: new Date().toISOString()
-      });
-
-      logger.success(`Template updated: ${template.name}`, 'TEMPLATE_SERVICE');
-      return true;
-    } catch (error) {
-      logger.error('Error setting template', 'TEMPLATE_SERVICE', error);
-      return false;
-    }
+  selectVariant(template, language) {
+    const variants = template.variants || [];
+    return variants.find(variant => variant.language === language) ||
+      variants.find(variant => variant.language === this.settings.DEFAULT_LANGUAGE) ||
+      variants[0] ||
+      null;
   }
 
   /**
-   * Delete template
-   * @param {string} templateName - Template name
-   * @returns {boolean} Success status
+   * Format one value for display in the variant's language
    */
-  deleteTemplate(templateName) {
-    try {
-      const deleted = this.templates.delete(templateName);
-      if (deleted) {
-        logger.success(`Template deleted: ${templateName}`, 'TEMPLATE_SERVICE');
-      } else {
-        logger.warn(`Template not found for deletion: ${templateName}`, 'TEMPLATE_SERVICE');
+  formatValue(placeholder, value, variant) {
+    if (isEmpty(value)) return '';
+
+    const locale = this.settings.LOCALES[variant.language] || this.settings.LOCALES[this.settings.DEFAULT_LANGUAGE];
+    const timeZone = this.settings.TIME_ZONE;
+
+    switch (placeholder.type) {
+      case 'number': {
+        const digits = placeholder.decimals;
+        return Number(value).toLocaleString(locale, digits === undefined ? {} : {
+          minimumFractionDigits: digits,
+          maximumFractionDigits: digits
+        });
       }
-      return deleted;
-    } catch (error) {
-      logger.error('Error deleting template', 'TEMPLATE_SERVICE', error);
-      return false;
+      case 'date':
+        return new Date(value).toLocaleDateString(locale, { dateStyle: 'medium', timeZone });
+      case 'datetime':
+        return new Date(value).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone });
+      case 'enum':
+        return variant.enumLabels?.[placeholder.name]?.[value] || String(value);
+      default:
+        return String(value);
     }
   }
 
   /**
-   * Format template with parameters
-   * @param {string} templateName - Template name
-   * @param {Array} parameters - Template parameters
-   * @returns {Object|null} Formatted template or null
+   * Check values against the template's placeholder types
+   * @returns {Array<string>} Problems found
    */
-  formatTemplate(templateName, parameters = []) {
-    try {
-      const template = this.getTemplate(templateName);
-      if (!template) {
-        return null;
+  validateValues(template, data = {}) {
+    const errors = [];
+
+    for (const placeholder of template.placeholders || []) {
+      const value = data[placeholder.name];
+
+      if (isEmpty(value)) {
+        if (placeholder.required) {
+          errors.push(`${placeholder.name} is required`);
+        }
+        continue;
       }
 
-      // Clone template to avoid modifying original
-      const formattedTemplate = JSON.parse(JSON.stringify(template));
-
-      // Replace parameters in body text
-      if (formattedTemplate.components) {
-        formattedTemplate.components.forEach(component => {
-          if (component.type === 'BODY' && component.text) {
-            let text = component.text;
-            parameters.forEach((param, index) => {
-              const placeholder = `{{${index + 1}}}`;
-              text = text.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), param);
-            });
-            component.text = text;
+      switch (placeholder.type) {
+        case 'number':
+          if (!Number.isFinite(Number(value))) errors.push(`${placeholder.name} must be a number`);
+          break;
+        case 'date':
+        case 'datetime':
+          if (Number.isNaN(new Date(value).getTime())) errors.push(`${placeholder.name} must be a valid date`);
+          break;
+        case 'phone':
+          if (!/^\+?[0-9][0-9\s-]{6,17}$/.test(String(value))) errors.push(`${placeholder.name} must be a phone number`);
+          break;
+        case 'url':
+          if (!/^https?:\/\/\S+$/i.test(String(value))) errors.push(`${placeholder.name} must be an http(s) URL`);
+          break;
+        case 'enum':
+          if (!(placeholder.values || []).includes(String(value))) {
+            errors.push(`${placeholder.name} must be one of ${(placeholder.values || []).join(', ')}`);
           }
-        });
+          break;
+        default:
+          break;
       }
+    }
 
-      return formattedTemplate;
-    } catch (error) {
-      logger.error('Error formatting template', 'TEMPLATE_SERVICE', error);
-      return null;
+    return errors;
+  }
+
+  /**
+   * Substitute {{field}} placeholders and keep {{#field}}...{{/field}}
+   * sections only when field has a value
+   */
+  renderText(text, values) {
+    if (!text) return text;
+
+    return text
+      .replace(SECTION_PATTERN, (section, field, inner) => (isEmpty(values[field]) ? '' : inner))
+      .replace(PLACEHOLDER_PATTERN, (placeholder, field) => (isEmpty(values[field]) ? '' : values[field]));
+  }
+
+  /**
+   * Render a template definition without touching the store
+   * @param {Object} template - Definition with placeholders and variants
+   * @param {Object} data - Raw placeholder values
+   * @param {string} language - Preferred language
+   * @returns {Object} { rendered, errors }
+   */
+  renderTemplate(template, data = {}, language = this.settings.DEFAULT_LANGUAGE) {
+    const variant = this.selectVariant(template, language);
+    if (!variant) {
+      return { rendered: null, errors: ['Template has no language variants'] };
+    }
+
+    const errors = this.validateValues(template, data);
+    const placeholders = template.placeholders || [];
+    const values = Object.fromEntries(placeholders.map(placeholder => (
+      [placeholder.name, this.formatValue(placeholder, data[placeholder.name], variant)]
+    )));
+
+    const rendered = {
+      language: variant.language,
+      // Formatted values in declaration order, for WhatsApp {{1}}, {{2}}, ...
+      parameters: placeholders.map(placeholder => values[placeholder.name])
+    };
+    TEXT_FIELDS.forEach(field => {
+      if (variant[field]) rendered[field] = this.renderText(variant[field], values);
+    });
+    if (variant.buttons?.length) {
+      rendered.buttons = variant.buttons.map(button => ({ ...button }));
     }
+
+    return { rendered, errors };
   }
 
   /**
-   * Validate template structure
-   * @param {Object} template - Template to validate
-   * @returns {Object} Validation result
+   * Check a template definition before it is saved or published
+   * @returns {Object} { errors, warnings }
    */
   validateTemplate(template) {
     const errors = [];
+    const warnings = [];
+    const { CHANNELS, LANGUAGES, DEFAULT_LANGUAGE, PLACEHOLDER_TYPES, LIMITS } = this.settings;
 
-    if (!template.name) {
-      errors.push('Template name is required');
+    if (!template.name || !/^[a-z][a-z0-9_]*$/.test(template.name)) {
+      errors.push('Name must be lowercase letters, digits and underscores');
+    }
+    if (!CHANNELS.includes(template.channel)) {
+      errors.push(`Channel must be one of ${CHANNELS.join(', ')}`);
     }
 
-    if (!template.category) {
-      errors.push('Template category is required');
+    const declared = new Set();
+    for (const placeholder of template.placeholders || []) {
+      if (declared.has(placeholder.name)) {
+        errors.push(`Placeholder ${placeholder.name} is declared twice`);
+      }
+      declared.add(placeholder.name);
+
+      const type = placeholder.type || 'string';
+      if (!PLACEHOLDER_TYPES.includes(type)) {
+        errors.push(`Placeholder ${placeholder.name} has unknown type ${type}`);
+      }
+      if (type === 'enum' && !(placeholder.values || []).length) {
+        errors.push(`Enum placeholder ${placeholder.name} needs a list of values`);
+      }
     }
 
-    if (!template.language) {
-      errors.push('Template language is required');
+    const variants = template.variants || [];
+    if (variants.length === 0) {
+      errors.push('At least one language variant is required');
+    } else if (!variants.some(variant => variant.language === DEFAULT_LANGUAGE)) {
+      errors.push(`A variant in ${DEFAULT_LANGUAGE} is required as the fallback language`);
     }
 
-    if (!template.components || !Array.isArray(template.components)) {
-      errors.push('Template components array is required');
-    } else {
-      // Validate components
-      const hasBody = template.components.some(comp => comp.type === 'BODY');
-      if (!hasBody) {
-        errors.push('Template must have at least one BODY component');
+    const seenLanguages = new Set();
+    for (const variant of variants) {
+      const label = `${variant.language} variant`;
+
+      if (!LANGUAGES.includes(variant.language)) {
+        errors.push(`${label}: unsupported language`);
+      }
+      if (seenLanguages.has(variant.language)) {
+        errors.push(`${label}: language appears twice`);
       }
+      seenLanguages.add(variant.language);
 
-      template.components.forEach((component, index) => {
-        if (!component.type) {
-          errors.push(`Component ${index + 1}: type is required`);
-        }
+      if (!variant.body) {
+        errors.push(`${label}: body is required`);
+      }
+      if (template.channel === 'email' && !variant.subject) {
+        errors.push(`${label}: email subject is required`);
+      }
+      if (template.channel !== 'whatsapp' && (variant.header || variant.footer || variant.buttons?.length)) {
+        warnings.push(`${label}: header, footer and buttons are only sent on WhatsApp`);
+      }
 
-        if (component.type === 'BODY' && !component.text) {
-          errors.push(`Component ${index + 1}: BODY component must have text`);
+      const used = new Set();
+      TEXT_FIELDS.forEach(field => {
+        const text = variant[field] || '';
+        for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) used.add(name);
+        for (const [, name] of text.matchAll(/\{\{[#/]([a-zA-Z][a-zA-Z0-9_]*)\}\}/g)) used.add(name);
+      });
+      used.forEach(name => {
+        if (!declared.has(name)) errors.push(`${label}: uses undeclared placeholder ${name}`);
+      });
+      (template.placeholders || []).forEach(placeholder => {
+        if (placeholder.required && !used.has(placeholder.name)) {
+          warnings.push(`${label}: required placeholder ${placeholder.name} is not used`);
         }
+      });
 
-        if (component.type === 'HEADER' && component.format === 'TEXT' && !component.text) {
-          errors.push(`Component ${index + 1}: TEXT HEADER component must have text`);
+      const limits = LIMITS[template.channel] || {};
+      ['subject', 'header', 'body', 'footer'].forEach(field => {
+        if (limits[field] && variant[field] && variant[field].length > limits[field]) {
+          errors.push(`${label}: ${field} exceeds ${limits[field]} characters`);
         }
-
-        if (component.type === 'BUTTONS') {
-          if (!component.buttons || !Array.isArray(component.buttons)) {
-            errors.push(`Component ${index + 1}: BUTTONS component must have buttons array`);
-          } else if (component.buttons.length > 3) {
-            errors.push(`Component ${index + 1}: Maximum 3 buttons allowed`);
-          }
+      });
+      if (limits.buttons !== undefined && (variant.buttons || []).length > limits.buttons) {
+        errors.push(`${label}: at most ${limits.buttons} buttons are allowed`);
+      }
+      (variant.buttons || []).forEach(button => {
+        if (limits.buttonText && button.text && button.text.length > limits.buttonText) {
+          errors.push(`${label}: button "${button.text}" exceeds ${limits.buttonText} characters`);
         }
       });
     }
 
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+    return { errors, warnings };
   }
 
   /**
-   * Get templates by category
-   * @param {string} category - Template category
-   * @returns {Array} Array of templates in category
+   * @param {string} text - Message text
+   * @returns {boolean} Text needs UCS-2 (Hindi, emoji, ...) rather than GSM encoding
    */
-  getTemplatesByCategory(category) {
-    return Array.from(this.templates.values())
-      .filter(template => template.category === category);
+  isUnicode(text) {
+    return /[\u0080-\uFFFF]/.test(text);
   }
 
   /**
-   * Search templates by name or content
-   * @param {string} query - Search query
-   * @returns {Array} Array of matching templates
+   * Number of SMS parts a message will be split into
    */
-  searchTemplates(query) {
-    const searchTerm = query.toLowerCase();
-    return Array.from(this.templates.values())
-      .filter(template => {
-        const nameMatch = template.name.toLowerCase().includes(searchTerm);
-        const contentMatch = template.components.some(component => 
-          component.text && component.text.toLowerCase().includes(searchTerm)
-        );
-        return nameMatch || contentMatch;
-      });
+  countSmsSegments(text) {
+    const { segment, unicodeSegment } = this.settings.LIMITS.sms;
+    const unicode = this.isUnicode(text);
+    const length = Array.from(text).length;
+    const size = unicode ? unicodeSegment : segment;
+    // Multi-part messages lose a few characters per part to the joining header
+    const partSize = length > size ? size - (unicode ? 3 : 7) : size;
+
+    return Math.max(1, Math.ceil(length / partSize));
   }
 
   /**
-   * Get template usage statistics
-   * @returns {Object} Usage statistics
+   * Render a template with example values merged with any supplied data,
+   * and report what would go wrong if it were sent
+   * @param {Object} template - Definition to preview
+   * @param {Object} options - { language, data }
+   * @returns {Object} { language, fallback, rendered, values, errors, warnings }
    */
-  getTemplateStats() {
-    const templates = Array.from(this.templates.values());
-    const stats = {
-      total: templates.length,
-      byCategory: {},
-      byStatus: {},
-      byLanguage: {}
-    };
+  previewTemplate(template, { language = this.settings.DEFAULT_LANGUAGE, data = {} } = {}) {
+    const { errors, warnings } = this.validateTemplate(template);
 
-    templates.forEach(template => {
-      // Count by category
-      stats.byCategory[template.category] = (stats.byCategory[template.category] || 0) + 1;
-      
-      // Count by status
-      stats.byStatus[template.status || 'UNKNOWN'] = (stats.byStatus[template.status || 'UNKNOWN'] || 0) + 1;
-      
-      // Count by language
-      stats.byLanguage[template.language] = (stats.byLanguage[template.language] || 0) + 1;
+    const values = {};
+    (template.placeholders || []).forEach(placeholder => {
+      const value = isEmpty(data[placeholder.name]) ? placeholder.example : data[placeholder.name];
+      if (!isEmpty(value)) values[placeholder.name] = value;
     });
 
-    return stats;
+    const { rendered, errors: valueErrors } = this.renderTemplate(template, values, language);
+
+    if (rendered) {
+      const limits = this.settings.LIMITS[template.channel] || {};
+      if (limits.body && rendered.body && rendered.body.length > limits.body) {
+        warnings.push(`Rendered body is ${rendered.body.length} characters, over the ${limits.body} limit`);
+      }
+      if (template.channel === 'sms' && rendered.body) {
+        rendered.segments = this.countSmsSegments(rendered.body);
+        if (rendered.segments > 1) {
+          warnings.push(`Message will be sent as ${rendered.segments} SMS parts`);
+        }
+      }
+    }
+
+    return {
+      language: rendered ? rendered.language : null,
+      fallback: !!rendered && rendered.language !== language,
+      rendered,
+      values,
+      errors: [...errors, ...valueErrors],
+      warnings
+    };
   }
 
   /**
-   * Export templates to JSON
-   * @returns {string} JSON string of all templates
+   * A stored version, the published one when no version is given
+   * @returns {Promise<Object>} Lean template document
    */
-  exportTemplates() {
-    try {
-      const templates = Array.from(this.templates.values());
-      return JSON.stringify(templates, null, 2);
-    } catch (error) {
-      logger.error('Error exporting templates', 'TEMPLATE_SERVICE', error);
-      return null;
+  async getVersion(name, channel, version) {
+    const filter = { name, channel };
+    if (version) {
+      filter.version = Number(version);
+    } else {
+      filter.status = 'published';
     }
+
+    const template = await MessageTemplate.findOne(filter).lean();
+    if (!template) {
+      throw new Error(`Message template ${channel}/${name}${version ? ` version ${version}` : ''} not found`);
+    }
+    return template;
   }
 
   /**
-   * Import templates from JSON
-   * @param {string} jsonData - JSON string of templates
-   * @returns {Object} Import result
+   * Preview a stored version, the published one by default
+   * @param {Object} options - { version, language, data }
    */
-  importTemplates(jsonData) {
-    try {
-      const templates = JSON.parse(jsonData);
-      let imported = 0;
-      let errors = 0;
-
-      if (!Array.isArray(templates)) {
-        throw new Error('Invalid JSON format: expected array of templates');
-      }
+  async preview(name, channel, options = {}) {
+    const template = await this.getVersion(name, channel, options.version);
 
-      templates.forEach(template => {
-        const validation = this.validateTemplate(template);
-        if (validation.valid) {
-          this.setTemplate(template);
-          imported++;
-        } else {
-          logger.error(`Invalid template: ${template.name}`, 'TEMPLATE_SERVICE', validation.errors);
-          errors++;
+    return {
+      name,
+      channel,
+      version: template.version,
+      status: template.status,
+      ...this.previewTemplate(template, options)
+    };
+  }
+
+  /**
+   * Latest version of every template, with the published version number
+   * @param {Object} filters - { channel, search }
+   */
+  async listTemplates(filters = {}) {
+    const match = {};
+    if (filters.channel) match.channel = filters.channel;
+    if (filters.search) {
+      match.name = { $regex: filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const templates = await MessageTemplate.aggregate([
+      { $match: match },
+      { $sort: { version: -1 } },
+      {
+        $group: {
+          _id: { name: '$name', channel: '$channel' },
+          latest: { $first: '$$ROOT' },
+          publishedVersion: { $max: { $cond: [{ $eq: ['$status', 'published'] }, '$version', null] } }
         }
-      });
+      },
+      { $sort: { '_id.channel': 1, '_id.name': 1 } }
+    ]);
+
+    return templates.map(({ latest, publishedVersion }) => ({
+      name: latest.name,
+      channel: latest.channel,
+      description: latest.description,
+      category: latest.category,
+      latestVersion: latest.version,
+      latestStatus: latest.status,
+      publishedVersion,
+      languages: latest.variants.map(variant => variant.language),
+      updatedAt: latest.updatedAt
+    }));
+  }
+
+  async getVersions(name, channel) {
+    const versions = await MessageTemplate.find({ name, channel })
+      .sort({ version: -1 })
+      .populate('createdBy publishedBy', 'name email')
+      .lean();
 
-      logger.success(`Imported ${imported} templates, ${errors} errors`, 'TEMPLATE_SERVICE');
-      
-      return {
-        success: true,
-        imported,
-        errors,
-        message: `Successfully imported ${imported} templates`
-      };
-
-    } catch (error) {
-      logger.error('Error importing templates', 'TEMPLATE_SERVICE', error);
-      return {
-        success: false,
-        imported: 0,
-        errors: 1,
-        message: error.message
-      };
+    if (versions.length === 0) {
+      throw new Error(`Message template ${channel}/${name} not found`);
     }
+    return versions;
+  }
+
+  /**
+   * Save the full definition as the next version of the template, or as
+   * version 1 of a new one. Only one draft per template may be open.
+   */
+  async createDraft(definition, userId) {
+    const { errors } = this.validateTemplate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template: ${errors.join('; ')}`);
+    }
+
+    const { name, channel } = definition;
+    const existingDraft = await MessageTemplate.findOne({ name, channel, status: 'draft' }).select('version').lean();
+    if (existingDraft) {
+      throw new Error(`Version ${existingDraft.version} of ${channel}/${name} is still a draft; update or publish it first`);
+    }
+
+    const version = (await MessageTemplate.getLatestVersion(name, channel)) + 1;
+    const draft = await MessageTemplate.create({
+      name,
+      channel,
+      version,
+      status: 'draft',
+      description: definition.description,
+      category: definition.category,
+      placeholders: definition.placeholders || [],
+      variants: definition.variants,
+      changeNote: definition.changeNote,
+      createdBy: userId
+    });
+
+    logger.info(`Created draft ${channel}/${name} v${version}`, 'TEMPLATE_SERVICE');
+    return draft;
+  }
+
+  async updateDraft(name, channel, version, changes, userId) {
+    const draft = await MessageTemplate.findOne({ name, channel, version: Number(version) });
+    if (!draft) {
+      throw new Error(`Message template ${channel}/${name} version ${version} not found`);
+    }
+    if (draft.status !== 'draft') {
+      throw new Error(`Version ${version} is ${draft.status}; only drafts can be edited`);
+    }
+
+    ['description', 'category', 'placeholders', 'variants', 'changeNote'].forEach(field => {
+      if (changes[field] !== undefined) draft[field] = changes[field];
+    });
+
+    const { errors } = this.validateTemplate(draft.toObject());
+    if (errors.length > 0) {
+      throw new Error(`Invalid template: ${errors.join('; ')}`);
+    }
+
+    draft.createdBy = draft.createdBy || userId;
+    await draft.save();
+    return draft;
+  }
+
+  /**
+   * Publish a draft. The previously published version is archived and
+   * senders pick up the new one on their next render.
+   */
+  async publish(name, channel, version, userId) {
+    const draft = await MessageTemplate.findOne({ name, channel, version: Number(version) });
+    if (!draft) {
+      throw new Error(`Message template ${channel}/${name} version ${version} not found`);
+    }
+    if (draft.status !== 'draft') {
+      throw new Error(`Version ${version} is ${draft.status}; only drafts can be published`);
+    }
+
+    const { errors } = this.validateTemplate(draft.toObject());
+    if (errors.length > 0) {
+      throw new Error(`Invalid template: ${errors.join('; ')}`);
+    }
+
+    const now = new Date();
+    const previous = await MessageTemplate.findOneAndUpdate(
+      { name, channel, status: 'published' },
+      { $set: { status: 'archived', archivedAt: now } }
+    );
+
+    draft.status = 'published';
+    draft.publishedBy = userId;
+    draft.publishedAt = now;
+    await draft.save();
+
+    this.clearCache(name, channel);
+    logger.success(`Published ${channel}/${name} v${draft.version}`, 'TEMPLATE_SERVICE');
+
+    return { template: draft, previousVersion: previous ? previous.version : null };
+  }
+
+  /**
+   * Components in the format the WhatsApp Business API expects, with named
+   * placeholders turned into {{1}}, {{2}}, ... in declaration order
+   */
+  toWhatsAppComponents(template, language = this.settings.DEFAULT_LANGUAGE) {
+    const variant = this.selectVariant(template, language);
+    const positions = Object.fromEntries((template.placeholders || []).map((placeholder, index) => [placeholder.name, index + 1]));
+    const positional = text => text.replace(PLACEHOLDER_PATTERN, (placeholder, field) => `{{${positions[field]}}}`);
+
+    const components = [];
+    if (variant.header) components.push({ type: 'HEADER', format: 'TEXT', text: positional(variant.header) });
+    components.push({ type: 'BODY', text: positional(variant.body) });
+    if (variant.footer) components.push({ type: 'FOOTER', text: variant.footer });
+    if (variant.buttons?.length) components.push({ type: 'BUTTONS', buttons: variant.buttons });
+
+    return components;
+  }
+
+  /**
+   * Record the outcome of submitting a WhatsApp template version to Meta
+   */
+  async recordProviderSubmission(name, version, provider) {
+    await MessageTemplate.updateOne(
+      { name, channel: 'whatsapp', version: Number(version) },
+      { $set: { provider: { ...provider, submittedAt: new Date() } } }
+    );
   }
 }
 
 // Create singleton instance
 const messageTemplateService = new MessageTemplateService();
 
-module.exports = messageTemplateService;
\ No newline at end of file
+module.exports = messageTemplateService;
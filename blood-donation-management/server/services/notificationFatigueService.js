@@ -0,0 +1,297 @@
+const User = require('../models/User');
+const NotificationSettings = require('../models/NotificationSettings');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pages kept per donor. Fairness bottoms out well before this at the default settings.
+const PAGE_HISTORY_LIMIT = 100;
+
+const DEFAULT_SNOOZE_DAYS = 7;
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  maxPerDay: 2,
+  maxPerWeek: 5,
+  declineCooldownHours: 72,
+  maxSnoozeDays: 30,
+  fairnessWindowDays: 30,
+  fairnessWeight: 40
+};
+
+const after = (dates = [], since) => dates.filter(date => new Date(date) > since).length;
+
+// Donors whose snooze or cool-down has not been set or has run out
+const notActive = (field, asOf) => ({
+  $or: [
+    { [`notificationFatigue.${field}`]: null },
+    { [`notificationFatigue.${field}`]: { $lte: asOf } }
+  ]
+});
+
+// Aggregation expression: donor was paged fewer than `limit` times after `since`
+const pagedFewerThan = (limit, since) => ({
+  $lt: [
+    {
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$notificationFatigue.pagedAt', []] },
+          cond: { $gt: ['$$this', since] }
+        }
+      }
+    },
+    limit
+  ]
+});
+
+/**
+ * Keeps donors from being paged for blood requests too often: daily and
+ * weekly caps, a cool-down after a decline, donor-requested snoozes, and a
+ * fairness score that moves matching towards donors who were paged least.
+ */
+class NotificationFatigueService {
+  constructor() {
+    this.defaultSnoozeDays = DEFAULT_SNOOZE_DAYS;
+  }
+
+  /**
+   * Fatigue settings from NotificationSettings, or the defaults if they cannot be loaded
+   * @returns {Promise<Object>} Fatigue settings
+   */
+  async getSettings() {
+    try {
+      const settings = await NotificationSettings.getSettings();
+      return { ...DEFAULT_SETTINGS, ...(settings.toObject().fatigue || {}) };
+    } catch (error) {
+      logger.warn('Could not load fatigue settings, using defaults', 'NOTIFICATION_FATIGUE', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Query filter for donors who have not snoozed alerts. Snoozes are the
+   * donor's own choice, so they apply to every kind of outreach and even
+   * with fatigue controls switched off.
+   * @param {Date} asOf - Evaluation time
+   * @returns {Object} MongoDB filter
+   */
+  buildSnoozeFilter(asOf = new Date()) {
+    return notActive('snoozedUntil', asOf);
+  }
+
+  /**
+   * Query filter for donors who have not used up their daily or weekly pages.
+   * Applied in the query so capped donors do not take up places in a limited
+   * result set.
+   * @param {Object} settings - Fatigue settings
+   * @param {Date} asOf - Evaluation time
+   * @returns {Object} MongoDB filter
+   */
+  buildCapFilter(settings, asOf = new Date()) {
+    return {
+      $expr: {
+        $and: [
+          pagedFewerThan(settings.maxPerDay, new Date(asOf.getTime() - DAY_MS)),
+          pagedFewerThan(settings.maxPerWeek, new Date(asOf.getTime() - 7 * DAY_MS))
+        ]
+      }
+    };
+  }
+
+  /**
+   * Query filter for donors who are not snoozed, cooling down after a decline
+   * or at their paging caps
+   * @param {Object} settings - Fatigue settings
+   * @param {Date} asOf - Evaluation time
+   * @returns {Object} MongoDB filter
+   */
+  buildMatchingFilter(settings, asOf = new Date()) {
+    const conditions = [this.buildSnoozeFilter(asOf)];
+    if (settings.enabled) {
+      conditions.push(notActive('cooldownUntil', asOf));
+      conditions.push(this.buildCapFilter(settings, asOf));
+    }
+
+    return { $and: conditions };
+  }
+
+  /**
+   * Pages a donor received in the last day and week
+   * @param {Object} donor - Donor with notificationFatigue
+   * @param {Date} asOf - Evaluation time
+   * @returns {Object} { today, thisWeek }
+   */
+  countRecentPages(donor, asOf = new Date()) {
+    const pagedAt = donor.notificationFatigue?.pagedAt || [];
+    return {
+      today: after(pagedAt, new Date(asOf.getTime() - DAY_MS)),
+      thisWeek: after(pagedAt, new Date(asOf.getTime() - 7 * DAY_MS))
+    };
+  }
+
+  /**
+   * Whether a donor has used up their daily or weekly pages
+   * @param {Object} donor - Donor with notificationFatigue
+   * @param {Object} settings - Fatigue settings
+   * @param {Date} asOf - Evaluation time
+   * @returns {boolean} True if the donor must not be paged
+   */
+  isCapped(donor, settings, asOf = new Date()) {
+    if (!settings.enabled) return false;
+
+    const { today, thisWeek } = this.countRecentPages(donor, asOf);
+    return today >= settings.maxPerDay || thisWeek >= settings.maxPerWeek;
+  }
+
+  /**
+   * 0-100 score that falls as a donor uses up the pages the weekly cap
+   * allows over the fairness window
+   * @param {Array<Date>} pagedAt - Page history
+   * @param {Object} settings - Fatigue settings
+   * @param {Date} asOf - Evaluation time
+   * @returns {number} Fairness score
+   */
+  getFairnessScore(pagedAt = [], settings, asOf = new Date()) {
+    const windowStart = new Date(asOf.getTime() - settings.fairnessWindowDays * DAY_MS);
+    const pages = after(pagedAt, windowStart);
+    const budget = Math.max(1, settings.maxPerWeek * settings.fairnessWindowDays / 7);
+
+    return Math.round(100 * Math.max(0, 1 - pages / budget));
+  }
+
+  /**
+   * Record that donors were paged and update their fairness scores
+   * @param {Array} donors - Donors that were paged, with notificationFatigue
+   * @param {Object} settings - Fatigue settings
+   * @param {Date} at - Time of the page
+   */
+  async recordPages(donors, settings, at = new Date()) {
+    if (donors.length === 0) return;
+
+    try {
+      await User.bulkWrite(donors.map(donor => {
+        const pagedAt = [...(donor.notificationFatigue?.pagedAt || []), at];
+        return {
+          updateOne: {
+            filter: { _id: donor._id },
+            update: {
+              $push: { 'notificationFatigue.pagedAt': { $each: [at], $slice: -PAGE_HISTORY_LIMIT } },
+              $set: {
+                'notificationFatigue.lastPagedAt': at,
+                'notificationFatigue.fairnessScore': this.getFairnessScore(pagedAt, settings, at)
+              }
+            }
+          }
+        };
+      }), { ordered: false });
+    } catch (error) {
+      // Matching carries on; the worst case is a donor paged once more than the cap
+      logger.error(`Failed to record pages for ${donors.length} donors`, 'NOTIFICATION_FATIGUE', error);
+    }
+  }
+
+  /**
+   * Hold off paging a donor who declined a request
+   * @param {string} donorId - Donor ID
+   * @returns {Promise<Date|null>} End of the cool-down, or null if none applies
+   */
+  async startCooldown(donorId) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled || settings.declineCooldownHours === 0) return null;
+
+      const cooldownUntil = new Date(Date.now() + settings.declineCooldownHours * 60 * 60 * 1000);
+      await User.updateOne(
+        { _id: donorId },
+        { $max: { 'notificationFatigue.cooldownUntil': cooldownUntil } }
+      );
+
+      logger.debug(`Donor ${donorId} cooling down until ${cooldownUntil.toISOString()}`, 'NOTIFICATION_FATIGUE');
+      return cooldownUntil;
+    } catch (error) {
+      logger.error(`Failed to start cool-down for donor ${donorId}`, 'NOTIFICATION_FATIGUE', error);
+      return null;
+    }
+  }
+
+  /**
+   * Pause blood request alerts for a donor. Longer snoozes are cut to the
+   * configured maximum.
+   * @param {string} userId - Donor ID
+   * @param {number} days - Requested snooze length
+   * @param {string} source - whatsapp, sms, app or admin
+   * @returns {Promise<Object>} { snoozedUntil, days }
+   */
+  async snooze(userId, days = DEFAULT_SNOOZE_DAYS, source = 'app') {
+    const settings = await this.getSettings();
+    const effectiveDays = Math.min(Math.max(1, Math.floor(days)), settings.maxSnoozeDays);
+    const snoozedUntil = new Date(Date.now() + effectiveDays * DAY_MS);
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'notificationFatigue.snoozedUntil': snoozedUntil, 'notificationFatigue.snoozeSource': source } },
+      { new: true }
+    ).select('_id');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    logger.info(`Donor ${userId} snoozed alerts for ${effectiveDays} days via ${source}`, 'NOTIFICATION_FATIGUE');
+    return { snoozedUntil, days: effectiveDays };
+  }
+
+  /**
+   * End a snooze early
+   * @param {string} userId - Donor ID
+   * @returns {Promise<boolean>} Whether the donor was snoozed
+   */
+  async resume(userId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'notificationFatigue.snoozedUntil': { $gt: new Date() } },
+      { $unset: { 'notificationFatigue.snoozedUntil': 1, 'notificationFatigue.snoozeSource': 1 } }
+    ).select('_id');
+
+    return !!user;
+  }
+
+  /**
+   * Current paging limits and history for a donor
+   * @param {string} userId - Donor ID
+   * @returns {Promise<Object>} Fatigue status
+   */
+  async getStatus(userId) {
+    const [user, settings] = await Promise.all([
+      User.findById(userId).select('notificationFatigue').lean(),
+      this.getSettings()
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const now = new Date();
+    const fatigue = user.notificationFatigue || {};
+    const active = date => (date && new Date(date) > now ? date : null);
+
+    return {
+      snoozedUntil: active(fatigue.snoozedUntil),
+      snoozeSource: active(fatigue.snoozedUntil) ? fatigue.snoozeSource : null,
+      cooldownUntil: settings.enabled ? active(fatigue.cooldownUntil) : null,
+      lastPagedAt: fatigue.lastPagedAt || null,
+      pages: this.countRecentPages(user, now),
+      capped: this.isCapped(user, settings, now),
+      fairnessScore: this.getFairnessScore(fatigue.pagedAt, settings, now),
+      limits: {
+        maxPerDay: settings.maxPerDay,
+        maxPerWeek: settings.maxPerWeek,
+        maxSnoozeDays: settings.maxSnoozeDays
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const notificationFatigueService = new NotificationFatigueService();
+
+module.exports = notificationFatigueService;
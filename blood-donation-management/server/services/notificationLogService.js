@@ -0,0 +1,209 @@
+const NotificationLog = require('../models/NotificationLog');
+const logger = require('../utils/logger');
+
+// Provider statuses mapped onto the log lifecycle. Anything not listed
+// (Twilio "sending", "accepted", WhatsApp "deleted", ...) is recorded in the
+// history but does not change the status.
+const PROVIDER_STATUS = {
+  whatsapp: {
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'read',
+    failed: 'failed'
+  },
+  sms: {
+    queued: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'read',
+    undelivered: 'failed',
+    failed: 'failed',
+    canceled: 'failed'
+  }
+};
+
+/**
+ * Records the lifecycle of every message NotificationService sends, one log
+ * per channel attempt, and applies provider receipts to it. Writes never
+ * throw: losing a log entry must not stop an emergency alert going out.
+ */
+class NotificationLogService {
+  /**
+   * Log a channel attempt before it is handed to the provider
+   * @param {Object} notification - Notification passed to sendNotification
+   * @param {Object} attempt - { notificationId, channel, attempt }
+   * @returns {Promise<Object|null>} Log document
+   */
+  async recordQueued(notification, { notificationId, channel, attempt = 1 }) {
+    try {
+      const log = new NotificationLog({
+        notificationId,
+        channel,
+        attempt,
+        type: notification.type,
+        priority: notification.priority,
+        templateName: { whatsapp: notification.templateName, sms: notification.smsTemplate }[channel],
+        user: notification.userId,
+        phoneNumber: notification.phoneNumber,
+        email: notification.email,
+        requestId: notification.metadata?.requestId,
+        metadata: notification.metadata
+      });
+      log.statusHistory.push({ status: 'queued', source: 'send' });
+
+      await log.save();
+      return log;
+    } catch (error) {
+      logger.error(`Failed to log ${channel} notification ${notificationId}`, 'NOTIFICATION_LOG', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record what the provider said when the message was handed over
+   * @param {Object} log - Log from recordQueued
+   * @param {Object} result - Channel send result
+   */
+  async recordSendResult(log, result) {
+    if (!log) return;
+
+    try {
+      if (result.success) {
+        log.providerMessageId = result.messageId;
+        log.simulated = !!result.simulated;
+        log.applyStatus('sent', { source: 'send', providerStatus: result.status });
+      } else {
+        log.error = { code: result.error, message: result.message };
+        log.applyStatus('failed', { source: 'send', error: result.message });
+      }
+      await log.save();
+    } catch (error) {
+      logger.error(`Failed to update notification log ${log.notificationId}`, 'NOTIFICATION_LOG', error);
+    }
+  }
+
+  /**
+   * Apply a delivery receipt from a provider webhook
+   * @param {string} channel - whatsapp or sms
+   * @param {string} providerMessageId - wamid or Twilio SID
+   * @param {string} providerStatus - Status as the provider names it
+   * @param {Object} details - { at, error, source }
+   * @returns {Promise<Object|null>} Updated log, or null if the message is unknown
+   */
+  async applyProviderStatus(channel, providerMessageId, providerStatus, details = {}) {
+    try {
+      const log = await NotificationLog.findOne({ channel, providerMessageId });
+      if (!log) {
+        logger.debug(`No notification log for ${channel} message ${providerMessageId}`, 'NOTIFICATION_LOG');
+        return null;
+      }
+
+      const status = PROVIDER_STATUS[channel]?.[providerStatus];
+      if (status) {
+        log.applyStatus(status, { ...details, providerStatus });
+      } else {
+        log.statusHistory.push({ status: log.status, providerStatus, source: details.source, at: details.at });
+      }
+
+      await log.save();
+      return log;
+    } catch (error) {
+      logger.error(`Failed to apply ${channel} status ${providerStatus} to ${providerMessageId}`, 'NOTIFICATION_LOG', error);
+      return null;
+    }
+  }
+
+  /**
+   * Search logs for the admin console
+   * @param {Object} filters - { requestId, userId, phoneNumber, channel, status, type, page, limit }
+   */
+  async listLogs({ requestId, userId, phoneNumber, channel, status, type, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (requestId) filter.requestId = requestId;
+    if (userId) filter.user = userId;
+    if (phoneNumber) filter.phoneNumber = phoneNumber;
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [logs, total] = await Promise.all([
+      NotificationLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('user', 'name phoneNumber bloodType')
+        .lean(),
+      NotificationLog.countDocuments(filter)
+    ]);
+
+    return { logs, total };
+  }
+
+  /**
+   * Who a blood request's alerts actually reached. Each donor is counted
+   * once, by the furthest status any channel got to.
+   * @param {string} requestId - Blood request ID
+   * @param {Object} options - { withDonorDetails } adds donor names for the admin view
+   * @returns {Promise<Object>} { summary, byChannel, recipients }
+   */
+  async getRequestDeliveryReport(requestId, { withDonorDetails = true } = {}) {
+    const query = NotificationLog.find({ requestId })
+      .select('user phoneNumber channel status deliveredAt readAt updatedAt')
+      .sort({ createdAt: 1 });
+    if (withDonorDetails) {
+      query.populate('user', 'name phoneNumber bloodType');
+    }
+    const logs = await query.lean();
+
+    const byChannel = {};
+    const recipients = new Map();
+    const rank = status => (status === 'failed' ? -1 : NotificationLog.STATUS_RANK[status]);
+
+    for (const log of logs) {
+      byChannel[log.channel] = byChannel[log.channel] || { queued: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+      byChannel[log.channel][log.status]++;
+
+      const key = log.user ? String(log.user._id || log.user) : log.phoneNumber;
+      const recipient = recipients.get(key) || {
+        user: log.user || null,
+        phoneNumber: log.phoneNumber,
+        status: 'failed',
+        channel: null,
+        channels: [],
+        deliveredAt: null,
+        readAt: null
+      };
+
+      recipient.channels.push({ channel: log.channel, status: log.status, at: log.updatedAt });
+      if (rank(log.status) > rank(recipient.status) || !recipient.channel) {
+        recipient.status = log.status;
+        recipient.channel = log.channel;
+      }
+      recipient.deliveredAt = recipient.deliveredAt || log.deliveredAt || null;
+      recipient.readAt = recipient.readAt || log.readAt || null;
+      recipients.set(key, recipient);
+    }
+
+    const list = Array.from(recipients.values());
+    const count = predicate => list.filter(predicate).length;
+
+    return {
+      requestId,
+      summary: {
+        recipients: list.length,
+        sent: count(r => r.status !== 'failed' && r.status !== 'queued'),
+        reached: count(r => ['delivered', 'read'].includes(r.status)),
+        seen: count(r => r.status === 'read'),
+        failed: count(r => r.status === 'failed')
+      },
+      byChannel,
+      recipients: list.sort((a, b) => rank(b.status) - rank(a.status))
+    };
+  }
+}
+
+// Create singleton instance
+const notificationLogService = new NotificationLogService();
+
+module.exports = notificationLogService;
@@ -1,6 +1,8 @@
 const whatsappService = require('./whatsappService');
 const smsService = require('./smsService');
 const emailService = require('./emailService');
+const notificationLogService = require('./notificationLogService');
+const consentService = require('./consentService');
 const logger = require('../utils/logger');
 
 class NotificationService {
@@ -36,7 +38,9 @@ class NotificationService {
 
     logger.info(`Sending ${type} notification to ${this.maskPhoneNumber(phoneNumber)}`, 'NOTIFICATION_SERVICE');
 
-    const notificationId = this.generateNotificationId();
+    // Retries keep the original id so every attempt shows up under one notification
+    const notificationId = notification.notificationId || this.generateNotificationId();
+    const attempt = notification.attempt || 1;
     const result = {
       id: notificationId,
       success: false,
@@ -49,21 +53,34 @@ class NotificationService {
 
     // Determine channel order using admin-configured settings with fallback
     const orderedChannels = await this.getAdminChannelOrder(channels, userPreferences, priority, metadata?.urgency);
+    const withdrawnChannels = await this.getWithdrawnChannels(notification);
 
     // Try each channel in order until success
     for (const channel of orderedChannels) {
+      if (withdrawnChannels.has(channel)) {
+        logger.info(`Skipping ${channel} for notification ${notificationId}: recipient withdrew consent`, 'NOTIFICATION_SERVICE');
+        result.channelResults[channel] = {
+          success: false,
+          error: 'CONSENT_WITHDRAWN',
+          message: `Recipient has opted out of ${channel}`
+        };
+        continue;
+      }
+
+      let log = null;
       try {
         logger.info(`Attempting ${channel} for notification ${notificationId}`, 'NOTIFICATION_SERVICE');
         
         result.channelsAttempted.push(channel);
-        
+        log = await notificationLogService.recordQueued(notification, { notificationId, channel, attempt });
+
         let channelResult;
         switch (channel) {
           case 'whatsapp':
             channelResult = await this.sendWhatsAppNotification(phoneNumber, message, templateName, templateParams);
             break;
           case 'sms':
-            channelResult = await this.sendSMSNotification(phoneNumber, message);
+            channelResult = await this.sendSMSNotification(phoneNumber, message, notification.smsTemplate);
             break;
           case 'email':
             channelResult = await this.sendEmailNotification(notification.email || userPreferences.email, message, type);
@@ -76,6 +93,7 @@ class NotificationService {
         }
 
         result.channelResults[channel] = channelResult;
+        await notificationLogService.recordSendResult(log, channelResult);
 
         if (channelResult.success) {
           result.success = true;
@@ -96,13 +114,19 @@ class NotificationService {
           error: 'CHANNEL_ERROR',
           message: error.message
         };
+        await notificationLogService.recordSendResult(log, result.channelResults[channel]);
       }
     }
 
-    // If all channels failed, queue for retry
-    if (!result.success) {
+    // If all channels failed, queue for retry. Retries are re-queued by
+    // processRetryQueue itself, not here.
+    if (!result.success && result.channelsAttempted.length === 0 && withdrawnChannels.size > 0) {
+      result.message = 'No channel the recipient consented to';
+    } else if (!result.success && attempt === 1) {
       await this.queueForRetry(notification, result);
       result.message = 'All channels failed, queued for retry';
+    } else if (!result.success) {
+      result.message = `All channels failed on attempt ${attempt}`;
     }
 
     // Log notification attempt
@@ -111,6 +135,24 @@ class NotificationService {
     return result;
   }
 
+  /**
+   * Channels the recipient opted out of. If the ledger cannot be read the
+   * notification goes out anyway, since it may be an emergency alert.
+   * @param {Object} notification - Notification data
+   * @returns {Promise<Set<string>>} Channels to skip
+   */
+  async getWithdrawnChannels(notification) {
+    try {
+      return await consentService.getWithdrawnChannels({
+        phoneNumber: notification.phoneNumber,
+        email: notification.email || notification.userPreferences?.email
+      });
+    } catch (error) {
+      logger.error('Could not check consent, sending without it', 'NOTIFICATION_SERVICE', error);
+      return new Set();
+    }
+  }
+
   async getAdminChannelOrder(defaultChannels, userPreferences, priority, urgency) {
     try {
       const NotificationSettings = require('../models/NotificationSettings');
@@ -130,18 +172,40 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send a web push to every browser the user subscribed. Subscriptions the
+   * push service reports as gone (404/410) are removed.
+   * @param {Object} notification - Notification data
+   * @returns {Promise<Object>} Send result, successful if any browser accepted it
+   */
   async sendWebPushNotification(notification) {
     try {
       const webpush = require('web-push');
       const PushSubscription = require('../models/PushSubscription');
       const { userId, title = 'CallforBlood Foundation', message, metadata } = notification;
       const subs = await PushSubscription.find({ userId });
-      if (!subs.length) return { success: false, message: 'NO_SUBSCRIPTIONS' };
+      if (!subs.length) return { success: false, error: 'NO_SUBSCRIPTIONS', message: 'NO_SUBSCRIPTIONS' };
       const payload = JSON.stringify({ title, body: message, data: { metadata } });
-      await Promise.all(
+      const outcomes = await Promise.allSettled(
         subs.map(s => webpush.sendNotification({ endpoint: s.endpoint, keys: s.keys }, payload))
       );
-      return { success: true };
+
+      const expired = subs.filter((s, index) => [404, 410].includes(outcomes[index].reason?.statusCode));
+      if (expired.length) {
+        await PushSubscription.deleteMany({ _id: { $in: expired.map(s => s._id) } });
+        logger.info(`Removed ${expired.length} expired push subscriptions`, 'NOTIFICATION_SERVICE');
+      }
+
+      const accepted = outcomes.filter(outcome => outcome.status === 'fulfilled').length;
+      if (accepted === 0) {
+        const reason = outcomes[0].reason;
+        return {
+          success: false,
+          error: 'PUSH_REJECTED',
+          message: reason?.body || reason?.message || 'Push service rejected the notification'
+        };
+      }
+      return { success: true, delivered: accepted, rejected: outcomes.length - accepted };
     } catch (error) {
       logger.error('Web Push notification failed', 'NOTIFICATION_SERVICE', error);
       return { success: false, message: error.message };
@@ -177,11 +241,12 @@ class NotificationService {
    * Send SMS notification
    * @param {string} phoneNumber - Phone number
    * @param {string} message - Message text
+   * @param {string} templateName - SMS template the text was rendered from, for DLT routes
    * @returns {Promise<Object>} Send result
    */
-  async sendSMSNotification(phoneNumber, message) {
+  async sendSMSNotification(phoneNumber, message, templateName = null) {
     try {
-      return await smsService.sendSMS(phoneNumber, message);
+      return await smsService.sendSMS(phoneNumber, message, { templateName });
     } catch (error) {
       logger.error('SMS notification failed', 'NOTIFICATION_SERVICE', error);
       return {
@@ -311,7 +376,7 @@ class NotificationService {
     const retryId = this.generateRetryId();
     const retryData = {
       id: retryId,
-      notification,
+      notification: { ...notification, notificationId: lastResult.id },
       attempts: 1,
       lastResult,
       nextRetry: new Date(Date.now() + this.retryDelay),
@@ -341,7 +406,10 @@ class NotificationService {
       try {
         logger.info(`Retrying notification: ${retryItem.id} (attempt ${retryItem.attempts + 1})`, 'NOTIFICATION_SERVICE');
         
-        const result = await this.sendNotification(retryItem.notification);
+        const result = await this.sendNotification({
+          ...retryItem.notification,
+          attempt: retryItem.attempts + 1
+        });
         
         if (result.success) {
           // Success - remove from retry queue
@@ -433,6 +501,7 @@ class NotificationService {
       'registration_approved': '🎉 Blood Donor Registration Approved',
       'registration_rejected': '❌ Blood Donor Registration Update',
       'otp_verification': '🔐 Verification Code - CallforBlood Foundation',
+      'achievement_earned': '🏅 You Earned a New Badge',
       'general': '📢 CallforBlood Foundation Notification'
     };
 
@@ -0,0 +1,668 @@
+const mongoose = require('mongoose');
+const HealthQuestionnaire = require('../models/HealthQuestionnaire');
+const User = require('../models/User');
+const eligibilityService = require('./eligibilityService');
+const { QuestionnaireSettings, DefaultQuestionnaire } = require('../config/healthQuestionnaire');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+const BOOLEAN_VALUES = { true: true, yes: true, false: false, no: false };
+
+/**
+ * Versioned donor health questionnaire and automatic screening.
+ *
+ * Donors answer the published version; their answers are checked against
+ * the outcomes of that same version, which clears them, defers them for a
+ * period or flags them for medical review. Publishing a version that
+ * changes guidelines asks the donors it affects to answer again.
+ *
+ * Validation and screening are pure so they can be tested and previewed
+ * without a database.
+ */
+class QuestionnaireService {
+  constructor() {
+    this.settings = QuestionnaireSettings;
+    this.default = { ...DefaultQuestionnaire, version: 1, status: 'published' };
+    this.cache = null;
+  }
+
+  /**
+   * Whether an answer meets a condition
+   * @param {Object} condition - One operator, e.g. { equals: true } or { withinDays: 90 }
+   * @param {*} answer - Normalized answer
+   * @param {Date} answeredAt - When the questionnaire was answered
+   * @returns {boolean}
+   */
+  matches(condition, answer, answeredAt) {
+    if (!condition || isEmpty(answer)) return false;
+
+    if ('equals' in condition) return answer === condition.equals;
+    if (condition.in) return condition.in.includes(answer);
+    if (condition.includesAny) {
+      return Array.isArray(answer) && answer.some(value => condition.includesAny.includes(value));
+    }
+    if (condition.withinDays !== undefined) {
+      const date = toDate(answer);
+      return !!date && date > addDays(answeredAt, -condition.withinDays);
+    }
+    if (condition.lessThan !== undefined) return answer < condition.lessThan;
+    if (condition.greaterThan !== undefined) return answer > condition.greaterThan;
+
+    return false;
+  }
+
+  /**
+   * Whether a question is asked, given the answers so far
+   */
+  isVisible(question, answers, answeredAt) {
+    if (!question.showIf) return true;
+    return this.matches(question.showIf, answers[question.showIf.question], answeredAt);
+  }
+
+  /**
+   * Check a condition against the question it applies to
+   * @returns {Array<string>} Errors
+   */
+  validateCondition(condition, question, label) {
+    const operators = Object.keys(condition || {}).filter(key => key !== 'question');
+    if (operators.length !== 1 || !this.settings.CONDITION_OPERATORS.includes(operators[0])) {
+      return [`${label} needs exactly one of ${this.settings.CONDITION_OPERATORS.join(', ')}`];
+    }
+
+    const [operator] = operators;
+    const operand = condition[operator];
+    const optionValues = (question.options || []).map(option => option.value);
+    const errors = [];
+
+    if (operator === 'withinDays' && question.type !== 'date') {
+      errors.push(`${label}: withinDays only applies to date questions`);
+    }
+    if (['lessThan', 'greaterThan'].includes(operator) && question.type !== 'number') {
+      errors.push(`${label}: ${operator} only applies to number questions`);
+    }
+    if (operator === 'includesAny' && question.type !== 'multi_choice') {
+      errors.push(`${label}: includesAny only applies to multi_choice questions`);
+    }
+    if (['in', 'includesAny'].includes(operator) && !Array.isArray(operand)) {
+      errors.push(`${label}: ${operator} takes a list of values`);
+    }
+    if (['withinDays', 'lessThan', 'greaterThan'].includes(operator) && typeof operand !== 'number') {
+      errors.push(`${label}: ${operator} takes a number`);
+    }
+
+    // Values compared with a choice question must be among its options
+    if (['single_choice', 'multi_choice'].includes(question.type) && ['equals', 'in', 'includesAny'].includes(operator)) {
+      const unknown = [].concat(operand).filter(value => !optionValues.includes(value));
+      if (unknown.length > 0) {
+        errors.push(`${label}: ${unknown.join(', ')} is not an option of ${question.id}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a questionnaire definition before it is saved or published
+   * @param {Object} definition - { title, questions, reanswer }
+   * @returns {Object} { errors }
+   */
+  validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition?.title) {
+      errors.push('Title is required');
+    }
+    if (!Array.isArray(definition?.questions) || definition.questions.length === 0) {
+      errors.push('At least one question is required');
+      return { errors };
+    }
+
+    const seen = new Map();
+    definition.questions.forEach((question, index) => {
+      const label = question.id || `Question ${index + 1}`;
+
+      if (!/^[a-z][a-z0-9_]*$/.test(question.id || '')) {
+        errors.push(`${label}: id must be lowercase letters, digits and underscores`);
+      } else if (seen.has(question.id)) {
+        errors.push(`${label}: id is used more than once`);
+      }
+      if (!this.settings.QUESTION_TYPES.includes(question.type)) {
+        errors.push(`${label}: unknown type ${question.type}`);
+      }
+      if (!question.text) {
+        errors.push(`${label}: text is required`);
+      }
+
+      if (['single_choice', 'multi_choice'].includes(question.type)) {
+        const values = (question.options || []).map(option => option.value);
+        if (values.length < 2) {
+          errors.push(`${label}: choice questions need at least two options`);
+        }
+        if (new Set(values).size !== values.length) {
+          errors.push(`${label}: option values must be unique`);
+        }
+      }
+
+      // Follow-ups depend on an earlier answer, so they are asked in order
+      if (question.showIf) {
+        const parent = seen.get(question.showIf.question);
+        if (!parent) {
+          errors.push(`${label}: showIf must refer to an earlier question`);
+        } else {
+          errors.push(...this.validateCondition(question.showIf, parent, `${label} showIf`));
+        }
+      }
+
+      (question.outcomes || []).forEach((rule, ruleIndex) => {
+        const ruleLabel = `${label} outcome ${ruleIndex + 1}`;
+        if (!this.settings.OUTCOMES.includes(rule.outcome)) {
+          errors.push(`${ruleLabel}: unknown outcome ${rule.outcome}`);
+        }
+        if (rule.outcome === 'defer' && !(rule.days > 0)) {
+          errors.push(`${ruleLabel}: defer needs a number of days`);
+        }
+        if (!rule.reason) {
+          errors.push(`${ruleLabel}: reason is required`);
+        }
+        errors.push(...this.validateCondition(rule.when, question, ruleLabel));
+      });
+
+      if (question.id) seen.set(question.id, question);
+    });
+
+    const unknownReanswer = (definition.reanswer?.questions || []).filter(id => !seen.has(id));
+    if (unknownReanswer.length > 0) {
+      errors.push(`Re-answer questions not in this version: ${unknownReanswer.join(', ')}`);
+    }
+
+    return { errors };
+  }
+
+  /**
+   * Normalize one answer to its question type
+   * @returns {Object} { value } or { error }
+   */
+  normalizeAnswer(question, value, answeredAt) {
+    switch (question.type) {
+      case 'boolean': {
+        const normalized = typeof value === 'boolean' ? value : BOOLEAN_VALUES[String(value).toLowerCase()];
+        return normalized === undefined ? { error: 'must be yes or no' } : { value: normalized };
+      }
+      case 'single_choice':
+        return (question.options || []).some(option => option.value === value)
+          ? { value }
+          : { error: `${value} is not one of the options` };
+      case 'multi_choice': {
+        const values = Array.isArray(value) ? [...new Set(value)] : [value];
+        const unknown = values.filter(item => !(question.options || []).some(option => option.value === item));
+        return unknown.length > 0 ? { error: `${unknown.join(', ')} is not one of the options` } : { value: values };
+      }
+      case 'date': {
+        const date = toDate(value);
+        if (!date) return { error: 'must be a date' };
+        if (date > answeredAt) return { error: 'cannot be in the future' };
+        return { value: date };
+      }
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return { error: 'must be a number' };
+        if (question.min !== undefined && question.min !== null && number < question.min) return { error: `must be at least ${question.min}` };
+        if (question.max !== undefined && question.max !== null && number > question.max) return { error: `must be at most ${question.max}` };
+        return { value: number };
+      }
+      case 'text': {
+        const text = String(value).trim();
+        if (text.length > this.settings.MAX_TEXT_LENGTH) return { error: `must be at most ${this.settings.MAX_TEXT_LENGTH} characters` };
+        return { value: text };
+      }
+      case 'medications': {
+        const items = Array.isArray(value) ? value : [value];
+        if (items.length > this.settings.MAX_MEDICATIONS) return { error: `list at most ${this.settings.MAX_MEDICATIONS} medications` };
+
+        const medications = [];
+        for (const item of items) {
+          const name = String(typeof item === 'string' ? item : item?.name || '').trim();
+          if (!name) return { error: 'every medication needs a name' };
+          const lastDose = toDate(item?.lastDose);
+          medications.push(lastDose ? { name, lastDose } : { name });
+        }
+        return { value: medications };
+      }
+      default:
+        return { error: `unknown question type ${question.type}` };
+    }
+  }
+
+  /**
+   * Keep the answers to questions the donor was actually asked, in their
+   * typed form, and report missing or invalid ones
+   * @param {Object} definition - Questionnaire version
+   * @param {Object} rawAnswers - Answers keyed by question id
+   * @param {Date} answeredAt - Submission time
+   * @returns {Object} { answers, errors: [{ questionId, message }] }
+   */
+  normalizeAnswers(definition, rawAnswers = {}, answeredAt = new Date()) {
+    const answers = {};
+    const errors = [];
+
+    for (const question of definition.questions) {
+      if (!this.isVisible(question, answers, answeredAt)) continue;
+
+      const raw = rawAnswers[question.id];
+      const blank = isEmpty(raw) || (Array.isArray(raw) && raw.length === 0 && question.type === 'medications');
+      if (blank) {
+        if (question.required) {
+          errors.push({ questionId: question.id, message: 'An answer is required' });
+        }
+        continue;
+      }
+
+      const { value, error } = this.normalizeAnswer(question, raw, answeredAt);
+      if (error) {
+        errors.push({ questionId: question.id, message: `Answer ${error}` });
+      } else {
+        answers[question.id] = value;
+      }
+    }
+
+    return { answers, errors };
+  }
+
+  /**
+   * Apply the version's outcomes to normalized answers
+   * @param {Object} definition - Questionnaire version the answers belong to
+   * @param {Object} answers - Normalized answers
+   * @param {Date} answeredAt - Submission time
+   * @returns {Object} { outcome: cleared|deferred|review, deferrals, flags, screenedAt }
+   */
+  screen(definition, answers, answeredAt = new Date()) {
+    const deferrals = [];
+    const flags = [];
+
+    for (const question of definition.questions) {
+      const answer = answers[question.id];
+      if (isEmpty(answer)) continue;
+
+      for (const rule of question.outcomes || []) {
+        if (!this.matches(rule.when, answer, answeredAt)) continue;
+
+        if (rule.outcome === 'review') {
+          flags.push({ questionId: question.id, message: rule.reason });
+          continue;
+        }
+
+        // A date answer is when the event happened; count from it
+        const from = question.type === 'date' ? toDate(answer) : answeredAt;
+        deferrals.push({
+          questionId: question.id,
+          code: rule.code || 'QUESTIONNAIRE',
+          message: rule.reason,
+          until: rule.outcome === 'permanent_defer' ? null : addDays(from, rule.days)
+        });
+      }
+    }
+
+    let outcome = 'cleared';
+    if (deferrals.length > 0) {
+      outcome = 'deferred';
+    } else if (flags.length > 0) {
+      outcome = 'review';
+    }
+
+    return { outcome, deferrals, flags, screenedAt: answeredAt };
+  }
+
+  /**
+   * Whether a new version asks a donor to answer again: everyone on an
+   * older version, or with reanswer.questions only donors who would now be
+   * asked one of them. Free-form answers from before versioning always are.
+   * @param {Object} definition - New version
+   * @param {Object} questionnaire - User.questionnaire
+   * @returns {boolean}
+   */
+  needsReanswer(definition, questionnaire) {
+    if (!definition.reanswer?.required || !questionnaire?.completedAt) return false;
+    if (!questionnaire.version) return true;
+    if (questionnaire.version >= definition.version) return false;
+
+    const ids = definition.reanswer.questions || [];
+    if (ids.length === 0) return true;
+
+    const answers = questionnaire.data || {};
+    const answeredAt = toDate(questionnaire.completedAt);
+    return definition.questions.some(question =>
+      ids.includes(question.id) && this.isVisible(question, answers, answeredAt)
+    );
+  }
+
+  /**
+   * Seed the built-in questionnaire as published version 1 when the store
+   * is empty
+   * @returns {Promise<boolean>} Whether it was created
+   */
+  async ensureDefaults() {
+    if (await HealthQuestionnaire.exists({})) return false;
+
+    await HealthQuestionnaire.create({
+      ...DefaultQuestionnaire,
+      version: 1,
+      status: 'published',
+      publishedAt: new Date(),
+      changeNote: 'Default questionnaire'
+    });
+    logger.success('Seeded default health questionnaire', 'QUESTIONNAIRE_SERVICE');
+    return true;
+  }
+
+  /**
+   * Published questionnaire, or the built-in one without a database
+   * @returns {Promise<Object>}
+   */
+  async getPublished() {
+    if (this.cache && Date.now() - this.cache.loadedAt < this.settings.CACHE_TTL_MS) {
+      return this.cache.definition;
+    }
+
+    let definition = null;
+    if (mongoose.connection.readyState === 1) {
+      try {
+        definition = await HealthQuestionnaire.findPublished().lean();
+      } catch (error) {
+        logger.error('Error loading published questionnaire', 'QUESTIONNAIRE_SERVICE', error);
+      }
+    }
+
+    definition = definition || this.default;
+    this.cache = { definition, loadedAt: Date.now() };
+    return definition;
+  }
+
+  /**
+   * A stored version, the published one when version is omitted
+   */
+  async getVersion(version) {
+    if (!version) return this.getPublished();
+
+    const definition = await HealthQuestionnaire.findOne({ version: Number(version) }).lean();
+    if (!definition) {
+      throw new Error(`Questionnaire version ${version} not found`);
+    }
+    return definition;
+  }
+
+  async listVersions() {
+    return HealthQuestionnaire.find()
+      .sort({ version: -1 })
+      .select('-questions')
+      .populate('createdBy publishedBy', 'name email')
+      .lean();
+  }
+
+  /**
+   * Save a definition as the next version. Only one draft may be open.
+   */
+  async createDraft(definition, userId) {
+    const { errors } = this.validateDefinition(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid questionnaire: ${errors.join('; ')}`);
+    }
+
+    const existingDraft = await HealthQuestionnaire.findOne({ status: 'draft' }).select('version').lean();
+    if (existingDraft) {
+      throw new Error(`Version ${existingDraft.version} is still a draft; update or publish it first`);
+    }
+
+    const version = (await HealthQuestionnaire.getLatestVersion()) + 1;
+    const draft = await HealthQuestionnaire.create({
+      version,
+      status: 'draft',
+      title: definition.title,
+      description: definition.description,
+      questions: definition.questions,
+      reanswer: definition.reanswer,
+      changeNote: definition.changeNote,
+      createdBy: userId
+    });
+
+    logger.info(`Created questionnaire draft v${version}`, 'QUESTIONNAIRE_SERVICE');
+    return draft;
+  }
+
+  async updateDraft(version, changes, userId) {
+    const draft = await HealthQuestionnaire.findOne({ version: Number(version) });
+    if (!draft) {
+      throw new Error(`Questionnaire version ${version} not found`);
+    }
+    if (draft.status !== 'draft') {
+      throw new Error(`Version ${version} is ${draft.status}; only drafts can be edited`);
+    }
+
+    ['title', 'description', 'questions', 'reanswer', 'changeNote'].forEach(field => {
+      if (changes[field] !== undefined) draft[field] = changes[field];
+    });
+
+    const { errors } = this.validateDefinition(draft.toObject());
+    if (errors.length > 0) {
+      throw new Error(`Invalid questionnaire: ${errors.join('; ')}`);
+    }
+
+    draft.createdBy = draft.createdBy || userId;
+    await draft.save();
+    return draft;
+  }
+
+  /**
+   * Publish a draft. New answers are taken against it straight away; when
+   * it requires re-answering, affected donors are flagged and prompted.
+   * @returns {Promise<Object>} { questionnaire, previousVersion, promptedDonors }
+   */
+  async publish(version, userId) {
+    const draft = await HealthQuestionnaire.findOne({ version: Number(version) });
+    if (!draft) {
+      throw new Error(`Questionnaire version ${version} not found`);
+    }
+    if (draft.status !== 'draft') {
+      throw new Error(`Version ${version} is ${draft.status}; only drafts can be published`);
+    }
+
+    const { errors } = this.validateDefinition(draft.toObject());
+    if (errors.length > 0) {
+      throw new Error(`Invalid questionnaire: ${errors.join('; ')}`);
+    }
+
+    const now = new Date();
+    const previous = await HealthQuestionnaire.findOneAndUpdate(
+      { status: 'published' },
+      { $set: { status: 'archived', archivedAt: now } }
+    );
+
+    draft.status = 'published';
+    draft.publishedBy = userId;
+    draft.publishedAt = now;
+    await draft.save();
+
+    this.cache = null;
+    logger.success(`Published questionnaire v${draft.version}`, 'QUESTIONNAIRE_SERVICE');
+
+    if (draft.reanswer?.required) {
+      draft.promptedDonors = await this.requestReanswers(draft.toObject(), now);
+      await draft.save();
+    }
+
+    return { questionnaire: draft, previousVersion: previous ? previous.version : null, promptedDonors: draft.promptedDonors };
+  }
+
+  /**
+   * Flag the donors a new version affects and tell them. Flags are written
+   * before this returns; messages go out in the background.
+   * @returns {Promise<number>} Donors flagged
+   */
+  async requestReanswers(definition, now = new Date()) {
+    const reason = definition.reanswer.reason || 'Donor health guidelines have changed';
+    const cursor = User.find({
+      role: 'donor',
+      'questionnaire.completedAt': { $exists: true },
+      $or: [
+        { 'questionnaire.version': { $exists: false } },
+        { 'questionnaire.version': { $lt: definition.version } }
+      ]
+    })
+      .select('name phoneNumber email preferences questionnaire')
+      .lean()
+      .cursor();
+
+    const notifications = [];
+    let batch = [];
+    let flagged = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await User.bulkWrite(batch.map(donor => ({
+        updateOne: {
+          filter: { _id: donor._id },
+          update: { $set: { 'questionnaire.reanswerRequired': { version: definition.version, reason, requestedAt: now } } }
+        }
+      })));
+      flagged += batch.length;
+      batch = [];
+    };
+
+    for await (const donor of cursor) {
+      if (!this.needsReanswer(definition, donor.questionnaire)) continue;
+
+      batch.push(donor);
+      notifications.push({
+        userId: donor._id,
+        phoneNumber: donor.phoneNumber,
+        email: donor.email,
+        message: this.formatReanswerMessage(donor, reason),
+        type: 'questionnaire_update',
+        priority: 'normal',
+        channels: ['push', 'whatsapp', 'sms', 'email'],
+        userPreferences: {
+          preferredChannel: donor.preferences?.notificationChannel || 'whatsapp'
+        },
+        metadata: { questionnaireVersion: definition.version }
+      });
+
+      if (batch.length >= this.settings.REANSWER_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    logger.info(`Questionnaire v${definition.version}: ${flagged} donors asked to answer again`, 'QUESTIONNAIRE_SERVICE');
+
+    if (notifications.length > 0) {
+      // Loaded here so screening can be used without the notification queue running
+      const notificationService = require('./notificationService');
+      notificationService.sendBulkNotifications(notifications)
+        .catch(error => logger.error('Failed to send questionnaire update prompts', 'QUESTIONNAIRE_SERVICE', error));
+    }
+
+    return flagged;
+  }
+
+  formatReanswerMessage(donor, reason) {
+    return `Dear ${donor.name},
+
+${reason}. Please answer the updated health questions before your next donation so we only contact you when you can safely give blood.
+
+Update your answers: ${process.env.CLIENT_URL}/onboarding?step=questionnaire
+
+CallforBlood Foundation`;
+  }
+
+  /**
+   * Store a donor's answers to the published version, screen them and
+   * refresh the donor's eligibility
+   * @param {Object} user - User document
+   * @param {Object} rawAnswers - Answers keyed by question id
+   * @returns {Promise<Object>} { questionnaire, eligibility } or { errors }
+   */
+  async submit(user, rawAnswers) {
+    const definition = await this.getPublished();
+    const answeredAt = new Date();
+
+    const { answers, errors } = this.normalizeAnswers(definition, rawAnswers, answeredAt);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    user.questionnaire = {
+      data: answers,
+      completedAt: answeredAt,
+      version: definition.version,
+      screening: this.screen(definition, answers, answeredAt)
+    };
+    await user.save();
+
+    // Answers can add or lift deferrals
+    const eligibility = await eligibilityService.refreshDonorEligibility(user);
+
+    logger.info(`Questionnaire v${definition.version} from donor ${user._id}: ${user.questionnaire.screening.outcome}`, 'QUESTIONNAIRE_SERVICE');
+
+    return { questionnaire: user.questionnaire, eligibility };
+  }
+
+  /**
+   * Record medical staff's decision on flagged answers
+   * @param {Object} user - User document
+   * @param {Object} decision - { decision: cleared|deferred, deferredUntil, notes }
+   * @param {string} reviewerId - Admin making the decision
+   */
+  async review(user, { decision, deferredUntil, notes }, reviewerId) {
+    if (!user.questionnaire?.completedAt) {
+      throw new Error('Donor has not answered the questionnaire');
+    }
+
+    user.questionnaire.review = {
+      decision,
+      deferredUntil: decision === 'deferred' ? toDate(deferredUntil) : undefined,
+      notes,
+      reviewedBy: reviewerId,
+      reviewedAt: new Date()
+    };
+    user.markModified('questionnaire.review');
+    await user.save();
+
+    const eligibility = await eligibilityService.refreshDonorEligibility(user);
+    return { questionnaire: user.questionnaire, eligibility };
+  }
+
+  /**
+   * Donors whose answers were flagged and nobody has reviewed yet, oldest first
+   */
+  async getReviewQueue({ page = 1, limit = 50 } = {}) {
+    const filter = {
+      'questionnaire.screening.flags.0': { $exists: true },
+      'questionnaire.review.decision': { $exists: false }
+    };
+
+    const [donors, total] = await Promise.all([
+      User.find(filter)
+        .select('name email phoneNumber bloodType questionnaire.completedAt questionnaire.version questionnaire.screening')
+        .sort({ 'questionnaire.completedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    return { donors, total };
+  }
+}
+
+// Create singleton instance
+const questionnaireService = new QuestionnaireService();
+
+module.exports = questionnaireService;
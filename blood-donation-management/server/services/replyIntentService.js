@@ -0,0 +1,322 @@
+const { ReplyLexicon } = require('../config/replyLexicon');
+const { MessageTemplateSettings } = require('../config/messageTemplates');
+const messageTemplateService = require('./messageTemplateService');
+
+const MINUTE = 60 * 1000;
+const DEVANAGARI = /[ऀ-ॿ]/;
+const NUMBER_WITH_WORD = /(\d{1,3})\s*([\p{L}\p{M}']+)/gu;
+const CLOCK_TIME = /(?:^|\s)(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?=\s|$)/g;
+
+/**
+ * Lower-case and strip punctuation and the marks people type inconsistently
+ * (chandrabindu, nukta), so replies and lexicon phrases compare word for word
+ */
+const normalize = text => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[‘’]/g, '\'')
+  .replace(/ँ/g, 'ं')
+  .replace(/़/g, '')
+  .replace(/(\d)[.:](\d)/g, '$1:$2')
+  .replace(/\b([ap])\.?\s?m\b\.?/g, '$1m')
+  .replace(/[^\p{L}\p{M}\p{N}':]+/gu, ' ')
+  .replace(/(^|\D):|:(?!\d)/g, '$1 ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// { en: [...], hi: [...], hinglish: [...] } -> [{ phrase, language }]
+const compile = entry => ReplyLexicon.LANGUAGES.flatMap(language =>
+  (entry[language] || []).map(phrase => ({ phrase: normalize(phrase), language }))
+);
+
+const compileEach = entries => Object.fromEntries(
+  Object.entries(entries).map(([name, entry]) => [name, { ...entry, phrases: compile(entry) }])
+);
+
+/**
+ * Offline intent and entity extraction for free-text replies to blood
+ * request alerts, in English, Hindi and Hinglish, and the wording of the
+ * answers. What a reply does is up to DonorReplyService.
+ */
+class ReplyIntentService {
+  constructor() {
+    this.lexicon = ReplyLexicon;
+    this.intents = compileEach(ReplyLexicon.INTENTS);
+    this.declineReasons = compileEach(ReplyLexicon.DECLINE_REASONS);
+    this.days = compileEach(ReplyLexicon.DAYS);
+    this.dayParts = compileEach(ReplyLexicon.DAY_PARTS);
+    this.qualifiers = compileEach(ReplyLexicon.TIME_QUALIFIERS);
+    this.durationUnits = compileEach(ReplyLexicon.DURATION_UNITS);
+    this.weekdays = ReplyLexicon.WEEKDAYS.map(compile);
+    this.negations = compile(ReplyLexicon.NEGATIONS);
+    this.notNegations = compile(ReplyLexicon.NOT_NEGATIONS);
+    this.nowWords = compile(ReplyLexicon.NOW);
+    this.clockWords = compile(ReplyLexicon.CLOCK_WORDS);
+    this.questionStarts = compile(ReplyLexicon.QUESTION_STARTS);
+  }
+
+  /**
+   * Work out what a reply means
+   * @param {string} text - Reply as the donor typed it
+   * @param {Object} options - { now } reference time for "tomorrow", "6pm"
+   * @returns {Object} { intent, language, replyLanguage, entities: { availability, declineReason }, matched }
+   *   intent is accept, tentative, decline, location_question, eligibility_question or unknown
+   */
+  parse(text, { now = new Date() } = {}) {
+    const normalized = normalize(text);
+    const matches = [];
+    const find = (phrases, source = normalized) => {
+      const match = this.findPhrase(source, phrases);
+      if (match) matches.push(match);
+      return match;
+    };
+
+    const found = Object.fromEntries(
+      Object.entries(this.intents).map(([name, { phrases }]) => [name, find(phrases)])
+    );
+
+    // "no problem" and "koi baat nahi" do not negate anything
+    const negatable = this.notNegations
+      .reduce((remaining, { phrase }) => ` ${remaining} `.split(` ${phrase} `).join(' ').trim(), normalized);
+
+    const declineReason = Object.keys(this.declineReasons)
+      .find(name => find(this.declineReasons[name].phrases)) || null;
+    const availability = this.extractAvailability(normalized, now, find);
+
+    const isQuestion = String(text).includes('?') ||
+      this.questionStarts.some(({ phrase }) => `${normalized} `.startsWith(`${phrase} `));
+
+    let intent = 'unknown';
+    if (found.tentative) {
+      intent = 'tentative';
+    } else if (found.eligibility_question && isQuestion) {
+      intent = 'eligibility_question';
+    } else if (found.accept) {
+      intent = this.isNegated(negatable, found.accept.phrase) ? 'decline' : 'accept';
+    } else if (found.decline) {
+      intent = 'decline';
+    } else if (found.eligibility_question) {
+      intent = 'eligibility_question';
+    } else if (found.location_question) {
+      intent = 'location_question';
+    } else if (declineReason && declineReason !== 'busy') {
+      intent = 'decline';
+    } else if (availability) {
+      // "kal shaam 6 baje", "after 7pm": a time on its own is an offer to come, "abhi nahi" is not
+      intent = this.findPhrase(negatable, this.negations) ? 'decline' : 'accept';
+    } else if (declineReason) {
+      intent = 'decline';
+    }
+
+    const language = this.detectLanguage(normalized, matches);
+
+    return {
+      intent,
+      language,
+      replyLanguage: this.lexicon.REPLY_LANGUAGES[language],
+      entities: { availability, declineReason },
+      matched: matches.map(match => match.phrase)
+    };
+  }
+
+  /**
+   * Longest phrase that appears as whole words in the text
+   * @param {string} text - Normalized text
+   * @param {Array} phrases - Compiled phrases
+   * @returns {Object|null} { phrase, language }
+   */
+  findPhrase(text, phrases) {
+    const padded = ` ${text} `;
+    return phrases
+      .filter(({ phrase }) => phrase && padded.includes(` ${phrase} `))
+      .reduce((best, match) => (!best || match.phrase.length > best.phrase.length ? match : best), null);
+  }
+
+  /**
+   * Devanagari is Hindi; Latin script is Hinglish when any Hinglish phrase matched
+   */
+  detectLanguage(normalized, matches) {
+    if (DEVANAGARI.test(normalized)) return 'hi';
+    return matches.some(match => match.language === 'hinglish') ? 'hinglish' : 'en';
+  }
+
+  /**
+   * When the donor says they can come, in the donors' local time
+   * @param {string} normalized - Normalized reply
+   * @param {Date} now - Reference time
+   * @param {Function} find - Phrase finder that records matches
+   * @returns {Object|null} { at, qualifier: at|after|before, precision: time|day }
+   */
+  extractAvailability(normalized, now, find) {
+    const offset = this.lexicon.UTC_OFFSET_MINUTES * MINUTE;
+    const local = new Date(now.getTime() + offset);
+    const atLocal = (dayOffset, hour, minute = 0) => new Date(
+      Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + dayOffset, hour, minute) - offset
+    );
+
+    // "in 2 hours", "30 मिनट में"
+    for (const [, amount, word] of normalized.matchAll(NUMBER_WITH_WORD)) {
+      const unit = Object.values(this.durationUnits).find(({ phrases }) => phrases.some(({ phrase }) => phrase === word));
+      if (unit) {
+        return { at: new Date(now.getTime() + Number(amount) * unit.minutes * MINUTE), qualifier: 'at', precision: 'time' };
+      }
+    }
+
+    const dayName = this.findLongest(this.days, find);
+    const weekday = this.weekdays.findIndex(phrases => find(phrases));
+    const partName = this.findLongest(this.dayParts, find);
+
+    // Read after the day, so the "after" in "day after tomorrow" is not a qualifier
+    const rest = dayName ? ` ${normalized} `.replace(` ${this.findPhrase(normalized, this.days[dayName].phrases).phrase} `, ' ') : normalized;
+    const qualifierName = Object.keys(this.qualifiers).find(name => find(this.qualifiers[name].phrases, rest));
+    const qualifier = qualifierName || 'at';
+    const clock = this.findClockTime(normalized, !!qualifierName || !!partName);
+
+    let dayOffset = null;
+    if (dayName) {
+      dayOffset = this.days[dayName].offset;
+    } else if (weekday >= 0) {
+      dayOffset = (weekday - local.getUTCDay() + 7) % 7;
+    }
+
+    if (!clock && !partName) {
+      if (dayOffset !== null) {
+        return { at: atLocal(dayOffset, this.lexicon.DEFAULT_HOUR), qualifier, precision: 'day' };
+      }
+      return find(this.nowWords) ? { at: now, qualifier, precision: 'time' } : null;
+    }
+
+    const hour = clock ? this.resolveHour(clock, partName) : this.dayParts[partName].hour;
+    let at = atLocal(dayOffset || 0, hour, clock?.minute || 0);
+
+    if (at <= now) {
+      if (dayOffset === null) {
+        // "at 9am" after 9am means tomorrow
+        at = atLocal(1, hour, clock?.minute || 0);
+      } else if (dayOffset === 0) {
+        at = now;
+      }
+    }
+
+    return { at, qualifier, precision: 'time' };
+  }
+
+  /**
+   * First number that reads as a clock time. A bare number only counts when
+   * the reply also has "at", "after", "before" or a part of the day ("shaam 6").
+   * @returns {Object|null} { hour, minute, meridiem }
+   */
+  findClockTime(normalized, bareNumbersAllowed) {
+    for (const match of normalized.matchAll(CLOCK_TIME)) {
+      const [whole, hourText, minuteText, meridiem] = match;
+      const hour = Number(hourText);
+      const minute = minuteText ? Number(minuteText) : 0;
+      const next = normalized.slice(match.index + whole.length).trim().split(' ')[0];
+      const hasClockWord = this.clockWords.some(({ phrase }) => phrase === next);
+
+      if (!meridiem && !minuteText && !hasClockWord && !bareNumbersAllowed) continue;
+      if (hour > 23 || minute > 59 || (meridiem && (hour === 0 || hour > 12))) continue;
+
+      return { hour, minute, meridiem: meridiem || null };
+    }
+    return null;
+  }
+
+  /**
+   * 24-hour hour for a clock time, using am/pm or the part of the day when given
+   */
+  resolveHour({ hour, meridiem }, partName) {
+    if (meridiem) {
+      if (meridiem === 'pm') return hour === 12 ? 12 : hour + 12;
+      return hour === 12 ? 0 : hour;
+    }
+    if (hour > 12) return hour;
+
+    if (partName === 'evening' || partName === 'night') return hour === 12 ? hour : hour + 12;
+    if (partName === 'morning') return hour === 12 ? 0 : hour;
+    if (partName === 'afternoon') return hour <= this.lexicon.LATEST_AMBIGUOUS_PM_HOUR ? hour + 12 : hour;
+
+    return hour >= 1 && hour <= this.lexicon.LATEST_AMBIGUOUS_PM_HOUR ? hour + 12 : hour;
+  }
+
+  /**
+   * Reply text from ReplyLexicon.MESSAGES
+   * @param {string} key - Message key
+   * @param {string} language - en or hi
+   * @param {Object} values - Placeholder values
+   * @returns {string} Message
+   */
+  getMessage(key, language = 'en', values = {}) {
+    const message = this.lexicon.MESSAGES[key];
+    return messageTemplateService.renderText(message[language] || message.en, values);
+  }
+
+  /**
+   * "after Mon, 19 Oct, 6:00 pm", "19 अक्तू॰ को"
+   * @param {Object} availability - From parse()
+   * @param {string} language - en or hi
+   * @returns {string} Description
+   */
+  describeAvailability(availability, language = 'en') {
+    const time = this.formatTime(availability.at, availability.precision, language);
+    const labelKey = availability.qualifier === 'at' && availability.precision === 'day' ? 'on' : availability.qualifier;
+    const label = this.lexicon.AVAILABILITY_LABELS[labelKey];
+    return messageTemplateService.renderText(label[language] || label.en, { time });
+  }
+
+  /**
+   * Date, or date and time, in the donors' time zone
+   * @param {Date} date - Date to format
+   * @param {string} precision - day or time
+   * @param {string} language - en or hi
+   * @returns {string} Formatted date
+   */
+  formatTime(date, precision = 'time', language = 'en') {
+    const options = precision === 'day'
+      ? { weekday: 'short', day: 'numeric', month: 'short' }
+      : { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' };
+
+    return new Date(date).toLocaleString(MessageTemplateSettings.LOCALES[language] || MessageTemplateSettings.LOCALES.en, {
+      ...options,
+      timeZone: MessageTemplateSettings.TIME_ZONE
+    });
+  }
+
+  /**
+   * Name of the entry whose matched phrase is longest, so "day after
+   * tomorrow" wins over "tomorrow"
+   */
+  findLongest(entries, find) {
+    const best = Object.entries(entries)
+      .map(([name, { phrases }]) => ({ name, match: find(phrases) }))
+      .filter(({ match }) => match)
+      .reduce((longest, entry) => (!longest || entry.match.phrase.length > longest.match.phrase.length ? entry : longest), null);
+    return best?.name || null;
+  }
+
+  /**
+   * Whether a negation sits right before or after a phrase: "not available",
+   * "नहीं आ सकता", "aaunga nahi"
+   * @param {string} text - Normalized text
+   * @param {string} phrase - Matched phrase
+   * @returns {boolean}
+   */
+  isNegated(text, phrase) {
+    const words = text.split(' ');
+    const target = phrase.split(' ');
+    const negations = new Set(this.negations.map(negation => negation.phrase));
+
+    for (let i = 0; i + target.length <= words.length; i++) {
+      if (target.every((word, j) => words[i + j] === word) &&
+        (negations.has(words[i - 1]) || negations.has(words[i + target.length]))) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+// Create singleton instance
+const replyIntentService = new ReplyIntentService();
+
+module.exports = replyIntentService;
@@ -0,0 +1,267 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const jwtManager = require('../utils/jwt');
+const logger = require('../utils/logger');
+const auditLogger = require('../utils/auditLogger');
+
+const SESSION_DAYS = 30;
+// A second refresh with the token just rotated out is treated as a race, not theft
+const REUSE_GRACE_MS = 30 * 1000;
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const getClientInfo = (req) => ({
+  ipAddress: req?.ip,
+  userAgent: req?.get ? req.get('User-Agent') : undefined
+});
+
+/**
+ * Rough device description for the sessions list. It only has to be
+ * recognisable to the account owner, not exact.
+ */
+const describeDevice = (userAgent = '') => {
+  const ua = userAgent || '';
+
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/SamsungBrowser/.test(ua)) browser = 'Samsung Internet';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Chrome\/|CriOS/.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+
+  let os = 'Unknown OS';
+  if (/Android/.test(ua)) os = 'Android';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  let deviceType = 'unknown';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) deviceType = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(ua)) deviceType = 'mobile';
+  else if (ua) deviceType = 'desktop';
+
+  return {
+    userAgent: ua.substring(0, 500),
+    browser,
+    os,
+    deviceType
+  };
+};
+
+/**
+ * One Session per login. Access and refresh tokens carry the session's id as
+ * `sid`; the session stores the jti of the single refresh token that may be
+ * used next, so every refresh rotates it and a replayed one is detectable.
+ */
+class SessionService {
+  getExpiryDate(from = new Date()) {
+    return new Date(from.getTime() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  issueTokens(user, session) {
+    const tokenPayload = {
+      userId: user._id,
+      role: user.role,
+      permissions: user.permissions,
+      sid: session.sessionId
+    };
+
+    return {
+      accessToken: jwtManager.generateToken(tokenPayload),
+      refreshToken: jwtManager.generateRefreshToken(tokenPayload, { jti: session.refreshTokenId }),
+      expiresIn: jwtManager.expiresIn
+    };
+  }
+
+  /**
+   * Start a session for a user who has just authenticated
+   * @returns {Promise<{session: Object, tokens: Object}>}
+   */
+  async createSession(user, req) {
+    const { ipAddress, userAgent } = getClientInfo(req);
+    const now = new Date();
+
+    const session = await Session.create({
+      sessionId: jwtManager.generateJTI(),
+      user: user._id,
+      refreshTokenId: jwtManager.generateJTI(),
+      device: describeDevice(userAgent),
+      ipAddress,
+      lastSeenAt: now,
+      expiresAt: this.getExpiryDate(now)
+    });
+
+    logger.info(`Session ${session.sessionId} started for user ${user._id}`, 'SESSION_SERVICE');
+
+    return { session, tokens: this.issueTokens(user, session) };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair. Presenting a
+   * refresh token that has already been rotated out revokes the session.
+   * The rotation is a single conditional update on the current jti, so of two
+   * requests racing with the same token only one rotates; the other takes the
+   * grace path below.
+   */
+  async rotateRefreshToken(refreshToken, req) {
+    const decoded = jwtManager.verifyRefreshToken(refreshToken);
+
+    if (!decoded.sid) {
+      // Issued before sessions existed; the user has to sign in again
+      throw new Error('Invalid refresh token');
+    }
+
+    const { ipAddress, userAgent } = getClientInfo(req);
+    const now = new Date();
+
+    const user = await User.findById(decoded.userId).select('role permissions status').lean();
+    if (!user || !['active', 'pending'].includes(user.status)) {
+      await Session.updateOne(
+        { sessionId: decoded.sid, user: decoded.userId, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'account_inactive' } }
+      );
+      throw new Error('Session revoked');
+    }
+
+    const rotated = await Session.findOneAndUpdate(
+      {
+        sessionId: decoded.sid,
+        user: decoded.userId,
+        refreshTokenId: decoded.jti,
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      {
+        $set: {
+          previousRefreshTokenId: decoded.jti,
+          refreshTokenId: jwtManager.generateJTI(),
+          lastRefreshedAt: now,
+          lastSeenAt: now,
+          expiresAt: this.getExpiryDate(now),
+          ...(ipAddress && { ipAddress }),
+          ...(userAgent && { device: describeDevice(userAgent) })
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (rotated) {
+      logger.debug(`Session ${rotated.sessionId} refreshed (rotation ${rotated.rotationCount})`, 'SESSION_SERVICE');
+      return this.issueTokens(user, rotated);
+    }
+
+    const session = await Session.findOne({ sessionId: decoded.sid, user: decoded.userId });
+    if (!session || !session.isActive) {
+      throw new Error('Session revoked');
+    }
+
+    const isRecentlyRotated = decoded.jti === session.previousRefreshTokenId &&
+      session.lastRefreshedAt && now - session.lastRefreshedAt < REUSE_GRACE_MS;
+
+    if (isRecentlyRotated) {
+      // Another request rotated this token a moment ago; hand back the current one
+      return this.issueTokens(user, session);
+    }
+
+    await session.revoke('refresh_token_reuse');
+
+    logger.warn(`Refresh token reuse detected for session ${session.sessionId}, session revoked`, 'SESSION_SERVICE');
+    auditLogger.logSecurityEvent({
+      event: 'refresh_token_reuse',
+      userId: session.user,
+      ipAddress,
+      userAgent,
+      details: 'A rotated refresh token was presented again; the session has been revoked',
+      severity: 'high',
+      metadata: {
+        sessionId: session.sessionId,
+        sessionIpAddress: session.ipAddress,
+        rotationCount: session.rotationCount
+      }
+    });
+
+    throw new Error('Refresh token reuse detected');
+  }
+
+  /**
+   * Active session an access token belongs to, or null once it has been
+   * revoked or has expired. Also keeps lastSeenAt roughly current.
+   */
+  async validateSession(sessionId, userId, req) {
+    const session = await Session.findActive(sessionId, userId).lean();
+    if (!session) return null;
+
+    const now = new Date();
+    if (!session.lastSeenAt || now - session.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+      const { ipAddress } = getClientInfo(req);
+      Session.updateOne(
+        { _id: session._id },
+        { $set: { lastSeenAt: now, ...(ipAddress && { ipAddress }) } }
+      ).catch(error => logger.error('Failed to update session last seen', 'SESSION_SERVICE', error));
+    }
+
+    return session;
+  }
+
+  /**
+   * Signed-in devices for the sessions page
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      sessionId: session.sessionId,
+      device: {
+        browser: session.device?.browser,
+        os: session.device?.os,
+        deviceType: session.device?.deviceType
+      },
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session.sessionId === currentSessionId
+    }));
+  }
+
+  async revokeSession(userId, sessionId, reason) {
+    const session = await Session.findActive(sessionId, userId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    await session.revoke(reason);
+    logger.info(`Session ${sessionId} revoked (${reason})`, 'SESSION_SERVICE');
+
+    return session;
+  }
+
+  /**
+   * @param {Object} options - { exceptSessionId } to keep the caller signed in
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter.sessionId = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    logger.info(`Revoked ${result.modifiedCount} sessions for user ${userId} (${reason})`, 'SESSION_SERVICE');
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
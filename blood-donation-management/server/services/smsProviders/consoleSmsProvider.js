@@ -0,0 +1,62 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+const OUTBOX_SIZE = 100;
+
+/**
+ * Stand-in provider for development and tests. Messages are logged, kept in
+ * memory and, when SMS_OUTBOX_FILE is set, appended to that file as JSON
+ * lines. Always available.
+ */
+class ConsoleSmsProvider {
+  constructor() {
+    this.name = 'console';
+    this.outboxFile = process.env.SMS_OUTBOX_FILE;
+    this.isConfigured = true;
+    this.outbox = [];
+  }
+
+  async send({ to, body, templateName }) {
+    const entry = {
+      messageId: `sim_sms_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      to,
+      body,
+      templateName,
+      at: new Date().toISOString()
+    };
+
+    this.outbox.push(entry);
+    if (this.outbox.length > OUTBOX_SIZE) this.outbox.shift();
+
+    logger.info(`[SIMULATED] SMS to ${to.slice(0, 3)}****${to.slice(-2)}: ${body.substring(0, 50)}...`, 'SMS_SERVICE');
+
+    if (this.outboxFile) {
+      try {
+        await fs.promises.appendFile(this.outboxFile, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        logger.error(`Could not write SMS outbox file ${this.outboxFile}`, 'SMS_SERVICE', error);
+      }
+    }
+
+    return {
+      success: true,
+      messageId: entry.messageId,
+      status: 'sent',
+      simulated: true
+    };
+  }
+
+  mapStatus(providerStatus) {
+    return providerStatus;
+  }
+
+  getStatus() {
+    return {
+      configured: true,
+      outboxFile: this.outboxFile || null,
+      sent: this.outbox.length
+    };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
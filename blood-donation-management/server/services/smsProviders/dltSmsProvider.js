@@ -0,0 +1,150 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Delivery report statuses, in both the SMPP style most Indian gateways pass
+// through (DELIVRD, UNDELIV, ...) and plain words
+const STATUS_MAP = {
+  submitted: 'queued',
+  accepted: 'queued',
+  sent: 'sent',
+  delivrd: 'delivered',
+  delivered: 'delivered',
+  undeliv: 'failed',
+  undelivered: 'failed',
+  expired: 'failed',
+  rejectd: 'failed',
+  rejected: 'failed',
+  failed: 'failed'
+};
+
+const parseTemplateIds = (value) => {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    logger.error('DLT_SMS_TEMPLATE_IDS is not valid JSON', 'SMS_SERVICE', error);
+    return {};
+  }
+};
+
+/**
+ * Indian bulk SMS gateway with TRAI DLT registration.
+ *
+ * Every message to an Indian number must carry the registered principal
+ * entity ID, a registered six-character sender header and the ID of the DLT
+ * template its text was registered under. Template IDs are configured by
+ * template name in DLT_SMS_TEMPLATE_IDS, e.g. {"otp":"1107...","blood_request":"1107..."};
+ * a message without one is handed to the next provider.
+ *
+ * The request and receipt shapes follow the common REST form of these
+ * gateways: POST {to, sender, entity_id, template_id, message, unicode},
+ * answered with {message_id, segments}, and receipts posted back with
+ * {message_id, status, error_code}.
+ */
+class DltSmsProvider {
+  constructor() {
+    this.name = 'dlt';
+    this.apiUrl = process.env.DLT_SMS_API_URL;
+    this.apiKey = process.env.DLT_SMS_API_KEY;
+    this.senderId = process.env.DLT_SMS_SENDER_ID;
+    this.entityId = process.env.DLT_SMS_ENTITY_ID;
+    // Public URL of POST /api/v1/sms/dlt/status
+    this.statusCallbackUrl = process.env.DLT_SMS_STATUS_CALLBACK_URL;
+    this.webhookToken = process.env.DLT_SMS_WEBHOOK_TOKEN;
+    this.templateIds = parseTemplateIds(process.env.DLT_SMS_TEMPLATE_IDS);
+    this.isConfigured = !!(this.apiUrl && this.apiKey && this.senderId && this.entityId);
+  }
+
+  /**
+   * @param {Object} message - { to, body, templateName, dltTemplateId, unicode }
+   * @returns {Promise<Object>} Send result, as for TwilioSmsProvider
+   */
+  async send({ to, body, templateName, dltTemplateId, unicode }) {
+    const templateId = dltTemplateId || this.templateIds[templateName];
+    if (!templateId) {
+      return {
+        success: false,
+        error: 'DLT_TEMPLATE_MISSING',
+        message: `No DLT template ID registered for ${templateName || 'free-text messages'}`
+      };
+    }
+
+    try {
+      const response = await axios.post(this.apiUrl, {
+        to: to.replace(/^\+/, ''),
+        sender: this.senderId,
+        entity_id: this.entityId,
+        template_id: templateId,
+        message: body,
+        unicode: !!unicode,
+        ...(this.statusCallbackUrl && { callback_url: this.statusCallbackUrl })
+      }, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+
+      const data = response.data || {};
+      const cost = parseFloat(data.cost);
+      return {
+        success: true,
+        messageId: String(data.message_id),
+        status: 'queued',
+        cost: Number.isFinite(cost) ? { amount: cost, currency: (data.currency || 'INR').toUpperCase() } : null,
+        segments: data.segments ? Number(data.segments) : undefined
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      const detail = error.response?.data?.error || {};
+
+      return {
+        success: false,
+        error: 'DLT_GATEWAY_ERROR',
+        message: detail.message || error.message || 'DLT gateway request failed',
+        details: detail.code,
+        // 400 with an invalid-number code is about the recipient; template
+        // scrubbing failures are ours and another provider may still deliver
+        recipientError: status === 400 && detail.code === 'INVALID_NUMBER',
+        providerError: !status || status >= 500 || status === 401 || status === 403 || status === 429
+      };
+    }
+  }
+
+  /**
+   * Check the shared token the gateway sends with delivery reports
+   * @param {string} token - X-Webhook-Token header
+   */
+  validateRequest(token) {
+    if (!this.webhookToken || !token) {
+      logger.warn('Missing DLT webhook token', 'SMS_SERVICE');
+      return false;
+    }
+
+    const expected = Buffer.from(this.webhookToken);
+    const provided = Buffer.from(String(token));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  /**
+   * Gateway status as queued, sent, delivered or failed
+   * @returns {string|null}
+   */
+  mapStatus(providerStatus) {
+    return STATUS_MAP[String(providerStatus || '').toLowerCase()] || null;
+  }
+
+  getStatus() {
+    return {
+      configured: this.isConfigured,
+      hasApiUrl: !!this.apiUrl,
+      hasApiKey: !!this.apiKey,
+      hasSenderId: !!this.senderId,
+      hasEntityId: !!this.entityId,
+      templates: Object.keys(this.templateIds)
+    };
+  }
+}
+
+module.exports = DltSmsProvider;
@@ -0,0 +1,168 @@
+const twilio = require('twilio');
+const logger = require('../../utils/logger');
+
+// Errors about the recipient rather than Twilio; another provider would fail too
+const RECIPIENT_ERRORS = [21211, 21212, 21214, 21610, 21614];
+
+// Errors that mean the account or Twilio itself is in trouble
+const PROVIDER_ERRORS = [20003, 20005, 20429, 30001, 30002];
+
+const STATUS_MAP = {
+  queued: 'queued',
+  accepted: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+const ERROR_MESSAGES = {
+  21211: 'Invalid phone number format',
+  21212: 'Phone number not found or invalid',
+  21408: 'Permission denied for this phone number',
+  21610: 'Message cannot be sent to landline',
+  21614: 'Phone number is not a valid mobile number',
+  30001: 'Message queue is full',
+  30002: 'Account suspended',
+  30003: 'Unreachable destination',
+  30004: 'Message blocked by carrier',
+  30005: 'Unknown destination',
+  30006: 'Landline or unreachable carrier',
+  30007: 'Carrier violation',
+  30008: 'Unknown error'
+};
+
+/**
+ * Twilio Programmable Messaging
+ */
+class TwilioSmsProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+    this.fromNumber = process.env.TWILIO_PHONE_NUMBER;
+    // Public URL of POST /api/v1/sms/status; Twilio posts delivery receipts there
+    this.statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL;
+    this.isConfigured = !!(this.accountSid && this.authToken && this.fromNumber);
+
+    if (this.isConfigured) {
+      this.client = twilio(this.accountSid, this.authToken);
+    }
+  }
+
+  /**
+   * @param {Object} message - { to, body }
+   * @returns {Promise<Object>} { success, messageId, status, cost, segments } or
+   *   { success: false, error, message, recipientError, providerError }
+   */
+  async send({ to, body }) {
+    try {
+      const sent = await this.client.messages.create({
+        body,
+        from: this.fromNumber,
+        to,
+        ...(this.statusCallbackUrl && { statusCallback: this.statusCallbackUrl })
+      });
+
+      logger.debug(`Twilio Message SID: ${sent.sid}`, 'SMS_SERVICE');
+
+      // Twilio usually prices the message later; price is negative when present
+      const price = sent.price ? Math.abs(parseFloat(sent.price)) : null;
+      return {
+        success: true,
+        messageId: sent.sid,
+        status: sent.status,
+        cost: Number.isFinite(price) ? { amount: price, currency: (sent.priceUnit || 'USD').toUpperCase() } : null,
+        segments: sent.numSegments ? Number(sent.numSegments) : undefined
+      };
+    } catch (error) {
+      if (error.code) {
+        return {
+          success: false,
+          error: 'TWILIO_ERROR',
+          message: this.getErrorMessage(error.code),
+          twilioCode: error.code,
+          details: error.message,
+          recipientError: RECIPIENT_ERRORS.includes(error.code),
+          providerError: PROVIDER_ERRORS.includes(error.code) || error.status >= 500
+        };
+      }
+
+      return {
+        success: false,
+        error: 'SMS_SEND_ERROR',
+        message: 'Failed to send SMS',
+        details: error.message,
+        providerError: true
+      };
+    }
+  }
+
+  /**
+   * Delivery state of a message, with its final price once Twilio has it
+   * @param {string} messageId - Twilio message SID
+   */
+  async getMessageStatus(messageId) {
+    const message = await this.client.messages(messageId).fetch();
+
+    return {
+      success: true,
+      status: message.status,
+      errorCode: message.errorCode,
+      errorMessage: message.errorMessage,
+      dateCreated: message.dateCreated,
+      dateSent: message.dateSent,
+      dateUpdated: message.dateUpdated,
+      price: message.price,
+      priceUnit: message.priceUnit
+    };
+  }
+
+  async getAccountInfo() {
+    const account = await this.client.api.accounts(this.accountSid).fetch();
+
+    return {
+      friendlyName: account.friendlyName,
+      status: account.status,
+      type: account.type,
+      dateCreated: account.dateCreated,
+      dateUpdated: account.dateUpdated
+    };
+  }
+
+  /**
+   * Check that a webhook request was signed by Twilio
+   */
+  validateRequest(signature, url, params) {
+    if (!this.authToken || !signature || !url) {
+      logger.warn('Missing Twilio signature, auth token or callback URL', 'SMS_SERVICE');
+      return false;
+    }
+    return twilio.validateRequest(this.authToken, signature, url, params);
+  }
+
+  /**
+   * Twilio status as queued, sent, delivered or failed
+   * @returns {string|null}
+   */
+  mapStatus(providerStatus) {
+    return STATUS_MAP[providerStatus] || null;
+  }
+
+  getErrorMessage(errorCode) {
+    return ERROR_MESSAGES[errorCode] || `Twilio error code: ${errorCode}`;
+  }
+
+  getStatus() {
+    return {
+      configured: this.isConfigured,
+      hasAccountSid: !!this.accountSid,
+      hasAuthToken: !!this.authToken,
+      hasFromNumber: !!this.fromNumber
+    };
+  }
+}
+
+module.exports = TwilioSmsProvider;
@@ -1,19 +1,43 @@
+const mongoose = require('mongoose');
 const twilio = require('twilio');
+const SmsDelivery = require('../models/SmsDelivery');
+const messageTemplateService = require('./messageTemplateService');
+const TwilioSmsProvider = require('./smsProviders/twilioSmsProvider');
+const DltSmsProvider = require('./smsProviders/dltSmsProvider');
+const ConsoleSmsProvider = require('./smsProviders/consoleSmsProvider');
+const { SmsGatewaySettings } = require('../config/smsGateway');
 const logger = require('../utils/logger');
 
+/**
+ * SMS gateway in front of the configured providers.
+ *
+ * Each message goes to the providers routed for its destination country
+ * (config/smsGateway.js), in order, until one accepts it. A provider that
+ * keeps failing on its side is tried last until its cool-down ends. Every
+ * send is recorded as an SmsDelivery with its segments and cost.
+ */
 class SMSService {
   constructor() {
-    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
-    this.authToken = process.env.TWILIO_AUTH_TOKEN;
-    this.fromNumber = process.env.TWILIO_PHONE_NUMBER;
-    this.isConfigured = !!(this.accountSid && this.authToken && this.fromNumber);
-    
+    this.settings = SmsGatewaySettings;
+    this.providers = {
+      twilio: new TwilioSmsProvider(),
+      dlt: new DltSmsProvider(),
+      console: new ConsoleSmsProvider()
+    };
+    // Provider name -> { failures, lastError, lastFailureAt, unhealthyUntil }
+    this.health = {};
+
+    // Public URL of POST /api/v1/sms/status; Twilio posts delivery receipts there
+    this.statusCallbackUrl = this.providers.twilio.statusCallbackUrl;
+    // Public URL of POST /api/v1/sms/inbound, set as the number's incoming message webhook
+    this.inboundWebhookUrl = process.env.TWILIO_INBOUND_WEBHOOK_URL;
+    this.isConfigured = this.getConfiguredProviders().length > 0;
+
     if (this.isConfigured) {
-      this.client = twilio(this.accountSid, this.authToken);
-      logger.success('SMS Service initialized with Twilio credentials', 'SMS_SERVICE');
+      logger.success(`SMS Service initialized with providers: ${this.getConfiguredProviders().join(', ')}`, 'SMS_SERVICE');
     } else {
       logger.warn('SMS Service initialized without credentials (development mode)', 'SMS_SERVICE');
-      logger.debug('Missing: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, or TWILIO_PHONE_NUMBER', 'SMS_SERVICE');
+      logger.debug('Missing: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER or the DLT_SMS_* settings', 'SMS_SERVICE');
     }
   }
 
@@ -21,83 +45,279 @@ class SMSService {
    * Send SMS message
    * @param {string} phoneNumber - Recipient phone number
    * @param {string} message - Message text
-   * @param {Object} options - Send options
-   * @returns {Promise<Object>} Send result
+   * @param {Object} options - { templateName, dltTemplateId }; DLT routes
+   *   need the registered template the text was rendered from
+   * @returns {Promise<Object>} Send result, with the provider that took it
    */
   async sendSMS(phoneNumber, message, options = {}) {
+    const { templateName, dltTemplateId } = options;
     logger.info(`Sending SMS to: ${this.maskPhoneNumber(phoneNumber)}`, 'SMS_SERVICE');
-    
-    // Development mode - simulate sending
-    if (!this.isConfigured) {
-      logger.warn('SMS not configured - simulating SMS send', 'SMS_SERVICE');
-      logger.info(`[SIMULATED] SMS to ${this.maskPhoneNumber(phoneNumber)}: ${message.substring(0, 50)}...`, 'SMS_SERVICE');
-      
+
+    const formattedNumber = this.formatPhoneNumber(phoneNumber);
+    if (!formattedNumber.valid) {
       return {
-        success: true,
-        messageId: `sim_sms_${Date.now()}`,
-        message: 'SMS sent successfully (simulated)',
-        simulated: true
+        success: false,
+        error: 'INVALID_PHONE_NUMBER',
+        message: formattedNumber.message
       };
     }
 
-    try {
-      // Format phone number for Twilio
-      const formattedNumber = this.formatPhoneNumber(phoneNumber);
-      if (!formattedNumber.valid) {
-        return {
-          success: false,
-          error: 'INVALID_PHONE_NUMBER',
-          message: formattedNumber.message
-        };
+    // Truncate message if too long (SMS limit is 1600 characters)
+    const body = message.length > 1600
+      ? message.substring(0, 1597) + '...'
+      : message;
+    const unicode = messageTemplateService.isUnicode(body);
+    const segments = messageTemplateService.countSmsSegments(body);
+
+    const { country, formatted: to } = formattedNumber;
+    const attempts = [];
+    let result = null;
+    let provider = null;
+
+    for (const name of this.getRoute(country)) {
+      provider = name;
+      try {
+        result = await this.providers[name].send({ to, body, templateName, dltTemplateId, unicode });
+      } catch (error) {
+        result = { success: false, error: 'SMS_SEND_ERROR', message: error.message, providerError: true };
       }
 
-      // Truncate message if too long (SMS limit is 1600 characters)
-      const truncatedMessage = message.length > 1600 
-        ? message.substring(0, 1597) + '...'
-        : message;
-
-      const twilioMessage = await this.client.messages.create({
-        body: truncatedMessage,
-        from: this.fromNumber,
-        to: formattedNumber.formatted,
-        ...options
-      });
+      attempts.push({ provider: name, success: result.success, error: result.success ? undefined : result.message });
+      if (result.success) {
+        this.recordHealth(name, true);
+        break;
+      }
 
-      logger.success(`SMS sent successfully to: ${this.maskPhoneNumber(phoneNumber)}`, 'SMS_SERVICE');
-      logger.debug(`Twilio Message SID: ${twilioMessage.sid}`, 'SMS_SERVICE');
+      logger.warn(`SMS via ${name} failed for ${this.maskPhoneNumber(phoneNumber)}: ${result.message}`, 'SMS_SERVICE');
+      if (result.providerError) {
+        this.recordHealth(name, false, result.message);
+      }
+      // Another provider would be turned away by the same number
+      if (result.recipientError) break;
+    }
 
+    const cost = result.success
+      ? (result.cost ? { ...result.cost, source: 'provider' } : this.estimateCost(provider, country, result.segments || segments))
+      : null;
+
+    await this.recordDelivery({
+      to,
+      country,
+      provider,
+      providerMessageId: result.messageId,
+      simulated: !!result.simulated,
+      status: result.success ? this.mapStatus(provider, result.status) || 'sent' : 'failed',
+      segments: result.segments || segments,
+      encoding: unicode ? 'unicode' : 'gsm',
+      cost,
+      attempts,
+      templateName,
+      dltTemplateId,
+      error: result.success ? undefined : result.message
+    });
+
+    if (!result.success) {
+      logger.error(`Failed to send SMS to: ${this.maskPhoneNumber(phoneNumber)}`, 'SMS_SERVICE');
       return {
-        success: true,
-        messageId: twilioMessage.sid,
-        message: 'SMS sent successfully',
-        status: twilioMessage.status,
-        cost: twilioMessage.price,
-        segments: twilioMessage.numSegments
+        success: false,
+        error: result.error,
+        message: result.message,
+        twilioCode: result.twilioCode,
+        details: result.details,
+        provider,
+        attempts: attempts.length
       };
+    }
+
+    logger.success(`SMS sent successfully to: ${this.maskPhoneNumber(phoneNumber)} via ${provider}`, 'SMS_SERVICE');
 
+    return {
+      success: true,
+      messageId: result.messageId,
+      message: result.simulated ? 'SMS sent successfully (simulated)' : 'SMS sent successfully',
+      status: result.status,
+      cost,
+      segments: result.segments || segments,
+      simulated: !!result.simulated,
+      provider,
+      attempts: attempts.length
+    };
+  }
+
+  /**
+   * Providers to try for a destination country, in order: configured
+   * providers from the route with unhealthy ones moved last, or the
+   * console stub when none is configured
+   * @param {string} country - ISO country code
+   * @param {Date} now - Current time
+   * @returns {Array<string>} Provider names
+   */
+  getRoute(country, now = new Date()) {
+    const route = this.settings.ROUTES[country] || this.settings.ROUTES.default;
+    const configured = route.filter(name => this.providers[name]?.isConfigured);
+    if (configured.length === 0) {
+      return [this.settings.FALLBACK_PROVIDER];
+    }
+
+    const healthy = configured.filter(name => this.isHealthy(name, now));
+    return [...healthy, ...configured.filter(name => !healthy.includes(name))];
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @param {Date} now - Current time
+   * @returns {boolean} Provider is not in a failure cool-down
+   */
+  isHealthy(name, now = new Date()) {
+    const health = this.health[name];
+    return !health?.unhealthyUntil || health.unhealthyUntil <= now;
+  }
+
+  /**
+   * Track provider-side failures. After FAILURE_THRESHOLD in a row the
+   * provider is tried last for COOLDOWN_MINUTES; when the cool-down ends it
+   * is tried first again, and one more failure starts another cool-down.
+   * @param {string} name - Provider name
+   * @param {boolean} success - Whether the send succeeded
+   * @param {string} error - Failure message
+   * @param {Date} now - Current time
+   */
+  recordHealth(name, success, error, now = new Date()) {
+    if (success) {
+      delete this.health[name];
+      return;
+    }
+
+    const { FAILURE_THRESHOLD, COOLDOWN_MINUTES } = this.settings.HEALTH;
+    const health = this.health[name] || (this.health[name] = { failures: 0 });
+    health.failures += 1;
+    health.lastError = error;
+    health.lastFailureAt = now;
+
+    if (health.failures >= FAILURE_THRESHOLD) {
+      health.unhealthyUntil = new Date(now.getTime() + COOLDOWN_MINUTES * 60 * 1000);
+      logger.warn(`SMS provider ${name} failed ${health.failures} times; trying it last until ${health.unhealthyUntil.toISOString()}`, 'SMS_SERVICE');
+    }
+  }
+
+  /**
+   * Cost of a message from the rate card
+   * @param {string} provider - Provider name
+   * @param {string} country - ISO country code
+   * @param {number} segments - SMS segments
+   * @returns {Object|null} { amount, currency, source }
+   */
+  estimateCost(provider, country, segments) {
+    const rates = this.settings.RATES[provider] || {};
+    const rate = rates[country] || rates.default;
+    if (!rate) return null;
+
+    return {
+      amount: Number((rate.amount * segments).toFixed(4)),
+      currency: rate.currency,
+      source: 'rate_card'
+    };
+  }
+
+  /**
+   * Store the outcome of a send. Never throws, and skipped without a
+   * database connection so the gateway works in scripts and tests.
+   * @param {Object} delivery - SmsDelivery fields
+   */
+  async recordDelivery(delivery) {
+    if (mongoose.connection.readyState !== 1) return null;
+
+    try {
+      return await SmsDelivery.create({
+        ...delivery,
+        sentAt: delivery.status === 'failed' ? undefined : new Date(),
+        failedAt: delivery.status === 'failed' ? new Date() : undefined
+      });
     } catch (error) {
-      logger.error(`Failed to send SMS to: ${this.maskPhoneNumber(phoneNumber)}`, 'SMS_SERVICE', error);
-      
-      // Handle specific Twilio errors
-      if (error.code) {
-        return {
-          success: false,
-          error: 'TWILIO_ERROR',
-          message: this.getTwilioErrorMessage(error.code),
-          twilioCode: error.code,
-          details: error.message
-        };
-      } else {
-        return {
-          success: false,
-          error: 'SMS_SEND_ERROR',
-          message: 'Failed to send SMS',
-          details: error.message
-        };
+      logger.error(`Failed to record SMS delivery to ${this.maskPhoneNumber(delivery.to)}`, 'SMS_SERVICE', error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} provider - Provider name
+   * @param {string} providerStatus - Status as the provider reports it
+   * @returns {string|null} queued, sent, delivered or failed
+   */
+  mapStatus(provider, providerStatus) {
+    return this.providers[provider]?.mapStatus(providerStatus) || null;
+  }
+
+  /**
+   * Apply a delivery receipt to the stored delivery
+   * @param {string} provider - Provider the receipt came from
+   * @param {string} providerMessageId - Provider message id
+   * @param {string} providerStatus - Status as the provider reports it
+   * @param {Object} details - { error }
+   * @returns {Promise<Object|null>} Updated delivery
+   */
+  async applyDeliveryStatus(provider, providerMessageId, providerStatus, { error } = {}) {
+    const status = this.mapStatus(provider, providerStatus);
+    if (!status || mongoose.connection.readyState !== 1) return null;
+
+    try {
+      const delivery = await SmsDelivery.findOne({ provider, providerMessageId });
+      if (!delivery) return null;
+
+      if (delivery.applyStatus(status, { error })) {
+        await delivery.save();
       }
+      return delivery;
+    } catch (err) {
+      logger.error(`Failed to apply ${provider} status ${providerStatus} to ${providerMessageId}`, 'SMS_SERVICE', err);
+      return null;
     }
   }
 
+  /**
+   * Sent messages and their cost over a period, excluding simulated sends.
+   * Totals are per currency; providers bill in different ones.
+   * @param {Object} options - { startDate, endDate, groupBy: provider|day }
+   * @returns {Promise<Object>} { startDate, endDate, groupBy, rows, totals }
+   */
+  async getCostReport({ startDate, endDate = new Date(), groupBy = 'provider' } = {}) {
+    const from = startDate || new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const group = groupBy === 'day'
+      ? { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, currency: '$cost.currency' }
+      : { provider: '$provider', country: '$country', currency: '$cost.currency' };
+
+    const rows = await SmsDelivery.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: endDate }, simulated: { $ne: true } } },
+      {
+        $group: {
+          _id: group,
+          messages: { $sum: 1 },
+          segments: { $sum: '$segments' },
+          delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          // Messages priced from the rate card rather than by the provider
+          estimated: { $sum: { $cond: [{ $eq: ['$cost.source', 'rate_card'] }, 1, 0] } },
+          amount: { $sum: { $ifNull: ['$cost.amount', 0] } }
+        }
+      },
+      { $sort: groupBy === 'day' ? { '_id.day': 1 } : { amount: -1 } }
+    ]);
+
+    const totals = {};
+    const result = rows.map(({ _id, ...row }) => {
+      const currency = _id.currency || 'unpriced';
+      const total = totals[currency] || (totals[currency] = { messages: 0, segments: 0, amount: 0 });
+      total.messages += row.messages;
+      total.segments += row.segments;
+      total.amount = Number((total.amount + row.amount).toFixed(4));
+
+      return { ..._id, ...row, amount: Number(row.amount.toFixed(4)) };
+    });
+
+    return { startDate: from, endDate, groupBy, rows: result, totals };
+  }
+
   /**
    * Send OTP via SMS
    * @param {string} phoneNumber - Recipient phone number
@@ -107,7 +327,7 @@ class SMSService {
    */
   async sendOTP(phoneNumber, otp, purpose = 'verification') {
     const message = this.formatOTPMessage(otp, purpose);
-    return this.sendSMS(phoneNumber, message);
+    return this.sendSMS(phoneNumber, message, { templateName: 'otp' });
   }
 
   /**
@@ -118,7 +338,7 @@ class SMSService {
    */
   async sendBloodRequestNotification(phoneNumber, requestData) {
     const message = this.formatBloodRequestMessage(requestData);
-    return this.sendSMS(phoneNumber, message);
+    return this.sendSMS(phoneNumber, message, { templateName: 'blood_request' });
   }
 
   /**
@@ -148,7 +368,7 @@ class SMSService {
       // Send batch concurrently
       const batchPromises = batch.map(async (msg) => {
         try {
-          const result = await this.sendSMS(msg.phoneNumber, msg.message);
+          const result = await this.sendSMS(msg.phoneNumber, msg.message, { templateName: msg.templateName });
           if (result.success) {
             results.successful++;
           } else {
@@ -182,11 +402,13 @@ class SMSService {
 
   /**
    * Get SMS delivery status
-   * @param {string} messageId - Twilio message SID
+   * @param {string} messageId - Provider message id
+   * @param {string} provider - Provider that sent it
    * @returns {Promise<Object>} Delivery status
    */
-  async getMessageStatus(messageId) {
-    if (!this.isConfigured) {
+  async getMessageStatus(messageId, provider = 'twilio') {
+    const adapter = this.providers[provider];
+    if (!adapter?.isConfigured || !adapter.getMessageStatus) {
       return {
         success: true,
         status: 'delivered',
@@ -195,23 +417,10 @@ class SMSService {
     }
 
     try {
-      const message = await this.client.messages(messageId).fetch();
-      
-      return {
-        success: true,
-        status: message.status,
-        errorCode: message.errorCode,
-        errorMessage: message.errorMessage,
-        dateCreated: message.dateCreated,
-        dateSent: message.dateSent,
-        dateUpdated: message.dateUpdated,
-        price: message.price,
-        priceUnit: message.priceUnit
-      };
-
+      return await adapter.getMessageStatus(messageId);
     } catch (error) {
       logger.error(`Failed to get SMS status: ${messageId}`, 'SMS_SERVICE', error);
-      
+
       return {
         success: false,
         error: 'STATUS_CHECK_FAILED',
@@ -220,6 +429,40 @@ class SMSService {
     }
   }
 
+  /**
+   * Check that a webhook request was signed by Twilio
+   * @param {string} signature - X-Twilio-Signature header
+   * @param {string} url - Full URL Twilio posted to, as configured
+   * @param {Object} params - Form parameters of the request
+   * @returns {boolean} Signature is valid
+   */
+  validateWebhookSignature(signature, url, params) {
+    return this.providers.twilio.validateRequest(signature, url, params);
+  }
+
+  /**
+   * Check the token the DLT gateway sends with delivery reports
+   * @param {string} token - X-Webhook-Token header
+   * @returns {boolean} Token is valid
+   */
+  validateDltWebhook(token) {
+    return this.providers.dlt.validateRequest(token);
+  }
+
+  /**
+   * TwiML answering an inbound message. WhatsApp-style *bold* and _italic_
+   * markers are removed, since SMS shows them literally.
+   * @param {string|null} message - Reply text, or null to send nothing
+   * @returns {string} TwiML document
+   */
+  buildReply(message) {
+    const response = new twilio.twiml.MessagingResponse();
+    if (message) {
+      response.message(message.replace(/(^|\s)[*_]([^*_\n]+)[*_](?=\s|[.,!?:]|$)/g, '$1$2'));
+    }
+    return response.toString();
+  }
+
   /**
    * Format OTP message
    * @param {string} otp - OTP code
@@ -277,19 +520,21 @@ Every drop counts. Every donor matters.`;
   }
 
   /**
-   * Format phone number for Twilio
+   * Format phone number as E.164 and work out its country
    * @param {string} phoneNumber - Phone number to format
    * @returns {Object} Formatting result
    */
   formatPhoneNumber(phoneNumber) {
     // Remove all non-digit characters
-    const cleaned = phoneNumber.replace(/\D/g, '');
-    
+    let cleaned = phoneNumber.replace(/\D/g, '');
+
+    // A bare 10-digit mobile number is Indian, as everywhere else in the app
+    if (/^[6-9]\d{9}$/.test(cleaned)) {
+      cleaned = `91${cleaned}`;
+    }
+
     // Check if it's a valid Indian mobile number
-    const indianMobileRegex = /^91[6-9]\d{9}$/;
-    const isValidIndian = indianMobileRegex.test(cleaned);
-    
-    if (isValidIndian) {
+    if (/^91[6-9]\d{9}$/.test(cleaned)) {
       return {
         valid: true,
         formatted: `+${cleaned}`,
@@ -300,11 +545,10 @@ Every drop counts. Every donor matters.`;
 
     // Check for international format
     if (cleaned.length >= 10 && cleaned.length <= 15) {
-      const formatted = cleaned.startsWith('+') ? cleaned : `+${cleaned}`;
       return {
         valid: true,
-        formatted,
-        country: 'UNKNOWN',
+        formatted: `+${cleaned}`,
+        country: this.getCountry(cleaned),
         message: 'Valid international number format'
       };
     }
@@ -317,28 +561,16 @@ Every drop counts. Every donor matters.`;
   }
 
   /**
-   * Get Twilio error message
-   * @param {number} errorCode - Twilio error code
-   * @returns {string} User-friendly error message
+   * Country of an international number from its calling code
+   * @param {string} digits - Number with calling code, digits only
+   * @returns {string} ISO country code, or UNKNOWN
    */
-  getTwilioErrorMessage(errorCode) {
-    const errorMessages = {
-      21211: 'Invalid phone number format',
-      21212: 'Phone number not found or invalid',
-      21408: 'Permission denied for this phone number',
-      21610: 'Message cannot be sent to landline',
-      21614: 'Phone number is not a valid mobile number',
-      30001: 'Message queue is full',
-      30002: 'Account suspended',
-      30003: 'Unreachable destination',
-      30004: 'Message blocked by carrier',
-      30005: 'Unknown destination',
-      30006: 'Landline or unreachable carrier',
-      30007: 'Carrier violation',
-      30008: 'Unknown error'
-    };
-
-    return errorMessages[errorCode] || `Twilio error code: ${errorCode}`;
+  getCountry(digits) {
+    for (const length of [3, 2, 1]) {
+      const country = this.settings.CALLING_CODES[digits.substring(0, length)];
+      if (country) return country;
+    }
+    return 'UNKNOWN';
   }
 
   /**
@@ -384,21 +616,40 @@ Every drop counts. Every donor matters.`;
    * @returns {Object} Service status
    */
   getStatus() {
+    const providers = {};
+    Object.entries(this.providers).forEach(([name, provider]) => {
+      const health = this.health[name];
+      providers[name] = {
+        ...provider.getStatus(),
+        healthy: this.isHealthy(name),
+        failures: health?.failures || 0,
+        lastError: health?.lastError || null,
+        unhealthyUntil: health?.unhealthyUntil || null
+      };
+    });
+
     return {
       configured: this.isConfigured,
-      hasAccountSid: !!this.accountSid,
-      hasAuthToken: !!this.authToken,
-      hasFromNumber: !!this.fromNumber,
-      ready: this.isConfigured
+      ready: this.isConfigured,
+      routes: this.settings.ROUTES,
+      providers
     };
   }
 
   /**
-   * Get account information (if configured)
+   * @returns {Array<string>} Names of providers with credentials, excluding the console stub
+   */
+  getConfiguredProviders() {
+    return Object.keys(this.providers)
+      .filter(name => name !== this.settings.FALLBACK_PROVIDER && this.providers[name].isConfigured);
+  }
+
+  /**
+   * Get Twilio account information (if configured)
    * @returns {Promise<Object>} Account info
    */
   async getAccountInfo() {
-    if (!this.isConfigured) {
+    if (!this.providers.twilio.isConfigured) {
       return {
         success: false,
         message: 'SMS service not configured'
@@ -406,17 +657,9 @@ Every drop counts. Every donor matters.`;
     }
 
     try {
-      const account = await this.client.api.accounts(this.accountSid).fetch();
-      
       return {
         success: true,
-        data: {
-          friendlyName: account.friendlyName,
-          status: account.status,
-          type: account.type,
-          dateCreated: account.dateCreated,
-          dateUpdated: account.dateUpdated
-        }
+        data: await this.providers.twilio.getAccountInfo()
       };
 
     } catch (error) {
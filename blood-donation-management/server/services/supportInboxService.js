@@ -0,0 +1,396 @@
+const SupportThread = require('../models/SupportThread');
+const User = require('../models/User');
+const contactService = require('./contactService');
+const consentService = require('./consentService');
+const messageTemplateService = require('./messageTemplateService');
+const whatsappService = require('./whatsappService');
+const smsService = require('./smsService');
+const emailService = require('./emailService');
+const { SupportInboxSettings } = require('../config/supportInbox');
+const logger = require('../utils/logger');
+
+const PRIORITY_RANK = Object.fromEntries(SupportInboxSettings.PRIORITIES.map((priority, index) => [priority, index]));
+
+const THREAD_SUMMARY_FIELDS = { messages: { $slice: -1 } };
+
+/**
+ * Support inbox: inbound WhatsApp, SMS and contact form messages threaded
+ * per person, with assignment, replies and a response deadline
+ */
+class SupportInboxService {
+  constructor() {
+    this.settings = SupportInboxSettings;
+  }
+
+  /**
+   * Add an inbound message to the sender's thread, opening one if needed
+   * @param {Object} message - { channel, phoneNumber, email, name, userId, subject, text,
+   *   priority, providerMessageId, inboundMessageId, language, receivedAt }
+   * @returns {Promise<Object|null>} Thread, or null when the sender cannot be identified
+   */
+  async receive({
+    channel,
+    phoneNumber = null,
+    email = null,
+    name = null,
+    userId = null,
+    subject = null,
+    text,
+    priority = 'normal',
+    providerMessageId = null,
+    inboundMessageId = null,
+    language = null,
+    receivedAt = new Date()
+  }) {
+    const keys = [
+      SupportThread.toContactKey({ phoneNumber }),
+      SupportThread.toContactKey({ email })
+    ].filter(Boolean);
+
+    if (keys.length === 0) {
+      logger.warn(`Cannot thread ${channel} message without a phone number or email`, 'SUPPORT_INBOX');
+      return null;
+    }
+
+    let thread = await SupportThread.findOne({ contactKey: { $in: keys } });
+
+    // Providers retry webhooks; one message is one entry
+    if (thread && providerMessageId && thread.messages.some(message => message.providerMessageId === providerMessageId)) {
+      return thread;
+    }
+
+    if (!thread) {
+      thread = new SupportThread({ contactKey: keys[0], priority });
+    }
+
+    thread.phoneNumber = thread.phoneNumber || phoneNumber;
+    thread.email = thread.email || email;
+    thread.name = thread.name || name;
+    thread.language = language || thread.language;
+    thread.user = thread.user || userId || await this.findUserId({ phoneNumber, email });
+
+    thread.messages.push({
+      direction: 'inbound',
+      channel,
+      subject,
+      text: String(text).slice(0, this.settings.MAX_TEXT_LENGTH),
+      providerMessageId,
+      inboundMessage: inboundMessageId
+    });
+    this.trimMessages(thread);
+
+    if (PRIORITY_RANK[priority] > PRIORITY_RANK[thread.priority]) {
+      thread.priority = priority;
+    }
+
+    // The clock starts at the first message we have not answered; a more
+    // urgent follow-up can only bring the deadline forward
+    const dueBy = contactService.getResponseDueDate(priority, receivedAt);
+    if (thread.status !== 'open' || !thread.responseDueBy || dueBy < thread.responseDueBy) {
+      thread.responseDueBy = dueBy;
+    }
+    thread.status = 'open';
+    thread.lastInboundAt = receivedAt;
+    thread.lastMessageAt = receivedAt;
+
+    await thread.save();
+
+    logger.info(`Added ${channel} message to support thread ${thread._id}`, 'SUPPORT_INBOX');
+    return thread;
+  }
+
+  /**
+   * Registered user behind a phone number or email, if any
+   */
+  async findUserId({ phoneNumber, email }) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    const conditions = [];
+    if (digits.length >= 10) conditions.push({ phoneNumber: { $regex: `${digits.slice(-10)}$` } });
+    if (email) conditions.push({ email: String(email).trim().toLowerCase() });
+    if (conditions.length === 0) return null;
+
+    const user = await User.findOne({ $or: conditions }).select('_id').lean();
+    return user?._id || null;
+  }
+
+  trimMessages(thread) {
+    const excess = thread.messages.length - this.settings.MAX_MESSAGES;
+    if (excess > 0) {
+      thread.messages.splice(0, excess);
+    }
+  }
+
+  /**
+   * Threads with their latest message, most urgent first
+   * @param {Object} filters - { status: active|open|waiting|closed|all, assignedTo: <id>|unassigned,
+   *   priority, overdue, page, limit }
+   * @param {Date} now - Reference time for the overdue filter
+   * @returns {Promise<Object>} { threads, total }
+   */
+  async list({ status = 'active', assignedTo, priority, overdue = false, page = 1, limit = 50 } = {}, now = new Date()) {
+    const query = {};
+    if (status === 'active') {
+      query.status = { $in: ['open', 'waiting'] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+    if (priority) query.priority = priority;
+    if (overdue) {
+      query.status = 'open';
+      query.responseDueBy = { $lt: now };
+    }
+
+    // Open threads by deadline, then the ones waiting on the other person
+    const sort = ['active', 'open'].includes(status) || overdue
+      ? { status: 1, responseDueBy: 1, lastMessageAt: -1 }
+      : { lastMessageAt: -1 };
+
+    const [threads, total] = await Promise.all([
+      SupportThread.find(query, THREAD_SUMMARY_FIELDS)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name bloodType')
+        .populate('assignedTo', 'name')
+        .lean(),
+      SupportThread.countDocuments(query)
+    ]);
+
+    return { threads, total };
+  }
+
+  /**
+   * @param {string} id - Thread ID
+   * @returns {Promise<Object|null>} Thread with all its messages
+   */
+  async get(id) {
+    return SupportThread.findById(id)
+      .populate('user', 'name bloodType phoneNumber email')
+      .populate('assignedTo', 'name')
+      .populate('messages.sentBy', 'name');
+  }
+
+  /**
+   * Inbox totals for the admin dashboard
+   * @param {string} userId - Admin viewing the inbox, for their own count
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { open, waiting, overdue, dueSoon, unassigned, mine }
+   */
+  async getCounts(userId, now = new Date()) {
+    const dueSoon = new Date(now.getTime() + this.settings.DUE_SOON_MINUTES * 60 * 1000);
+
+    const [open, waiting, overdue, dueSoonCount, unassigned, mine] = await Promise.all([
+      SupportThread.countDocuments({ status: 'open' }),
+      SupportThread.countDocuments({ status: 'waiting' }),
+      SupportThread.countDocuments({ status: 'open', responseDueBy: { $lt: now } }),
+      SupportThread.countDocuments({ status: 'open', responseDueBy: { $gte: now, $lt: dueSoon } }),
+      SupportThread.countDocuments({ status: 'open', assignedTo: null }),
+      SupportThread.countDocuments({ status: { $in: ['open', 'waiting'] }, assignedTo: userId })
+    ]);
+
+    return { open, waiting, overdue, dueSoon: dueSoonCount, unassigned, mine };
+  }
+
+  /**
+   * Admin who can be assigned a thread
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Coordinator
+   */
+  async findCoordinator(userId) {
+    return User.findOne({ _id: userId, role: 'admin' }).select('_id name').lean();
+  }
+
+  /**
+   * Admins a thread can be assigned to
+   * @returns {Promise<Array>} [{ _id, name }]
+   */
+  async listCoordinators() {
+    return User.find({ role: 'admin', status: 'active' }).select('_id name').sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Change assignment, status or priority
+   * @param {Object} thread - Thread document
+   * @param {Object} changes - { assignedTo, status, priority }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Updated thread
+   */
+  async update(thread, { assignedTo, status, priority }, now = new Date()) {
+    if (assignedTo !== undefined) {
+      thread.assignedTo = assignedTo;
+      thread.assignedAt = assignedTo ? now : undefined;
+    }
+
+    if (priority && priority !== thread.priority) {
+      thread.priority = priority;
+      if (thread.status === 'open') {
+        thread.responseDueBy = contactService.getResponseDueDate(priority, thread.lastInboundAt || now);
+      }
+    }
+
+    if (status && status !== thread.status) {
+      thread.status = status;
+      // Reopening puts the thread back in the queue with a fresh deadline
+      thread.responseDueBy = status === 'open'
+        ? contactService.getResponseDueDate(thread.priority, now)
+        : null;
+    }
+
+    await thread.save();
+
+    logger.info(`Support thread ${thread._id} updated`, 'SUPPORT_INBOX');
+    return thread;
+  }
+
+  /**
+   * Published canned replies for a reply channel
+   * @param {string} channel - whatsapp, sms or email
+   * @returns {Promise<Array>} [{ name, description, languages }]
+   */
+  async getCannedReplies(channel) {
+    const prefix = this.settings.CANNED_REPLY_PREFIX;
+    const templates = await messageTemplateService.listTemplates({
+      channel: this.settings.TEMPLATE_CHANNELS[channel],
+      search: prefix
+    });
+
+    return templates
+      .filter(template => template.name.startsWith(prefix) && template.publishedVersion)
+      .map(({ name, description, languages }) => ({ name, description, languages }));
+  }
+
+  /**
+   * Why a reply cannot go out on a channel
+   * @param {Object} thread - Thread document
+   * @param {string} channel - whatsapp, sms or email
+   * @param {Date} now - Reference time
+   * @returns {Promise<string|null>} Reason, or null when the reply can be sent
+   */
+  async getReplyBlocker(thread, channel, now = new Date()) {
+    if (channel === 'email' ? !thread.email : !thread.phoneNumber) {
+      return `No ${channel === 'email' ? 'email address' : 'phone number'} on this thread`;
+    }
+
+    const withdrawn = await consentService.getWithdrawnChannels({
+      phoneNumber: thread.phoneNumber,
+      email: thread.email
+    });
+    if (withdrawn.has(channel)) {
+      return `The person has opted out of ${channel} messages`;
+    }
+
+    if (channel === 'whatsapp') {
+      const lastWhatsApp = thread.getLastInbound('whatsapp');
+      const sessionMs = this.settings.WHATSAPP_SESSION_HOURS * 60 * 60 * 1000;
+      if (!lastWhatsApp || now - lastWhatsApp.createdAt > sessionMs) {
+        return `WhatsApp replies are only possible within ${this.settings.WHATSAPP_SESSION_HOURS} hours of the person's last WhatsApp message`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Render a canned reply for a thread
+   * @param {Object} thread - Thread document
+   * @param {Object} reply - { channel, template, language }
+   * @param {string} coordinatorName - Admin sending it
+   * @returns {Promise<Object>} { subject, text, template: { name, language } }
+   */
+  async renderCannedReply(thread, { channel, template, language }, coordinatorName) {
+    if (!template.startsWith(this.settings.CANNED_REPLY_PREFIX)) {
+      throw new Error(`${template} is not a canned reply`);
+    }
+
+    const rendered = await messageTemplateService.render(template, this.settings.TEMPLATE_CHANNELS[channel], {
+      name: thread.name,
+      coordinator: coordinatorName
+    }, { language: language || thread.language });
+
+    return {
+      subject: rendered.subject,
+      text: rendered.body,
+      template: { name: template, language: rendered.language }
+    };
+  }
+
+  /**
+   * Send a reply and add it to the thread. A failed send is kept on the
+   * thread with its error and leaves the deadline running.
+   * @param {Object} thread - Thread document
+   * @param {Object} reply - { channel, text, subject, template }
+   * @param {string} senderId - Admin sending the reply
+   * @returns {Promise<Object>} { thread, sent, error }
+   */
+  async reply(thread, { channel, text, subject = null, template }, senderId) {
+    if (channel === 'email' && !subject) {
+      const lastSubject = [...thread.messages].reverse().find(message => message.subject)?.subject;
+      subject = lastSubject ? `Re: ${lastSubject}` : 'Your message to CallforBlood Foundation';
+    }
+
+    const result = await this.send(thread, channel, subject, text, template?.name);
+    const now = new Date();
+
+    thread.messages.push({
+      direction: 'outbound',
+      channel,
+      subject,
+      text: text.slice(0, this.settings.MAX_TEXT_LENGTH),
+      providerMessageId: result.messageId,
+      template,
+      sentBy: senderId,
+      delivery: {
+        status: result.success ? 'sent' : 'failed',
+        error: result.success ? undefined : result.message || result.error
+      }
+    });
+    this.trimMessages(thread);
+    thread.lastMessageAt = now;
+
+    if (result.success) {
+      thread.lastReplyAt = now;
+      thread.responseDueBy = null;
+      if (thread.status === 'open') thread.status = 'waiting';
+      if (!thread.assignedTo) {
+        thread.assignedTo = senderId;
+        thread.assignedAt = now;
+      }
+    }
+
+    await thread.save();
+
+    if (result.success) {
+      logger.info(`Replied to support thread ${thread._id} by ${channel}`, 'SUPPORT_INBOX');
+    } else {
+      logger.warn(`Reply to support thread ${thread._id} by ${channel} failed: ${result.message || result.error}`, 'SUPPORT_INBOX');
+    }
+
+    return { thread, sent: result.success, error: result.success ? null : result.message || result.error };
+  }
+
+  async send(thread, channel, subject, text, templateName) {
+    switch (channel) {
+      case 'whatsapp':
+        return whatsappService.sendMessage(thread.phoneNumber, text);
+      case 'sms':
+        return smsService.sendSMS(thread.phoneNumber, text, { templateName });
+      case 'email':
+        return emailService.sendEmail(thread.email, subject, text, {
+          categories: ['support_reply'],
+          customArgs: { type: 'support_reply', threadId: String(thread._id) }
+        });
+      default:
+        return { success: false, error: 'UNSUPPORTED_CHANNEL', message: `Cannot reply by ${channel}` };
+    }
+  }
+}
+
+// Create singleton instance
+const supportInboxService = new SupportInboxService();
+
+module.exports = supportInboxService;
@@ -0,0 +1,415 @@
+const TransferOrder = require('../models/TransferOrder');
+const BloodInventory = require('../models/BloodInventory');
+const Hospital = require('../models/Hospital');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+/**
+ * Blood transfers between hospitals. The requesting hospital raises an order,
+ * the supplying hospital approves it and dispatches batches, and the requester
+ * confirms receipt.
+ */
+class TransferOrderService {
+  /**
+   * Hospital managed by the logged-in hospital admin
+   */
+  async getHospitalForAdmin(adminUserId) {
+    const hospital = await Hospital.findOne({ adminUser: adminUserId });
+    if (!hospital) {
+      throw new Error('Hospital not found');
+    }
+    return hospital;
+  }
+
+  /**
+   * Load an order that the hospital is a party to
+   */
+  async getOrder(hospital, orderId) {
+    const order = await TransferOrder.findOne({ orderId });
+    if (!order || !order.involves(hospital._id)) {
+      throw new Error('Transfer order not found');
+    }
+    return order;
+  }
+
+  /**
+   * Orders sent or received by a hospital
+   * @param {Object} hospital - Hospital document
+   * @param {Object} filters - { direction: incoming|outgoing, status, limit }
+   */
+  async getOrdersForHospital(hospital, { direction, status, limit = 50 } = {}) {
+    const filter = {};
+
+    if (direction === 'incoming') {
+      // Orders this hospital has been asked to supply
+      filter.fromHospital = hospital._id;
+    } else if (direction === 'outgoing') {
+      filter.toHospital = hospital._id;
+    } else {
+      filter.$or = [{ fromHospital: hospital._id }, { toHospital: hospital._id }];
+    }
+
+    if (status) filter.status = status;
+
+    return TransferOrder.find(filter)
+      .populate('fromHospital', 'name address.city')
+      .populate('toHospital', 'name address.city')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Ask another hospital for blood
+   */
+  async createOrder(hospital, { fromHospitalId, bloodType, component, units, urgency, reason, bloodRequestId }, userId) {
+    if (fromHospitalId.toString() === hospital._id.toString()) {
+      throw new Error('A hospital cannot order blood from itself');
+    }
+
+    const supplier = await Hospital.findOne({ _id: fromHospitalId, isActive: true }).select('name');
+    if (!supplier) {
+      throw new Error('Supplying hospital not found');
+    }
+
+    const order = new TransferOrder({
+      toHospital: hospital._id,
+      fromHospital: supplier._id,
+      bloodType,
+      component,
+      units,
+      urgency,
+      reason,
+      bloodRequest: bloodRequestId,
+      requestedBy: userId,
+      history: [{ status: 'requested', by: userId, note: reason }]
+    });
+    await order.save();
+
+    await inventoryService.logInventoryTransaction(hospital._id, {
+      type: 'transfer_requested',
+      bloodType,
+      component: order.component,
+      units,
+      relatedHospital: supplier._id,
+      orderId: order.orderId,
+      performedBy: userId,
+      timestamp: new Date()
+    });
+
+    await this.notifyParties(order, reason);
+
+    logger.info(`Transfer ${order.orderId} requested: ${units} ${bloodType} ${order.component} from ${supplier.name} to ${hospital.name}`, 'TRANSFER_ORDER');
+
+    return order;
+  }
+
+  /**
+   * Supplier approves an order; its batches leave stock, earliest expiry first,
+   * and stay in transit until the requester confirms receipt
+   */
+  async approveOrder(hospital, orderId, userId, note) {
+    const order = await this.getOrder(hospital, orderId);
+
+    if (order.fromHospital.toString() !== hospital._id.toString()) {
+      throw new Error('Only the supplying hospital can approve this order');
+    }
+    if (order.status !== 'requested') {
+      throw new Error(`Transfer order is already ${order.status}`);
+    }
+
+    const stock = await BloodInventory.findOne({ facility: hospital._id, bloodType: order.bloodType, component: order.component });
+    if (!stock || stock.availableUnits < order.units) {
+      throw new Error('Insufficient inventory to approve this transfer');
+    }
+
+    // Claimed before stock moves, so a cancellation or second approval at the same time fails
+    const approved = await this.moveOrder(order, 'requested', 'in_transit', userId, note, {
+      approvedBy: userId,
+      approvedAt: new Date()
+    });
+
+    // The order records its batches before stock is written, so stock is the last write
+    try {
+      const dispatched = stock.takeAvailableUnits(order.units, 'in_transit', {
+        transferOrder: order._id,
+        notes: `Transfer ${order.orderId}`
+      });
+      approved.batches = dispatched.map(batch => ({
+        batchId: batch.batchId,
+        donationId: batch.donationId,
+        units: batch.units,
+        collectionDate: batch.collectionDate,
+        expiryDate: batch.expiryDate
+      }));
+      await approved.save();
+
+      stock.lastUpdatedBy = userId;
+      await stock.save();
+    } catch (error) {
+      await this.undoStep(approved, 'requested', ['approvedBy', 'approvedAt', 'batches']);
+      throw error;
+    }
+
+    await inventoryService.touchHospital(hospital._id);
+    await inventoryService.logInventoryTransaction(hospital._id, {
+      type: 'transfer_dispatched',
+      bloodType: approved.bloodType,
+      units: approved.units,
+      relatedHospital: approved.toHospital,
+      orderId: approved.orderId,
+      performedBy: userId,
+      timestamp: new Date()
+    });
+
+    await this.notifyParties(approved, note);
+
+    logger.info(`Transfer ${approved.orderId} approved and dispatched by ${hospital.name}`, 'TRANSFER_ORDER');
+
+    return approved;
+  }
+
+  /**
+   * Supplier declines an order
+   */
+  async rejectOrder(hospital, orderId, userId, reason) {
+    const order = await this.getOrder(hospital, orderId);
+
+    if (order.fromHospital.toString() !== hospital._id.toString()) {
+      throw new Error('Only the supplying hospital can reject this order');
+    }
+
+    return this.closeOrder(order, 'rejected', userId, reason);
+  }
+
+  /**
+   * Requester withdraws an order before it has been dispatched
+   */
+  async cancelOrder(hospital, orderId, userId, reason) {
+    const order = await this.getOrder(hospital, orderId);
+
+    if (order.toHospital.toString() !== hospital._id.toString()) {
+      throw new Error('Only the requesting hospital can cancel this order');
+    }
+
+    return this.closeOrder(order, 'cancelled', userId, reason);
+  }
+
+  async closeOrder(order, status, userId, reason) {
+    if (order.status !== 'requested') {
+      throw new Error(`Transfer order is already ${order.status}`);
+    }
+
+    const closed = await this.moveOrder(order, 'requested', status, userId, reason, {
+      closedBy: userId,
+      closedAt: new Date(),
+      closeReason: reason
+    });
+
+    await inventoryService.logInventoryTransaction(status === 'rejected' ? closed.fromHospital : closed.toHospital, {
+      type: `transfer_${status}`,
+      bloodType: closed.bloodType,
+      units: closed.units,
+      orderId: closed.orderId,
+      performedBy: userId,
+      timestamp: new Date()
+    });
+
+    await this.notifyParties(closed, reason);
+
+    logger.info(`Transfer ${closed.orderId} ${status}: ${reason}`, 'TRANSFER_ORDER');
+
+    return closed;
+  }
+
+  /**
+   * Move an order on from the status it was read in. The update only matches
+   * while the order is still in that status, so when both hospitals act at
+   * once only one of them gets through.
+   * @param {Object} order - Order as loaded
+   * @param {string} from - Status the order must still be in
+   * @param {string} to - New status
+   * @param {string} userId - User taking the step
+   * @param {string} note - Note for the history entry
+   * @param {Object} fields - Other fields to set with the status
+   * @returns {Promise<Object>} Updated order
+   */
+  async moveOrder(order, from, to, userId, note, fields = {}) {
+    const updated = await TransferOrder.findOneAndUpdate(
+      { _id: order._id, status: from },
+      {
+        $set: { ...fields, status: to },
+        $push: { history: { status: to, at: new Date(), by: userId, note } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await TransferOrder.findById(order._id).select('status').lean();
+      throw new Error(`Transfer order is already ${current?.status || order.status}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Put an order back to its previous status when the stock move after
+   * moveOrder failed
+   */
+  async undoStep(order, previousStatus, fields) {
+    await TransferOrder.updateOne(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status: previousStatus },
+        $unset: Object.fromEntries(fields.map(field => [field, ''])),
+        $pop: { history: 1 }
+      }
+    );
+  }
+
+  /**
+   * Requester confirms the blood arrived. Batches join the requester's stock with
+   * their original expiry dates; if the cold chain was broken they are recorded
+   * as discarded instead.
+   * @param {Object} receipt - { coldChain: { maintained, temperatureOnArrival, note }, notes }
+   */
+  async confirmReceipt(hospital, orderId, { coldChain = {}, notes } = {}, userId) {
+    const order = await this.getOrder(hospital, orderId);
+
+    if (order.toHospital.toString() !== hospital._id.toString()) {
+      throw new Error('Only the requesting hospital can confirm receipt');
+    }
+    if (order.status !== 'in_transit') {
+      throw new Error(`Transfer order is ${order.status}`);
+    }
+
+    const accepted = coldChain.maintained !== false;
+    const supplier = await Hospital.findById(order.fromHospital).select('name');
+
+    // Claimed before stock moves, so confirming twice cannot add the batches twice
+    const received = await this.moveOrder(order, 'in_transit', 'received', userId, coldChain.note || notes, {
+      receipt: {
+        receivedBy: userId,
+        receivedAt: new Date(),
+        unitsAccepted: accepted ? order.units : 0,
+        coldChain,
+        notes
+      }
+    });
+
+    try {
+      await this.moveTransferredStock(received, hospital, supplier, accepted, coldChain, userId);
+    } catch (error) {
+      await this.undoStep(received, 'in_transit', ['receipt']);
+      throw error;
+    }
+
+    await Promise.all([
+      inventoryService.touchHospital(received.fromHospital),
+      inventoryService.touchHospital(hospital._id)
+    ]);
+    await inventoryService.logInventoryTransaction(hospital._id, {
+      type: accepted ? 'redistribution_in' : 'transfer_discarded',
+      bloodType: received.bloodType,
+      units: received.units,
+      relatedHospital: received.fromHospital,
+      orderId: received.orderId,
+      coldChain,
+      performedBy: userId,
+      timestamp: new Date()
+    });
+
+    await this.notifyParties(received, accepted ? coldChain.note : `Cold chain broken: ${coldChain.note || 'no details'}`);
+
+    logger.info(`Transfer ${received.orderId} received by ${hospital.name} (${accepted ? 'accepted' : 'discarded'})`, 'TRANSFER_ORDER');
+
+    return received;
+  }
+
+  /**
+   * Add the dispatched batches to the requester's stock with their original
+   * expiry dates, then close them out at the supplier. If the supplier's stock
+   * cannot be written the batches are taken back out, so a retried receipt
+   * does not add them twice.
+   */
+  async moveTransferredStock(order, hospital, supplier, accepted, coldChain, userId) {
+    const destinationStock = await BloodInventory.findOrCreate(hospital._id, order.bloodType, order.component);
+    for (const batch of order.batches) {
+      destinationStock.batches.push({
+        batchId: `${batch.batchId}_TRF_${Date.now()}`,
+        donationId: batch.donationId,
+        units: batch.units,
+        collectionDate: batch.collectionDate,
+        expiryDate: batch.expiryDate,
+        status: accepted ? 'available' : 'discarded',
+        source: 'transfer',
+        transferOrder: order._id,
+        notes: accepted
+          ? `Transferred from ${supplier?.name} (${order.orderId})`
+          : `Cold chain broken in transfer ${order.orderId}: ${coldChain.note || 'no details'}`
+      });
+    }
+    if (accepted) {
+      destinationStock.stats.totalReceived += order.units;
+    }
+    destinationStock.lastUpdatedBy = userId;
+    await destinationStock.save();
+
+    const sourceStock = await BloodInventory.findOne({ facility: order.fromHospital, bloodType: order.bloodType, component: order.component });
+    if (!sourceStock) return;
+
+    sourceStock.batches
+      .filter(batch => batch.status === 'in_transit' && batch.transferOrder?.toString() === order._id.toString())
+      .forEach(batch => {
+        batch.status = 'used';
+        batch.usedDate = new Date();
+        batch.notes = `Transferred to ${hospital.name} (${order.orderId})`;
+      });
+    sourceStock.stats.totalIssued += order.units;
+
+    try {
+      await sourceStock.save();
+    } catch (error) {
+      destinationStock.batches = destinationStock.batches
+        .filter(batch => batch.transferOrder?.toString() !== order._id.toString());
+      if (accepted) {
+        destinationStock.stats.totalReceived -= order.units;
+      }
+      await destinationStock.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Tell both hospitals about the order's latest step
+   */
+  async notifyParties(order, note) {
+    try {
+      // Loaded on first use; the alert service schedules its cron jobs when required
+      const inventoryAlertService = require('./inventoryAlertService');
+
+      const [supplier, requester] = await Promise.all([
+        Hospital.findById(order.fromHospital).populate('adminUser', 'name phoneNumber'),
+        Hospital.findById(order.toHospital).populate('adminUser', 'name phoneNumber')
+      ]);
+
+      const data = {
+        orderId: order.orderId,
+        status: order.status,
+        bloodType: order.bloodType,
+        units: order.units,
+        supplyingHospital: supplier?.name,
+        requestingHospital: requester?.name,
+        note
+      };
+
+      for (const hospital of [supplier, requester].filter(Boolean)) {
+        await inventoryAlertService.sendRedistributionAlert(hospital, data);
+      }
+    } catch (error) {
+      logger.error(`Error sending transfer notifications for ${order.orderId}`, 'TRANSFER_ORDER', error);
+    }
+  }
+}
+
+module.exports = new TransferOrderService();
@@ -0,0 +1,128 @@
+const { AchievementSettings, DefaultBadges } = require('../config/achievements');
+const { streaks, measureProgress, validateCriteria } = require('../services/achievements/criteria');
+
+const donation = (date, overrides = {}) => ({ date: new Date(date), units: 1, bloodType: 'B+', ...overrides });
+
+const facts = (overrides = {}) => ({
+  donations: [],
+  emergencyResponses: [],
+  referralConversions: 0,
+  ...overrides
+});
+
+const progress = (criteria, donorFacts) => measureProgress(criteria, donorFacts, AchievementSettings);
+
+describe('Donor achievements', () => {
+  test('counts streaks of donations within the allowed gap', () => {
+    const donations = [
+      donation('2025-01-10'),
+      donation('2025-04-20'),
+      donation('2025-12-01'),
+      donation('2026-03-01'),
+      donation('2026-06-15'),
+      donation('2026-09-20')
+    ];
+
+    expect(streaks(donations, 120, new Date('2026-10-18'))).toEqual({ longest: 4, current: 4 });
+    expect(streaks(donations, 120, new Date('2027-03-01'))).toEqual({ longest: 4, current: 0 });
+    expect(streaks([], 120)).toEqual({ longest: 0, current: 0 });
+  });
+
+  test('measures donation counts and units', () => {
+    const donorFacts = facts({
+      donations: [donation('2026-01-01'), donation('2026-05-01', { units: 2 }), donation('2026-09-01')]
+    });
+
+    expect(progress({ type: 'donation_count', threshold: 3 }, donorFacts)).toEqual({ current: 3, target: 3, met: true });
+    expect(progress({ type: 'units_donated', threshold: 5 }, donorFacts)).toEqual({ current: 4, target: 5, met: false });
+  });
+
+  test('only counts fast emergency responses that led to a donation', () => {
+    const donorFacts = facts({
+      emergencyResponses: [
+        { urgency: 'critical', minutes: 12, status: 'donated' },
+        { urgency: 'urgent', minutes: 25, status: 'donated' },
+        { urgency: 'critical', minutes: 5, status: 'no_show' },
+        { urgency: 'critical', minutes: 45, status: 'donated' },
+        { urgency: 'scheduled', minutes: 3, status: 'donated' }
+      ]
+    });
+
+    expect(progress({ type: 'fast_emergency_response', threshold: 1 }, donorFacts).current).toBe(2);
+    expect(progress({
+      type: 'fast_emergency_response',
+      threshold: 1,
+      params: { withinMinutes: 15, urgencies: ['critical'] }
+    }, donorFacts).current).toBe(1);
+  });
+
+  test('counts rare blood type donations and referral conversions', () => {
+    const donorFacts = facts({
+      donations: [donation('2026-01-01', { bloodType: 'O-' }), donation('2026-05-01', { bloodType: 'O+' })],
+      referralConversions: 2
+    });
+
+    expect(progress({ type: 'rare_blood_type_donations', threshold: 1 }, donorFacts).met).toBe(true);
+    expect(progress({ type: 'rare_blood_type_donations', threshold: 1, params: { bloodTypes: ['AB-'] } }, donorFacts).met).toBe(false);
+    expect(progress({ type: 'referral_conversions', threshold: 5 }, donorFacts)).toEqual({ current: 2, target: 5, met: false });
+  });
+
+  test('rejects invalid catalog criteria', () => {
+    expect(validateCriteria({ type: 'donation_count', threshold: 3 }, AchievementSettings)).toEqual([]);
+    expect(validateCriteria({ type: 'likes', threshold: 3 }, AchievementSettings)[0]).toMatch(/Criterion must be one of/);
+    expect(validateCriteria({ type: 'donation_count', threshold: 0 }, AchievementSettings)).toHaveLength(1);
+    expect(validateCriteria({ type: 'donation_count', threshold: 1, params: { maxGapDays: 90 } }, AchievementSettings))
+      .toEqual(['donation_count has no maxGapDays parameter']);
+    expect(validateCriteria({
+      type: 'fast_emergency_response',
+      threshold: 1,
+      params: { withinMinutes: -5, urgencies: ['whenever'] }
+    }, AchievementSettings)).toEqual(['Invalid withinMinutes', 'Invalid urgencies']);
+  });
+
+  test('ships a valid default catalog', () => {
+    const keys = DefaultBadges.map(badge => badge.key);
+    expect(new Set(keys).size).toBe(keys.length);
+    for (const badge of DefaultBadges) {
+      expect(validateCriteria(badge.criteria, AchievementSettings)).toEqual([]);
+    }
+  });
+
+  describe('gathering facts', () => {
+    const mongoose = require('mongoose');
+    const Donation = require('../models/Donation');
+    const BloodRequest = require('../models/BloodRequest');
+    const NotificationLog = require('../models/NotificationLog');
+    const User = require('../models/User');
+    const achievementService = require('../services/achievementService');
+
+    const donorId = new mongoose.Types.ObjectId();
+    const query = (result) => ({ select: () => ({ sort: () => ({ lean: () => Promise.resolve(result) }), lean: () => Promise.resolve(result) }) });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('responses without an answer time are left out of response times', async () => {
+      const alertedAt = new Date('2026-10-01T10:00:00Z');
+      const request = (requestId, respondedAt) => ({
+        requestId,
+        request: { urgency: 'critical' },
+        createdAt: alertedAt,
+        matching: { matchedDonors: [{ donorId, response: 'yes', respondedAt, status: 'donated' }] }
+      });
+      jest.spyOn(Donation, 'find').mockReturnValue(query([]));
+      jest.spyOn(BloodRequest, 'find').mockReturnValue(query([
+        request('BR1', new Date('2026-10-01T10:20:00Z')),
+        request('BR2', undefined)
+      ]));
+      jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(NotificationLog, 'aggregate').mockResolvedValue([]);
+
+      const { emergencyResponses } = await achievementService.gatherFacts(donorId.toString());
+
+      expect(emergencyResponses).toEqual([{ urgency: 'critical', minutes: 20, status: 'donated' }]);
+      expect(progress({ type: 'fast_emergency_response', threshold: 1 }, facts({ emergencyResponses })).current).toBe(1);
+    });
+  });
+});
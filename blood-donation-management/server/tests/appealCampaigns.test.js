@@ -0,0 +1,287 @@
+// Session and quiet hours are Indian time whatever the server's time zone
+const serverTimeZone = process.env.TZ;
+process.env.TZ = 'UTC';
+afterAll(() => {
+  if (serverTimeZone === undefined) delete process.env.TZ;
+  else process.env.TZ = serverTimeZone;
+});
+
+const mongoose = require('mongoose');
+const AppealCampaign = require('../models/AppealCampaign');
+const Donation = require('../models/Donation');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const appealCampaignService = require('../services/appealCampaignService');
+const notificationFatigueService = require('../services/notificationFatigueService');
+const notificationService = require('../services/notificationService');
+
+// The notification service schedules its queue processor on load
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn() }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const donorId = new mongoose.Types.ObjectId();
+
+const campaign = ({ slots, invitation = {} } = {}) => {
+  const record = new AppealCampaign({
+    hospital: new mongoose.Types.ObjectId(),
+    bloodType: 'O+',
+    unitsTarget: 4,
+    endsAt: new Date(Date.now() + 5 * DAY_MS),
+    slots: slots || [
+      { start: new Date(Date.now() + DAY_MS), end: new Date(Date.now() + DAY_MS + 3 * 60 * 60 * 1000), capacity: 2, booked: 0 }
+    ],
+    invitations: [{ donor: donorId, status: 'sent', ...invitation }]
+  });
+  // As loaded by getCampaignForDonor, with the hospital populated
+  record.hospital = new Hospital({ name: 'City Hospital', address: { city: 'Pune', state: 'MH' } });
+  return record;
+};
+
+describe('Appeal bookings', () => {
+  let donationSave;
+  let updateOne;
+
+  const load = (record) => {
+    jest.spyOn(AppealCampaign, 'findOne').mockReturnValue({ populate: () => Promise.resolve(record) });
+    return record;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(AppealCampaign.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    donationSave = jest.spyOn(Donation.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ bloodType: 'O+', stats: { totalDonations: 0 } }) });
+    updateOne = jest.spyOn(AppealCampaign, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('booking a slot schedules a donation and takes a place', async () => {
+    const record = load(campaign());
+    const slot = record.slots[0];
+
+    const { invitation, donation } = await appealCampaignService.bookSlot(record.campaignId, donorId, slot._id);
+
+    const [filter, update, options] = updateOne.mock.calls[0];
+    expect(filter.slots).toEqual({ $elemMatch: { _id: slot._id, booked: { $lt: 2 } } });
+    expect(filter.invitations.$elemMatch.status).toBe('sent');
+    expect(update.$inc).toEqual({ 'slots.$[slot].booked': 1, unitsBooked: 1 });
+    expect(update.$set['invitations.$[invitation].donation']).toEqual(donation._id);
+    expect(options.arrayFilters).toEqual([{ 'slot._id': slot._id }, { 'invitation._id': record.invitations[0]._id }]);
+    expect(donationSave).toHaveBeenCalledTimes(1);
+    expect(donation).toMatchObject({ status: 'scheduled', bloodType: 'O+', scheduledDate: slot.start });
+    expect(donation.metadata).toMatchObject({ campaign: record.campaignId, firstTimeDonor: true });
+    expect(slot.booked).toBe(1);
+    expect(invitation).toMatchObject({ status: 'booked', slot: slot._id, donation: donation._id });
+    expect(record.unitsBooked).toBe(1);
+    expect(AppealCampaign.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('a donor who loses the last place to another booking gets no donation', async () => {
+    const record = load(campaign());
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(appealCampaignService.bookSlot(record.campaignId, donorId, record.slots[0]._id))
+      .rejects.toThrow('Slot is full or no longer available');
+    expect(donationSave).not.toHaveBeenCalled();
+    expect(record.invitations[0].status).toBe('sent');
+  });
+
+  test('if the donation cannot be saved the place is given back', async () => {
+    const record = load(campaign());
+    donationSave.mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(appealCampaignService.bookSlot(record.campaignId, donorId, record.slots[0]._id))
+      .rejects.toThrow('Database unavailable');
+
+    const [filter, update] = updateOne.mock.calls[1];
+    expect(filter).toEqual({ _id: record._id });
+    expect(update.$inc).toEqual({ 'slots.$[slot].booked': -1, unitsBooked: -1 });
+    expect(update.$set).toEqual({ 'invitations.$[invitation].status': 'sent' });
+    expect(record.slots[0].booked).toBe(0);
+  });
+
+  test('a donor can hold only one booking per appeal', async () => {
+    const record = load(campaign({ invitation: { status: 'booked' } }));
+
+    await expect(appealCampaignService.bookSlot(record.campaignId, donorId, record.slots[0]._id))
+      .rejects.toThrow('You have already booked a slot for this appeal');
+    expect(donationSave).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['full', { capacity: 2, booked: 2, startsIn: DAY_MS }],
+    ['already started', { capacity: 2, booked: 0, startsIn: -60 * 1000 }]
+  ])('a slot that is %s cannot be booked', async (label, { capacity, booked, startsIn }) => {
+    const start = new Date(Date.now() + startsIn);
+    const record = load(campaign({ slots: [{ start, end: new Date(start.getTime() + 3 * 60 * 60 * 1000), capacity, booked }] }));
+
+    await expect(appealCampaignService.bookSlot(record.campaignId, donorId, record.slots[0]._id))
+      .rejects.toThrow('Slot is full or no longer available');
+    expect(record.slots[0].booked).toBe(booked);
+  });
+
+  test('declined invitations and ended appeals cannot be booked', async () => {
+    const declined = load(campaign({ invitation: { status: 'declined' } }));
+    await expect(appealCampaignService.bookSlot(declined.campaignId, donorId, declined.slots[0]._id))
+      .rejects.toThrow('Appeal invitation is declined');
+
+    const ended = load(campaign());
+    ended.status = 'completed';
+    await expect(appealCampaignService.bookSlot(ended.campaignId, donorId, ended.slots[0]._id))
+      .rejects.toThrow('Appeal is completed');
+  });
+
+  test('cancelling a booking frees the place and cancels the donation', async () => {
+    const donation = new Donation({ donorId, status: 'scheduled' });
+    const record = load(campaign({ invitation: { status: 'booked', donation: donation._id } }));
+    record.invitations[0].slot = record.slots[0]._id;
+    record.slots[0].booked = 1;
+    record.unitsBooked = 1;
+    jest.spyOn(Donation, 'findById').mockResolvedValue(donation);
+
+    await appealCampaignService.cancelBooking(record.campaignId, donorId, 'Travelling');
+
+    expect(donation).toMatchObject({ status: 'cancelled', cancellationReason: 'Travelling' });
+    expect(record.slots[0].booked).toBe(0);
+    expect(record.unitsBooked).toBe(0);
+    expect(record.invitations[0].status).toBe('cancelled');
+  });
+
+  test('a booking whose donation has started cannot be cancelled', async () => {
+    const donation = new Donation({ donorId, status: 'in_progress' });
+    const record = load(campaign({ invitation: { status: 'booked', donation: donation._id } }));
+    jest.spyOn(Donation, 'findById').mockResolvedValue(donation);
+
+    await expect(appealCampaignService.cancelBooking(record.campaignId, donorId))
+      .rejects.toThrow('Donation is already in_progress');
+    expect(record.invitations[0].status).toBe('booked');
+  });
+});
+
+describe('Appeal caps and scheduling', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('donors with an open appeal, two this month or one this week are not asked again', async () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const ago = days => new Date(now.getTime() - days * DAY_MS);
+    const rows = {
+      open: { _id: 'open', open: 1, recentAppeals: 1, lastAppealAt: ago(20) },
+      monthlyCap: { _id: 'monthlyCap', open: 0, recentAppeals: 2, lastAppealAt: ago(10) },
+      weeklyGap: { _id: 'weeklyGap', open: 0, recentAppeals: 1, lastAppealAt: ago(3) },
+      free: { _id: 'free', open: 0, recentAppeals: 1, lastAppealAt: ago(8) }
+    };
+    jest.spyOn(AppealCampaign, 'aggregate').mockResolvedValue(Object.values(rows));
+
+    expect(await appealCampaignService.getCappedDonorIds(now)).toEqual(['open', 'monthlyCap', 'weeklyGap']);
+  });
+
+  test.each([
+    [1, 2],
+    [20, 3],
+    [200, 30]
+  ])('a target of %i unit(s) gives %i places per session', (unitsTarget, capacity) => {
+    const slots = appealCampaignService.buildSlots(new Date('2026-10-18T09:00:00+05:30'), unitsTarget);
+
+    expect(slots).toHaveLength(10);
+    slots.forEach(slot => expect(slot).toMatchObject({ capacity, booked: 0 }));
+  });
+
+  test('sessions run 10-13 and 14-17 Indian time on the server in UTC', () => {
+    const slots = appealCampaignService.buildSlots(new Date('2026-10-18T23:00:00+05:30'), 4);
+
+    expect(slots.slice(0, 2).map(slot => [slot.start, slot.end])).toEqual([
+      [new Date('2026-10-19T10:00:00+05:30'), new Date('2026-10-19T13:00:00+05:30')],
+      [new Date('2026-10-19T14:00:00+05:30'), new Date('2026-10-19T17:00:00+05:30')]
+    ]);
+  });
+
+  test.each([
+    ['2026-10-18T14:30:00+05:30', '2026-10-18T14:30:00+05:30'],
+    ['2026-10-18T22:15:00+05:30', '2026-10-19T08:00:00+05:30'],
+    ['2026-10-18T06:45:00+05:30', '2026-10-18T08:00:00+05:30'],
+    // 20:00 UTC is 01:30 the next day in India
+    ['2026-10-18T20:00:00Z', '2026-10-19T08:00:00+05:30']
+  ])('an appeal queued at %s is sent at %s', (queuedAt, sentAt) => {
+    expect(appealCampaignService.getNextSendTime(new Date(queuedAt))).toEqual(new Date(sentAt));
+  });
+
+  test.each([
+    ['2026-10-18T16:00:00Z', true],
+    ['2026-10-18T02:00:00Z', true],
+    ['2026-10-18T03:00:00Z', false],
+    ['2026-10-18T15:00:00Z', false]
+  ])('at %s it is quiet hours: %s', (at, quiet) => {
+    expect(appealCampaignService.isQuietHour(new Date(at))).toBe(quiet);
+  });
+});
+
+describe('Appeal outreach', () => {
+  const settings = { enabled: true, maxPerDay: 2, maxPerWeek: 5, fairnessWindowDays: 30 };
+
+  beforeEach(() => {
+    jest.spyOn(notificationFatigueService, 'getSettings').mockResolvedValue(settings);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('idle donors are found with the same fatigue and notification hour filters as emergency matching', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T11:00:00+05:30'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(appealCampaignService, 'getBusyDonorIds').mockResolvedValue([]);
+    const find = jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ limit: () => ({ lean: () => Promise.resolve([]) }) }) });
+    const hospital = new Hospital({ name: 'City Hospital', location: { type: 'Point', coordinates: [73.85, 18.52] } });
+
+    try {
+      await appealCampaignService.findIdleDonors(hospital, 'O+', 15, 10);
+    } finally {
+      jest.useRealTimers();
+    }
+
+    const [eligibility, fatigue, hours] = find.mock.calls[0][0].$and;
+    expect(eligibility).toBeDefined();
+    expect(fatigue).toEqual(notificationFatigueService.buildMatchingFilter(settings, new Date('2026-10-18T11:00:00+05:30')));
+    expect(hours.$or[1]).toEqual({
+      'preferences.notificationHours.start': { $lte: 11 },
+      'preferences.notificationHours.end': { $gte: 11 }
+    });
+  });
+
+  test('sent appeals count towards the paging caps, and capped donors wait', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T11:00:00+05:30'), doNotFake: ['nextTick', 'setImmediate'] });
+    const now = new Date();
+    const paged = { _id: new mongoose.Types.ObjectId(), name: 'Asha', phoneNumber: '+919876543210' };
+    const capped = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Ravi',
+      phoneNumber: '+919876543211',
+      notificationFatigue: { pagedAt: [new Date(now.getTime() - 60 * 60 * 1000), new Date(now.getTime() - 30 * 60 * 1000)] }
+    };
+    const record = campaign();
+    record.invitations = [paged, capped].map(donor => ({ donor: donor._id, status: 'queued', sendAfter: new Date(now.getTime() - 1000) }));
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+    jest.spyOn(AppealCampaign, 'find').mockReturnValue({ populate: () => Promise.resolve([record]) });
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([paged, capped]) }) });
+    notificationService.sendNotification.mockResolvedValue({ success: true, finalChannel: 'whatsapp' });
+    const recordPages = jest.spyOn(notificationFatigueService, 'recordPages').mockResolvedValue();
+
+    let totals;
+    try {
+      totals = await appealCampaignService.dispatchDueInvitations();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(totals).toEqual({ sent: 1, skipped: 0, failed: 0 });
+    expect(record.invitations.map(invitation => invitation.status)).toEqual(['sent', 'queued']);
+    expect(recordPages).toHaveBeenCalledWith([paged], settings, now);
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  BLOOD_TYPES,
+  COMPATIBILITY_SCORES,
+  getCompatibilityLevel,
+  getCompatibilityScore,
+  getCompatibleDonorTypes,
+  getCompatibleRecipientTypes
+} = require('../../shared/constants/bloodCompatibility');
+
+describe('bloodCompatibility', () => {
+  describe('getCompatibleDonorTypes', () => {
+    // [recipient, component, expected donor types in any order]
+    const cases = [
+      ['A+', 'red_cells', ['A+', 'A-', 'O+', 'O-']],
+      ['A-', 'red_cells', ['A-', 'O-']],
+      ['B+', 'red_cells', ['B+', 'B-', 'O+', 'O-']],
+      ['B-', 'red_cells', ['B-', 'O-']],
+      ['AB+', 'red_cells', BLOOD_TYPES],
+      ['AB-', 'red_cells', ['A-', 'B-', 'AB-', 'O-']],
+      ['O+', 'red_cells', ['O+', 'O-']],
+      ['O-', 'red_cells', ['O-']],
+      ['O-', 'whole_blood', ['O-']],
+      ['A-', 'whole_blood', ['A-']],
+      ['AB+', 'whole_blood', ['AB+']],
+
+      ['O+', 'plasma', BLOOD_TYPES],
+      ['O-', 'plasma', BLOOD_TYPES],
+      ['A+', 'plasma', ['A+', 'A-', 'AB+', 'AB-']],
+      ['B-', 'plasma', ['B+', 'B-', 'AB+', 'AB-']],
+      ['AB+', 'plasma', ['AB+', 'AB-']],
+      ['AB-', 'plasma', ['AB+', 'AB-']],
+
+      ['A+', 'platelets', BLOOD_TYPES],
+      ['A-', 'platelets', ['A-', 'B-', 'AB-', 'O-']],
+      ['O-', 'platelets', ['A-', 'B-', 'AB-', 'O-']],
+
+      ['A-', 'cryoprecipitate', BLOOD_TYPES],
+      ['O+', 'cryoprecipitate', BLOOD_TYPES]
+    ];
+
+    test.each(cases)('%s recipient, %s', (recipient, component, expected) => {
+      expect(getCompatibleDonorTypes(recipient, component).sort()).toEqual([...expected].sort());
+    });
+
+    test('orders donor types from best to worst match', () => {
+      expect(getCompatibleDonorTypes('A-', 'red_cells')).toEqual(['A-', 'O-']);
+      expect(getCompatibleDonorTypes('O+', 'plasma').slice(0, 3)).toEqual(['O+', 'O-', 'AB+']);
+    });
+
+    test('can exclude last-resort platelet matches', () => {
+      expect(getCompatibleDonorTypes('A+', 'platelets', { includeAcceptable: false }).sort())
+        .toEqual(['A+', 'A-', 'AB+', 'AB-']);
+    });
+
+    test('returns nothing for unknown blood types or components', () => {
+      expect(getCompatibleDonorTypes('C+', 'red_cells')).toEqual([]);
+      expect(getCompatibleDonorTypes('A+', 'serum')).toEqual([]);
+    });
+  });
+
+  describe('getCompatibilityLevel', () => {
+    // [donor, recipient, component, expected level]
+    const cases = [
+      ['O-', 'O-', 'red_cells', 'identical'],
+      ['O-', 'AB+', 'red_cells', 'universal'],
+      ['A-', 'A+', 'red_cells', 'compatible'],
+      ['A+', 'A-', 'red_cells', 'incompatible'],
+      ['AB+', 'O+', 'red_cells', 'incompatible'],
+
+      ['AB-', 'O+', 'plasma', 'universal'],
+      ['A+', 'A-', 'plasma', 'identical'],
+      ['A+', 'O-', 'plasma', 'compatible'],
+      ['O-', 'A+', 'plasma', 'incompatible'],
+
+      ['B+', 'B+', 'platelets', 'identical'],
+      ['AB+', 'A+', 'platelets', 'compatible'],
+      ['O+', 'A+', 'platelets', 'acceptable'],
+      ['A+', 'A-', 'platelets', 'incompatible'],
+
+      ['B+', 'B-', 'cryoprecipitate', 'identical'],
+      ['AB-', 'B+', 'cryoprecipitate', 'compatible'],
+      ['O+', 'AB-', 'cryoprecipitate', 'acceptable']
+    ];
+
+    test.each(cases)('%s donor to %s recipient, %s', (donor, recipient, component, expected) => {
+      expect(getCompatibilityLevel(donor, recipient, component)).toBe(expected);
+    });
+
+    test('defaults to whole blood rules, which need the identical type', () => {
+      expect(getCompatibilityLevel('B+', 'B+')).toBe('identical');
+      expect(getCompatibilityLevel('AB+', 'O+')).toBe('incompatible');
+      expect(getCompatibilityLevel('O-', 'B+')).toBe('incompatible');
+      expect(getCompatibilityLevel('A-', 'A+')).toBe('incompatible');
+    });
+  });
+
+  describe('getCompatibilityScore', () => {
+    test.each([
+      ['A+', 'A+', 'red_cells', COMPATIBILITY_SCORES.identical],
+      ['O-', 'B-', 'red_cells', COMPATIBILITY_SCORES.universal],
+      ['O+', 'AB+', 'red_cells', COMPATIBILITY_SCORES.compatible],
+      ['O-', 'AB+', 'plasma', COMPATIBILITY_SCORES.incompatible],
+      ['AB+', 'O-', 'plasma', COMPATIBILITY_SCORES.universal],
+      ['O+', 'B+', 'platelets', COMPATIBILITY_SCORES.acceptable]
+    ])('%s donor to %s recipient, %s', (donor, recipient, component, expected) => {
+      expect(getCompatibilityScore(donor, recipient, component)).toBe(expected);
+    });
+  });
+
+  describe('getCompatibleRecipientTypes', () => {
+    test.each([
+      ['O-', 'red_cells', BLOOD_TYPES],
+      ['AB+', 'red_cells', ['AB+']],
+      ['O-', 'whole_blood', ['O-']],
+      ['AB-', 'plasma', BLOOD_TYPES],
+      ['O+', 'plasma', ['O+', 'O-']]
+    ])('%s donor, %s', (donor, component, expected) => {
+      expect(getCompatibleRecipientTypes(donor, component).sort()).toEqual([...expected].sort());
+    });
+  });
+});
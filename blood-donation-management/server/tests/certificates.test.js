@@ -0,0 +1,90 @@
+process.env.CERTIFICATE_SIGNING_SECRET = 'test-secret';
+
+const certificateService = require('../services/certificateService');
+
+const issuedDonation = (overrides = {}) => {
+  const donation = {
+    donationId: 'DON-20260912-0042',
+    donorId: { _id: '64b7f0c2a1b2c3d4e5f60718', name: 'Rahul Kumar Sharma' },
+    donationDate: new Date('2026-09-12T10:30:00Z'),
+    donationType: 'whole_blood',
+    unitsDonated: 1,
+    status: 'completed',
+    location: { hospital: 'KEM Hospital', address: { city: 'Mumbai' } },
+    certification: {
+      certificateId: 'CFB-2026-7KQ2M9XH4D',
+      issued: true,
+      issuedAt: new Date('2026-09-12T11:00:00Z')
+    }
+  };
+  donation.certification.signature = certificateService.sign(donation);
+  donation.certification.verificationUrl = certificateService.verificationUrl(
+    donation.certification.certificateId,
+    donation.certification.signature
+  );
+  return { ...donation, ...overrides };
+};
+
+describe('Donation certificates', () => {
+  test('generates unguessable IDs in the printed format', () => {
+    const id = certificateService.generateCertificateId(new Date('2026-09-12'));
+
+    expect(certificateService.isCertificateId(id)).toBe(true);
+    expect(id).toMatch(/^CFB-2026-/);
+    expect(certificateService.generateCertificateId()).not.toBe(certificateService.generateCertificateId());
+    // Crockford base32 leaves out I, L, O and U
+    expect(certificateService.isCertificateId('CFB-2026-7KQ2M9XH4O')).toBe(false);
+  });
+
+  test('reads a certificate ID and signature from a verification link', () => {
+    const { certification } = issuedDonation();
+
+    expect(certificateService.parseReference(certification.verificationUrl)).toEqual({
+      certificateId: certification.certificateId,
+      signature: certification.signature
+    });
+    expect(certificateService.parseReference(' cfb-2026-7kq2m9xh4d ')).toEqual({
+      certificateId: 'CFB-2026-7KQ2M9XH4D',
+      signature: null
+    });
+  });
+
+  test('confirms a genuine certificate without revealing who the donor is', () => {
+    const donation = issuedDonation();
+    const result = certificateService.evaluate(donation.certification.certificateId, donation.certification.signature, donation);
+
+    expect(result).toMatchObject({ valid: true, status: 'valid', signatureChecked: true });
+    expect(result.certificate).toMatchObject({
+      donorInitials: 'R. K. S.',
+      hospital: 'KEM Hospital',
+      city: 'Mumbai',
+      unitsDonated: 1
+    });
+    expect(JSON.stringify(result)).not.toMatch(/Rahul|Sharma|64b7f0c2/);
+  });
+
+  test.each([
+    ['an unknown ID', () => [null, null], 'not_found'],
+    ['a signature from another certificate', (d) => [d, 'deadbeef'.repeat(4)], 'signature_mismatch'],
+    ['a record edited after issue', (d) => [{ ...d, unitsDonated: 2 }, null], 'altered'],
+    ['a donation no longer completed', (d) => [{ ...d, status: 'rejected' }, null], 'revoked']
+  ])('refuses %s', (name, arrange, status) => {
+    const [donation, signature] = arrange(issuedDonation());
+    const result = certificateService.evaluate('CFB-2026-7KQ2M9XH4D', signature, donation);
+
+    expect(result).toMatchObject({ valid: false, status, certificate: null });
+  });
+
+  test('rejects malformed IDs without looking them up', async () => {
+    const [result] = await certificateService.verifyMany(['not-a-certificate']);
+
+    expect(result).toMatchObject({ valid: false, status: 'invalid_id' });
+  });
+
+  test('renders a PDF with the certificate details', async () => {
+    const pdf = await certificateService.renderPdf(issuedDonation(), { name: 'Rahul Kumar Sharma' });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.length).toBeGreaterThan(2000);
+  });
+});
@@ -0,0 +1,148 @@
+const conversationFlowEngine = require('../services/conversationFlowEngine');
+
+// Scripts are the donor's replies in order; expectations cover the final state
+// and, where it matters, the action and language at each turn.
+const replay = (flowName, inputs, options) => conversationFlowEngine.replay(flowName, inputs, options);
+
+describe('conversation flows', () => {
+  test('every configured flow is valid', () => {
+    expect(conversationFlowEngine.validateFlows()).toEqual([]);
+  });
+
+  describe('blood_request', () => {
+    test.each([
+      [['yes', '1'], 'now'],
+      [['Y', 'within 2 hours'], 'within_2_hours'],
+      [['ok', 'today'], 'today'],
+      [['haan', 'kal'], 'tomorrow']
+    ])('%j schedules with availability %s', (script, availability) => {
+      const { transcript, state } = replay('blood_request', script);
+
+      expect(transcript[0].action).toBe('ask_availability');
+      expect(state.status).toBe('completed');
+      expect(state.action).toBe('schedule_donation');
+      expect(state.context).toMatchObject({ donationConfirmed: true, availability });
+    });
+
+    test('declining ends the conversation', () => {
+      const { state } = replay('blood_request', ['nahi']);
+
+      expect(state.status).toBe('declined');
+      expect(state.context.donationConfirmed).toBe(false);
+      expect(state.language).toBe('hi');
+    });
+
+    test('unrecognised replies ask again without moving on', () => {
+      const { transcript, state } = replay('blood_request', ['maybe', 'yes', 'next week', '3']);
+
+      expect(transcript.map(turn => turn.action)).toEqual([
+        'clarification_needed', 'ask_availability', 'clarification_needed', 'schedule_donation'
+      ]);
+      expect(transcript[0].step).toBe('confirm');
+      expect(state.context.availability).toBe('today');
+    });
+  });
+
+  describe('donor_registration', () => {
+    test('collects name and blood type', () => {
+      const { transcript, state } = replay('donor_registration', ['yes', 'priya sharma', 'ab+']);
+
+      expect(transcript[1].message).toContain('Thank you Priya Sharma!');
+      expect(state.status).toBe('completed');
+      expect(state.action).toBe('complete_registration');
+      expect(state.context).toEqual({ name: 'Priya Sharma', bloodType: 'AB+' });
+      expect(state.message).toContain('Your blood type is AB+');
+    });
+
+    test('rejects names with digits and invalid blood types', () => {
+      const { transcript, state } = replay('donor_registration', ['register', 'r2d2', 'Ravi', 'C+']);
+
+      expect(transcript[1].action).toBe('clarification_needed');
+      expect(transcript[3].action).toBe('clarification_needed');
+      expect(state.step).toBe('blood_type');
+      expect(state.status).toBe('active');
+    });
+  });
+
+  describe('donation_scheduling', () => {
+    test('records preferred day and time', () => {
+      const { state } = replay('donation_scheduling', ['2', 'evening']);
+
+      expect(state.status).toBe('completed');
+      expect(state.action).toBe('schedule_donation');
+      expect(state.context).toEqual({ preferredDay: 'tomorrow', preferredTime: 'evening' });
+    });
+  });
+
+  describe('feedback_collection', () => {
+    test('stores a numeric rating and free-text feedback', () => {
+      const { transcript, state } = replay('feedback_collection', ['7', '4', 'Staff were very kind']);
+
+      expect(transcript[0].action).toBe('clarification_needed');
+      expect(transcript[1].message).toContain('rating us 4/5');
+      expect(state.context).toEqual({ rating: 4, feedback: 'Staff were very kind' });
+      expect(state.status).toBe('completed');
+    });
+  });
+
+  describe('eligibility_check', () => {
+    test.each([
+      [['yes', 'yes', 'yes', 'yes'], true, undefined],
+      [['no'], false, 'age'],
+      [['yes', 'no'], false, 'weight'],
+      [['yes', 'yes', 'no'], false, 'donation_interval'],
+      [['yes', 'yes', 'yes', 'no'], false, 'health']
+    ])('%j gives eligible=%s', (script, eligible, reason) => {
+      const { state } = replay('eligibility_check', script);
+
+      expect(state.status).toBe('completed');
+      expect(state.action).toBe('eligibility_checked');
+      expect(state.context.eligible).toBe(eligible);
+      expect(state.context.reason).toBe(reason);
+    });
+
+    test('replies in Hindi once the donor answers in Hindi', () => {
+      const { transcript } = replay('eligibility_check', ['हाँ', 'maybe']);
+
+      expect(transcript[0].language).toBe('hi');
+      expect(transcript[0].message).toBe('क्या आपका वज़न कम से कम 50 किलो है?');
+      expect(transcript[1].message).toBe('कृपया हाँ या नहीं लिखें।');
+    });
+  });
+
+  describe('shared behaviour', () => {
+    test('answers without a language keep the language the donor chose', () => {
+      const { state } = replay('donor_registration', ['haan', 'priya sharma', 'b+']);
+
+      expect(state.language).toBe('hi');
+      expect(state.message).toContain('आपका ब्लड ग्रुप B+ है');
+    });
+
+    test('exit keywords cancel any flow', () => {
+      const { state } = replay('donor_registration', ['yes', 'cancel']);
+
+      expect(state.status).toBe('cancelled');
+      expect(state.action).toBe('conversation_cancelled');
+    });
+
+    test('replies after the conversation ends are rejected', () => {
+      expect(() => replay('eligibility_check', ['no', 'yes'])).toThrow('already completed');
+    });
+
+    test.each([
+      ['Can I donate blood?', 'eligibility_check', 'en'],
+      ['I want to REGISTER', 'donor_registration', 'en'],
+      ['रजिस्टर करना है', 'donor_registration', 'hi'],
+      ['I can donate today', 'blood_request', 'en'],
+      ['मुझे रक्तदान करना है', 'blood_request', 'hi'],
+      ['Schedule donation please', 'donation_scheduling', 'en'],
+      ['Some feedback', 'feedback_collection', 'en']
+    ])('"%s" starts %s in %s', (message, flowName, language) => {
+      expect(conversationFlowEngine.findTriggeredFlow(message)).toEqual({ flowName, language });
+    });
+
+    test('ordinary replies start no flow', () => {
+      expect(conversationFlowEngine.findTriggeredFlow('yes')).toBeNull();
+    });
+  });
+});
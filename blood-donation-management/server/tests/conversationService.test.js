@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const conversationService = require('../services/conversationService');
+const conversationFlowEngine = require('../services/conversationFlowEngine');
+const { ConversationFlows } = require('../config/conversationFlows');
+const donorMatchingService = require('../services/donorMatchingService');
+const donorReplyService = require('../services/donorReplyService');
+
+// Both load the notification stack, which schedules timers
+jest.mock('../services/donorMatchingService', () => ({ findDonorByPhone: jest.fn() }));
+jest.mock('../services/donorReplyService', () => ({ snooze: jest.fn(), accept: jest.fn(), decline: jest.fn() }));
+
+const PHONE = '919876543210';
+
+const conversation = (flow, step, context = {}) => new Conversation({
+  conversationId: `conv_${flow}_1`,
+  phoneNumber: PHONE,
+  channel: 'sms',
+  flow,
+  currentStep: step,
+  context,
+  expiresAt: new Date(Date.now() + 60000)
+});
+
+describe('Conversation actions', () => {
+  beforeEach(() => {
+    jest.spyOn(Conversation.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const reply = (active, text) => {
+    jest.spyOn(Conversation, 'findOne').mockReturnValue({ sort: () => Promise.resolve(active) });
+    return conversationService.processResponse(PHONE, text, `msg_${text}`);
+  };
+
+  test('every action a flow can end on has a handler', () => {
+    const actions = Object.values(ConversationFlows.FLOWS)
+      .flatMap(flow => Object.values(flow.steps))
+      .flatMap(step => step.inputs || [])
+      .filter(rule => rule.end && rule.action)
+      .map(rule => rule.action);
+
+    expect(actions.length).toBeGreaterThan(0);
+    actions.forEach(action => expect(conversationService.actionHandlers.has(action)).toBe(true));
+  });
+
+  test('a number that is already a donor is sent to sign in instead of registering', async () => {
+    donorMatchingService.findDonorByPhone.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), name: 'Priya Sharma' });
+    const active = conversation('donor_registration', 'blood_type', { name: 'Priya' });
+
+    const result = await reply(active, 'b+');
+
+    expect(donorMatchingService.findDonorByPhone).toHaveBeenCalledWith(PHONE);
+    expect(result.status).toBe('completed');
+    expect(result.message).toContain('already registered to donor Priya Sharma');
+    expect(active.messages[active.messages.length - 1].content).toBe(result.message);
+  });
+
+  test('a new number gets the registration link', async () => {
+    donorMatchingService.findDonorByPhone.mockResolvedValue(null);
+
+    const result = await reply(conversation('donor_registration', 'blood_type', { name: 'Priya' }), 'b+');
+
+    expect(result.message).toContain('callforbloodfoundation.com/register');
+  });
+
+  test('a donor who is unwell has alerts paused for two weeks', async () => {
+    donorReplyService.snooze.mockResolvedValue({ snoozedUntil: new Date('2026-11-01T10:00:00Z'), days: 14 });
+
+    const result = await reply(conversation('eligibility_check', 'health'), 'no');
+
+    expect(donorReplyService.snooze).toHaveBeenCalledWith(PHONE, 14, 'sms');
+    expect(result.message).toContain('paused your blood request alerts until 1 Nov');
+  });
+
+  test('other eligibility answers change nothing', async () => {
+    const result = await reply(conversation('eligibility_check', 'weight'), 'no');
+
+    expect(donorReplyService.snooze).not.toHaveBeenCalled();
+    expect(result.message).toBe(conversationFlowEngine.render('eligibility_check', 'not_eligible_weight', 'en'));
+  });
+
+  test('a donor who can come is committed to the request they were paged for', async () => {
+    donorReplyService.accept.mockResolvedValue({
+      bloodRequest: { location: { hospital: { name: 'City Hospital', contactNumber: '02012345678' } } }
+    });
+    const requestId = new mongoose.Types.ObjectId().toString();
+
+    const result = await reply(conversation('blood_request', 'availability', { requestId, donationConfirmed: true }), '2');
+
+    expect(donorReplyService.accept).toHaveBeenCalledWith(PHONE, requestId, 'Can donate: within 2 hours');
+    expect(result.message).toBe('Thank you! Please go to City Hospital (02012345678). Reply NO if your plans change.');
+  });
+
+  test('scheduling without an open request says so', async () => {
+    donorReplyService.accept.mockResolvedValue(null);
+
+    const result = await reply(conversation('donation_scheduling', 'time', { preferredDay: 'tomorrow' }), 'evening');
+
+    expect(donorReplyService.accept).toHaveBeenCalledWith(PHONE, null, 'Can donate: tomorrow, evening');
+    expect(result.message).toContain('There is no open request for you right now');
+  });
+
+  test('declining a request records the decline', async () => {
+    donorReplyService.decline.mockResolvedValue(null);
+
+    const result = await reply(conversation('blood_request', 'confirm'), 'no');
+
+    expect(donorReplyService.decline).toHaveBeenCalledWith(PHONE, null, 'sms');
+    expect(result.message).toBe(conversationFlowEngine.render('blood_request', 'declined', 'en'));
+  });
+
+  test('a failing handler still sends the configured reply', async () => {
+    donorMatchingService.findDonorByPhone.mockRejectedValue(new Error('database unavailable'));
+
+    const result = await reply(conversation('donor_registration', 'blood_type', { name: 'Priya' }), 'o-');
+
+    expect(result.success).toBe(true);
+    expect(result.message).toContain('Your blood type is O-');
+  });
+
+  test('handlers run only when the conversation ends', async () => {
+    const runAction = jest.spyOn(conversationService, 'runAction');
+
+    await reply(conversation('eligibility_check', 'age'), 'yes');
+
+    expect(runAction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,170 @@
+const {
+  isValidAadhaar,
+  nameSimilarity,
+  findDates,
+  findIdNumber,
+  findPincodes,
+  checkFields,
+  scoreChecks
+} = require('../services/documentOcr/fieldMatcher');
+const documentOcrService = require('../services/documentOcrService');
+const { DocumentOcrSettings } = require('../config/documentOcr');
+
+const profile = {
+  name: 'Rahul Kumar Sharma',
+  dateOfBirth: new Date('1990-05-12T00:00:00Z'),
+  pincode: '400001'
+};
+
+const AADHAAR_CARD = `
+GOVERNMENT OF INDIA
+Rahul Kumar Sharma
+DOB: 12/05/1990
+Male
+2345 6789 0124
+`;
+
+const ELECTRICITY_BILL = `
+MAHARASHTRA STATE ELECTRICITY DISTRIBUTION CO. LTD
+Consumer: RAHUL K SHARMA
+12, Marine Drive, Mumbai - 400001
+Bill date 03/09/2026 Due date 20/09/2026
+`;
+
+describe('Document OCR', () => {
+  describe('field finders', () => {
+    test('validates Aadhaar check digits', () => {
+      expect(isValidAadhaar('234567890124')).toBe(true);
+      expect(isValidAadhaar('234567890125')).toBe(false);
+      // Aadhaar numbers never start with 0 or 1
+      expect(isValidAadhaar('123456789012')).toBe(false);
+    });
+
+    test('scores names regardless of order, case and initials', () => {
+      expect(nameSimilarity('Rahul Kumar Sharma', 'SHARMA RAHUL KUMAR')).toBe(1);
+      expect(nameSimilarity('Rahul Kumar Sharma', 'Rahul K Sharma')).toBeGreaterThan(0.85);
+      expect(nameSimilarity('Rahul Kumar Sharma', 'Rahu1 Kumar Sharrna')).toBeGreaterThan(0.85);
+      expect(nameSimilarity('Rahul Kumar Sharma', 'Priya Singh')).toBeLessThan(0.5);
+    });
+
+    test('reads day-first dates and tells the labelled date of birth apart', () => {
+      const dates = findDates('Issued 01-02-2020\nDate of Birth: 12.05.1990\nValid till 31/02/2030');
+
+      expect(dates.labelled).toBe('1990-05-12');
+      // 31/02 is not a date
+      expect(dates.all).toEqual(['2020-02-01', '1990-05-12']);
+      expect(findDates('Year of Birth : 1990').yearOfBirth).toBe('1990');
+    });
+
+    test.each([
+      ['2345 6789 0124', { type: 'aadhaar', value: '234567890124', valid: true }],
+      ['Permanent Account Number ABCPS1234K', { type: 'pan', value: 'ABCPS1234K', valid: true }],
+      ['EPIC No. XYZ1234567', { type: 'voter_id', value: 'XYZ1234567', valid: true }],
+      ['DL No: MH02 20110012345', { type: 'driving_licence', value: 'MH0220110012345', valid: true }]
+    ])('finds the ID number in %j', (text, expected) => {
+      expect(findIdNumber(text)).toEqual(expected);
+    });
+
+    test('does not read phone numbers or Aadhaar groups as pincodes', () => {
+      expect(findPincodes('Ph 9876543210\n2345 6789 0124\nMumbai 400 001').all).toEqual(['400001']);
+      expect(findPincodes('PIN: 560034, near 400001').labelled).toEqual(['560034']);
+    });
+  });
+
+  describe('checkFields', () => {
+    test('matches an ID card to its owner', () => {
+      const checks = checkFields(AADHAAR_CARD, ['name', 'dateOfBirth', 'idNumber'], profile, DocumentOcrSettings);
+
+      expect(checks.map(check => [check.field, check.status])).toEqual([
+        ['name', 'match'],
+        ['dateOfBirth', 'match'],
+        ['idNumber', 'match']
+      ]);
+      expect(checks[2]).toMatchObject({ extracted: 'XXXX XXXX 0124', idType: 'aadhaar' });
+      expect(scoreChecks(checks, DocumentOcrSettings.FIELD_WEIGHTS)).toBe(100);
+    });
+
+    test('flags a labelled date of birth that differs from the profile', () => {
+      const checks = checkFields(AADHAAR_CARD.replace('12/05/1990', '12/05/1991'), ['dateOfBirth'], profile, DocumentOcrSettings);
+
+      expect(checks[0]).toMatchObject({ status: 'mismatch', extracted: '1991-05-12', expected: '1990-05-12' });
+    });
+
+    test('treats unlabelled dates that differ as missing, not mismatched', () => {
+      const checks = checkFields(ELECTRICITY_BILL, ['name', 'dateOfBirth', 'pincode'], profile, DocumentOcrSettings);
+
+      expect(checks.map(check => check.status)).toEqual(['match', 'missing', 'match']);
+    });
+
+    test('flags a pincode from another area and a bad Aadhaar check digit', () => {
+      const checks = checkFields(
+        `${ELECTRICITY_BILL.replace('400001', '110001')}\n2345 6789 0125`,
+        ['pincode', 'idNumber'],
+        profile,
+        DocumentOcrSettings
+      );
+
+      expect(checks.map(check => check.status)).toEqual(['mismatch', 'mismatch']);
+      expect(checks[0].extracted).toBe('110001');
+    });
+
+    test('weights the score by field and by name similarity', () => {
+      const weights = DocumentOcrSettings.FIELD_WEIGHTS;
+
+      expect(scoreChecks([
+        { field: 'name', status: 'match', similarity: 0.9 },
+        { field: 'pincode', status: 'mismatch' }
+      ], weights)).toBe(Math.round((40 * 0.9 / 55) * 100));
+    });
+  });
+
+  describe('bulk approval', () => {
+    const readDocument = (overrides = {}) => ({
+      verified: false,
+      quarantined: false,
+      ocr: {
+        status: 'completed',
+        confidence: 88,
+        matchScore: 100,
+        checks: [
+          { field: 'name', status: 'match', expected: 'Rahul Kumar Sharma', similarity: 1 },
+          { field: 'dateOfBirth', status: 'match', expected: '1990-05-12' },
+          { field: 'idNumber', status: 'match' }
+        ],
+        ...overrides
+      }
+    });
+
+    test('allows documents where every check matched', () => {
+      expect(documentOcrService.getBulkApprovalBlockers(readDocument(), profile)).toEqual([]);
+    });
+
+    test('lists every reason a document needs a reviewer', () => {
+      const document = readDocument({
+        confidence: 45,
+        matchScore: 70,
+        checks: [
+          { field: 'name', status: 'match', expected: 'Rahul Kumar Sharma', similarity: 1 },
+          { field: 'dateOfBirth', status: 'mismatch', expected: '1990-05-12' },
+          { field: 'idNumber', status: 'missing' }
+        ]
+      });
+
+      expect(documentOcrService.getBulkApprovalBlockers(document)).toEqual([
+        'field_mismatch', 'field_missing', 'low_score', 'low_confidence'
+      ]);
+    });
+
+    test('refuses checks made against an older profile', () => {
+      expect(documentOcrService.getBulkApprovalBlockers(readDocument(), { ...profile, name: 'Rahul Verma' }))
+        .toEqual(['profile_changed']);
+    });
+
+    test('refuses documents OCR has not read', () => {
+      expect(documentOcrService.getBulkApprovalBlockers({ verified: false, ocr: { status: 'pending' } }))
+        .toEqual(['not_read']);
+      expect(documentOcrService.getBulkApprovalBlockers({ verified: false }))
+        .toEqual(['not_read']);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const Donation = require('../models/Donation');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const eligibilityService = require('../services/eligibilityService');
+const donorMatchingService = require('../services/donorMatchingService');
+const inventoryService = require('../services/inventoryService');
+const appealCampaignService = require('../services/appealCampaignService');
+const certificateService = require('../services/certificateService');
+const achievementService = require('../services/achievementService');
+const donationWorkflowService = require('../services/donationWorkflowService');
+
+// Both schedule work on load
+jest.mock('../services/donorMatchingService', () => ({ backfillCommitments: jest.fn(), stopMatching: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn() }));
+
+const hospital = new Hospital({ name: 'City Hospital', address: { city: 'Pune', state: 'MH' } });
+const donorId = new mongoose.Types.ObjectId();
+
+const bloodRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  requestId: 'BR123',
+  status: 'active',
+  request: { bloodComponent: 'platelets', unitsNeeded: 2 },
+  checkInDonor: jest.fn().mockResolvedValue({ unitsPledged: 1, commitment: { eta: new Date() } }),
+  releaseCheckedInDonor: jest.fn().mockResolvedValue(true),
+  recordDonation: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const donation = (overrides = {}) => new Donation({
+  donorId,
+  requestId: new mongoose.Types.ObjectId(),
+  donationType: 'whole_blood',
+  donationDate: new Date(),
+  unitsDonated: 1,
+  bloodType: 'O+',
+  location: { hospital: hospital.name, hospitalId: hospital._id },
+  status: 'in_progress',
+  ...overrides
+});
+
+describe('Donation workflow', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(Donation.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(eligibilityService, 'refreshDonorEligibility').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('check-in', () => {
+    beforeEach(() => {
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(null);
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ name: 'Asha', bloodType: 'O+', stats: { totalDonations: 0 } }) });
+    });
+
+    test('opens a donation for the component the request needs', async () => {
+      const request = bloodRequest();
+      jest.spyOn(BloodRequest, 'findOne').mockResolvedValue(request);
+
+      const { donation: opened } = await donationWorkflowService.checkInDonor(hospital, 'BR123', donorId, 'staff');
+
+      expect(request.checkInDonor).toHaveBeenCalledWith(donorId);
+      expect(opened).toMatchObject({ status: 'scheduled', donationType: 'platelets', bloodType: 'O+', unitsDonated: 1 });
+      expect(opened.location.hospitalId).toEqual(hospital._id);
+      expect(opened.metadata.firstTimeDonor).toBe(true);
+      expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    test('checking in twice returns the donation opened the first time', async () => {
+      const open = donation({ status: 'scheduled' });
+      const request = bloodRequest();
+      jest.spyOn(BloodRequest, 'findOne').mockResolvedValue(request);
+      Donation.findOne.mockResolvedValue(open);
+
+      const { donation: returned } = await donationWorkflowService.checkInDonor(hospital, 'BR123', donorId, 'staff');
+
+      expect(returned).toBe(open);
+      expect(request.checkInDonor).not.toHaveBeenCalled();
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    test('a donor without an open commitment cannot be checked in', async () => {
+      jest.spyOn(BloodRequest, 'findOne').mockResolvedValue(bloodRequest({ checkInDonor: jest.fn().mockResolvedValue(null) }));
+
+      await expect(donationWorkflowService.checkInDonor(hospital, 'BR123', donorId, 'staff'))
+        .rejects.toThrow('Donor has no open commitment to this request');
+    });
+
+    test('donors cannot be checked in to a closed request', async () => {
+      jest.spyOn(BloodRequest, 'findOne').mockResolvedValue(bloodRequest({ status: 'fulfilled' }));
+
+      await expect(donationWorkflowService.checkInDonor(hospital, 'BR123', donorId, 'staff'))
+        .rejects.toThrow('Blood request is fulfilled');
+    });
+  });
+
+  describe('screening', () => {
+    test('passing screening starts the donation', async () => {
+      const open = donation({ status: 'scheduled' });
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(open);
+
+      const { failures } = await donationWorkflowService.recordPreDonationChecks(hospital, open.donationId, {
+        hemoglobin: { value: 13.5 },
+        bloodPressure: { systolic: 120, diastolic: 80 }
+      }, 'staff');
+
+      expect(failures).toEqual([]);
+      expect(open.status).toBe('in_progress');
+      expect(open.preDonationChecks.hemoglobin).toMatchObject({ value: 13.5, passed: true });
+    });
+
+    test('failing screening defers the donor and pages a replacement', async () => {
+      const open = donation({ status: 'scheduled' });
+      const request = bloodRequest({ _id: open.requestId });
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(open);
+      jest.spyOn(BloodRequest, 'findById').mockResolvedValue(request);
+      donorMatchingService.backfillCommitments.mockResolvedValue({ donorsNotified: 3 });
+
+      const { failures, backfill } = await donationWorkflowService.recordPreDonationChecks(hospital, open.donationId, {
+        hemoglobin: { value: 11.0 }
+      }, 'staff');
+
+      expect(failures.map(failure => failure.check)).toEqual(['hemoglobin']);
+      expect(open).toMatchObject({ status: 'deferred', deferralReason: failures[0].message });
+      expect(eligibilityService.refreshDonorEligibility).toHaveBeenCalledWith(donorId);
+      expect(request.releaseCheckedInDonor).toHaveBeenCalledWith(donorId, 'deferred_at_screening');
+      expect(donorMatchingService.backfillCommitments).toHaveBeenCalledWith(request, 'donor_deferred');
+      expect(backfill).toEqual({ donorsNotified: 3 });
+    });
+  });
+
+  describe('completing a donation', () => {
+    let donor;
+    let request;
+
+    beforeEach(() => {
+      donor = new User({ name: 'Asha', stats: { totalDonations: 2 } });
+      jest.spyOn(donor, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(User, 'findById').mockResolvedValue(donor);
+      request = bloodRequest();
+      jest.spyOn(BloodRequest, 'findById').mockResolvedValue(request);
+      jest.spyOn(inventoryService, 'issueRequestReservation').mockResolvedValue();
+      jest.spyOn(appealCampaignService, 'recordDonation').mockResolvedValue();
+      jest.spyOn(certificateService, 'issueForDonation').mockResolvedValue();
+      jest.spyOn(achievementService, 'evaluateSoon').mockReturnValue();
+    });
+
+    test('records the units against the donor and the request', async () => {
+      const open = donation();
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(open);
+
+      await donationWorkflowService.completeDonation(hospital, open.donationId, { unitsDonated: 2 }, 'staff');
+
+      expect(open).toMatchObject({ status: 'completed', unitsDonated: 2 });
+      expect(open.postDonationInfo.actualUnits).toBe(2);
+      expect(donor.stats).toMatchObject({ totalDonations: 3, totalUnitsContributed: 2 });
+      expect(request.recordDonation).toHaveBeenCalledWith(donorId, 2, 'City Hospital');
+      expect(certificateService.issueForDonation).toHaveBeenCalledWith(open);
+      expect(donorMatchingService.stopMatching).not.toHaveBeenCalled();
+    });
+
+    test('the donation that fulfils a request stops matching and issues the reserved stock', async () => {
+      const open = donation();
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(open);
+      request.recordDonation.mockImplementation(async () => {
+        request.status = 'fulfilled';
+      });
+
+      await donationWorkflowService.completeDonation(hospital, open.donationId, {}, 'staff');
+
+      expect(donorMatchingService.stopMatching).toHaveBeenCalledWith('BR123', 'request_fulfilled');
+      expect(inventoryService.issueRequestReservation).toHaveBeenCalledWith(request);
+    });
+
+    test('a donation that has not passed screening cannot be completed', async () => {
+      const open = donation({ status: 'scheduled' });
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(open);
+
+      await expect(donationWorkflowService.completeDonation(hospital, open.donationId, {}, 'staff'))
+        .rejects.toThrow('Donation has not passed pre-donation checks');
+      expect(donor.stats.totalDonations).toBe(2);
+    });
+
+    test('only one of two simultaneous submissions counts the donation', async () => {
+      const open = donation();
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(open);
+      // The other submission completed it between our read and our write
+      save.mockImplementation(function() {
+        return this.$where
+          ? Promise.reject(new mongoose.Error.DocumentNotFoundError({ _id: this._id }, 'Donation', 0, {}))
+          : Promise.resolve(this);
+      });
+
+      await expect(donationWorkflowService.completeDonation(hospital, open.donationId, {}, 'staff'))
+        .rejects.toThrow('Donation is already completed');
+
+      expect(donor.stats.totalDonations).toBe(2);
+      expect(request.recordDonation).not.toHaveBeenCalled();
+    });
+
+    test('a completion that fails to save leaves the donor stats for the retry', async () => {
+      const open = donation();
+      jest.spyOn(Donation, 'findOne').mockResolvedValue(open);
+      save.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(donationWorkflowService.completeDonation(hospital, open.donationId, {}, 'staff'))
+        .rejects.toThrow('connection lost');
+      expect(donor.stats.totalDonations).toBe(2);
+
+      open.status = 'in_progress';
+      await donationWorkflowService.completeDonation(hospital, open.donationId, {}, 'staff');
+      expect(donor.stats.totalDonations).toBe(3);
+    });
+  });
+});
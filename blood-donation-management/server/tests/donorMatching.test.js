@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const MatchingJob = require('../models/MatchingJob');
+
+// The service schedules its queue processor when it loads
+jest.useFakeTimers();
+const donorMatchingService = require('../services/donorMatchingService');
+const notificationService = require('../services/notificationService');
+const notificationFatigueService = require('../services/notificationFatigueService');
+
+const job = (overrides = {}) => new MatchingJob({
+  requestId: 'BR123',
+  bloodRequest: new mongoose.Types.ObjectId(),
+  currentRadius: 15,
+  notificationRound: 1,
+  nextEscalationAt: new Date(),
+  lease: { owner: donorMatchingService.workerId, expiresAt: new Date(Date.now() + 60000) },
+  ...overrides
+});
+
+const bloodRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  requestId: 'BR123',
+  status: 'active',
+  request: { urgency: 'urgent', unitsNeeded: 2 },
+  matching: { matchedDonors: [] },
+  getUnitShortfall: () => 2,
+  getCompatibleBloodTypes: () => ['A+'],
+  canReceiveNotifications: () => true,
+  ...overrides
+});
+
+const donor = () => ({ _id: new mongoose.Types.ObjectId(), score: 50, distance: 2 });
+
+describe('Donor matching rounds', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(MatchingJob.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(donorMatchingService, 'refreshDeliveryCounts').mockResolvedValue();
+    jest.spyOn(donorMatchingService, 'updateBloodRequestMatching').mockResolvedValue();
+    jest.spyOn(donorMatchingService, 'findEligibleDonors').mockResolvedValue([donor(), donor()]);
+    jest.spyOn(donorMatchingService, 'scoreDonors').mockImplementation(async donors => donors);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('widens the search after a round that reached donors', async () => {
+    jest.spyOn(donorMatchingService, 'sendDonorNotifications').mockResolvedValue({ successful: 2, failed: 0, results: [] });
+    const matchingJob = job();
+
+    await donorMatchingService.processMatching(matchingJob, bloodRequest());
+
+    expect(matchingJob.currentRadius).toBe(25);
+    expect(matchingJob.notificationRound).toBe(2);
+    expect(matchingJob.nextEscalationAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('retries the same round later when every notification failed', async () => {
+    jest.spyOn(donorMatchingService, 'sendDonorNotifications').mockResolvedValue({ successful: 0, failed: 2, results: [] });
+    const matchingJob = job();
+
+    await donorMatchingService.processMatching(matchingJob, bloodRequest());
+
+    expect(matchingJob.currentRadius).toBe(15);
+    expect(matchingJob.notificationRound).toBe(1);
+    expect(matchingJob.nextEscalationAt.getTime()).toBeGreaterThanOrEqual(Date.now() + donorMatchingService.escalationDelay - 1000);
+  });
+
+  test('releases the lease only while this worker still holds it', async () => {
+    jest.spyOn(donorMatchingService, 'sendDonorNotifications').mockResolvedValue({ successful: 1, failed: 0, results: [] });
+    const matchingJob = job();
+
+    await donorMatchingService.runJob(matchingJob, bloodRequest());
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(matchingJob.$where).toEqual({ 'lease.owner': donorMatchingService.workerId });
+    expect(matchingJob.lease.owner).toBeNull();
+  });
+
+  test('leaves a job alone once another worker has claimed it', async () => {
+    jest.spyOn(donorMatchingService, 'sendDonorNotifications').mockResolvedValue({ successful: 1, failed: 0, results: [] });
+    save.mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: 'job' }, 'MatchingJob', 0, {}));
+
+    await expect(donorMatchingService.runJob(job(), bloodRequest())).resolves.toMatchObject({ donorsNotified: 1 });
+  });
+
+  describe('a round that ends the job', () => {
+    let updateOne;
+    let savedPaths;
+    let matchingJob;
+
+    beforeEach(() => {
+      // As claimed from the database, so save writes only what the round changed
+      matchingJob = MatchingJob.hydrate(job({ currentRadius: donorMatchingService.maxRadius }).toObject());
+      donorMatchingService.findEligibleDonors.mockResolvedValue([]);
+      updateOne = jest.spyOn(MatchingJob, 'updateOne');
+      save.mockImplementation(function() {
+        savedPaths = this.modifiedPaths();
+        return Promise.resolve(this);
+      });
+    });
+
+    test('completes it only while it is still active and held by this worker', async () => {
+      updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await donorMatchingService.runJob(matchingJob, bloodRequest());
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: matchingJob._id, 'lease.owner': donorMatchingService.workerId, status: 'active' });
+      expect(update.$set).toMatchObject({ status: 'completed', completionReason: 'no_donors_found' });
+      expect(savedPaths).not.toContain('status');
+      expect(savedPaths).toContain('lease');
+    });
+
+    test('keeps a pause an admin issued mid-round', async () => {
+      // The admin's pause landed while the round was running
+      updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await donorMatchingService.runJob(matchingJob, bloodRequest());
+
+      expect(savedPaths).not.toContain('status');
+      expect(savedPaths).not.toContain('completionReason');
+      expect(save).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('a donor whose message cannot be rendered is skipped, not the whole round', async () => {
+    const request = bloodRequest({
+      patient: { bloodType: 'A+', name: 'Ravi', age: 40 },
+      location: { hospital: { name: 'City Hospital', contactNumber: '+919876543211', address: { city: 'Pune', state: 'MH' } } }
+    });
+    const named = { ...donor(), name: 'Asha', phoneNumber: '9876543210' };
+    const unnamed = { ...donor(), phoneNumber: '9876543212' };
+    const send = jest.spyOn(notificationService, 'sendBulkNotifications')
+      .mockResolvedValue({ successful: 1, failed: 0, results: [{ success: true }] });
+    jest.spyOn(notificationFatigueService, 'getSettings').mockResolvedValue({});
+    const recordPages = jest.spyOn(notificationFatigueService, 'recordPages').mockResolvedValue();
+
+    const result = await donorMatchingService.sendDonorNotifications([unnamed, named], request);
+
+    const notifications = send.mock.calls[0][0];
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].userId).toBe(named._id);
+    expect(notifications[0].message).toContain('Dear Asha');
+    expect(recordPages.mock.calls[0][0]).toEqual([named]);
+    expect(result).toMatchObject({ successful: 1, failed: 1 });
+  });
+});
+
+describe('Commitment timeouts and backfill', () => {
+  const commitment = (status, minutesToDeadline, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    donor: new mongoose.Types.ObjectId(),
+    response: 'yes',
+    status,
+    commitment: { confirmBy: new Date(Date.now() + minutesToDeadline * 60 * 1000) },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(donorMatchingService, 'scoreDonors').mockImplementation(async donors => donors);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkCommitmentTimeouts', () => {
+    let updateOne;
+    let backfill;
+
+    const load = (requests) => {
+      jest.spyOn(BloodRequest, 'find').mockReturnValue({ limit: () => Promise.resolve(requests) });
+    };
+
+    beforeEach(() => {
+      updateOne = jest.spyOn(BloodRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      backfill = jest.spyOn(donorMatchingService, 'backfillCommitments').mockResolvedValue({});
+    });
+
+    test('unconfirmed donors time out and confirmed donors who never came are no-shows', async () => {
+      const unconfirmed = commitment('responded', -5);
+      const noShow = commitment('confirmed', -5);
+      const onTheirWay = commitment('confirmed', 30);
+      const arrived = commitment('arrived', -60);
+      const request = bloodRequest({ matching: { matchedDonors: [unconfirmed, noShow, onTheirWay, arrived] } });
+      load([request]);
+
+      expect(await donorMatchingService.checkCommitmentTimeouts()).toBe(2);
+
+      expect(unconfirmed.status).toBe('timed_out');
+      expect(noShow.status).toBe('no_show');
+      expect(onTheirWay.status).toBe('confirmed');
+      expect(arrived.status).toBe('arrived');
+      expect(updateOne).toHaveBeenCalledTimes(2);
+      expect(updateOne.mock.calls[0][0]['matching.matchedDonors'].$elemMatch).toEqual({ _id: unconfirmed._id, status: 'responded' });
+      expect(backfill).toHaveBeenCalledTimes(1);
+      expect(backfill).toHaveBeenCalledWith(request, 'commitment_timeout');
+    });
+
+    test('a lapse another worker already claimed is not backfilled twice', async () => {
+      const unconfirmed = commitment('responded', -5);
+      load([bloodRequest({ matching: { matchedDonors: [unconfirmed] } })]);
+      updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await donorMatchingService.checkCommitmentTimeouts()).toBe(0);
+
+      expect(unconfirmed.status).toBe('responded');
+      expect(backfill).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backfillCommitments', () => {
+    let send;
+
+    beforeEach(() => {
+      send = jest.spyOn(donorMatchingService, 'sendDonorNotifications')
+        .mockImplementation(async donors => ({ successful: donors.length, failed: 0, results: [] }));
+      jest.spyOn(MatchingJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(BloodRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    test('pages the next-best donors the job has not asked yet, three per uncovered unit', async () => {
+      const matchingJob = job({ status: 'active', currentRadius: 25, notifiedDonors: [new mongoose.Types.ObjectId()] });
+      const candidates = Array.from({ length: 10 }, donor);
+      jest.spyOn(MatchingJob, 'findByRequestId').mockResolvedValue(matchingJob);
+      const find = jest.spyOn(donorMatchingService, 'findEligibleDonors').mockResolvedValue(candidates);
+
+      const result = await donorMatchingService.backfillCommitments(bloodRequest({ getUnitShortfall: () => 2 }), 'donor_cancelled');
+
+      expect(find.mock.calls[0].slice(2)).toEqual([25, matchingJob.notifiedDonors]);
+      expect(send.mock.calls[0][0]).toEqual(candidates.slice(0, 6));
+      expect(result).toEqual({ reason: 'donor_cancelled', shortfall: 2, donorsNotified: 6 });
+      const [, update] = MatchingJob.updateOne.mock.calls[0];
+      expect(update.$inc).toEqual({ totalNotified: 6, backfillRounds: 1 });
+      expect(update.$addToSet.notifiedDonors.$each).toHaveLength(6);
+    });
+
+    test('does nothing while commitments still cover the units needed', async () => {
+      const find = jest.spyOn(donorMatchingService, 'findEligibleDonors');
+
+      const result = await donorMatchingService.backfillCommitments(bloodRequest({ getUnitShortfall: () => 0 }), 'commitment_timeout');
+
+      expect(result.donorsNotified).toBe(0);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    test('does not page donors for a request whose matching is paused', async () => {
+      jest.spyOn(MatchingJob, 'findByRequestId').mockResolvedValue(job({ status: 'paused' }));
+      const find = jest.spyOn(donorMatchingService, 'findEligibleDonors');
+
+      await donorMatchingService.backfillCommitments(bloodRequest(), 'commitment_timeout');
+
+      expect(find).not.toHaveBeenCalled();
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    test('with no donors left in range the next tick widens the search', async () => {
+      const matchingJob = job({ status: 'active' });
+      jest.spyOn(MatchingJob, 'findByRequestId').mockResolvedValue(matchingJob);
+      jest.spyOn(donorMatchingService, 'findEligibleDonors').mockResolvedValue([]);
+
+      await donorMatchingService.backfillCommitments(bloodRequest(), 'commitment_timeout');
+
+      const [filter, update] = MatchingJob.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: matchingJob._id, status: 'active' });
+      expect(update.$set.nextEscalationAt.getTime()).toBeLessThanOrEqual(Date.now());
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  test('a donor cancelling their commitment triggers a backfill', async () => {
+    const cancelled = commitment('cancelled', 30);
+    const request = bloodRequest({ cancelDonorCommitment: jest.fn().mockResolvedValue(cancelled) });
+    const backfill = jest.spyOn(donorMatchingService, 'backfillCommitments').mockResolvedValue({ donorsNotified: 3 });
+
+    const result = await donorMatchingService.updateCommitment(request, cancelled.donor, 'cancel', { reason: 'Unwell' });
+
+    expect(request.cancelDonorCommitment).toHaveBeenCalledWith(cancelled.donor, 'Unwell');
+    expect(backfill).toHaveBeenCalledWith(request, 'donor_cancelled');
+    expect(result).toEqual({ commitment: cancelled, backfill: { donorsNotified: 3 } });
+  });
+
+  test('a committed donor changing their answer to no triggers a backfill', async () => {
+    const donorId = new mongoose.Types.ObjectId();
+    const request = bloodRequest({
+      findCommitment: () => ({ donor: donorId }),
+      addDonorResponse: jest.fn().mockResolvedValue(),
+      getCommittedUnits: () => 0
+    });
+    jest.spyOn(notificationFatigueService, 'startCooldown').mockResolvedValue();
+    const backfill = jest.spyOn(donorMatchingService, 'backfillCommitments').mockResolvedValue({ donorsNotified: 3 });
+
+    await donorMatchingService.recordDonorResponse(request, donorId, 'no', 2);
+
+    expect(request.addDonorResponse).toHaveBeenCalledWith(donorId, 'no', 2, null, null);
+    expect(backfill).toHaveBeenCalledWith(request, 'donor_withdrew');
+  });
+});
@@ -0,0 +1,219 @@
+const eligibilityService = require('../services/eligibilityService');
+
+// Loaded by the user controller; it schedules OTP cleanup on load
+jest.mock('../services/otpService', () => ({}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-18T12:00:00Z');
+const ago = (days) => new Date(now.getTime() - days * DAY_MS);
+const after = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const donation = (donationType, daysAgo, extra = {}) => ({
+  donationType,
+  donationDate: ago(daysAgo),
+  status: 'completed',
+  ...extra
+});
+
+describe('Eligibility rules', () => {
+  test('a donor with no history or answers can give every donation type', () => {
+    const result = eligibilityService.evaluate({}, now);
+
+    expect(result.eligible).toBe(true);
+    expect(result.nextEligibleDate).toBeNull();
+    Object.values(result.byDonationType).forEach(type => expect(type).toMatchObject({ eligible: true, reasons: [] }));
+  });
+
+  // Previous donation type, next donation type, days to wait
+  test.each([
+    ['whole_blood', 'whole_blood', 90],
+    ['whole_blood', 'double_red_cells', 90],
+    ['whole_blood', 'platelets', 28],
+    ['whole_blood', 'plasma', 28],
+    ['double_red_cells', 'whole_blood', 180],
+    ['double_red_cells', 'double_red_cells', 180],
+    ['double_red_cells', 'platelets', 28],
+    ['platelets', 'whole_blood', 7],
+    ['platelets', 'platelets', 7],
+    ['platelets', 'plasma', 14],
+    ['plasma', 'whole_blood', 14],
+    ['plasma', 'plasma', 14]
+  ])('after %s, %s waits %i days', (previous, next, days) => {
+    const donatedAt = ago(1);
+    const result = eligibilityService.evaluate({ donations: [donation(previous, 1)] }, now);
+    const type = result.byDonationType[next];
+
+    expect(type.eligible).toBe(false);
+    expect(type.nextEligibleDate).toEqual(after(donatedAt, days));
+    expect(type.reasons[0].code).toBe('DONATION_INTERVAL');
+
+    // Eligible again the moment the interval has passed
+    const later = eligibilityService.evaluate({ donations: [donation(previous, 1)] }, after(donatedAt, days));
+    expect(later.byDonationType[next].eligible).toBe(true);
+  });
+
+  test('only the latest donation of each type sets the interval', () => {
+    const result = eligibilityService.evaluate({
+      donations: [donation('whole_blood', 200), donation('whole_blood', 30)]
+    }, now);
+
+    expect(result.nextEligibleDate).toEqual(after(ago(30), 90));
+  });
+
+  test('deferred and unfinished donations do not start an interval', () => {
+    const result = eligibilityService.evaluate({
+      donations: [donation('whole_blood', 5, { status: 'deferred' }), donation('whole_blood', 2, { status: 'scheduled' })]
+    }, now);
+
+    expect(result.eligible).toBe(true);
+  });
+
+  test.each([
+    ['whole_blood', 4, 95],
+    ['double_red_cells', 2, 185]
+  ])('%s is capped at %i donations a year', (donationType, limit, spacing) => {
+    const donations = Array.from({ length: limit }, (_, index) => donation(donationType, 360 - index * spacing));
+    const result = eligibilityService.evaluate({ donations }, now);
+    const reasons = result.byDonationType[donationType].reasons;
+
+    expect(reasons.map(reason => reason.code)).toContain('ANNUAL_LIMIT');
+    expect(reasons.find(reason => reason.code === 'ANNUAL_LIMIT').until).toEqual(after(ago(360), 365));
+  });
+
+  test.each([
+    [12.0, ['whole_blood', 'double_red_cells', 'platelets', 'plasma']],
+    [13.5, ['double_red_cells']],
+    [14.5, []]
+  ])('hemoglobin of %d g/dL defers %j', (value, deferred) => {
+    const result = eligibilityService.evaluate({
+      donations: [donation('whole_blood', 200, { status: 'deferred', preDonationChecks: { hemoglobin: { value } } })]
+    }, ago(190));
+
+    const lowHemoglobin = Object.entries(result.byDonationType)
+      .filter(([, type]) => type.reasons.some(reason => reason.code === 'LOW_HEMOGLOBIN'))
+      .map(([donationType]) => donationType);
+    expect(lowHemoglobin).toEqual(deferred);
+  });
+
+  test('aspirin defers platelet donation only', () => {
+    const result = eligibilityService.evaluate({
+      medicalInfo: { medications: [{ name: 'Aspirin', lastDose: ago(1) }] }
+    }, now);
+
+    expect(result.byDonationType.platelets.eligible).toBe(false);
+    expect(result.byDonationType.platelets.nextEligibleDate).toEqual(after(ago(1), 3));
+    expect(result.byDonationType.whole_blood.eligible).toBe(true);
+  });
+
+  test('staff marking a donor ineligible defers every type indefinitely', () => {
+    const result = eligibilityService.evaluate({
+      medicalInfo: { eligibleForDonation: false, eligibilityNotes: 'Under investigation' }
+    }, now);
+
+    expect(result.eligible).toBe(false);
+    expect(result.deferredIndefinitely).toBe(true);
+    expect(result.nextEligibleDate).toBeNull();
+    expect(result.reasons[0]).toMatchObject({ code: 'MANUAL_DEFERRAL', message: 'Under investigation' });
+  });
+
+  test('the longest deferral decides when a donor is eligible again', () => {
+    const result = eligibilityService.evaluate({
+      donations: [donation('plasma', 2)],
+      medicalInfo: { medications: [{ name: 'finasteride', lastDose: ago(1) }] }
+    }, now);
+
+    expect(result.byDonationType.whole_blood.nextEligibleDate).toEqual(after(ago(1), 30));
+    expect(result.byDonationType.whole_blood.reasons).toHaveLength(2);
+  });
+});
+
+describe('User stats', () => {
+  const User = require('../models/User');
+  const userController = require('../controllers/userController');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('report eligibility without storing a new snapshot', async () => {
+    const user = new User({ name: 'Asha Rao', medicalInfo: { lastDonationDate: ago(30) } });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const evaluateDonor = jest.spyOn(eligibilityService, 'evaluateDonor')
+      .mockResolvedValue(eligibilityService.evaluate({ donations: [donation('whole_blood', 30)] }, now));
+    const refresh = jest.spyOn(eligibilityService, 'refreshDonorEligibility');
+    const updateOne = jest.spyOn(User, 'updateOne');
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await userController.getUserStats({ params: { userId: user._id.toString() } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(evaluateDonor).toHaveBeenCalledWith(user);
+    expect(refresh).not.toHaveBeenCalled();
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.eligibility.nextEligibleDate).toEqual(after(ago(30), 90));
+  });
+});
+
+describe('Profile updates', () => {
+  const User = require('../models/User');
+  const Donation = require('../models/Donation');
+  const userController = require('../controllers/userController');
+
+  // Just enough of MongoDB's query language for the matching filter
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+
+    const value = key.split('.').reduce((current, part) => current?.[part], doc);
+    if (condition === null) return value == null;
+    if ('$exists' in condition) return (value !== undefined) === condition.$exists;
+    if ('$ne' in condition) return value !== condition.$ne;
+    if ('$lte' in condition) return value != null && value <= condition.$lte;
+    return value === condition;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a new last donation date refreshes the snapshot and drops the donor from matching', async () => {
+    const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+    const user = new User({ name: 'Asha Rao', medicalInfo: { lastDonationDate: daysAgo(200) } });
+    user.set('eligibility', eligibilityService.toSnapshot(eligibilityService.evaluate({ medicalInfo: user.medicalInfo })));
+    expect(matches(user.toObject(), eligibilityService.buildMatchingFilter('whole_blood'))).toBe(true);
+
+    const updated = new User({ _id: user._id, name: 'Asha Rao', medicalInfo: { lastDonationDate: daysAgo(10) } });
+    updated.set('eligibility', user.eligibility.toObject());
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(updated);
+    jest.spyOn(Donation, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await userController.updateUserProfile({
+      params: { userId: user._id.toString() },
+      body: { medicalInfo: { lastDonationDate: daysAgo(10) } },
+      get: () => 'jest'
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(updateOne).toHaveBeenCalledWith({ _id: user._id }, { $set: { eligibility: expect.any(Object) } });
+    expect(matches(updated.toObject(), eligibilityService.buildMatchingFilter('whole_blood'))).toBe(false);
+  });
+
+  test('leaves the snapshot alone when no eligibility field changes', async () => {
+    const user = new User({ name: 'Asha Rao' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+    const refresh = jest.spyOn(eligibilityService, 'refreshDonorEligibility');
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await userController.updateUserProfile({
+      params: { userId: user._id.toString() },
+      body: { preferredLanguage: 'hi' },
+      get: () => 'jest'
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(refresh).not.toHaveBeenCalled();
+  });
+});
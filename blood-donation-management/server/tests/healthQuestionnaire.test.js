@@ -0,0 +1,166 @@
+const questionnaireService = require('../services/questionnaireService');
+const eligibilityService = require('../services/eligibilityService');
+
+const definition = questionnaireService.default;
+const answeredAt = new Date('2026-06-01T10:00:00Z');
+
+// Answers that clear a healthy donor
+const healthy = {
+  feeling_well: true,
+  recent_illness: false,
+  weight_kg: 68,
+  medical_conditions: [],
+  takes_medication: false,
+  recent_tattoo: false,
+  malaria_travel: false,
+  surgery_or_transfusion: false,
+  pregnancy: 'not_applicable',
+  previous_reaction: false
+};
+
+const screenAnswers = (raw) => {
+  const { answers, errors } = questionnaireService.normalizeAnswers(definition, raw, answeredAt);
+  expect(errors).toEqual([]);
+  return questionnaireService.screen(definition, answers, answeredAt);
+};
+
+describe('Health questionnaire', () => {
+  describe('validateDefinition', () => {
+    test('accepts the built-in questionnaire', () => {
+      expect(questionnaireService.validateDefinition(definition).errors).toEqual([]);
+    });
+
+    test('rejects operators that do not fit the question type', () => {
+      const { errors } = questionnaireService.validateDefinition({
+        title: 'Broken',
+        questions: [
+          {
+            id: 'weight_kg',
+            type: 'number',
+            text: 'Weight?',
+            outcomes: [{ when: { withinDays: 30 }, outcome: 'defer', days: 30, reason: 'x' }]
+          }
+        ]
+      });
+
+      expect(errors.join(' ')).toMatch(/withinDays only applies to date questions/);
+    });
+  });
+
+  describe('normalizeAnswers', () => {
+    test('asks follow-ups only when their condition holds', () => {
+      const { answers, errors } = questionnaireService.normalizeAnswers(definition, {
+        ...healthy,
+        recent_tattoo: 'yes',
+        tattoo_date: '2026-05-01'
+      }, answeredAt);
+
+      expect(errors).toEqual([]);
+      expect(answers.recent_tattoo).toBe(true);
+      expect(answers.tattoo_date).toEqual(new Date('2026-05-01'));
+      expect(answers).not.toHaveProperty('travel_return_date');
+    });
+
+    test('reports missing, out of range and future answers per question', () => {
+      const { errors } = questionnaireService.normalizeAnswers(definition, {
+        ...healthy,
+        weight_kg: 20,
+        pregnancy: undefined,
+        malaria_travel: true,
+        travel_destination: 'Goa',
+        travel_return_date: '2026-07-01'
+      }, answeredAt);
+
+      expect(errors).toEqual([
+        { questionId: 'weight_kg', message: 'Answer must be at least 30' },
+        { questionId: 'travel_return_date', message: 'Answer cannot be in the future' },
+        { questionId: 'pregnancy', message: 'An answer is required' }
+      ]);
+    });
+  });
+
+  describe('screen', () => {
+    test('clears a donor with no answers that matter', () => {
+      expect(screenAnswers(healthy)).toMatchObject({ outcome: 'cleared', deferrals: [], flags: [] });
+    });
+
+    test('counts a deferral from the date of the event', () => {
+      const screening = screenAnswers({ ...healthy, recent_tattoo: true, tattoo_date: '2026-03-01' });
+
+      expect(screening.outcome).toBe('deferred');
+      expect(screening.deferrals).toEqual([{
+        questionId: 'tattoo_date',
+        code: 'TATTOO_PIERCING',
+        message: 'Recent tattoo or piercing',
+        until: new Date('2026-08-28')
+      }]);
+    });
+
+    test('defers permanently for disqualifying conditions', () => {
+      const screening = screenAnswers({ ...healthy, medical_conditions: ['hepatitis'] });
+
+      expect(screening.deferrals).toEqual([
+        expect.objectContaining({ code: 'PERMANENT_CONDITION', until: null })
+      ]);
+    });
+
+    test('flags answers that need medical staff', () => {
+      const screening = screenAnswers({ ...healthy, pregnancy: 'yes', previous_reaction: true });
+
+      expect(screening.outcome).toBe('review');
+      expect(screening.flags.map(flag => flag.questionId)).toEqual(['pregnancy', 'previous_reaction']);
+    });
+  });
+
+  describe('needsReanswer', () => {
+    const v2 = {
+      ...definition,
+      version: 2,
+      reanswer: { required: true, questions: ['tattoo_date'], reason: 'Tattoo guidance changed' }
+    };
+
+    test('only asks donors who would see a changed question', () => {
+      const answered = { completedAt: answeredAt, version: 1 };
+
+      expect(questionnaireService.needsReanswer(v2, { ...answered, data: { recent_tattoo: true } })).toBe(true);
+      expect(questionnaireService.needsReanswer(v2, { ...answered, data: { recent_tattoo: false } })).toBe(false);
+    });
+
+    test('always asks donors with answers from before versioning', () => {
+      expect(questionnaireService.needsReanswer(v2, { completedAt: answeredAt, medicalConditions: [] })).toBe(true);
+    });
+
+    test('does not ask donors already on the new version', () => {
+      expect(questionnaireService.needsReanswer(v2, { completedAt: answeredAt, version: 2, data: { recent_tattoo: true } })).toBe(false);
+    });
+  });
+
+  describe('eligibility', () => {
+    const flagged = {
+      version: 1,
+      completedAt: answeredAt,
+      data: {},
+      screening: screenAnswers({ ...healthy, previous_reaction: true })
+    };
+
+    test('defers until flagged answers are reviewed', () => {
+      expect(eligibilityService.getQuestionnaireDeferrals(flagged, answeredAt)).toEqual([
+        expect.objectContaining({ code: 'QUESTIONNAIRE_REVIEW', until: null })
+      ]);
+    });
+
+    test('follows the reviewer decision', () => {
+      expect(eligibilityService.getQuestionnaireDeferrals({
+        ...flagged,
+        review: { decision: 'cleared' }
+      }, answeredAt)).toEqual([]);
+
+      expect(eligibilityService.getQuestionnaireDeferrals({
+        ...flagged,
+        review: { decision: 'deferred', deferredUntil: '2026-09-01' }
+      }, answeredAt)).toEqual([
+        expect.objectContaining({ code: 'QUESTIONNAIRE_REVIEW', until: new Date('2026-09-01') })
+      ]);
+    });
+  });
+});
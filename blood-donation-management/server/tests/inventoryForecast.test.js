@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const inventoryService = require('../services/inventoryService');
+const inventoryForecastService = require('../services/inventoryForecastService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-18T12:00:00');
+const today = new Date('2026-10-18T00:00:00');
+const inDays = days => new Date(today.getTime() + days * DAY_MS);
+const facilityId = new mongoose.Types.ObjectId();
+
+// Units issued at midday a number of days before today
+const used = (daysAgo, units) => ({ type: 'consumption', units, timestamp: new Date(now.getTime() - daysAgo * DAY_MS) });
+const usedDaily = (fromDaysAgo, toDaysAgo, units) => Array.from(
+  { length: fromDaysAgo - toDaysAgo + 1 },
+  (_, index) => used(fromDaysAgo - index, units)
+);
+
+const stock = (overrides = {}) => ({
+  facility: facilityId,
+  facilityModel: 'Hospital',
+  bloodType: 'O+',
+  component: 'whole_blood',
+  availableUnits: 40,
+  reservedUnits: 0,
+  minimumThreshold: 10,
+  batches: [{ status: 'available', units: 40, expiryDate: inDays(60) }],
+  ...overrides
+});
+
+describe('Inventory forecast', () => {
+  let transactions;
+
+  const forecast = (record = stock(), options = {}) => inventoryForecastService.forecastStock(record, { now, ...options });
+
+  beforeEach(() => {
+    transactions = jest.spyOn(inventoryService, 'getInventoryTransactions').mockReturnValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('steady use forecasts the same rate forward', () => {
+    transactions.mockReturnValue(usedDaily(90, 1, 2));
+
+    const result = forecast();
+
+    expect(result).toMatchObject({
+      averageDailyConsumption: 2,
+      forecastDailyConsumption: 2,
+      forecast: { '7d': 14, '14d': 28, '30d': 60 },
+      factors: { seasonal: 1, requestVolume: 1 },
+      historyUnits: 180,
+      confidence: 'high',
+      // Three days of lead time with no variation to cover
+      suggestedMinimumThreshold: 6
+    });
+    expect(result.daysUntilStockOut).toBe(20);
+  });
+
+  test('the smoothed rate follows recent use more than the 90-day average', () => {
+    transactions.mockReturnValue([...usedDaily(90, 31, 1), ...usedDaily(30, 1, 4)]);
+
+    const result = forecast();
+
+    expect(result.averageDailyConsumption).toBe(2);
+    expect(result.forecastDailyConsumption).toBeCloseTo(3.65, 2);
+  });
+
+  test('issues and transfers other than consumption are not demand', () => {
+    transactions.mockReturnValue([
+      ...usedDaily(90, 1, 1),
+      { ...used(5, 20), type: 'donation' },
+      { ...used(3, 10), type: 'redistribution_out' }
+    ]);
+
+    expect(forecast().historyUnits).toBe(90);
+  });
+
+  test('the coming weeks of last year scale the rate', () => {
+    // Twice the recent rate in the same 30 days a year ago
+    transactions.mockReturnValue([...usedDaily(365, 336, 2), ...usedDaily(90, 1, 1)]);
+
+    const result = forecast();
+
+    expect(result.factors.seasonal).toBe(2);
+    expect(result.forecastDailyConsumption).toBe(2);
+  });
+
+  test('days of the week with less use get a lower share', () => {
+    const historyStart = inDays(-90);
+    // Two units every weekday, nothing at weekends
+    const daily = Array.from({ length: 90 }, (_, index) => ([0, 6].includes(inDays(index - 90).getDay()) ? 0 : 2));
+    const historyUnits = daily.reduce((sum, units) => sum + units, 0);
+
+    const weekday = inventoryForecastService.getWeekdayIndex(daily, historyStart, historyUnits);
+
+    expect(weekday[0]).toBe(0.5);
+    expect(weekday[6]).toBe(0.5);
+    expect(weekday[3]).toBeCloseTo(2 / (historyUnits / 90), 5);
+  });
+
+  test('thin history gets no weekly or seasonal pattern and keeps the configured threshold', () => {
+    transactions.mockReturnValue([used(40, 3), used(10, 2), ...usedDaily(365, 336, 5)]);
+
+    const result = forecast();
+
+    expect(result.factors.seasonal).toBe(1);
+    expect(result.confidence).toBe('low');
+
+    transactions.mockReturnValue([]);
+    expect(forecast()).toMatchObject({ forecastDailyConsumption: 0, suggestedMinimumThreshold: 10, forecast: { '7d': 0 } });
+  });
+
+  test('a surge in requests raises the rate', () => {
+    transactions.mockReturnValue(usedDaily(90, 1, 2));
+    const requestTrends = new Map([[`${facilityId}:O+:whole_blood`, 1.5]]);
+
+    const result = forecast(stock(), { requestTrends });
+
+    expect(result.forecastDailyConsumption).toBe(3);
+    expect(result.factors.requestVolume).toBe(1.5);
+  });
+
+  describe('stock projection', () => {
+    test('uses the earliest expiry first and counts what expires unused', () => {
+      const record = stock({
+        batches: [
+          { status: 'available', units: 10, expiryDate: inDays(30) },
+          { status: 'available', units: 4, expiryDate: inDays(2) },
+          { status: 'reserved', units: 50, expiryDate: inDays(30) }
+        ]
+      });
+
+      const projection = inventoryForecastService.projectStock(record, today, () => 1);
+
+      // Two units used from the short-dated batch, two expire, then ten days from the other
+      expect(projection.expiredUnits).toBe(2);
+      expect(projection.daysUntilStockOut).toBe(12);
+      expect(projection.stockOutDate).toEqual(inDays(12));
+    });
+
+    test('stock that outlasts the projection has no stock-out date', () => {
+      const record = stock({ batches: [{ status: 'available', units: 500, expiryDate: inDays(200) }] });
+
+      expect(inventoryForecastService.projectStock(record, today, () => 1))
+        .toEqual({ stockOutDate: null, daysUntilStockOut: null, expiredUnits: 0 });
+    });
+  });
+
+  test('request trends compare the last two weeks with the 90-day average', async () => {
+    const hospital = new mongoose.Types.ObjectId();
+    jest.spyOn(BloodRequest, 'aggregate').mockResolvedValue([
+      { _id: { hospital, bloodType: 'O+', component: 'whole_blood' }, total: 90, recent: 28 },
+      { _id: { hospital, bloodType: 'A+', component: 'whole_blood' }, total: 90, recent: 1 },
+      { _id: { hospital, bloodType: 'B+', component: 'whole_blood' }, total: 5, recent: 5 }
+    ]);
+
+    const trends = await inventoryForecastService.getRequestTrends(now);
+
+    expect(trends.get(`${hospital}:O+:whole_blood`)).toBe(1.5);
+    expect(trends.get(`${hospital}:A+:whole_blood`)).toBe(0.75);
+    expect(trends.has(`${hospital}:B+:whole_blood`)).toBe(false);
+  });
+
+  test('the summary counts facilities that run out within the longest horizon', () => {
+    const item = (daysUntilStockOut, overrides = {}) => ({
+      bloodType: 'O+',
+      component: 'whole_blood',
+      availableUnits: 10,
+      forecast: { '7d': 7, '30d': 30 },
+      daysUntilStockOut,
+      projectedStockOutDate: daysUntilStockOut === null ? null : inDays(daysUntilStockOut),
+      ...overrides
+    });
+
+    const [summary] = inventoryForecastService.summarizeByBloodType([item(5), item(45), item(null)], [7, 30]);
+
+    expect(summary).toMatchObject({
+      facilities: 3,
+      availableUnits: 30,
+      forecast: { '7d': 21, '30d': 90 },
+      facilitiesAtRisk: 1,
+      earliestStockOutDate: inDays(5)
+    });
+  });
+});
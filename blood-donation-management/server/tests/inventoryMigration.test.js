@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const BloodInventory = require('../models/BloodInventory');
+const {
+  buildBatches,
+  migrateHospitalInventory,
+  migrateInstitutionStock,
+  migrateStockComponents
+} = require('../scripts/migrate-hospital-inventory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = days => new Date(Date.now() + days * DAY_MS);
+const hospitalId = new mongoose.Types.ObjectId();
+
+// Stand-in for a raw MongoDB collection
+const fakeCollection = ({ count = 0, documents = [] } = {}) => ({
+  countDocuments: jest.fn().mockResolvedValue(count),
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: count }),
+  updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+  dropIndex: jest.fn().mockRejectedValue(new Error('index not found')),
+  find: jest.fn(() => ({ project: () => ({ toArray: () => Promise.resolve(documents) }) }))
+});
+
+describe('Hospital inventory migration', () => {
+  describe('buildBatches', () => {
+    test('spreads units over the future expiry dates, remainder to the earliest', () => {
+      const [later, past, sooner] = [inDays(20), inDays(-3), inDays(5)];
+      const batches = buildBatches(hospitalId, {
+        bloodType: 'O+',
+        unitsAvailable: 7,
+        expirationDates: [later, past, sooner]
+      });
+
+      expect(batches.map(batch => batch.units)).toEqual([4, 3]);
+      expect(batches.map(batch => batch.expiryDate)).toEqual([sooner, later]);
+      expect(batches[0]).toMatchObject({ batchId: `MIG_${hospitalId}_O+_0`, status: 'available', source: 'migration' });
+    });
+
+    test('dates that would get no units are left out', () => {
+      const batches = buildBatches(hospitalId, {
+        bloodType: 'A-',
+        unitsAvailable: 1,
+        expirationDates: [inDays(5), inDays(10), inDays(15)]
+      });
+
+      expect(batches).toHaveLength(1);
+      expect(batches[0].units).toBe(1);
+    });
+
+    test('without expiry dates, whole blood shelf life runs from the last update', () => {
+      const lastUpdated = inDays(-10);
+      const [batch] = buildBatches(hospitalId, { bloodType: 'B+', unitsAvailable: 3, lastUpdated });
+
+      expect(batch).toMatchObject({ units: 3, status: 'available', collectionDate: lastUpdated });
+      expect(batch.expiryDate.getTime() - lastUpdated.getTime()).toBeGreaterThanOrEqual(35 * DAY_MS - 60 * 60 * 1000);
+    });
+
+    test('stock whose dates have all passed is kept as one expired batch', () => {
+      const latest = inDays(-2);
+      const batches = buildBatches(hospitalId, {
+        bloodType: 'AB+',
+        unitsAvailable: 4,
+        expirationDates: [inDays(-9), latest]
+      });
+
+      expect(batches).toEqual([expect.objectContaining({ units: 4, status: 'expired', expiryDate: latest })]);
+    });
+
+    test('empty or invalid entries produce no batches', () => {
+      expect(buildBatches(hospitalId, { bloodType: 'O-', unitsAvailable: 0 })).toEqual([]);
+      expect(buildBatches(hospitalId, { bloodType: 'O-' })).toEqual([]);
+    });
+  });
+
+  describe('migrating records', () => {
+    let collections;
+
+    const useCollections = (byName) => {
+      collections = byName;
+      jest.spyOn(mongoose.connection, 'collection').mockImplementation(name => collections[name]);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('embedded hospital stock becomes batches and the old array is removed', async () => {
+      useCollections({
+        hospitals: fakeCollection({
+          documents: [{
+            _id: hospitalId,
+            name: 'City Hospital',
+            inventory: [
+              { bloodType: 'O+', unitsAvailable: 6, minimumThreshold: 8, expirationDates: [inDays(10), inDays(20)] },
+              { bloodType: 'A+', unitsAvailable: 2 }
+            ]
+          }]
+        })
+      });
+      jest.spyOn(BloodInventory, 'exists').mockResolvedValue(null);
+      const stocks = {};
+      jest.spyOn(BloodInventory, 'findOrCreate').mockImplementation(async (facility, bloodType) => {
+        stocks[bloodType] = new BloodInventory({ facility, facilityModel: 'Hospital', bloodType });
+        jest.spyOn(stocks[bloodType], 'save').mockResolvedValue(stocks[bloodType]);
+        return stocks[bloodType];
+      });
+
+      const summary = await migrateHospitalInventory();
+
+      expect(summary).toEqual({ hospitals: 1, records: 2, batches: 3, units: 8, skipped: 0 });
+      expect(stocks['O+'].batches.map(batch => batch.units)).toEqual([3, 3]);
+      expect(stocks['O+'].minimumThreshold).toBe(8);
+      expect(stocks['O+'].stats.totalReceived).toBe(6);
+      expect(stocks['A+'].save).toHaveBeenCalledTimes(1);
+      expect(collections.hospitals.updateOne).toHaveBeenCalledWith({ _id: hospitalId }, { $unset: { inventory: '' } });
+    });
+
+    test('running it again skips stock that was already migrated', async () => {
+      useCollections({
+        hospitals: fakeCollection({
+          documents: [{ _id: hospitalId, name: 'City Hospital', inventory: [{ bloodType: 'O+', unitsAvailable: 6 }] }]
+        })
+      });
+      jest.spyOn(BloodInventory, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+      const findOrCreate = jest.spyOn(BloodInventory, 'findOrCreate');
+
+      const summary = await migrateHospitalInventory();
+
+      expect(summary).toMatchObject({ records: 0, skipped: 1 });
+      expect(findOrCreate).not.toHaveBeenCalled();
+    });
+
+    test('institution stock is re-keyed onto the shared facility field', async () => {
+      useCollections({ bloodinventories: fakeCollection({ count: 3 }) });
+
+      expect(await migrateInstitutionStock()).toBe(3);
+
+      expect(collections.bloodinventories.updateMany).toHaveBeenCalledWith(
+        { institution: { $exists: true } },
+        { $rename: { institution: 'facility' }, $set: { facilityModel: 'Institution' } }
+      );
+      expect(collections.bloodinventories.dropIndex).toHaveBeenCalledWith('institution_1_bloodType_1');
+    });
+
+    test('with no institution stock left, nothing is written', async () => {
+      useCollections({ bloodinventories: fakeCollection({ count: 0 }) });
+
+      expect(await migrateInstitutionStock()).toBe(0);
+      expect(collections.bloodinventories.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('stock records from before components are whole blood', async () => {
+      useCollections({ bloodinventories: fakeCollection({ count: 5 }) });
+
+      expect(await migrateStockComponents()).toBe(5);
+
+      expect(collections.bloodinventories.updateMany).toHaveBeenCalledWith(
+        { component: { $exists: false } },
+        { $set: { component: 'whole_blood' } }
+      );
+      expect(collections.bloodinventories.dropIndex).toHaveBeenCalledWith('facility_1_bloodType_1');
+    });
+  });
+});
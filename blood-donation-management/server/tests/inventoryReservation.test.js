@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const BloodInventory = require('../models/BloodInventory');
+const BloodRequest = require('../models/BloodRequest');
+const inventoryService = require('../services/inventoryService');
+const donorMatchingService = require('../services/donorMatchingService');
+
+// Donor matching and notifications schedule their queue processors on load
+jest.mock('../services/donorMatchingService', () => ({ startMatching: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn() }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const hospitalId = new mongoose.Types.ObjectId();
+
+const stock = (bloodType, component, batches) => new BloodInventory({
+  facility: hospitalId,
+  bloodType,
+  component,
+  availableUnits: batches.filter(batch => (batch.status || 'available') === 'available')
+    .reduce((sum, batch) => sum + batch.units, 0),
+  batches: batches.map((batch, index) => ({
+    batchId: `${bloodType}_${component}_${index}`,
+    collectionDate: new Date(Date.now() - 2 * DAY_MS),
+    ...batch
+  }))
+});
+
+const bloodRequest = (overrides = {}) => new BloodRequest({
+  requester: { name: 'Asha', phoneNumber: '9876543210', relationship: 'self' },
+  patient: { name: 'Ravi', age: 40, gender: 'male', bloodType: 'A+', medicalCondition: 'Surgery' },
+  request: { urgency: 'urgent', unitsNeeded: 2, requiredBy: new Date(Date.now() + DAY_MS), ...overrides.request },
+  location: {
+    hospital: {
+      name: 'City Hospital',
+      hospitalId,
+      address: { street: '1 Main Road', city: 'Pune', state: 'MH', pincode: '411001' },
+      contactNumber: '9876543211',
+      coordinates: { type: 'Point', coordinates: [73.85, 18.52] }
+    }
+  },
+  ...overrides.fields
+});
+
+describe('Inventory reservations', () => {
+  let find;
+
+  beforeEach(() => {
+    jest.spyOn(BloodInventory.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(BloodRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    find = jest.spyOn(BloodInventory, 'find');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reserves only stock of the requested component, best donor type first', async () => {
+    const plasmaAB = stock('AB+', 'plasma', [{ units: 1, expiryDate: new Date(Date.now() + 30 * DAY_MS) }]);
+    const plasmaA = stock('A+', 'plasma', [{ units: 1, expiryDate: new Date(Date.now() + 30 * DAY_MS) }]);
+    find.mockResolvedValue([plasmaAB, plasmaA]);
+
+    const request = bloodRequest({ request: { bloodComponent: 'plasma' } });
+    const reservation = await inventoryService.reserveForRequest(request);
+
+    const query = find.mock.calls[0][0];
+    expect(query.component).toBe('plasma');
+    expect(query.bloodType.$in).toEqual(['A+', 'A-', 'AB+', 'AB-']);
+    expect(reservation.units).toBe(2);
+    expect(reservation.batches.map(batch => [batch.bloodType, batch.component])).toEqual([
+      ['A+', 'plasma'],
+      ['AB+', 'plasma']
+    ]);
+    expect(request.status).toBe('matched');
+  });
+
+  test('whole blood requests only draw on the identical type', async () => {
+    find.mockResolvedValue([]);
+
+    const reservation = await inventoryService.reserveForRequest(bloodRequest());
+
+    expect(find.mock.calls[0][0]).toMatchObject({ component: 'whole_blood', bloodType: { $in: ['A+'] } });
+    expect(reservation).toBeNull();
+  });
+
+  test('does not substitute another component when the requested one is not held', async () => {
+    find.mockResolvedValue([]);
+
+    const request = bloodRequest({ request: { bloodComponent: 'cryoprecipitate' } });
+
+    expect(await inventoryService.reserveForRequest(request)).toBeNull();
+    expect(find.mock.calls[0][0].component).toBe('cryoprecipitate');
+    expect(request.fulfillment.inventoryReservation.status).toBe('none');
+  });
+
+  test('if a later stock cannot be reserved the units already held go back on the shelf', async () => {
+    const first = stock('A+', 'plasma', [{ units: 1, expiryDate: new Date(Date.now() + 30 * DAY_MS) }]);
+    const second = stock('AB+', 'plasma', [{ units: 1, expiryDate: new Date(Date.now() + 30 * DAY_MS) }]);
+    find.mockResolvedValue([first, second]);
+    BloodInventory.prototype.save.mockImplementation(function() {
+      return this === second ? Promise.reject(new Error('VersionError')) : Promise.resolve(this);
+    });
+    jest.spyOn(inventoryService, 'logInventoryTransaction').mockResolvedValue();
+
+    const request = bloodRequest({ request: { bloodComponent: 'plasma' } });
+    const reservation = await inventoryService.reserveForRequest(request);
+
+    expect(reservation).toBeNull();
+    expect(first.batches[0].status).toBe('available');
+    expect(first.batches[0].reservedFor).toBeUndefined();
+    expect(BloodInventory.prototype.save.mock.contexts.filter(context => context === first)).toHaveLength(2);
+    expect(request.fulfillment.inventoryReservation.status).toBe('none');
+    expect(request.status).toBe('pending');
+  });
+
+  test('if the request cannot record its reservation every held unit is released', async () => {
+    const record = stock('A+', 'whole_blood', [{ units: 3, expiryDate: new Date(Date.now() + 30 * DAY_MS) }]);
+    find.mockResolvedValue([record]);
+    BloodRequest.prototype.save.mockRejectedValue(new Error('VersionError'));
+    jest.spyOn(inventoryService, 'logInventoryTransaction').mockResolvedValue();
+
+    const request = bloodRequest();
+    expect(await inventoryService.reserveForRequest(request)).toBeNull();
+
+    expect(record.batches.map(batch => [batch.units, batch.status])).toEqual([[1, 'available'], [2, 'available']]);
+    expect(request.status).toBe('pending');
+  });
+
+  test('expired reserved batches leave their reservation', async () => {
+    const requestId = new mongoose.Types.ObjectId();
+    const record = stock('O-', 'red_cells', [
+      { units: 2, status: 'reserved', reservedFor: requestId, expiryDate: new Date(Date.now() - DAY_MS) },
+      { units: 1, expiryDate: new Date(Date.now() - DAY_MS) },
+      { units: 3, expiryDate: new Date(Date.now() + DAY_MS) }
+    ]);
+
+    const expired = await record.markExpired();
+
+    expect(expired).toEqual([
+      { batchId: 'O-_red_cells_0', units: 2, reservedFor: requestId },
+      { batchId: 'O-_red_cells_1', units: 1, reservedFor: undefined }
+    ]);
+    expect(record.batches[0].status).toBe('expired');
+    expect(record.batches[0].reservedFor).toBeUndefined();
+    expect(record.batches[2].status).toBe('available');
+    expect(record.stats.totalExpired).toBe(3);
+  });
+
+  test('a request left short by expired stock loses those units and goes back to matching', async () => {
+    const request = bloodRequest({ fields: { status: 'matched', expiresAt: new Date(Date.now() + DAY_MS) } });
+    const record = stock('A+', 'whole_blood', [
+      { units: 1, status: 'reserved', reservedFor: request._id, expiryDate: new Date(Date.now() - DAY_MS) },
+      { units: 1, status: 'reserved', reservedFor: request._id, expiryDate: new Date(Date.now() + DAY_MS) }
+    ]);
+    request.fulfillment.inventoryReservation = {
+      status: 'reserved',
+      units: 2,
+      batches: record.batches.map(batch => ({
+        inventoryId: record._id,
+        bloodType: 'A+',
+        component: 'whole_blood',
+        batchId: batch.batchId,
+        units: 1,
+        expiryDate: batch.expiryDate
+      }))
+    };
+
+    find.mockReturnValue({ populate: () => Promise.resolve([record]) });
+    jest.spyOn(BloodRequest, 'find').mockResolvedValue([request]);
+    donorMatchingService.startMatching.mockResolvedValue({ success: true });
+
+    const result = await inventoryService.processExpiredInventory();
+
+    const reservation = request.fulfillment.inventoryReservation;
+    expect(result.totalExpiredUnits).toBe(1);
+    expect(reservation.status).toBe('reserved');
+    expect(reservation.units).toBe(1);
+    expect(reservation.batches.map(batch => batch.batchId)).toEqual(['A+_whole_blood_1']);
+    expect(request.status).toBe('active');
+    expect(donorMatchingService.startMatching).toHaveBeenCalledWith(request);
+  });
+});
+
+describe('Reserving stock for new requests', () => {
+  const Hospital = require('../models/Hospital');
+  const { createBloodRequest } = require('../controllers/bloodRequestController');
+
+  const body = () => ({
+    requester: { name: 'Asha', phoneNumber: '9876543210', relationship: 'self' },
+    patient: { name: 'Ravi', age: 40, gender: 'male', bloodType: 'A+', medicalCondition: 'Surgery' },
+    request: { urgency: 'urgent', unitsNeeded: 2, requiredBy: new Date(Date.now() + DAY_MS) },
+    location: {
+      hospital: {
+        name: 'City Hospital',
+        hospitalId: hospitalId.toString(),
+        address: { street: '1 Main Road', city: 'Pune', state: 'MH', pincode: '411001' },
+        contactNumber: '9876543211',
+        coordinates: { type: 'Point', coordinates: [73.85, 18.52] }
+      }
+    }
+  });
+
+  const create = async (user) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await createBloodRequest({ body: body(), user, ip: '127.0.0.1', get: () => 'jest' }, res);
+    // Let the donor matching the controller schedules run before the test ends
+    await new Promise(resolve => setImmediate(resolve));
+    return res;
+  };
+
+  let reserve;
+
+  beforeEach(() => {
+    jest.spyOn(BloodRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Hospital, 'exists').mockResolvedValue(true);
+    reserve = jest.spyOn(inventoryService, 'reserveForRequest').mockResolvedValue(null);
+    donorMatchingService.startMatching.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a guest naming a hospital does not hold its stock', async () => {
+    const res = await create(undefined);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data.bloodRequest.location.hospital.hospitalId).toEqual(hospitalId);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  test("a hospital's own staff hold its stock for their request", async () => {
+    const staff = { id: new mongoose.Types.ObjectId().toString(), role: 'hospital' };
+    jest.spyOn(Hospital, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ _id: hospitalId }) }) });
+
+    const res = await create(staff);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(reserve).toHaveBeenCalledTimes(1);
+    expect(reserve.mock.calls[0][0].location.hospital.hospitalId).toEqual(hospitalId);
+  });
+});
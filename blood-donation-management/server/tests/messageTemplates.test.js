@@ -0,0 +1,133 @@
+const messageTemplateService = require('../services/messageTemplateService');
+const { DefaultMessageTemplates } = require('../config/messageTemplates');
+
+const template = (overrides = {}) => ({
+  name: 'test_template',
+  channel: 'sms',
+  placeholders: [
+    { name: 'donorName', type: 'string', required: true },
+    { name: 'units', type: 'number' },
+    { name: 'urgency', type: 'enum', values: ['critical', 'urgent'] }
+  ],
+  variants: [
+    {
+      language: 'en',
+      enumLabels: { urgency: { critical: 'CRITICAL', urgent: 'URGENT' } },
+      body: 'Hi {{donorName}}.{{#units}} {{units}} units needed.{{/units}}{{#urgency}} [{{urgency}}]{{/urgency}}'
+    },
+    {
+      language: 'hi',
+      enumLabels: { urgency: { critical: 'अति आवश्यक' } },
+      body: 'नमस्ते {{donorName}}।{{#urgency}} [{{urgency}}]{{/urgency}}'
+    }
+  ],
+  ...overrides
+});
+
+describe('Message templates', () => {
+  test.each(DefaultMessageTemplates.map(definition => [`${definition.channel}/${definition.name}`, definition]))(
+    'default template %s is valid',
+    (label, definition) => {
+      expect(messageTemplateService.validateTemplate(definition).errors).toEqual([]);
+    }
+  );
+
+  describe('placeholder values', () => {
+    const typed = (type, extra = {}) => ({ placeholders: [{ name: 'value', type, ...extra }] });
+
+    test.each([
+      ['number', {}, 'abc', 'value must be a number'],
+      ['number', {}, '12.5', null],
+      ['date', {}, 'not a date', 'value must be a valid date'],
+      ['date', {}, '2026-10-18', null],
+      ['phone', {}, 'call me', 'value must be a phone number'],
+      ['phone', {}, '+91 98765 43210', null],
+      ['url', {}, 'ftp://example.com', 'value must be an http(s) URL'],
+      ['url', {}, 'https://callforbloodfoundation.com', null],
+      ['enum', { values: ['a', 'b'] }, 'c', 'value must be one of a, b'],
+      ['enum', { values: ['a', 'b'] }, 'b', null]
+    ])('%s placeholder with %j given %j', (type, extra, value, error) => {
+      expect(messageTemplateService.validateValues(typed(type, extra), { value })).toEqual(error ? [error] : []);
+    });
+
+    test('required placeholders must have a value; optional ones may be empty', () => {
+      expect(messageTemplateService.validateValues(template(), { donorName: '' })).toEqual(['donorName is required']);
+      expect(messageTemplateService.validateValues(template(), { donorName: 'Asha', units: null })).toEqual([]);
+    });
+
+    test('render refuses to send a message with invalid values', async () => {
+      await expect(messageTemplateService.render('blood_request', 'sms', { urgency: 'urgent' }))
+        .rejects.toThrow('Cannot render sms/blood_request: donorName is required');
+    });
+  });
+
+  describe('language fallback', () => {
+    test('uses the recipient language when a variant exists', () => {
+      const { rendered, errors } = messageTemplateService.renderTemplate(template(), { donorName: 'Asha', urgency: 'critical' }, 'hi');
+
+      expect(errors).toEqual([]);
+      expect(rendered.language).toBe('hi');
+      expect(rendered.body).toBe('नमस्ते Asha। [अति आवश्यक]');
+    });
+
+    test('falls back to English for languages without a variant', () => {
+      const preview = messageTemplateService.previewTemplate(template(), { language: 'ta', data: { donorName: 'Asha' } });
+
+      expect(preview.language).toBe('en');
+      expect(preview.fallback).toBe(true);
+      expect(preview.rendered.body).toBe('Hi Asha.');
+    });
+
+    test('enum values without a label in the variant are sent as they are', () => {
+      const { rendered } = messageTemplateService.renderTemplate(template(), { donorName: 'Asha', urgency: 'urgent' }, 'hi');
+
+      expect(rendered.body).toBe('नमस्ते Asha। [urgent]');
+    });
+
+    test('numbers are formatted for the variant locale', () => {
+      const { rendered } = messageTemplateService.renderTemplate(template(), { donorName: 'Asha', units: 1500 }, 'en');
+
+      expect(rendered.body).toBe('Hi Asha. 1,500 units needed.');
+    });
+  });
+
+  describe('sections', () => {
+    test.each([
+      [{ donorName: 'Asha', units: 2 }, 'Hi Asha. 2 units needed.'],
+      [{ donorName: 'Asha', units: 0 }, 'Hi Asha. 0 units needed.'],
+      [{ donorName: 'Asha' }, 'Hi Asha.'],
+      [{ donorName: 'Asha', units: '' }, 'Hi Asha.']
+    ])('%j renders %j', (data, body) => {
+      expect(messageTemplateService.renderTemplate(template(), data).rendered.body).toBe(body);
+    });
+
+    test('sections and placeholders must be declared', () => {
+      const { errors } = messageTemplateService.validateTemplate(template({
+        variants: [{ language: 'en', body: 'Hi {{donorName}}{{#hospital}} at {{hospital}}{{/hospital}} {{ward}}' }]
+      }));
+
+      expect(errors).toEqual([
+        'en variant: uses undeclared placeholder hospital',
+        'en variant: uses undeclared placeholder ward'
+      ]);
+    });
+  });
+
+  test('templates need an English variant to fall back on', () => {
+    const { errors } = messageTemplateService.validateTemplate(template({
+      variants: [{ language: 'hi', body: 'नमस्ते {{donorName}}' }]
+    }));
+
+    expect(errors).toEqual(['A variant in en is required as the fallback language']);
+  });
+
+  test.each([
+    ['GSM text fits 160 characters', 'a'.repeat(160), 1],
+    ['longer GSM text is split in parts of 153', 'a'.repeat(161), 2],
+    ['Hindi text fits 70 characters', 'न'.repeat(70), 1],
+    ['longer Unicode text is split in parts of 67', 'न'.repeat(71), 2],
+    ['a single emoji makes the whole text Unicode', `${'a'.repeat(100)}🩸`, 2]
+  ])('SMS segments: %s', (name, text, segments) => {
+    expect(messageTemplateService.countSmsSegments(text)).toBe(segments);
+  });
+});
@@ -0,0 +1,67 @@
+const notificationFatigueService = require('../services/notificationFatigueService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-18T12:00:00Z');
+const ago = (days) => new Date(now.getTime() - days * DAY_MS);
+
+const settings = {
+  enabled: true,
+  maxPerDay: 2,
+  maxPerWeek: 5,
+  declineCooldownHours: 72,
+  maxSnoozeDays: 30,
+  fairnessWindowDays: 30,
+  fairnessWeight: 40
+};
+
+const donor = (pagedAt) => ({ notificationFatigue: { pagedAt } });
+
+describe('Notification fatigue', () => {
+  test('counts pages in the last day and week', () => {
+    const pages = donor([ago(20), ago(6), ago(3), ago(0.5), ago(0.1)]);
+
+    expect(notificationFatigueService.countRecentPages(pages, now)).toEqual({ today: 2, thisWeek: 4 });
+    expect(notificationFatigueService.countRecentPages({}, now)).toEqual({ today: 0, thisWeek: 0 });
+  });
+
+  test.each([
+    ['no pages', [], false],
+    ['one page today', [ago(0.2)], false],
+    ['daily cap reached', [ago(0.2), ago(0.1)], true],
+    ['weekly cap reached', [ago(6), ago(5), ago(4), ago(3), ago(2)], true],
+    ['old pages only', [ago(9), ago(8), ago(8), ago(8), ago(8)], false]
+  ])('caps donors: %s', (name, pagedAt, capped) => {
+    expect(notificationFatigueService.isCapped(donor(pagedAt), settings, now)).toBe(capped);
+  });
+
+  test('never caps donors when fatigue controls are off', () => {
+    const pagedAt = [ago(0.3), ago(0.2), ago(0.1)];
+
+    expect(notificationFatigueService.isCapped(donor(pagedAt), { ...settings, enabled: false }, now)).toBe(false);
+  });
+
+  test('applies the daily and weekly caps in the matching query', () => {
+    const filter = notificationFatigueService.buildMatchingFilter(settings, now);
+    const capFilter = filter.$and.find(condition => condition.$expr);
+    const [daily, weekly] = capFilter.$expr.$and;
+
+    expect(filter.$and).toHaveLength(3);
+    expect(daily.$lt[1]).toBe(2);
+    expect(daily.$lt[0].$size.$filter.cond.$gt[1]).toEqual(ago(1));
+    expect(weekly.$lt[1]).toBe(5);
+    expect(weekly.$lt[0].$size.$filter.cond.$gt[1]).toEqual(ago(7));
+  });
+
+  test('keeps only the snooze filter when fatigue controls are off', () => {
+    const filter = notificationFatigueService.buildMatchingFilter({ ...settings, enabled: false }, now);
+
+    expect(filter.$and).toEqual([notificationFatigueService.buildSnoozeFilter(now)]);
+  });
+
+  test('fairness falls as donors use up the pages the weekly cap allows', () => {
+    // 5 pages a week over 30 days is a budget of about 21 pages
+    expect(notificationFatigueService.getFairnessScore([], settings, now)).toBe(100);
+    expect(notificationFatigueService.getFairnessScore([ago(1), ago(10), ago(40)], settings, now)).toBe(91);
+    expect(notificationFatigueService.getFairnessScore(Array.from({ length: 30 }, (_, day) => ago(day)), settings, now)).toBe(0);
+  });
+});
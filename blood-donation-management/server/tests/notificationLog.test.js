@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const NotificationLog = require('../models/NotificationLog');
+const notificationLogService = require('../services/notificationLogService');
+
+const at = minutes => new Date(Date.UTC(2026, 9, 18, 12, minutes));
+
+const log = (overrides = {}) => new NotificationLog({
+  notificationId: 'notif_1',
+  channel: 'whatsapp',
+  providerMessageId: 'wamid.1',
+  ...overrides
+});
+
+describe('Notification log status', () => {
+  // Receipts in the order they arrived, and the status they should leave
+  test.each([
+    [['sent', 'delivered', 'read'], 'read'],
+    [['sent', 'read', 'delivered'], 'read'],
+    [['delivered', 'sent'], 'delivered'],
+    [['sent', 'failed'], 'failed'],
+    [['sent', 'delivered', 'failed'], 'delivered'],
+    [['failed', 'sent', 'delivered'], 'failed'],
+    [['sent', 'sent'], 'sent']
+  ])('%j ends as %s', (statuses, expected) => {
+    const record = log();
+    statuses.forEach((status, index) => record.applyStatus(status, { at: at(index) }));
+
+    expect(record.status).toBe(expected);
+    expect(record.statusHistory.map(entry => entry.status)).toEqual(statuses);
+  });
+
+  test('reports whether the status moved', () => {
+    const record = log();
+
+    expect(record.applyStatus('delivered', { at: at(1) })).toBe(true);
+    expect(record.applyStatus('sent', { at: at(2) })).toBe(false);
+    expect(record.deliveredAt).toEqual(at(1));
+    expect(record.sentAt).toBeUndefined();
+  });
+
+  test('a read receipt fills in a delivery receipt that never came', () => {
+    const record = log();
+    record.applyStatus('read', { at: at(5) });
+
+    expect(record.deliveredAt).toEqual(at(5));
+    expect(record.readAt).toEqual(at(5));
+  });
+
+  test('a failure keeps the provider error', () => {
+    const record = log();
+    record.applyStatus('failed', { source: 'twilio_callback', providerStatus: 'undelivered', error: 'Unreachable handset' });
+
+    expect(record.error.message).toBe('Unreachable handset');
+    expect(record.failedAt).toBeInstanceOf(Date);
+    expect(record.statusHistory[0]).toMatchObject({ source: 'twilio_callback', providerStatus: 'undelivered' });
+  });
+
+  describe('provider receipts', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test.each([
+      ['sms', 'undelivered', 'failed'],
+      ['sms', 'delivered', 'delivered'],
+      ['whatsapp', 'read', 'read'],
+      ['sms', 'sending', 'sent']
+    ])('%s "%s" leaves a sent message %s', async (channel, providerStatus, expected) => {
+      const record = log({ channel });
+      record.applyStatus('sent');
+      jest.spyOn(NotificationLog, 'findOne').mockResolvedValue(record);
+      jest.spyOn(NotificationLog.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+
+      await notificationLogService.applyProviderStatus(channel, 'wamid.1', providerStatus, { source: 'webhook' });
+
+      expect(record.status).toBe(expected);
+      expect(record.statusHistory[record.statusHistory.length - 1].providerStatus).toBe(providerStatus);
+    });
+
+    test('receipts for unknown messages are ignored', async () => {
+      jest.spyOn(NotificationLog, 'findOne').mockResolvedValue(null);
+
+      expect(await notificationLogService.applyProviderStatus('sms', 'SM404', 'delivered')).toBeNull();
+    });
+  });
+});
+
+describe('Request delivery report', () => {
+  const asha = new mongoose.Types.ObjectId();
+  const ravi = new mongoose.Types.ObjectId();
+  const meena = new mongoose.Types.ObjectId();
+
+  const stubLogs = (logs) => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      populate: jest.fn(() => query),
+      lean: () => Promise.resolve(logs)
+    };
+    jest.spyOn(NotificationLog, 'find').mockReturnValue(query);
+    return query;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts each donor once, by the furthest any channel got', async () => {
+    stubLogs([
+      { user: asha, channel: 'push', status: 'failed', updatedAt: at(1) },
+      { user: asha, channel: 'whatsapp', status: 'read', deliveredAt: at(2), readAt: at(3), updatedAt: at(3) },
+      { user: ravi, channel: 'whatsapp', status: 'sent', updatedAt: at(1) },
+      { user: ravi, channel: 'sms', status: 'delivered', deliveredAt: at(4), updatedAt: at(4) },
+      { user: meena, channel: 'whatsapp', status: 'failed', updatedAt: at(1) },
+      { user: meena, channel: 'sms', status: 'failed', updatedAt: at(2) }
+    ]);
+
+    const report = await notificationLogService.getRequestDeliveryReport('BR1', { withDonorDetails: false });
+
+    expect(report.summary).toEqual({ recipients: 3, sent: 2, reached: 2, seen: 1, failed: 1 });
+    expect(report.byChannel.whatsapp).toEqual({ queued: 0, sent: 1, delivered: 0, read: 1, failed: 1 });
+    expect(report.byChannel.sms).toEqual({ queued: 0, sent: 0, delivered: 1, read: 0, failed: 1 });
+    expect(report.recipients.map(recipient => [String(recipient.user), recipient.status, recipient.channel])).toEqual([
+      [String(asha), 'read', 'whatsapp'],
+      [String(ravi), 'delivered', 'sms'],
+      [String(meena), 'failed', 'whatsapp']
+    ]);
+    expect(report.recipients[0]).toMatchObject({ deliveredAt: at(2), readAt: at(3) });
+    expect(report.recipients[0].channels).toHaveLength(2);
+  });
+
+  test('numbers without an account are grouped by phone number', async () => {
+    stubLogs([
+      { phoneNumber: '+919876543210', channel: 'sms', status: 'sent', updatedAt: at(1) },
+      { phoneNumber: '+919876543210', channel: 'whatsapp', status: 'delivered', updatedAt: at(2) }
+    ]);
+
+    const report = await notificationLogService.getRequestDeliveryReport('BR1', { withDonorDetails: false });
+
+    expect(report.summary.recipients).toBe(1);
+    expect(report.recipients[0]).toMatchObject({ phoneNumber: '+919876543210', status: 'delivered' });
+  });
+
+  test('donor names are loaded only for the admin view', async () => {
+    const query = stubLogs([]);
+
+    await notificationLogService.getRequestDeliveryReport('BR1', { withDonorDetails: false });
+    expect(query.populate).not.toHaveBeenCalled();
+
+    await notificationLogService.getRequestDeliveryReport('BR1');
+    expect(query.populate).toHaveBeenCalledWith('user', 'name phoneNumber bloodType');
+  });
+});
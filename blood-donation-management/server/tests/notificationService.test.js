@@ -0,0 +1,128 @@
+const ConsentRecord = require('../models/ConsentRecord');
+const consentService = require('../services/consentService');
+const notificationLogService = require('../services/notificationLogService');
+
+// The service schedules its retry processor when it loads
+jest.useFakeTimers();
+const notificationService = require('../services/notificationService');
+
+const PHONE = '+919876543210';
+const EMAIL = 'asha@example.com';
+
+const notification = (overrides = {}) => ({
+  phoneNumber: PHONE,
+  email: EMAIL,
+  message: 'O+ blood needed at City Hospital',
+  type: 'blood_request',
+  channels: ['whatsapp', 'sms', 'email'],
+  ...overrides
+});
+
+const withdrawn = (...channels) => channels.map(channel => ({ channel, granted: false, source: 'keyword' }));
+
+describe('Notification consent', () => {
+  let findCurrent;
+  let senders;
+  let queueForRetry;
+
+  beforeEach(() => {
+    findCurrent = jest.spyOn(ConsentRecord, 'findCurrent').mockResolvedValue([]);
+    jest.spyOn(notificationService, 'getAdminChannelOrder').mockImplementation(async channels => channels);
+    jest.spyOn(notificationLogService, 'recordQueued').mockResolvedValue(null);
+    jest.spyOn(notificationLogService, 'recordSendResult').mockResolvedValue(null);
+    queueForRetry = jest.spyOn(notificationService, 'queueForRetry').mockResolvedValue();
+    senders = {
+      whatsapp: jest.spyOn(notificationService, 'sendWhatsAppNotification').mockResolvedValue({ success: true, messageId: 'wamid.1' }),
+      sms: jest.spyOn(notificationService, 'sendSMSNotification').mockResolvedValue({ success: true, messageId: 'SM1' }),
+      email: jest.spyOn(notificationService, 'sendEmailNotification').mockResolvedValue({ success: true, messageId: 'email_1' })
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('looks up phone channels by number and email by address', async () => {
+    await notificationService.sendNotification(notification());
+
+    expect(findCurrent).toHaveBeenCalledWith(expect.arrayContaining([
+      { channel: 'whatsapp', address: PHONE },
+      { channel: 'sms', address: PHONE },
+      { channel: 'email', address: EMAIL }
+    ]));
+  });
+
+  test('a recipient with no ledger entries is sent to on the first channel', async () => {
+    const result = await notificationService.sendNotification(notification());
+
+    expect(result).toMatchObject({ success: true, finalChannel: 'whatsapp' });
+    expect(senders.sms).not.toHaveBeenCalled();
+  });
+
+  test('a withdrawn channel is skipped and the next one is used', async () => {
+    findCurrent.mockResolvedValue(withdrawn('whatsapp'));
+
+    const result = await notificationService.sendNotification(notification());
+
+    expect(senders.whatsapp).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, finalChannel: 'sms', channelsAttempted: ['sms'] });
+    expect(result.channelResults.whatsapp).toMatchObject({ success: false, error: 'CONSENT_WITHDRAWN' });
+    expect(notificationLogService.recordQueued).toHaveBeenCalledTimes(1);
+  });
+
+  test('falling back after a failure still skips withdrawn channels', async () => {
+    findCurrent.mockResolvedValue(withdrawn('sms'));
+    senders.whatsapp.mockResolvedValue({ success: false, message: 'Template rejected' });
+
+    const result = await notificationService.sendNotification(notification());
+
+    expect(senders.sms).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, finalChannel: 'email', channelsAttempted: ['whatsapp', 'email'] });
+  });
+
+  test('a recipient who withdrew every channel is not queued for retry', async () => {
+    findCurrent.mockResolvedValue(withdrawn('whatsapp', 'sms', 'email'));
+
+    const result = await notificationService.sendNotification(notification());
+
+    Object.values(senders).forEach(sender => expect(sender).not.toHaveBeenCalled());
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('No channel the recipient consented to');
+    expect(queueForRetry).not.toHaveBeenCalled();
+  });
+
+  test('consent given again after a STOP is honoured', async () => {
+    findCurrent.mockResolvedValue([{ channel: 'whatsapp', granted: true, source: 'keyword' }]);
+
+    const result = await notificationService.sendNotification(notification());
+
+    expect(result.finalChannel).toBe('whatsapp');
+  });
+
+  test('push has no consent ledger and is never blocked by it', async () => {
+    findCurrent.mockResolvedValue(withdrawn('whatsapp', 'sms', 'email'));
+    const push = jest.spyOn(notificationService, 'sendWebPushNotification').mockResolvedValue({ success: true });
+
+    const result = await notificationService.sendNotification(notification({ channels: ['sms', 'push'] }));
+
+    expect(push).toHaveBeenCalledTimes(1);
+    expect(result.finalChannel).toBe('push');
+  });
+
+  test('if the ledger cannot be read the notification goes out anyway', async () => {
+    findCurrent.mockRejectedValue(new Error('connection lost'));
+
+    const result = await notificationService.sendNotification(notification());
+
+    expect(result).toMatchObject({ success: true, finalChannel: 'whatsapp' });
+  });
+
+  test('getWithdrawnChannels keeps only channels whose latest decision is a withdrawal', async () => {
+    findCurrent.mockResolvedValue([
+      ...withdrawn('sms'),
+      { channel: 'whatsapp', granted: true, source: 'registration' }
+    ]);
+
+    expect(await consentService.getWithdrawnChannels({ phoneNumber: PHONE, email: EMAIL })).toEqual(new Set(['sms']));
+  });
+});
@@ -0,0 +1,84 @@
+const replyIntentService = require('../services/replyIntentService');
+
+// Sunday 18 Oct 2026, 12:00 in India
+const NOW = new Date('2026-10-18T06:30:00Z');
+
+const parse = text => replyIntentService.parse(text, { now: NOW });
+
+// Availability as local (IST) "YYYY-MM-DDTHH:mm", to keep expectations readable
+const localTime = availability => new Date(availability.at.getTime() + 330 * 60 * 1000).toISOString().slice(0, 16);
+
+describe('reply intents', () => {
+  describe('intent and language', () => {
+    test.each([
+      ['Yes I can donate', 'accept', 'en'],
+      ['मैं कल आ सकता हूँ', 'accept', 'hi'],
+      ['haan kal aa jaunga', 'accept', 'hinglish'],
+      ['no problem, coming', 'accept', 'en'],
+      ['maybe, will confirm', 'tentative', 'en'],
+      ['shayad aa paunga', 'tentative', 'hinglish'],
+      ['Sorry, I am not available', 'decline', 'en'],
+      ['नहीं आ पाऊंगा', 'decline', 'hi'],
+      ['aaunga nahi', 'decline', 'hinglish'],
+      ['abhi nahi', 'decline', 'hinglish'],
+      ['I have fever', 'decline', 'en'],
+      ['where is the hospital?', 'location_question', 'en'],
+      ['Hospital ka address kya hai', 'location_question', 'hinglish'],
+      ['Can I donate after a tattoo?', 'eligibility_question', 'en'],
+      ['kya main blood de sakta hoon, sugar hai', 'eligibility_question', 'hinglish'],
+      ['what is this', 'unknown', 'en']
+    ])('"%s" is %s in %s', (text, intent, language) => {
+      const parsed = parse(text);
+
+      expect(parsed.intent).toBe(intent);
+      expect(parsed.language).toBe(language);
+    });
+
+    test('Hinglish is answered in Hindi', () => {
+      expect(parse('kal aa sakta hoon').replyLanguage).toBe('hi');
+    });
+  });
+
+  describe('availability', () => {
+    test.each([
+      ['I can come after 6pm', '2026-10-18T18:00', 'after', 'time'],
+      ['kal shaam 5 baje aa jaunga', '2026-10-19T17:00', 'at', 'time'],
+      ['I\'ll come by 6:30 p.m.', '2026-10-18T18:30', 'before', 'time'],
+      ['will be there in 2 hours', '2026-10-18T14:00', 'at', 'time'],
+      ['coming at 9', '2026-10-19T09:00', 'at', 'time'],
+      ['6 बजे के बाद आ सकता हूँ', '2026-10-18T18:00', 'after', 'time'],
+      ['मैं कल आ सकता हूँ', '2026-10-19T10:00', 'at', 'day'],
+      ['available day after tomorrow morning', '2026-10-20T09:00', 'at', 'time'],
+      ['out of town till Friday', '2026-10-23T10:00', 'before', 'day']
+    ])('"%s" is %s (%s, %s)', (text, at, qualifier, precision) => {
+      const { availability } = parse(text).entities;
+
+      expect(localTime(availability)).toBe(at);
+      expect(availability).toMatchObject({ qualifier, precision });
+    });
+
+    test('a bare number is not a time', () => {
+      expect(parse('I can bring 2 friends').entities.availability).toBeNull();
+    });
+  });
+
+  describe('decline reasons', () => {
+    test.each([
+      ['Can\'t, I have fever', 'unwell'],
+      ['kal hi donate kiya hai', 'recently_donated'],
+      ['शहर से बाहर हूँ', 'travelling'],
+      ['on antibiotics this week', 'medication']
+    ])('"%s" gives %s', (text, reason) => {
+      const parsed = parse(text);
+
+      expect(parsed.intent).toBe('decline');
+      expect(parsed.entities.declineReason).toBe(reason);
+    });
+  });
+
+  test('availability is described in the reply language', () => {
+    const { availability } = parse('I can come after 6pm').entities;
+
+    expect(replyIntentService.describeAvailability(availability, 'en')).toBe('after Sun, 18 Oct, 6:00 pm');
+  });
+});
@@ -0,0 +1,200 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const jwtManager = require('../utils/jwt');
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, role: 'donor', permissions: [], status: 'active' };
+
+const session = (overrides = {}) => new Session({
+  sessionId: 'sid-1',
+  user: userId,
+  refreshTokenId: 'jti-2',
+  previousRefreshTokenId: 'jti-1',
+  lastRefreshedAt: new Date(),
+  rotationCount: 1,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+const refreshToken = (jti, sid = 'sid-1') => jwtManager.generateRefreshToken({ userId, sid }, { jti });
+
+describe('Session refresh tokens', () => {
+  let findOneAndUpdate;
+  let findOne;
+  let save;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(user) }) });
+    findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate');
+    findOne = jest.spyOn(Session, 'findOne');
+    save = jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rotates only while the presented token is the current one', async () => {
+    const rotated = session({ refreshTokenId: 'jti-3', previousRefreshTokenId: 'jti-2', rotationCount: 2 });
+    findOneAndUpdate.mockResolvedValue(rotated);
+
+    const tokens = await sessionService.rotateRefreshToken(refreshToken('jti-2'), {});
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ sessionId: 'sid-1', user: userId.toString(), refreshTokenId: 'jti-2', revokedAt: null });
+    expect(update.$set.previousRefreshTokenId).toBe('jti-2');
+    expect(update.$set.refreshTokenId).not.toBe('jti-2');
+    expect(update.$inc).toEqual({ rotationCount: 1 });
+    expect(jwtManager.verifyRefreshToken(tokens.refreshToken).jti).toBe('jti-3');
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('a token rotated moments ago by a parallel request gets the current pair', async () => {
+    findOneAndUpdate.mockResolvedValue(null);
+    findOne.mockResolvedValue(session());
+
+    const tokens = await sessionService.rotateRefreshToken(refreshToken('jti-1'), {});
+
+    expect(jwtManager.verifyRefreshToken(tokens.refreshToken).jti).toBe('jti-2');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('reusing a rotated token after the grace window revokes the session', async () => {
+    const current = session({ lastRefreshedAt: new Date(Date.now() - 60 * 1000) });
+    findOneAndUpdate.mockResolvedValue(null);
+    findOne.mockResolvedValue(current);
+
+    await expect(sessionService.rotateRefreshToken(refreshToken('jti-1'), {})).rejects.toThrow('Refresh token reuse detected');
+
+    expect(current.revokedReason).toBe('refresh_token_reuse');
+    expect(current.revokedAt).toBeInstanceOf(Date);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  test('an older token than the previous one is reuse even inside the grace window', async () => {
+    const current = session();
+    findOneAndUpdate.mockResolvedValue(null);
+    findOne.mockResolvedValue(current);
+
+    await expect(sessionService.rotateRefreshToken(refreshToken('jti-0'), {})).rejects.toThrow('Refresh token reuse detected');
+    expect(current.revokedReason).toBe('refresh_token_reuse');
+  });
+
+  test('a revoked session cannot be refreshed', async () => {
+    findOneAndUpdate.mockResolvedValue(null);
+    findOne.mockResolvedValue(session({ revokedAt: new Date(), revokedReason: 'logout' }));
+
+    await expect(sessionService.rotateRefreshToken(refreshToken('jti-2'), {})).rejects.toThrow('Session revoked');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('a suspended account loses the session instead of rotating', async () => {
+    User.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ ...user, status: 'suspended' }) }) });
+    const updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(sessionService.rotateRefreshToken(refreshToken('jti-2'), {})).rejects.toThrow('Session revoked');
+
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    expect(updateOne.mock.calls[0][1].$set.revokedReason).toBe('account_inactive');
+  });
+
+  test('tokens from before sessions existed are rejected', async () => {
+    const legacy = jwtManager.generateRefreshToken({ userId });
+
+    await expect(sessionService.rotateRefreshToken(legacy, {})).rejects.toThrow('Invalid refresh token');
+  });
+});
+
+describe('Logging out', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('logout revokes the current session', async () => {
+    const current = session();
+    const findActive = jest.spyOn(Session, 'findActive').mockResolvedValue(current);
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    await sessionService.revokeSession(userId, 'sid-1', 'logout');
+
+    expect(findActive).toHaveBeenCalledWith('sid-1', userId);
+    expect(current.revokedReason).toBe('logout');
+    expect(current.isActive).toBe(false);
+  });
+
+  test('logging out a session that has already ended fails', async () => {
+    jest.spyOn(Session, 'findActive').mockResolvedValue(null);
+
+    await expect(sessionService.revokeSession(userId, 'sid-1', 'logout')).rejects.toThrow('Session not found');
+  });
+
+  test('logout-all revokes every open session of the user', async () => {
+    const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    expect(await sessionService.revokeAllSessions(userId, 'logout_all')).toBe(3);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ user: userId, revokedAt: null });
+    expect(update.$set.revokedReason).toBe('logout_all');
+  });
+
+  test('signing out other devices keeps the current session', async () => {
+    const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await sessionService.revokeAllSessions(userId, 'revoked_by_user', { exceptSessionId: 'sid-1' });
+
+    expect(updateMany.mock.calls[0][0].sessionId).toEqual({ $ne: 'sid-1' });
+  });
+});
+
+describe('Optional sign-in', () => {
+  const { optionalAuth } = require('../middleware/auth');
+
+  const request = (token) => ({
+    header: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : undefined),
+    get: () => 'jest'
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(user) }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an access token from a live session identifies the user', async () => {
+    jest.spyOn(sessionService, 'validateSession').mockResolvedValue({ sessionId: 'sid-1' });
+    const req = request(jwtManager.generateToken({ userId, sid: 'sid-1' }));
+    const next = jest.fn();
+
+    await optionalAuth(req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ id: userId.toString(), role: 'donor' });
+    expect(req.sessionId).toBe('sid-1');
+  });
+
+  test.each([
+    ['a revoked session', () => jwtManager.generateToken({ userId, sid: 'sid-1' })],
+    ['a token from before sessions existed', () => jwtManager.generateToken({ userId })],
+    ['a refresh token', () => refreshToken('jti-2')]
+  ])('%s continues as a guest', async (name, token) => {
+    jest.spyOn(sessionService, 'validateSession').mockResolvedValue(null);
+    const req = request(token());
+    const next = jest.fn();
+
+    await optionalAuth(req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+});
@@ -0,0 +1,4 @@
+// Global test setup
+process.env.NODE_ENV = 'test';
+
+jest.setTimeout(30000);
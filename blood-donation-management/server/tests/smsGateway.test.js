@@ -0,0 +1,134 @@
+const smsService = require('../services/smsService');
+
+// Stand-in adapter: answers with the queued results in turn, then succeeds
+const fakeProvider = (name, results = []) => ({
+  name,
+  isConfigured: true,
+  sent: [],
+  async send(message) {
+    this.sent.push(message);
+    return results.shift() || { success: true, messageId: `${name}_1`, status: 'sent' };
+  },
+  mapStatus: status => status,
+  getStatus: () => ({ configured: true })
+});
+
+const providerDown = { success: false, error: 'DOWN', message: 'Gateway unavailable', providerError: true };
+
+describe('SMS gateway', () => {
+  const originalProviders = smsService.providers;
+
+  beforeEach(() => {
+    smsService.health = {};
+  });
+
+  afterEach(() => {
+    smsService.providers = originalProviders;
+  });
+
+  describe('formatPhoneNumber', () => {
+    test.each([
+      ['+91 98765 43210', '+919876543210', 'IN'],
+      ['9876543210', '+919876543210', 'IN'],
+      ['+1 415 555 0100', '+14155550100', 'US'],
+      ['+44 7700 900123', '+447700900123', 'GB'],
+      ['+971 50 123 4567', '+971501234567', 'AE'],
+      ['+86 138 0013 8000', '+8613800138000', 'UNKNOWN']
+    ])('%s is %s in %s', (input, formatted, country) => {
+      expect(smsService.formatPhoneNumber(input)).toMatchObject({ valid: true, formatted, country });
+    });
+
+    test('rejects short numbers', () => {
+      expect(smsService.formatPhoneNumber('12345').valid).toBe(false);
+    });
+  });
+
+  describe('getRoute', () => {
+    test('uses the configured providers for the country in order', () => {
+      smsService.providers = { twilio: fakeProvider('twilio'), dlt: fakeProvider('dlt'), console: fakeProvider('console') };
+
+      expect(smsService.getRoute('IN')).toEqual(['dlt', 'twilio']);
+      expect(smsService.getRoute('US')).toEqual(['twilio']);
+    });
+
+    test('skips unconfigured providers and falls back to the console stub', () => {
+      smsService.providers = {
+        twilio: { ...fakeProvider('twilio'), isConfigured: false },
+        dlt: fakeProvider('dlt'),
+        console: fakeProvider('console')
+      };
+
+      expect(smsService.getRoute('IN')).toEqual(['dlt']);
+      expect(smsService.getRoute('GB')).toEqual(['console']);
+    });
+
+    test('moves a failing provider last until its cool-down ends', () => {
+      smsService.providers = { twilio: fakeProvider('twilio'), dlt: fakeProvider('dlt'), console: fakeProvider('console') };
+      const now = new Date('2026-01-01T10:00:00Z');
+
+      smsService.recordHealth('dlt', false, 'timeout', now);
+      smsService.recordHealth('dlt', false, 'timeout', now);
+      expect(smsService.getRoute('IN', now)).toEqual(['dlt', 'twilio']);
+
+      smsService.recordHealth('dlt', false, 'timeout', now);
+      expect(smsService.getRoute('IN', now)).toEqual(['twilio', 'dlt']);
+      expect(smsService.getRoute('IN', new Date('2026-01-01T10:06:00Z'))).toEqual(['dlt', 'twilio']);
+    });
+  });
+
+  describe('sendSMS', () => {
+    test('fails over to the next provider and prices from the rate card', async () => {
+      const dlt = fakeProvider('dlt', [providerDown]);
+      const twilio = fakeProvider('twilio');
+      smsService.providers = { twilio, dlt, console: fakeProvider('console') };
+
+      const result = await smsService.sendSMS('9876543210', 'Blood needed at City Hospital', { templateName: 'blood_request' });
+
+      expect(result).toMatchObject({
+        success: true,
+        provider: 'twilio',
+        attempts: 2,
+        segments: 1,
+        cost: { amount: 0.0832, currency: 'USD', source: 'rate_card' }
+      });
+      expect(dlt.sent[0]).toMatchObject({ to: '+919876543210', templateName: 'blood_request', unicode: false });
+      expect(smsService.health.dlt.failures).toBe(1);
+    });
+
+    test('does not fail over when the number itself is rejected', async () => {
+      const dlt = fakeProvider('dlt', [{ success: false, error: 'INVALID', message: 'Invalid number', recipientError: true }]);
+      const twilio = fakeProvider('twilio');
+      smsService.providers = { twilio, dlt, console: fakeProvider('console') };
+
+      const result = await smsService.sendSMS('9876543210', 'Hello');
+
+      expect(result).toMatchObject({ success: false, provider: 'dlt', attempts: 1 });
+      expect(twilio.sent).toHaveLength(0);
+      expect(smsService.health.dlt).toBeUndefined();
+    });
+
+    test('prefers the price the provider reports', async () => {
+      smsService.providers = {
+        twilio: { ...fakeProvider('twilio'), isConfigured: false },
+        dlt: fakeProvider('dlt', [{ success: true, messageId: 'd1', status: 'submitted', cost: { amount: 0.36, currency: 'INR' }, segments: 2 }]),
+        console: fakeProvider('console')
+      };
+
+      const result = await smsService.sendSMS('+919876543210', 'रक्त की आवश्यकता है');
+
+      expect(result.cost).toEqual({ amount: 0.36, currency: 'INR', source: 'provider' });
+      expect(result.segments).toBe(2);
+      expect(smsService.providers.dlt.sent[0].unicode).toBe(true);
+    });
+
+    test('a success clears the failure count', async () => {
+      smsService.providers = { twilio: fakeProvider('twilio', [providerDown]), dlt: fakeProvider('dlt'), console: fakeProvider('console') };
+
+      await smsService.sendSMS('+14155550100', 'Hello');
+      expect(smsService.health.twilio.failures).toBe(1);
+
+      await smsService.sendSMS('+14155550100', 'Hello');
+      expect(smsService.health.twilio).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const express = require('express');
+const request = require('supertest');
+const smsService = require('../services/smsService');
+const conversationService = require('../services/conversationService');
+const donorReplyService = require('../services/donorReplyService');
+
+// Both load the donor matching and notification stack, which schedule work on load
+jest.mock('../services/conversationService', () => ({
+  getActiveConversation: jest.fn(),
+  cancelConversation: jest.fn(),
+  processResponse: jest.fn(),
+  startFromTrigger: jest.fn(),
+  startConversation: jest.fn()
+}));
+jest.mock('../services/donorReplyService', () => ({
+  setConsent: jest.fn(),
+  accept: jest.fn(),
+  decline: jest.fn(),
+  snooze: jest.fn(),
+  resume: jest.fn(),
+  interpret: jest.fn(),
+  getReplyMessage: jest.fn(),
+  parseSnooze: jest.fn(text => {
+    const match = text.match(/^snooze(?:\s+(\d+))?$/);
+    return match ? Number(match[1] || 7) : null;
+  }),
+  isResume: jest.fn(text => text === 'resume')
+}));
+
+const smsRoutes = require('../routes/sms');
+
+const PHONE = '+919876543210';
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/v1/sms', smsRoutes);
+
+const inbound = (Body, extra = {}) => request(app)
+  .post('/api/v1/sms/inbound')
+  .type('form')
+  .send({ From: PHONE, Body, MessageSid: 'SM1', ...extra });
+
+describe('Inbound SMS', () => {
+  beforeEach(() => {
+    jest.spyOn(smsService, 'validateWebhookSignature').mockReturnValue(true);
+    conversationService.getActiveConversation.mockResolvedValue(null);
+    conversationService.processResponse.mockResolvedValue({ success: false, reason: 'NO_ACTIVE_CONVERSATION' });
+    conversationService.startFromTrigger.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('requests without a valid Twilio signature are refused', async () => {
+    smsService.validateWebhookSignature.mockReturnValue(false);
+
+    const res = await inbound('YES');
+
+    expect(res.status).toBe(403);
+    expect(donorReplyService.accept).not.toHaveBeenCalled();
+  });
+
+  describe('STOP and START', () => {
+    test.each(['STOP', 'unsubscribe', ' Quit '])('"%s" revokes SMS consent and sends nothing back', async (body) => {
+      const res = await inbound(body);
+
+      expect(donorReplyService.setConsent).toHaveBeenCalledWith(PHONE, 'sms', false, body.toLowerCase().trim());
+      expect(res.type).toBe('text/xml');
+      expect(res.text).not.toContain('<Message>');
+      expect(conversationService.processResponse).not.toHaveBeenCalled();
+    });
+
+    test('a keyword Twilio recognised as an opt-out counts as STOP', async () => {
+      await inbound('arrêt', { OptOutType: 'STOP' });
+
+      expect(donorReplyService.setConsent).toHaveBeenCalledWith(PHONE, 'sms', false, 'arrêt');
+    });
+
+    test('STOP ends a flow the donor was in', async () => {
+      conversationService.getActiveConversation.mockResolvedValue({ conversationId: 'conv_1' });
+
+      await inbound('STOP');
+
+      expect(conversationService.cancelConversation).toHaveBeenCalledWith('conv_1');
+    });
+
+    test('START restores SMS consent', async () => {
+      const res = await inbound('START');
+
+      expect(donorReplyService.setConsent).toHaveBeenCalledWith(PHONE, 'sms', true, 'start');
+      expect(res.text).toContain('SMS alerts are back on');
+    });
+  });
+
+  describe('keywords', () => {
+    test('a reply to a running flow goes to that flow first', async () => {
+      conversationService.processResponse.mockResolvedValue({ success: true, message: 'What is your blood type?' });
+
+      const res = await inbound('yes');
+
+      expect(res.text).toContain('What is your blood type?');
+      expect(donorReplyService.accept).not.toHaveBeenCalled();
+    });
+
+    test('a message already handled is not answered twice', async () => {
+      conversationService.processResponse.mockResolvedValue({ success: false, reason: 'DUPLICATE_MESSAGE' });
+
+      const res = await inbound('yes');
+
+      expect(res.text).not.toContain('<Message>');
+      expect(donorReplyService.accept).not.toHaveBeenCalled();
+    });
+
+    test('YES commits the donor and points them to the hospital', async () => {
+      donorReplyService.accept.mockResolvedValue({
+        bloodRequest: { location: { hospital: { name: 'City Hospital', contactNumber: '020-1234' } } },
+        confirmBy: null
+      });
+
+      const res = await inbound('Yes');
+
+      expect(donorReplyService.accept).toHaveBeenCalledWith(PHONE);
+      expect(res.text).toContain('Please go to City Hospital (020-1234).');
+    });
+
+    test('YES with no open request thanks the donor', async () => {
+      donorReplyService.accept.mockResolvedValue(null);
+
+      const res = await inbound('हाँ');
+
+      expect(res.text).toContain('There is no open request for you right now');
+    });
+
+    test('NO declines the request', async () => {
+      const res = await inbound('no');
+
+      expect(donorReplyService.decline).toHaveBeenCalledWith(PHONE, null, 'sms');
+      expect(res.text).toContain('We will ask other donors');
+    });
+
+    test('SNOOZE pauses alerts for the days asked', async () => {
+      donorReplyService.snooze.mockResolvedValue({ days: 3, snoozedUntil: new Date('2026-10-21T12:00:00Z') });
+
+      const res = await inbound('snooze 3');
+
+      expect(donorReplyService.snooze).toHaveBeenCalledWith(PHONE, 3, 'sms');
+      expect(res.text).toContain('Alerts paused for 3 days');
+    });
+
+    test('RESUME turns alerts back on', async () => {
+      donorReplyService.resume.mockResolvedValue(true);
+
+      const res = await inbound('resume');
+
+      expect(donorReplyService.resume).toHaveBeenCalledWith(PHONE, 'sms');
+      expect(res.text).toContain('Welcome back!');
+    });
+
+    test.each([
+      ['HELP', undefined],
+      ['aide', 'HELP']
+    ])('"%s" lists the commands', async (body, optOutType) => {
+      const res = await inbound(body, optOutType ? { OptOutType: optOutType } : {});
+
+      expect(res.text).toContain('reply YES to donate');
+      expect(donorReplyService.interpret).not.toHaveBeenCalled();
+    });
+
+    test('a trigger word starts its flow', async () => {
+      conversationService.startFromTrigger.mockResolvedValue({ message: 'Welcome! What is your name?' });
+
+      const res = await inbound('register');
+
+      expect(conversationService.startFromTrigger).toHaveBeenCalledWith(PHONE, 'register', { channel: 'sms' });
+      expect(res.text).toContain('What is your name?');
+      expect(donorReplyService.interpret).not.toHaveBeenCalled();
+    });
+
+    test('free text is interpreted and answered', async () => {
+      donorReplyService.interpret.mockResolvedValue({ intent: 'available_later' });
+      donorReplyService.getReplyMessage.mockReturnValue('Thanks, we have let the hospital know.');
+
+      const res = await inbound('I can come after 6pm');
+
+      expect(donorReplyService.interpret).toHaveBeenCalledWith(PHONE, 'I can come after 6pm', 'sms', { messageId: 'SM1' });
+      expect(res.text).toContain('we have let the hospital know');
+    });
+  });
+});
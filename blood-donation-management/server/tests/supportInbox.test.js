@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const SupportThread = require('../models/SupportThread');
+const consentService = require('../services/consentService');
+const smsService = require('../services/smsService');
+const supportInboxService = require('../services/supportInboxService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PHONE = '+919876543210';
+const at = hours => new Date(Date.UTC(2026, 9, 18, 12) + hours * HOUR_MS);
+
+const thread = (overrides = {}) => new SupportThread({
+  contactKey: SupportThread.toContactKey({ phoneNumber: PHONE }),
+  phoneNumber: PHONE,
+  status: 'open',
+  priority: 'normal',
+  lastInboundAt: at(0),
+  responseDueBy: at(24),
+  messages: [{ direction: 'inbound', channel: 'sms', text: 'Where is the camp?', createdAt: at(0) }],
+  ...overrides
+});
+
+describe('Support inbox', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(SupportThread.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(supportInboxService, 'findUserId').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('response deadline', () => {
+    const receive = (existing, message) => {
+      jest.spyOn(SupportThread, 'findOne').mockResolvedValue(existing);
+      return supportInboxService.receive({ channel: 'sms', phoneNumber: PHONE, text: 'Hello', ...message });
+    };
+
+    test.each([
+      ['normal', 24],
+      ['high', 8],
+      ['urgent', 4]
+    ])('a new %s thread is due %i hours after the message', async (priority, hours) => {
+      const created = await receive(null, { priority, receivedAt: at(0) });
+
+      expect(created).toMatchObject({ status: 'open', priority, contactKey: 'phone:9876543210' });
+      expect(created.responseDueBy).toEqual(at(hours));
+    });
+
+    test('a follow-up does not push the deadline back', async () => {
+      const existing = thread();
+
+      await receive(existing, { receivedAt: at(3) });
+
+      expect(existing.responseDueBy).toEqual(at(24));
+      expect(existing.messages).toHaveLength(2);
+    });
+
+    test('an urgent follow-up brings the deadline forward and raises the priority', async () => {
+      const existing = thread();
+
+      await receive(existing, { priority: 'urgent', receivedAt: at(2) });
+
+      expect(existing.responseDueBy).toEqual(at(6));
+      expect(existing.priority).toBe('urgent');
+    });
+
+    test('a normal follow-up does not lower the priority', async () => {
+      const existing = thread({ priority: 'urgent', responseDueBy: at(4) });
+
+      await receive(existing, { receivedAt: at(1) });
+
+      expect(existing.priority).toBe('urgent');
+    });
+
+    test('a message on a thread we answered reopens it with a fresh deadline', async () => {
+      const existing = thread({ status: 'waiting', responseDueBy: null });
+
+      await receive(existing, { receivedAt: at(30) });
+
+      expect(existing.status).toBe('open');
+      expect(existing.responseDueBy).toEqual(at(54));
+    });
+
+    test('a webhook retried by the provider is added once', async () => {
+      const existing = thread();
+      existing.messages[0].providerMessageId = 'SM1';
+
+      await receive(existing, { providerMessageId: 'SM1' });
+
+      expect(existing.messages).toHaveLength(1);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    test('a message without a phone number or email is not threaded', async () => {
+      expect(await supportInboxService.receive({ channel: 'contact_form', text: 'Hello' })).toBeNull();
+    });
+  });
+
+  describe('updates', () => {
+    test('raising the priority of an open thread moves its deadline from the last message', async () => {
+      const existing = thread();
+
+      await supportInboxService.update(existing, { priority: 'high' }, at(2));
+
+      expect(existing.responseDueBy).toEqual(at(8));
+    });
+
+    test('closing clears the deadline and reopening sets a new one from now', async () => {
+      const existing = thread();
+
+      await supportInboxService.update(existing, { status: 'closed' }, at(1));
+      expect(existing.responseDueBy).toBeNull();
+
+      await supportInboxService.update(existing, { status: 'open' }, at(40));
+      expect(existing.responseDueBy).toEqual(at(64));
+    });
+  });
+
+  describe('replies', () => {
+    const coordinatorId = new mongoose.Types.ObjectId();
+
+    test('a reply that is sent stops the clock and assigns the thread', async () => {
+      jest.spyOn(smsService, 'sendSMS').mockResolvedValue({ success: true, messageId: 'SM2' });
+      const existing = thread();
+
+      const { sent } = await supportInboxService.reply(existing, { channel: 'sms', text: 'It is at City Hall.' }, coordinatorId);
+
+      expect(sent).toBe(true);
+      expect(existing).toMatchObject({ status: 'waiting', responseDueBy: null });
+      expect(existing.assignedTo).toEqual(coordinatorId);
+      expect(existing.messages[1]).toMatchObject({ direction: 'outbound', providerMessageId: 'SM2', delivery: { status: 'sent' } });
+    });
+
+    test('a reply that fails is kept with its error and the deadline keeps running', async () => {
+      jest.spyOn(smsService, 'sendSMS').mockResolvedValue({ success: false, message: 'Gateway unavailable' });
+      const existing = thread();
+
+      const { sent, error } = await supportInboxService.reply(existing, { channel: 'sms', text: 'It is at City Hall.' }, coordinatorId);
+
+      expect(sent).toBe(false);
+      expect(error).toBe('Gateway unavailable');
+      expect(existing).toMatchObject({ status: 'open', responseDueBy: at(24) });
+      expect(existing.messages[1].delivery).toMatchObject({ status: 'failed', error: 'Gateway unavailable' });
+    });
+  });
+
+  describe('reply blockers', () => {
+    beforeEach(() => {
+      jest.spyOn(consentService, 'getWithdrawnChannels').mockResolvedValue(new Set());
+    });
+
+    test('a channel needs an address on the thread', async () => {
+      expect(await supportInboxService.getReplyBlocker(thread(), 'email', at(1)))
+        .toBe('No email address on this thread');
+      expect(await supportInboxService.getReplyBlocker(thread({ phoneNumber: null, email: 'asha@example.com' }), 'sms', at(1)))
+        .toBe('No phone number on this thread');
+    });
+
+    test('a channel the person opted out of is blocked', async () => {
+      consentService.getWithdrawnChannels.mockResolvedValue(new Set(['sms']));
+
+      expect(await supportInboxService.getReplyBlocker(thread(), 'sms', at(1)))
+        .toBe('The person has opted out of sms messages');
+    });
+
+    test('WhatsApp replies need a WhatsApp message from the last 24 hours', async () => {
+      const existing = thread({
+        messages: [{ direction: 'inbound', channel: 'whatsapp', text: 'Hi', createdAt: at(0) }]
+      });
+
+      expect(await supportInboxService.getReplyBlocker(existing, 'whatsapp', at(23))).toBeNull();
+      expect(await supportInboxService.getReplyBlocker(existing, 'whatsapp', at(25)))
+        .toBe('WhatsApp replies are only possible within 24 hours of the person\'s last WhatsApp message');
+    });
+
+    test('a person who only texted cannot be answered on WhatsApp', async () => {
+      expect(await supportInboxService.getReplyBlocker(thread(), 'whatsapp', at(1))).toMatch(/^WhatsApp replies are only possible/);
+      expect(await supportInboxService.getReplyBlocker(thread(), 'sms', at(1))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const BloodInventory = require('../models/BloodInventory');
+const Hospital = require('../models/Hospital');
+const TransferOrder = require('../models/TransferOrder');
+const inventoryService = require('../services/inventoryService');
+const transferOrderService = require('../services/transferOrderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const supplier = new Hospital({ name: 'City Hospital' });
+const requester = new Hospital({ name: 'Rural Clinic' });
+const userId = new mongoose.Types.ObjectId();
+
+const order = (overrides = {}) => new TransferOrder({
+  toHospital: requester._id,
+  fromHospital: supplier._id,
+  bloodType: 'O+',
+  units: 3,
+  requestedBy: userId,
+  history: [{ status: 'requested', by: userId }],
+  ...overrides
+});
+
+const batch = (batchId, units, expiresInDays, overrides = {}) => ({
+  batchId,
+  units,
+  collectionDate: new Date(Date.now() - DAY_MS),
+  expiryDate: new Date(Date.now() + expiresInDays * DAY_MS),
+  status: 'available',
+  ...overrides
+});
+
+const stockAt = (facility, batches) => {
+  const stock = new BloodInventory({ facility, facilityModel: 'Hospital', bloodType: 'O+', batches });
+  stock.availableUnits = batches.filter(item => item.status === 'available').reduce((sum, item) => sum + item.units, 0);
+  jest.spyOn(stock, 'save').mockResolvedValue(stock);
+  return stock;
+};
+
+// What findOneAndUpdate would return: the order with the update applied
+const applied = (current, update) => {
+  const updated = new TransferOrder({ ...current.toObject(), ...update.$set });
+  updated.history.push(update.$push.history);
+  jest.spyOn(updated, 'save').mockResolvedValue(updated);
+  return updated;
+};
+
+describe('Transfer orders', () => {
+  let findOneAndUpdate;
+  let updateOne;
+
+  const load = (current) => {
+    jest.spyOn(TransferOrder, 'findOne').mockResolvedValue(current);
+    findOneAndUpdate.mockImplementation(async (filter, update) => applied(current, update));
+    return current;
+  };
+
+  // Another hospital moved the order on between our read and our write
+  const overtakenBy = (status) => {
+    findOneAndUpdate.mockResolvedValue(null);
+    jest.spyOn(TransferOrder, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ status }) }) });
+  };
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.spyOn(TransferOrder, 'findOneAndUpdate');
+    updateOne = jest.spyOn(TransferOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(transferOrderService, 'notifyParties').mockResolvedValue();
+    jest.spyOn(inventoryService, 'touchHospital').mockResolvedValue();
+    jest.spyOn(inventoryService, 'logInventoryTransaction').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('approval', () => {
+    test('dispatches the earliest-expiring units and moves the order only if it is still requested', async () => {
+      const current = load(order());
+      const stock = stockAt(supplier._id, [batch('LATE', 4, 20), batch('SOON', 2, 3)]);
+      jest.spyOn(BloodInventory, 'findOne').mockResolvedValue(stock);
+
+      const approved = await transferOrderService.approveOrder(supplier, current.orderId, userId, 'Sending by ambulance');
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: current._id, status: 'requested' });
+      expect(update.$set).toMatchObject({ status: 'in_transit', approvedBy: userId });
+      expect(update.$push.history).toMatchObject({ status: 'in_transit', by: userId, note: 'Sending by ambulance' });
+      expect(approved.status).toBe('in_transit');
+      expect(approved.batches.map(item => [item.units, item.expiryDate])).toEqual([
+        [2, stock.batches[1].expiryDate],
+        [1, stock.batches[0].expiryDate]
+      ]);
+      expect(stock.batches.filter(item => item.status === 'in_transit').map(item => item.units)).toEqual([2, 1]);
+      expect(approved.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('an order cancelled while it was being approved is not dispatched', async () => {
+      const current = load(order());
+      const stock = stockAt(supplier._id, [batch('B1', 5, 10)]);
+      jest.spyOn(BloodInventory, 'findOne').mockResolvedValue(stock);
+      overtakenBy('cancelled');
+
+      await expect(transferOrderService.approveOrder(supplier, current.orderId, userId))
+        .rejects.toThrow('Transfer order is already cancelled');
+      expect(stock.save).not.toHaveBeenCalled();
+      expect(stock.batches[0].status).toBe('available');
+    });
+
+    test('if the stock cannot be taken the order goes back to requested', async () => {
+      const current = load(order());
+      const stock = stockAt(supplier._id, [batch('B1', 5, 10)]);
+      stock.save.mockRejectedValue(new Error('VersionError'));
+      jest.spyOn(BloodInventory, 'findOne').mockResolvedValue(stock);
+
+      await expect(transferOrderService.approveOrder(supplier, current.orderId, userId)).rejects.toThrow('VersionError');
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: current._id, status: 'in_transit' });
+      expect(update).toEqual({
+        $set: { status: 'requested' },
+        $unset: { approvedBy: '', approvedAt: '', batches: '' },
+        $pop: { history: 1 }
+      });
+    });
+
+    test('if the order cannot record its batches the stock is not taken', async () => {
+      const current = load(order());
+      const stock = stockAt(supplier._id, [batch('B1', 5, 10)]);
+      jest.spyOn(BloodInventory, 'findOne').mockResolvedValue(stock);
+      findOneAndUpdate.mockImplementation(async (filter, update) => {
+        const updated = applied(current, update);
+        updated.save.mockRejectedValue(new Error('VersionError'));
+        return updated;
+      });
+
+      await expect(transferOrderService.approveOrder(supplier, current.orderId, userId)).rejects.toThrow('VersionError');
+
+      expect(stock.save).not.toHaveBeenCalled();
+      expect(updateOne.mock.calls[0][1].$set).toEqual({ status: 'requested' });
+    });
+
+    test('only the supplying hospital can approve, and only from stock it has', async () => {
+      const current = load(order());
+
+      await expect(transferOrderService.approveOrder(requester, current.orderId, userId))
+        .rejects.toThrow('Only the supplying hospital can approve this order');
+
+      jest.spyOn(BloodInventory, 'findOne').mockResolvedValue(stockAt(supplier._id, [batch('B1', 2, 10)]));
+      await expect(transferOrderService.approveOrder(supplier, current.orderId, userId))
+        .rejects.toThrow('Insufficient inventory to approve this transfer');
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('closing', () => {
+    test('the requester can cancel an order that is still requested', async () => {
+      const current = load(order());
+
+      const cancelled = await transferOrderService.cancelOrder(requester, current.orderId, userId, 'Found stock locally');
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: current._id, status: 'requested' });
+      expect(update.$set).toMatchObject({ status: 'cancelled', closedBy: userId, closeReason: 'Found stock locally' });
+      expect(cancelled.status).toBe('cancelled');
+    });
+
+    test('a cancellation that loses to the approval fails', async () => {
+      const current = load(order());
+      overtakenBy('in_transit');
+
+      await expect(transferOrderService.cancelOrder(requester, current.orderId, userId, 'Found stock locally'))
+        .rejects.toThrow('Transfer order is already in_transit');
+      expect(inventoryService.logInventoryTransaction).not.toHaveBeenCalled();
+    });
+
+    test('each side can only close the order from its own end', async () => {
+      const current = load(order());
+
+      await expect(transferOrderService.cancelOrder(supplier, current.orderId, userId, 'x'))
+        .rejects.toThrow('Only the requesting hospital can cancel this order');
+      await expect(transferOrderService.rejectOrder(requester, current.orderId, userId, 'x'))
+        .rejects.toThrow('Only the supplying hospital can reject this order');
+    });
+  });
+
+  describe('receipt', () => {
+    let sourceStock;
+    let destinationStock;
+    let current;
+
+    beforeEach(() => {
+      current = load(order({ status: 'in_transit' }));
+      current.batches = [{ batchId: 'B1', units: 3, collectionDate: new Date(), expiryDate: new Date(Date.now() + 10 * DAY_MS) }];
+      sourceStock = stockAt(supplier._id, [batch('B1', 3, 10, { status: 'in_transit', transferOrder: current._id })]);
+      destinationStock = stockAt(requester._id, []);
+      jest.spyOn(Hospital, 'findById').mockReturnValue({ select: () => Promise.resolve(supplier) });
+      jest.spyOn(BloodInventory, 'findOne').mockResolvedValue(sourceStock);
+      jest.spyOn(BloodInventory, 'findOrCreate').mockResolvedValue(destinationStock);
+    });
+
+    test('received units join the requester stock and leave the supplier', async () => {
+      const received = await transferOrderService.confirmReceipt(requester, current.orderId, { coldChain: { maintained: true } }, userId);
+
+      expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: current._id, status: 'in_transit' });
+      expect(received.status).toBe('received');
+      expect(received.receipt.unitsAccepted).toBe(3);
+      expect(sourceStock.batches[0].status).toBe('used');
+      expect(sourceStock.stats.totalIssued).toBe(3);
+      expect(destinationStock.batches[0]).toMatchObject({ units: 3, status: 'available', source: 'transfer' });
+      expect(destinationStock.batches[0].expiryDate).toEqual(current.batches[0].expiryDate);
+      expect(destinationStock.stats.totalReceived).toBe(3);
+    });
+
+    test('units that broke the cold chain are recorded as discarded', async () => {
+      await transferOrderService.confirmReceipt(requester, current.orderId, {
+        coldChain: { maintained: false, temperatureOnArrival: 12, note: 'Cooler failed' }
+      }, userId);
+
+      expect(destinationStock.batches[0].status).toBe('discarded');
+      expect(destinationStock.stats.totalReceived).toBe(0);
+      expect(findOneAndUpdate.mock.calls[0][1].$set.receipt.unitsAccepted).toBe(0);
+    });
+
+    test('confirming twice does not add the units twice', async () => {
+      overtakenBy('received');
+
+      await expect(transferOrderService.confirmReceipt(requester, current.orderId, {}, userId))
+        .rejects.toThrow('Transfer order is already received');
+      expect(sourceStock.save).not.toHaveBeenCalled();
+      expect(destinationStock.save).not.toHaveBeenCalled();
+    });
+
+    test('if the requester stock cannot be written the supplier batches stay in transit', async () => {
+      destinationStock.save.mockRejectedValue(new Error('VersionError'));
+
+      await expect(transferOrderService.confirmReceipt(requester, current.orderId, {}, userId)).rejects.toThrow('VersionError');
+
+      expect(sourceStock.save).not.toHaveBeenCalled();
+      expect(sourceStock.batches[0].status).toBe('in_transit');
+      expect(updateOne.mock.calls[0][1]).toEqual({
+        $set: { status: 'in_transit' },
+        $unset: { receipt: '' },
+        $pop: { history: 1 }
+      });
+    });
+
+    test('if the supplier stock cannot be written the received batches are taken back out', async () => {
+      sourceStock.save.mockRejectedValue(new Error('VersionError'));
+
+      await expect(transferOrderService.confirmReceipt(requester, current.orderId, {}, userId)).rejects.toThrow('VersionError');
+
+      expect(destinationStock.save).toHaveBeenCalledTimes(2);
+      expect(destinationStock.batches).toHaveLength(0);
+      expect(destinationStock.stats.totalReceived).toBe(0);
+      expect(updateOne.mock.calls[0][1].$set).toEqual({ status: 'in_transit' });
+    });
+  });
+
+  test('a hospital cannot order blood from itself', async () => {
+    await expect(transferOrderService.createOrder(requester, { fromHospitalId: requester._id, bloodType: 'O+', units: 2 }, userId))
+      .rejects.toThrow('A hospital cannot order blood from itself');
+  });
+});
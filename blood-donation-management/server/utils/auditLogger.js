@@ -69,6 +69,31 @@ class AuditLogger {
     }
   }
 
+  /**
+   * Log security event
+   * @param {Object} eventData - Event data to log
+   */
+  logSecurityEvent(eventData) {
+    try {
+      const auditEntry = {
+        timestamp: new Date().toISOString(),
+        type: 'security_event',
+        event: eventData.event,
+        userId: eventData.userId,
+        severity: eventData.severity || 'medium',
+        details: eventData.details,
+        ipAddress: eventData.ipAddress,
+        userAgent: eventData.userAgent,
+        metadata: eventData.metadata || {}
+      };
+
+      logger.warn(`AUDIT: Security event - ${eventData.event}`, 'AUDIT', auditEntry);
+
+    } catch (error) {
+      logger.error('Failed to log security event', 'AUDIT', error);
+    }
+  }
+
   /**
    * Log data access
    * @param {Object} accessData - Access data to log
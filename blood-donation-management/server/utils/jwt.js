@@ -5,6 +5,7 @@ class JWTManager {
   constructor() {
     this.secret = process.env.JWT_SECRET;
     this.expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+    this.refreshExpiresIn = '30d';
     
     if (!this.secret) {
       logger.error('JWT_SECRET environment variable is not set', 'JWT_MANAGER');
@@ -99,19 +100,23 @@ class JWTManager {
     }
   }
 
-  // Generate refresh token
-  generateRefreshToken(payload) {
+  // Generate refresh token. Pass `jti` when the caller tracks it (see sessionService)
+  generateRefreshToken(payload, options = {}) {
     try {
       logger.debug(`Generating refresh token for user: ${payload.userId || payload.id}`, 'JWT_MANAGER');
       
       const refreshPayload = {
         userId: payload.userId || payload.id,
         type: 'refresh',
-        jti: this.generateJTI()
+        jti: options.jti || this.generateJTI()
       };
 
+      if (payload.sid) {
+        refreshPayload.sid = payload.sid;
+      }
+
       const refreshToken = jwt.sign(refreshPayload, this.secret, {
-        expiresIn: '30d', // Refresh tokens last longer
+        expiresIn: this.refreshExpiresIn, // Refresh tokens last longer
         issuer: 'call-for-blood-foundation',
         audience: 'call-for-blood-users'
       });
@@ -125,31 +130,16 @@ class JWTManager {
     }
   }
 
-  // Refresh access token
-  refreshAccessToken(refreshToken) {
-    try {
-      logger.debug('Refreshing access token', 'JWT_MANAGER');
-      
-      const decoded = this.verifyToken(refreshToken);
-      
-      if (decoded.type !== 'refresh') {
-        logger.warn('Invalid refresh token type', 'JWT_MANAGER');
-        throw new Error('Invalid refresh token');
-      }
+  // Verify refresh token. Rotation happens in sessionService, which owns the jti state
+  verifyRefreshToken(refreshToken) {
+    const decoded = this.verifyToken(refreshToken);
 
-      // Generate new access token
-      const newAccessToken = this.generateToken({
-        userId: decoded.userId,
-        type: 'access'
-      });
-
-      logger.success(`Access token refreshed successfully for user: ${decoded.userId}`, 'JWT_MANAGER');
-      
-      return newAccessToken;
-    } catch (error) {
-      logger.error('Failed to refresh access token', 'JWT_MANAGER', error);
-      throw error;
+    if (decoded.type !== 'refresh') {
+      logger.warn('Invalid refresh token type', 'JWT_MANAGER');
+      throw new Error('Invalid refresh token');
     }
+
+    return decoded;
   }
 
   // Generate unique JWT ID
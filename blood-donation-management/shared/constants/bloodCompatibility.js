@@ -0,0 +1,179 @@
+// Blood component compatibility rules
+// CommonJS so the server can require it directly; the client reads the
+// same rules through /api/v1/inventory/availability.
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const BLOOD_COMPONENTS = {
+  WHOLE_BLOOD: 'whole_blood',
+  RED_CELLS: 'red_cells',
+  PLATELETS: 'platelets',
+  PLASMA: 'plasma',
+  CRYOPRECIPITATE: 'cryoprecipitate'
+};
+
+// Compatibility levels, best first, with the score matching uses for each
+const COMPATIBILITY_LEVELS = {
+  IDENTICAL: 'identical',
+  UNIVERSAL: 'universal',
+  COMPATIBLE: 'compatible',
+  ACCEPTABLE: 'acceptable',
+  INCOMPATIBLE: 'incompatible'
+};
+
+const COMPATIBILITY_SCORES = {
+  identical: 50,
+  universal: 45,
+  compatible: 30,
+  acceptable: 15,
+  incompatible: 0
+};
+
+// ABO antigens present on red cells
+const ABO_ANTIGENS = {
+  O: [],
+  A: ['A'],
+  B: ['B'],
+  AB: ['A', 'B']
+};
+
+const parseBloodType = (bloodType) => {
+  const match = /^(AB|A|B|O)([+-])$/.exec(bloodType || '');
+  if (!match) return null;
+  return { abo: match[1], rh: match[2] };
+};
+
+const containsAll = (container, items) => items.every(item => container.includes(item));
+
+// Donor red cells must not carry an antigen the recipient lacks
+const isRedCellAboCompatible = (donor, recipient) =>
+  containsAll(ABO_ANTIGENS[recipient.abo], ABO_ANTIGENS[donor.abo]);
+
+// Donor plasma antibodies must not target recipient antigens (reverse of red cells)
+const isPlasmaAboCompatible = (donor, recipient) =>
+  containsAll(ABO_ANTIGENS[donor.abo], ABO_ANTIGENS[recipient.abo]);
+
+// Rh-negative recipients need Rh-negative cellular products
+const isRhCompatible = (donor, recipient) => recipient.rh === '+' || donor.rh === '-';
+
+// Whole blood carries donor plasma as well as red cells, so only the same
+// ABO group and Rh type is safe
+const classifyWholeBlood = (donor, recipient) =>
+  (donor.abo === recipient.abo && donor.rh === recipient.rh
+    ? COMPATIBILITY_LEVELS.IDENTICAL
+    : COMPATIBILITY_LEVELS.INCOMPATIBLE);
+
+const classifyRedCells = (donor, recipient) => {
+  if (!isRedCellAboCompatible(donor, recipient) || !isRhCompatible(donor, recipient)) {
+    return COMPATIBILITY_LEVELS.INCOMPATIBLE;
+  }
+  if (donor.abo === recipient.abo && donor.rh === recipient.rh) return COMPATIBILITY_LEVELS.IDENTICAL;
+  if (donor.abo === 'O' && donor.rh === '-') return COMPATIBILITY_LEVELS.UNIVERSAL;
+  return COMPATIBILITY_LEVELS.COMPATIBLE;
+};
+
+// Plasma carries no red cells, so Rh does not apply and AB is the universal donor
+const classifyPlasma = (donor, recipient) => {
+  if (!isPlasmaAboCompatible(donor, recipient)) return COMPATIBILITY_LEVELS.INCOMPATIBLE;
+  if (donor.abo === recipient.abo) return COMPATIBILITY_LEVELS.IDENTICAL;
+  if (donor.abo === 'AB') return COMPATIBILITY_LEVELS.UNIVERSAL;
+  return COMPATIBILITY_LEVELS.COMPATIBLE;
+};
+
+// Platelets: Rh matters, ABO-identical preferred, plasma-compatible next,
+// ABO-incompatible still acceptable when nothing else is available
+const classifyPlatelets = (donor, recipient) => {
+  if (!isRhCompatible(donor, recipient)) return COMPATIBILITY_LEVELS.INCOMPATIBLE;
+  if (donor.abo === recipient.abo) return COMPATIBILITY_LEVELS.IDENTICAL;
+  if (isPlasmaAboCompatible(donor, recipient)) return COMPATIBILITY_LEVELS.COMPATIBLE;
+  return COMPATIBILITY_LEVELS.ACCEPTABLE;
+};
+
+// Cryoprecipitate: small plasma volume, Rh ignored, any ABO acceptable
+const classifyCryoprecipitate = (donor, recipient) => {
+  if (donor.abo === recipient.abo) return COMPATIBILITY_LEVELS.IDENTICAL;
+  if (isPlasmaAboCompatible(donor, recipient)) return COMPATIBILITY_LEVELS.COMPATIBLE;
+  return COMPATIBILITY_LEVELS.ACCEPTABLE;
+};
+
+const COMPONENT_RULES = {
+  whole_blood: classifyWholeBlood,
+  red_cells: classifyRedCells,
+  platelets: classifyPlatelets,
+  plasma: classifyPlasma,
+  cryoprecipitate: classifyCryoprecipitate
+};
+
+/**
+ * Classify how well a donor blood type suits a recipient for a component
+ * @param {string} donorType - Donor blood type (e.g. 'O-')
+ * @param {string} recipientType - Recipient blood type
+ * @param {string} component - Blood component, defaults to whole blood
+ * @returns {string} One of COMPATIBILITY_LEVELS
+ */
+const getCompatibilityLevel = (donorType, recipientType, component = BLOOD_COMPONENTS.WHOLE_BLOOD) => {
+  const donor = parseBloodType(donorType);
+  const recipient = parseBloodType(recipientType);
+  const rule = COMPONENT_RULES[component];
+
+  if (!donor || !recipient || !rule) return COMPATIBILITY_LEVELS.INCOMPATIBLE;
+  return rule(donor, recipient);
+};
+
+/**
+ * Score a donor blood type for a recipient and component (0-50)
+ * @param {string} donorType - Donor blood type
+ * @param {string} recipientType - Recipient blood type
+ * @param {string} component - Blood component
+ * @returns {number} Compatibility score
+ */
+const getCompatibilityScore = (donorType, recipientType, component) =>
+  COMPATIBILITY_SCORES[getCompatibilityLevel(donorType, recipientType, component)];
+
+/**
+ * Donor blood types that can supply a recipient, best match first
+ * @param {string} recipientType - Recipient blood type
+ * @param {string} component - Blood component
+ * @param {Object} options - { includeAcceptable } to drop last-resort matches
+ * @returns {Array<string>} Compatible donor blood types
+ */
+const getCompatibleDonorTypes = (recipientType, component, { includeAcceptable = true } = {}) =>
+  BLOOD_TYPES
+    .map(donorType => ({ donorType, score: getCompatibilityScore(donorType, recipientType, component) }))
+    .filter(({ score }) => score > 0 && (includeAcceptable || score > COMPATIBILITY_SCORES.acceptable))
+    .sort((a, b) => b.score - a.score)
+    .map(({ donorType }) => donorType);
+
+/**
+ * Recipient blood types a donor can supply for a component
+ * @param {string} donorType - Donor blood type
+ * @param {string} component - Blood component
+ * @returns {Array<string>} Recipient blood types
+ */
+const getCompatibleRecipientTypes = (donorType, component) =>
+  BLOOD_TYPES.filter(recipientType => getCompatibilityScore(donorType, recipientType, component) > 0);
+
+/**
+ * Full compatibility breakdown for a recipient, used by API responses
+ * @param {string} recipientType - Recipient blood type
+ * @param {string} component - Blood component
+ * @returns {Array<Object>} [{ bloodType, level, score }] best first
+ */
+const getCompatibilityMatrix = (recipientType, component) =>
+  getCompatibleDonorTypes(recipientType, component).map(bloodType => ({
+    bloodType,
+    level: getCompatibilityLevel(bloodType, recipientType, component),
+    score: getCompatibilityScore(bloodType, recipientType, component)
+  }));
+
+module.exports = {
+  BLOOD_TYPES,
+  BLOOD_COMPONENTS,
+  COMPATIBILITY_LEVELS,
+  COMPATIBILITY_SCORES,
+  getCompatibilityLevel,
+  getCompatibilityScore,
+  getCompatibleDonorTypes,
+  getCompatibleRecipientTypes,
+  getCompatibilityMatrix
+};
@@ -3,16 +3,8 @@ export const BLOOD_TYPES = [
   'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'
 ];
 
-export const BLOOD_COMPATIBILITY = {
-  'A+': ['A+', 'AB+'],
-  'A-': ['A+', 'A-', 'AB+', 'AB-'],
-  'B+': ['B+', 'AB+'],
-  'B-': ['B+', 'B-', 'AB+', 'AB-'],
-  'AB+': ['AB+'],
-  'AB-': ['AB+', 'AB-'],
-  'O+': ['A+', 'B+', 'AB+', 'O+'],
-  'O-': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
-};
+// Which donor types suit which recipients depends on the blood component;
+// the rules live in ./bloodCompatibility.js
 
 // User roles
 export const USER_ROLES = {